@@ -4,6 +4,7 @@ import { DOMHelper } from '../utils/DOMHelper.js';
 import { Utils } from '../utils/Utils.js';
 import { appState } from '../state/State.js';
 import { CONSTS } from '../config/Config.js';
+import { StatusService } from '../services/StatusService.js';
 
 export class Sidebar extends Component {
     constructor() {
@@ -308,14 +309,17 @@ export class Sidebar extends Component {
             let group;
 
             if (isCurrent) {
-                const movementOptions = [`Nouveau ${p}`, `Départ ${p}`];
-                const statusOptions = ["PPRE", "PAP", "ULIS", "Délégué"];
+                // Nouveau/Départ sont datés par la période, les autres statuts viennent du catalogue
+                const statusOptions = [
+                    ...StatusService.getMovementStatuses().map(s => ({ value: `${s.label} ${p}`, label: s.label })),
+                    ...StatusService.getSelectableStatuses().map(s => ({ value: s.label, label: s.label }))
+                ];
 
                 const pillsContainer = DOMHelper.createElement('div', { className: 'status-pills-container' });
-                [...movementOptions, ...statusOptions].forEach(opt => {
-                    const id = `statut-${opt.replace(' ', '-')}`;
-                    pillsContainer.appendChild(DOMHelper.createElement('input', { type: 'checkbox', id: id, name: 'statuses', value: opt }));
-                    pillsContainer.appendChild(DOMHelper.createElement('label', { htmlFor: id }, [opt.split(' ')[0]]));
+                statusOptions.forEach(opt => {
+                    const id = `statut-${opt.value.replace(/\s+/g, '-')}`;
+                    pillsContainer.appendChild(DOMHelper.createElement('input', { type: 'checkbox', id: id, name: 'statuses', value: opt.value }));
+                    pillsContainer.appendChild(DOMHelper.createElement('label', { htmlFor: id }, [opt.label]));
                 });
 
                 group = DOMHelper.createElement('div', { className: 'period-input-group' }, [
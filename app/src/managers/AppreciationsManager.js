@@ -11,6 +11,7 @@ import { ExportManager } from './ExportManager.js';
 import { SingleStudentManager } from './SingleStudentManager.js';
 import { StatsService } from '../services/StatsService.js';
 import { PromptService } from '../services/PromptService.js';
+import { LintService } from '../services/LintService.js';
 // ... imports ...
 import { StudentDataManager } from './StudentDataManager.js';
 import { ResultsUIManager } from './ResultsUIManager.js';
@@ -25,6 +26,9 @@ import * as HistoryUtils from '../utils/HistoryUtils.js';
 let App;
 let UI;
 
+/** Nombre maximal de condensations demandées quand une appréciation dépasse la limite de caractères */
+const CHAR_LIMIT_MAX_CONDENSE = 2;
+
 export const AppreciationsManager = {
     init(appInstance, uiManager) {
         App = appInstance;
@@ -218,7 +222,16 @@ export const AppreciationsManager = {
     getRefinementPrompt(type, original, context = null) {
         return PromptService.getRefinementPrompt(type, original, context);
     },
-    async generateAppreciation(studentData, isPreview = false, overrideConfig = null, signal = null, context = null) {
+    /**
+     * Génère une appréciation via l'IA
+     * @param {Object} studentData - Données de l'élève
+     * @param {boolean} [isPreview=false] - Retourne uniquement le texte et le prompt
+     * @param {Object|null} [overrideConfig=null] - Configuration IA à utiliser à la place des réglages
+     * @param {AbortSignal|null} [signal=null] - Signal d'annulation
+     * @param {string|null} [context=null] - Contexte de l'appel (ex: 'single-student')
+     * @param {function(string): void|null} [onChunk=null] - Reçoit le texte partiel (déjà désanonymisé) en streaming
+     */
+    async generateAppreciation(studentData, isPreview = false, overrideConfig = null, signal = null, context = null, onChunk = null) {
         let appreciation = '', prompts = {}, tokenUsage = { appreciation: null, sw: null, ns: null };
 
         if (!UI.checkAPIKeyPresence()) {
@@ -233,7 +246,10 @@ export const AppreciationsManager = {
         prompts = this.getAllPrompts({ ...studentData, generatedAppreciation: '' }, overrideConfig);
         const userPrompt = prompts.appreciationUser || prompts.appreciation;
         const systemPrompt = prompts.appreciationSystem || null;
-        const aiResp = await AIService.callAIWithFallback(userPrompt, { signal, context, studentName: studentData.prenom, systemPrompt });
+        const aiResp = await AIService.callAIWithFallback(userPrompt, {
+            signal, context, studentName: studentData.prenom, systemPrompt,
+            onChunk: onChunk ? (partialText) => onChunk(this._deanonymizeText(partialText, studentData.prenom)) : null
+        });
 
         // Désanonymisation : remplacer [PRÉNOM] par le vrai prénom
         appreciation = this._deanonymizeText(aiResp.text, studentData.prenom);
@@ -246,12 +262,115 @@ export const AppreciationsManager = {
             return { appreciation, prompt: userPrompt, usage: aiResp.usage, generationTimeMs: aiResp.generationTimeMs };
         }
 
+        appreciation = await this._enforceCharLimit(aiResp.text, studentData, { signal, context, tokenUsage });
+
         const evolutions = this.analyserEvolution(studentData.periods);
         const result = this.createResultObject(studentData.nom, studentData.prenom, appreciation, evolutions, studentData, prompts, tokenUsage, null, modelUsed);
         result.copied = false; // Ensure initialized as false
         return result;
     },
 
+    /**
+     * Génère les appréciations de plusieurs élèves en une seule requête (génération par lot).
+     * Les élèves absents ou mal formés dans la réponse sont renvoyés dans `missingIndexes`
+     * pour être regénérés un par un par l'appelant.
+     * @param {Array<Object>} studentsData - Données des élèves du lot
+     * @param {AbortSignal|null} [signal=null] - Signal d'annulation
+     * @returns {Promise<{results: Array<Object|null>, missingIndexes: number[]}>}
+     */
+    async generateAppreciationBatch(studentsData, signal = null) {
+        if (!UI.checkAPIKeyPresence()) {
+            throw new Error("Clé API manquante. Veuillez la configurer dans les paramètres.");
+        }
+
+        const { system, user, ids, prompts } = PromptService.getBatchAppreciationPrompt(studentsData);
+        const aiResp = await AIService.callAIWithFallback(user, {
+            signal, context: 'mass-import', systemPrompt: system,
+            // ~300 tokens par élève laissent de la marge au JSON et aux appréciations longues
+            maxTokens: Math.max(1024, studentsData.length * 300)
+        });
+
+        const { appreciations, missingIds } = AppreciationService.parseBatchAppreciations(aiResp.text, ids);
+        const usageById = AppreciationService.splitBatchUsage(aiResp.usage, appreciations, ids);
+
+        const results = [];
+        for (const [i, studentData] of studentsData.entries()) {
+            const text = appreciations[ids[i]];
+            if (!text) {
+                results.push(null);
+                continue;
+            }
+
+            const tokenUsage = {
+                appreciation: usageById[ids[i]],
+                sw: null,
+                ns: null,
+                generationTimeMs: Math.round((aiResp.generationTimeMs || 0) / ids.length)
+            };
+            const appreciation = await this._enforceCharLimit(text, studentData, { signal, context: 'mass-import', tokenUsage });
+            const evolutions = this.analyserEvolution(studentData.periods);
+            const result = this.createResultObject(studentData.nom, studentData.prenom, appreciation, evolutions, studentData, prompts[i], tokenUsage, null, aiResp.modelUsed);
+            result.copied = false;
+            results.push(result);
+        }
+
+        return { results, missingIndexes: missingIds.map(id => ids.indexOf(id)) };
+    },
+
+    /**
+     * Vérifie la limite de caractères de la classe (champs Pronote/LSU) après génération.
+     * Au-delà, demande une version condensée via le raffinement 'concise' (au plus
+     * CHAR_LIMIT_MAX_CONDENSE fois). Le texte envoyé reste anonymisé : la limite demandée
+     * est corrigée de l'écart dû au prénom réinjecté. Si la limite n'est toujours pas
+     * respectée, la version la plus courte est gardée et la relecture la signalera.
+     * @param {string} rawText - Appréciation générée, encore anonymisée
+     * @param {Object} studentData - Données de l'élève (prenom, classId)
+     * @param {Object} [options]
+     * @param {AbortSignal|null} [options.signal] - Signal d'annulation
+     * @param {string|null} [options.context] - Contexte de l'appel IA
+     * @param {Object|null} [options.tokenUsage] - Consommation, complétée par les condensations
+     * @returns {Promise<string>} Appréciation désanonymisée
+     * @private
+     */
+    async _enforceCharLimit(rawText, studentData, { signal = null, context = null, tokenUsage = null } = {}) {
+        const limit = LintService.getCharLimit(studentData.classId || appState.currentClassId);
+        let raw = rawText.trim();
+        let text = this._deanonymizeText(raw, studentData.prenom);
+
+        for (let attempt = 0; limit && text.length > limit && attempt < CHAR_LIMIT_MAX_CONDENSE; attempt++) {
+            const charLimit = Math.max(1, limit - (text.length - raw.length));
+            const prompt = PromptService.getRefinementPrompt('concise', raw, { charLimit });
+
+            let aiResp;
+            try {
+                aiResp = await AIService.callAIWithFallback(prompt, { signal, context, studentName: studentData.prenom });
+            } catch (error) {
+                if (signal?.aborted || error.name === 'AbortError') throw error;
+                console.warn('[AppreciationsManager] Condensation impossible, appréciation conservée :', error);
+                break;
+            }
+
+            if (tokenUsage?.appreciation && aiResp.usage) {
+                const { prompt_tokens = 0, completion_tokens = 0, total_tokens = prompt_tokens + completion_tokens } = aiResp.usage;
+                tokenUsage.appreciation = {
+                    ...tokenUsage.appreciation,
+                    prompt_tokens: (tokenUsage.appreciation.prompt_tokens || 0) + prompt_tokens,
+                    completion_tokens: (tokenUsage.appreciation.completion_tokens || 0) + completion_tokens,
+                    total_tokens: (tokenUsage.appreciation.total_tokens || 0) + total_tokens
+                };
+            }
+
+            const condensedRaw = aiResp.text.trim();
+            const condensed = this._deanonymizeText(condensedRaw, studentData.prenom);
+            // Une réponse vide ou plus longue n'est pas une condensation
+            if (!condensed || condensed.length >= text.length) break;
+            raw = condensedRaw;
+            text = condensed;
+        }
+
+        return text;
+    },
+
     /**
      * Remplace le placeholder [PRÉNOM] par le vrai prénom de l'élève
      * @param {string} text - Texte avec placeholder
@@ -279,8 +398,8 @@ export const AppreciationsManager = {
         return SingleStudentManager.updateAppreciation();
     },
 
-    _prepareStudentListForImport(lines, formatMap, importMode) {
-        return StudentDataManager._prepareStudentListForImport(lines, formatMap, importMode);
+    _prepareStudentListForImport(lines, formatMap, importMode, options) {
+        return StudentDataManager._prepareStudentListForImport(lines, formatMap, importMode, options);
     },
 
     async processMassImport(studentsToProcess, ignoredCount) {
@@ -420,6 +539,40 @@ export const AppreciationsManager = {
             throw e;
         }
     },
+
+    /**
+     * Génère le bilan de fin d'année (appréciation annuelle + recommandation de passage/orientation).
+     * Stocké dans `result.yearSynthesis`, indépendamment de l'appréciation de la dernière période ;
+     * l'historique des versions est géré par FocusPanelHistory.
+     * @param {string} id - ID du résultat
+     * @param {boolean} [silent=false] - Pas de notification en cas d'erreur
+     * @returns {Promise<Object>} result.yearSynthesis
+     */
+    async generateYearSynthesis(id, silent = false) {
+        const result = appState.generatedResults.find(r => r.id === id);
+        if (!result || !UI.checkAPIKeyPresence(silent)) throw new Error("Conditions non remplies.");
+        try {
+            const { system, user } = PromptService.getYearSynthesisPrompt({ ...result.studentData, id: result.id, classId: result.classId });
+            const resp = await AIService.callAIWithFallback(user, { context: 'single-student', studentName: result.prenom, systemPrompt: system });
+            const { appreciation, recommendation } = AppreciationService.parseYearSynthesis(this._deanonymizeText(resp.text, result.prenom));
+
+            result.yearSynthesis = {
+                ...result.yearSynthesis,
+                appreciation,
+                recommendation,
+                generatedAt: new Date().toISOString(),
+                aiModel: resp.modelUsed || appState.currentAIModel
+            };
+            if (!result.tokenUsage) result.tokenUsage = {};
+            result.tokenUsage.year = resp.usage;
+            StorageManager.saveAppState();
+            return result.yearSynthesis;
+        } catch (e) {
+            console.error("Erreur bilan annuel:", e);
+            if (!silent) UI.showNotification(`Erreur : ${Utils.translateErrorMessage(e.message)}`, 'error');
+            throw e;
+        }
+    },
     // NOTE: Deprecated refinement methods removed - Focus Panel handles all refinement inline
 
 
@@ -1,5 +1,7 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { AppreciationsManager } from './AppreciationsManager.js';
+import { AIService } from '../services/AIService.js';
+import { appState } from '../state/State.js';
 
 // Mock dependencies
 vi.mock('./StorageManager.js', () => ({
@@ -25,6 +27,7 @@ vi.mock('./UIManager.js', () => ({
 vi.mock('../services/AIService.js', () => ({
     AIService: {
         callAI: vi.fn(),
+        callAIWithFallback: vi.fn(),
     }
 }));
 
@@ -490,6 +493,39 @@ describe('AppreciationsManager', () => {
         });
     });
 
+    describe('_enforceCharLimit()', () => {
+        const longText = '[PRÉNOM] fournit un travail sérieux et régulier, avec une participation active en classe.';
+
+        beforeEach(() => {
+            appState.classes = [{ id: 'c1', charLimit: 60 }];
+        });
+
+        it('should condense an over-limit appreciation with the concise refinement', async () => {
+            AIService.callAIWithFallback.mockResolvedValueOnce({ text: '[PRÉNOM] fournit un travail sérieux et participe.', usage: { prompt_tokens: 20, completion_tokens: 10, total_tokens: 30 } });
+            const tokenUsage = { appreciation: { prompt_tokens: 70, completion_tokens: 30, total_tokens: 100 } };
+
+            const text = await AppreciationsManager._enforceCharLimit(longText, { prenom: 'Léa', classId: 'c1' }, { tokenUsage });
+
+            expect(text).toBe('Léa fournit un travail sérieux et participe.');
+            const prompt = AIService.callAIWithFallback.mock.calls[0][0];
+            expect(prompt).toContain('concise');
+            expect(prompt).toContain('LIMITE STRICTE : 65 caractères');
+            expect(prompt).toContain('[PRÉNOM]');
+            expect(tokenUsage.appreciation).toEqual({ prompt_tokens: 90, completion_tokens: 40, total_tokens: 130 });
+        });
+
+        it('should keep the text when it fits or when condensation does not shorten it', async () => {
+            const fitting = await AppreciationsManager._enforceCharLimit('[PRÉNOM] travaille bien.', { prenom: 'Léa', classId: 'c1' });
+            expect(fitting).toBe('Léa travaille bien.');
+            expect(AIService.callAIWithFallback).not.toHaveBeenCalled();
+
+            AIService.callAIWithFallback.mockResolvedValueOnce({ text: `${longText} Bravo !` });
+            const kept = await AppreciationsManager._enforceCharLimit(longText, { prenom: 'Léa', classId: 'c1' });
+            expect(kept).toBe(longText.replace('[PRÉNOM]', 'Léa'));
+            expect(AIService.callAIWithFallback).toHaveBeenCalledTimes(1);
+        });
+    });
+
     describe('massImportAbortController', () => {
         it('should have massImportAbortController property', () => {
             expect(AppreciationsManager).toHaveProperty('massImportAbortController');
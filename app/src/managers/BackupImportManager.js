@@ -1,12 +1,14 @@
 /**
  * @fileoverview Backup Import Manager — Selective import modal
- * Shows a category checklist before importing backup data
+ * Shows a category checklist before importing backup data,
+ * and handles the passphrase of encrypted backups (import and export)
  * @module managers/BackupImportManager
  */
 
 import { StorageManager } from './StorageManager.js';
 import { UI } from './UIManager.js';
 import { ModalUI } from './ModalUIManager.js';
+import { CryptoService } from '../services/CryptoService.js';
 
 const CATEGORY_ICONS = {
     settings: 'solar:settings-bold-duotone',
@@ -18,6 +20,11 @@ const CATEGORY_ICONS = {
 
 export const BackupImportManager = {
     async showSelectionModal(fileContent) {
+        if (CryptoService.isEncrypted(fileContent)) {
+            fileContent = await this._decryptFileContent(fileContent);
+            if (!fileContent) return;
+        }
+
         let parsed;
         try {
             parsed = StorageManager.parseBackupFile(fileContent);
@@ -213,6 +220,180 @@ export const BackupImportManager = {
         this._updateConfirmButton(modal);
     },
 
+    /**
+     * Export a full backup, optionally encrypted with a passphrase.
+     */
+    showExportModal() {
+        this._showPassphraseModal({
+            id: 'backupExportModal',
+            icon: 'solar:export-bold-duotone',
+            title: 'Exporter la sauvegarde',
+            intro: 'Le fichier contient les noms et appréciations de vos élèves. Chiffrez-le pour le stocker ou le transmettre en toute sécurité.',
+            optional: true,
+            confirmField: true,
+            submitLabel: 'Exporter',
+            submitIcon: 'solar:export-bold',
+            onSubmit: async (passphrase) => {
+                await StorageManager.exportToJson({ passphrase });
+                return null;
+            }
+        });
+    },
+
+    /**
+     * Ask for the passphrase of an encrypted backup until it decrypts or the user cancels.
+     * @param {string} fileContent - Encrypted JSON content
+     * @returns {Promise<string|null>} Decrypted JSON content, null if cancelled
+     * @private
+     */
+    _decryptFileContent(fileContent) {
+        return new Promise((resolve) => {
+            this._showPassphraseModal({
+                id: 'backupDecryptModal',
+                icon: 'solar:lock-keyhole-bold-duotone',
+                title: 'Sauvegarde chiffrée',
+                intro: 'Saisissez la phrase de passe utilisée lors de l\'export.',
+                submitLabel: 'Déchiffrer',
+                submitIcon: 'solar:lock-keyhole-unlocked-bold',
+                onSubmit: async (passphrase) => {
+                    try {
+                        const data = await CryptoService.decrypt(JSON.parse(fileContent), passphrase);
+                        resolve(JSON.stringify(data));
+                        return null;
+                    } catch (error) {
+                        return error.message;
+                    }
+                },
+                onCancel: () => resolve(null)
+            });
+        });
+    },
+
+    /**
+     * Small passphrase modal. `onSubmit` returns an error message to keep the modal open, or null to close it.
+     * @param {Object} options
+     * @param {boolean} [options.optional] - Encryption can be switched off (export)
+     * @param {boolean} [options.confirmField] - Ask the passphrase twice
+     * @private
+     */
+    _showPassphraseModal({ id, icon, title, intro, optional = false, confirmField = false, submitLabel, submitIcon, onSubmit, onCancel = null }) {
+        document.getElementById(id)?.remove();
+
+        const modal = document.createElement('div');
+        modal.id = id;
+        modal.className = 'modal';
+        modal.innerHTML = `
+        <div class="modal-content modal-content-backup-import">
+            <div class="modal-header">
+                <h3 class="modal-title">
+                    <iconify-icon icon="${icon}" class="modal-title-icon" style="color: var(--primary-color);"></iconify-icon>
+                    ${title}
+                </h3>
+                <button class="close-button" aria-label="Fermer" data-action="cancel">
+                    <iconify-icon icon="ph:x"></iconify-icon>
+                </button>
+            </div>
+            <div class="modal-body">
+                <p class="backup-passphrase-intro">${intro}</p>
+                ${optional ? `
+                <div class="backup-import-mode-row">
+                    <label class="toggle-switch small">
+                        <input type="checkbox" data-role="encrypt">
+                        <span class="slider"></span>
+                    </label>
+                    <span class="backup-mode-label">Chiffrer avec une phrase de passe</span>
+                </div>` : ''}
+                <div class="backup-passphrase-fields"${optional ? ' style="display: none;"' : ''}>
+                    <input type="password" class="backup-passphrase-input" data-role="passphrase" placeholder="Phrase de passe" autocomplete="new-password">
+                    ${confirmField ? '<input type="password" class="backup-passphrase-input" data-role="confirm" placeholder="Confirmer la phrase de passe" autocomplete="new-password">' : ''}
+                    ${confirmField ? `<span class="backup-passphrase-hint">
+                        <iconify-icon icon="solar:danger-triangle-bold" style="color: var(--warning-color);"></iconify-icon>
+                        Sans cette phrase de passe, le fichier ne pourra pas être restauré.
+                    </span>` : ''}
+                </div>
+                <div class="backup-passphrase-error" data-role="error" style="display: none;"></div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-secondary" data-action="cancel">Annuler</button>
+                <button class="btn btn-primary" data-action="submit">
+                    <iconify-icon icon="${submitIcon}"></iconify-icon>
+                    ${submitLabel}
+                </button>
+            </div>
+        </div>`;
+
+        document.body.appendChild(modal);
+
+        const encryptToggle = modal.querySelector('[data-role="encrypt"]');
+        const fields = modal.querySelector('.backup-passphrase-fields');
+        const passInput = modal.querySelector('[data-role="passphrase"]');
+        const confirmInput = modal.querySelector('[data-role="confirm"]');
+        const errorEl = modal.querySelector('[data-role="error"]');
+        const submitBtn = modal.querySelector('[data-action="submit"]');
+
+        const showError = (message) => {
+            errorEl.textContent = message || '';
+            errorEl.style.display = message ? 'block' : 'none';
+        };
+
+        const closeModal = () => {
+            ModalUI.closeModal(modal);
+            setTimeout(() => {
+                if (modal.parentNode) modal.remove();
+            }, 300);
+        };
+        const cancel = () => {
+            closeModal();
+            onCancel?.();
+        };
+
+        modal.querySelectorAll('[data-action="cancel"]').forEach(btn => btn.addEventListener('click', cancel));
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) cancel();
+        });
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') cancel();
+            if (e.key === 'Enter' && e.target.tagName === 'INPUT' && e.target.type === 'password') submitBtn.click();
+        });
+
+        encryptToggle?.addEventListener('change', () => {
+            fields.style.display = encryptToggle.checked ? '' : 'none';
+            showError(null);
+            if (encryptToggle.checked) passInput.focus();
+        });
+
+        submitBtn.addEventListener('click', async () => {
+            const useEncryption = !optional || encryptToggle.checked;
+            const passphrase = useEncryption ? passInput.value : null;
+
+            if (useEncryption) {
+                if (!passphrase) return showError('Saisissez une phrase de passe.');
+                if (confirmInput && confirmInput.value !== passphrase) {
+                    return showError('Les deux phrases de passe ne correspondent pas.');
+                }
+            }
+
+            submitBtn.disabled = true;
+            showError(null);
+            try {
+                const error = await onSubmit(passphrase);
+                if (error) {
+                    showError(error);
+                    passInput.select();
+                } else {
+                    closeModal();
+                }
+            } catch (error) {
+                showError(error.message);
+            } finally {
+                submitBtn.disabled = false;
+            }
+        });
+
+        ModalUI.openModal(modal);
+        if (!optional) passInput.focus();
+    },
+
     _updateConfirmButton(modal) {
         const btn = modal.querySelector('#backupImportConfirmBtn');
         const checkboxes = modal.querySelectorAll('#backupCategoryList input[type="checkbox"]:checked:not(:disabled)');
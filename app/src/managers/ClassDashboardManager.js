@@ -9,6 +9,11 @@ import { DOM } from '../utils/DOM.js';
 import { Utils } from '../utils/Utils.js';
 import { UI } from './UIManager.js';
 import { AIService } from '../services/AIService.js';
+import { PromptService } from '../services/PromptService.js';
+import { GradeScaleService } from '../services/GradeScaleService.js';
+import { SocleService, SOCLE_DOMAINS, SOCLE_LEVELS } from '../services/SocleService.js';
+import { COUNCIL_DECISIONS } from '../services/CouncilService.js';
+import { CouncilRulesService } from '../services/CouncilRulesService.js';
 import { StorageManager } from './StorageManager.js';
 import { StudentPhotoManager } from './StudentPhotoManager.js';
 import { TooltipsUI } from './TooltipsManager.js';
@@ -134,6 +139,7 @@ export const ClassDashboardManager = {
     getStudentsData(classId = null) {
         let sourceData = appState.filteredResults;
         const period = appState.currentPeriod;
+        const scale = GradeScaleService.getScale(classId || appState.currentClassId);
 
         // If specific class requested, fetch from main repository
         if (classId) {
@@ -152,7 +158,7 @@ export const ClassDashboardManager = {
                 if (rawGrade === undefined || rawGrade === null || rawGrade === '') return null;
 
                 // 3. Parse Grade
-                const currentGrade = this.parseGrade(rawGrade);
+                const currentGrade = this.parseGrade(rawGrade, scale);
                 if (isNaN(currentGrade)) return null;
 
                 // 4. Calculate Evolution
@@ -161,7 +167,7 @@ export const ClassDashboardManager = {
                 const previousRawGrade = previousData ? previousData.grade : null;
 
                 const prevGrade = (previousRawGrade !== null && previousRawGrade !== undefined)
-                    ? this.parseGrade(previousRawGrade)
+                    ? this.parseGrade(previousRawGrade, scale)
                     : null;
 
                 const evolution = (prevGrade !== null && !isNaN(prevGrade))
@@ -178,7 +184,8 @@ export const ClassDashboardManager = {
                     previousGrade: prevGrade,
                     evolution: evolution,
                     appreciation: r.appreciation || '',
-                    context: periodData.context || ''
+                    context: periodData.context || '',
+                    socle: periodData.socle || null
                 };
             })
             // Filter out nulls (students without valid grades for this period)
@@ -192,20 +199,20 @@ export const ClassDashboardManager = {
      */
     getStatsForClass(classId) {
         const students = this.getStudentsData(classId);
-        return this.calculateStatistics(students);
+        return this.calculateStatistics(students, GradeScaleService.getScale(classId));
     },
 
     /**
      * Parse grade string to number safely
      * @param {string|number} grade 
-     * @returns {number} Number or NaN
+     * @param {Object} [scale] - Grade scale of the class (defaults to current class)
+     * @returns {number} Number (scale units) or NaN
      */
-    parseGrade(grade) {
+    parseGrade(grade, scale = GradeScaleService.getScale()) {
         if (typeof grade === 'number') return grade;
         if (!grade && grade !== 0) return NaN;
 
-        const parsed = parseFloat(String(grade).replace(',', '.'));
-        return isNaN(parsed) ? NaN : parsed;
+        return GradeScaleService.parse(grade, scale);
     },
 
     /**
@@ -226,11 +233,15 @@ export const ClassDashboardManager = {
 
     /**
      * Calculate all statistics for the class
+     * Grades stay in scale units; thresholds (success, ranges, risk, evolution) are applied on /20 equivalents
      * @param {Array} students 
+     * @param {Object} [scale] - Grade scale of the class (defaults to current class)
      * @returns {Object} Computed statistics
      */
-    calculateStatistics(students) {
+    calculateStatistics(students, scale = GradeScaleService.getScale()) {
         if (students.length === 0) return null;
+        const onTwenty = g => GradeScaleService.toTwenty(g, scale);
+        const evolutionOnTwenty = e => GradeScaleService.diffToTwenty(e, scale);
 
         const grades = students.map(s => s.grade).sort((a, b) => a - b);
         const n = grades.length;
@@ -251,7 +262,7 @@ export const ClassDashboardManager = {
         const stdDev = Math.sqrt(variance);
 
         // Success Rate (grade >= 10/20)
-        const aboveTenCount = grades.filter(g => g >= 10).length;
+        const aboveTenCount = grades.filter(g => onTwenty(g) >= 10).length;
         const successRate = n > 0 ? (aboveTenCount / n) * 100 : 0;
 
         // Distribution by range
@@ -262,7 +273,7 @@ export const ClassDashboardManager = {
             '12-16': 0,
             '16-20': 0
         };
-        grades.forEach(g => {
+        grades.map(onTwenty).forEach(g => {
             if (g < 4) distribution['0-4']++;
             else if (g < 8) distribution['4-8']++;
             else if (g < 12) distribution['8-12']++;
@@ -280,8 +291,8 @@ export const ClassDashboardManager = {
         if (withEvolution.length > 0) {
             avgEvolution = withEvolution.reduce((a, s) => a + s.evolution, 0) / withEvolution.length;
             withEvolution.forEach(s => {
-                if (s.evolution > 0.5) progressCount++;
-                else if (s.evolution < -0.5) regressionCount++;
+                if (evolutionOnTwenty(s.evolution) > 0.5) progressCount++;
+                else if (evolutionOnTwenty(s.evolution) < -0.5) regressionCount++;
                 else stableCount++;
             });
         }
@@ -292,7 +303,7 @@ export const ClassDashboardManager = {
         const topRegressions = sortedByEvolution.filter(s => s.evolution < 0).slice(-15).reverse();
 
         // Students at risk (low grades or significant regression)
-        const atRisk = students.filter(s => s.grade < 8 || (s.evolution !== null && s.evolution < -2));
+        const atRisk = students.filter(s => onTwenty(s.grade) < 8 || (s.evolution !== null && evolutionOnTwenty(s.evolution) < -2));
 
         return {
             count: n,
@@ -314,6 +325,8 @@ export const ClassDashboardManager = {
             topRegressions: topRegressions,
             atRisk: atRisk,
             hasEvolutionData: withEvolution.length > 0,
+            gradeScale: scale,
+            socleDistribution: SocleService.getDistribution(students.map(s => s.socle)),
 
             // New Metadata for AI & Consistency
             dataHash: this._computeClassDataHash(students),
@@ -375,9 +388,7 @@ export const ClassDashboardManager = {
         const subjectBadge = this.modal.querySelector('#dashboardSubjectBadge');
         const subjectDot = this.modal.querySelector('#dashboardSubjectDot');
         
-        const customStyle = appState.subjects?.['MonStyle']?.iaConfig;
-        const genericStyle = appState.subjects?.['Générique']?.iaConfig;
-        const iaConfig = customStyle || genericStyle || {};
+        const iaConfig = PromptService.getEffectiveIaConfig(appState.currentClassId) || {};
         const discipline = iaConfig.discipline || (appState.currentSubject !== 'Générique' && appState.currentSubject !== 'MonStyle' ? appState.currentSubject : null);
 
         if (subjectBadge && discipline) {
@@ -395,29 +406,30 @@ export const ClassDashboardManager = {
         const statMax = this.modal.querySelector('#cohortStatMax');
 
         if (stats) {
-            const moy = stats.average.toFixed(1).replace('.', ',');
-            const min = stats.min.toFixed(1).replace('.', ',');
-            const max = stats.max.toFixed(1).replace('.', ',');
+            const scale = stats.gradeScale;
+            const moy = GradeScaleService.format(stats.average, scale);
+            const min = GradeScaleService.format(stats.min, scale);
+            const max = GradeScaleService.format(stats.max, scale);
 
             if (statAverage) {
-                statAverage.textContent = `${moy}/20`;
+                statAverage.textContent = moy;
                 // Remove previous grade range classes
                 statAverage.className = 'stat-value';
-                const gradeClass = Utils.getGradeClass(stats.average);
+                const gradeClass = Utils.getGradeClass(stats.average, scale);
                 if (gradeClass) {
                     statAverage.classList.add(gradeClass);
                 }
             }
             if (statMin) {
-                statMin.textContent = `${min}/20`;
+                statMin.textContent = min;
                 const minLabel = stats.minStudents.length > 1 ? 'Élèves' : 'Élève';
-                const minTooltip = `<strong>${minLabel} (${min}/20) :</strong><br>${stats.minStudents.join('<br>')}`;
+                const minTooltip = `<strong>${minLabel} (${min}) :</strong><br>${stats.minStudents.join('<br>')}`;
                 TooltipsUI.updateTooltip(statMin, minTooltip);
             }
             if (statMax) {
-                statMax.textContent = `${max}/20`;
+                statMax.textContent = max;
                 const maxLabel = stats.maxStudents.length > 1 ? 'Élèves' : 'Élève';
-                const maxTooltip = `<strong>${maxLabel} (${max}/20) :</strong><br>${stats.maxStudents.join('<br>')}`;
+                const maxTooltip = `<strong>${maxLabel} (${max}) :</strong><br>${stats.maxStudents.join('<br>')}`;
                 TooltipsUI.updateTooltip(statMax, maxTooltip);
             }
         }
@@ -428,6 +440,12 @@ export const ClassDashboardManager = {
             cohortHeaderMetric.innerHTML = `<iconify-icon icon="solar:shield-check-linear"></iconify-icon> <strong>${stats.successRate.toFixed(0)}%</strong> de réussite`;
         }
 
+        // Socle commun: level distribution per domain
+        this.updateSocleDistribution(stats);
+
+        // Class council mentions: recorded decisions and rule proposals
+        this.updateCouncilMentions();
+
         // Update Highlights
         this.updateHighlights(stats);
 
@@ -443,27 +461,117 @@ export const ClassDashboardManager = {
         // No-op : KPIs retirés pour éviter la redondance
     },
 
+    /**
+     * Render the socle commun distribution (one stacked bar per domain)
+     * Hidden when no student has a positioning for the period
+     * @param {Object} stats
+     */
+    updateSocleDistribution(stats) {
+        const container = this.modal.querySelector('#cohortSocle');
+        if (!container) return;
+
+        const distribution = stats.socleDistribution;
+        container.hidden = !distribution;
+        if (!distribution) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const rows = SOCLE_DOMAINS.map(domain => {
+            const counts = distribution[domain.id];
+            const total = counts.reduce((a, b) => a + b, 0);
+            const segments = total === 0
+                ? '<span class="socle-bar-empty">Non positionné</span>'
+                : SOCLE_LEVELS.map((level, i) => counts[i] === 0 ? '' : `
+                    <span class="socle-segment level-${level.value} tooltip" style="flex-grow: ${counts[i]};"
+                          data-tooltip="${level.label} : ${counts[i]} élève${counts[i] > 1 ? 's' : ''}">${counts[i]}</span>`).join('');
+
+            return `
+                <div class="socle-row">
+                    <span class="socle-domain tooltip" data-tooltip="${domain.label}">${domain.id} ${domain.short}</span>
+                    <div class="socle-bar">${segments}</div>
+                </div>`;
+        }).join('');
+
+        const legend = SOCLE_LEVELS.map(level =>
+            `<span class="socle-legend-item"><span class="socle-legend-dot level-${level.value}"></span>${level.short}</span>`
+        ).join('');
+
+        container.innerHTML = `
+            <div class="socle-header">
+                <span class="stat-label">Socle commun</span>
+                <div class="socle-legend">${legend}</div>
+            </div>
+            ${rows}`;
+    },
+
+    /**
+     * Render the class council mentions (one row per mention, decided vs proposed)
+     * Hidden when no student has a decision or a proposal for the period
+     */
+    updateCouncilMentions() {
+        const container = this.modal.querySelector('#cohortMentions');
+        if (!container) return;
+
+        const names = Object.fromEntries(COUNCIL_DECISIONS.map(d => [d.id, []]));
+        const counts = Object.fromEntries(COUNCIL_DECISIONS.map(d => [d.id, { decided: 0, proposed: 0 }]));
+        (appState.filteredResults || []).forEach(r => {
+            const mention = CouncilRulesService.getMention(r, appState.currentPeriod);
+            if (!mention) return;
+            const isProposal = mention.source === 'proposal';
+            counts[mention.decision.id][isProposal ? 'proposed' : 'decided']++;
+            names[mention.decision.id].push(`${Utils.formatStudentName(r.nom, r.prenom)}${isProposal ? ' (proposée)' : ''}`);
+        });
+
+        const rows = COUNCIL_DECISIONS
+            .filter(d => counts[d.id].decided + counts[d.id].proposed > 0)
+            .map(d => {
+                const { decided, proposed } = counts[d.id];
+                const detail = [
+                    decided ? `${decided} décidée${decided > 1 ? 's' : ''}` : '',
+                    proposed ? `${proposed} proposée${proposed > 1 ? 's' : ''}` : ''
+                ].filter(Boolean).join(' · ');
+                return `
+                <div class="mention-row tooltip" data-tooltip="${Utils.escapeHtml(names[d.id].join(', '))}">
+                    <span class="tag-badge tag-${d.color} council-mention-badge${decided ? '' : ' is-proposal'}">${d.short}</span>
+                    <span class="mention-label">${d.label}</span>
+                    <span class="mention-count">${detail}</span>
+                </div>`;
+            }).join('');
+
+        container.hidden = !rows;
+        container.innerHTML = rows ? `
+            <div class="socle-header">
+                <span class="stat-label">Conseil de classe</span>
+                <div class="socle-legend">Pointillés : proposition des règles</div>
+            </div>
+            ${rows}` : '';
+    },
+
     /**
      * Update highlights sections (progressions and regressions)
      * @param {Object} stats 
      */
     updateHighlights(stats) {
+        const scale = stats.gradeScale;
+        const formatEvolution = e => `${e.toFixed(1).replace('.', ',')} ${GradeScaleService.getDiffUnit(e, scale)}`;
+
         // Top Progressions
         const progressList = this.modal.querySelector('#highlightProgressList');
         if (progressList) {
             TooltipsUI.cleanupTooltipsIn(progressList);
             if (stats.topProgressions.length > 0) {
                 progressList.innerHTML = stats.topProgressions.map(s => {
-                    const formattedGrade = s.grade.toFixed(1).replace('.', ',');
-                    const formattedEvolution = s.evolution.toFixed(1).replace('.', ',');
-                    const tooltipText = `${s.fullName} — Moyenne : ${formattedGrade}/20 (+${formattedEvolution} pts)`;
+                    const formattedGrade = GradeScaleService.format(s.grade, scale);
+                    const formattedEvolution = formatEvolution(s.evolution);
+                    const tooltipText = `${s.fullName} — Moyenne : ${formattedGrade} (+${formattedEvolution})`;
                     return `
                         <div class="highlight-item" data-student-id="${s.id}" data-tooltip="${Utils.escapeHtml(tooltipText)}">
                             <div class="highlight-item-left">
                                 ${StudentPhotoManager.getAvatarHTML(s, 'sm')}
                                 <span class="highlight-student-name">${Utils.formatStudentName(s.nom, s.prenom, true)}</span>
                             </div>
-                            <span class="highlight-evolution positive">+${formattedEvolution} pts</span>
+                            <span class="highlight-evolution positive">+${formattedEvolution}</span>
                         </div>
                     `;
                 }).join('');
@@ -481,16 +589,16 @@ export const ClassDashboardManager = {
 
             if (atRiskStudents.length > 0) {
                 riskList.innerHTML = atRiskStudents.map(s => {
-                    const formattedGrade = s.grade.toFixed(1).replace('.', ',');
-                    let tooltipText = `${s.fullName} — Moyenne : ${formattedGrade}/20`;
+                    const formattedGrade = GradeScaleService.format(s.grade, scale);
+                    let tooltipText = `${s.fullName} — Moyenne : ${formattedGrade}`;
                     let evolutionText = '';
 
                     if (s.evolution !== null) {
-                        const formattedEvolution = s.evolution.toFixed(1).replace('.', ',');
-                        tooltipText += ` (${formattedEvolution} pts)`;
-                        evolutionText = `${formattedEvolution} pts`;
+                        const formattedEvolution = formatEvolution(s.evolution);
+                        tooltipText += ` (${formattedEvolution})`;
+                        evolutionText = formattedEvolution;
                     } else {
-                        evolutionText = `Moy: ${formattedGrade}`;
+                        evolutionText = `Moy: ${GradeScaleService.formatValue(s.grade, scale, { short: true })}`;
                     }
 
                     return `
@@ -562,6 +670,22 @@ export const ClassDashboardManager = {
         this.cachedSynthesisHTML = null;
     },
 
+    /**
+     * Get the AI synthesis of a class for a period (in-memory cache first, then persistent storage)
+     * @param {string|null} [classId=appState.currentClassId]
+     * @param {string} [period=appState.currentPeriod]
+     * @returns {string} Synthesis HTML, empty if none was generated
+     */
+    getSynthesisHTML(classId = appState.currentClassId, period = appState.currentPeriod) {
+        if (this.cachedSynthesisHTML &&
+            this.cachedSynthesisClassId === classId &&
+            this.cachedSynthesisPeriod === period) {
+            return this.cachedSynthesisHTML;
+        }
+        const classObj = (appState.classes || []).find(c => c.id === classId);
+        return classObj?.analyses?.[period]?.content || '';
+    },
+
     /**
      * Restore cached AI synthesis if it matches current class/period, otherwise reset to placeholder
      * This persists the synthesis between modal open/close operations and sessions (via persistent storage)
@@ -839,10 +963,8 @@ export const ClassDashboardManager = {
         const period = appState.currentPeriod;
         const periodLabel = { T1: 'premier trimestre', T2: 'deuxième trimestre', T3: 'troisième trimestre', S1: 'premier semestre', S2: 'deuxième semestre' }[period] || period;
 
-        // Fetch teacher's style custom profile if available to propagate it
-        const customStyle = appState.subjects?.['MonStyle']?.iaConfig;
-        const genericStyle = appState.subjects?.['Générique']?.iaConfig;
-        const iaConfig = customStyle || genericStyle || { tone: 3 };
+        // Fetch the class style profile (or the teacher's global style) to propagate it
+        const iaConfig = PromptService.getEffectiveIaConfig(appState.currentClassId) || { tone: 3 };
 
         const toneMap = {
             1: 'très encourageant et positif',
@@ -899,18 +1021,27 @@ Ne rajoute aucune introduction, aucun commentaire, ni de balises de code Markdow
 
         let userPrompt = `Voici les données de la classe :
 • Effectif : ${stats.count} élèves
-• Moyenne : ${stats.average.toFixed(1)}/20 | Médiane : ${stats.median.toFixed(1)}/20
-• Min : ${stats.min.toFixed(1)} | Max : ${stats.max.toFixed(1)} | Écart-type : ${stats.stdDev.toFixed(1)}
+• Barème : ${GradeScaleService.describe(stats.gradeScale)}
+• Moyenne : ${GradeScaleService.format(stats.average, stats.gradeScale)} | Médiane : ${GradeScaleService.format(stats.median, stats.gradeScale)}
+• Min : ${GradeScaleService.formatValue(stats.min, stats.gradeScale)} | Max : ${GradeScaleService.formatValue(stats.max, stats.gradeScale)} | Écart-type : ${stats.stdDev.toFixed(1)}
 • Répartition : ${stats.distribution['16-20']} excellents, ${stats.distribution['12-16']} bons, ${stats.distribution['8-12']} moyens, ${stats.distribution['4-8']} fragiles, ${stats.distribution['0-4']} en difficulté`;
 
         if (stats.hasEvolutionData) {
             userPrompt += `
-• Évolution : ${stats.avgEvolution >= 0 ? '+' : ''}${stats.avgEvolution.toFixed(1)} pts | ${stats.progressCount} progressions, ${stats.stableCount} stables, ${stats.regressionCount} régressions`;
+• Évolution : ${stats.avgEvolution >= 0 ? '+' : ''}${stats.avgEvolution.toFixed(1)} ${GradeScaleService.getDiffUnit(stats.avgEvolution, stats.gradeScale)} | ${stats.progressCount} progressions, ${stats.stableCount} stables, ${stats.regressionCount} régressions`;
             if (stats.topProgressions.length > 0) {
                 userPrompt += `\n• Top progressions : ${stats.topProgressions.slice(0, 3).map(s => `${s.prenom} (+${s.evolution.toFixed(1)})`).join(', ')}`;
             }
         }
 
+        if (stats.socleDistribution) {
+            const socleSummary = SOCLE_DOMAINS.map(d => {
+                const counts = stats.socleDistribution[d.id];
+                return `${d.id} ${d.short} (${SOCLE_LEVELS.map((l, i) => `${counts[i]} ${l.label.toLowerCase()}`).join(', ')})`;
+            }).join(' ; ');
+            userPrompt += `\n• Positionnement socle commun : ${socleSummary}`;
+        }
+
         if (stats.appreciationsList && stats.appreciationsList.length > 0) {
             userPrompt += `\n\n**APPRÉCIATIONS INDIVIDUELLES (pour contexte qualitatif) :**
 Utilise ces commentaires pour affiner l'analyse (ambiance, comportement, efforts) mais NE CITE PAS d'élèves spécifiques pour les points négatifs de comportement.
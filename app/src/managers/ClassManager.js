@@ -159,6 +159,164 @@ export const ClassManager = {
         return classToUpdate;
     },
 
+    /**
+     * Récupère le profil de style IA propre à une classe
+     * @param {string} classId - ID de la classe
+     * @returns {Object|null} iaConfig de la classe, ou null si elle suit le style global
+     */
+    getClassIaConfig(classId) {
+        return this.getClassById(classId)?.iaConfig || null;
+    },
+
+    /**
+     * Définit (ou retire) le profil de style IA d'une classe
+     * @param {string} classId - ID de la classe
+     * @param {Object|null} iaConfig - Profil à appliquer (copié), ou null pour revenir au style global
+     * @returns {Object|null} La classe mise à jour ou null
+     */
+    setClassIaConfig(classId, iaConfig) {
+        const targetClass = this.getClassById(classId);
+        if (!targetClass) {
+            console.warn(`[ClassManager] Classe non trouvée: ${classId}`);
+            return null;
+        }
+
+        if (iaConfig) {
+            targetClass.iaConfig = JSON.parse(JSON.stringify(iaConfig));
+        } else {
+            delete targetClass.iaConfig;
+        }
+        targetClass.updatedAt = Date.now();
+
+        StorageManager?.saveAppState();
+        this._triggerCloudSync();
+
+        return targetClass;
+    },
+
+    /**
+     * Récupère le barème de notation propre à une classe
+     * @param {string} classId - ID de la classe
+     * @returns {Object|null} gradeScale de la classe, ou null si elle utilise le barème sur 20
+     */
+    getClassGradeScale(classId) {
+        return this.getClassById(classId)?.gradeScale || null;
+    },
+
+    /**
+     * Définit (ou retire) le barème de notation d'une classe
+     * Les notes déjà saisies ne sont pas converties.
+     * @param {string} classId - ID de la classe
+     * @param {Object|null} gradeScale - Barème à appliquer (copié), ou null pour revenir aux notes sur 20
+     * @returns {Object|null} La classe mise à jour ou null
+     */
+    setClassGradeScale(classId, gradeScale) {
+        const targetClass = this.getClassById(classId);
+        if (!targetClass) {
+            console.warn(`[ClassManager] Classe non trouvée: ${classId}`);
+            return null;
+        }
+
+        if (gradeScale) {
+            targetClass.gradeScale = JSON.parse(JSON.stringify(gradeScale));
+        } else {
+            delete targetClass.gradeScale;
+        }
+        targetClass.updatedAt = Date.now();
+
+        StorageManager?.saveAppState();
+        this._triggerCloudSync();
+
+        return targetClass;
+    },
+
+    /**
+     * Active ou désactive le positionnement sur le socle commun (LSU) pour une classe
+     * @param {string} classId - ID de la classe
+     * @param {boolean} enabled - Choix explicite (prioritaire sur la détection du niveau collège)
+     * @returns {Object|null} La classe mise à jour ou null
+     */
+    setClassSocleEnabled(classId, enabled) {
+        const targetClass = this.getClassById(classId);
+        if (!targetClass) {
+            console.warn(`[ClassManager] Classe non trouvée: ${classId}`);
+            return null;
+        }
+
+        targetClass.socleEnabled = !!enabled;
+        targetClass.updatedAt = Date.now();
+
+        StorageManager?.saveAppState();
+        this._triggerCloudSync();
+
+        return targetClass;
+    },
+
+    /**
+     * Définit (ou retire) la limite de caractères des appréciations d'une classe
+     * (champ Pronote/LSU). Sans limite propre, la limite par défaut de la relecture s'applique.
+     * @param {string} classId - ID de la classe
+     * @param {number|null} charLimit - Nombre de caractères, ou null/0 pour la limite par défaut
+     * @returns {Object|null} La classe mise à jour ou null
+     */
+    setClassCharLimit(classId, charLimit) {
+        const targetClass = this.getClassById(classId);
+        if (!targetClass) {
+            console.warn(`[ClassManager] Classe non trouvée: ${classId}`);
+            return null;
+        }
+
+        const limit = parseInt(charLimit, 10);
+        if (limit > 0) {
+            targetClass.charLimit = limit;
+        } else {
+            delete targetClass.charLimit;
+        }
+        targetClass.updatedAt = Date.now();
+
+        StorageManager?.saveAppState();
+        this._triggerCloudSync();
+
+        return targetClass;
+    },
+
+    /**
+     * Mémorise l'ordre de la liste importée (ordre des élèves dans Pronote),
+     * utilisé par la file de collage.
+     * @param {string} classId - ID de la classe
+     * @param {string[]} names - Noms "NOM Prénom" dans l'ordre du fichier
+     * @returns {Object|null} La classe mise à jour ou null
+     */
+    setClassImportOrder(classId, names) {
+        const targetClass = this.getClassById(classId);
+        if (!targetClass) {
+            console.warn(`[ClassManager] Classe non trouvée: ${classId}`);
+            return null;
+        }
+
+        targetClass.importOrder = [...names];
+        targetClass.updatedAt = Date.now();
+
+        StorageManager?.saveAppState();
+        this._triggerCloudSync();
+
+        return targetClass;
+    },
+
+    /**
+     * Copie le profil de style IA d'une classe vers une autre
+     * @param {string|null} sourceClassId - Classe source (null = style global "MonStyle")
+     * @param {string} targetClassId - Classe cible
+     * @returns {Object|null} La classe cible mise à jour ou null
+     */
+    copyClassIaConfig(sourceClassId, targetClassId) {
+        const sourceConfig = sourceClassId
+            ? this.getClassIaConfig(sourceClassId)
+            : appState.subjects?.['MonStyle']?.iaConfig;
+
+        return this.setClassIaConfig(targetClassId, sourceConfig || null);
+    },
+
     /**
      * Supprime une classe et ses données associées
      * @param {string} classId - ID de la classe
@@ -376,6 +534,23 @@ export const ClassManager = {
             data.class.subject
         );
 
+        // Conserver le profil de style IA de la classe exportée
+        if (data.class.iaConfig) {
+            this.setClassIaConfig(importedClass.id, data.class.iaConfig);
+        }
+        if (data.class.gradeScale) {
+            this.setClassGradeScale(importedClass.id, data.class.gradeScale);
+        }
+        if (typeof data.class.socleEnabled === 'boolean') {
+            this.setClassSocleEnabled(importedClass.id, data.class.socleEnabled);
+        }
+        if (data.class.charLimit) {
+            this.setClassCharLimit(importedClass.id, data.class.charLimit);
+        }
+        if (Array.isArray(data.class.importOrder)) {
+            this.setClassImportOrder(importedClass.id, data.class.importOrder);
+        }
+
         // Importer les étudiants avec le nouvel ID de classe
         if (data.students && data.students.length > 0) {
             const studentsToImport = data.students.map(s => ({
@@ -411,6 +586,23 @@ export const ClassManager = {
             sourceClass.subject
         );
 
+        // Le duplicata garde le même profil de style IA
+        if (sourceClass.iaConfig) {
+            this.setClassIaConfig(duplicatedClass.id, sourceClass.iaConfig);
+        }
+        if (sourceClass.gradeScale) {
+            this.setClassGradeScale(duplicatedClass.id, sourceClass.gradeScale);
+        }
+        if (typeof sourceClass.socleEnabled === 'boolean') {
+            this.setClassSocleEnabled(duplicatedClass.id, sourceClass.socleEnabled);
+        }
+        if (sourceClass.charLimit) {
+            this.setClassCharLimit(duplicatedClass.id, sourceClass.charLimit);
+        }
+        if (Array.isArray(sourceClass.importOrder)) {
+            this.setClassImportOrder(duplicatedClass.id, sourceClass.importOrder);
+        }
+
         // Dupliquer les élèves depuis la mémoire (plus rapide, cohérent avec le reste du code)
         const sourceStudents = (appState.generatedResults || []).filter(r => r.classId === classId);
         let studentCount = 0;
@@ -14,6 +14,9 @@ import { HistoryManager } from './HistoryManager.js';
 import { ClassDashboardManager } from './ClassDashboardManager.js';
 import { SeatingChartManager } from './SeatingChartManager.js';
 import { Utils } from '../utils/Utils.js';
+import { GradeScaleService, GRADE_SCALE_PRESETS } from '../services/GradeScaleService.js';
+import { SocleService } from '../services/SocleService.js';
+import { LintService } from '../services/LintService.js';
 
 let UI;
 let StorageManager;
@@ -653,6 +656,16 @@ export const ClassUIManager = {
         return { total, completed, errors, icon, statusClass };
     },
 
+    /**
+     * Libellé court d'un barème pour les infobulles et notifications
+     * @param {Object} scale - Barème (GradeScaleService)
+     * @returns {string} Ex: "Notes sur 20", "Niveaux de maîtrise"
+     * @private
+     */
+    _getGradeScaleName(scale) {
+        return GRADE_SCALE_PRESETS[scale.id]?.name || `Notes sur ${scale.max}`;
+    },
+
     /**
      * Échappe les caractères HTML
      * @private
@@ -982,8 +995,10 @@ export const ClassUIManager = {
                         row.classList.remove('editing', 'renaming');
                         const newRenameBtn = row.querySelector('.manage-rename-btn');
                         const newDeleteBtn = row.querySelector('.manage-delete-btn');
+                        const newScaleBtn = row.querySelector('.manage-grade-scale-btn');
                         if (newRenameBtn) bindRenameHandler(newRenameBtn);
                         if (newDeleteBtn) bindDeleteHandler(newDeleteBtn);
+                        if (newScaleBtn) bindGradeScaleHandler(newScaleBtn);
                     };
 
                     const save = () => {
@@ -1053,6 +1068,8 @@ export const ClassUIManager = {
                         if (newDeleteBtn) bindDeleteHandler(newDeleteBtn);
                         const newRenameBtn = row.querySelector('.manage-rename-btn');
                         if (newRenameBtn) bindRenameHandler(newRenameBtn);
+                        const newScaleBtn = row.querySelector('.manage-grade-scale-btn');
+                        if (newScaleBtn) bindGradeScaleHandler(newScaleBtn);
                     };
 
                     row.querySelector('.confirm-delete-btn').onclick = async () => {
@@ -1082,6 +1099,110 @@ export const ClassUIManager = {
 
             list.querySelectorAll('.manage-delete-btn').forEach(btn => bindDeleteHandler(btn));
 
+            // Grade scale buttons - inline preset picker
+            const bindGradeScaleHandler = (btn) => {
+                btn.addEventListener('click', () => {
+                    const classId = btn.dataset.classId;
+                    const row = btn.closest('.class-management-item');
+                    if (!row) return;
+
+                    const originalContent = row.innerHTML;
+                    const currentClass = ClassManager.getClassById(classId);
+                    const current = GradeScaleService.getScale(classId);
+                    const currentId = current.id || 'note20';
+                    const hasGrades = (ClassDashboardManager.getStatsForClass(classId)?.count || 0) > 0;
+
+                    row.innerHTML = `
+                        <div class="grade-scale-inline-form">
+                            <div class="form-row">
+                                <select class="grade-scale-select" aria-label="Barème de notation">
+                                    ${Object.values(GRADE_SCALE_PRESETS).map(p => `
+                                        <option value="${p.id}" ${p.id === currentId ? 'selected' : ''}>${p.name}</option>
+                                    `).join('')}
+                                    <option value="custom" ${currentId === 'custom' ? 'selected' : ''}>Notes sur…</option>
+                                </select>
+                                <input type="number" class="grade-scale-max-input" min="1" max="1000" step="1"
+                                       value="${current.type === 'numeric' ? current.max : 20}"
+                                       aria-label="Note maximale" ${currentId === 'custom' ? '' : 'hidden'}>
+                                <button class="save-grade-scale-btn" title="Confirmer">
+                                    <iconify-icon icon="ph:check-bold"></iconify-icon>
+                                </button>
+                                <button class="cancel-grade-scale-btn" title="Annuler">
+                                    <iconify-icon icon="ph:x-bold"></iconify-icon>
+                                </button>
+                            </div>
+                            <label class="grade-scale-socle-toggle">
+                                <input type="checkbox" class="grade-scale-socle-checkbox" ${SocleService.isEnabled(classId) ? 'checked' : ''}>
+                                Positionnement socle commun (LSU)
+                            </label>
+                            <label class="grade-scale-char-limit">
+                                Limite de caractères (Pronote/LSU)
+                                <input type="number" class="grade-scale-char-limit-input" min="0" max="5000" step="10"
+                                       value="${currentClass?.charLimit || ''}" placeholder="${LintService.getSettings().charLimit || 'Aucune'}">
+                            </label>
+                            ${hasGrades ? '<span class="grade-scale-hint">Les notes déjà saisies ne sont pas converties.</span>' : ''}
+                        </div>
+                    `;
+
+                    row.classList.add('editing');
+
+                    const select = row.querySelector('.grade-scale-select');
+                    const maxInput = row.querySelector('.grade-scale-max-input');
+                    select.focus();
+
+                    select.onchange = () => {
+                        maxInput.hidden = select.value !== 'custom';
+                        if (!maxInput.hidden) maxInput.focus();
+                    };
+
+                    const restore = () => {
+                        row.innerHTML = originalContent;
+                        row.classList.remove('editing');
+                        const newScaleBtn = row.querySelector('.manage-grade-scale-btn');
+                        const newRenameBtn = row.querySelector('.manage-rename-btn');
+                        const newDeleteBtn = row.querySelector('.manage-delete-btn');
+                        if (newScaleBtn) bindGradeScaleHandler(newScaleBtn);
+                        if (newRenameBtn) bindRenameHandler(newRenameBtn);
+                        if (newDeleteBtn) bindDeleteHandler(newDeleteBtn);
+                    };
+
+                    const save = () => {
+                        const scale = GradeScaleService.createScale(select.value, maxInput.value);
+                        if (!scale) {
+                            maxInput.classList.add('input-error');
+                            return;
+                        }
+                        ClassManager.setClassGradeScale(classId, GradeScaleService.isDefault(scale) ? null : scale);
+                        const socleEnabled = row.querySelector('.grade-scale-socle-checkbox').checked;
+                        if (socleEnabled !== SocleService.isEnabled(classId)) {
+                            ClassManager.setClassSocleEnabled(classId, socleEnabled);
+                        }
+                        const charLimit = parseInt(row.querySelector('.grade-scale-char-limit-input').value, 10) || 0;
+                        if (charLimit !== (currentClass?.charLimit || 0)) {
+                            ClassManager.setClassCharLimit(classId, charLimit);
+                        }
+                        UI?.showNotification(`Barème mis à jour : ${this._getGradeScaleName(scale)}`, 'success');
+                        if (classId === appState.currentClassId) UI?.updateStats?.();
+                        refreshList();
+                    };
+
+                    row.onkeydown = (e) => {
+                        if (e.key === 'Enter') {
+                            e.preventDefault();
+                            save();
+                        } else if (e.key === 'Escape') {
+                            e.stopPropagation();
+                            restore();
+                        }
+                    };
+
+                    row.querySelector('.save-grade-scale-btn').onclick = save;
+                    row.querySelector('.cancel-grade-scale-btn').onclick = restore;
+                });
+            };
+
+            list.querySelectorAll('.manage-grade-scale-btn').forEach(btn => bindGradeScaleHandler(btn));
+
             // Duplicate buttons handler
             const bindDuplicateHandler = (btn) => {
                 btn.addEventListener('click', async () => {
@@ -1145,14 +1266,16 @@ export const ClassUIManager = {
                         const hasGrades = pedagoStats && pedagoStats.count > 0;
                         const isActive = cls.id === appState.currentClassId;
 
+                        const gradeScale = GradeScaleService.getScale(cls.id);
                         let averageBadge = '';
                         if (hasGrades) {
-                            const avg = pedagoStats.average.toFixed(1).replace('.', ',');
-                            const colorClass = Utils.getGradeClass(pedagoStats.average);
+                            const avg = Utils.formatGrade(pedagoStats.average, gradeScale);
+                            const colorClass = Utils.getGradeClass(pedagoStats.average, gradeScale);
 
                             let trendIcon = '';
                             if (pedagoStats.avgEvolution !== null) {
-                                const trend = pedagoStats.avgEvolution;
+                                // Seuils de tendance exprimés en points sur 20
+                                const trend = GradeScaleService.diffToTwenty(pedagoStats.avgEvolution, gradeScale);
                                 const trendClass = trend > 0.5 ? 'positive' : trend < -0.5 ? 'negative' : 'neutral';
                                 const trendArrow = trend > 0.5 ? '↗' : trend < -0.5 ? '↘' : '→';
                                 trendIcon = `<span class="trend-indicator ${trendClass}" data-tooltip="Évolution trimestrielle">${trendArrow}</span>`;
@@ -1161,12 +1284,12 @@ export const ClassUIManager = {
                             averageBadge = `
                                 <div class="class-stat-badge ${colorClass}" data-tooltip="Moyenne générale de la classe">
                                     <span class="stat-value">${avg}</span>
-                                    <span class="stat-suffix">/20</span>
+                                    <span class="stat-suffix">${GradeScaleService.getSuffix(gradeScale)}</span>
                                     ${trendIcon}
                                 </div>
                             `;
                         } else {
-                            averageBadge = `<div class="class-stat-badge no-data" data-tooltip="Pas de moyenne disponible"><span class="stat-value">--/20</span></div>`;
+                            averageBadge = `<div class="class-stat-badge no-data" data-tooltip="Pas de moyenne disponible"><span class="stat-value">--${GradeScaleService.getSuffix(gradeScale)}</span></div>`;
                         }
 
                         return `
@@ -1209,6 +1332,10 @@ export const ClassUIManager = {
                                             data-tooltip="Dupliquer la classe">
                                         <iconify-icon icon="solar:copy-linear"></iconify-icon>
                                     </button>
+                                    <button class="manage-grade-scale-btn" data-class-id="${cls.id}" 
+                                            data-tooltip="Barème : ${this._getGradeScaleName(gradeScale)}">
+                                        <iconify-icon icon="solar:ruler-angular-linear"></iconify-icon>
+                                    </button>
                                     <button class="manage-rename-btn" data-class-id="${cls.id}" 
                                             data-tooltip="Renommer">
                                         <iconify-icon icon="solar:pen-new-square-linear"></iconify-icon>
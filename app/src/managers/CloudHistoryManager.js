@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Cloud History Manager — Restore picker for dated cloud backups
+ * Lists the copies kept by the sync provider and restores one of them
+ * @module managers/CloudHistoryManager
+ */
+
+import { StorageManager } from './StorageManager.js';
+import { UI } from './UIManager.js';
+import { ModalUI } from './ModalUIManager.js';
+
+export const CloudHistoryManager = {
+    async showRestorePicker() {
+        const { SyncService } = await import('../services/SyncService.js');
+
+        if (!SyncService.supportsBackupHistory()) {
+            UI.showNotification('Connectez un service Cloud pour accéder à l\'historique.', 'warning');
+            return;
+        }
+
+        const modalId = 'cloudHistoryModal';
+        document.getElementById(modalId)?.remove();
+
+        const modal = document.createElement('div');
+        modal.id = modalId;
+        modal.className = 'modal';
+        modal.innerHTML = `
+        <div class="modal-content modal-content-backup-import">
+            <div class="modal-header">
+                <h3 class="modal-title">
+                    <iconify-icon icon="solar:history-bold-duotone" class="modal-title-icon" style="color: var(--primary-color);"></iconify-icon>
+                    Historique des sauvegardes Cloud
+                </h3>
+                <button class="close-button" aria-label="Fermer" id="cloudHistoryCloseBtn">
+                    <iconify-icon icon="ph:x"></iconify-icon>
+                </button>
+            </div>
+            <div class="modal-body">
+                <p class="backup-passphrase-intro">
+                    Les 20 derniers envois sont conservés, puis une sauvegarde par semaine sur un an.
+                </p>
+                <div class="cloud-history-list" id="cloudHistoryList">
+                    <div class="cloud-history-empty">
+                        <iconify-icon icon="solar:spinner-bold-duotone" class="icon-spin"></iconify-icon> Chargement...
+                    </div>
+                </div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-secondary" id="cloudHistoryCancelBtn">Fermer</button>
+            </div>
+        </div>`;
+
+        document.body.appendChild(modal);
+
+        const closeModal = () => {
+            ModalUI.closeModal(modal);
+            setTimeout(() => {
+                if (modal.parentNode) modal.remove();
+            }, 300);
+        };
+
+        modal.querySelector('#cloudHistoryCloseBtn')?.addEventListener('click', closeModal);
+        modal.querySelector('#cloudHistoryCancelBtn')?.addEventListener('click', closeModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') closeModal();
+        });
+
+        ModalUI.openModal(modal);
+
+        const list = modal.querySelector('#cloudHistoryList');
+        let versions;
+        try {
+            versions = await SyncService.listBackupVersions();
+        } catch (error) {
+            list.innerHTML = `<div class="cloud-history-empty">Impossible de lire l'historique : ${error.message}</div>`;
+            return;
+        }
+
+        if (versions.length === 0) {
+            list.innerHTML = '<div class="cloud-history-empty">Aucune sauvegarde datée pour le moment. Elles sont créées à chaque envoi vers le Cloud.</div>';
+            return;
+        }
+
+        list.innerHTML = versions.map(version => this._renderVersion(version)).join('');
+
+        list.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-version-id]');
+            if (!btn) return;
+            const version = versions.find(v => v.id === btn.dataset.versionId);
+            if (version) this._confirmRestore(version, SyncService, closeModal);
+        });
+    },
+
+    /** @private */
+    _renderVersion(version) {
+        const date = new Date(version.createdAt).toLocaleString('fr-FR', {
+            weekday: 'short', day: 'numeric', month: 'long', year: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+        const isThisDevice = version.deviceId === StorageManager.getDeviceId();
+        const deviceLabel = isThisDevice ? 'Cet appareil' : `Appareil …${version.deviceId.slice(-6)}`;
+
+        return `
+        <div class="cloud-history-item">
+            <div class="backup-category-icon">
+                <iconify-icon icon="${isThisDevice ? 'solar:laptop-minimalistic-bold-duotone' : 'solar:devices-bold-duotone'}"></iconify-icon>
+            </div>
+            <div class="backup-category-info">
+                <span class="backup-category-name">${date}</span>
+                <span class="backup-category-desc" title="${version.deviceId}">${deviceLabel}</span>
+            </div>
+            <span class="backup-category-count">${this._formatCounts(version)}</span>
+            <button class="btn btn-secondary btn-small" data-version-id="${version.id}">Restaurer</button>
+        </div>`;
+    },
+
+    /** @private */
+    _formatCounts({ classCount, studentCount }) {
+        return `${classCount} classe${classCount > 1 ? 's' : ''} · ${studentCount} élève${studentCount > 1 ? 's' : ''}`;
+    },
+
+    /** @private */
+    _confirmRestore(version, SyncService, closeModal) {
+        const date = new Date(version.createdAt).toLocaleString('fr-FR', {
+            day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit'
+        });
+
+        UI.showCustomConfirm(
+            `Restaurer la sauvegarde du <strong>${date}</strong> (${this._formatCounts(version)}) ?`,
+            async () => {
+                try {
+                    await StorageManager.savePreRestoreSnapshot();
+                    const result = await SyncService.restoreVersion(version.id);
+                    if (result.success) {
+                        closeModal();
+                        UI.showNotification('Sauvegarde restaurée avec succès !', 'success');
+                        setTimeout(() => window.location.reload(), 1000);
+                    } else {
+                        UI.showNotification('Cette sauvegarde est vide ou illisible.', 'warning');
+                    }
+                } catch (error) {
+                    UI.showNotification('Erreur de restauration : ' + error.message, 'error');
+                }
+            },
+            null,
+            {
+                title: 'Restaurer cette version ?',
+                confirmText: 'Oui, restaurer',
+                cancelText: 'Annuler',
+                isDanger: true,
+                detailsHtml: `<p style="margin-bottom:8px;">Vos données locales seront remplacées par cette version.</p>
+                              <p style="opacity:0.8;">Une copie de sécurité de votre état actuel sera créée automatiquement : vous pourrez annuler la restauration.</p>`
+            }
+        );
+    }
+};
@@ -0,0 +1,424 @@
+/**
+ * @fileoverview Mode présentation pour le conseil de classe
+ * Fait défiler les élèves un par un en plein écran (photo, moyennes, statuts, journal, appréciation)
+ * et enregistre la décision du conseil pour la période (menu Actions de la vue liste).
+ * La mention proposée par les règles (CouncilRulesService) peut être retenue telle quelle.
+ * @module managers/CouncilPresentationManager
+ */
+
+import { appState } from '../state/State.js';
+import { Utils } from '../utils/Utils.js';
+import { CouncilService, COUNCIL_DECISIONS } from '../services/CouncilService.js';
+import { CouncilRulesService } from '../services/CouncilRulesService.js';
+import { GradeScaleService } from '../services/GradeScaleService.js';
+import { LintService } from '../services/LintService.js';
+import { StudentPhotoManager } from './StudentPhotoManager.js';
+import { JournalManager } from './JournalManager.js';
+import { AppreciationsManager } from './AppreciationsManager.js';
+import { StorageManager } from './StorageManager.js';
+import { ModalUI } from './ModalUIManager.js';
+import { UI } from './UIManager.js';
+import { renderSparkline } from '../utils/Sparkline.js';
+
+/** Nombre maximal d'observations et de notes du journal affichées */
+const MAX_JOURNAL_TAGS = 5;
+const MAX_JOURNAL_NOTES = 3;
+
+export const CouncilPresentationManager = {
+    /** @private */
+    _modal: null,
+    /** IDs des élèves présentés, dans l'ordre de la liste */
+    _ids: [],
+    _index: 0,
+
+    /**
+     * Ouvre la présentation sur les élèves affichés dans la liste.
+     * @param {string|null} [startId=null] - Élève à présenter en premier
+     */
+    open(startId = null) {
+        this._ids = (appState.filteredResults || []).map(r => r.id);
+        if (this._ids.length === 0) {
+            UI.showNotification('Aucun élève à présenter.', 'warning');
+            return;
+        }
+        this._index = Math.max(0, this._ids.indexOf(startId));
+
+        this._modal?.remove();
+        this._modal = document.createElement('div');
+        this._modal.id = 'councilPresentationModal';
+        this._modal.className = 'modal modal-council';
+        this._modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2 class="modal-title">
+                        <span class="modal-title-icon color-accent"><iconify-icon icon="solar:users-group-two-rounded-linear"></iconify-icon></span>
+                        <span class="modal-title-text">Conseil de classe</span>
+                        <span class="council-title-context"></span>
+                    </h2>
+                    <div class="council-header-actions">
+                        <div class="council-summary"></div>
+                        <button class="btn btn-secondary btn-small" data-action="accept-all" data-tooltip="Retenir la mention proposée pour les élèves sans décision">
+                            <iconify-icon icon="solar:check-read-linear"></iconify-icon> Valider les propositions
+                        </button>
+                        <button class="btn btn-secondary btn-small" data-action="export" data-tooltip="Exporter les décisions (CSV)">
+                            <iconify-icon icon="solar:download-minimalistic-linear"></iconify-icon> Exporter
+                        </button>
+                        <button class="btn btn-secondary btn-small btn-icon-only" data-action="fullscreen" aria-label="Plein écran" data-tooltip="Plein écran">
+                            <iconify-icon icon="solar:full-screen-linear"></iconify-icon>
+                        </button>
+                        <button class="close-button" aria-label="Fermer">
+                            <iconify-icon icon="ph:x"></iconify-icon>
+                        </button>
+                    </div>
+                </div>
+                <div class="modal-body council-slide" tabindex="-1"></div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" data-action="previous">
+                        <iconify-icon icon="solar:arrow-left-linear"></iconify-icon> Précédent
+                    </button>
+                    <span class="council-progress"></span>
+                    <button class="btn btn-primary" data-action="next">
+                        Suivant <iconify-icon icon="solar:arrow-right-linear"></iconify-icon>
+                    </button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this._modal);
+
+        this._modal.addEventListener('click', (e) => {
+            if (e.target === this._modal || e.target.closest('.close-button')) {
+                this.close();
+                return;
+            }
+            const target = e.target.closest('[data-action]');
+            if (target && !target.disabled) this._handleAction(target.dataset.action, target);
+        });
+        this._modal.addEventListener('change', (e) => {
+            if (e.target.id === 'councilInPrompt') this._setInPrompt(e.target.checked);
+        });
+        this._modal.addEventListener('keydown', (e) => this._handleKeydown(e));
+
+        const className = appState.classes?.find(c => c.id === appState.currentClassId)?.name || '';
+        this._modal.querySelector('.council-title-context').textContent =
+            [className, Utils.getPeriodLabel(appState.currentPeriod, true)].filter(Boolean).join(' · ');
+
+        this._render();
+        ModalUI.openModal(this._modal);
+        this._modal.querySelector('.council-slide')?.focus();
+    },
+
+    /**
+     * Ferme la présentation (et quitte le plein écran)
+     */
+    close() {
+        if (!this._modal) return;
+        if (document.fullscreenElement) document.exitFullscreen?.().catch(() => { });
+        const modal = this._modal;
+        this._modal = null;
+        ModalUI.closeModal(modal);
+    },
+
+    /**
+     * @returns {Object|null} Élève affiché
+     * @private
+     */
+    _getCurrentResult() {
+        const id = this._ids[this._index];
+        return (appState.generatedResults || []).find(r => r.id === id) || null;
+    },
+
+    /**
+     * @param {string} action
+     * @param {HTMLElement} target
+     * @private
+     */
+    async _handleAction(action, target) {
+        switch (action) {
+            case 'previous': this._goTo(this._index - 1); break;
+            case 'next': this._goTo(this._index + 1); break;
+            case 'decision': this._setDecision(target.dataset.decision || null); break;
+            case 'regenerate': await this._regenerate(target); break;
+            case 'accept-all': this._acceptAllProposals(); break;
+            case 'export': this._exportDecisions(); break;
+            case 'fullscreen': this._toggleFullscreen(); break;
+        }
+    },
+
+    /**
+     * Raccourcis : ← → pour naviguer, 1 à 6 pour la décision, 0 pour l'effacer
+     * @param {KeyboardEvent} e
+     * @private
+     */
+    _handleKeydown(e) {
+        if (e.target.matches('textarea, input[type="text"]') || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        if (e.key === 'ArrowRight') {
+            e.preventDefault();
+            this._goTo(this._index + 1);
+        } else if (e.key === 'ArrowLeft') {
+            e.preventDefault();
+            this._goTo(this._index - 1);
+        } else if (/^[0-9]$/.test(e.key) && Number(e.key) <= COUNCIL_DECISIONS.length) {
+            e.preventDefault();
+            const decision = COUNCIL_DECISIONS[Number(e.key) - 1];
+            this._setDecision(decision?.id ?? null);
+        }
+    },
+
+    /**
+     * @param {number} index
+     * @private
+     */
+    _goTo(index) {
+        if (index < 0 || index >= this._ids.length) return;
+        this._index = index;
+        this._render();
+    },
+
+    /**
+     * Enregistre la décision de l'élève affiché (un second clic sur la même décision l'efface)
+     * @param {string|null} decisionId
+     * @private
+     */
+    _setDecision(decisionId) {
+        const result = this._getCurrentResult();
+        if (!result) return;
+
+        const current = CouncilService.getDecision(result.studentData, appState.currentPeriod);
+        const nextId = current?.id === decisionId ? null : decisionId;
+        CouncilService.setDecision(result.studentData, appState.currentPeriod, nextId);
+        this._save();
+    },
+
+    /**
+     * Enregistre la mention proposée pour chaque élève présenté qui n'a pas encore de décision
+     * @private
+     */
+    _acceptAllProposals() {
+        const period = appState.currentPeriod;
+        let accepted = 0;
+        this._ids.forEach(id => {
+            const result = (appState.generatedResults || []).find(r => r.id === id);
+            const mention = result ? CouncilRulesService.getMention(result, period) : null;
+            if (mention?.source !== 'proposal') return;
+            CouncilService.setDecision(result.studentData, period, mention.decision.id);
+            accepted++;
+        });
+
+        if (accepted === 0) {
+            UI.showNotification('Aucune proposition à valider.', 'info');
+            return;
+        }
+        UI.showNotification(`${accepted} mention${accepted > 1 ? 's' : ''} retenue${accepted > 1 ? 's' : ''}.`, 'success');
+        this._save();
+    },
+
+    /**
+     * @param {boolean} inPrompt - Transmettre la décision à l'IA
+     * @private
+     */
+    _setInPrompt(inPrompt) {
+        const result = this._getCurrentResult();
+        const current = CouncilService.getDecision(result?.studentData, appState.currentPeriod);
+        if (!current) return;
+
+        CouncilService.setDecision(result.studentData, appState.currentPeriod, current.id, { inPrompt });
+        this._save();
+    },
+
+    /**
+     * Sauvegarde, rafraîchit la liste (le prompt a pu changer) et la diapositive
+     * @private
+     */
+    _save() {
+        StorageManager.saveAppState();
+        window.dispatchEvent(new CustomEvent('studentsUpdated'));
+        this._render();
+    },
+
+    /**
+     * Régénère l'appréciation de l'élève affiché (avec la décision si elle est transmise à l'IA)
+     * @param {HTMLElement} button
+     * @private
+     */
+    async _regenerate(button) {
+        const result = this._getCurrentResult();
+        if (!result) return;
+
+        const id = result.id;
+        button.disabled = true;
+        try {
+            await AppreciationsManager.regenerateFailedAppreciation(id, button);
+        } finally {
+            // L'élève a pu changer pendant la génération
+            if (this._modal && this._ids[this._index] === id) this._render();
+        }
+    },
+
+    /**
+     * Télécharge le relevé des décisions (et des propositions) de la période
+     * @private
+     */
+    _exportDecisions() {
+        const results = this._ids.map(id => (appState.generatedResults || []).find(r => r.id === id)).filter(Boolean);
+        const csv = CouncilService.buildCsv(results, appState.currentPeriod, GradeScaleService.getScale(), {
+            getProposal: (r) => CouncilRulesService.propose(r, appState.currentPeriod)
+        });
+
+        const classLabel = appState.classes?.find(c => c.id === appState.currentClassId)?.name || '';
+        const safeName = classLabel ? `_${classLabel.replace(/[^a-zA-Z0-9À-ÿ\-_ ]/g, '').trim().replace(/\s+/g, '-')}` : '';
+        StorageManager._downloadFile(csv, `conseil${safeName}_${appState.currentPeriod}.csv`, 'text/csv;charset=utf-8;');
+    },
+
+    /**
+     * Bascule le plein écran du navigateur (projection)
+     * @private
+     */
+    _toggleFullscreen() {
+        if (document.fullscreenElement) {
+            document.exitFullscreen?.().catch(() => { });
+        } else {
+            this._modal?.requestFullscreen?.().catch(() => {
+                UI.showNotification("Le plein écran n'est pas disponible dans ce navigateur.", 'warning');
+            });
+        }
+    },
+
+    /**
+     * Affiche la diapositive de l'élève courant
+     * @private
+     */
+    _render() {
+        if (!this._modal) return;
+        const result = this._getCurrentResult();
+        const period = appState.currentPeriod;
+        const body = this._modal.querySelector('.council-slide');
+
+        if (!result) {
+            body.innerHTML = '<p class="council-empty">Élève introuvable.</p>';
+            return;
+        }
+
+        const scale = GradeScaleService.getScale(result.classId);
+        const statuses = [...new Set(result.studentData?.statuses || [])];
+        const appreciation = LintService.getAppreciation(result, period);
+        const decision = CouncilService.getDecision(result.studentData, period);
+        const proposal = CouncilRulesService.propose(result, period);
+
+        body.innerHTML = `
+            <div class="council-identity">
+                ${StudentPhotoManager.getAvatarHTML(result, 'lg')}
+                <div>
+                    <h3 class="council-name">${Utils.formatStudentName(result.nom, result.prenom, true)}</h3>
+                    <div class="council-statuses">
+                        ${statuses.map(status => {
+                            const badge = Utils.getStatusBadgeInfo(status);
+                            return `<span class="${badge.className}">${Utils.escapeHtml(badge.label)}</span>`;
+                        }).join('')}
+                    </div>
+                </div>
+            </div>
+            <div class="council-grid">
+                <section class="council-card">
+                    <h4>Moyennes</h4>
+                    ${this._renderTrend(CouncilService.getGradeTrend(result.studentData, period, scale), scale)}
+                </section>
+                <section class="council-card">
+                    <h4>Journal de bord</h4>
+                    ${this._renderJournal(result.id, period)}
+                </section>
+                <section class="council-card council-card--wide">
+                    <h4>Appréciation</h4>
+                    ${appreciation
+                        ? `<p class="council-appreciation">${Utils.escapeHtml(Utils.stripMarkdown(Utils.decodeHtmlEntities(appreciation)))}</p>`
+                        : '<p class="council-empty">Aucune appréciation pour cette période.</p>'}
+                </section>
+            </div>
+            <div class="council-decisions">
+                ${proposal ? `
+                <p class="council-proposal">
+                    <iconify-icon icon="solar:lightbulb-linear"></iconify-icon>
+                    Proposition : <strong>${proposal.decision.label}</strong>
+                    <small>${Utils.escapeHtml(CouncilRulesService.describeRule(proposal.rule))}</small>
+                    ${decision ? '' : `<button type="button" class="btn btn-secondary btn-small" data-action="decision" data-decision="${proposal.decision.id}">Retenir</button>`}
+                </p>` : ''}
+                <div class="council-decision-buttons" role="group" aria-label="Décision du conseil">
+                    ${COUNCIL_DECISIONS.map((d, i) => `
+                    <button type="button" class="council-decision council-decision--${d.color} ${decision?.id === d.id ? 'is-active' : ''} ${proposal?.decision.id === d.id ? 'is-proposed' : ''}"
+                        data-action="decision" data-decision="${d.id}" aria-pressed="${decision?.id === d.id}">
+                        <iconify-icon icon="${d.icon}"></iconify-icon> ${d.label} <kbd>${i + 1}</kbd>
+                    </button>`).join('')}
+                </div>
+                <div class="council-decision-options">
+                    <label class="council-in-prompt ${decision ? '' : 'disabled'}">
+                        <input type="checkbox" id="councilInPrompt" ${decision?.inPrompt ? 'checked' : ''} ${decision ? '' : 'disabled'}>
+                        Transmettre la décision à l'IA
+                    </label>
+                    <button type="button" class="btn btn-ai-outline btn-small" data-action="regenerate">
+                        <iconify-icon icon="solar:magic-stick-3-linear"></iconify-icon> Régénérer l'appréciation
+                    </button>
+                </div>
+            </div>
+        `;
+
+        const counts = CouncilService.countDecisions(
+            this._ids.map(id => (appState.generatedResults || []).find(r => r.id === id)).filter(Boolean), period);
+        this._modal.querySelector('.council-summary').innerHTML = COUNCIL_DECISIONS
+            .filter(d => counts[d.id] > 0)
+            .map(d => `<span class="tag-badge tag-${d.color}" title="${d.label}">${d.short} ${counts[d.id]}</span>`)
+            .join('');
+
+        this._modal.querySelector('.council-progress').textContent = `Élève ${this._index + 1} / ${this._ids.length}`;
+        this._modal.querySelector('[data-action="previous"]').disabled = this._index === 0;
+        this._modal.querySelector('[data-action="next"]').disabled = this._index === this._ids.length - 1;
+    },
+
+    /**
+     * Courbe des moyennes par période (SVG) et valeurs
+     * @param {Array<{period: string, grade: number|null}>} trend
+     * @param {Object} scale - Barème de la classe
+     * @returns {string} HTML
+     * @private
+     */
+    _renderTrend(trend, scale) {
+        if (trend.every(t => t.grade === null)) return '<p class="council-empty">Aucune note.</p>';
+
+        const { min, max } = GradeScaleService.getRange(scale);
+        return `
+            ${renderSparkline(trend.map(t => t.grade), { min, max, label: 'Évolution des moyennes', className: 'council-sparkline' })}
+            <div class="council-trend-values">
+                ${trend.map(t => `<span><small>${t.period}</small> ${t.grade === null ? '--' : GradeScaleService.format(t.grade, scale)}</span>`).join('')}
+            </div>
+        `;
+    },
+
+    /**
+     * Observations les plus fréquentes et dernières notes du journal sur la période
+     * @param {string} studentId
+     * @param {string} period
+     * @returns {string} HTML
+     * @private
+     */
+    _renderJournal(studentId, period) {
+        const tags = JournalManager.getAggregatedCounts(studentId, period).slice(0, MAX_JOURNAL_TAGS);
+        const notes = JournalManager.getEntriesForPeriod(studentId, period)
+            .filter(entry => entry.note)
+            .slice(-MAX_JOURNAL_NOTES)
+            .reverse();
+
+        if (tags.length === 0 && notes.length === 0) return '<p class="council-empty">Aucune observation.</p>';
+
+        return `
+            <div class="council-journal-tags">
+                ${tags.map(tag => `
+                <span class="council-journal-tag" style="--tag-color: ${tag.color}">
+                    <iconify-icon icon="${tag.icon}"></iconify-icon> ${Utils.escapeHtml(tag.label)} <strong>×${tag.count}</strong>
+                </span>`).join('')}
+            </div>
+            ${notes.length > 0 ? `
+            <ul class="council-journal-notes">
+                ${notes.map(entry => `<li><small>${JournalManager.formatDate(entry.date)}</small> ${Utils.escapeHtml(entry.note)}</li>`).join('')}
+            </ul>` : ''}
+        `;
+    }
+};
@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Éditeur des règles de mentions du conseil de classe (modale Paramètres)
+ * Les règles et leur évaluation sont dans CouncilRulesService.
+ * @module managers/CouncilRulesSettingsManager
+ */
+
+import { Utils } from '../utils/Utils.js';
+import { COUNCIL_DECISIONS } from '../services/CouncilService.js';
+import { CouncilRulesService, TAG_CATEGORIES, TAG_CATEGORY_PREFIX } from '../services/CouncilRulesService.js';
+import { StatusService } from '../services/StatusService.js';
+import { JournalManager } from './JournalManager.js';
+import { StorageManager } from './StorageManager.js';
+import { UI } from './UIManager.js';
+
+/** Champs numériques du formulaire, par propriété de règle */
+const NUMBER_FIELDS = {
+    gradeMin: 'councilRuleGradeMin',
+    gradeMax: 'councilRuleGradeMax',
+    evolutionMin: 'councilRuleEvolutionMin',
+    evolutionMax: 'councilRuleEvolutionMax'
+};
+
+export const CouncilRulesSettingsManager = {
+    /** @type {string|null} Règle en cours de modification (null = création) */
+    _editingRuleId: null,
+
+    /**
+     * Branche les écouteurs de la liste et du formulaire.
+     */
+    init() {
+        const list = document.getElementById('councilRulesList');
+        if (!list) return;
+
+        list.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (!btn) return;
+            const ruleId = btn.closest('[data-rule-id]')?.dataset.ruleId;
+            switch (btn.dataset.action) {
+                case 'up': this._move(ruleId, -1); break;
+                case 'down': this._move(ruleId, 1); break;
+                case 'edit': this._startEdit(ruleId); break;
+                case 'delete': this._delete(ruleId); break;
+            }
+        });
+
+        document.getElementById('councilRuleSubmitBtn')?.addEventListener('click', () => this._submit());
+        document.getElementById('councilRuleCancelBtn')?.addEventListener('click', () => this._resetForm());
+        document.getElementById('councilRulesResetBtn')?.addEventListener('click', () => this._resetRules());
+    },
+
+    /**
+     * Affiche les règles et réinitialise le formulaire.
+     */
+    render() {
+        const list = document.getElementById('councilRulesList');
+        if (!list) return;
+
+        const rules = CouncilRulesService.getRules();
+        list.innerHTML = rules.length === 0
+            ? '<p class="council-rule-description">Aucune règle : aucune mention ne sera proposée.</p>'
+            : rules.map((rule, index) => {
+                const decision = COUNCIL_DECISIONS.find(d => d.id === rule.decision);
+                return `
+                <div class="status-settings-row" data-rule-id="${rule.id}">
+                    <span class="council-rule-rank">${index + 1}.</span>
+                    <span class="tag-badge tag-${decision?.color || 'default'}">${Utils.escapeHtml(decision?.label || rule.decision)}</span>
+                    <span class="council-rule-description">${Utils.escapeHtml(CouncilRulesService.describeRule(rule))}</span>
+                    <button type="button" class="btn-icon-small" data-action="up" aria-label="Monter" ${index === 0 ? 'disabled' : ''}>
+                        <iconify-icon icon="solar:alt-arrow-up-linear"></iconify-icon>
+                    </button>
+                    <button type="button" class="btn-icon-small" data-action="down" aria-label="Descendre" ${index === rules.length - 1 ? 'disabled' : ''}>
+                        <iconify-icon icon="solar:alt-arrow-down-linear"></iconify-icon>
+                    </button>
+                    <button type="button" class="btn-icon-small" data-action="edit" aria-label="Modifier">
+                        <iconify-icon icon="solar:pen-linear"></iconify-icon>
+                    </button>
+                    <button type="button" class="btn-icon-small danger" data-action="delete" aria-label="Supprimer">
+                        <iconify-icon icon="solar:trash-bin-trash-linear"></iconify-icon>
+                    </button>
+                </div>
+            `;
+            }).join('');
+
+        this._renderOptions();
+        this._resetForm();
+    },
+
+    /**
+     * Remplit les listes de mentions, d'observations et de statuts (le catalogue a pu changer).
+     * @private
+     */
+    _renderOptions() {
+        const decisionSelect = document.getElementById('councilRuleDecisionSelect');
+        if (decisionSelect) {
+            decisionSelect.innerHTML = COUNCIL_DECISIONS
+                .map(d => `<option value="${d.id}">${Utils.escapeHtml(d.label)}</option>`).join('');
+        }
+
+        const tagSelect = document.getElementById('councilRuleTagSelect');
+        if (tagSelect) {
+            const categories = TAG_CATEGORIES
+                .map(c => `<option value="${TAG_CATEGORY_PREFIX}${c.id}">Observations ${c.label}</option>`).join('');
+            const tags = JournalManager.getAvailableTags(null)
+                .map(t => `<option value="${t.id}">${Utils.escapeHtml(t.label)}</option>`).join('');
+            tagSelect.innerHTML = `<option value="">Sans condition sur le journal</option>
+                <optgroup label="Catégories">${categories}</optgroup>
+                <optgroup label="Observations">${tags}</optgroup>`;
+        }
+
+        const statusSelect = document.getElementById('councilRuleStatusSelect');
+        if (statusSelect) {
+            statusSelect.innerHTML = '<option value="">Sans condition de statut</option>' + StatusService.getCatalogue()
+                .map(s => `<option value="${s.id}">${Utils.escapeHtml(s.label)}</option>`).join('');
+        }
+    },
+
+    /**
+     * Remet le formulaire en mode création.
+     * @private
+     */
+    _resetForm() {
+        this._editingRuleId = null;
+        this._fillForm({ decision: COUNCIL_DECISIONS[0].id, tag: null, status: null });
+
+        const submitBtn = document.getElementById('councilRuleSubmitBtn');
+        if (submitBtn) submitBtn.textContent = 'Ajouter';
+        const cancelBtn = document.getElementById('councilRuleCancelBtn');
+        if (cancelBtn) cancelBtn.hidden = true;
+    },
+
+    /**
+     * @param {Object} rule
+     * @private
+     */
+    _fillForm(rule) {
+        const values = {
+            councilRuleDecisionSelect: rule.decision,
+            councilRuleTagOpSelect: rule.tag?.op || 'min',
+            councilRuleTagCount: rule.tag?.count ?? '',
+            councilRuleTagSelect: rule.tag?.id || '',
+            councilRuleStatusOpSelect: rule.status?.op || 'has',
+            councilRuleStatusSelect: rule.status?.id || ''
+        };
+        Object.entries(NUMBER_FIELDS).forEach(([key, id]) => { values[id] = rule[key] ?? ''; });
+
+        Object.entries(values).forEach(([id, value]) => {
+            const el = document.getElementById(id);
+            if (el) el.value = value;
+        });
+    },
+
+    /**
+     * Charge une règle dans le formulaire.
+     * @param {string} ruleId
+     * @private
+     */
+    _startEdit(ruleId) {
+        const rule = CouncilRulesService.getRules().find(r => r.id === ruleId);
+        if (!rule) return;
+
+        this._editingRuleId = rule.id;
+        this._fillForm(rule);
+        document.getElementById('councilRuleSubmitBtn').textContent = 'Enregistrer';
+        document.getElementById('councilRuleCancelBtn').hidden = false;
+        document.getElementById('councilRuleDecisionSelect').focus();
+    },
+
+    /**
+     * Crée ou met à jour la règle décrite par le formulaire.
+     * @private
+     */
+    _submit() {
+        const value = (id) => document.getElementById(id)?.value ?? '';
+        const data = {
+            decision: value('councilRuleDecisionSelect'),
+            ...Object.fromEntries(Object.entries(NUMBER_FIELDS).map(([key, id]) => [key, value(id)])),
+            tag: value('councilRuleTagSelect')
+                ? { id: value('councilRuleTagSelect'), op: value('councilRuleTagOpSelect'), count: value('councilRuleTagCount') }
+                : null,
+            status: value('councilRuleStatusSelect')
+                ? { id: value('councilRuleStatusSelect'), op: value('councilRuleStatusOpSelect') }
+                : null
+        };
+
+        if (data.tag && data.tag.count === '') {
+            UI.showNotification('Indiquez le nombre d\'observations du journal.', 'warning');
+            return;
+        }
+
+        const rule = this._editingRuleId
+            ? CouncilRulesService.updateRule(this._editingRuleId, data)
+            : CouncilRulesService.addRule(data);
+
+        if (!rule) {
+            UI.showNotification('Ajoutez au moins une condition (moyenne, évolution, journal ou statut).', 'warning');
+            return;
+        }
+
+        this._save();
+    },
+
+    /**
+     * @param {string} ruleId
+     * @param {number} delta
+     * @private
+     */
+    _move(ruleId, delta) {
+        if (CouncilRulesService.moveRule(ruleId, delta)) this._save();
+    },
+
+    /**
+     * @param {string} ruleId
+     * @private
+     */
+    _delete(ruleId) {
+        if (CouncilRulesService.removeRule(ruleId)) this._save();
+    },
+
+    /**
+     * Rétablit les règles par défaut.
+     * @private
+     */
+    _resetRules() {
+        CouncilRulesService.resetRules();
+        this._save();
+        UI.showNotification('Règles par défaut rétablies.', 'success');
+    },
+
+    /**
+     * Persiste les règles et rafraîchit les mentions proposées dans la liste.
+     * @private
+     */
+    _save() {
+        StorageManager.saveAppState();
+        window.dispatchEvent(new CustomEvent('studentsUpdated'));
+        this.render();
+    }
+};
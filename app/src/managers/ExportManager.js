@@ -6,6 +6,7 @@
  * - Copie de toutes les appréciations visibles
  * - Export CSV
  * - Export PDF (impression)
+ * - Export Word (.docx) : synthèse de classe et tableau des appréciations
  * 
  * @module managers/ExportManager
  */
@@ -15,6 +16,13 @@ import { DOM } from '../utils/DOM.js';
 import { Utils } from '../utils/Utils.js';
 import { UI } from './UIManager.js';
 import { StorageManager } from './StorageManager.js';
+import { ModalUI } from './ModalUIManager.js';
+import { ClassDashboardManager } from './ClassDashboardManager.js';
+import { SocleService, SOCLE_DOMAINS } from '../services/SocleService.js';
+import { GradeScaleService } from '../services/GradeScaleService.js';
+import { CouncilService } from '../services/CouncilService.js';
+import { CouncilRulesService } from '../services/CouncilRulesService.js';
+import { DocxService, DOCX_MIME_TYPE } from '../services/DocxService.js';
 
 /** @type {import('./AppManager.js').App|null} */
 let App = null;
@@ -207,9 +215,22 @@ export const ExportManager = {
         const allPeriods = Utils.getPeriods();
         const currentPeriod = appState.currentPeriod;
 
+        // Positionnement socle de la période : colonnes présentes si la classe l'utilise ou si des élèves en ont
+        const includeSocle = SocleService.isEnabled()
+            || results.some(r => Object.keys(SocleService.getPositionings(r.studentData, currentPeriod)).length > 0);
+
+        // Conseil de classe : décision et mention proposée par les règles, dès qu'un élève a l'une ou l'autre
+        const includeCouncil = results.some(r => CouncilRulesService.getMention(r, currentPeriod));
+
+        // Bilan de fin d'année : colonnes présentes dès qu'un élève en a un
+        const includeYearSynthesis = results.some(r => r.yearSynthesis?.appreciation || r.yearSynthesis?.recommendation);
+
         const headers = [
             "Nom", "Prénom", "Statuts",
             ...allPeriods.flatMap(p => [`Moy ${p}`, `Évo ${p}`, `App ${p}`]),
+            ...(includeSocle ? SOCLE_DOMAINS.map(d => `Socle ${d.id} ${currentPeriod}`) : []),
+            ...(includeCouncil ? [`Conseil ${currentPeriod}`, `Proposition ${currentPeriod}`] : []),
+            ...(includeYearSynthesis ? ["Bilan annuel", "Recommandation"] : []),
             "Matière", "Instructions", "Forces/Faiblesses", "Pistes", "Date"
         ];
 
@@ -253,6 +274,23 @@ export const ExportManager = {
                 );
             });
 
+            if (includeSocle) {
+                const socle = SocleService.getPositionings(sd, currentPeriod);
+                row.push(...SOCLE_DOMAINS.map(d => SocleService.getLevel(socle[d.id])?.label ?? ''));
+            }
+
+            if (includeCouncil) {
+                const decision = CouncilService.getDecision(sd, currentPeriod);
+                row.push(
+                    decision ? CouncilService.getDecisionType(decision.id).label : '',
+                    CouncilRulesService.propose(r, currentPeriod)?.decision.label ?? ''
+                );
+            }
+
+            if (includeYearSynthesis) {
+                row.push(r.yearSynthesis?.appreciation ?? '', r.yearSynthesis?.recommendation ?? '');
+            }
+
             row.push(
                 sd.subject || appState.currentSubject || '',
                 sd.periods?.[currentPeriod]?.context || '',
@@ -266,11 +304,7 @@ export const ExportManager = {
 
         const csvContent = "\uFEFF" + headers.join(';') + '\n' + rows.join('\n');
 
-        const classLabel = appState.classes?.find(c => c.id === appState.currentClassId)?.name || '';
-        const safeName = classLabel ? `_${classLabel.replace(/[^a-zA-Z0-9À-ÿ\-_ ]/g, '').trim().replace(/\s+/g, '-')}` : '';
-        const filename = `bulletin-ai${safeName}_${currentPeriod}_${new Date().toISOString().slice(0, 10)}.csv`;
-
-        StorageManager._downloadFile(csvContent, filename, 'text/csv;charset=utf-8;');
+        StorageManager._downloadFile(csvContent, this._getExportFileName('csv'), 'text/csv;charset=utf-8;');
 
         const count = results.length;
         UI.showNotification(`CSV exporté (${count} élève${count > 1 ? 's' : ''}, ${Utils.getPeriodLabel(currentPeriod, true)}).`, 'success');
@@ -330,6 +364,212 @@ export const ExportManager = {
         window.print();
     },
 
+    /**
+     * Nom de fichier d'export : bulletin-ai_<classe>_<période>_<date>.<extension>
+     * @param {string} extension
+     * @returns {string}
+     * @private
+     */
+    _getExportFileName(extension) {
+        const classLabel = appState.classes?.find(c => c.id === appState.currentClassId)?.name || '';
+        const safeName = classLabel ? `_${classLabel.replace(/[^a-zA-Z0-9À-ÿ\-_ ]/g, '').trim().replace(/\s+/g, '-')}` : '';
+        return `bulletin-ai${safeName}_${appState.currentPeriod}_${new Date().toISOString().slice(0, 10)}.${extension}`;
+    },
+
+    /**
+     * Ouvre les options de l'export Word avant de générer le fichier.
+     */
+    openDocxExport() {
+        const results = appState.filteredResults;
+        if (!results || results.length === 0) {
+            UI.showNotification('Aucune donnée à exporter.', 'warning');
+            return;
+        }
+
+        const hasStrengths = results.some(r => r.strengthsWeaknesses);
+        const hasNextSteps = results.some(r => r.nextSteps?.length > 0);
+        const option = (id, label, hint, checked, disabled = false) => `
+            <label class="docx-export-option ${disabled ? 'disabled' : ''}">
+                <input type="checkbox" id="${id}" ${checked && !disabled ? 'checked' : ''} ${disabled ? 'disabled' : ''}>
+                <span><strong>${label}</strong><small>${hint}</small></span>
+            </label>`;
+
+        document.getElementById('docxExportModal')?.remove();
+        const modal = document.createElement('div');
+        modal.id = 'docxExportModal';
+        modal.className = 'modal modal-docx-export';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2 class="modal-title">
+                        <span class="modal-title-icon color-accent"><iconify-icon icon="solar:document-text-linear"></iconify-icon></span>
+                        <span class="modal-title-text">Export Word</span>
+                    </h2>
+                    <button class="close-button" aria-label="Fermer">
+                        <iconify-icon icon="ph:x"></iconify-icon>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <p class="docx-export-intro">En-tête (classe, période, date), synthèse de la classe puis tableau
+                        des ${results.length} élève${results.length > 1 ? 's' : ''} affiché${results.length > 1 ? 's' : ''} : moyenne, évolution et appréciation.</p>
+                    ${option('docxIncludeStrengths', 'Forces et faiblesses', hasStrengths ? "Sous l'appréciation de chaque élève" : 'Aucune analyse générée', hasStrengths, !hasStrengths)}
+                    ${option('docxIncludeNextSteps', 'Pistes de travail', hasNextSteps ? "Sous l'appréciation de chaque élève" : 'Aucune piste générée', hasNextSteps, !hasNextSteps)}
+                    ${option('docxAnonymize', 'Anonymiser les noms', 'Les élèves deviennent « Élève 1 », « Élève 2 »… y compris dans les textes', false)}
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" data-action="close">Annuler</button>
+                    <button class="btn btn-primary" data-action="export">
+                        <iconify-icon icon="solar:download-minimalistic-linear"></iconify-icon> Exporter
+                    </button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        modal.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (e.target === modal || e.target.closest('.close-button') || action === 'close') {
+                ModalUI.closeModal(modal);
+            } else if (action === 'export') {
+                const isChecked = (id) => modal.querySelector(`#${id}`)?.checked ?? false;
+                ModalUI.closeModal(modal);
+                this.exportToDocx({
+                    includeStrengths: isChecked('docxIncludeStrengths'),
+                    includeNextSteps: isChecked('docxIncludeNextSteps'),
+                    anonymize: isChecked('docxAnonymize')
+                });
+            }
+        });
+
+        ModalUI.openModal(modal);
+    },
+
+    /**
+     * Exporte la synthèse de classe et les appréciations visibles au format Word (.docx).
+     * Le fichier est généré localement, sans accès réseau.
+     * @param {Object} [options]
+     * @param {boolean} [options.includeStrengths=false] - Ajoute les forces et faiblesses
+     * @param {boolean} [options.includeNextSteps=false] - Ajoute les pistes de travail
+     * @param {boolean} [options.anonymize=false] - Remplace les noms par "Élève N"
+     */
+    exportToDocx(options = {}) {
+        const results = appState.filteredResults;
+        if (!results || results.length === 0) {
+            UI.showNotification('Aucune donnée à exporter.', 'warning');
+            return;
+        }
+
+        try {
+            const report = this._buildDocxReport(results, options);
+            const bytes = DocxService.createDocx(DocxService.buildClassReport(report));
+            StorageManager._downloadFile(bytes, this._getExportFileName('docx'), DOCX_MIME_TYPE);
+
+            const count = results.length;
+            UI.showNotification(`Document Word exporté (${count} élève${count > 1 ? 's' : ''}, ${Utils.getPeriodLabel(appState.currentPeriod, true)}).`, 'success');
+        } catch (error) {
+            console.error('Erreur export DOCX:', error);
+            UI.showNotification("Échec de l'export Word.", 'error');
+        }
+    },
+
+    /**
+     * Rassemble les données du document Word : en-tête, indicateurs et synthèse
+     * de la classe, puis une ligne par élève.
+     * @param {Array<Object>} results - Élèves exportés, dans l'ordre d'affichage
+     * @param {Object} [options] - Voir exportToDocx
+     * @returns {Object} Rapport attendu par DocxService.buildClassReport
+     * @private
+     */
+    _buildDocxReport(results, { includeStrengths = false, includeNextSteps = false, anonymize = false } = {}) {
+        const classId = appState.currentClassId;
+        const period = appState.currentPeriod;
+        const scale = GradeScaleService.getScale(classId);
+        const anonymizeText = anonymize ? this._createAnonymizer(results) : (text) => text;
+        const cleanText = (text) => anonymizeText(Utils.stripMarkdown(Utils.decodeHtmlEntities(String(text ?? ''))).trim());
+
+        const stats = ClassDashboardManager.getStatsForClass(classId);
+        const statLines = stats ? [
+            { label: 'Élèves notés', value: String(stats.count) },
+            { label: 'Moyenne de la classe', value: GradeScaleService.format(stats.average, scale) },
+            { label: 'Médiane', value: GradeScaleService.format(stats.median, scale) },
+            { label: 'Note la plus basse / la plus haute', value: `${GradeScaleService.format(stats.min, scale)} / ${GradeScaleService.format(stats.max, scale)}` },
+            { label: 'Taux de réussite', value: `${Math.round(stats.successRate)} %` },
+            ...(stats.hasEvolutionData ? [{
+                label: 'Évolution',
+                value: `${stats.progressCount} en progrès, ${stats.stableCount} stable${stats.stableCount > 1 ? 's' : ''}, ${stats.regressionCount} en baisse`
+            }] : [])
+        ] : [];
+
+        const students = results.map((r, index) => {
+            const periodData = r.studentData?.periods?.[period] || {};
+            const grade = GradeScaleService.parse(periodData.grade, scale);
+
+            const evo = Utils.getRelevantEvolution(r.evolutions, period);
+            const evolution = evo && typeof evo.valeur === 'number'
+                ? `${evo.valeur > 0 ? '+' : ''}${String(evo.valeur).replace('.', ',')} ${GradeScaleService.getDiffUnit(evo.valeur, scale)}`
+                : '';
+
+            // Même source que l'export CSV : période assignée, sinon génération en attente de synchronisation
+            let appreciation = periodData.appreciation || '';
+            if (!appreciation && r.generationPeriod === period && r.appreciation) {
+                appreciation = r.appreciation;
+            }
+
+            const mention = CouncilRulesService.getMention(r, period);
+
+            return {
+                name: anonymize ? `Élève ${index + 1}` : Utils.formatStudentName(r.nom, r.prenom),
+                mention: mention ? `${mention.decision.label}${mention.source === 'proposal' ? ' (proposée)' : ''}` : '',
+                grade: isNaN(grade) ? '' : GradeScaleService.format(grade, scale),
+                evolution,
+                appreciation: cleanText(appreciation),
+                strengthsWeaknesses: includeStrengths && r.strengthsWeaknesses ? cleanText(r.strengthsWeaknesses) : '',
+                nextSteps: includeNextSteps && Array.isArray(r.nextSteps) ? r.nextSteps.map(cleanText).filter(Boolean) : []
+            };
+        });
+
+        return {
+            className: appState.classes?.find(c => c.id === classId)?.name || '',
+            periodLabel: Utils.getPeriodLabel(period, true),
+            subject: appState.currentSubject || '',
+            date: new Date().toLocaleDateString('fr-FR', { day: 'numeric', month: 'long', year: 'numeric' }),
+            stats: statLines,
+            synthesisHtml: anonymizeText(ClassDashboardManager.getSynthesisHTML(classId, period)),
+            students
+        };
+    },
+
+    /**
+     * Crée une fonction qui remplace les noms des élèves par "Élève N" dans un texte
+     * (nom complet dans les deux ordres, puis prénom et nom seuls). La casse est respectée : un nom
+     * est reconnu tel quel, en capitales ou avec une initiale capitale, pour qu'un nom comme « Petit »
+     * ne remplace pas « un petit effort ».
+     * @param {Array<Object>} results - Élèves, dans l'ordre de numérotation
+     * @returns {function(string): string}
+     * @private
+     */
+    _createAnonymizer(results) {
+        const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        // "DE LA FONTAINE" → "De La Fontaine", "jean-pierre" → "Jean-Pierre"
+        const capitalize = (text) => text.toLowerCase().replace(/(^|[\s'’-])(\p{L})/gu, (_, sep, letter) => sep + letter.toUpperCase());
+        const replacements = results
+            .flatMap((r, index) => {
+                const label = `Élève ${index + 1}`;
+                const prenom = (r.prenom || '').trim();
+                const nom = (r.nom || '').trim();
+                return [`${prenom} ${nom}`, `${nom} ${prenom}`, prenom, nom]
+                    .map(name => name.trim())
+                    .filter(name => name.length > 1)
+                    .flatMap(name => [...new Set([name, capitalize(name), name.toUpperCase()])])
+                    .map(name => ({ name, label }));
+            })
+            // Les noms les plus longs d'abord, pour ne pas couper un nom complet
+            .sort((a, b) => b.name.length - a.name.length)
+            .map(({ name, label }) => ({ pattern: new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(name)}(?![\\p{L}\\p{N}])`, 'gu'), label }));
+
+        return (text) => replacements.reduce((acc, { pattern, label }) => acc.replace(pattern, label), String(text ?? ''));
+    },
+
     /**
      * Copie les appréciations de plusieurs élèves
      * @param {Array<string>} ids - Liste des IDs
@@ -77,11 +77,26 @@ vi.mock('./StorageManager.js', () => ({
     }
 }));
 
+vi.mock('./ModalUIManager.js', () => ({
+    ModalUI: {
+        openModal: vi.fn(),
+        closeModal: vi.fn()
+    }
+}));
+
+vi.mock('./ClassDashboardManager.js', () => ({
+    ClassDashboardManager: {
+        getStatsForClass: vi.fn(() => null),
+        getSynthesisHTML: vi.fn(() => '')
+    }
+}));
+
 import { appState } from '../state/State.js';
 import { DOM } from '../utils/DOM.js';
 import { Utils } from '../utils/Utils.js';
 import { UI } from './UIManager.js';
 import { StorageManager } from './StorageManager.js';
+import { ClassDashboardManager } from './ClassDashboardManager.js';
 
 describe('ExportManager', () => {
     let mockApp;
@@ -330,6 +345,48 @@ describe('ExportManager', () => {
             expect(mimeType).toBe('text/csv;charset=utf-8;');
         });
 
+        it('should export socle positionings of the current period when students have some', () => {
+            appState.filteredResults = [{
+                nom: 'MARTIN',
+                prenom: 'Lucas',
+                studentData: {
+                    statuses: [],
+                    periods: { T1: { grade: 12, socle: { D1: 3, D4: 1 } }, T2: {}, T3: {} }
+                }
+            }];
+
+            ExportManager.exportToCsv();
+
+            const [content] = StorageManager._downloadFile.mock.calls[0];
+            const [header, row] = content.replace('\uFEFF', '').split('\n');
+            expect(header).toContain('Socle D1 T1;Socle D2 T1;Socle D3 T1;Socle D4 T1;Socle D5 T1');
+            expect(row).toContain('Maîtrise satisfaisante;;;Maîtrise insuffisante;');
+        });
+
+        it('should export the year synthesis apart from the last period appreciation', () => {
+            appState.filteredResults = [{
+                nom: 'MARTIN',
+                prenom: 'Lucas',
+                yearSynthesis: { appreciation: 'Une année de progrès réguliers.', recommendation: 'Passage en 4e' },
+                studentData: {
+                    statuses: [],
+                    periods: { T1: {}, T2: {}, T3: { appreciation: 'Bon trimestre.' } }
+                }
+            }, {
+                nom: 'DURAND',
+                prenom: 'Léa',
+                studentData: { statuses: [], periods: { T1: {}, T2: {}, T3: {} } }
+            }];
+
+            ExportManager.exportToCsv();
+
+            const [content] = StorageManager._downloadFile.mock.calls[0];
+            const [header, first, second] = content.replace('\uFEFF', '').split('\n');
+            expect(header).toContain('App T3;Bilan annuel;Recommandation;');
+            expect(first).toContain('Bon trimestre.;Une année de progrès réguliers.;Passage en 4e;');
+            expect(second).toContain(';;;');
+        });
+
         it('should show success notification', () => {
             appState.filteredResults = [{
                 nom: 'MARTIN',
@@ -455,4 +512,81 @@ describe('ExportManager', () => {
             consoleSpy.mockRestore();
         });
     });
+
+    describe('exportToDocx', () => {
+        const students = [
+            {
+                id: '1', nom: 'MARTIN', prenom: 'Léa',
+                studentData: { periods: { T1: { grade: 14.5, appreciation: '**Léa** progresse, bravo Léa MARTIN.' } } },
+                strengthsWeaknesses: '- Rigueur de Léa',
+                nextSteps: ['Aider Lucas']
+            },
+            {
+                id: '2', nom: 'DURAND', prenom: 'Lucas',
+                studentData: { periods: { T1: {} } },
+                generationPeriod: 'T1',
+                appreciation: 'Lucas doit travailler.'
+            }
+        ];
+
+        it('should gather grades, appreciations and the class synthesis', () => {
+            ClassDashboardManager.getStatsForClass.mockReturnValueOnce({
+                count: 1, average: 14.5, median: 14.5, min: 14.5, max: 14.5, successRate: 100, hasEvolutionData: false
+            });
+            ClassDashboardManager.getSynthesisHTML.mockReturnValueOnce('<p>Léa est moteur.</p>');
+
+            const report = ExportManager._buildDocxReport(students, { includeNextSteps: true });
+
+            expect(report.periodLabel).toBe('T1');
+            expect(report.stats.find(s => s.label === 'Moyenne de la classe').value).toBe('14,5/20');
+            expect(report.synthesisHtml).toBe('<p>Léa est moteur.</p>');
+            expect(report.students[0]).toMatchObject({
+                name: 'MARTIN Léa',
+                grade: '14,5/20',
+                appreciation: '**Léa** progresse, bravo Léa MARTIN.',
+                strengthsWeaknesses: '',
+                nextSteps: ['Aider Lucas']
+            });
+            expect(report.students[1]).toMatchObject({ grade: '', appreciation: 'Lucas doit travailler.', nextSteps: [] });
+        });
+
+        it('should replace student names everywhere when anonymizing', () => {
+            ClassDashboardManager.getSynthesisHTML.mockReturnValueOnce('<p>Léa et Lucas DURAND progressent.</p>');
+
+            const report = ExportManager._buildDocxReport(students, { includeStrengths: true, includeNextSteps: true, anonymize: true });
+
+            expect(report.students.map(s => s.name)).toEqual(['Élève 1', 'Élève 2']);
+            expect(report.students[0].appreciation).toBe('**Élève 1** progresse, bravo Élève 1.');
+            expect(report.students[0].strengthsWeaknesses).toBe('- Rigueur de Élève 1');
+            expect(report.students[0].nextSteps).toEqual(['Aider Élève 2']);
+            expect(report.synthesisHtml).toBe('<p>Élève 1 et Élève 2 progressent.</p>');
+        });
+
+        it('should not anonymize ordinary words that match a surname', () => {
+            const anonymize = ExportManager._createAnonymizer([{ nom: 'PETIT', prenom: 'Rose' }, { nom: 'BLANC', prenom: 'Jean-Marc' }]);
+
+            expect(anonymize('Rose Petit fournit un petit effort, une rose et un tableau blanc.'))
+                .toBe('Élève 1 fournit un petit effort, une rose et un tableau blanc.');
+            expect(anonymize('PETIT progresse, Blanc aussi ; bravo JEAN-MARC.')).toBe('Élève 1 progresse, Élève 2 aussi ; bravo Élève 2.');
+        });
+
+        it('should download a docx file', () => {
+            appState.filteredResults = students;
+
+            ExportManager.exportToDocx();
+
+            const [bytes, filename, type] = StorageManager._downloadFile.mock.calls[0];
+            expect(bytes).toBeInstanceOf(Uint8Array);
+            expect(filename).toMatch(/^bulletin-ai_T1_\d{4}-\d{2}-\d{2}\.docx$/);
+            expect(type).toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+            expect(UI.showNotification).toHaveBeenCalledWith('Document Word exporté (2 élèves, T1).', 'success');
+        });
+
+        it('should warn when there is nothing to export', () => {
+            ExportManager.exportToDocx();
+
+            expect(StorageManager._downloadFile).not.toHaveBeenCalled();
+            expect(UI.showNotification).toHaveBeenCalledWith('Aucune donnée à exporter.', 'warning');
+        });
+    });
 });
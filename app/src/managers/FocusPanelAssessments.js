@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Focus Panel Assessments Manager
+ * Shows the detailed assessments of the current period (imported from a Pronote relevé de notes):
+ * a sparkline of the marks, the absences/dispenses and each assessment as a chip
+ * @module managers/FocusPanelAssessments
+ */
+
+import { appState } from '../state/State.js';
+import { Utils } from '../utils/Utils.js';
+import { renderSparkline } from '../utils/Sparkline.js';
+import { AssessmentsService, ASSESSMENT_STATUSES } from '../services/AssessmentsService.js';
+import { DEFAULT_GRADE_SCALE } from '../services/GradeScaleService.js';
+
+/**
+ * Read-only assessments card
+ * @namespace FocusPanelAssessments
+ */
+export const FocusPanelAssessments = {
+    /**
+     * Render the card for the current period
+     * Hidden when the student has no detailed assessments for the period
+     * @param {Object} result - Student result object
+     */
+    render(result) {
+        const section = document.getElementById('focusAssessmentsSection');
+        const body = document.getElementById('focusAssessmentsBody');
+        if (!section || !body) return;
+
+        const period = appState.currentPeriod;
+        const assessments = AssessmentsService.getAssessments(result?.studentData, period);
+        section.hidden = assessments.length === 0;
+        if (assessments.length === 0) return;
+
+        const periodBadge = document.getElementById('focusAssessmentsPeriod');
+        if (periodBadge) periodBadge.textContent = period;
+
+        const marked = AssessmentsService.getMarked(assessments);
+        const counts = AssessmentsService.countStatuses(assessments);
+        const summary = [`${marked.length} note${marked.length > 1 ? 's' : ''}`]
+            .concat(ASSESSMENT_STATUSES.filter(s => counts[s.id] > 0).map(s => `${counts[s.id]} ${s.code}`))
+            .join(' · ');
+
+        const chips = assessments.map(a => {
+            const status = ASSESSMENT_STATUSES.find(s => s.id === a.status);
+            const value = status ? status.code : `${String(a.mark).replace('.', ',')}/${a.max}`;
+            const tooltip = [a.date, a.coef !== 1 ? `coef. ${a.coef}` : ''].filter(Boolean).join(' · ');
+            const gradeClass = status ? 'is-status' : Utils.getGradeClass((a.mark / a.max) * 20, DEFAULT_GRADE_SCALE);
+            return `<span class="assessment-chip ${gradeClass}"${tooltip ? ` data-tooltip="${Utils.escapeHtml(tooltip)}"` : ''}>${Utils.escapeHtml(String(value))}</span>`;
+        }).join('');
+
+        body.innerHTML = `
+            <div class="assessments-trend">
+                ${renderSparkline(AssessmentsService.getMarksOnTwenty(assessments), {
+                    min: 0, max: 20, label: 'Évolution des notes de la période', className: 'assessments-sparkline', width: 200, height: 48, radius: 3
+                })}
+                <span class="assessments-summary">${summary}</span>
+            </div>
+            <div class="assessments-chips">${chips}</div>
+        `;
+    }
+};
@@ -11,6 +11,7 @@ import { StudentPhotoManager } from './StudentPhotoManager.js';
 import { ClassUIManager } from './ClassUIManager.js';
 import { StorageManager } from './StorageManager.js';
 import { FocusPanelHistory } from './FocusPanelHistory.js';
+import { StatusService } from '../services/StatusService.js';
 
 export const FocusPanelHeader = {
     // Callbacks to main manager
@@ -30,16 +31,6 @@ export const FocusPanelHeader = {
     _originalHeaderValues: null,
 
 
-    // Definitions
-    _statusDescriptions: {
-        'Nouveau': 'Élève arrivé récemment dans la classe',
-        'Départ': 'Élève qui quitte la classe prochainement',
-        'PPRE': 'Programme Personnalisé de Réussite Éducative',
-        'PAP': 'Plan d\'Accompagnement Personnalisé',
-        'ULIS': 'Unité Localisée pour l\'Inclusion Scolaire',
-        'Délégué': 'Délégué de classe'
-    },
-
     /**
      * Initialize the module
      * @param {Object} callbacks - Functions to interact with parent manager
@@ -162,18 +153,10 @@ export const FocusPanelHeader = {
                 };
 
                 // Populate Statuses
-                const checkboxes = editMode.querySelectorAll('input[type="checkbox"]');
                 const currentStatuses = result.studentData.statuses || [];
-                checkboxes.forEach(cb => {
+                this.renderStatusOptions(currentStatuses);
+                editMode.querySelectorAll('input[type="checkbox"]').forEach(cb => {
                     cb.checked = currentStatuses.includes(cb.value);
-
-                    // Add tooltip to parent label
-                    const label = cb.closest('label');
-                    if (label) {
-                        const description = this._statusDescriptions[cb.value] || cb.value;
-                        label.setAttribute('data-tooltip', description);
-                        label.classList.add('tooltip');
-                    }
                 });
 
                 // Initialize tooltips for these new elements
@@ -195,9 +178,8 @@ export const FocusPanelHeader = {
                     statuses: []
                 };
 
-                // Uncheck all statuses
-                const checkboxes = editMode.querySelectorAll('input[type="checkbox"]');
-                checkboxes.forEach(cb => cb.checked = false);
+                // Fresh, unchecked statuses
+                this.renderStatusOptions([]);
 
                 // Focus Name
                 if (nomInput) setTimeout(() => nomInput.focus(), 100);
@@ -332,8 +314,8 @@ export const FocusPanelHeader = {
                     }
 
                     if (data.grade !== undefined && data.grade !== '') {
-                        const num = parseFloat(data.grade.toString().replace(',', '.'));
-                        if (!isNaN(num)) result.studentData.periods[period].grade = num;
+                        const num = Utils.parseGradeInput(data.grade);
+                        if (num !== null) result.studentData.periods[period].grade = num;
                     }
                     if (data.appreciation !== undefined) {
                         result.studentData.periods[period].appreciation = data.appreciation;
@@ -381,10 +363,8 @@ export const FocusPanelHeader = {
                     if (!result.studentData.periods[period]) result.studentData.periods[period] = {};
 
                     if (data.grade !== undefined) {
-                        // Parse grade duplicate logic from FocusPanelManager._parseGrade but simple here
-                        const num = parseFloat(data.grade.toString().replace(',', '.'));
-                        const grade = isNaN(num) ? undefined : num;
-                        if (grade !== undefined) result.studentData.periods[period].grade = grade;
+                        const grade = Utils.parseGradeInput(data.grade);
+                        if (grade !== null) result.studentData.periods[period].grade = grade;
                     }
                     if (data.appreciation !== undefined) {
                         result.studentData.periods[period].appreciation = data.appreciation;
@@ -468,6 +448,26 @@ export const FocusPanelHeader = {
         `;
     },
 
+    /**
+     * Renders the status checkboxes of the edit mode from the status catalogue.
+     * Statuses carried by the student but absent from the catalogue (imports, "Nouveau T2")
+     * get their own pill so that saving does not drop them.
+     * @param {string[]} currentStatuses - Statuses of the edited student
+     */
+    renderStatusOptions(currentStatuses = []) {
+        const container = document.querySelector('.focus-header-edit .focus-status-selection');
+        if (!container) return;
+
+        const catalogueLabels = StatusService.getCatalogue().map(s => s.label);
+        const extraStatuses = currentStatuses.filter(s => !catalogueLabels.includes(s));
+
+        container.innerHTML = [...catalogueLabels, ...extraStatuses].map(status => {
+            const colorClass = Utils.getStatusBadgeInfo(status).className.replace('tag-badge', '').trim();
+            const label = Utils.escapeHtml(status);
+            return `<label class="status-pill-check ${colorClass} tooltip" data-tooltip="${Utils.escapeHtml(StatusService.getDescription(status))}"><input type="checkbox" value="${label}"> ${label}</label>`;
+        }).join('');
+    },
+
     /**
      * Renders status badges logically split between panels
      * @param {Array} statuses 
@@ -481,7 +481,7 @@ export const FocusPanelHeader = {
 
         statuses.forEach(s => {
             const badgeInfo = Utils.getStatusBadgeInfo(s);
-            const tooltip = this._statusDescriptions[s] || s;
+            const tooltip = Utils.escapeHtml(StatusService.getDescription(s));
             const html = `<span class="${badgeInfo.className} tooltip status-badge-clickable" 
                           data-tooltip="${tooltip}" 
                           role="button" 
@@ -489,7 +489,7 @@ export const FocusPanelHeader = {
 
             // "Nouveau" and "Départ" are general/administrative, they stay in main header
             // Everything else moves to the Contexte card where it belongs logically
-            if (s === 'Nouveau' || s === 'Départ') {
+            if (StatusService.isMovement(s)) {
                 headerHtml += html;
             } else {
                 contextHtml += html;
@@ -147,6 +147,95 @@ export const FocusPanelHistory = {
         this._notifyHistoryChange();
     },
 
+    // ==================== YEAR SYNTHESIS HISTORY ====================
+    // The bilan annuel has its own history in result.yearSynthesis.history, kept apart
+    // from the last period's appreciation. Each version also carries its recommendation.
+
+    /**
+     * @returns {Object|null} Year synthesis history state, null if no synthesis was written yet
+     * @private
+     */
+    _getYearSynthesisState() {
+        const result = this._getResult();
+        if (!result?.yearSynthesis) return null;
+        if (!result.yearSynthesis.history) result.yearSynthesis.history = { versions: [], currentIndex: -1 };
+        return result.yearSynthesis.history;
+    },
+
+    /**
+     * Record the current year synthesis as a new version
+     * @param {string} [source='edit'] - 'original' (generation), 'regenerate' or 'edit'
+     * @returns {boolean} True if a version was added or updated
+     */
+    pushYearSynthesis(source = 'edit') {
+        const state = this._getYearSynthesisState();
+        const synthesis = this._getResult()?.yearSynthesis;
+        if (!state || !synthesis?.appreciation) return false;
+
+        const appreciationSource = source === 'edit' ? 'manual' : 'ai';
+        const aiModel = source === 'edit' ? null : synthesis.aiModel ?? null;
+        const added = HistoryUtils.pushToState(state, synthesis.appreciation, source, appreciationSource, aiModel);
+        const current = state.versions[state.currentIndex];
+        // Same appreciation but edited recommendation: update the current version in place
+        const changed = added || (current && (current.recommendation || '') !== (synthesis.recommendation || ''));
+        if (current) current.recommendation = synthesis.recommendation || '';
+
+        if (changed) {
+            this._save();
+            this._notifyHistoryChange();
+        }
+        return !!changed;
+    },
+
+    /**
+     * Step back in the year synthesis history
+     * @returns {Object|null} Restored version, or null
+     */
+    undoYearSynthesis() {
+        return this._applyYearSynthesisVersion(HistoryUtils.undo(this._getYearSynthesisState()));
+    },
+
+    /**
+     * Step forward in the year synthesis history
+     * @returns {Object|null} Restored version, or null
+     */
+    redoYearSynthesis() {
+        return this._applyYearSynthesisVersion(HistoryUtils.redo(this._getYearSynthesisState()));
+    },
+
+    /**
+     * @returns {{current: number, total: number, canUndo: boolean, canRedo: boolean}}
+     */
+    getYearSynthesisVersionInfo() {
+        const state = this._getYearSynthesisState();
+        if (!state || state.versions.length === 0) {
+            return { current: 0, total: 0, canUndo: false, canRedo: false };
+        }
+        return {
+            current: state.currentIndex + 1,
+            total: state.versions.length,
+            canUndo: !!HistoryUtils.canUndo(state),
+            canRedo: !!HistoryUtils.canRedo(state)
+        };
+    },
+
+    /**
+     * Write a history version back to result.yearSynthesis
+     * @param {Object|null} version
+     * @returns {Object|null}
+     * @private
+     */
+    _applyYearSynthesisVersion(version) {
+        const result = this._getResult();
+        if (!version || !result) return null;
+
+        result.yearSynthesis.appreciation = version.content;
+        result.yearSynthesis.recommendation = version.recommendation || '';
+        this._save();
+        this._notifyHistoryChange();
+        return version;
+    },
+
     getModificationCount() {
         return HistoryUtils.getModificationCount(this._getState());
     },
@@ -199,6 +288,7 @@ export const FocusPanelHistory = {
             'detailed': 'Détaillée',
             'encouraging': 'Encourageante',
             'variation': 'Variation',
+            'fix': 'Corrigée',
             'regenerate': 'Régénéré'
         };
 
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Focus Panel Lint Manager
+ * Lists the linter issues of the appreciation shown in the focus panel,
+ * with a one-click AI fix per issue (refinement type 'fix')
+ * @module managers/FocusPanelLint
+ */
+
+import { appState } from '../state/State.js';
+import { Utils } from '../utils/Utils.js';
+import { LintService } from '../services/LintService.js';
+
+/** Icon per severity */
+const SEVERITY_ICONS = {
+    error: 'solar:danger-circle-bold',
+    warning: 'solar:danger-triangle-bold',
+    info: 'solar:info-circle-bold'
+};
+
+/**
+ * Lint issues list controller
+ * @namespace FocusPanelLint
+ */
+export const FocusPanelLint = {
+    /**
+     * Callback functions set by parent manager
+     * @private
+     */
+    _callbacks: {
+        getCurrentStudentId: null,
+        onFix: null
+    },
+
+    /**
+     * Issues currently displayed (index matches data-issue-index)
+     * @private
+     */
+    _issues: [],
+
+    /**
+     * Initialize with callbacks from parent manager
+     * @param {Object} callbacks - Callback functions
+     * @param {Function} callbacks.getCurrentStudentId - () => string|null
+     * @param {Function} callbacks.onFix - (refineType, options) => Promise, runs the refinement
+     *        (options: { instruction } for 'fix', { charLimit } for 'concise')
+     */
+    init(callbacks = {}) {
+        this._callbacks = { ...this._callbacks, ...callbacks };
+        this._setupListeners();
+    },
+
+    /**
+     * Setup the delegated fix button listener
+     * @private
+     */
+    _setupListeners() {
+        document.getElementById('focusLintIssues')?.addEventListener('click', async (e) => {
+            const btn = e.target.closest('[data-issue-index]');
+            if (!btn || btn.classList.contains('is-generating')) return;
+
+            const issue = this._issues[Number(btn.dataset.issueIndex)];
+            if (!issue?.fix) return;
+
+            const { type, ...options } = issue.fix;
+            await this._callbacks.onFix?.(type, { ...options, button: btn });
+        });
+    },
+
+    /**
+     * Render the issues of the current appreciation
+     * Hidden in creation mode and when nothing is reported
+     * @param {Object} result - Student result object
+     */
+    render(result) {
+        const list = document.getElementById('focusLintIssues');
+        if (!list) return;
+
+        const isCurrent = !!result?.id && result.id === this._callbacks.getCurrentStudentId?.();
+        this._issues = isCurrent ? LintService.lintResult(result, appState.currentPeriod) : [];
+
+        list.hidden = this._issues.length === 0;
+        list.innerHTML = this._issues.map((issue, index) => `
+            <li class="focus-lint-issue lint-${issue.severity}">
+                <iconify-icon icon="${SEVERITY_ICONS[issue.severity]}"></iconify-icon>
+                <span class="focus-lint-message">${Utils.escapeHtml(issue.message)}</span>
+                ${issue.fix ? `
+                <button type="button" class="btn btn-ai-outline btn-tiny" data-issue-index="${index}">
+                    <iconify-icon icon="solar:magic-stick-3-linear"></iconify-icon> Corriger
+                </button>` : ''}
+            </li>`).join('');
+    }
+};
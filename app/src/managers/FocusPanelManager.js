@@ -20,6 +20,10 @@ import { StatsUI } from './StatsUIManager.js';
 import { TooltipsUI } from './TooltipsManager.js';
 import { FocusPanelHistory } from './FocusPanelHistory.js';
 import { FocusPanelJournal } from './FocusPanelJournal.js';
+import { FocusPanelSocle } from './FocusPanelSocle.js';
+import { FocusPanelAssessments } from './FocusPanelAssessments.js';
+import { FocusPanelYearSynthesis } from './FocusPanelYearSynthesis.js';
+import { FocusPanelLint } from './FocusPanelLint.js';
 import { FocusPanelAnalysis } from './FocusPanelAnalysis.js';
 import { FocusPanelHeader } from './FocusPanelHeader.js';
 import { FocusPanelNavigation } from './FocusPanelNavigation.js';
@@ -93,6 +97,23 @@ export const FocusPanelManager = {
             onStatusRefresh: () => FocusPanelStatus.refreshAppreciationStatus()
         });
 
+        // Initialize Socle module (LSU positioning) with callbacks
+        FocusPanelSocle.init({
+            getCurrentStudentId: () => this.currentStudentId,
+            onStatusRefresh: () => FocusPanelStatus.refreshAppreciationStatus()
+        });
+
+        // Initialize Year Synthesis module (bilan annuel, last period only)
+        FocusPanelYearSynthesis.init({
+            getCurrentStudentId: () => this.currentStudentId
+        }, AppreciationsManager);
+
+        // Initialize Lint module (relecture, one-click fix through the refinement pipeline)
+        FocusPanelLint.init({
+            getCurrentStudentId: () => this.currentStudentId,
+            onFix: (refineType, options) => FocusPanelRefinement.apply(refineType, options)
+        });
+
         // Initialize Analysis module with callbacks and references
         FocusPanelAnalysis.init({
             getCurrentStudentId: () => this.currentStudentId
@@ -304,9 +325,8 @@ export const FocusPanelManager = {
 
             // 1. Grade Input
             if (target.id === 'focusCurrentGradeInput' || target.id === 'focusEditGradeInput') {
-                const val = target.value.replace(',', '.');
-                let numVal = val === '' ? null : parseFloat(val);
-                if (isNaN(numVal)) numVal = null; // Store as null if invalid
+                // Store as null if empty or invalid for the class grade scale
+                const numVal = Utils.parseGradeInput(target.value);
 
                 // Init structure if missing
                 if (!result.studentData.periods) result.studentData.periods = {};
@@ -1345,13 +1365,13 @@ export const FocusPanelManager = {
 
         // Get grade from focus panel
         const gradeInput = document.getElementById('focusCurrentGradeInput');
-        const grade = gradeInput?.value.trim().replace(',', '.');
+        const grade = Utils.parseGradeInput(gradeInput?.value ?? '');
 
-        if (grade) {
+        if (grade !== null) {
             if (!result.studentData.periods[generatingForPeriod]) {
                 result.studentData.periods[generatingForPeriod] = {};
             }
-            result.studentData.periods[generatingForPeriod].grade = parseFloat(grade);
+            result.studentData.periods[generatingForPeriod].grade = grade;
         }
 
         // Update generate button to loading
@@ -1366,12 +1386,19 @@ export const FocusPanelManager = {
 
         const appreciationEl = document.getElementById('focusAppreciationText');
 
+        // Streaming: render the text as it grows (replaces the typewriter once the first chunk arrives)
+        let hasStreamed = false;
+        const onChunk = (partialText) => {
+            if (signal.aborted || this.currentStudentId !== generatingForStudentId) return;
+            if (this._renderStreamingText(partialText)) hasStreamed = true;
+        };
+
         try {
             // Use existing appreciation generation logic
             // Use centralized data preparation
             const studentData = this._prepareStudentData(generatingForStudentId, generatingForPeriod, result);
 
-            const newResult = await AppreciationsManager.generateAppreciation(studentData, false, null, signal, 'single-student');
+            const newResult = await AppreciationsManager.generateAppreciation(studentData, false, null, signal, 'single-student', onChunk);
 
             // Check if signal was aborted
             if (signal.aborted) {
@@ -1433,7 +1460,12 @@ export const FocusPanelManager = {
 
                 if (stillOnSameStudent) {
                     const appreciationEl = document.getElementById('focusAppreciationText');
-                    if (appreciationEl) {
+                    if (appreciationEl && hasStreamed) {
+                        // Text already visible: swap in the final (cleaned) version without replaying it
+                        appreciationEl.classList.remove('streaming');
+                        appreciationEl.innerHTML = Utils.decodeHtmlEntities(Utils.cleanMarkdown(newResult.appreciation));
+                        FocusPanelStatus.updateWordCount();
+                    } else if (appreciationEl) {
                         // Clear skeleton and show text with typewriter effect
                         appreciationEl.classList.remove('empty');
 
@@ -1516,6 +1548,7 @@ export const FocusPanelManager = {
                 // Only touch UI if still on the same student
                 if (this.currentStudentId === generatingForStudentId) {
                     if (generateBtn) UI.hideInlineSpinner(generateBtn);
+                    document.getElementById('focusAppreciationText')?.classList.remove('streaming');
 
                     // Reset Card UI to sync with model (e.g. if aborted)
                     // This ensures badge and appreciation text are restored to valid state
@@ -1533,6 +1566,23 @@ export const FocusPanelManager = {
         }
     },
 
+    /**
+     * Render partial streamed text in the appreciation area (replaces the skeleton)
+     * @param {string} partialText - Text received so far
+     * @returns {boolean} True if something was rendered
+     * @private
+     */
+    _renderStreamingText(partialText) {
+        const appreciationEl = document.getElementById('focusAppreciationText');
+        if (!appreciationEl || !partialText) return false;
+
+        appreciationEl.classList.remove('empty');
+        appreciationEl.classList.add('streaming');
+        appreciationEl.innerHTML = Utils.decodeHtmlEntities(Utils.cleanMarkdown(partialText));
+        FocusPanelStatus.updateWordCount();
+        return true;
+    },
+
     /**
      * Show skeleton loading in appreciation area
      * @private
@@ -1747,7 +1797,7 @@ export const FocusPanelManager = {
         const getTooltipText = (period, gradeVal, evalCount, isCurrent = false) => {
             const periodLabel = Utils.getPeriodLabel(period, true);
             const displayGrade = (gradeVal !== undefined && gradeVal !== null && gradeVal !== '')
-                ? parseFloat(gradeVal).toFixed(1).replace('.', ',')
+                ? Utils.formatGrade(parseFloat(gradeVal))
                 : '--';
             const suffix = isCurrent ? ' (Période actuelle)' : '';
             let tooltip = `${periodLabel}${suffix} : ${displayGrade}`;
@@ -1772,7 +1822,7 @@ export const FocusPanelManager = {
                 const chip = document.createElement('span');
                 chip.className = 'previous-grade-chip';
                 const displayGrade = (grade !== undefined && grade !== null && grade !== '')
-                    ? parseFloat(grade).toFixed(1).replace('.', ',')
+                    ? Utils.formatGrade(parseFloat(grade))
                     : '--';
 
                 const gradeClass = (grade !== undefined && grade !== null && grade !== '')
@@ -1830,7 +1880,7 @@ export const FocusPanelManager = {
             const evalCount = currentPeriodData.evaluationCount;
 
             gradeInput.value = (currentGrade !== undefined && currentGrade !== null)
-                ? parseFloat(currentGrade).toFixed(1).replace('.', ',')
+                ? Utils.formatGrade(parseFloat(currentGrade))
                 : '';
 
             const initialGradeClass = (currentGrade !== undefined && currentGrade !== null)
@@ -1847,14 +1897,13 @@ export const FocusPanelManager = {
 
             // Add input listener for grade changes
             gradeInput.oninput = () => {
-                const val = gradeInput.value.replace(',', '.');
-                const grade = parseFloat(val);
+                const grade = Utils.parseGradeInput(gradeInput.value);
                 
                 // Reset to default class
                 gradeInput.className = 'context-grade-input grade-value';
                 
                 let gradeToSave = null;
-                if (!isNaN(grade)) {
+                if (grade !== null) {
                     const gradeClass = Utils.getGradeClass(grade);
                     if (gradeClass) {
                         gradeInput.classList.add(gradeClass);
@@ -1924,6 +1973,18 @@ export const FocusPanelManager = {
 
         // === 13. JOURNAL DE BORD ===
         FocusPanelJournal.render(result);
+
+        // === 14. ÉVALUATIONS (relevé de notes) ===
+        FocusPanelAssessments.render(result);
+
+        // === 14b. SOCLE COMMUN (positionnement LSU) ===
+        FocusPanelSocle.render(result);
+
+        // === 15. BILAN ANNUEL (dernière période) ===
+        FocusPanelYearSynthesis.render(result);
+
+        // === 16. RELECTURE (linter) ===
+        FocusPanelLint.render(result);
     },
 
 
@@ -2035,8 +2096,7 @@ export const FocusPanelManager = {
         // Save grade
         const gradeInput = document.getElementById('focusCurrentGradeInput');
         if (gradeInput) {
-            const gradeStr = gradeInput.value.trim().replace(',', '.');
-            const newGrade = gradeStr === '' ? null : parseFloat(gradeStr);
+            const newGrade = Utils.parseGradeInput(gradeInput.value);
             const existingGrade = result.studentData.periods[currentPeriod]?.grade ?? null;
             if (newGrade !== existingGrade) {
                 if (!result.studentData.periods[currentPeriod]) {
@@ -2113,6 +2173,11 @@ export const FocusPanelManager = {
     async _updateListRow(result) {
         if (!result) return;
 
+        // Lint issues follow every change of the displayed appreciation
+        if (result.id === this.currentStudentId) {
+            FocusPanelLint.render(result);
+        }
+
         // Sync with appState.filteredResults
         const filteredIndex = appState.filteredResults?.findIndex(r => r.id === result.id);
         if (filteredIndex > -1) {
@@ -7,6 +7,7 @@
 import { appState } from '../state/State.js';
 import { Utils } from '../utils/Utils.js';
 import { PromptService } from '../services/PromptService.js';
+import { LintService } from '../services/LintService.js';
 import { ModalUI } from './ModalUIManager.js';
 import { FocusPanelHistory } from './FocusPanelHistory.js';
 import { FocusPanelStatus } from './FocusPanelStatus.js';
@@ -135,9 +136,11 @@ export const FocusPanelRefinement = {
 
     /**
      * Apply a refinement style to the appreciation
-     * @param {string} refineType - Type of refinement (concise, detailed, encouraging, variations, polish)
+     * @param {string} refineType - Type of refinement (concise, detailed, encouraging, variations, polish, fix)
+     * @param {Object} [options] - Prompt options ({ instruction } for 'fix', { charLimit } for 'concise')
+     * @param {HTMLElement} [options.button] - Button showing the loading state (defaults to the refinement button)
      */
-    async apply(refineType) {
+    async apply(refineType, options = {}) {
         const appreciationText = document.getElementById('focusAppreciationText');
         if (!appreciationText) return;
 
@@ -149,9 +152,17 @@ export const FocusPanelRefinement = {
 
         FocusPanelHistory.push(currentText);
 
-        const btn = document.querySelector(`[data-refine-type="${refineType}"]`);
+        const { button, ...promptOptions } = options;
+        const btn = button || document.querySelector(`[data-refine-type="${refineType}"]`);
         if (!btn) return;
 
+        // 'Concise' also brings an over-limit text back under the class character limit
+        if (refineType === 'concise' && !promptOptions.charLimit) {
+            const student = appState.generatedResults.find(r => r.id === panel.currentStudentId);
+            const charLimit = LintService.getCharLimit(student?.classId ?? appState.currentClassId);
+            if (charLimit && currentText.length > charLimit) promptOptions.charLimit = charLimit;
+        }
+
         btn.classList.add('is-generating');
         FocusPanelStatus.updateAppreciationStatus(null, { state: 'pending' });
 
@@ -167,7 +178,7 @@ export const FocusPanelRefinement = {
             const result = appState.generatedResults.find(r => r.id === panel.currentStudentId);
             if (!result) return;
 
-            const response = await VariationsManager.applyRefinement(currentText, refineType, signal);
+            const response = await VariationsManager.applyRefinement(currentText, refineType, signal, promptOptions);
 
             if (signal.aborted) return;
 
@@ -218,7 +229,8 @@ export const FocusPanelRefinement = {
                 FocusPanelStatus.updateAppreciationStatus(result, { state: 'generated' });
                 FocusPanelStatus.updateSourceIndicator(result);
 
-                UI.updateStats();
+                // Refreshes the list row, the lint report and the stats
+                panel._updateListRow(result);
             }
         } catch (error) {
             const isAborted = error.name === 'AbortError'
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Focus Panel Socle Manager
+ * Handles the socle commun positioning (LSU domains D1-D5) of the current period
+ * @module managers/FocusPanelSocle
+ */
+
+import { appState } from '../state/State.js';
+import { StorageManager } from './StorageManager.js';
+import { SocleService, SOCLE_DOMAINS, SOCLE_LEVELS } from '../services/SocleService.js';
+
+/**
+ * Socle commun positioning grid
+ * @namespace FocusPanelSocle
+ */
+export const FocusPanelSocle = {
+    /**
+     * Callback functions set by parent manager
+     * @private
+     */
+    _callbacks: {
+        getCurrentStudentId: null,
+        onStatusRefresh: null
+    },
+
+    /**
+     * Initialize with callbacks from parent manager
+     * @param {Object} callbacks - Callback functions
+     * @param {Function} callbacks.getCurrentStudentId - () => string|null
+     * @param {Function} callbacks.onStatusRefresh - () => void
+     */
+    init(callbacks = {}) {
+        this._callbacks = { ...this._callbacks, ...callbacks };
+        this._setupListeners();
+    },
+
+    /**
+     * Setup click delegation on the level buttons
+     * @private
+     */
+    _setupListeners() {
+        const grid = document.getElementById('focusSocleGrid');
+        if (!grid) return;
+
+        grid.addEventListener('click', (e) => {
+            const btn = e.target.closest('.socle-level-btn');
+            if (!btn) return;
+            this._setLevel(btn.dataset.domain, parseInt(btn.dataset.level, 10));
+        });
+    },
+
+    /**
+     * Render the grid for the current period
+     * Hidden in creation mode, or when the class does not use the socle and the student has no positioning
+     * @param {Object} result - Student result object
+     */
+    render(result) {
+        const section = document.getElementById('focusSocleSection');
+        const grid = document.getElementById('focusSocleGrid');
+        if (!section || !grid) return;
+
+        const period = appState.currentPeriod;
+        const positionings = SocleService.getPositionings(result?.studentData, period);
+        const isVisible = !!result?.id && (SocleService.isEnabled(result.classId) || Object.keys(positionings).length > 0);
+
+        section.hidden = !isVisible;
+        if (!isVisible) return;
+
+        const periodBadge = document.getElementById('focusSoclePeriod');
+        if (periodBadge) periodBadge.textContent = period;
+
+        grid.innerHTML = SOCLE_DOMAINS.map(domain => `
+            <div class="socle-grid-row">
+                <span class="socle-grid-domain tooltip" data-tooltip="${domain.label}">
+                    <strong>${domain.id}</strong> ${domain.short}
+                </span>
+                <div class="socle-level-group" role="group" aria-label="${domain.id} ${domain.label}">
+                    ${SOCLE_LEVELS.map(level => {
+                        const isActive = positionings[domain.id] === level.value;
+                        return `<button type="button" class="socle-level-btn level-${level.value}${isActive ? ' active' : ''}"
+                            data-domain="${domain.id}" data-level="${level.value}" title="${level.label}"
+                            aria-pressed="${isActive}">${level.short}</button>`;
+                    }).join('')}
+                </div>
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Toggle a level for a domain (clicking the active level clears it)
+     * @param {string} domainId - 'D1' to 'D5'
+     * @param {number} level - 1 to 4
+     * @private
+     */
+    _setLevel(domainId, level) {
+        const studentId = this._callbacks.getCurrentStudentId?.();
+        const result = studentId ? appState.generatedResults.find(r => r.id === studentId) : null;
+        if (!result) return;
+
+        const period = appState.currentPeriod;
+        const current = SocleService.getPositionings(result.studentData, period)[domainId];
+        SocleService.setPositioning(result.studentData, period, domainId, current === level ? null : level);
+        result._lastModified = Date.now();
+
+        StorageManager.saveAppState();
+        this.render(result);
+        this._callbacks.onStatusRefresh?.();
+    }
+};
@@ -11,6 +11,7 @@ import { StatsUI } from './StatsUIManager.js';
 import { FocusPanelHistory } from './FocusPanelHistory.js';
 import { JournalManager } from './JournalManager.js';
 import { PromptService } from '../services/PromptService.js';
+import { LintService } from '../services/LintService.js';
 import { SpeechSynthesisManager } from './SpeechSynthesisManager.js';
 
 /**
@@ -429,6 +430,8 @@ export const FocusPanelStatus = {
             return;
         }
 
+        this._updateCharLimit(isEmpty ? 0 : charCount);
+
         // Update refinement buttons state
         const refinementOptions = document.getElementById('focusRefinementOptions');
         if (refinementOptions) {
@@ -486,6 +489,31 @@ export const FocusPanelStatus = {
         }
     },
 
+    /**
+     * Show the character count against the class limit (Pronote/LSU fields)
+     * Hidden without limit or text; warning state from 90% of the limit, error state above it
+     * @param {number|null} charCount - Character count (null while unknown, e.g. during typewriter)
+     * @private
+     */
+    _updateCharLimit(charCount) {
+        const charCountEl = document.getElementById('focusCharCount');
+        if (!charCountEl || charCount === null) return;
+
+        const result = appState.generatedResults.find(r => r.id === this._getCurrentStudentId());
+        const limit = LintService.getCharLimit(result?.classId ?? appState.currentClassId);
+
+        charCountEl.hidden = !limit || charCount === 0;
+        if (charCountEl.hidden) return;
+
+        const isOver = charCount > limit;
+        charCountEl.textContent = `${charCount}/${limit} car.`;
+        charCountEl.classList.toggle('char-limit-over', isOver);
+        charCountEl.classList.toggle('char-limit-warning', !isOver && charCount >= limit * 0.9);
+        UI.updateTooltip(charCountEl, isOver
+            ? `Dépasse de ${charCount - limit} caractères la limite Pronote/LSU (${limit}). « Concise » condense sous la limite.`
+            : `Limite Pronote/LSU de la classe : ${limit} caractères`);
+    },
+
     /**
      * Resolve the source of an appreciation from a result object.
      * Priority: explicit `appreciationSource` field > fallback on `wasGenerated`.
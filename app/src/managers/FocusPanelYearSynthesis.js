@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Focus Panel Year Synthesis Manager
+ * Handles the bilan annuel card (annual appreciation + orientation/passage recommendation),
+ * shown on the last period only and stored apart from the period appreciation
+ * @module managers/FocusPanelYearSynthesis
+ */
+
+import { appState } from '../state/State.js';
+import { Utils } from '../utils/Utils.js';
+import { UI } from './UIManager.js';
+import { StorageManager } from './StorageManager.js';
+import { FocusPanelHistory } from './FocusPanelHistory.js';
+
+/** @type {import('./AppreciationsManager.js').AppreciationsManager|null} */
+let AppreciationsManager = null;
+
+/**
+ * Year synthesis card controller
+ * @namespace FocusPanelYearSynthesis
+ */
+export const FocusPanelYearSynthesis = {
+    /**
+     * Callback functions set by parent manager
+     * @private
+     */
+    _callbacks: {
+        getCurrentStudentId: null
+    },
+
+    /**
+     * Initialize with callbacks and references from parent manager
+     * @param {Object} callbacks - Callback functions
+     * @param {Function} callbacks.getCurrentStudentId - () => string|null
+     * @param {Object} appreciationsManager - Reference to AppreciationsManager
+     */
+    init(callbacks = {}, appreciationsManager = null) {
+        this._callbacks = { ...this._callbacks, ...callbacks };
+        AppreciationsManager = appreciationsManager;
+        this._setupListeners();
+    },
+
+    /**
+     * @returns {Object|null} Result of the student shown in the focus panel
+     * @private
+     */
+    _getResult() {
+        const id = this._callbacks.getCurrentStudentId?.();
+        return id ? appState.generatedResults.find(r => r.id === id) || null : null;
+    },
+
+    /**
+     * The synthesis is only offered on the last period of the year
+     * @returns {boolean}
+     */
+    isYearEnd() {
+        const periods = Utils.getPeriods();
+        return periods.length > 0 && appState.currentPeriod === periods[periods.length - 1];
+    },
+
+    /**
+     * Setup generate, edit and history listeners
+     * @private
+     */
+    _setupListeners() {
+        document.getElementById('focusYearSynthesisGenerateBtn')?.addEventListener('click', () => this.generate());
+
+        // Manual edits are committed on change (blur) to avoid one version per keystroke
+        document.getElementById('focusYearSynthesisText')?.addEventListener('change', (e) => {
+            this._saveEdit({ appreciation: e.target.value.trim() });
+        });
+        document.getElementById('focusYearSynthesisRecommendation')?.addEventListener('change', (e) => {
+            this._saveEdit({ recommendation: e.target.value.trim() });
+        });
+
+        document.getElementById('focusYearSynthesisPrevBtn')?.addEventListener('click', () => {
+            if (FocusPanelHistory.undoYearSynthesis()) this.render(this._getResult());
+        });
+        document.getElementById('focusYearSynthesisNextBtn')?.addEventListener('click', () => {
+            if (FocusPanelHistory.redoYearSynthesis()) this.render(this._getResult());
+        });
+    },
+
+    /**
+     * Render the card for the current student
+     * Hidden in creation mode and before the last period
+     * @param {Object} result - Student result object
+     */
+    render(result) {
+        const section = document.getElementById('focusYearSynthesisSection');
+        if (!section) return;
+
+        const isVisible = !!result?.id && this.isYearEnd();
+        section.hidden = !isVisible;
+        if (!isVisible) return;
+
+        const synthesis = result.yearSynthesis || {};
+        const textEl = document.getElementById('focusYearSynthesisText');
+        const recoEl = document.getElementById('focusYearSynthesisRecommendation');
+        if (textEl) textEl.value = synthesis.appreciation || '';
+        if (recoEl) recoEl.value = synthesis.recommendation || '';
+
+        const label = document.querySelector('#focusYearSynthesisGenerateBtn .year-synthesis-generate-label');
+        if (label) label.textContent = synthesis.appreciation ? 'Régénérer' : 'Générer';
+
+        this._updateHistoryControls();
+    },
+
+    /**
+     * Generate the synthesis from every period of the year
+     */
+    async generate() {
+        const result = this._getResult();
+        if (!result || !AppreciationsManager) return;
+
+        if (!UI.checkAPIKeyPresence()) {
+            UI.showNotification('Clé API requise pour le bilan annuel', 'warning');
+            return;
+        }
+
+        const generateBtn = document.getElementById('focusYearSynthesisGenerateBtn');
+        if (generateBtn) UI.showInlineSpinner(generateBtn);
+
+        try {
+            const hadSynthesis = !!result.yearSynthesis?.appreciation;
+            await AppreciationsManager.generateYearSynthesis(result.id, true);
+            // History follows the student shown in the panel
+            if (this._getResult()?.id === result.id) {
+                FocusPanelHistory.pushYearSynthesis(hadSynthesis ? 'regenerate' : 'original');
+            }
+        } catch (error) {
+            UI.showNotification(`Erreur : ${Utils.translateErrorMessage(error.message)}`, 'error');
+        } finally {
+            if (generateBtn) UI.hideInlineSpinner(generateBtn);
+            // The student may have changed while the request was running
+            const current = this._getResult();
+            if (current) this.render(current);
+        }
+    },
+
+    /**
+     * Store a manual edit and record it in the synthesis history
+     * @param {Object} changes - { appreciation } or { recommendation }
+     * @private
+     */
+    _saveEdit(changes) {
+        const result = this._getResult();
+        if (!result) return;
+
+        result.yearSynthesis = { ...result.yearSynthesis, ...changes };
+        if (!FocusPanelHistory.pushYearSynthesis('edit')) {
+            StorageManager.saveAppState();
+        }
+        this.render(result);
+    },
+
+    /**
+     * Sync the prev/next buttons and the version counter
+     * @private
+     */
+    _updateHistoryControls() {
+        const info = FocusPanelHistory.getYearSynthesisVersionInfo();
+        const group = document.getElementById('focusYearSynthesisHistory');
+        if (group) group.hidden = info.total < 2;
+
+        const counter = document.getElementById('focusYearSynthesisVersion');
+        if (counter) counter.textContent = `${info.current}/${info.total}`;
+
+        const prevBtn = document.getElementById('focusYearSynthesisPrevBtn');
+        const nextBtn = document.getElementById('focusYearSynthesisNextBtn');
+        if (prevBtn) prevBtn.disabled = !info.canUndo;
+        if (nextBtn) nextBtn.disabled = !info.canRedo;
+    }
+};
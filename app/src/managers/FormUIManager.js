@@ -14,6 +14,11 @@ import { DOM } from '../utils/DOM.js';
 import { Utils } from '../utils/Utils.js';
 import { AppreciationsManager } from './AppreciationsManager.js';
 import { UI } from './UIManager.js';
+import { SettingsUIManager } from './SettingsUIManager.js';
+import { JournalTagSettingsManager } from './JournalTagSettingsManager.js';
+import { StatusSettingsManager } from './StatusSettingsManager.js';
+import { CouncilRulesSettingsManager } from './CouncilRulesSettingsManager.js';
+import { LintSettingsManager } from './LintSettingsManager.js';
 
 /** @type {import('./AppManager.js').App|null} */
 let App;
@@ -43,10 +48,9 @@ export const FormUI = {
             subjectName = "Paramètres par défaut";
             iaConfig = DEFAULT_IA_CONFIG;
         } else {
-            // Mode personnalisé - utiliser MonStyle
+            // Mode personnalisé - profil édité (style global ou style d'une classe)
             subjectName = "Mon Style";
-            const subjectData = appState.subjects['MonStyle'] || appState.subjects['Générique'];
-            iaConfig = subjectData?.iaConfig || DEFAULT_IA_CONFIG;
+            iaConfig = SettingsUIManager.getDisplayedIaConfig();
         }
 
         DOM.periodSystemRadios.forEach(r => r.checked = r.value === appState.periodSystem);
@@ -60,23 +64,16 @@ export const FormUI = {
         }
         DOM.iaToneSlider.value = iaConfig.tone;
 
-        // [FIX] Always try to get styleInstructions from MonStyle first to prevent data loss
-        // even if iaConfig fallback was triggered due to corrupted structure
         let styleInstructionsValue = '';
         if (!isGenericMode) {
-            // Try direct access to MonStyle first
-            styleInstructionsValue = appState.subjects['MonStyle']?.iaConfig?.styleInstructions
-                || iaConfig.styleInstructions
-                || '';
+            styleInstructionsValue = iaConfig.styleInstructions || '';
         }
         DOM.iaStyleInstructions.value = styleInstructionsValue;
 
         // Load discipline field (optional, for subject-specific vocabulary)
         let disciplineValue = '';
         if (!isGenericMode) {
-            disciplineValue = appState.subjects['MonStyle']?.iaConfig?.discipline
-                || iaConfig.discipline
-                || '';
+            disciplineValue = iaConfig.discipline || '';
         }
         if (DOM.iaDiscipline) {
             DOM.iaDiscipline.value = disciplineValue;
@@ -444,12 +441,13 @@ export const FormUI = {
     },
 
     /**
-     * Met à jour les listes dans les paramètres.
-     * Note: Cette fonction est conservée pour compatibilité mais ne fait plus rien
-     * après la suppression de la bibliothèque de mots-clés.
+     * Met à jour les listes dans les paramètres (statuts élève, étiquettes du journal de bord,
+     * règles de mentions).
      */
     renderSettingsLists() {
-        // La bibliothèque de mots-clés a été supprimée.
-        // Cette fonction est conservée pour éviter les erreurs d'appel.
+        StatusSettingsManager.render();
+        JournalTagSettingsManager.render();
+        LintSettingsManager.render();
+        CouncilRulesSettingsManager.render();
     }
 };
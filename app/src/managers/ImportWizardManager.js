@@ -17,6 +17,9 @@ import { HistoryManager } from './HistoryManager.js';
 import { AppreciationsManager } from './AppreciationsManager.js';
 import { MassImportManager } from './MassImportManager.js';
 import { StorageManager } from './StorageManager.js';
+import { SocleService, SOCLE_DOMAINS } from '../services/SocleService.js';
+import { SubjectsService } from '../services/SubjectsService.js';
+import { AssessmentsService } from '../services/AssessmentsService.js';
 
 /**
  * Import Wizard Manager
@@ -1023,10 +1026,14 @@ export const ImportWizardManager = {
         // Convert internal TAG to display label and CSS class
         if (tag === 'NOM_PRENOM') return { label: 'Nom', cssClass: 'type-name' };
         if (tag === 'STATUT') return { label: 'Statut', cssClass: 'type-status' };
+        if (tag === 'MATIERE') return { label: 'Matière', cssClass: 'type-status' };
+        if (tag === 'PROF') return { label: 'Prof.', cssClass: 'type-status' };
 
         if (tag.startsWith('MOY_')) return { label: 'Note', cssClass: 'type-grade' };
         if (tag.startsWith('APP_')) return { label: 'Appr.', cssClass: 'type-app' };
         if (tag.startsWith('CTX_')) return { label: 'Ctx.', cssClass: 'type-context' };
+        if (tag.startsWith('EVAL_')) return { label: 'Éval.', cssClass: 'type-grade' };
+        if (SocleService.parseImportTag(tag)) return { label: 'Socle', cssClass: 'type-grade' };
 
         return { label: 'Ignoré', cssClass: 'type-ignored' };
     },
@@ -1065,7 +1072,9 @@ export const ImportWizardManager = {
             const generalOptions = [
                 { v: 'IGNORE', t: 'Ignorer' },
                 { v: 'NOM_PRENOM', t: 'Élève' },
-                { v: 'STATUT', t: 'Statut' }
+                { v: 'STATUT', t: 'Statut' },
+                { v: 'MATIERE', t: 'Matière' },
+                { v: 'PROF', t: 'Professeur' }
             ];
             html += generalOptions.map(o =>
                 `<option value="${o.v}" ${o.v === selectedValue ? 'selected' : ''}>${o.t}</option>`
@@ -1075,6 +1084,7 @@ export const ImportWizardManager = {
             const periodOptions = [
                 { v: `DEV_${currentPeriod}`, t: `Nb notes ${currentPeriod}` },
                 { v: `MOY_${currentPeriod}`, t: `Moy. ${currentPeriod}` },
+                { v: `EVAL_${currentPeriod}`, t: `Évaluations ${currentPeriod}` },
                 { v: `APP_${currentPeriod}`, t: `Appréciation ${currentPeriod}` },
                 { v: `CTX_${currentPeriod}`, t: `Contexte ${currentPeriod}` }
             ];
@@ -1086,6 +1096,15 @@ export const ImportWizardManager = {
                 `<option value="${o.v}" ${o.v === selectedValue ? 'selected' : ''}>${o.t}</option>`
             ).join('');
 
+            // Socle commun options (collège, or when a saved format already uses them)
+            if (SocleService.isEnabled() || SocleService.parseImportTag(selectedValue)) {
+                html += `<option disabled>──────</option>`;
+                html += SOCLE_DOMAINS.map(d => {
+                    const tag = SocleService.getImportTag(d.id, currentPeriod);
+                    return `<option value="${tag}" ${tag === selectedValue ? 'selected' : ''}>Socle ${d.id} ${currentPeriod}</option>`;
+                }).join('');
+            }
+
             return html;
         };
 
@@ -1234,10 +1253,13 @@ export const ImportWizardManager = {
         const tagToClass = {
             IGNORE: 'col-ignore',
             NOM_PRENOM: 'col-name',
-            STATUT: 'col-status'
+            STATUT: 'col-status',
+            MATIERE: 'col-status',
+            PROF: 'col-status'
         };
         const prefixToClass = {
             MOY: 'col-grade',
+            EVAL: 'col-context',
             DEV: 'col-count',
             APP: 'col-appreciation',
             CTX: 'col-context'
@@ -1377,6 +1399,16 @@ export const ImportWizardManager = {
             }
         }
 
+        // Pronote Relevé de notes: NOM Prénom | Dev | Évaluations (moyenne déduite)
+        if (parserName === 'pronote-releve') {
+            switch (index) {
+                case 0: return 'NOM_PRENOM';
+                case 1: return `DEV_${currentPeriod}`;
+                case 2: return `EVAL_${currentPeriod}`;
+                default: return 'IGNORE';
+            }
+        }
+
         // Pronote Bilan: NOM Prénom | Dev | Moy | (empty for context)
         // Output structure from convertPronoteReport: 4 columns, last often empty
         if (parserName === 'pronote-bilan') {
@@ -1444,7 +1476,8 @@ export const ImportWizardManager = {
         const keywords = {
             'NOM_PRENOM': ['nom', 'prenom', 'eleve', 'etudiant'],
             'STATUT': ['statut'],
-
+            'MATIERE': ['matiere', 'discipline'],
+            'PROF': ['professeur', 'enseignant', 'prof']
         };
 
         const matchKeyword = (t, kw) => new RegExp(`(^|\\s)${kw}(\\s|$)`, 'i').test(t);
@@ -1453,9 +1486,19 @@ export const ImportWizardManager = {
             if (kws.some(kw => matchKeyword(title, kw))) return tag;
         }
 
-        // 2. Check for Period-specific columns (Moy, App, Ctx)
+        // 2. Socle commun domains: "D1", "Domaine 2", "Socle D3 T1"
+        // Checked before the prefixes below ("communiquer" would match 'com')
+        const socleMatch = title.match(/(?:^|\s)(?:d|domaine\s?)([1-5])(?:\s|$)/);
+        if (socleMatch) {
+            const periodMatch = title.match(/(?:^|\s)([ts])\s?(\d)(?:\s|$)/i);
+            const p = periodMatch ? (periodMatch[1] + periodMatch[2]).toUpperCase() : appState.currentPeriod;
+            if (periods.includes(p)) return SocleService.getImportTag(`D${socleMatch[1]}`, p);
+        }
+
+        // 3. Check for Period-specific columns (Moy, App, Ctx)
         // Patterns to look for: "Moyenne T1", "App S2", "Note T3"
         const periodPrefixes = {
+            'EVAL_': ['evaluations', 'devoirs'],
             'MOY_': ['moy', 'note'],
             'APP_': ['app', 'com', 'obs'],
             'CTX_': ['contexte', 'ctx', 'instruction', 'observation']
@@ -1501,10 +1544,15 @@ export const ImportWizardManager = {
     _mapTagToFriendly(tag) {
         if (tag === 'NOM_PRENOM') return 'Nom & Prénom';
         if (tag === 'STATUT') return 'Statut';
+        if (tag === 'MATIERE') return 'Matière';
+        if (tag === 'PROF') return 'Professeur';
         if (tag.startsWith('MOY_')) return `Moy. ${tag.split('_')[1]}`;
         if (tag.startsWith('APP_')) return `Appréciation ${tag.split('_')[1]}`;
         if (tag.startsWith('CTX_')) return `Contexte ${tag.split('_')[1]}`;
         if (tag.startsWith('DEV_')) return `Nb notes ${tag.split('_')[1]}`;
+        if (tag.startsWith('EVAL_')) return `Évaluations ${tag.split('_')[1]}`;
+        const socleTag = SocleService.parseImportTag(tag);
+        if (socleTag) return `Socle ${socleTag.domainId} ${socleTag.period}`;
         return 'Ignorer';
     },
 
@@ -1515,10 +1563,17 @@ export const ImportWizardManager = {
     _mapFriendlyToTag(friendly) {
         if (friendly === 'Nom & Prénom') return 'NOM_PRENOM';
         if (friendly === 'Statut') return 'STATUT';
+        if (friendly === 'Matière') return 'MATIERE';
+        if (friendly === 'Professeur') return 'PROF';
         if (friendly.startsWith('Moy. ')) return `MOY_${friendly.split(' ')[1]}`;
         if (friendly.startsWith('Appréciation ')) return `APP_${friendly.split(' ')[1]}`;
         if (friendly.startsWith('Contexte ')) return `CTX_${friendly.split(' ')[1]}`;
         if (friendly.startsWith('Nb notes ')) return `DEV_${friendly.split(' ')[2]}`; // "Nb notes S1"
+        if (friendly.startsWith('Évaluations ')) return `EVAL_${friendly.split(' ')[1]}`;
+        if (friendly.startsWith('Socle ')) {
+            const [, domainId, period] = friendly.split(' '); // "Socle D1 T1"
+            return SocleService.getImportTag(domainId, period);
+        }
         return 'IGNORE';
     },
 
@@ -1580,7 +1635,10 @@ export const ImportWizardManager = {
         const linesToProcess = skipHeader ? this.state.lines.slice(1) : this.state.lines;
 
         const preview = AppreciationsManager._prepareStudentListForImport(
-            linesToProcess, formatMap, 'merge'
+            linesToProcess, formatMap, 'merge', {
+                subject: document.getElementById('wizardSubjectInput')?.value || '',
+                teacher: document.getElementById('wizardTeacherInput')?.value || ''
+            }
         );
 
         this.state.studentsToProcess = preview.studentsToProcess;
@@ -1682,9 +1740,11 @@ export const ImportWizardManager = {
 
         // Data columns with checkboxes
         for (const col of dataColumns) {
+            // La matière structure l'import : elle ne peut pas être décochée
+            const isLocked = col.tag === 'MATIERE';
             html += `<th class="${this._getColClass(col.tag)}">
-                <label class="preview-col-header">
-                    <input type="checkbox" checked data-col-tag="${col.tag}">
+                <label class="preview-col-header${isLocked ? ' locked' : ''}">
+                    <input type="checkbox" checked ${isLocked ? 'disabled' : ''} data-col-tag="${col.tag}">
                     <span>${col.label}</span>
                 </label>
             </th>`;
@@ -1785,10 +1845,15 @@ export const ImportWizardManager = {
     _getColumnLabel(tag, period) {
         const p = tag.includes('_') ? tag.split('_')[1] : period;
         if (tag === 'STATUT') return 'Statut';
+        if (tag === 'MATIERE') return 'Matière';
+        if (tag === 'PROF') return 'Professeur';
         if (tag.startsWith('MOY_')) return `Moy. ${p}`;
         if (tag.startsWith('DEV_')) return `Nb notes ${p}`;
+        if (tag.startsWith('EVAL_')) return `Évaluations ${p}`;
         if (tag.startsWith('APP_')) return `Appréciation ${p}`;
         if (tag.startsWith('CTX_')) return `Contexte ${p}`;
+        const socleTag = SocleService.parseImportTag(tag);
+        if (socleTag) return `Socle ${socleTag.domainId} ${socleTag.period}`;
         return tag;
     },
 
@@ -1798,13 +1863,15 @@ export const ImportWizardManager = {
      */
     _getColClass(tag) {
         if (tag === 'NOM_PRENOM') return 'col-name';
-        if (tag === 'STATUT') return 'col-status';
+        if (tag === 'STATUT' || tag === 'MATIERE' || tag === 'PROF') return 'col-status';
         if (tag === 'IGNORE') return 'col-ignore';
         const prefix = tag?.split('_')[0];
         if (prefix === 'MOY') return 'col-grade';
         if (prefix === 'DEV') return 'col-count';
+        if (prefix === 'EVAL') return 'col-context';
         if (prefix === 'APP') return 'col-appreciation';
         if (prefix === 'CTX') return 'col-context';
+        if (SocleService.parseImportTag(tag)) return 'col-grade';
         return '';
     },
     /**
@@ -1815,10 +1882,21 @@ export const ImportWizardManager = {
         const periodData = student.periods?.[currentPeriod];
         if (!periodData) return '';
 
+        // Bulletins de collègues : une ligne par élève regroupe toutes ses matières
+        const subjects = SubjectsService.getSubjects(student, currentPeriod);
+        if (tag === 'MATIERE') return subjects.map(s => s.subject).join(', ');
+        if (tag === 'PROF') return [...new Set(subjects.map(s => s.teacher).filter(Boolean))].join(', ');
+        if (subjects.length > 0 && tag.startsWith('APP_')) {
+            return subjects.filter(s => s.appreciation).map(s => `${s.subject} : ${s.appreciation}`).join(' · ');
+        }
+
         if (tag.startsWith('MOY_')) return periodData.grade ?? '';
         if (tag.startsWith('DEV_')) return periodData.evaluationCount ?? '';
+        if (tag.startsWith('EVAL_')) return AssessmentsService.formatCell(periodData.assessments);
         if (tag.startsWith('APP_')) return periodData.appreciation || '';
         if (tag.startsWith('CTX_')) return periodData.context || '';
+        const socleTag = SocleService.parseImportTag(tag);
+        if (socleTag) return SocleService.getLevel(periodData.socle?.[socleTag.domainId])?.short ?? '';
         return '';
     },
 
@@ -1877,10 +1955,26 @@ export const ImportWizardManager = {
             // Strip period-specific fields if unchecked
             const period = filtered.periods?.[currentPeriod];
             if (period) {
-                if (!this._isTagEnabled(enabledTags, 'MOY_')) period.grade = undefined;
+                if (!this._isTagEnabled(enabledTags, 'EVAL_')) delete period.assessments;
+                // Sans colonne Moyenne, la moyenne déduite des évaluations est conservée
+                if (!this._isTagEnabled(enabledTags, 'MOY_') && !period.assessments) period.grade = undefined;
                 if (!this._isTagEnabled(enabledTags, 'DEV_')) period.evaluationCount = undefined;
                 if (!this._isTagEnabled(enabledTags, 'APP_')) period.appreciation = '';
                 if (!this._isTagEnabled(enabledTags, 'CTX_')) period.context = '';
+                SOCLE_DOMAINS.forEach(d => {
+                    if (!enabledTags.has(SocleService.getImportTag(d.id, currentPeriod))) {
+                        SocleService.setPositioning(filtered, currentPeriod, d.id, null);
+                    }
+                });
+                if (period.subjects) {
+                    period.subjects = period.subjects.map(sub => ({
+                        ...sub,
+                        grade: this._isTagEnabled(enabledTags, 'MOY_') ? sub.grade : null,
+                        appreciation: this._isTagEnabled(enabledTags, 'APP_') ? sub.appreciation : '',
+                        teacher: this.state.formatMap.PROF === undefined || enabledTags.has('PROF') ? sub.teacher : ''
+                    }));
+                    if (this._isTagEnabled(enabledTags, 'MOY_')) period.grade = SubjectsService.getGeneralAverage(period.subjects);
+                }
             }
 
             return filtered;
@@ -1947,6 +2041,10 @@ export const ImportWizardManager = {
             currentSource: null
         };
         document.getElementById('wizardDataTextarea').value = '';
+        ['wizardSubjectInput', 'wizardTeacherInput'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
 
         // Reset Drop Zone UI
         this._resetFileUI();
@@ -28,6 +28,34 @@ const PREDEFINED_TAGS = [
     { id: 'remarque', label: 'Remarque', icon: 'solar:chat-square-linear', color: 'var(--text-secondary)', category: 'neutral' }
 ];
 
+/**
+ * Default colour of each category, used when a custom tag has none
+ * @constant {Object<string, string>}
+ */
+export const TAG_CATEGORY_COLORS = {
+    positive: 'var(--success-color)',
+    negative: 'var(--error-color)',
+    neutral: 'var(--text-secondary)'
+};
+
+/**
+ * Above this number of neutral tags, they are grouped in a dropdown instead of direct buttons
+ * @constant {number}
+ */
+const MAX_DIRECT_NEUTRAL_TAGS = 3;
+
+/**
+ * User-defined tag, stored in appState.journalCustomTags (carried by backups and sync)
+ * @typedef {Object} CustomTag
+ * @property {string} id - Unique tag ID (prefixed with 'custom_')
+ * @property {string} label - Display label (also sent to the AI)
+ * @property {string} icon - Iconify icon name
+ * @property {string} color - CSS colour
+ * @property {'positive'|'negative'|'neutral'} category
+ * @property {string|null} classId - Class the tag is limited to, null for every class
+ * @property {boolean} [archived] - Deleted but still used by entries: resolved for display, no longer offered
+ */
+
 /**
  * Journal entry structure
  * @typedef {Object} JournalEntry
@@ -43,7 +71,7 @@ const PREDEFINED_TAGS = [
  * @namespace JournalManager
  */
 export const JournalManager = {
-    /** Available tags */
+    /** Built-in tags (user-defined ones are in appState.journalCustomTags) */
     tags: PREDEFINED_TAGS,
 
     /**
@@ -308,7 +336,7 @@ export const JournalManager = {
 
         if (significantTags.length > 0) {
             const tagLabels = significantTags.map(([tagId]) => {
-                const tag = this.tags.find(t => t.id === tagId);
+                const tag = this.getTag(tagId);
                 return tag ? tag.label : tagId;
             });
             parts.push(`Observations: ${tagLabels.join(', ')}`);
@@ -349,7 +377,113 @@ export const JournalManager = {
      * @returns {Object|null} Tag object or null
      */
     getTag(tagId) {
-        return this.tags.find(t => t.id === tagId) || null;
+        return this.tags.find(t => t.id === tagId)
+            || (appState.journalCustomTags || []).find(t => t.id === tagId)
+            || null;
+    },
+
+    /**
+     * Get the user-defined tags (archived ones excluded)
+     * @param {string|null} [classId] - If provided, only tags shared by every class or limited to this class
+     * @returns {CustomTag[]}
+     */
+    getCustomTags(classId = null) {
+        return (appState.journalCustomTags || [])
+            .filter(t => !t.archived && (!classId || !t.classId || t.classId === classId));
+    },
+
+    /**
+     * Get the tags offered for a class: built-in tags followed by its custom tags
+     * @param {string|null} [classId] - Class ID (defaults to current class)
+     * @returns {Array<Object>}
+     */
+    getAvailableTags(classId = appState.currentClassId) {
+        return [...this.tags, ...this.getCustomTags(classId)];
+    },
+
+    /**
+     * Normalize user input for a custom tag
+     * @private
+     * @param {Object} data - { label, icon, color, category, classId }
+     * @returns {Object|null} Clean tag fields, or null if the label is empty
+     */
+    _sanitizeCustomTag({ label, icon, color, category, classId }) {
+        // Labels and icons are injected as-is in the timeline markup
+        const cleanLabel = (label || '').replace(/[<>"]/g, '').trim().slice(0, 30);
+        if (!cleanLabel) return null;
+
+        const cleanCategory = TAG_CATEGORY_COLORS[category] ? category : 'neutral';
+        return {
+            label: cleanLabel,
+            icon: /^[\w-]+:[\w-]+$/.test(icon || '') ? icon : 'solar:tag-linear',
+            color: /^(#[0-9a-f]{3,8}|var\(--[\w-]+\))$/i.test(color || '') ? color : TAG_CATEGORY_COLORS[cleanCategory],
+            category: cleanCategory,
+            classId: classId || null
+        };
+    },
+
+    /**
+     * Create a user-defined tag
+     * @param {Object} data - { label, icon, color, category, classId }
+     * @returns {CustomTag|null} Created tag or null if the label is empty
+     */
+    addCustomTag(data) {
+        const fields = this._sanitizeCustomTag(data);
+        if (!fields) {
+            console.warn('[JournalManager] Custom tag without label');
+            return null;
+        }
+
+        const tag = {
+            id: `custom_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`,
+            ...fields
+        };
+        appState.journalCustomTags = [...(appState.journalCustomTags || []), tag];
+        StorageManager.saveAppState();
+
+        return tag;
+    },
+
+    /**
+     * Update a user-defined tag (entries keep referencing it by ID)
+     * @param {string} tagId - Custom tag ID
+     * @param {Object} updates - { label, icon, color, category, classId }
+     * @returns {CustomTag|null} Updated tag or null
+     */
+    updateCustomTag(tagId, updates) {
+        const tags = appState.journalCustomTags || [];
+        const existing = tags.find(t => t.id === tagId);
+        if (!existing) return null;
+
+        const fields = this._sanitizeCustomTag({ ...existing, ...updates });
+        if (!fields) return null;
+
+        const updated = { ...existing, ...fields };
+        appState.journalCustomTags = tags.map(t => t.id === tagId ? updated : t);
+        StorageManager.saveAppState();
+
+        return updated;
+    },
+
+    /**
+     * Delete a user-defined tag.
+     * A tag still used by journal entries is archived so that the timeline keeps displaying it.
+     * @param {string} tagId - Custom tag ID
+     * @returns {boolean} Success
+     */
+    deleteCustomTag(tagId) {
+        const tags = appState.journalCustomTags || [];
+        if (!tags.some(t => t.id === tagId)) return false;
+
+        const isUsed = (appState.generatedResults || [])
+            .some(r => (r.journal || []).some(e => e.tags.includes(tagId)));
+
+        appState.journalCustomTags = isUsed
+            ? tags.map(t => t.id === tagId ? { ...t, archived: true } : t)
+            : tags.filter(t => t.id !== tagId);
+        StorageManager.saveAppState();
+
+        return true;
     },
 
     /**
@@ -513,12 +647,14 @@ export const JournalManager = {
 
     /**
      * Render pill buttons with dropdowns for tag selection (inside draft)
+     * @param {string|null} [classId] - Class whose custom tags are offered (defaults to current class)
      * @returns {string} HTML string
      */
-    renderTagPillButtons() {
-        const positiveTags = this.tags.filter(t => t.category === 'positive');
-        const negativeTags = this.tags.filter(t => t.category === 'negative');
-        const neutralTags = this.tags.filter(t => t.category === 'neutral');
+    renderTagPillButtons(classId = appState.currentClassId) {
+        const tags = this.getAvailableTags(classId);
+        const positiveTags = tags.filter(t => t.category === 'positive');
+        const negativeTags = tags.filter(t => t.category === 'negative');
+        const neutralTags = tags.filter(t => t.category === 'neutral');
 
         const renderPillDropdown = (category, label, icon, tags, color) => {
             const optionsHTML = tags.map(tag => `
@@ -542,8 +678,10 @@ export const JournalManager = {
             `;
         };
 
-        // Neutral tags are rendered as direct buttons (no dropdown)
-        const neutralBtnsHTML = neutralTags.map(tag => `
+        // Neutral tags are rendered as direct buttons (no dropdown), unless custom tags make them too many
+        const neutralBtnsHTML = neutralTags.length > MAX_DIRECT_NEUTRAL_TAGS
+            ? renderPillDropdown('neutral', 'Neutre', 'solar:chat-square-linear', neutralTags, 'var(--text-secondary)')
+            : neutralTags.map(tag => `
             <button class="journal-pill-btn journal-pill-direct" data-tag-id="${tag.id}" style="--pill-color: ${tag.color}">
                 <iconify-icon icon="${tag.icon}"></iconify-icon>
                 <span>${tag.label}</span>
@@ -559,11 +697,13 @@ export const JournalManager = {
 
     /**
      * Render just the dropdown buttons for the header
+     * @param {string|null} [classId] - Class whose custom tags are offered (defaults to current class)
      * @returns {string} HTML string
      */
-    renderTagDropdowns() {
-        const positiveTags = this.tags.filter(t => t.category === 'positive');
-        const negativeTags = this.tags.filter(t => t.category === 'negative');
+    renderTagDropdowns(classId = appState.currentClassId) {
+        const tags = this.getAvailableTags(classId);
+        const positiveTags = tags.filter(t => t.category === 'positive');
+        const negativeTags = tags.filter(t => t.category === 'negative');
 
         const renderDropdown = (category, label, icon, tags, color) => {
             const optionsHTML = tags.map(tag => `
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Tests for JournalManager (custom tags)
+ * @module managers/JournalManager.test
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../state/State.js', () => ({
+    appState: {
+        currentPeriod: 'T1',
+        currentClassId: 'c1',
+        generatedResults: [],
+        journalCustomTags: [],
+        journalThreshold: 2
+    },
+    userSettings: {
+        academic: { classes: [] }
+    }
+}));
+
+vi.mock('./StorageManager.js', () => ({
+    StorageManager: { saveAppState: vi.fn() }
+}));
+
+vi.mock('./FocusPanelStatus.js', () => ({
+    FocusPanelStatus: { refreshAppreciationStatus: vi.fn() }
+}));
+
+import { JournalManager } from './JournalManager.js';
+import { appState } from '../state/State.js';
+import { StorageManager } from './StorageManager.js';
+
+const entry = (tags, note = '') => ({ id: `j_${Math.random()}`, date: '2026-10-01T08:00:00.000Z', tags, note, period: 'T1' });
+
+describe('JournalManager custom tags', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        appState.currentClassId = 'c1';
+        appState.generatedResults = [];
+        appState.journalCustomTags = [];
+    });
+
+    it('should create a custom tag with sanitized fields', () => {
+        const tag = JournalManager.addCustomTag({ label: '  Oral <b>+</b> ', category: 'positive', icon: 'bad icon', color: 'red;' });
+
+        expect(tag.id).toMatch(/^custom_/);
+        expect(tag).toMatchObject({
+            label: 'Oral b+/b',
+            category: 'positive',
+            icon: 'solar:tag-linear',
+            color: 'var(--success-color)',
+            classId: null
+        });
+        expect(appState.journalCustomTags).toEqual([tag]);
+        expect(StorageManager.saveAppState).toHaveBeenCalled();
+        expect(JournalManager.addCustomTag({ label: '   ' })).toBeNull();
+    });
+
+    it('should offer global tags and tags of the class only', () => {
+        const global = JournalManager.addCustomTag({ label: 'Devoirs non faits', category: 'negative' });
+        const eps = JournalManager.addCustomTag({ label: 'Dispense', category: 'neutral', classId: 'c2' });
+
+        const ids = JournalManager.getAvailableTags('c1').map(t => t.id);
+        expect(ids).toContain(global.id);
+        expect(ids).not.toContain(eps.id);
+        expect(ids).toContain('participation+');
+        expect(JournalManager.getAvailableTags('c2').map(t => t.id)).toContain(eps.id);
+
+        const pills = JournalManager.renderTagPillButtons('c1');
+        expect(pills).toContain('Devoirs non faits');
+        expect(pills).not.toContain('Dispense');
+    });
+
+    it('should count and synthesize custom tags like built-in ones', () => {
+        const oral = JournalManager.addCustomTag({ label: 'Oral +', category: 'positive' });
+        appState.generatedResults = [{
+            id: 's1',
+            classId: 'c1',
+            journal: [entry([oral.id, 'bavardage'], 'Exposé réussi'), entry([oral.id]), entry(['bavardage'])]
+        }];
+
+        expect(JournalManager.countTags('s1', 'T1')).toEqual({ [oral.id]: 2, bavardage: 2 });
+        expect(JournalManager.synthesizeForPrompt('s1', 'T1')).toContain('Observations: Oral +, Bavardage');
+        expect(JournalManager.renderTimeline('s1', 'T1')).toContain('Oral +');
+    });
+
+    it('should update a tag while keeping its ID', () => {
+        const tag = JournalManager.addCustomTag({ label: 'Tenue', category: 'neutral' });
+
+        const updated = JournalManager.updateCustomTag(tag.id, { label: 'Tenue de sport', classId: 'c2' });
+        expect(updated).toMatchObject({ id: tag.id, label: 'Tenue de sport', classId: 'c2', category: 'neutral' });
+        expect(JournalManager.getTag(tag.id).label).toBe('Tenue de sport');
+        expect(JournalManager.updateCustomTag('unknown', { label: 'x' })).toBeNull();
+    });
+
+    it('should archive a deleted tag that is still used by entries', () => {
+        const used = JournalManager.addCustomTag({ label: 'Oral +', category: 'positive' });
+        const unused = JournalManager.addCustomTag({ label: 'Tenue', category: 'neutral' });
+        appState.generatedResults = [{ id: 's1', journal: [entry([used.id])] }];
+
+        expect(JournalManager.deleteCustomTag(used.id)).toBe(true);
+        expect(JournalManager.deleteCustomTag(unused.id)).toBe(true);
+
+        expect(appState.journalCustomTags).toHaveLength(1);
+        expect(JournalManager.getCustomTags()).toEqual([]);
+        expect(JournalManager.getTag(used.id)).toMatchObject({ label: 'Oral +', archived: true });
+        expect(JournalManager.getTag(unused.id)).toBeNull();
+    });
+
+    it('should group neutral tags in a dropdown when there are too many', () => {
+        expect(JournalManager.renderTagPillButtons()).not.toContain('data-category="neutral"');
+
+        JournalManager.addCustomTag({ label: 'Dispense', category: 'neutral' });
+        JournalManager.addCustomTag({ label: 'Tenue', category: 'neutral' });
+
+        const pills = JournalManager.renderTagPillButtons();
+        expect(pills).toContain('data-category="neutral"');
+        expect(pills).not.toContain('journal-pill-direct');
+    });
+});
@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Éditeur des étiquettes personnalisées du journal de bord (modale Paramètres)
+ * Les étiquettes sont stockées dans appState.journalCustomTags via JournalManager.
+ * @module managers/JournalTagSettingsManager
+ */
+
+import { appState } from '../state/State.js';
+import { Utils } from '../utils/Utils.js';
+import { JournalManager, TAG_CATEGORY_COLORS } from './JournalManager.js';
+import { UI } from './UIManager.js';
+
+/** Icônes proposées pour une étiquette */
+const TAG_ICONS = [
+    'solar:tag-linear',
+    'solar:microphone-linear',
+    'solar:pen-linear',
+    'solar:notebook-linear',
+    'solar:clock-circle-linear',
+    'solar:running-linear',
+    'solar:t-shirt-linear',
+    'solar:medical-kit-linear',
+    'solar:users-group-rounded-linear',
+    'solar:lightbulb-linear',
+    'solar:star-linear',
+    'solar:flag-linear'
+];
+
+/** Couleurs proposées (variables du thème puis teintes libres) */
+const TAG_COLORS = [
+    'var(--success-color)',
+    'var(--error-color)',
+    'var(--warning-color)',
+    'var(--text-secondary)',
+    '#3b82f6',
+    '#8b5cf6',
+    '#ec4899',
+    '#14b8a6'
+];
+
+const CATEGORY_LABELS = {
+    positive: 'Positif',
+    negative: 'Négatif',
+    neutral: 'Neutre'
+};
+
+export const JournalTagSettingsManager = {
+    /** @type {string|null} Étiquette en cours de modification (null = création) */
+    _editingTagId: null,
+    _selectedIcon: TAG_ICONS[0],
+    _selectedColor: TAG_COLORS[0],
+
+    /**
+     * Branche les écouteurs de la liste et du formulaire.
+     */
+    init() {
+        const list = document.getElementById('journalCustomTagsList');
+        const form = document.getElementById('journalTagForm');
+        if (!list || !form) return;
+
+        list.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (!btn) return;
+            const tagId = btn.closest('[data-tag-id]')?.dataset.tagId;
+            if (btn.dataset.action === 'edit') this._startEdit(tagId);
+            if (btn.dataset.action === 'delete') this._delete(tagId);
+        });
+
+        document.getElementById('journalTagIconPicker')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-icon]');
+            if (!btn) return;
+            this._selectedIcon = btn.dataset.icon;
+            this._renderPickers();
+        });
+
+        document.getElementById('journalTagColorPicker')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-color]');
+            if (!btn) return;
+            this._selectedColor = btn.dataset.color;
+            this._renderPickers();
+        });
+
+        // La couleur suit la catégorie tant que l'utilisateur garde une couleur de catégorie
+        document.getElementById('journalTagCategorySelect')?.addEventListener('change', (e) => {
+            if (Object.values(TAG_CATEGORY_COLORS).includes(this._selectedColor)) {
+                this._selectedColor = TAG_CATEGORY_COLORS[e.target.value];
+                this._renderPickers();
+            }
+        });
+
+        document.getElementById('journalTagSubmitBtn')?.addEventListener('click', () => this._submit());
+        document.getElementById('journalTagCancelBtn')?.addEventListener('click', () => this._resetForm());
+        document.getElementById('journalTagLabelInput')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this._submit();
+            }
+        });
+    },
+
+    /**
+     * Affiche la liste des étiquettes et réinitialise le formulaire.
+     */
+    render() {
+        const list = document.getElementById('journalCustomTagsList');
+        if (!list) return;
+
+        const classes = appState.classes || [];
+        const tags = JournalManager.getCustomTags();
+
+        list.innerHTML = tags.length === 0
+            ? '<p class="journal-tags-settings-empty">Aucune étiquette personnalisée.</p>'
+            : tags.map(tag => {
+                const scope = tag.classId
+                    ? classes.find(c => c.id === tag.classId)?.name || 'Classe supprimée'
+                    : 'Toutes les classes';
+                return `
+                    <div class="journal-tags-settings-row" data-tag-id="${tag.id}">
+                        <span class="journal-tag" style="--tag-color: ${tag.color}">
+                            <iconify-icon icon="${tag.icon}"></iconify-icon> ${tag.label}
+                        </span>
+                        <span class="journal-tags-settings-meta">${CATEGORY_LABELS[tag.category]} · ${Utils.escapeHtml(scope)}</span>
+                        <button type="button" class="btn-icon-small" data-action="edit" aria-label="Modifier">
+                            <iconify-icon icon="solar:pen-linear"></iconify-icon>
+                        </button>
+                        <button type="button" class="btn-icon-small danger" data-action="delete" aria-label="Supprimer">
+                            <iconify-icon icon="solar:trash-bin-trash-linear"></iconify-icon>
+                        </button>
+                    </div>
+                `;
+            }).join('');
+
+        const scopeSelect = document.getElementById('journalTagScopeSelect');
+        if (scopeSelect) {
+            scopeSelect.innerHTML = '<option value="">Toutes les classes</option>' + classes
+                .map(c => `<option value="${c.id}">${Utils.escapeHtml(c.name)}</option>`)
+                .join('');
+        }
+
+        this._resetForm();
+    },
+
+    /**
+     * @private
+     */
+    _renderPickers() {
+        const iconPicker = document.getElementById('journalTagIconPicker');
+        if (iconPicker) {
+            iconPicker.innerHTML = TAG_ICONS.map(icon => `
+                <button type="button" class="journal-tag-picker-btn${icon === this._selectedIcon ? ' active' : ''}"
+                    data-icon="${icon}" aria-pressed="${icon === this._selectedIcon}">
+                    <iconify-icon icon="${icon}"></iconify-icon>
+                </button>
+            `).join('');
+        }
+
+        const colorPicker = document.getElementById('journalTagColorPicker');
+        if (colorPicker) {
+            colorPicker.innerHTML = TAG_COLORS.map(color => `
+                <button type="button" class="journal-tag-color-swatch${color === this._selectedColor ? ' active' : ''}"
+                    data-color="${color}" style="--tag-color: ${color}" aria-pressed="${color === this._selectedColor}"
+                    aria-label="Couleur"></button>
+            `).join('');
+        }
+    },
+
+    /**
+     * Remet le formulaire en mode création.
+     * @private
+     */
+    _resetForm() {
+        this._editingTagId = null;
+        this._selectedIcon = TAG_ICONS[0];
+        this._selectedColor = TAG_COLORS[0];
+
+        const labelInput = document.getElementById('journalTagLabelInput');
+        const categorySelect = document.getElementById('journalTagCategorySelect');
+        const scopeSelect = document.getElementById('journalTagScopeSelect');
+        const submitBtn = document.getElementById('journalTagSubmitBtn');
+        const cancelBtn = document.getElementById('journalTagCancelBtn');
+
+        if (labelInput) labelInput.value = '';
+        if (categorySelect) categorySelect.value = 'positive';
+        if (scopeSelect) scopeSelect.value = '';
+        if (submitBtn) submitBtn.textContent = 'Ajouter';
+        if (cancelBtn) cancelBtn.hidden = true;
+
+        this._renderPickers();
+    },
+
+    /**
+     * Charge une étiquette dans le formulaire.
+     * @param {string} tagId
+     * @private
+     */
+    _startEdit(tagId) {
+        const tag = JournalManager.getCustomTags().find(t => t.id === tagId);
+        if (!tag) return;
+
+        this._editingTagId = tag.id;
+        this._selectedIcon = tag.icon;
+        this._selectedColor = tag.color;
+
+        document.getElementById('journalTagLabelInput').value = tag.label;
+        document.getElementById('journalTagCategorySelect').value = tag.category;
+        document.getElementById('journalTagScopeSelect').value = tag.classId || '';
+        document.getElementById('journalTagSubmitBtn').textContent = 'Enregistrer';
+        document.getElementById('journalTagCancelBtn').hidden = false;
+
+        this._renderPickers();
+        document.getElementById('journalTagLabelInput').focus();
+    },
+
+    /**
+     * Crée ou met à jour l'étiquette décrite par le formulaire.
+     * @private
+     */
+    _submit() {
+        const data = {
+            label: document.getElementById('journalTagLabelInput')?.value || '',
+            category: document.getElementById('journalTagCategorySelect')?.value,
+            classId: document.getElementById('journalTagScopeSelect')?.value || null,
+            icon: this._selectedIcon,
+            color: this._selectedColor
+        };
+
+        const tag = this._editingTagId
+            ? JournalManager.updateCustomTag(this._editingTagId, data)
+            : JournalManager.addCustomTag(data);
+
+        if (!tag) {
+            UI.showNotification('Donnez un libellé à l\'étiquette.', 'warning');
+            return;
+        }
+
+        this.render();
+    },
+
+    /**
+     * Supprime une étiquette (archivée si des observations l'utilisent encore).
+     * @param {string} tagId
+     * @private
+     */
+    _delete(tagId) {
+        if (!JournalManager.deleteCustomTag(tagId)) return;
+        UI.showNotification('Étiquette supprimée.', 'success');
+        this.render();
+    }
+};
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Rapport de relecture des appréciations de la classe
+ * Affiche, par élève, les problèmes relevés par LintService (menu Actions de la vue liste).
+ * @module managers/LintReportManager
+ */
+
+import { appState } from '../state/State.js';
+import { Utils } from '../utils/Utils.js';
+import { LintService } from '../services/LintService.js';
+import { ModalUI } from './ModalUIManager.js';
+import { FocusPanelManager } from './FocusPanelManager.js';
+
+const SEVERITY_LABELS = {
+    error: { icon: 'solar:danger-circle-bold', label: 'erreur', plural: 'erreurs' },
+    warning: { icon: 'solar:danger-triangle-bold', label: 'avertissement', plural: 'avertissements' },
+    info: { icon: 'solar:info-circle-bold', label: 'suggestion', plural: 'suggestions' }
+};
+
+export const LintReportManager = {
+    /**
+     * Relit les appréciations des élèves affichés et ouvre le rapport.
+     */
+    open() {
+        const { reports, counts, checked } = LintService.lintClass(appState.filteredResults || []);
+
+        const modalId = 'lintReportModal';
+        document.getElementById(modalId)?.remove();
+
+        const modal = document.createElement('div');
+        modal.id = modalId;
+        modal.className = 'modal modal-lint-report';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2 class="modal-title">
+                        <span class="modal-title-icon color-accent"><iconify-icon icon="solar:checklist-minimalistic-bold"></iconify-icon></span>
+                        <span class="modal-title-text">Relecture des appréciations</span>
+                    </h2>
+                    <button class="close-button" aria-label="Fermer">
+                        <iconify-icon icon="ph:x"></iconify-icon>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    ${this._renderSummary(counts, checked, reports.length)}
+                    ${reports.length > 0 ? `<ul class="lint-report-list">${reports.map(report => this._renderReport(report)).join('')}</ul>` : ''}
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" data-action="close">Fermer</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const close = () => {
+            ModalUI.closeModal(modal);
+        };
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal || e.target.closest('.close-button, [data-action="close"]')) {
+                close();
+                return;
+            }
+            // Un clic sur un élève ouvre son appréciation dans le Focus Panel
+            const studentBtn = e.target.closest('[data-student-id]');
+            if (studentBtn) {
+                close();
+                FocusPanelManager.open(studentBtn.dataset.studentId);
+            }
+        });
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') close();
+        });
+
+        ModalUI.openModal(modal);
+    },
+
+    /**
+     * @param {Object<string, number>} counts - Nombre de problèmes par sévérité
+     * @param {number} checked - Appréciations relues
+     * @param {number} flagged - Élèves ayant au moins un problème
+     * @returns {string} HTML du récapitulatif
+     * @private
+     */
+    _renderSummary(counts, checked, flagged) {
+        if (checked === 0) {
+            return '<p class="lint-report-empty">Aucune appréciation à relire pour cette période.</p>';
+        }
+        if (flagged === 0) {
+            return `<p class="lint-report-empty"><iconify-icon icon="solar:check-circle-bold"></iconify-icon> ${checked} appréciation${checked > 1 ? 's' : ''} relue${checked > 1 ? 's' : ''}, aucun problème détecté.</p>`;
+        }
+
+        const chips = Object.entries(SEVERITY_LABELS)
+            .filter(([severity]) => counts[severity] > 0)
+            .map(([severity, { icon, label, plural }]) =>
+                `<span class="lint-report-chip lint-${severity}"><iconify-icon icon="${icon}"></iconify-icon> ${counts[severity]} ${counts[severity] > 1 ? plural : label}</span>`)
+            .join('');
+
+        return `<div class="lint-report-summary">
+            <span>${flagged} élève${flagged > 1 ? 's' : ''} sur ${checked} à revoir</span>
+            ${chips}
+        </div>`;
+    },
+
+    /**
+     * @param {{result: Object, issues: Array<Object>}} report
+     * @returns {string} HTML d'un élève et de ses problèmes
+     * @private
+     */
+    _renderReport({ result, issues }) {
+        const name = Utils.escapeHtml(`${result.nom} ${result.prenom}`.trim());
+        const items = issues.map(issue => `
+            <li class="lint-${issue.severity}">
+                <iconify-icon icon="${SEVERITY_LABELS[issue.severity].icon}"></iconify-icon>
+                ${Utils.escapeHtml(issue.message)}
+            </li>`).join('');
+
+        return `<li class="lint-report-student">
+            <button type="button" class="lint-report-name" data-student-id="${Utils.escapeHtml(String(result.id))}">
+                ${name}
+                <iconify-icon icon="solar:alt-arrow-right-linear"></iconify-icon>
+            </button>
+            <ul class="lint-report-issues">${items}</ul>
+        </li>`;
+    }
+};
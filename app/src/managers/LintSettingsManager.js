@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Réglages de la relecture des appréciations (modale Paramètres)
+ * Les règles configurables sont stockées dans appState.lintSettings.
+ * @module managers/LintSettingsManager
+ */
+
+import { appState } from '../state/State.js';
+import { LintService } from '../services/LintService.js';
+import { StorageManager } from './StorageManager.js';
+
+export const LintSettingsManager = {
+    /**
+     * Branche les écouteurs du formulaire (enregistrement à chaque modification).
+     */
+    init() {
+        document.getElementById('lintCharLimitInput')?.addEventListener('change', (e) => {
+            const value = parseInt(e.target.value, 10);
+            this._save({ charLimit: Number.isFinite(value) && value > 0 ? value : 0 });
+        });
+
+        document.getElementById('lintForbiddenInput')?.addEventListener('change', (e) => {
+            const expressions = e.target.value
+                .split('\n')
+                .map(line => line.trim())
+                .filter(Boolean);
+            this._save({ forbiddenExpressions: [...new Set(expressions)] });
+        });
+
+        document.getElementById('lintTrendToggle')?.addEventListener('change', (e) => {
+            this._save({ requireTrendMention: e.target.checked });
+        });
+    },
+
+    /**
+     * Remplit le formulaire avec les règles courantes.
+     */
+    render() {
+        const settings = LintService.getSettings();
+
+        const charLimitInput = document.getElementById('lintCharLimitInput');
+        if (charLimitInput) charLimitInput.value = settings.charLimit || 0;
+
+        const forbiddenInput = document.getElementById('lintForbiddenInput');
+        if (forbiddenInput) forbiddenInput.value = settings.forbiddenExpressions.join('\n');
+
+        const trendToggle = document.getElementById('lintTrendToggle');
+        if (trendToggle) trendToggle.checked = !!settings.requireTrendMention;
+    },
+
+    /**
+     * Fusionne une modification dans les règles et persiste.
+     * @param {Object} changes - Règles modifiées
+     * @private
+     */
+    _save(changes) {
+        appState.lintSettings = { ...LintService.getSettings(), ...changes };
+        StorageManager.saveAppState();
+        this.render();
+    }
+};
@@ -260,6 +260,26 @@ export const ListViewManager = {
         }
     },
 
+    /**
+     * Displays partial text in a row while the appreciation is being streamed.
+     * @param {string} studentId - The ID of the student.
+     * @param {string} partialText - Text received so far.
+     * @returns {boolean} True if the row was updated.
+     */
+    setRowStreamingText(studentId, partialText) {
+        const row = document.querySelector(`.student-row[data-student-id="${studentId}"]`);
+        const appreciationCell = row?.querySelector('.appreciation-cell');
+        if (!appreciationCell || !partialText) return false;
+
+        let targetEl = appreciationCell.querySelector('.appreciation-preview.streaming');
+        if (!targetEl) {
+            appreciationCell.innerHTML = `<div class="appreciation-preview expanded streaming"></div>`;
+            targetEl = appreciationCell.querySelector('.appreciation-preview');
+        }
+        targetEl.textContent = Utils.decodeHtmlEntities(partialText).replace(/<[^>]*>/g, '');
+        return true;
+    },
+
     /**
      * Updates a specific row with new result data and triggers animation.
      * @param {string} studentId - The ID of the student.
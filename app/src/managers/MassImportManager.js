@@ -10,6 +10,7 @@ import { StorageManager } from './StorageManager.js';
 import { ClassManager } from './ClassManager.js';
 import { NotificationCoalescer } from './NotificationManager.js';
 import { PromptService } from '../services/PromptService.js';
+import { SubjectsService } from '../services/SubjectsService.js';
 
 let Am;
 let App;
@@ -47,12 +48,34 @@ export const MassImportManager = {
 
             UI.updateOutputProgress(0, studentsToProcess.length, 'Démarrage...');
 
+            // Génération par lot : les résultats obtenus en une requête groupée, indexés par position
+            const batchSize = Math.max(1, parseInt(appState.batchGenerationSize, 10) || 1);
+            let batchResults = new Map();
+
             for (const [index, studentData] of studentsToProcess.entries()) {
                 if (this.massImportAbortController.signal.aborted) {
                     wasAborted = true;
                     break;
                 }
 
+                if (batchSize > 1 && index % batchSize === 0) {
+                    const batch = studentsToProcess.slice(index, index + batchSize);
+                    if (batch.length > 1) {
+                        try {
+                            batchResults = await this._generateBatch(batch, pendingCards.slice(index, index + batchSize), index, studentsToProcess.length);
+                        } catch (e) {
+                            if (e.name === 'AbortError' || this.massImportAbortController?.signal?.aborted) {
+                                wasAborted = true;
+                                pendingCards.slice(index, index + batchSize).forEach(id => ListViewManager.setRowStatus(id, 'pending'));
+                                break;
+                            }
+                            // Lot en échec : chaque élève sera généré individuellement
+                            console.warn('[MassImportManager] Échec de la génération par lot, repli élève par élève:', e.message);
+                            batchResults = new Map();
+                        }
+                    }
+                }
+
                 // Afficher le nom de l'élève en cours dans la barre de progression
                 const studentName = `${studentData.prenom || ''} ${studentData.nom || ''}`.trim();
                 const generationStartTime = performance.now();
@@ -67,27 +90,36 @@ export const MassImportManager = {
 
                 let newResultObject;
                 let hasError = false;
+                let hasStreamed = false;
 
                 try {
-                    // Rate limiting RÉACTIF : on attend seulement si l'API a demandé un délai
-                    const waitTime = RateLimiter.getWaitTime(appState.currentAIModel);
-                    if (waitTime > 0) {
-                        UI.updateOutputProgress(
-                            index,
-                            studentsToProcess.length,
-                            `⏱️ Pause API (${RateLimiter.formatTime(waitTime)})`
-                        );
-                        await RateLimiter.waitIfNeeded(appState.currentAIModel, null, this.massImportAbortController.signal);
-                    }
+                    if (batchResults.has(index)) {
+                        newResultObject = batchResults.get(index);
+                        UI.updateOutputProgress(index + 1, studentsToProcess.length, studentName);
+                    } else {
+                        // Rate limiting RÉACTIF : on attend seulement si l'API a demandé un délai
+                        const waitTime = RateLimiter.getWaitTime(appState.currentAIModel);
+                        if (waitTime > 0) {
+                            UI.updateOutputProgress(
+                                index,
+                                studentsToProcess.length,
+                                `⏱️ Pause API (${RateLimiter.formatTime(waitTime)})`
+                            );
+                            await RateLimiter.waitIfNeeded(appState.currentAIModel, null, this.massImportAbortController.signal);
+                        }
 
-                    newResultObject = await Am.generateAppreciation(studentData, false, null, this.massImportAbortController.signal);
+                        newResultObject = await Am.generateAppreciation(studentData, false, null, this.massImportAbortController.signal, null, (partialText) => {
+                            // Streaming : la carte affiche le texte au fur et à mesure
+                            hasStreamed = ListViewManager.setRowStreamingText(resultId, partialText) || hasStreamed;
+                        });
 
-                    // Calculer et afficher le temps de génération
-                    const generationTime = ((performance.now() - generationStartTime) / 1000).toFixed(1);
-                    UI.updateOutputProgress(index + 1, studentsToProcess.length, `${studentName} (${generationTime}s)`);
+                        // Calculer et afficher le temps de génération
+                        const generationTime = ((performance.now() - generationStartTime) / 1000).toFixed(1);
+                        UI.updateOutputProgress(index + 1, studentsToProcess.length, `${studentName} (${generationTime}s)`);
 
-                    // Marquer la requête réussie pour l'auto-tuning (peut réduire le délai)
-                    RateLimiter.markSuccess(appState.currentAIModel);
+                        // Marquer la requête réussie pour l'auto-tuning (peut réduire le délai)
+                        RateLimiter.markSuccess(appState.currentAIModel);
+                    }
 
                 } catch (e) {
                     // Vérifier si c'est une annulation (AbortError, signal aborted, ou message spécifique)
@@ -182,9 +214,9 @@ export const MassImportManager = {
                     appState.generatedResults.unshift(newResultObject);
                 }
 
-                // Mettre à jour la ligne avec l'animation Typewriter
+                // Mettre à jour la ligne avec l'animation Typewriter (inutile si le texte a déjà été streamé)
                 if (newResultObject) {
-                    await ListViewManager.updateRow(resultId, newResultObject, true);
+                    await ListViewManager.updateRow(resultId, newResultObject, !hasStreamed);
                 }
             }
 
@@ -228,6 +260,51 @@ export const MassImportManager = {
         }
     },
 
+    /**
+     * Génère un lot d'élèves en une seule requête IA.
+     * Les élèves absents de la réponse ne figurent pas dans la Map retournée :
+     * la boucle principale les regénère alors un par un.
+     * @param {Array} batch - Données des élèves du lot
+     * @param {Array} resultIds - IDs des rangées correspondantes
+     * @param {number} startIndex - Position du premier élève du lot dans la file
+     * @param {number} total - Nombre total d'élèves à traiter
+     * @returns {Promise<Map<number, Object>>} Résultats indexés par position dans la file
+     * @private
+     */
+    async _generateBatch(batch, resultIds, startIndex, total) {
+        const signal = this.massImportAbortController.signal;
+        resultIds.forEach(id => ListViewManager.setRowStatus(id, 'generating'));
+
+        const waitTime = RateLimiter.getWaitTime(appState.currentAIModel);
+        if (waitTime > 0) {
+            UI.updateOutputProgress(startIndex, total, `⏱️ Pause API (${RateLimiter.formatTime(waitTime)})`);
+            await RateLimiter.waitIfNeeded(appState.currentAIModel, null, signal);
+        }
+
+        UI.updateOutputProgress(startIndex, total, `Lot de ${batch.length} élèves...`);
+
+        let response;
+        try {
+            response = await Am.generateAppreciationBatch(batch, signal);
+        } catch (e) {
+            if (e.message?.includes('429') || e.message?.toLowerCase().includes('quota')) {
+                RateLimiter.markError429(appState.currentAIModel, e.message);
+            }
+            throw e;
+        }
+        RateLimiter.markSuccess(appState.currentAIModel);
+
+        if (response.missingIndexes.length > 0) {
+            console.warn(`[MassImportManager] ${response.missingIndexes.length} élève(s) manquant(s) dans la réponse du lot, regénération individuelle.`);
+        }
+
+        const results = new Map();
+        response.results.forEach((result, i) => {
+            if (result) results.set(startIndex + i, result);
+        });
+        return results;
+    },
+
     /**
      * Importe les élèves SANS génération IA
      * Crée des cartes "pending" qui pourront être générées plus tard
@@ -239,6 +316,12 @@ export const MassImportManager = {
         let newCount = 0;
         let updatedCount = 0;
 
+        // L'ordre du fichier est celui de la grille Pronote (file de collage)
+        ClassManager.setClassImportOrder(
+            appState.currentClassId,
+            studentsToProcess.map(s => Utils.formatStudentName(s.nom, s.prenom))
+        );
+
         for (const studentData of studentsToProcess) {
             const normalizedKey = Utils.normalizeName(studentData.nom, studentData.prenom);
             const currentClassId = appState.currentClassId;
@@ -267,6 +350,42 @@ export const MassImportManager = {
                     appreciation: finalAppreciation
                 };
 
+                // Les domaines du socle absents du fichier gardent leur positionnement
+                const mergedSocle = { ...existingPeriodData.socle, ...importedPeriodData?.socle };
+                if (Object.keys(mergedSocle).length > 0) {
+                    existingResult.studentData.periods[currentPeriod].socle = mergedSocle;
+                }
+
+                // La décision du conseil de classe n'est pas dans le fichier : on la conserve
+                if (existingPeriodData.councilDecision) {
+                    existingResult.studentData.periods[currentPeriod].councilDecision = existingPeriodData.councilDecision;
+                }
+
+                // Bulletins de collègues : les matières s'ajoutent à celles déjà importées,
+                // le nombre de notes n'est pas dans le fichier. Un fichier sans matières
+                // (liste de classe, notes) ne touche pas aux bulletins déjà importés
+                const mergedPeriod = existingResult.studentData.periods[currentPeriod];
+                if (importedPeriodData?.subjects) {
+                    mergedPeriod.subjects = existingPeriodData.subjects || [];
+                    SubjectsService.addSubjects(existingResult.studentData, currentPeriod, importedPeriodData.subjects);
+                    mergedPeriod.evaluationCount = importedPeriodData.evaluationCount ?? existingPeriodData.evaluationCount;
+                } else if (existingPeriodData.subjects?.length) {
+                    mergedPeriod.subjects = existingPeriodData.subjects;
+                }
+
+                // Contexte absent du fichier : on garde celui déjà saisi
+                if (!importedPeriodData?.context?.trim() && existingPeriodData.context) {
+                    mergedPeriod.context = existingPeriodData.context;
+                }
+
+                // Fichier sans relevé de notes (pas de colonne EVAL_, bulletins de collègues) :
+                // on garde les évaluations déjà importées et la moyenne qui en découle
+                if (!importedPeriodData?.assessments?.length && existingPeriodData.assessments?.length) {
+                    mergedPeriod.assessments = existingPeriodData.assessments;
+                    mergedPeriod.grade = existingPeriodData.grade;
+                    mergedPeriod.evaluationCount = existingPeriodData.evaluationCount;
+                }
+
                 existingResult.studentData.statuses = studentData.statuses || existingResult.studentData.statuses;
 
                 // Synchronisation du champ d'appréciation racine
@@ -37,6 +37,7 @@ vi.mock('../utils/DOM.js', () => ({
 vi.mock('../utils/Utils.js', () => ({
     Utils: {
         normalizeName: (nom, prenom) => `${nom}_${prenom}`.toLowerCase(),
+        formatStudentName: (nom, prenom) => `${nom} ${prenom}`,
         translateErrorMessage: (msg) => msg,
         detectGender: (prenom) => 'M',
         getPeriodLabel: (period, long) => period,
@@ -61,6 +62,7 @@ vi.mock('../utils/RateLimiter.js', () => ({
 // Mock managers
 const mockAm = {
     generateAppreciation: vi.fn(),
+    generateAppreciationBatch: vi.fn(),
     createResultObject: vi.fn((nom, prenom, appreciation, evolutions, studentData, prompts, tokenUsage, errorMessage) => ({
         id: 'test-id-' + nom,
         nom, prenom, appreciation, evolutions, studentData,
@@ -99,6 +101,8 @@ const mockUI = {
 
 import { MassImportManager } from './MassImportManager.js';
 import { appState } from '../state/State.js';
+import { ClassManager } from './ClassManager.js';
+import { StorageManager } from './StorageManager.js';
 
 describe('MassImportManager', () => {
     beforeEach(() => {
@@ -106,6 +110,7 @@ describe('MassImportManager', () => {
         MassImportManager.init(mockAm, mockApp, mockUI);
         MassImportManager.massImportAbortController = null;
         appState.generatedResults = [];
+        appState.batchGenerationSize = 1;
     });
 
     afterEach(() => {
@@ -204,6 +209,46 @@ describe('MassImportManager', () => {
 
             expect(mockAm.renderResults).toHaveBeenCalled();
         });
+
+        it('should generate students in batches and retry missing ones individually', async () => {
+            appState.batchGenerationSize = 3;
+            const students = [
+                { nom: 'MARTIN', prenom: 'Lucas', periods: { T1: { grade: 15 } }, statuses: [] },
+                { nom: 'DUPONT', prenom: 'Emma', periods: { T1: { grade: 12 } }, statuses: [] },
+                { nom: 'BERNARD', prenom: 'Léo', periods: { T1: { grade: 9 } }, statuses: [] }
+            ];
+            const makeResult = (nom) => ({ id: 'r-' + nom, nom, appreciation: 'Lot', studentData: { periods: {} }, evolutions: [] });
+
+            mockAm.generateAppreciationBatch.mockResolvedValue({
+                results: [makeResult('MARTIN'), null, makeResult('BERNARD')],
+                missingIndexes: [1]
+            });
+            mockAm.generateAppreciation.mockResolvedValue(makeResult('DUPONT'));
+
+            await MassImportManager.processMassImport(students, 0);
+
+            expect(mockAm.generateAppreciationBatch).toHaveBeenCalledTimes(1);
+            expect(mockAm.generateAppreciationBatch.mock.calls[0][0]).toHaveLength(3);
+            expect(mockAm.generateAppreciation).toHaveBeenCalledTimes(1);
+            expect(mockAm.generateAppreciation.mock.calls[0][0].nom).toBe('DUPONT');
+        });
+
+        it('should fall back to one request per student when the batch fails', async () => {
+            appState.batchGenerationSize = 5;
+            const students = [
+                { nom: 'MARTIN', prenom: 'Lucas', periods: { T1: { grade: 15 } }, statuses: [] },
+                { nom: 'DUPONT', prenom: 'Emma', periods: { T1: { grade: 12 } }, statuses: [] }
+            ];
+
+            mockAm.generateAppreciationBatch.mockRejectedValue(new Error('Erreur API 429: quota'));
+            mockAm.generateAppreciation.mockResolvedValue({
+                id: 'test-id', appreciation: 'Test', studentData: { periods: {} }, evolutions: []
+            });
+
+            await MassImportManager.processMassImport(students, 0);
+
+            expect(mockAm.generateAppreciation).toHaveBeenCalledTimes(2);
+        });
     });
 
     describe('_createPendingCards', () => {
@@ -296,4 +341,56 @@ describe('MassImportManager', () => {
             expect(appState.generatedResults[0].isPending).toBe(false);
         });
     });
+
+    describe('importStudentsOnly', () => {
+        beforeEach(() => {
+            vi.spyOn(ClassManager, '_filterResultsByClass').mockResolvedValue();
+            vi.spyOn(ClassManager, 'setClassImportOrder').mockImplementation(() => {});
+            vi.spyOn(StorageManager, 'saveAppState').mockResolvedValue();
+        });
+
+        it('should keep the assessments and their average when the file has no EVAL column', async () => {
+            const assessments = [{ date: '12/09', value: 16, max: 20, coef: 1, status: 'note' }];
+            appState.currentClassId = null;
+            appState.generatedResults = [{
+                id: 'r1', nom: 'MARTIN', prenom: 'Lucas', classId: null, appreciation: '',
+                studentData: { periods: { T1: { grade: 16, evaluationCount: 1, assessments, appreciation: '' } } }
+            }];
+
+            await MassImportManager.importStudentsOnly([
+                { nom: 'MARTIN', prenom: 'Lucas', statuses: [], periods: { T1: { grade: 11, appreciation: 'Bon trimestre.' } } }
+            ], 0);
+
+            expect(appState.generatedResults[0].studentData.periods.T1).toEqual({
+                grade: 16, evaluationCount: 1, assessments, appreciation: 'Bon trimestre.'
+            });
+        });
+
+        it('should keep colleague subject reports and context when re-importing a plain file', async () => {
+            const subjects = [
+                { subject: 'Maths', teacher: 'M. Martin', grade: 14, appreciation: 'Bon travail.' },
+                { subject: 'Anglais', teacher: 'Mme Lee', grade: 12, appreciation: 'Participation active.' }
+            ];
+            appState.currentClassId = null;
+            appState.generatedResults = [{
+                id: 'r1', nom: 'MARTIN', prenom: 'Lucas', classId: null, appreciation: '',
+                studentData: { periods: { T1: { grade: null, appreciation: '', context: 'Absent deux semaines' } } }
+            }];
+
+            await MassImportManager.importStudentsOnly([
+                { nom: 'MARTIN', prenom: 'Lucas', statuses: [], periods: { T1: { subjects } } }
+            ], 0);
+            await MassImportManager.importStudentsOnly([
+                { nom: 'MARTIN', prenom: 'Lucas', statuses: [], periods: { T1: { grade: 13, appreciation: '', context: '' } } }
+            ], 0);
+
+            const period = appState.generatedResults[0].studentData.periods.T1;
+            expect(period.subjects.map(s => [s.subject, s.grade, s.appreciation])).toEqual([
+                ['Maths', 14, 'Bon travail.'],
+                ['Anglais', 12, 'Participation active.']
+            ]);
+            expect(period.context).toBe('Absent deux semaines');
+            expect(period.grade).toBe(13);
+        });
+    });
 });
@@ -0,0 +1,347 @@
+/**
+ * @fileoverview File de collage Pronote (menu Actions de la vue liste)
+ * Met les appréciations dans le presse-papiers une par une, dans l'ordre de la grille
+ * Pronote : on colle dans Pronote, on revient et on passe à l'élève suivant au clavier.
+ * @module managers/PasteQueueManager
+ */
+
+import { appState } from '../state/State.js';
+import { Utils } from '../utils/Utils.js';
+import { PasteQueueService } from '../services/PasteQueueService.js';
+import { StorageManager } from './StorageManager.js';
+import { ModalUI } from './ModalUIManager.js';
+import { UI } from './UIManager.js';
+
+export const PasteQueueManager = {
+    /** @type {HTMLElement|null} */
+    _modal: null,
+    /** @type {Array<{name: string, result: Object|null, text: string, done: boolean}>} */
+    _queue: [],
+    _index: 0,
+
+    /**
+     * Ouvre la modale sur le choix de l'ordre (import Pronote ou colonne de noms collée).
+     */
+    open() {
+        const results = this._getClassResults();
+        if (results.length === 0) {
+            UI.showNotification('Aucun élève dans cette classe.', 'warning');
+            return;
+        }
+
+        this._modal?.remove();
+        this._modal = document.createElement('div');
+        this._modal.id = 'pasteQueueModal';
+        this._modal.className = 'modal modal-paste-queue';
+        this._modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2 class="modal-title">
+                        <span class="modal-title-icon color-accent"><iconify-icon icon="solar:clipboard-list-linear"></iconify-icon></span>
+                        <span class="modal-title-text">Coller dans Pronote</span>
+                    </h2>
+                    <button class="close-button" aria-label="Fermer">
+                        <iconify-icon icon="ph:x"></iconify-icon>
+                    </button>
+                </div>
+                <div class="modal-body" tabindex="-1"></div>
+                <div class="modal-footer"></div>
+            </div>
+        `;
+        document.body.appendChild(this._modal);
+
+        this._modal.addEventListener('click', (e) => {
+            if (e.target === this._modal || e.target.closest('.close-button')) {
+                this.close();
+                return;
+            }
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action) this._handleAction(action);
+        });
+        this._modal.addEventListener('input', (e) => {
+            if (e.target.id === 'pasteQueueNames') this._renderMatchSummary();
+        });
+        this._modal.addEventListener('change', (e) => {
+            if (e.target.name === 'pasteQueueSource') this._renderSetup();
+        });
+        this._modal.addEventListener('keydown', (e) => this._handleKeydown(e));
+
+        this._queue = [];
+        this._renderSetup();
+        ModalUI.openModal(this._modal);
+    },
+
+    /**
+     * Ferme la modale et enregistre les élèves marqués comme copiés.
+     */
+    close() {
+        if (!this._modal) return;
+        const modal = this._modal;
+        this._modal = null;
+        ModalUI.closeModal(modal);
+
+        if (this._queue.some(entry => entry.done)) {
+            StorageManager.saveAppState();
+            window.dispatchEvent(new CustomEvent('studentsUpdated'));
+        }
+    },
+
+    /**
+     * @returns {Array<Object>} Élèves de la classe courante
+     * @private
+     */
+    _getClassResults() {
+        const classId = appState.currentClassId;
+        return (appState.generatedResults || []).filter(r => !classId || r.classId === classId);
+    },
+
+    /**
+     * @returns {string[]} Noms de la liste cible selon la source choisie
+     * @private
+     */
+    _getTargetNames() {
+        const source = this._modal?.querySelector('[name="pasteQueueSource"]:checked')?.value;
+        if (source === 'import') return PasteQueueService.getImportOrder();
+        return PasteQueueService.parseNameColumn(this._modal?.querySelector('#pasteQueueNames')?.value);
+    },
+
+    /**
+     * Étape 1 : choix de l'ordre
+     * @private
+     */
+    _renderSetup() {
+        const body = this._modal.querySelector('.modal-body');
+        const footer = this._modal.querySelector('.modal-footer');
+        const hasImportOrder = PasteQueueService.getImportOrder().length > 0;
+        const previousSource = this._modal.querySelector('[name="pasteQueueSource"]:checked')?.value;
+        const source = previousSource || (hasImportOrder ? 'import' : 'paste');
+        const pastedNames = this._modal.querySelector('#pasteQueueNames')?.value || '';
+
+        body.innerHTML = `
+            <p class="paste-queue-intro">Chaque appréciation est copiée à son tour : collez-la dans Pronote,
+                revenez ici et appuyez sur <kbd>Entrée</kbd> pour passer à l'élève suivant.</p>
+            <div class="paste-queue-sources">
+                <label class="paste-queue-source ${hasImportOrder ? '' : 'disabled'}">
+                    <input type="radio" name="pasteQueueSource" value="import" ${source === 'import' ? 'checked' : ''} ${hasImportOrder ? '' : 'disabled'}>
+                    <span><strong>Ordre de l'import</strong>
+                        <small>${hasImportOrder ? 'Ordre de la dernière liste importée pour cette classe' : 'Aucune liste importée pour cette classe'}</small></span>
+                </label>
+                <label class="paste-queue-source">
+                    <input type="radio" name="pasteQueueSource" value="paste" ${source === 'paste' ? 'checked' : ''}>
+                    <span><strong>Colonne de noms collée</strong>
+                        <small>Copiez la colonne des élèves depuis la grille Pronote</small></span>
+                </label>
+            </div>
+            <textarea id="pasteQueueNames" class="paste-queue-names" rows="6"
+                placeholder="MARTIN Léa&#10;DURAND Lucas&#10;…" ${source === 'paste' ? '' : 'hidden'}>${Utils.escapeHtml(pastedNames)}</textarea>
+            <div class="paste-queue-summary" aria-live="polite"></div>
+        `;
+        footer.innerHTML = `
+            <button class="btn btn-secondary" data-action="close">Annuler</button>
+            <button class="btn btn-primary" data-action="start">
+                <iconify-icon icon="solar:play-linear"></iconify-icon> Commencer
+            </button>
+        `;
+        this._renderMatchSummary();
+    },
+
+    /**
+     * Récapitulatif de la correspondance des noms (mis à jour à la saisie)
+     * @private
+     */
+    _renderMatchSummary() {
+        const summary = this._modal?.querySelector('.paste-queue-summary');
+        const startBtn = this._modal?.querySelector('[data-action="start"]');
+        if (!summary) return;
+
+        const names = this._getTargetNames();
+        const { queue, unmatched } = PasteQueueService.matchOrder(names, this._getClassResults());
+        const missingNames = queue.filter(entry => !entry.result).map(entry => entry.name);
+        if (startBtn) startBtn.disabled = queue.length === 0;
+
+        if (names.length === 0) {
+            summary.innerHTML = '';
+            return;
+        }
+
+        const lines = [`<span class="paste-queue-ok"><iconify-icon icon="solar:check-circle-linear"></iconify-icon> ${queue.length - missingNames.length}/${queue.length} élèves reconnus</span>`];
+        if (missingNames.length > 0) {
+            lines.push(`<span class="paste-queue-warn"><iconify-icon icon="solar:danger-triangle-linear"></iconify-icon> Non reconnus (passés) : ${Utils.escapeHtml(missingNames.join(', '))}</span>`);
+        }
+        if (unmatched.length > 0) {
+            lines.push(`<span class="paste-queue-warn"><iconify-icon icon="solar:info-circle-linear"></iconify-icon> Absents de la liste : ${Utils.escapeHtml(unmatched.map(r => Utils.formatStudentName(r.nom, r.prenom)).join(', '))}</span>`);
+        }
+        summary.innerHTML = lines.join('');
+    },
+
+    /**
+     * @param {string} action - start | next | skip | back | close
+     * @private
+     */
+    _handleAction(action) {
+        switch (action) {
+            case 'start': this._start(); break;
+            case 'next': this._advance(true); break;
+            case 'skip': this._advance(false); break;
+            case 'back': this._goTo(this._index - 1); break;
+            case 'close': this.close(); break;
+        }
+    },
+
+    /**
+     * Raccourcis de la file : Entrée / → suivant, ← précédent
+     * @param {KeyboardEvent} e
+     * @private
+     */
+    _handleKeydown(e) {
+        if (this._queue.length === 0 || e.target.matches('textarea, input')) return;
+
+        if (e.key === 'Enter' || e.key === 'ArrowRight') {
+            // preventDefault évite aussi le clic du bouton qui a le focus
+            e.preventDefault();
+            this._advance(true);
+        } else if (e.key === 'ArrowLeft') {
+            e.preventDefault();
+            this._goTo(this._index - 1);
+        }
+    },
+
+    /**
+     * Étape 2 : construit la file et copie le premier élève
+     * @private
+     */
+    _start() {
+        const { queue } = PasteQueueService.matchOrder(this._getTargetNames(), this._getClassResults());
+        if (queue.length === 0) return;
+
+        this._queue = queue.map(entry => ({
+            ...entry,
+            text: PasteQueueService.getPasteText(entry.result),
+            done: false
+        }));
+        this._goTo(0);
+    },
+
+    /**
+     * Passe à l'élève suivant
+     * @param {boolean} markDone - L'appréciation courante a été collée (sinon : élève passé)
+     * @private
+     */
+    _advance(markDone) {
+        const entry = this._queue[this._index];
+        if (markDone && entry?.result && entry.text) {
+            entry.done = true;
+            entry.result.copied = true;
+        }
+        this._goTo(this._index + 1);
+    },
+
+    /**
+     * Affiche un élève de la file et met son appréciation dans le presse-papiers.
+     * Sans appréciation, le presse-papiers est vidé pour ne rien coller par erreur.
+     * @param {number} index - Position dans la file (au-delà de la fin : récapitulatif)
+     * @private
+     */
+    async _goTo(index) {
+        if (!this._modal || index < 0) return;
+        this._index = Math.min(index, this._queue.length);
+
+        if (this._index === this._queue.length) {
+            this._renderDone();
+            return;
+        }
+
+        const entry = this._queue[this._index];
+        this._renderEntry(entry);
+
+        try {
+            await navigator.clipboard.writeText(entry.text);
+            this._setCopyState(entry.text ? 'copied' : 'empty');
+        } catch (err) {
+            console.error('Erreur de copie (file de collage) :', err);
+            this._setCopyState('error');
+        }
+    },
+
+    /**
+     * @param {{name: string, result: Object|null, text: string, done: boolean}} entry
+     * @private
+     */
+    _renderEntry(entry) {
+        const total = this._queue.length;
+        const position = this._index + 1;
+        const name = entry.result ? Utils.formatStudentName(entry.result.nom, entry.result.prenom) : entry.name;
+        const emptyMessage = entry.result ? 'Pas d\'appréciation pour cette période.' : 'Élève non reconnu dans la classe.';
+        const textHtml = entry.text
+            ? `<div class="paste-queue-text">${Utils.escapeHtml(entry.text)}</div>`
+            : `<div class="paste-queue-text empty">${emptyMessage}</div>`;
+
+        const body = this._modal.querySelector('.modal-body');
+        body.innerHTML = `
+            <div class="paste-queue-progress">
+                <span>Élève ${position} / ${total}</span>
+                <div class="paste-queue-progress-bar"><div style="width: ${Math.round((this._index / total) * 100)}%"></div></div>
+            </div>
+            <div class="paste-queue-student">
+                <strong>${Utils.escapeHtml(name)}</strong>
+                ${entry.done ? '<span class="paste-queue-done-badge"><iconify-icon icon="ph:check"></iconify-icon> Collée</span>' : ''}
+            </div>
+            ${textHtml}
+            <div class="paste-queue-copy-state" aria-live="polite"></div>
+            <p class="paste-queue-shortcuts"><kbd>Entrée</kbd> ou <kbd>→</kbd> suivant · <kbd>←</kbd> précédent</p>
+        `;
+
+        const footer = this._modal.querySelector('.modal-footer');
+        footer.innerHTML = `
+            <button class="btn btn-secondary" data-action="back" ${this._index === 0 ? 'disabled' : ''}>
+                <iconify-icon icon="solar:arrow-left-linear"></iconify-icon> Précédent
+            </button>
+            <button class="btn btn-secondary" data-action="skip">Passer</button>
+            <button class="btn btn-primary" data-action="next">
+                Suivant <iconify-icon icon="solar:arrow-right-linear"></iconify-icon>
+            </button>
+        `;
+        // Le focus reste dans la modale pour recevoir les raccourcis au retour sur la fenêtre
+        body.focus({ preventScroll: true });
+    },
+
+    /**
+     * @param {'copied'|'empty'|'error'} state
+     * @private
+     */
+    _setCopyState(state) {
+        const el = this._modal?.querySelector('.paste-queue-copy-state');
+        if (!el) return;
+        const messages = {
+            copied: '<iconify-icon icon="solar:clipboard-check-linear"></iconify-icon> Copiée : collez-la dans Pronote',
+            empty: '<iconify-icon icon="solar:clipboard-remove-linear"></iconify-icon> Rien à coller : presse-papiers vidé',
+            error: '<iconify-icon icon="solar:danger-triangle-linear"></iconify-icon> Copie impossible : cliquez sur « Suivant » ou « Précédent » pour réessayer'
+        };
+        el.className = `paste-queue-copy-state ${state}`;
+        el.innerHTML = messages[state];
+    },
+
+    /**
+     * Récapitulatif de fin de file
+     * @private
+     */
+    _renderDone() {
+        const doneCount = this._queue.filter(entry => entry.done).length;
+        const skipped = this._queue.filter(entry => !entry.done).map(entry =>
+            entry.result ? Utils.formatStudentName(entry.result.nom, entry.result.prenom) : entry.name);
+
+        this._modal.querySelector('.modal-body').innerHTML = `
+            <div class="paste-queue-finished">
+                <iconify-icon icon="solar:check-circle-bold"></iconify-icon>
+                <strong>${doneCount} appréciation${doneCount > 1 ? 's' : ''} collée${doneCount > 1 ? 's' : ''}</strong>
+                ${skipped.length > 0 ? `<p>Passés : ${Utils.escapeHtml(skipped.join(', '))}</p>` : ''}
+            </div>
+        `;
+        this._modal.querySelector('.modal-footer').innerHTML = `
+            <button class="btn btn-secondary" data-action="back">
+                <iconify-icon icon="solar:arrow-left-linear"></iconify-icon> Précédent
+            </button>
+            <button class="btn btn-primary" data-action="close">Terminer</button>
+        `;
+    }
+};
@@ -1,6 +1,7 @@
 import { appState } from '../state/State.js';
 import { DOM } from '../utils/DOM.js';
 import { Utils } from '../utils/Utils.js';
+import { GradeScaleService } from '../services/GradeScaleService.js';
 // import { UI } from './UIManager.js'; // REMOVED to avoid circular dependency
 import { StorageManager } from './StorageManager.js';
 import { ListViewManager } from './ListViewManager.js';
@@ -156,11 +157,8 @@ export const ResultsUIManager = {
                     const gradeRaw = r.studentData.periods[activePeriod]?.grade;
                     const grade = typeof gradeRaw === 'number' ? gradeRaw : parseFloat(String(gradeRaw || '').replace(',', '.'));
                     if (isNaN(grade)) return false;
-                    // Inclusif sur min, exclusif sur max (sauf pour 16-20 qui est inclusif sur 20)
-                    if (max === 20) {
-                        return grade >= min && grade <= max;
-                    }
-                    return grade >= min && grade < max;
+                    // Tranche exprimée dans l'unité du barème (min inclus, max exclu sauf en haut du barème)
+                    return GradeScaleService.isInBucket(grade, { min, max });
                 }
 
                 // Dashboard badge filters
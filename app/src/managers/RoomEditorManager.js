@@ -0,0 +1,344 @@
+/**
+ * @fileoverview Éditeur de la salle (disposition libre du plan de classe)
+ * Canevas quadrillé où l'on pose, déplace (glisser, flèches), tourne et retire les tables,
+ * le tableau, la porte et le bureau. Le modèle et ses règles sont dans RoomLayoutService ;
+ * la salle n'est appliquée au plan qu'à la validation.
+ * @module managers/RoomEditorManager
+ */
+
+import { Utils } from '../utils/Utils.js';
+import { RoomLayoutService, ROOM_ITEM_TYPES, ROOM_SIZE_LIMITS } from '../services/RoomLayoutService.js';
+import { ModalUI } from './ModalUIManager.js';
+import { UI } from './UIManager.js';
+
+/** Déplacement au clavier, en cases */
+const ARROW_MOVES = {
+    ArrowUp: [-1, 0],
+    ArrowDown: [1, 0],
+    ArrowLeft: [0, -1],
+    ArrowRight: [0, 1]
+};
+
+export const RoomEditorManager = {
+    /** @private */
+    _modal: null,
+    /** @private Salle en cours de modification */
+    _room: null,
+    /** @private */
+    _selectedId: null,
+    /** @private Glisser en cours : { itemId, startRow, startCol, row, col } */
+    _drag: null,
+    /** @private */
+    _onApply: null,
+
+    /**
+     * @param {Object} options
+     * @param {Object} options.room - Salle de départ (copiée)
+     * @param {boolean} options.isFreeform - Le plan est déjà en disposition libre (propose le retour à la grille)
+     * @param {function(Object|null): void} options.apply - Reçoit la salle validée, null pour revenir à la grille
+     */
+    open({ room, isFreeform, apply }) {
+        this._room = RoomLayoutService.clone(room);
+        this._selectedId = null;
+        this._drag = null;
+        this._onApply = apply;
+
+        this._modal?.remove();
+        this._modal = document.createElement('div');
+        this._modal.id = 'roomEditorModal';
+        this._modal.className = 'modal';
+        this._modal.innerHTML = `
+            <div class="modal-content room-editor-modal">
+                <div class="modal-header">
+                    <h2 class="modal-title">
+                        <span class="modal-title-icon color-accent"><iconify-icon icon="solar:ruler-angular-linear"></iconify-icon></span>
+                        <span class="modal-title-text">Disposition de la salle</span>
+                    </h2>
+                    <button class="close-button" aria-label="Fermer">
+                        <iconify-icon icon="ph:x"></iconify-icon>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <div class="room-editor-toolbar">
+                        <div class="room-editor-palette">
+                            ${ROOM_ITEM_TYPES.map(t => `
+                                <button type="button" class="btn btn-secondary btn-small" data-action="add" data-type="${t.id}">
+                                    <iconify-icon icon="${t.icon}"></iconify-icon> ${Utils.escapeHtml(t.label)}
+                                </button>
+                            `).join('')}
+                        </div>
+                        <div class="room-editor-size">
+                            <label>Largeur <input type="number" data-field="cols" min="${ROOM_SIZE_LIMITS.min}" max="${ROOM_SIZE_LIMITS.max}" value="${this._room.cols}"></label>
+                            <label>Profondeur <input type="number" data-field="rows" min="${ROOM_SIZE_LIMITS.min}" max="${ROOM_SIZE_LIMITS.max}" value="${this._room.rows}"></label>
+                            <button type="button" class="btn-icon-small" data-action="rotate" aria-label="Tourner" data-tooltip="Tourner (R)" disabled>
+                                <iconify-icon icon="solar:restart-linear"></iconify-icon>
+                            </button>
+                            <button type="button" class="btn-icon-small danger" data-action="remove" aria-label="Retirer" data-tooltip="Retirer (Suppr)" disabled>
+                                <iconify-icon icon="solar:trash-bin-trash-linear"></iconify-icon>
+                            </button>
+                        </div>
+                    </div>
+                    <div class="room-editor-canvas" tabindex="0" aria-label="Salle"></div>
+                </div>
+                <div class="modal-footer">
+                    ${isFreeform ? '<button class="btn btn-secondary" data-action="grid">Revenir à la grille</button>' : ''}
+                    <span class="room-editor-hint"></span>
+                    <button class="btn btn-secondary" data-action="cancel">Annuler</button>
+                    <button class="btn btn-primary" data-action="apply">Appliquer</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this._modal);
+
+        this._modal.addEventListener('click', (e) => {
+            if (e.target === this._modal || e.target.closest('.close-button')) {
+                this.close();
+                return;
+            }
+            const target = e.target.closest('[data-action]');
+            if (!target || target.disabled) return;
+            switch (target.dataset.action) {
+                case 'add': this._add(target.dataset.type); break;
+                case 'rotate': this._rotate(); break;
+                case 'remove': this._remove(); break;
+                case 'cancel': this.close(); break;
+                case 'grid': this._apply(null); break;
+                case 'apply': this._apply(this._room); break;
+            }
+        });
+        this._modal.addEventListener('change', (e) => {
+            if (e.target.matches('[data-field]')) this._resize();
+        });
+
+        const canvas = this._modal.querySelector('.room-editor-canvas');
+        canvas.addEventListener('pointerdown', (e) => this._onPointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this._onPointerMove(e));
+        canvas.addEventListener('pointerup', () => this._onPointerUp());
+        canvas.addEventListener('pointercancel', () => this._cancelDrag());
+        canvas.addEventListener('keydown', (e) => this._onKeyDown(e));
+
+        this._render();
+        ModalUI.openModal(this._modal);
+    },
+
+    /**
+     * Ferme la modale sans appliquer
+     */
+    close() {
+        if (!this._modal) return;
+        const modal = this._modal;
+        this._modal = null;
+        ModalUI.closeModal(modal);
+    },
+
+    /**
+     * @private
+     */
+    _render() {
+        if (!this._modal) return;
+        const { rows, cols, items } = this._room;
+        const canvas = this._modal.querySelector('.room-editor-canvas');
+        canvas.style.gridTemplateColumns = `repeat(${cols}, var(--room-cell, 34px))`;
+        canvas.style.gridTemplateRows = `repeat(${rows}, var(--room-cell, 34px))`;
+
+        const background = Array.from({ length: rows * cols }, (_, i) =>
+            `<div class="room-editor-cell" style="grid-row: ${Math.floor(i / cols) + 1}; grid-column: ${(i % cols) + 1}"></div>`
+        ).join('');
+
+        const furniture = items.map(item => {
+            const type = RoomLayoutService.getType(item.type);
+            const { width, height } = RoomLayoutService.getFootprint(item);
+            const label = type.seats.length > 0
+                ? `<iconify-icon icon="${type.icon}"></iconify-icon>`
+                : `<iconify-icon icon="${type.icon}"></iconify-icon><span>${Utils.escapeHtml(type.label)}</span>`;
+            return `
+                <div class="room-editor-item room-editor-item--${item.type}${item.id === this._selectedId ? ' is-selected' : ''}"
+                     data-item-id="${item.id}" data-tooltip="${Utils.escapeHtml(type.label)}"
+                     style="grid-row: ${item.row + 1} / span ${height}; grid-column: ${item.col + 1} / span ${width}">${label}</div>
+            `;
+        }).join('');
+
+        const seats = [...RoomLayoutService.getSeatKeys(this._room)];
+        const seatMarks = seats.map(key => {
+            const [row, col] = key.split(',').map(Number);
+            return `<div class="room-editor-seat" style="grid-row: ${row + 1}; grid-column: ${col + 1}"></div>`;
+        }).join('');
+
+        canvas.innerHTML = background + furniture + seatMarks;
+
+        this._modal.querySelector('[data-field="rows"]').value = rows;
+        this._modal.querySelector('[data-field="cols"]').value = cols;
+        this._modal.querySelectorAll('[data-action="rotate"], [data-action="remove"]').forEach(btn => {
+            btn.disabled = !this._selectedId;
+        });
+        this._modal.querySelector('.room-editor-hint').textContent =
+            `${seats.length} place${seats.length > 1 ? 's' : ''} · glissez les meubles, R pour tourner`;
+    },
+
+    /**
+     * @param {string} type
+     * @private
+     */
+    _add(type) {
+        const room = RoomLayoutService.addItem(this._room, type);
+        if (!room) {
+            UI.showNotification('Plus de place libre : agrandissez la salle ou retirez un meuble.', 'warning');
+            return;
+        }
+        this._room = room;
+        this._selectedId = room.items[room.items.length - 1].id;
+        this._render();
+    },
+
+    /**
+     * @private
+     */
+    _rotate() {
+        const room = RoomLayoutService.rotateItem(this._room, this._selectedId);
+        if (!room) {
+            UI.showNotification('Pas assez de place pour tourner ce meuble.', 'warning');
+            return;
+        }
+        this._room = room;
+        this._render();
+    },
+
+    /**
+     * @private
+     */
+    _remove() {
+        this._room = RoomLayoutService.removeItem(this._room, this._selectedId);
+        this._selectedId = null;
+        this._render();
+    },
+
+    /**
+     * @private
+     */
+    _resize() {
+        const rows = parseInt(this._modal.querySelector('[data-field="rows"]').value) || this._room.rows;
+        const cols = parseInt(this._modal.querySelector('[data-field="cols"]').value) || this._room.cols;
+        const resized = RoomLayoutService.resize(this._room, rows, cols);
+        const removed = this._room.items.length - resized.items.length;
+        if (removed > 0) {
+            UI.showNotification(`${removed} meuble${removed > 1 ? 's' : ''} hors de la salle retiré${removed > 1 ? 's' : ''}.`, 'info');
+        }
+        if (!resized.items.some(i => i.id === this._selectedId)) this._selectedId = null;
+        this._room = resized;
+        this._render();
+    },
+
+    /**
+     * @param {Object|null} room
+     * @private
+     */
+    _apply(room) {
+        if (room && RoomLayoutService.getSeatKeys(room).size === 0) {
+            UI.showNotification('La salle n\'a aucune table : ajoutez-en au moins une.', 'warning');
+            return;
+        }
+        const apply = this._onApply;
+        this.close();
+        apply(room ? RoomLayoutService.clone(room) : null);
+    },
+
+    /**
+     * Case du canevas sous le pointeur
+     * @param {PointerEvent} e
+     * @returns {{row: number, col: number}}
+     * @private
+     */
+    _getCellAt(e) {
+        const rect = this._modal.querySelector('.room-editor-canvas').getBoundingClientRect();
+        return {
+            row: Math.floor((e.clientY - rect.top) / (rect.height / this._room.rows)),
+            col: Math.floor((e.clientX - rect.left) / (rect.width / this._room.cols))
+        };
+    },
+
+    /**
+     * @param {PointerEvent} e
+     * @private
+     */
+    _onPointerDown(e) {
+        const el = e.target.closest('[data-item-id]');
+        this._selectedId = el?.dataset.itemId || null;
+        this._render();
+        if (!el) return;
+
+        const item = this._room.items.find(i => i.id === el.dataset.itemId);
+        const cell = this._getCellAt(e);
+        this._drag = { itemId: item.id, startRow: cell.row - item.row, startCol: cell.col - item.col, row: item.row, col: item.col };
+        e.currentTarget.setPointerCapture?.(e.pointerId);
+        e.currentTarget.focus();
+        e.preventDefault();
+    },
+
+    /**
+     * Aperçu aimanté du déplacement (rouge si la place est prise)
+     * @param {PointerEvent} e
+     * @private
+     */
+    _onPointerMove(e) {
+        if (!this._drag) return;
+        const cell = this._getCellAt(e);
+        const row = cell.row - this._drag.startRow;
+        const col = cell.col - this._drag.startCol;
+        if (row === this._drag.row && col === this._drag.col) return;
+        this._drag.row = row;
+        this._drag.col = col;
+
+        const item = this._room.items.find(i => i.id === this._drag.itemId);
+        const { width, height } = RoomLayoutService.getFootprint(item);
+        const el = this._modal.querySelector(`[data-item-id="${item.id}"]`);
+        el.style.gridRow = `${Math.max(0, row) + 1} / span ${height}`;
+        el.style.gridColumn = `${Math.max(0, col) + 1} / span ${width}`;
+        el.classList.add('is-dragging');
+        el.classList.toggle('is-invalid', !RoomLayoutService.canPlace(this._room, { ...item, row, col }));
+    },
+
+    /**
+     * @private
+     */
+    _onPointerUp() {
+        if (!this._drag) return;
+        const { itemId, row, col } = this._drag;
+        this._drag = null;
+        const room = RoomLayoutService.moveItem(this._room, itemId, row, col);
+        if (room) this._room = room;
+        this._render();
+    },
+
+    /**
+     * @private
+     */
+    _cancelDrag() {
+        this._drag = null;
+        this._render();
+    },
+
+    /**
+     * Flèches : déplacer ; R : tourner ; Suppr : retirer
+     * @param {KeyboardEvent} e
+     * @private
+     */
+    _onKeyDown(e) {
+        if (!this._selectedId) return;
+        if (ARROW_MOVES[e.key]) {
+            e.preventDefault();
+            const item = this._room.items.find(i => i.id === this._selectedId);
+            const [dRow, dCol] = ARROW_MOVES[e.key];
+            const room = RoomLayoutService.moveItem(this._room, item.id, item.row + dRow, item.col + dCol);
+            if (room) {
+                this._room = room;
+                this._render();
+            }
+        } else if (e.key === 'r' || e.key === 'R') {
+            e.preventDefault();
+            this._rotate();
+        } else if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            this._remove();
+        }
+    }
+};
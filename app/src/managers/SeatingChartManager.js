@@ -1,17 +1,28 @@
 /**
  * @fileoverview Seating Chart Manager — Plan de Classe (Integrated View)
  * In-place view switching (List ↔ Plan) with premium motion design.
- * Features: D&D, pin, lock, evolution dots, config popover, FocusPanel.
+ * Features: D&D, pin, lock, evolution dots, config popover, FocusPanel, constraint-based optimisation,
+ * named plans per class (the displayed grid is the active plan, see SeatingPlansService),
+ * freeform room layouts where seats are the tables placed in RoomEditorManager,
+ * SVG/PNG export and exam desk labels (SeatingExportManager).
  * @module managers/SeatingChartManager
  */
 
 import { appState } from '../state/State.js';
 import { StudentPhotoManager } from './StudentPhotoManager.js';
 import { FocusPanelManager } from './FocusPanelManager.js';
+import { SeatingConstraintsManager } from './SeatingConstraintsManager.js';
+import { SeatingPlansManager } from './SeatingPlansManager.js';
+import { RoomEditorManager } from './RoomEditorManager.js';
+import { SeatingExportManager } from './SeatingExportManager.js';
 import { StorageManager } from './StorageManager.js';
 import { TooltipsUI } from './TooltipsManager.js';
 import { UI } from './UIManager.js';
 import { Utils } from '../utils/Utils.js';
+import { SeatingSolverService } from '../services/SeatingSolverService.js';
+import { SeatingPlansService } from '../services/SeatingPlansService.js';
+import { RoomLayoutService } from '../services/RoomLayoutService.js';
+import { CouncilRulesService } from '../services/CouncilRulesService.js';
 
 const DEFAULT_COLS = 6;
 const DEFAULT_ROWS = 5;
@@ -32,6 +43,8 @@ export const SeatingChartManager = {
     _lastSelectedSidebarIndex: null,
     _undoStack: [],
     _redoStack: [],
+    _roomSeatsFor: null,
+    _roomSeats: null,
 
     // ========================================================================
     // INITIALIZATION
@@ -100,6 +113,9 @@ export const SeatingChartManager = {
                                 <button class="sc-action-btn" id="scShuffleBtn" aria-label="Mélanger" data-tooltip="Mélanger">
                                     <iconify-icon icon="solar:shuffle-linear"></iconify-icon>
                                 </button>
+                                <button class="sc-action-btn" id="scOptimizeBtn" aria-label="Optimiser selon les contraintes" data-tooltip="Contraintes">
+                                    <iconify-icon icon="solar:routing-2-linear"></iconify-icon>
+                                </button>
                                 <button class="sc-action-btn sc-undo-btn" id="scUndoBtn" aria-label="Annuler" data-tooltip="Annuler" disabled>
                                     <iconify-icon icon="solar:undo-left-round-linear"></iconify-icon>
                                 </button>
@@ -111,16 +127,20 @@ export const SeatingChartManager = {
                                         <iconify-icon icon="solar:settings-linear"></iconify-icon>
                                     </button>
                                     <div class="sc-config-popover" id="scConfigPopover">
-                                        <div class="sc-config-row">
+                                        <div class="sc-config-row sc-config-grid-only">
                                             <label class="sc-config-label" for="scColsSlider">Colonnes</label>
                                             <input type="range" id="scColsSlider" min="2" max="10" value="${DEFAULT_COLS}">
                                             <span class="sc-config-value" id="scColsValue">${DEFAULT_COLS}</span>
                                         </div>
-                                        <div class="sc-config-row">
+                                        <div class="sc-config-row sc-config-grid-only">
                                             <label class="sc-config-label" for="scRowsSlider">Rangées</label>
                                             <input type="range" id="scRowsSlider" min="2" max="10" value="${DEFAULT_ROWS}">
                                             <span class="sc-config-value" id="scRowsValue">${DEFAULT_ROWS}</span>
                                         </div>
+                                        <button class="sc-config-room-btn" id="scRoomBtn" type="button">
+                                            <iconify-icon icon="solar:ruler-angular-linear"></iconify-icon>
+                                            <span id="scRoomBtnLabel">Disposition libre…</span>
+                                        </button>
                                     </div>
                                 </div>
                                 <button class="sc-action-btn sc-reset-btn" id="scClearBtn" aria-label="Réinitialiser" data-tooltip="Réinitialiser">
@@ -144,6 +164,10 @@ export const SeatingChartManager = {
                 <div class="sc-grid-area" id="scGridArea">
                     <!-- Top Status Pill -->
                     <div class="sc-floating-status">
+                        <button class="sc-plan-switch" id="scPlanBtn" aria-label="Plans de la classe" data-tooltip="Plans de la classe">
+                            <iconify-icon icon="solar:layers-linear"></iconify-icon>
+                            <span id="scPlanName"></span>
+                        </button>
                         <div class="sc-toolbar-info" id="scFooterInfo"><span class="sc-edit-hint">Calcul des places…</span></div>
                     </div>
 
@@ -157,7 +181,7 @@ export const SeatingChartManager = {
 
                 <!-- Floating Actions (Read-Only Mode) -->
                 <div class="sc-floating-actions sc-read-only-only">
-                    <button class="sc-action-btn sc-print-btn" id="scFloatingPrintBtn" aria-label="Imprimer" data-tooltip="Imprimer le plan">
+                    <button class="sc-action-btn sc-print-btn" id="scFloatingPrintBtn" aria-label="Imprimer ou exporter" data-tooltip="Imprimer / exporter">
                         <iconify-icon icon="solar:printer-linear"></iconify-icon>
                     </button>
                     <button class="sc-action-btn" id="scUnlockFloatingBtn" aria-label="Déverrouiller" data-tooltip="Mode Édition">
@@ -175,10 +199,13 @@ export const SeatingChartManager = {
     // ========================================================================
 
     _setupEventListeners() {
-        document.getElementById('scFloatingPrintBtn')?.addEventListener('click', () => this._printChart());
+        document.getElementById('scFloatingPrintBtn')?.addEventListener('click', () => this._openExport());
         document.getElementById('scClearBtn')?.addEventListener('click', () => this._clearAll());
         document.getElementById('scAutoPlaceBtn')?.addEventListener('click', () => this._autoPlace());
         document.getElementById('scShuffleBtn')?.addEventListener('click', () => this._shuffle());
+        document.getElementById('scOptimizeBtn')?.addEventListener('click', () => this._openConstraints());
+        document.getElementById('scPlanBtn')?.addEventListener('click', () => this._openPlans());
+        document.getElementById('scRoomBtn')?.addEventListener('click', () => this._openRoomEditor());
         document.getElementById('scUndoBtn')?.addEventListener('click', () => this._undo());
         document.getElementById('scRedoBtn')?.addEventListener('click', () => this._redo());
         const lockBtn = document.getElementById('scLockBtn');
@@ -341,6 +368,7 @@ export const SeatingChartManager = {
             viewEl.style.display = '';
             if (fab) fab.style.display = 'none';
             this._isActive = true;
+            this._loadActivePlan();
             this._loadGridConfig();
             this._loadPositionsFromState();
             const locked = this._getPlacedIds().size === 0
@@ -380,6 +408,7 @@ export const SeatingChartManager = {
 
         this._prevPlacedCount = 0;
         this._students = this._getCurrentClassStudents();
+        this._loadActivePlan();
         this._loadGridConfig();
         this._loadPositionsFromState();
 
@@ -587,7 +616,7 @@ export const SeatingChartManager = {
         for (const id of ids) {
             let found = false;
             while (currentRow < rows && !found) {
-                if (!this._gridState[currentRow][currentCol] && !appState.seatingGrid?.specialLayout?.[`${currentRow},${currentCol}`]) {
+                if (!this._gridState[currentRow][currentCol] && !this._isUnavailable(currentRow, currentCol)) {
                     this._gridState[currentRow][currentCol] = id;
                     placedCells.push({ row: currentRow, col: currentCol, index: placedCells.length });
                     found = true;
@@ -715,59 +744,101 @@ export const SeatingChartManager = {
     // PRINT
     // ========================================================================
 
-    _printChart() {
+    /** Opens the print/export modal; the plan is rendered from data (SeatingExportService), not from the DOM */
+    _openExport() {
         const classData = appState.classes?.find(c => c.id === appState.currentClassId);
-        const className = classData?.name || 'Plan de classe';
-        const studentCount = this._students?.length || 0;
-        const dateStr = new Date().toLocaleDateString('fr-FR');
-
-        const originalTitle = document.title;
+        const planName = SeatingPlansService.getActivePlan(this._getPlansKey())?.name;
+        const className = [classData?.name || 'Plan de classe', planName].filter(Boolean).join(' — ');
         const safeName = className.replace(/[^a-zA-Z0-9À-ÿ\-_ ]/g, '').trim().replace(/\s+/g, '-');
-        document.title = `Plan-de-classe_${safeName}_${new Date().toISOString().slice(0, 10)}`;
-
-        const placed = this._getPlacedIds().size;
-        const unplaced = studentCount - placed;
-        const unplacedHtml = unplaced > 0
-            ? `<div class="sc-print-warning">⚠ ${unplaced} élève${unplaced > 1 ? 's' : ''} non placé${unplaced > 1 ? 's' : ''}</div>`
-            : '';
-
-        const header = document.createElement('div');
-        header.className = 'sc-print-header';
-        header.innerHTML = `
-            <span class="sc-print-date">${dateStr}</span>
-            <span class="sc-print-class">${className} <span class="sc-print-count">(${studentCount} élèves)</span></span>
-            <span class="sc-print-brand">Bulletin AI</span>
-            ${unplacedHtml}
-        `;
 
-        const pageStyle = document.createElement('style');
-        pageStyle.textContent = '@page { margin: 0 !important; }';
-        document.head.appendChild(pageStyle);
+        SeatingExportManager.open({
+            plan: this._getExportPlan(className),
+            fileName: `Plan-de-classe_${safeName}_${new Date().toISOString().slice(0, 10)}`
+        });
+    },
 
-        const view = document.getElementById('seatingChartView');
-        view?.insertBefore(header, view.firstChild);
+    /** Displayed plan in the SeatingExportService format */
+    _getExportPlan(title) {
+        const placed = this._getPlacedMap();
+        const studentCount = this._students.length;
+        const unplaced = studentCount - Object.keys(placed).length;
+        const subtitle = [
+            new Date().toLocaleDateString('fr-FR'),
+            `${studentCount} élève${studentCount > 1 ? 's' : ''}`,
+            unplaced > 0 ? `${unplaced} non placé${unplaced > 1 ? 's' : ''}` : ''
+        ].filter(Boolean).join(' · ');
 
-        const cleanup = () => {
-            document.title = originalTitle;
-            header.remove();
-            pageStyle.remove();
-            window.onafterprint = null;
+        return {
+            title,
+            subtitle,
+            rows: this._getRows(),
+            cols: this._getCols(),
+            room: this._getRoom(),
+            specialLayout: appState.seatingGrid?.specialLayout || {},
+            seats: this._students.filter(s => placed[s.id]).map(s => ({
+                ...placed[s.id],
+                prenom: s.prenom || '',
+                nom: s.nom || '',
+                photo: s.studentPhoto?.data,
+                initials: StudentPhotoManager.getInitialsFromName(s.nom, s.prenom),
+                color: StudentPhotoManager.getColorFromName(s.nom, s.prenom)
+            }))
         };
-
-        window.onafterprint = cleanup;
-        window.print();
     },
 
     // ========================================================================
     // GRID CONFIGURATION
     // ========================================================================
 
+    /** Displayed rows: the room canvas in freeform mode, the sliders otherwise */
     _getRows() {
-        return parseInt(document.getElementById('scRowsSlider')?.value) || DEFAULT_ROWS;
+        return this._getRoom()?.rows || this._getGridSize().rows;
     },
 
     _getCols() {
-        return parseInt(document.getElementById('scColsSlider')?.value) || DEFAULT_COLS;
+        return this._getRoom()?.cols || this._getGridSize().cols;
+    },
+
+    /** Grid dimensions set with the sliders (kept while a freeform room is displayed) */
+    _getGridSize() {
+        return {
+            rows: parseInt(document.getElementById('scRowsSlider')?.value) || DEFAULT_ROWS,
+            cols: parseInt(document.getElementById('scColsSlider')?.value) || DEFAULT_COLS
+        };
+    },
+
+    /** Freeform room of the plan, null in grid mode */
+    _getRoom() {
+        return appState.seatingGrid?.room || null;
+    },
+
+    /** Seats of the freeform room ("row,col" keys), cached per room object */
+    _getRoomSeats() {
+        const room = this._getRoom();
+        if (this._roomSeatsFor !== room) {
+            this._roomSeatsFor = room;
+            this._roomSeats = RoomLayoutService.getSeatKeys(room);
+        }
+        return this._roomSeats;
+    },
+
+    /** A cell no student can sit on: special spot, or no table there in a freeform room */
+    _isUnavailable(row, col) {
+        const key = `${row},${col}`;
+        if (appState.seatingGrid?.specialLayout?.[key]) return true;
+        return !!this._getRoom() && !this._getRoomSeats().has(key);
+    },
+
+    /** Special spots plus the cells without a table, as the solver expects them */
+    _getBlockedLayout() {
+        const layout = { ...(appState.seatingGrid?.specialLayout || {}) };
+        if (!this._getRoom()) return layout;
+        for (let r = 0; r < this._getRows(); r++) {
+            for (let c = 0; c < this._getCols(); c++) {
+                if (this._isUnavailable(r, c) && !layout[`${r},${c}`]) layout[`${r},${c}`] = 'blocked';
+            }
+        }
+        return layout;
     },
 
     _loadGridConfig() {
@@ -782,12 +853,16 @@ export const SeatingChartManager = {
     },
 
     _saveGridConfig() {
+        const { rows, cols } = this._getGridSize();
         appState.seatingGrid = {
-            rows: this._getRows(),
-            cols: this._getCols(),
+            rows,
+            cols,
             locked: this._isLocked,
-            specialLayout: appState.seatingGrid?.specialLayout || {}
+            specialLayout: appState.seatingGrid?.specialLayout || {},
+            constraints: appState.seatingGrid?.constraints || [],
+            room: this._getRoom()
         };
+        this._syncActivePlan();
         StorageManager.saveAppState();
     },
 
@@ -830,6 +905,47 @@ export const SeatingChartManager = {
         this._staggerCellEntrance();
     },
 
+    _openRoomEditor() {
+        if (this._isLocked) return;
+        this._closeConfigPopover();
+        const { rows, cols } = this._getGridSize();
+        RoomEditorManager.open({
+            room: this._getRoom() || RoomLayoutService.fromGrid(rows, cols, appState.seatingGrid?.specialLayout),
+            isFreeform: !!this._getRoom(),
+            apply: (room) => this._applyRoom(room)
+        });
+    },
+
+    /**
+     * Switches to a freeform room (or back to the grid when null).
+     * Students keep their coordinates; those left without a table go back to the sidebar.
+     */
+    _applyRoom(room) {
+        this._snapshotGrid();
+        const placed = this._getPlacedMap();
+        appState.seatingGrid = { ...(appState.seatingGrid || {}), room };
+
+        const rows = this._getRows();
+        const cols = this._getCols();
+        this._initGrid(rows, cols);
+        let unseated = 0;
+        for (const [resultId, pos] of Object.entries(placed)) {
+            if (pos.row < rows && pos.col < cols && !this._isUnavailable(pos.row, pos.col)) {
+                this._gridState[pos.row][pos.col] = resultId;
+            } else {
+                unseated++;
+            }
+        }
+
+        this._savePositionsToState();
+        this._saveGridConfig();
+        this._render();
+        this._staggerCellEntrance();
+        if (unseated > 0) {
+            UI.showNotification(`${unseated} élève${unseated > 1 ? 's' : ''} sans table, remis dans la liste des non placés.`, 'info');
+        }
+    },
+
     _setCellSpecialType(row, col, type) {
         if (!appState.seatingGrid) appState.seatingGrid = {};
         if (!appState.seatingGrid.specialLayout) appState.seatingGrid.specialLayout = {};
@@ -880,8 +996,8 @@ export const SeatingChartManager = {
         return {
             gridState: this._gridState.map(row => [...row]),
             specialLayout: JSON.parse(JSON.stringify(appState.seatingGrid?.specialLayout || {})),
-            rows: this._getRows(),
-            cols: this._getCols()
+            room: RoomLayoutService.clone(this._getRoom()),
+            ...this._getGridSize()
         };
     },
 
@@ -912,6 +1028,7 @@ export const SeatingChartManager = {
         this._gridState = snapshot.gridState;
         if (appState.seatingGrid) {
             appState.seatingGrid.specialLayout = snapshot.specialLayout;
+            appState.seatingGrid.room = snapshot.room;
             if (snapshot.rows) appState.seatingGrid.rows = snapshot.rows;
             if (snapshot.cols) appState.seatingGrid.cols = snapshot.cols;
         }
@@ -950,6 +1067,117 @@ export const SeatingChartManager = {
         if (autoPlaceBtn) autoPlaceBtn.disabled = unplacedCount === 0;
     },
 
+    // ========================================================================
+    // NAMED PLANS
+    // ========================================================================
+
+    /** Key of the current class in appState.seatingPlans */
+    _getPlansKey() {
+        return appState.currentClassId || 'default';
+    },
+
+    /** Grid and placement currently displayed, in the SeatingPlansService layout format */
+    _getWorkingLayout() {
+        const pinnedIds = new Set(this._students.filter(s => s.seatingPosition?.pinned).map(s => s.id));
+        const positions = Object.fromEntries(Object.entries(this._getPlacedMap())
+            .map(([id, pos]) => [id, { ...pos, pinned: pinnedIds.has(id) }]));
+        return {
+            ...this._getGridSize(),
+            specialLayout: appState.seatingGrid?.specialLayout || {},
+            room: this._getRoom(),
+            positions
+        };
+    },
+
+    /** Copies the displayed plan into the active plan and records it in the history */
+    _syncActivePlan() {
+        const key = this._getPlansKey();
+        if (this._students.length === 0 || !SeatingPlansService.getActivePlan(key)) return;
+        SeatingPlansService.updateActivePlan(key, this._getWorkingLayout());
+        SeatingPlansService.recordArrangement(key);
+    },
+
+    /**
+     * Makes the active plan of the class the working grid (seatingGrid + seatingPosition).
+     * The first time, the existing placement becomes the class's first plan.
+     */
+    _loadActivePlan() {
+        const grid = appState.seatingGrid || {};
+        const plan = SeatingPlansService.ensureClassPlans(this._getPlansKey(), {
+            rows: grid.rows || DEFAULT_ROWS,
+            cols: grid.cols || DEFAULT_COLS,
+            specialLayout: grid.specialLayout || {},
+            room: grid.room || null,
+            positions: Object.fromEntries(this._students
+                .filter(s => s.seatingPosition?.row != null && s.seatingPosition?.col != null)
+                .map(s => [s.id, { ...s.seatingPosition }]))
+        });
+
+        appState.seatingGrid = {
+            ...grid,
+            rows: plan.rows,
+            cols: plan.cols,
+            specialLayout: { ...plan.specialLayout },
+            room: RoomLayoutService.clone(plan.room)
+        };
+
+        const resultsMap = new Map((appState.generatedResults || []).map(r => [r.id, r]));
+        this._students.forEach(s => {
+            const position = plan.positions[s.id] ? { ...plan.positions[s.id] } : null;
+            const result = resultsMap.get(s.id);
+            if (result && JSON.stringify(result.seatingPosition ?? null) !== JSON.stringify(position)) {
+                result.seatingPosition = position;
+                result._lastModified = Date.now();
+            }
+            s.seatingPosition = position;
+        });
+
+        const nameEl = document.getElementById('scPlanName');
+        if (nameEl) nameEl.textContent = plan.name;
+        StorageManager.saveAppState();
+    },
+
+    /** Redisplays the grid from the active plan (after a switch or the deletion of the displayed plan) */
+    _reloadActivePlan() {
+        this._clearSelection();
+        this._loadActivePlan();
+        this._loadGridConfig();
+        this._loadPositionsFromState();
+        if (this._getPlacedIds().size === 0) this._applyLockState(false);
+        this._undoStack = [];
+        this._redoStack = [];
+        this._saveGridConfig();
+        this._render();
+        this._staggerCellEntrance();
+    },
+
+    /** Saves the displayed plan, then displays another plan of the class */
+    _switchPlan(planId) {
+        this._syncActivePlan();
+        if (!SeatingPlansService.setActivePlan(this._getPlansKey(), planId)) return;
+        this._reloadActivePlan();
+    },
+
+    _openPlans() {
+        this._syncActivePlan();
+        SeatingPlansManager.open({
+            classKey: this._getPlansKey(),
+            getLayout: () => ({
+                ...this._getGridSize(),
+                specialLayout: {},
+                room: RoomLayoutService.clone(this._getRoom()),
+                positions: {}
+            }),
+            switchTo: (planId) => this._switchPlan(planId),
+            reload: () => this._reloadActivePlan(),
+            save: () => {
+                const nameEl = document.getElementById('scPlanName');
+                if (nameEl) nameEl.textContent = SeatingPlansService.getActivePlan(this._getPlansKey())?.name || '';
+                StorageManager.saveAppState();
+            }
+        });
+    },
+
     // ========================================================================
     // PERSISTENCE
     // ========================================================================
@@ -962,7 +1190,8 @@ export const SeatingChartManager = {
         this._students.forEach(s => {
             const pos = s.seatingPosition;
             if (pos?.row != null && pos?.col != null &&
-                pos.row < rows && pos.col < cols && !this._gridState[pos.row][pos.col]) {
+                pos.row < rows && pos.col < cols && !this._gridState[pos.row][pos.col] &&
+                (!this._getRoom() || this._getRoomSeats().has(`${pos.row},${pos.col}`))) {
                 this._gridState[pos.row][pos.col] = s.id;
             }
         });
@@ -983,6 +1212,7 @@ export const SeatingChartManager = {
             s.seatingPosition = result.seatingPosition;
         });
 
+        this._syncActivePlan();
         StorageManager.saveAppState();
     },
 
@@ -1017,13 +1247,43 @@ export const SeatingChartManager = {
         container.style.gridTemplateRows = `repeat(${rows}, var(--sc-cell-h, 88px))`;
         container.innerHTML = '';
 
+        // Freeform room: furniture first, then one cell per seat at its own coordinates
+        const room = this._getRoom();
+        container.classList.toggle('sc-grid-freeform', !!room);
+        const view = document.getElementById('seatingChartView');
+        if (view) view.dataset.layout = room ? 'room' : 'grid';
+        const roomLabel = document.getElementById('scRoomBtnLabel');
+        if (roomLabel) roomLabel.textContent = room ? 'Modifier la salle…' : 'Disposition libre…';
+        room?.items.forEach(item => container.appendChild(this._createRoomItem(item)));
+
         for (let r = 0; r < rows; r++) {
             for (let c = 0; c < cols; c++) {
-                container.appendChild(this._createCell(r, c));
+                if (room && !this._getRoomSeats().has(`${r},${c}`)) continue;
+                const cell = this._createCell(r, c);
+                if (room) {
+                    cell.style.gridRow = r + 1;
+                    cell.style.gridColumn = c + 1;
+                }
+                container.appendChild(cell);
             }
         }
     },
 
+    /** Furniture of a freeform room, drawn under the seat cells */
+    _createRoomItem(item) {
+        const type = RoomLayoutService.getType(item.type);
+        const { width, height } = RoomLayoutService.getFootprint(item);
+        const el = document.createElement('div');
+        el.className = `sc-room-item sc-room-item--${item.type}`;
+        el.style.gridRow = `${item.row + 1} / span ${height}`;
+        el.style.gridColumn = `${item.col + 1} / span ${width}`;
+        el.setAttribute('aria-hidden', 'true');
+        if (type && type.seats.length === 0) {
+            el.innerHTML = `<iconify-icon icon="${type.icon}"></iconify-icon><span>${type.label}</span>`;
+        }
+        return el;
+    },
+
     _createCell(row, col) {
         const cell = document.createElement('div');
         cell.className = 'sc-cell';
@@ -1264,11 +1524,10 @@ export const SeatingChartManager = {
 
         const rows = this._getRows();
         const cols = this._getCols();
-        const specialLayout = appState.seatingGrid?.specialLayout || {};
         let specialSpotsCount = 0;
         for (let r = 0; r < rows; r++) {
             for (let c = 0; c < cols; c++) {
-                if (specialLayout[`${r},${c}`]) specialSpotsCount++;
+                if (this._isUnavailable(r, c)) specialSpotsCount++;
             }
         }
         const availableSeats = Math.max(0, (rows * cols) - specialSpotsCount - placed);
@@ -1409,6 +1668,7 @@ export const SeatingChartManager = {
         const student = this._students.find(s => s.id === resultId);
         if (student) student.seatingPosition = { ...result.seatingPosition };
 
+        this._syncActivePlan();
         StorageManager.saveAppState();
         this._render();
     },
@@ -1560,7 +1820,7 @@ export const SeatingChartManager = {
         const availableSpots = [];
         for (let r = 0; r < rows; r++) {
             for (let c = 0; c < cols; c++) {
-                if (!this._gridState[r][c] && !appState.seatingGrid?.specialLayout?.[`${r},${c}`]) {
+                if (!this._gridState[r][c] && !this._isUnavailable(r, c)) {
                     availableSpots.push({ r, c });
                 }
             }
@@ -1624,7 +1884,7 @@ export const SeatingChartManager = {
         for (let r = 0; r < rows; r++) {
             for (let c = 0; c < cols; c++) {
                 const id = this._gridState[r][c];
-                const isSpecial = appState.seatingGrid?.specialLayout?.[`${r},${c}`];
+                const isSpecial = this._isUnavailable(r, c);
                 
                 if (id) {
                     if (!resultsMap.get(id)?.seatingPosition?.pinned) {
@@ -1682,6 +1942,102 @@ export const SeatingChartManager = {
         });
     },
 
+    /** Opens the constraints modal; the solver is only run from there */
+    _openConstraints() {
+        if (this._isLocked) return;
+        SeatingConstraintsManager.open({
+            students: this._students,
+            check: () => SeatingSolverService.check({
+                grid: this._gridState,
+                students: this._getSolverStudents(),
+                constraints: SeatingConstraintsManager.getConstraints(),
+                pastPairs: SeatingPlansService.getPastPairs(this._getPlansKey()),
+                desk: RoomLayoutService.getDesk(this._getRoom())
+            }),
+            save: (constraints) => {
+                if (!appState.seatingGrid) appState.seatingGrid = {};
+                appState.seatingGrid.constraints = constraints;
+                this._saveGridConfig();
+            },
+            optimize: () => this._optimize()
+        });
+    },
+
+    /** Facts the solver needs for each student of the class (grade on 20, journal tags, statuses) */
+    _getSolverStudents() {
+        const resultsMap = new Map((appState.generatedResults || []).map(r => [r.id, r]));
+        return this._students.map(s => {
+            const result = resultsMap.get(s.id);
+            const facts = result
+                ? CouncilRulesService.getStudentFacts(result, appState.currentPeriod)
+                : { grade: null, tagCounts: {}, statusIds: new Set() };
+            return { id: s.id, grade: facts.grade, tagCounts: facts.tagCounts, statusIds: facts.statusIds };
+        });
+    },
+
+    /** Rearranges non-pinned students to satisfy the constraints, then reports what could not be met */
+    _optimize() {
+        if (this._isLocked) return;
+
+        const constraints = SeatingConstraintsManager.getConstraints();
+        const students = this._getSolverStudents();
+        const classIds = new Set(students.map(s => s.id));
+        if (!constraints.some(c => SeatingSolverService.appliesTo(c, classIds))) {
+            UI.showNotification('Aucune contrainte pour cette classe.', 'info');
+            return;
+        }
+
+        const pinnedIds = new Set(this._students.filter(s => s.seatingPosition?.pinned).map(s => s.id));
+        const solution = SeatingSolverService.solve({
+            grid: this._gridState,
+            specialLayout: this._getBlockedLayout(),
+            pinnedIds,
+            students,
+            constraints,
+            pastPairs: SeatingPlansService.getPastPairs(this._getPlansKey()),
+            desk: RoomLayoutService.getDesk(this._getRoom())
+        });
+
+        const before = this._getPlacedMap();
+        const moved = [];
+        solution.grid.forEach((line, row) => line.forEach((id, col) => {
+            if (id && (before[id]?.row !== row || before[id]?.col !== col)) moved.push({ row, col });
+        }));
+
+        if (moved.length > 0) {
+            this._snapshotGrid();
+            this._gridState = solution.grid;
+            this._dismissOnboardingHint();
+            this._savePositionsToState();
+            this._render();
+
+            requestAnimationFrame(() => {
+                moved.forEach(({ row, col }, index) => {
+                    const cell = document.querySelector(`.sc-cell[data-row="${row}"][data-col="${col}"]`);
+                    if (!cell) return;
+                    cell.style.setProperty('--place-i', index);
+                    cell.classList.add('sc-auto-placed');
+                    cell.addEventListener('animationend', () => {
+                        cell.classList.remove('sc-auto-placed');
+                        cell.style.removeProperty('--place-i');
+                    }, { once: true });
+                });
+            });
+        }
+
+        const labels = SeatingConstraintsManager.getLabels(this._students);
+        const notPlaced = solution.unplacedIds.length > 0
+            ? ` ${solution.unplacedIds.length} élève${solution.unplacedIds.length > 1 ? 's' : ''} sans place — augmentez la grille.`
+            : '';
+        if (solution.unsatisfied.length === 0) {
+            UI.showNotification(`Plan optimisé : toutes les contraintes sont respectées.${notPlaced}`, notPlaced ? 'warning' : 'success');
+        } else {
+            const list = solution.unsatisfied.map(r => SeatingSolverService.describe(r.constraint, labels)).join(' ; ');
+            const count = solution.unsatisfied.length;
+            UI.showNotification(`${count} contrainte${count > 1 ? 's' : ''} non respectée${count > 1 ? 's' : ''} : ${list}.${notPlaced}`, 'warning', 8000);
+        }
+    },
+
     /** Hides native ghost and creates a floating clone that follows the cursor */
     _setCleanDragImage(e, sourceEl, count = 1) {
         const blank = new Image();
@@ -1764,7 +2120,7 @@ export const SeatingChartManager = {
         if (isNaN(r) || isNaN(c)) return false;
 
         // 1. Check if the cell is a special layout spot (aisle, blocked, aesh, etc.)
-        const isSpecial = appState.seatingGrid?.specialLayout?.[`${r},${c}`];
+        const isSpecial = this._isUnavailable(r, c);
         if (isSpecial) return false;
 
         // 2. Check if there is a pinned student in this cell
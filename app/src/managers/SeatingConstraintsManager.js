@@ -0,0 +1,234 @@
+/**
+ * @fileoverview Contraintes du plan de classe (modale ouverte depuis la barre d'outils du plan)
+ * Liste des contraintes de la classe avec leur état sur le plan actuel, ajout / suppression
+ * et lancement de l'optimisation. Le solveur est dans SeatingSolverService.
+ * @module managers/SeatingConstraintsManager
+ */
+
+import { appState } from '../state/State.js';
+import { Utils } from '../utils/Utils.js';
+import { SeatingSolverService, SEATING_CONSTRAINT_TYPES } from '../services/SeatingSolverService.js';
+import { StatusService } from '../services/StatusService.js';
+import { JournalManager } from './JournalManager.js';
+import { ModalUI } from './ModalUIManager.js';
+import { UI } from './UIManager.js';
+
+export const SeatingConstraintsManager = {
+    /** @private */
+    _modal: null,
+    /** @private Élèves de la classe ({ id, nom, prenom }) */
+    _students: [],
+    /** @private Rappels du plan de classe */
+    _handlers: null,
+
+    /**
+     * @param {Object} options
+     * @param {Array<Object>} options.students - Élèves de la classe, triés
+     * @param {function(): Array<Object>} options.check - Contraintes non respectées par le plan actuel
+     * @param {function(Array<Object>): void} options.save - Enregistre la liste des contraintes
+     * @param {function(): void} options.optimize - Lance l'optimisation du plan
+     */
+    open({ students, check, save, optimize }) {
+        this._students = students;
+        this._handlers = { check, save, optimize };
+
+        this._modal?.remove();
+        this._modal = document.createElement('div');
+        this._modal.id = 'seatingConstraintsModal';
+        this._modal.className = 'modal';
+        this._modal.innerHTML = `
+            <div class="modal-content seating-constraints-modal">
+                <div class="modal-header">
+                    <h2 class="modal-title">
+                        <span class="modal-title-icon color-accent"><iconify-icon icon="solar:routing-2-linear"></iconify-icon></span>
+                        <span class="modal-title-text">Contraintes du plan</span>
+                    </h2>
+                    <button class="close-button" aria-label="Fermer">
+                        <iconify-icon icon="ph:x"></iconify-icon>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <div class="seating-constraints-list"></div>
+                    <div class="status-settings-form seating-constraints-form">
+                        <div class="status-settings-form-row">
+                            <select id="seatingConstraintType">
+                                ${SEATING_CONSTRAINT_TYPES.map(t => `<option value="${t.id}">${Utils.escapeHtml(t.label)}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="status-settings-form-row" data-for="students"></div>
+                        <div class="seating-constraints-statuses" data-for="front-status"></div>
+                        <div class="status-settings-form-row" data-for="spread-tag"></div>
+                        <div class="status-settings-form-actions">
+                            <button type="button" class="btn btn-secondary btn-small" data-action="add">Ajouter</button>
+                        </div>
+                    </div>
+                </div>
+                <div class="modal-footer">
+                    <span class="seating-constraints-hint">Les élèves épinglés et les places spéciales ne sont pas modifiés.</span>
+                    <button class="btn btn-primary" data-action="optimize">
+                        <iconify-icon icon="solar:routing-2-linear"></iconify-icon> Optimiser le plan
+                    </button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this._modal);
+
+        this._modal.addEventListener('click', (e) => {
+            if (e.target === this._modal || e.target.closest('.close-button')) {
+                this.close();
+                return;
+            }
+            const target = e.target.closest('[data-action]');
+            if (!target || target.disabled) return;
+            switch (target.dataset.action) {
+                case 'add': this._add(); break;
+                case 'delete': this._delete(target.closest('[data-constraint-id]')?.dataset.constraintId); break;
+                case 'optimize':
+                    this.close();
+                    this._handlers.optimize();
+                    break;
+            }
+        });
+        this._modal.querySelector('#seatingConstraintType').addEventListener('change', () => this._renderFields());
+
+        this._renderFields();
+        this._render();
+        ModalUI.openModal(this._modal);
+    },
+
+    /**
+     * Ferme la modale
+     */
+    close() {
+        if (!this._modal) return;
+        const modal = this._modal;
+        this._modal = null;
+        ModalUI.closeModal(modal);
+    },
+
+    /**
+     * Contraintes enregistrées (toutes classes confondues)
+     * @returns {Array<Object>}
+     */
+    getConstraints() {
+        const constraints = appState.seatingGrid?.constraints;
+        return Array.isArray(constraints) ? constraints : [];
+    },
+
+    /**
+     * Libellés utilisés par SeatingSolverService.describe
+     * @param {Array<Object>} students - Élèves de la classe
+     * @returns {Object}
+     */
+    getLabels(students) {
+        const byId = new Map(students.map(s => [s.id, s]));
+        return {
+            student: (id) => {
+                const s = byId.get(id);
+                return s ? `${s.prenom || ''} ${(s.nom || '')[0] || ''}.`.trim() : '?';
+            },
+            status: (id) => StatusService.getCatalogue().find(s => s.id === id)?.label || id,
+            tag: (id) => JournalManager.getTag(id)?.label || id
+        };
+    },
+
+    /**
+     * Contraintes de la classe avec leur état sur le plan actuel
+     * @private
+     */
+    _render() {
+        const list = this._modal?.querySelector('.seating-constraints-list');
+        if (!list) return;
+
+        const ids = new Set(this._students.map(s => s.id));
+        const constraints = this.getConstraints().filter(c => SeatingSolverService.appliesTo(c, ids));
+        const unsatisfied = new Map(this._handlers.check().map(r => [r.constraint.id, r.offenders]));
+        const labels = this.getLabels(this._students);
+
+        list.innerHTML = constraints.length === 0
+            ? '<p class="council-rule-description">Aucune contrainte : ajoutez-en une ci-dessous puis optimisez le plan.</p>'
+            : constraints.map(c => {
+                const offenders = unsatisfied.get(c.id);
+                const state = offenders
+                    ? `<span class="tag-badge tag-warning" data-tooltip="${Utils.escapeHtml(offenders.map(labels.student).join(', '))}">Non respectée</span>`
+                    : '<span class="tag-badge tag-success">Respectée</span>';
+                return `
+                    <div class="status-settings-row" data-constraint-id="${c.id}">
+                        <span class="council-rule-description">${Utils.escapeHtml(SeatingSolverService.describe(c, labels))}</span>
+                        ${state}
+                        <button type="button" class="btn-icon-small danger" data-action="delete" aria-label="Supprimer">
+                            <iconify-icon icon="solar:trash-bin-trash-linear"></iconify-icon>
+                        </button>
+                    </div>
+                `;
+            }).join('');
+    },
+
+    /**
+     * Affiche les champs du type de contrainte choisi
+     * @private
+     */
+    _renderFields() {
+        const type = SeatingSolverService.getType(this._modal.querySelector('#seatingConstraintType').value);
+        const studentOptions = this._students
+            .map(s => `<option value="${s.id}">${Utils.escapeHtml(Utils.formatStudentName(s.nom, s.prenom))}</option>`).join('');
+
+        const studentsRow = this._modal.querySelector('[data-for="students"]');
+        studentsRow.hidden = type.students === 0;
+        studentsRow.innerHTML = Array.from({ length: type.students }, (_, i) => `
+            <select data-field="student" aria-label="Élève ${i + 1}">
+                <option value="">Choisir un élève…</option>${studentOptions}
+            </select>
+        `).join('');
+
+        const statusesRow = this._modal.querySelector('[data-for="front-status"]');
+        statusesRow.hidden = type.id !== 'front-status';
+        statusesRow.innerHTML = StatusService.getSelectableStatuses().map(s => `
+            <label class="seating-constraints-status">
+                <input type="checkbox" value="${s.id}" ${['pap', 'ulis'].includes(s.id) ? 'checked' : ''}>
+                ${Utils.escapeHtml(s.label)}
+            </label>
+        `).join('');
+
+        const tagRow = this._modal.querySelector('[data-for="spread-tag"]');
+        tagRow.hidden = type.id !== 'spread-tag';
+        tagRow.innerHTML = `
+            <select data-field="tag" aria-label="Observation">
+                ${JournalManager.getAvailableTags().map(t => `<option value="${t.id}" ${t.id === 'bavardage' ? 'selected' : ''}>${Utils.escapeHtml(t.label)}</option>`).join('')}
+            </select>
+            <input type="number" data-field="count" min="1" max="99" value="3" aria-label="À partir de" data-tooltip="Nombre d'observations dans la période à partir duquel l'élève est concerné">
+        `;
+    },
+
+    /**
+     * Ajoute la contrainte saisie
+     * @private
+     */
+    _add() {
+        const form = this._modal.querySelector('.seating-constraints-form');
+        const constraint = SeatingSolverService.createConstraint({
+            type: form.querySelector('#seatingConstraintType').value,
+            studentIds: [...form.querySelectorAll('[data-field="student"]')].map(el => el.value),
+            statusIds: [...form.querySelectorAll('[data-for="front-status"] input:checked')].map(el => el.value),
+            tagId: form.querySelector('[data-field="tag"]')?.value,
+            count: form.querySelector('[data-field="count"]')?.value
+        });
+        if (!constraint) {
+            UI.showNotification('Contrainte incomplète : choisissez les élèves, statuts ou observations concernés.', 'warning');
+            return;
+        }
+
+        this._handlers.save([...this.getConstraints(), constraint]);
+        this._renderFields();
+        this._render();
+    },
+
+    /**
+     * @param {string} constraintId
+     * @private
+     */
+    _delete(constraintId) {
+        this._handlers.save(this.getConstraints().filter(c => c.id !== constraintId));
+        this._render();
+    }
+};
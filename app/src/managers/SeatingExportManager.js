@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Export et impression du plan de classe (modale)
+ * Aperçu du rendu SVG de SeatingExportService, téléchargement en SVG ou PNG, impression du
+ * plan et des étiquettes de table pour les salles d'examen. L'impression passe par un cadre
+ * contenant uniquement le SVG : le résultat ne dépend pas de l'écran.
+ * @module managers/SeatingExportManager
+ */
+
+import { SeatingExportService } from '../services/SeatingExportService.js';
+import { ModalUI } from './ModalUIManager.js';
+import { StorageManager } from './StorageManager.js';
+import { UI } from './UIManager.js';
+
+/** Résolution du PNG (fixe, indépendante de l'écran) */
+const PNG_SCALE = 2;
+
+export const SeatingExportManager = {
+    /** @private */
+    _modal: null,
+    /** @private Données du plan (voir SeatingExportService.buildPlanSvg) */
+    _plan: null,
+    /** @private Nom de fichier sans extension */
+    _fileName: '',
+    /** @private Options conservées d'une ouverture à l'autre */
+    _options: { nameMode: 'full', photos: true },
+
+    /**
+     * @param {Object} options
+     * @param {Object} options.plan - Plan à exporter (SeatingExportService.buildPlanSvg)
+     * @param {string} options.fileName - Nom des fichiers, sans extension
+     */
+    open({ plan, fileName }) {
+        this._plan = plan;
+        this._fileName = fileName;
+
+        this._modal?.remove();
+        this._modal = document.createElement('div');
+        this._modal.id = 'seatingExportModal';
+        this._modal.className = 'modal';
+        this._modal.innerHTML = `
+            <div class="modal-content seating-export-modal">
+                <div class="modal-header">
+                    <h2 class="modal-title">
+                        <span class="modal-title-icon color-accent"><iconify-icon icon="solar:printer-linear"></iconify-icon></span>
+                        <span class="modal-title-text">Imprimer ou exporter le plan</span>
+                    </h2>
+                    <button class="close-button" aria-label="Fermer">
+                        <iconify-icon icon="ph:x"></iconify-icon>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <div class="seating-export-options">
+                        <select data-field="nameMode" aria-label="Noms affichés">
+                            <option value="full" ${this._options.nameMode === 'full' ? 'selected' : ''}>Prénom et nom</option>
+                            <option value="first" ${this._options.nameMode === 'first' ? 'selected' : ''}>Prénom seul</option>
+                        </select>
+                        <label class="seating-export-option">
+                            <input type="checkbox" data-field="photos" ${this._options.photos ? 'checked' : ''}> Photos
+                        </label>
+                    </div>
+                    <div class="seating-export-preview"></div>
+                    <p class="seating-export-hint"></p>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" data-action="labels">
+                        <iconify-icon icon="solar:tag-linear"></iconify-icon> Étiquettes de table
+                    </button>
+                    <span class="seating-export-spacer"></span>
+                    <button class="btn btn-secondary" data-action="svg">SVG</button>
+                    <button class="btn btn-secondary" data-action="png">PNG</button>
+                    <button class="btn btn-primary" data-action="print">
+                        <iconify-icon icon="solar:printer-linear"></iconify-icon> Imprimer
+                    </button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this._modal);
+
+        this._modal.addEventListener('click', (e) => {
+            if (e.target === this._modal || e.target.closest('.close-button')) {
+                this.close();
+                return;
+            }
+            const target = e.target.closest('[data-action]');
+            if (!target || target.disabled) return;
+            switch (target.dataset.action) {
+                case 'svg': this._downloadSvg(); break;
+                case 'png': this._downloadPng(target); break;
+                case 'print': this._printPlan(); break;
+                case 'labels': this._printLabels(); break;
+            }
+        });
+        this._modal.addEventListener('change', (e) => {
+            if (!e.target.matches('[data-field]')) return;
+            this._options = {
+                nameMode: this._modal.querySelector('[data-field="nameMode"]').value,
+                photos: this._modal.querySelector('[data-field="photos"]').checked
+            };
+            this._render();
+        });
+
+        this._render();
+        ModalUI.openModal(this._modal);
+    },
+
+    /**
+     * Ferme la modale
+     */
+    close() {
+        if (!this._modal) return;
+        const modal = this._modal;
+        this._modal = null;
+        ModalUI.closeModal(modal);
+    },
+
+    /**
+     * Étiquettes des élèves placés, dans l'ordre des places (A1, A2... puis B1...)
+     * @returns {Array<{prenom: string, nom: string, code: string}>}
+     */
+    getLabels() {
+        const codes = SeatingExportService.getSeatCodes(this._plan);
+        return this._plan.seats
+            .filter(seat => codes.has(`${seat.row},${seat.col}`))
+            .sort((a, b) => b.row - a.row || a.col - b.col)
+            .map(seat => ({ prenom: seat.prenom, nom: seat.nom, code: codes.get(`${seat.row},${seat.col}`) }));
+    },
+
+    /**
+     * @private
+     */
+    _render() {
+        if (!this._modal) return;
+        this._modal.querySelector('.seating-export-preview').innerHTML =
+            SeatingExportService.buildPlanSvg(this._plan, this._options).svg;
+
+        const labels = this.getLabels();
+        const count = labels.length;
+        const sheets = SeatingExportService.buildLabelSheets({ title: this._plan.title, labels }).length;
+        this._modal.querySelector('.seating-export-hint').textContent = count === 0
+            ? 'Aucun élève placé : pas d\'étiquette à imprimer.'
+            : `Étiquettes : ${count} élève${count > 1 ? 's' : ''} placé${count > 1 ? 's' : ''}, ${sheets} planche${sheets > 1 ? 's' : ''} A4 de 3 × 8 (70 × 37 mm).`;
+        this._modal.querySelector('[data-action="labels"]').disabled = count === 0;
+    },
+
+    /**
+     * @private
+     */
+    _downloadSvg() {
+        const { svg } = SeatingExportService.buildPlanSvg(this._plan, this._options);
+        StorageManager._downloadFile(svg, `${this._fileName}.svg`, 'image/svg+xml');
+    },
+
+    /**
+     * @param {HTMLButtonElement} button
+     * @private
+     */
+    async _downloadPng(button) {
+        button.disabled = true;
+        try {
+            const blob = await this._toPng(SeatingExportService.buildPlanSvg(this._plan, this._options));
+            StorageManager._downloadFile(blob, `${this._fileName}.png`, 'image/png');
+        } catch (error) {
+            console.error('[SeatingExportManager] PNG export failed:', error);
+            UI.showNotification('Export PNG impossible dans ce navigateur : utilisez le SVG.', 'error');
+        } finally {
+            button.disabled = false;
+        }
+    },
+
+    /**
+     * @private
+     */
+    _printPlan() {
+        const { svg } = SeatingExportService.buildPlanSvg(this._plan, this._options);
+        this._print([svg], '@page { size: landscape; margin: 10mm; } svg { width: 100%; height: auto; max-height: 100vh; }');
+    },
+
+    /**
+     * @private
+     */
+    _printLabels() {
+        const sheets = SeatingExportService.buildLabelSheets(
+            { title: this._plan.title, labels: this.getLabels() },
+            this._options
+        );
+        this._print(sheets, '@page { size: A4 portrait; margin: 0; } svg { width: 210mm; height: 297mm; }');
+    },
+
+    /**
+     * Imprime des pages SVG depuis un cadre invisible
+     * @param {string[]} pages
+     * @param {string} pageCss
+     * @private
+     */
+    _print(pages, pageCss) {
+        const frame = document.createElement('iframe');
+        frame.setAttribute('aria-hidden', 'true');
+        frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+        frame.srcdoc = `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${this._fileName}</title><style>
+            html, body { margin: 0; padding: 0; background: #fff; }
+            .page { display: flex; justify-content: center; break-after: page; }
+            .page:last-child { break-after: auto; }
+            svg { display: block; }
+            ${pageCss}
+        </style></head><body>${pages.map(page => `<div class="page">${page}</div>`).join('')}</body></html>`;
+        frame.addEventListener('load', () => {
+            frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+        }, { once: true });
+        document.body.appendChild(frame);
+    },
+
+    /**
+     * @param {{svg: string, width: number, height: number}} rendered
+     * @returns {Promise<Blob>}
+     * @private
+     */
+    async _toPng({ svg, width, height }) {
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+        try {
+            const image = new Image();
+            await new Promise((resolve, reject) => {
+                image.onload = resolve;
+                image.onerror = () => reject(new Error('SVG illisible'));
+                image.src = url;
+            });
+            const canvas = document.createElement('canvas');
+            canvas.width = width * PNG_SCALE;
+            canvas.height = height * PNG_SCALE;
+            const ctx = canvas.getContext('2d');
+            ctx.scale(PNG_SCALE, PNG_SCALE);
+            ctx.drawImage(image, 0, 0, width, height);
+            return await new Promise((resolve, reject) => {
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Conversion PNG impossible')), 'image/png');
+            });
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+};
@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Plans nommés de la classe (modale ouverte depuis le plan de classe)
+ * Changement de plan, création, copie, renommage, suppression et historique des placements.
+ * Les données sont gérées par SeatingPlansService.
+ * @module managers/SeatingPlansManager
+ */
+
+import { Utils } from '../utils/Utils.js';
+import { SeatingPlansService } from '../services/SeatingPlansService.js';
+import { ModalUI } from './ModalUIManager.js';
+import { UI } from './UIManager.js';
+
+/** "2026-09-02" → "02/09/2026" */
+const formatDay = (day) => day.split('-').reverse().join('/');
+
+export const SeatingPlansManager = {
+    /** @private */
+    _modal: null,
+    /** @private Clé de la classe dans appState.seatingPlans */
+    _classKey: null,
+    /** @private Rappels du plan de classe */
+    _handlers: null,
+
+    /**
+     * @param {Object} options
+     * @param {string} options.classKey - Classe courante
+     * @param {function(): Object} options.getLayout - Disposition actuelle sans élèves (nouveau plan)
+     * @param {function(string): void} options.switchTo - Enregistre le plan affiché puis affiche celui-ci
+     * @param {function(): void} options.reload - Affiche le plan actif sans enregistrer le plan affiché
+     * @param {function(): void} options.save - Persiste les plans
+     */
+    open({ classKey, getLayout, switchTo, reload, save }) {
+        this._classKey = classKey;
+        this._handlers = { getLayout, switchTo, reload, save };
+
+        this._modal?.remove();
+        this._modal = document.createElement('div');
+        this._modal.id = 'seatingPlansModal';
+        this._modal.className = 'modal';
+        this._modal.innerHTML = `
+            <div class="modal-content seating-plans-modal">
+                <div class="modal-header">
+                    <h2 class="modal-title">
+                        <span class="modal-title-icon color-accent"><iconify-icon icon="solar:layers-linear"></iconify-icon></span>
+                        <span class="modal-title-text">Plans de la classe</span>
+                    </h2>
+                    <button class="close-button" aria-label="Fermer">
+                        <iconify-icon icon="ph:x"></iconify-icon>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <div class="seating-plans-list"></div>
+                    <div class="status-settings-form">
+                        <div class="status-settings-form-row">
+                            <input type="text" id="seatingPlanNameInput" placeholder="Nom du nouveau plan (ex : Labo, Contrôle)" maxlength="40">
+                            <button type="button" class="btn btn-secondary btn-small" data-action="create">Créer</button>
+                        </div>
+                    </div>
+                    <h3 class="seating-plans-subtitle">Historique des placements</h3>
+                    <div class="seating-plans-history"></div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this._modal);
+
+        this._modal.addEventListener('click', (e) => {
+            if (e.target === this._modal || e.target.closest('.close-button')) {
+                this.close();
+                return;
+            }
+            const target = e.target.closest('[data-action]');
+            if (!target || target.disabled) return;
+            const planId = target.closest('[data-plan-id]')?.dataset.planId;
+            switch (target.dataset.action) {
+                case 'activate': this._activate(planId); break;
+                case 'duplicate': this._duplicate(planId); break;
+                case 'delete': this._delete(planId); break;
+                case 'create': this._create(); break;
+            }
+        });
+        this._modal.addEventListener('change', (e) => {
+            if (e.target.matches('[data-field="name"]')) {
+                this._rename(e.target.closest('[data-plan-id]').dataset.planId, e.target);
+            }
+        });
+        this._modal.querySelector('#seatingPlanNameInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this._create();
+        });
+
+        this._render();
+        ModalUI.openModal(this._modal);
+    },
+
+    /**
+     * Ferme la modale
+     */
+    close() {
+        if (!this._modal) return;
+        const modal = this._modal;
+        this._modal = null;
+        ModalUI.closeModal(modal);
+    },
+
+    /**
+     * @private
+     */
+    _render() {
+        if (!this._modal) return;
+        const plans = SeatingPlansService.getPlans(this._classKey);
+        const activeId = SeatingPlansService.getActivePlan(this._classKey)?.id;
+
+        this._modal.querySelector('.seating-plans-list').innerHTML = plans.map(plan => {
+            const count = Object.keys(plan.positions).length;
+            return `
+                <div class="status-settings-row${plan.id === activeId ? ' is-active' : ''}" data-plan-id="${plan.id}">
+                    <input type="text" data-field="name" value="${Utils.escapeHtml(plan.name)}" maxlength="40" aria-label="Nom du plan">
+                    <span class="status-settings-description">${plan.room ? 'Salle libre' : `${plan.rows} × ${plan.cols}`} · ${count} élève${count > 1 ? 's' : ''} placé${count > 1 ? 's' : ''}</span>
+                    ${plan.id === activeId
+                        ? '<span class="tag-badge tag-success">Affiché</span>'
+                        : '<button type="button" class="btn btn-secondary btn-small" data-action="activate">Afficher</button>'}
+                    <button type="button" class="btn-icon-small" data-action="duplicate" aria-label="Dupliquer" data-tooltip="Dupliquer">
+                        <iconify-icon icon="solar:copy-linear"></iconify-icon>
+                    </button>
+                    <button type="button" class="btn-icon-small danger" data-action="delete" aria-label="Supprimer" ${plans.length < 2 ? 'disabled' : ''}>
+                        <iconify-icon icon="solar:trash-bin-trash-linear"></iconify-icon>
+                    </button>
+                </div>
+            `;
+        }).join('');
+
+        const history = SeatingPlansService.getHistory(this._classKey);
+        this._modal.querySelector('.seating-plans-history').innerHTML = history.length === 0
+            ? '<p class="status-settings-description">Aucun placement enregistré pour l\'instant.</p>'
+            : `<ul class="seating-plans-history-list">${history.map(entry => {
+                const count = Object.keys(entry.positions).length;
+                const dates = entry.from === entry.to ? `le ${formatDay(entry.from)}` : `du ${formatDay(entry.from)} au ${formatDay(entry.to)}`;
+                return `<li><strong>${Utils.escapeHtml(entry.planName)}</strong> ${dates} <span class="status-settings-description">· ${count} élève${count > 1 ? 's' : ''}</span></li>`;
+            }).join('')}</ul>`;
+    },
+
+    /**
+     * @param {string} planId
+     * @private
+     */
+    _activate(planId) {
+        this._handlers.switchTo(planId);
+        this._render();
+    },
+
+    /**
+     * @param {string} planId
+     * @private
+     */
+    _duplicate(planId) {
+        const plan = SeatingPlansService.duplicatePlan(this._classKey, planId);
+        if (plan) this._activate(plan.id);
+    },
+
+    /**
+     * @param {string} planId
+     * @private
+     */
+    _delete(planId) {
+        const plan = SeatingPlansService.getPlans(this._classKey).find(p => p.id === planId);
+        if (!plan) return;
+        UI.showCustomConfirm('Le placement de ce plan sera perdu ; l\'historique est conservé.', () => {
+            const wasActive = SeatingPlansService.getActivePlan(this._classKey)?.id === planId;
+            if (!SeatingPlansService.deletePlan(this._classKey, planId)) return;
+            if (wasActive) this._handlers.reload();
+            else this._handlers.save();
+            this._render();
+        }, null, { title: `Supprimer le plan « ${plan.name} » ?`, isDanger: true });
+    },
+
+    /**
+     * Crée un plan vide aux dimensions actuelles et l'affiche
+     * @private
+     */
+    _create() {
+        const input = this._modal.querySelector('#seatingPlanNameInput');
+        const plan = SeatingPlansService.createPlan(this._classKey, input.value, this._handlers.getLayout());
+        if (!plan) {
+            UI.showNotification('Donnez un nom au plan.', 'warning');
+            input.focus();
+            return;
+        }
+        input.value = '';
+        this._activate(plan.id);
+    },
+
+    /**
+     * @param {string} planId
+     * @param {HTMLInputElement} input
+     * @private
+     */
+    _rename(planId, input) {
+        if (SeatingPlansService.renamePlan(this._classKey, planId, input.value)) {
+            this._handlers.save();
+        }
+        this._render();
+    }
+};
@@ -18,6 +18,7 @@ import { DropdownManager } from './DropdownManager.js';
 import { PROVIDER_CONFIG } from '../config/providers.js';
 import { ApiValidationManager } from './ApiValidationManager.js';
 import { AIService } from '../services/AIService.js';
+import { ClassManager } from './ClassManager.js';
 
 /**
  * Module de gestion de l'interface des paramètres.
@@ -56,11 +57,18 @@ export const SettingsUIManager = {
     },
 
     /**
-     * Sauvegarde les modifications du style personnalisé.
-     * @private
+     * Profil de style en cours d'édition dans le Labo de style.
+     * null = style global ("MonStyle"), sinon ID de la classe.
+     * @type {string|null}
      */
-    _savePersonalStyleChanges() {
-        // S'assurer que MonStyle existe avec structure correcte
+    editedStyleClassId: null,
+
+    /**
+     * Retourne l'iaConfig modifiable du profil en cours d'édition.
+     * Crée la structure si nécessaire : une classe sans profil part d'une copie du style global.
+     * @returns {Object} iaConfig mutable
+     */
+    getEditedIaConfig() {
         if (!appState.subjects['MonStyle']) {
             appState.subjects['MonStyle'] = { iaConfig: { ...DEFAULT_IA_CONFIG } };
         }
@@ -68,7 +76,119 @@ export const SettingsUIManager = {
             appState.subjects['MonStyle'].iaConfig = { ...DEFAULT_IA_CONFIG };
         }
 
-        const styleData = appState.subjects['MonStyle'];
+        const targetClass = this.editedStyleClassId
+            ? ClassManager.getClassById(this.editedStyleClassId)
+            : null;
+
+        if (!targetClass) return appState.subjects['MonStyle'].iaConfig;
+
+        if (!targetClass.iaConfig) {
+            targetClass.iaConfig = JSON.parse(JSON.stringify(appState.subjects['MonStyle'].iaConfig));
+        }
+        return targetClass.iaConfig;
+    },
+
+    /**
+     * Retourne le style effectif du profil en cours d'édition (lecture seule).
+     * @returns {Object} iaConfig résolue
+     */
+    getDisplayedIaConfig() {
+        const globalStyle = appState.subjects['MonStyle']?.iaConfig || DEFAULT_IA_CONFIG;
+        const classStyle = this.editedStyleClassId ? ClassManager.getClassIaConfig(this.editedStyleClassId) : null;
+        return classStyle ? { ...globalStyle, ...classStyle } : globalStyle;
+    },
+
+    /**
+     * Change le profil de style édité et rafraîchit les champs du Labo.
+     * @param {string|null} classId - ID de la classe, ou null pour le style global
+     */
+    setEditedStyleProfile(classId) {
+        this.editedStyleClassId = classId && ClassManager.getClassById(classId) ? classId : null;
+        this.populateStyleProfileSelectors();
+        UI.updateSettingsPromptFields();
+        this.updatePersonalizationState();
+    },
+
+    /**
+     * Peuple le sélecteur de profil de style et le sélecteur "Copier depuis".
+     */
+    populateStyleProfileSelectors() {
+        const classes = ClassManager.getAllClasses();
+        const buildOption = (value, label) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            return option;
+        };
+
+        if (DOM.iaStyleProfileSelect) {
+            const select = DOM.iaStyleProfileSelect;
+            select.innerHTML = '';
+            select.appendChild(buildOption('', 'Style global (toutes les classes)'));
+            classes.forEach(cls => {
+                const suffix = cls.iaConfig ? '' : ' — style global';
+                select.appendChild(buildOption(cls.id, `${cls.name}${suffix}`));
+            });
+            select.value = this.editedStyleClassId || '';
+        }
+
+        if (DOM.iaStyleCopySourceSelect) {
+            const select = DOM.iaStyleCopySourceSelect;
+            select.innerHTML = '';
+            select.appendChild(buildOption('', 'Copier depuis…'));
+            if (this.editedStyleClassId) {
+                select.appendChild(buildOption('__global__', 'Style global'));
+            }
+            classes
+                .filter(cls => cls.id !== this.editedStyleClassId && cls.iaConfig)
+                .forEach(cls => select.appendChild(buildOption(cls.id, cls.name)));
+            select.disabled = select.options.length <= 1;
+        }
+
+        if (DOM.iaStyleUseGlobalBtn) {
+            const targetClass = this.editedStyleClassId ? ClassManager.getClassById(this.editedStyleClassId) : null;
+            DOM.iaStyleUseGlobalBtn.hidden = !targetClass?.iaConfig;
+        }
+    },
+
+    /**
+     * Copie un profil de style vers le profil en cours d'édition.
+     * @param {string} sourceId - ID de la classe source ou '__global__'
+     */
+    copyStyleProfileFrom(sourceId) {
+        if (!sourceId) return;
+        const sourceConfig = sourceId === '__global__'
+            ? appState.subjects['MonStyle']?.iaConfig
+            : ClassManager.getClassIaConfig(sourceId);
+        if (!sourceConfig) return;
+
+        if (this.editedStyleClassId) {
+            ClassManager.setClassIaConfig(this.editedStyleClassId, sourceConfig);
+        } else {
+            appState.subjects['MonStyle'].iaConfig = JSON.parse(JSON.stringify(sourceConfig));
+        }
+
+        this.setEditedStyleProfile(this.editedStyleClassId);
+        this.showPreviewRefreshHint();
+        UI.showNotification("Style copié.", "success");
+    },
+
+    /**
+     * Retire le profil propre à la classe éditée : elle suivra à nouveau le style global.
+     */
+    clearEditedClassStyle() {
+        if (!this.editedStyleClassId) return;
+        ClassManager.setClassIaConfig(this.editedStyleClassId, null);
+        this.setEditedStyleProfile(this.editedStyleClassId);
+        this.showPreviewRefreshHint();
+    },
+
+    /**
+     * Sauvegarde les modifications du style personnalisé.
+     * @private
+     */
+    _savePersonalStyleChanges() {
+        const styleData = { iaConfig: this.getEditedIaConfig() };
 
         styleData.iaConfig.length = parseInt(DOM.iaLengthSlider.value, 10);
         styleData.iaConfig.tone = parseInt(DOM.iaToneSlider.value, 10);
@@ -149,14 +269,24 @@ export const SettingsUIManager = {
         UIState.settingsBeforeEdit = {
             useSubjectPersonalization: appState.useSubjectPersonalization,
             subjects: JSON.parse(JSON.stringify(appState.subjects)),
+            classStyles: (appState.classes || []).map(cls => ({
+                id: cls.id,
+                iaConfig: cls.iaConfig ? JSON.parse(JSON.stringify(cls.iaConfig)) : null
+            })),
             theme: appState.theme,
             accentColor: appState.accentColor,
             periodSystem: appState.periodSystem,
             currentPeriod: appState.currentPeriod,
             currentAIModel: appState.currentAIModel,
             enableApiFallback: appState.enableApiFallback,
+            enableStreaming: appState.enableStreaming,
+            batchGenerationSize: appState.batchGenerationSize,
             ollamaEnabled: appState.ollamaEnabled,
-            ollamaBaseUrl: appState.ollamaBaseUrl
+            ollamaBaseUrl: appState.ollamaBaseUrl,
+            journalCustomTags: JSON.parse(JSON.stringify(appState.journalCustomTags || [])),
+            statusCatalogue: appState.statusCatalogue ? JSON.parse(JSON.stringify(appState.statusCatalogue)) : null,
+            lintSettings: appState.lintSettings ? JSON.parse(JSON.stringify(appState.lintSettings)) : null,
+            councilRules: appState.councilRules ? JSON.parse(JSON.stringify(appState.councilRules)) : null
         };
     },
 
@@ -169,6 +299,15 @@ export const SettingsUIManager = {
             appState.useSubjectPersonalization = UIState.settingsBeforeEdit.useSubjectPersonalization;
             appState.subjects = UIState.settingsBeforeEdit.subjects;
 
+            if (UIState.settingsBeforeEdit.classStyles) {
+                UIState.settingsBeforeEdit.classStyles.forEach(({ id, iaConfig }) => {
+                    const cls = (appState.classes || []).find(c => c.id === id);
+                    if (!cls) return;
+                    if (iaConfig) cls.iaConfig = iaConfig;
+                    else delete cls.iaConfig;
+                });
+            }
+
             if (UIState.settingsBeforeEdit.theme !== undefined) {
                 appState.theme = UIState.settingsBeforeEdit.theme;
             }
@@ -187,12 +326,30 @@ export const SettingsUIManager = {
             if (UIState.settingsBeforeEdit.enableApiFallback !== undefined) {
                 appState.enableApiFallback = UIState.settingsBeforeEdit.enableApiFallback;
             }
+            if (UIState.settingsBeforeEdit.enableStreaming !== undefined) {
+                appState.enableStreaming = UIState.settingsBeforeEdit.enableStreaming;
+            }
+            if (UIState.settingsBeforeEdit.batchGenerationSize !== undefined) {
+                appState.batchGenerationSize = UIState.settingsBeforeEdit.batchGenerationSize;
+            }
             if (UIState.settingsBeforeEdit.ollamaEnabled !== undefined) {
                 appState.ollamaEnabled = UIState.settingsBeforeEdit.ollamaEnabled;
             }
             if (UIState.settingsBeforeEdit.ollamaBaseUrl !== undefined) {
                 appState.ollamaBaseUrl = UIState.settingsBeforeEdit.ollamaBaseUrl;
             }
+            if (UIState.settingsBeforeEdit.journalCustomTags !== undefined) {
+                appState.journalCustomTags = UIState.settingsBeforeEdit.journalCustomTags;
+            }
+            if (UIState.settingsBeforeEdit.statusCatalogue !== undefined) {
+                appState.statusCatalogue = UIState.settingsBeforeEdit.statusCatalogue;
+            }
+            if (UIState.settingsBeforeEdit.lintSettings !== undefined) {
+                appState.lintSettings = UIState.settingsBeforeEdit.lintSettings;
+            }
+            if (UIState.settingsBeforeEdit.councilRules !== undefined) {
+                appState.councilRules = UIState.settingsBeforeEdit.councilRules;
+            }
 
             // Persister immédiatement la restauration pour annuler les sauvegardes auto
             StorageManager.saveAppState();
@@ -241,7 +398,11 @@ export const SettingsUIManager = {
      */
     resetPersonalStyle() {
         UI.showCustomConfirm("Tous les réglages du style (consignes, voix, ton et longueur de l'appréciation) seront restaurés aux valeurs par défaut.", () => {
-            appState.subjects['MonStyle'] = { iaConfig: JSON.parse(JSON.stringify(DEFAULT_IA_CONFIG)) };
+            if (this.editedStyleClassId) {
+                ClassManager.setClassIaConfig(this.editedStyleClassId, DEFAULT_IA_CONFIG);
+            } else {
+                appState.subjects['MonStyle'] = { iaConfig: JSON.parse(JSON.stringify(DEFAULT_IA_CONFIG)) };
+            }
             UI.updateSettingsPromptFields();
             UI.showNotification("Style réinitialisé.", "success");
             document.dispatchEvent(new CustomEvent('personalizationReset'));
@@ -259,7 +420,7 @@ export const SettingsUIManager = {
         }
 
         // Get current config for specific toggle
-        const styleData = appState.subjects['MonStyle']?.iaConfig || DEFAULT_IA_CONFIG;
+        const styleData = this.getDisplayedIaConfig();
         const styleInstructionsEnabled = styleData.enableStyleInstructions !== false; // Default true
 
         if (DOM.iaStyleInstructionsToggle) {
@@ -458,6 +619,12 @@ export const SettingsUIManager = {
         if (DOM.enableApiFallbackToggle) {
             DOM.enableApiFallbackToggle.checked = appState.enableApiFallback;
         }
+        if (DOM.enableStreamingToggle) {
+            DOM.enableStreamingToggle.checked = appState.enableStreaming !== false;
+        }
+        if (DOM.batchGenerationSizeSelect) {
+            DOM.batchGenerationSizeSelect.value = String(appState.batchGenerationSize || 1);
+        }
 
         // Mettre à jour l'indicateur dans le header principal
         this.updateHeaderAiModelDisplay();
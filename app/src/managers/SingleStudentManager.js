@@ -99,10 +99,8 @@ export const SingleStudentManager = {
             }
 
             const aInput = document.getElementById(`app${p}`);
-            const gStr = gradeInput?.value.trim().replace(',', '.') || '';
-
             data.periods[p] = {
-                grade: gStr === '' ? null : parseFloat(gStr),
+                grade: Utils.parseGradeInput(gradeInput?.value ?? ''),
                 appreciation: aInput?.value.trim() ?? '',
                 // NOUVEAU: Contexte par période (sauvé dans la période courante)
                 context: isCurrent ? contextValue : undefined
@@ -46,6 +46,10 @@ vi.mock('../utils/Utils.js', () => ({
     Utils: {
         validateInput: vi.fn(() => true),
         validateGrade: vi.fn(() => true),
+        parseGradeInput: vi.fn((value) => {
+            const num = parseFloat(String(value).replace(',', '.'));
+            return isNaN(num) ? null : num;
+        }),
         getPeriods: vi.fn(() => ['T1', 'T2', 'T3']),
         normalizeName: vi.fn((nom, prenom) => `${nom}_${prenom}`.toLowerCase()),
         translateErrorMessage: vi.fn(msg => msg),
@@ -13,6 +13,8 @@ import { appState } from '../state/State.js';
 import { DOM } from '../utils/DOM.js';
 import { Utils } from '../utils/Utils.js';
 import { StatsService } from '../services/StatsService.js';
+import { GradeScaleService } from '../services/GradeScaleService.js';
+import { PromptService } from '../services/PromptService.js';
 import { SettingsModalListeners } from './listeners/SettingsModalListeners.js';
 import { UI } from './UIManager.js';
 
@@ -163,10 +165,11 @@ export const StatsUI = {
      * @returns {Object} Statistiques calculées
      */
     calculateStats(filteredResults, activePeriod, previousPeriod) {
+        const gradeScale = GradeScaleService.getScale();
         const stats = {
             avgGrade: '--', prevAvgGrade: '--', minGrade: '--', maxGrade: '--',
             avgWords: 0, avgChars: 0, progress: 0, stable: 0, regression: 0,
-            median: '--', heterogeneity: null, distribution: [0, 0, 0, 0, 0]
+            median: '--', heterogeneity: null, distribution: GradeScaleService.getBuckets(gradeScale).map(() => 0)
         };
 
         if (filteredResults.length === 0) return stats;
@@ -198,7 +201,7 @@ export const StatsUI = {
 
                         // Calculer l'évolution
                         const dist = currentGrade - prevGrade;
-                        const evoType = Utils.getEvolutionType(dist);
+                        const evoType = Utils.getEvolutionType(dist, gradeScale);
                         if (['very-positive', 'positive'].includes(evoType)) stats.progress++;
                         else if (evoType === 'stable') stats.stable++;
                         else stats.regression++;
@@ -221,8 +224,8 @@ export const StatsUI = {
 
             // Nouveaux calculs via StatsService
             stats.median = StatsService.calculateMedian(currentGrades);
-            stats.heterogeneity = StatsService.calculateHeterogeneity(currentGrades);
-            stats.distribution = StatsService.getGradeDistribution(currentGrades);
+            stats.heterogeneity = StatsService.calculateHeterogeneity(currentGrades, gradeScale);
+            stats.distribution = StatsService.getGradeDistribution(currentGrades, gradeScale);
         }
         if (prevGradeCount > 0) stats.prevAvgGrade = (totalPrevGrades / prevGradeCount);
         if (errFree > 0) {
@@ -323,6 +326,7 @@ export const StatsUI = {
 
         // Utilise calculateStats existant
         const stats = this.calculateStats(filtered, activePeriod, previousPeriod);
+        const gradeScale = GradeScaleService.getScale();
 
         const avgEvolution = (typeof stats.avgGrade === 'number' && typeof stats.prevAvgGrade === 'number')
             ? (stats.avgGrade - stats.prevAvgGrade)
@@ -364,7 +368,7 @@ export const StatsUI = {
                 'grade-high', 'grade-average', 'grade-low' // Legacy classes cleanup
             );
             if (typeof stats.avgGrade === 'number' && !isNaN(stats.avgGrade)) {
-                const gradeClass = Utils.getGradeClass(stats.avgGrade);
+                const gradeClass = Utils.getGradeClass(stats.avgGrade, gradeScale);
                 if (gradeClass) {
                     avgGradeEl.classList.add(gradeClass);
                 }
@@ -380,7 +384,7 @@ export const StatsUI = {
                     animationPromises.push(this.animateNumberWithText(avgWordsEl, currentVal, stats.avgWords, 500, (val) => `Ø ${val} mots`));
                 }
                 // Update tooltip with richer info: avg chars + target words
-                const targetWords = appState.subjects?.['MonStyle']?.iaConfig?.length || 60;
+                const targetWords = PromptService.getEffectiveIaConfig(appState.currentClassId)?.length || 60;
                 avgWordsEl.setAttribute('data-tooltip', `Ø ${stats.avgWords} mots (${stats.avgChars} car.)<br>Cible : ${targetWords} mots<br><span class="kbd-hint">Modifier</span>`);
                 avgWordsEl.classList.add('tooltip', 'clickable-chip');
                 avgWordsEl.style.cursor = 'pointer';
@@ -414,23 +418,25 @@ export const StatsUI = {
             } else {
                 evolutionChip.style.display = '';
                 // startValue can contain a comma, replace it before parsing
-                const startVal = parseFloat(avgEvoEl.textContent.replace(',', '.').replace(' pts', '')) || 0;
+                const startVal = parseFloat(avgEvoEl.textContent.replace(',', '.')) || 0;
+                const unit = GradeScaleService.getDiffUnit(avgEvolution, gradeScale);
                 const promise = new Promise(resolve => {
                     let startTimestamp = null; const duration = 500;
                     const step = (timestamp) => {
                         if (!startTimestamp) startTimestamp = timestamp;
                         const progress = Math.min((timestamp - startTimestamp) / duration, 1);
                         const currentVal = startVal + progress * (avgEvolution - startVal);
-                        avgEvoEl.textContent = `${currentVal >= 0 ? '+' : ''}${currentVal.toFixed(1).replace('.', ',')} pts`;
+                        avgEvoEl.textContent = `${currentVal >= 0 ? '+' : ''}${currentVal.toFixed(1).replace('.', ',')} ${unit}`;
                         if (progress < 1) window.requestAnimationFrame(step);
-                        else { avgEvoEl.textContent = `${avgEvolution >= 0 ? '+' : ''}${avgEvolution.toFixed(1).replace('.', ',')} pts`; resolve(); }
+                        else { avgEvoEl.textContent = `${avgEvolution >= 0 ? '+' : ''}${avgEvolution.toFixed(1).replace('.', ',')} ${unit}`; resolve(); }
                     };
                     window.requestAnimationFrame(step);
                 });
                 animationPromises.push(promise);
 
-                if (avgEvolution >= appState.evolutionThresholds.positive) evolutionChip.classList.add('positive');
-                else if (avgEvolution <= appState.evolutionThresholds.negative) evolutionChip.classList.add('negative');
+                const avgEvolutionOnTwenty = GradeScaleService.diffToTwenty(avgEvolution, gradeScale);
+                if (avgEvolutionOnTwenty >= appState.evolutionThresholds.positive) evolutionChip.classList.add('positive');
+                else if (avgEvolutionOnTwenty <= appState.evolutionThresholds.negative) evolutionChip.classList.add('negative');
                 else evolutionChip.classList.add('stable');
             }
         }
@@ -461,7 +467,7 @@ export const StatsUI = {
         }
 
         // Update Histogram (en parallèle avec les animations)
-        this.updateHistogram(stats.distribution);
+        this.updateHistogram(stats.distribution, gradeScale);
 
         await Promise.all(animationPromises);
 
@@ -475,16 +481,25 @@ export const StatsUI = {
 
     /**
      * Met à jour l'histogramme de distribution des notes.
-     * @param {number[]} distribution - Tableau [0-4, 4-8, 8-12, 12-16, 16-20]
+     * Les barres sont réétiquetées selon les tranches du barème ; celles en trop sont masquées.
+     * @param {number[]} distribution - Un effectif par tranche de GradeScaleService.getBuckets()
+     * @param {Object} [scale] - Barème de la classe (défaut: classe courante)
      */
-    updateHistogram(distribution) {
-        if (!distribution || distribution.length !== 5) return;
+    updateHistogram(distribution, scale = GradeScaleService.getScale()) {
+        const buckets = GradeScaleService.getBuckets(scale);
+        if (!distribution || distribution.length !== buckets.length) return;
         const maxCount = Math.max(...distribution);
-        const ranges = ['0-4', '4-8', '8-12', '12-16', '16-20'];
 
-        ranges.forEach((range, index) => {
-            const barGroup = document.querySelector(`.hist-bar-group[data-range="${range}"]`);
-            if (barGroup) {
+        document.querySelectorAll('.hist-bar-group').forEach((barGroup, index) => {
+            const bucket = buckets[index];
+            barGroup.hidden = !bucket;
+            if (bucket) {
+                // data-range porte la couleur (tranche sur 20), data-filter-id la tranche du barème
+                barGroup.dataset.range = Utils.getGradeClass((bucket.min + bucket.max) / 2, scale).replace('grade-range-', '');
+                barGroup.dataset.filterId = `gradeRange_${bucket.min}-${bucket.max}`;
+                const label = barGroup.querySelector('.hist-label');
+                if (label) label.textContent = bucket.label;
+
                 const count = distribution[index];
                 const heightPercent = maxCount > 0 ? (count / maxCount) * 100 : 0;
 
@@ -496,7 +511,7 @@ export const StatsUI = {
 
                 // Update tooltip (Tippy.js) - Info only, filter action is implicit
                 const pluriel = count > 1 ? 's' : '';
-                barGroup.setAttribute('data-tooltip', `${count} élève${pluriel} (${range}/20)`);
+                barGroup.setAttribute('data-tooltip', `${count} élève${pluriel} (${bucket.label}${GradeScaleService.getSuffix(scale)})`);
             }
         });
     },
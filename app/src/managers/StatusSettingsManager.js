@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Éditeur du catalogue des statuts élève (modale Paramètres)
+ * Les données et règles du catalogue sont dans StatusService.
+ * @module managers/StatusSettingsManager
+ */
+
+import { Utils } from '../utils/Utils.js';
+import { StatusService, STATUS_COLORS } from '../services/StatusService.js';
+import { StorageManager } from './StorageManager.js';
+import { UI } from './UIManager.js';
+
+export const StatusSettingsManager = {
+    /** @type {string|null} Statut en cours de modification (null = création) */
+    _editingStatusId: null,
+
+    /**
+     * Branche les écouteurs de la liste et du formulaire.
+     */
+    init() {
+        const list = document.getElementById('statusCatalogueList');
+        if (!list) return;
+
+        list.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (!btn) return;
+            const statusId = btn.closest('[data-status-id]')?.dataset.statusId;
+            if (btn.dataset.action === 'edit') this._startEdit(statusId);
+            if (btn.dataset.action === 'delete') this._delete(statusId);
+        });
+
+        document.getElementById('statusSubmitBtn')?.addEventListener('click', () => this._submit());
+        document.getElementById('statusCancelBtn')?.addEventListener('click', () => this._resetForm());
+    },
+
+    /**
+     * Affiche le catalogue et réinitialise le formulaire.
+     */
+    render() {
+        const list = document.getElementById('statusCatalogueList');
+        if (!list) return;
+
+        list.innerHTML = StatusService.getCatalogue().map(status => {
+            const badge = Utils.getStatusBadgeInfo(status.label);
+            const instructionIcon = status.promptInstruction
+                ? `<iconify-icon class="status-settings-prompt tooltip" icon="solar:magic-stick-3-linear"
+                    data-tooltip="${Utils.escapeHtml(status.promptInstruction)}"></iconify-icon>`
+                : '';
+            const deleteBtn = status.movement
+                ? ''
+                : `<button type="button" class="btn-icon-small danger" data-action="delete" aria-label="Supprimer">
+                    <iconify-icon icon="solar:trash-bin-trash-linear"></iconify-icon>
+                </button>`;
+            return `
+                <div class="status-settings-row" data-status-id="${status.id}">
+                    <span class="${badge.className}">${badge.label}</span>
+                    <span class="status-settings-description">${Utils.escapeHtml(status.description || '')}</span>
+                    ${instructionIcon}
+                    <button type="button" class="btn-icon-small" data-action="edit" aria-label="Modifier">
+                        <iconify-icon icon="solar:pen-linear"></iconify-icon>
+                    </button>
+                    ${deleteBtn}
+                </div>
+            `;
+        }).join('');
+
+        const colorSelect = document.getElementById('statusColorSelect');
+        if (colorSelect && !colorSelect.options.length) {
+            colorSelect.innerHTML = STATUS_COLORS.map(c => `<option value="${c.id}">${c.label}</option>`).join('');
+        }
+
+        this._resetForm();
+    },
+
+    /**
+     * Remet le formulaire en mode création.
+     * @private
+     */
+    _resetForm() {
+        this._editingStatusId = null;
+
+        const fields = {
+            statusLabelInput: '',
+            statusDescriptionInput: '',
+            statusColorSelect: 'default',
+            statusInstructionInput: ''
+        };
+        Object.entries(fields).forEach(([id, value]) => {
+            const el = document.getElementById(id);
+            if (el) el.value = value;
+        });
+
+        const labelInput = document.getElementById('statusLabelInput');
+        if (labelInput) labelInput.disabled = false;
+        const submitBtn = document.getElementById('statusSubmitBtn');
+        if (submitBtn) submitBtn.textContent = 'Ajouter';
+        const cancelBtn = document.getElementById('statusCancelBtn');
+        if (cancelBtn) cancelBtn.hidden = true;
+    },
+
+    /**
+     * Charge un statut dans le formulaire.
+     * @param {string} statusId
+     * @private
+     */
+    _startEdit(statusId) {
+        const status = StatusService.getCatalogue().find(s => s.id === statusId);
+        if (!status) return;
+
+        this._editingStatusId = status.id;
+
+        const labelInput = document.getElementById('statusLabelInput');
+        labelInput.value = status.label;
+        // Nouveau/Départ sont reconnus par leur libellé ailleurs dans l'application
+        labelInput.disabled = !!status.movement;
+        document.getElementById('statusDescriptionInput').value = status.description || '';
+        document.getElementById('statusColorSelect').value = status.color || 'default';
+        document.getElementById('statusInstructionInput').value = status.promptInstruction || '';
+        document.getElementById('statusSubmitBtn').textContent = 'Enregistrer';
+        document.getElementById('statusCancelBtn').hidden = false;
+
+        (status.movement ? document.getElementById('statusDescriptionInput') : labelInput).focus();
+    },
+
+    /**
+     * Crée ou met à jour le statut décrit par le formulaire.
+     * @private
+     */
+    _submit() {
+        const data = {
+            label: document.getElementById('statusLabelInput')?.value || '',
+            description: document.getElementById('statusDescriptionInput')?.value || '',
+            color: document.getElementById('statusColorSelect')?.value,
+            promptInstruction: document.getElementById('statusInstructionInput')?.value || ''
+        };
+
+        if (!data.label.trim()) {
+            UI.showNotification('Donnez un libellé au statut.', 'warning');
+            return;
+        }
+
+        const status = this._editingStatusId
+            ? StatusService.updateStatus(this._editingStatusId, data)
+            : StatusService.addStatus(data);
+
+        if (!status) {
+            UI.showNotification(`Le statut « ${data.label.trim()} » existe déjà.`, 'warning');
+            return;
+        }
+
+        StorageManager.saveAppState();
+        this.render();
+    },
+
+    /**
+     * Retire un statut du catalogue.
+     * @param {string} statusId
+     * @private
+     */
+    _delete(statusId) {
+        if (!StatusService.removeStatus(statusId)) return;
+        StorageManager.saveAppState();
+        UI.showNotification('Statut retiré du catalogue. Les élèves qui le portent le conservent.', 'success');
+        this.render();
+    }
+};
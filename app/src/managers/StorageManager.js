@@ -4,7 +4,7 @@
  * Contrat de cycle de vie et rôles des clés LocalStorage utilisées pour la synchronisation :
  * 
  * 1. bulletin_sync_provider :
- *    - Rôle : Identifiant du fournisseur Cloud actif (ex: 'google', 'dropbox').
+ *    - Rôle : Identifiant du fournisseur Cloud actif (ex: 'google', 'dropbox', 'webdav').
  *    - Cycle de vie : Configuré à la connexion, persisté, supprimé lors d'une déconnexion/factory reset.
  * 
  * 2. bulletin_last_sync :
@@ -27,12 +27,17 @@
  *    - Rôle : Flag d'annulation de restauration en cours de validité (durée max 1h).
  *    - Cycle de vie : Temporaire, supprimé dès confirmation de restauration réussie.
  * 
+ * 7. bulletin_sync_passphrase :
+ *    - Rôle : Phrase de passe du chiffrement de bout en bout des sauvegardes Cloud.
+ *    - Cycle de vie : Saisie par l'utilisateur, jamais exportée ni envoyée au Cloud, supprimée au factory reset.
+ * 
  * @module managers/StorageManager
  */
 
 import { appState, userSettings, runtimeState } from '../state/State.js';
 import { CONFIG, APP_VERSION, DEFAULT_PROMPT_TEMPLATES, DEFAULT_IA_CONFIG, DEFAULT_EVOLUTION_THRESHOLDS, DEFAULT_PRIVACY_SETTINGS } from '../config/Config.js';
 import { DBService } from '../services/DBService.js';
+import { CryptoService } from '../services/CryptoService.js';
 import { Utils } from '../utils/Utils.js';
 
 let UI;
@@ -108,13 +113,20 @@ export const StorageManager = {
                     if (settings.classes !== undefined) userSettings.academic.classes = settings.classes;
                     if (settings.currentClassId !== undefined) userSettings.academic.currentClassId = settings.currentClassId;
                     if (settings.seatingGrid !== undefined) userSettings.academic.seatingGrid = settings.seatingGrid;
+                    if (settings.seatingPlans !== undefined) userSettings.academic.seatingPlans = settings.seatingPlans;
 
                     // Journal threshold
                     if (settings.journalThreshold !== undefined) userSettings.academic.journalThreshold = settings.journalThreshold;
+                    if (Array.isArray(settings.journalCustomTags)) userSettings.academic.journalCustomTags = settings.journalCustomTags;
+                    if (Array.isArray(settings.statusCatalogue)) userSettings.academic.statusCatalogue = settings.statusCatalogue;
+                    if (settings.lintSettings && typeof settings.lintSettings === 'object') userSettings.academic.lintSettings = settings.lintSettings;
+                    if (Array.isArray(settings.councilRules)) userSettings.academic.councilRules = settings.councilRules;
 
                     // API Settings
                     if (settings.currentAIModel !== undefined) userSettings.api.currentAIModel = settings.currentAIModel;
                     if (settings.enableApiFallback !== undefined) userSettings.api.enableApiFallback = settings.enableApiFallback;
+                    if (settings.enableStreaming !== undefined) userSettings.api.enableStreaming = settings.enableStreaming;
+                    if (settings.batchGenerationSize !== undefined) userSettings.api.batchGenerationSize = settings.batchGenerationSize;
                     if (settings.openaiApiKey !== undefined) userSettings.api.openaiApiKey = settings.openaiApiKey;
                     if (settings.googleApiKey !== undefined) userSettings.api.googleApiKey = settings.googleApiKey;
                     if (settings.openrouterApiKey !== undefined) userSettings.api.openrouterApiKey = settings.openrouterApiKey;
@@ -251,7 +263,8 @@ export const StorageManager = {
                     theme: userSettings.ui.theme,
                     periodSystem: userSettings.academic.periodSystem,
                     subjects: userSettings.academic.subjects,
-                    seatingGrid: userSettings.academic.seatingGrid || null
+                    seatingGrid: userSettings.academic.seatingGrid || null,
+                    seatingPlans: userSettings.academic.seatingPlans || null
                 },
                 classes: userSettings.academic.classes || [],
                 currentClassId: userSettings.academic.currentClassId,
@@ -530,9 +543,12 @@ export const StorageManager = {
             classes: userSettings.academic.classes || [],
             currentClassId: userSettings.academic.currentClassId || null,
             seatingGrid: userSettings.academic.seatingGrid || null,
+            seatingPlans: userSettings.academic.seatingPlans || null,
 
             currentAIModel: userSettings.api.currentAIModel,
             enableApiFallback: userSettings.api.enableApiFallback,
+            enableStreaming: userSettings.api.enableStreaming,
+            batchGenerationSize: userSettings.api.batchGenerationSize,
             openaiApiKey: userSettings.api.openaiApiKey,
             googleApiKey: userSettings.api.googleApiKey,
             openrouterApiKey: userSettings.api.openrouterApiKey,
@@ -558,6 +574,10 @@ export const StorageManager = {
             refinementEdits: runtimeState.data.refinementEdits,
 
             journalThreshold: userSettings.academic.journalThreshold,
+            journalCustomTags: userSettings.academic.journalCustomTags,
+            statusCatalogue: userSettings.academic.statusCatalogue,
+            lintSettings: userSettings.academic.lintSettings,
+            councilRules: userSettings.academic.councilRules,
         };
     },
 
@@ -847,6 +867,8 @@ export const StorageManager = {
             localStorage.removeItem('bulletin_last_sync');
             localStorage.removeItem('bulletin_google_token');
             localStorage.removeItem('bulletin_dropbox_token');
+            localStorage.removeItem('bulletin_webdav_config');
+            localStorage.removeItem('bulletin_sync_passphrase');
 
             UI.showNotification('Toutes les données ont été supprimées. Rechargement...', 'success');
 
@@ -893,7 +915,12 @@ export const StorageManager = {
         };
     },
 
-    exportToJson() {
+    /**
+     * Export a full backup as a JSON file.
+     * @param {Object} [options]
+     * @param {string} [options.passphrase] - When set, the file is encrypted end-to-end (see CryptoService)
+     */
+    async exportToJson({ passphrase = null } = {}) {
         const dataToExport = {
             // Sync metadata for future cloud sync
             _meta: {
@@ -914,8 +941,10 @@ export const StorageManager = {
             }))
         };
         const count = dataToExport.generatedResults.length;
-        this._downloadFile(JSON.stringify(dataToExport, null, 2), `bulletin-ai_backup_${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
-        UI.showNotification(`Sauvegarde exportée (${count} élève${count > 1 ? 's' : ''}).`, 'success');
+        const fileData = passphrase ? await CryptoService.encrypt(dataToExport, passphrase) : dataToExport;
+        const suffix = passphrase ? '_chiffre' : '';
+        this._downloadFile(JSON.stringify(fileData, null, 2), `bulletin-ai_backup_${new Date().toISOString().slice(0, 10)}${suffix}.json`, 'application/json');
+        UI.showNotification(`Sauvegarde${passphrase ? ' chiffrée' : ''} exportée (${count} élève${count > 1 ? 's' : ''}).`, 'success');
     },
 
     /**
@@ -953,6 +982,10 @@ export const StorageManager = {
         try {
             const backup = JSON.parse(fileContent);
 
+            if (CryptoService.isEncrypted(backup)) {
+                throw new Error('Sauvegarde chiffrée : déchiffrez-la avant l\'import.');
+            }
+
             if (!backup._meta && !backup.appVersion && !backup.settings) {
                 throw new Error('Format de fichier invalide.');
             }
@@ -975,7 +1008,12 @@ export const StorageManager = {
                     currentAIModel: settings.currentAIModel || appState.currentAIModel,
                     refinementEdits: settings.refinementEdits || {},
                     privacy: settings.privacy || appState.privacy || { ...DEFAULT_PRIVACY_SETTINGS },
-                    seatingGrid: settings.seatingGrid || appState.seatingGrid
+                    seatingGrid: settings.seatingGrid || appState.seatingGrid,
+                    seatingPlans: settings.seatingPlans || appState.seatingPlans || null,
+                    journalCustomTags: settings.journalCustomTags || appState.journalCustomTags || [],
+                    statusCatalogue: settings.statusCatalogue || appState.statusCatalogue || null,
+                    lintSettings: settings.lintSettings || appState.lintSettings || null,
+                    councilRules: settings.councilRules || appState.councilRules || null
                 });
                 stats.settingsImported = true;
             }
@@ -1106,7 +1144,12 @@ export const StorageManager = {
                     currentAIModel: settings.currentAIModel || appState.currentAIModel,
                     refinementEdits: settings.refinementEdits || {},
                     privacy: settings.privacy || appState.privacy || { ...DEFAULT_PRIVACY_SETTINGS },
-                    seatingGrid: settings.seatingGrid || appState.seatingGrid
+                    seatingGrid: settings.seatingGrid || appState.seatingGrid,
+                    seatingPlans: settings.seatingPlans || appState.seatingPlans || null,
+                    journalCustomTags: settings.journalCustomTags || appState.journalCustomTags || [],
+                    statusCatalogue: settings.statusCatalogue || appState.statusCatalogue || null,
+                    lintSettings: settings.lintSettings || appState.lintSettings || null,
+                    councilRules: settings.councilRules || appState.councilRules || null
                 });
                 if (appState.wordCountLimit) {
                     delete appState.wordCountLimit;
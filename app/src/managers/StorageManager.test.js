@@ -172,6 +172,31 @@ describe('StorageManager', () => {
         });
     });
 
+    describe('seating plans', () => {
+        it('should save named plans and placement history and read them back', async () => {
+            const { userSettings } = await import('../state/State.js');
+            const plans = {
+                c1: {
+                    activePlanId: 'p1',
+                    plans: [{ id: 'p1', name: 'Contrôle', rows: 5, cols: 6, specialLayout: {}, room: null, positions: { s1: { row: 0, col: 2, pinned: false } } }],
+                    history: [{ id: 'h1', planId: 'p1', planName: 'Contrôle', from: '2026-09-01', to: '2026-09-14', positions: { s1: { row: 0, col: 2 } } }]
+                }
+            };
+            userSettings.academic.seatingPlans = plans;
+
+            await StorageManager.saveAppState();
+
+            const stateCall = localStorage.setItem.mock.calls.find(c => c[0] === 'bulletin-assistant-state');
+            expect(JSON.parse(stateCall[1]).settings.seatingPlans).toEqual(plans);
+
+            userSettings.academic.seatingPlans = null;
+            DBService.getAll.mockResolvedValue([]);
+            await StorageManager.loadAppState();
+
+            expect(userSettings.academic.seatingPlans).toEqual(plans);
+        });
+    });
+
     describe('loadAppState', () => {
         it('should load settings from localStorage and results from IndexedDB', async () => {
             const { userSettings, runtimeState } = await import('../state/State.js');
@@ -2,6 +2,7 @@ import { appState, userSettings } from '../state/State.js';
 import { Utils } from '../utils/Utils.js';
 import { DBService } from '../services/DBService.js';
 import { PromptService } from '../services/PromptService.js';
+import { SubjectsService } from '../services/SubjectsService.js';
 
 export const StudentDataManager = {
     createResultObject(nom, prenom, appreciation, evolutions, studentData, prompts, tokenUsage, errorMessage = null, modelUsed = null) {
@@ -216,7 +217,20 @@ export const StudentDataManager = {
         return result;
     },
 
-    _prepareStudentListForImport(lines, formatMap, importMode) {
+    /**
+     * Prépare l'aperçu d'un import (nouveaux, mis à jour, partis).
+     * Bulletins de collègues : si une colonne Matière est associée (ou une matière indiquée pour
+     * tout le fichier), chaque ligne devient le bulletin d'une matière et les lignes d'un même
+     * élève sont regroupées.
+     * @param {Array} lines - Lignes découpées en colonnes
+     * @param {Object} formatMap - { tag: index de colonne }
+     * @param {string} importMode - 'merge' ou 'replace'
+     * @param {Object} [options]
+     * @param {string} [options.subject] - Matière de tout le fichier
+     * @param {string} [options.teacher] - Enseignant de tout le fichier
+     * @returns {Object} Aperçu de l'import
+     */
+    _prepareStudentListForImport(lines, formatMap, importMode, { subject = '', teacher = '' } = {}) {
         const importPreviewData = {
             newStudents: [], updatedStudents: [], departedStudents: [],
             studentsToProcess: [], ignoredCount: 0
@@ -231,13 +245,35 @@ export const StudentDataManager = {
         const existingStudentsMap = new Map(currentClassResults.map(r => [Utils.normalizeName(r.nom, r.prenom), r]));
         const importedStudentsMap = new Map();
 
+        const isSubjectImport = formatMap.MATIERE !== undefined || !!subject.trim();
+
         lines.forEach(line => {
             const studentData = Utils.parseStudentLine(line, formatMap, appState.currentPeriod);
-            if (studentData) {
-                importedStudentsMap.set(Utils.normalizeName(studentData.nom, studentData.prenom), studentData);
-            } else {
+            if (!studentData) {
+                importPreviewData.ignoredCount++;
+                return;
+            }
+
+            const key = Utils.normalizeName(studentData.nom, studentData.prenom);
+            if (!isSubjectImport) {
+                importedStudentsMap.set(key, studentData);
+                return;
+            }
+
+            const isSubjectRow = SubjectsService.toSubjectEntry(studentData, appState.currentPeriod, {
+                subject: line[formatMap.MATIERE] || subject,
+                teacher: line[formatMap.PROF] || teacher
+            });
+            if (!isSubjectRow) {
                 importPreviewData.ignoredCount++;
+                return;
             }
+
+            // Une ligne par élève et par matière : les bulletins d'un même élève sont regroupés
+            const target = importedStudentsMap.get(key) || studentData;
+            SubjectsService.addSubjects(target, appState.currentPeriod,
+                target === studentData ? [] : SubjectsService.getSubjects(studentData, appState.currentPeriod));
+            importedStudentsMap.set(key, target);
         });
 
         // If no existing students in current class, ALL imported students are "new"
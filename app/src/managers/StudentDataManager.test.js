@@ -243,6 +243,36 @@ describe('StudentDataManager', () => {
             expect(result.ignoredCount).toBe(1);
         });
 
+        it('should group colleagues\' subject rows by student', () => {
+            appState.generatedResults = [];
+            Utils.parseStudentLine.mockImplementation(([name, , grade, app], formatMap, period) => ({
+                nom: name.split(' ')[0],
+                prenom: name.split(' ')[1],
+                periods: { [period]: { grade: Number(grade), appreciation: app } },
+                statuses: []
+            }));
+            const lines = [
+                ['MARTIN Lucas', 'Maths', '14', 'Bon trimestre'],
+                ['MARTIN Lucas', 'Anglais', '11', ''],
+                ['DUPONT Emma', '', '12', 'Sans matière']
+            ];
+
+            const result = StudentDataManager._prepareStudentListForImport(
+                lines, { NOM_PRENOM: 0, MATIERE: 1, MOY_T1: 2, APP_T1: 3 }, 'merge', { teacher: 'Mme Roux' }
+            );
+
+            expect(result.studentsToProcess).toHaveLength(1);
+            expect(result.ignoredCount).toBe(1);
+            expect(result.studentsToProcess[0].periods.T1).toMatchObject({
+                grade: 12.5,
+                appreciation: '',
+                subjects: [
+                    { subject: 'Maths', teacher: 'Mme Roux', grade: 14, appreciation: 'Bon trimestre' },
+                    { subject: 'Anglais', teacher: 'Mme Roux', grade: 11, appreciation: '' }
+                ]
+            });
+        });
+
         it('should identify new students in merge mode', () => {
             appState.generatedResults = [];
             const lines = ['MARTIN Lucas\t15'];
@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Bulletins par matière (vue professeur principal)
+ * Matrice élèves × matières des bulletins importés depuis les collègues (SubjectsService),
+ * détail d'un élève et génération de son appréciation générale (menu Actions de la vue liste).
+ * @module managers/SubjectsMatrixManager
+ */
+
+import { appState } from '../state/State.js';
+import { Utils } from '../utils/Utils.js';
+import { SubjectsService } from '../services/SubjectsService.js';
+import { GradeScaleService } from '../services/GradeScaleService.js';
+import { AppreciationsManager } from './AppreciationsManager.js';
+import { ModalUI } from './ModalUIManager.js';
+import { UI } from './UIManager.js';
+
+export const SubjectsMatrixManager = {
+    /** @private */
+    _modal: null,
+    /** Élève dont le détail est affiché */
+    _selectedId: null,
+
+    /**
+     * Ouvre la matrice sur les élèves affichés dans la liste.
+     */
+    open() {
+        const results = appState.filteredResults || [];
+        if (SubjectsService.getSubjectNames(results, appState.currentPeriod).length === 0) {
+            UI.showNotification('Aucun bulletin de collègue pour cette période : importez-les avec une colonne « Matière ».', 'warning');
+            return;
+        }
+        this._selectedId = results.find(r => SubjectsService.hasSubjects(r.studentData, appState.currentPeriod))?.id || null;
+
+        this._modal?.remove();
+        this._modal = document.createElement('div');
+        this._modal.id = 'subjectsMatrixModal';
+        this._modal.className = 'modal';
+        this._modal.innerHTML = `
+            <div class="modal-content subjects-matrix-modal">
+                <div class="modal-header">
+                    <h2 class="modal-title">
+                        <span class="modal-title-icon color-accent"><iconify-icon icon="solar:book-2-linear"></iconify-icon></span>
+                        <span class="modal-title-text">Bulletins par matière</span>
+                        <span class="subjects-matrix-context">${Utils.escapeHtml(Utils.getPeriodLabel(appState.currentPeriod, true))}</span>
+                    </h2>
+                    <button class="close-button" aria-label="Fermer">
+                        <iconify-icon icon="ph:x"></iconify-icon>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <div class="subjects-matrix-wrapper"></div>
+                    <div class="subjects-matrix-detail"></div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this._modal);
+
+        this._modal.addEventListener('click', (e) => {
+            if (e.target === this._modal || e.target.closest('.close-button')) {
+                this.close();
+                return;
+            }
+            const generateBtn = e.target.closest('[data-action="generate"]');
+            if (generateBtn) {
+                if (!generateBtn.disabled) this._generate(generateBtn);
+                return;
+            }
+            const row = e.target.closest('[data-student-id]');
+            if (row) this._select(row.dataset.studentId);
+        });
+
+        this._render();
+        ModalUI.openModal(this._modal);
+    },
+
+    /**
+     * Ferme la matrice
+     */
+    close() {
+        if (!this._modal) return;
+        const modal = this._modal;
+        this._modal = null;
+        ModalUI.closeModal(modal);
+    },
+
+    /**
+     * @param {string} studentId
+     * @private
+     */
+    _select(studentId) {
+        this._selectedId = studentId;
+        this._render();
+    },
+
+    /**
+     * @private
+     */
+    _render() {
+        if (!this._modal) return;
+        this._modal.querySelector('.subjects-matrix-wrapper').innerHTML = this._renderMatrix();
+        this._modal.querySelector('.subjects-matrix-detail').innerHTML = this._renderDetail();
+        this._modal.querySelector('.subjects-matrix-row.is-selected')?.scrollIntoView?.({ block: 'nearest' });
+    },
+
+    /**
+     * @param {number|null} grade
+     * @param {Object} scale
+     * @returns {string} Note colorée selon sa tranche
+     * @private
+     */
+    _renderGrade(grade, scale) {
+        if (typeof grade !== 'number') return '<span class="subjects-matrix-empty">—</span>';
+        return `<span class="grade-value ${Utils.getGradeClass(grade, scale)}">${GradeScaleService.formatValue(grade, scale, { short: true })}</span>`;
+    },
+
+    /**
+     * Une ligne par élève, une colonne par matière, puis la moyenne générale
+     * @returns {string}
+     * @private
+     */
+    _renderMatrix() {
+        const period = appState.currentPeriod;
+        const results = appState.filteredResults || [];
+        const names = SubjectsService.getSubjectNames(results, period);
+
+        const head = names.map(name => `<th>${Utils.escapeHtml(name)}</th>`).join('');
+        const rows = results.map(result => {
+            const scale = GradeScaleService.getScale(result.classId);
+            const cells = names.map(name => {
+                const subject = SubjectsService.findSubject(result.studentData, period, name);
+                if (!subject) return '<td><span class="subjects-matrix-empty">—</span></td>';
+                const tooltip = [subject.teacher, subject.appreciation].filter(Boolean).map(Utils.escapeHtml).join('<br>');
+                return `<td${tooltip ? ` data-tooltip="${Utils.escapeHtml(tooltip)}"` : ''}>${this._renderGrade(subject.grade, scale)}</td>`;
+            }).join('');
+            const average = SubjectsService.getGeneralAverage(SubjectsService.getSubjects(result.studentData, period));
+
+            return `
+                <tr class="subjects-matrix-row${result.id === this._selectedId ? ' is-selected' : ''}" data-student-id="${result.id}">
+                    <th scope="row">${Utils.escapeHtml(Utils.formatStudentName(result.nom, result.prenom))}</th>
+                    ${cells}
+                    <td class="subjects-matrix-average">${this._renderGrade(average, scale)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="subjects-matrix">
+                <thead><tr><th>Élève</th>${head}<th>Moy. générale</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    },
+
+    /**
+     * Bulletins de l'élève sélectionné et son appréciation générale
+     * @returns {string}
+     * @private
+     */
+    _renderDetail() {
+        const result = (appState.generatedResults || []).find(r => r.id === this._selectedId);
+        if (!result) return '<p class="subjects-matrix-empty">Sélectionnez un élève pour voir le détail de ses bulletins.</p>';
+
+        const period = appState.currentPeriod;
+        const scale = GradeScaleService.getScale(result.classId);
+        const subjects = SubjectsService.getSubjects(result.studentData, period);
+        const appreciation = result.studentData.periods?.[period]?.appreciation || '';
+
+        const rows = subjects.map(s => `
+            <tr>
+                <td>${Utils.escapeHtml(s.subject)}</td>
+                <td>${Utils.escapeHtml(s.teacher) || '<span class="subjects-matrix-empty">—</span>'}</td>
+                <td>${this._renderGrade(s.grade, scale)}</td>
+                <td>${Utils.escapeHtml(s.appreciation) || '<span class="subjects-matrix-empty">Pas d\'appréciation</span>'}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <h3 class="subjects-matrix-student">${Utils.escapeHtml(Utils.formatStudentName(result.nom, result.prenom))}</h3>
+            ${subjects.length > 0 ? `
+                <table class="subjects-matrix subjects-matrix--detail">
+                    <thead><tr><th>Matière</th><th>Professeur</th><th>Moyenne</th><th>Appréciation</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            ` : '<p class="subjects-matrix-empty">Aucun bulletin de collègue pour cette période.</p>'}
+            <div class="subjects-matrix-general">
+                <h4>Appréciation générale</h4>
+                ${appreciation
+                    ? `<p class="subjects-matrix-appreciation">${Utils.escapeHtml(appreciation)}</p>`
+                    : '<p class="subjects-matrix-empty">Pas encore rédigée.</p>'}
+                <button class="btn btn-primary btn-small" data-action="generate" ${subjects.length === 0 ? 'disabled' : ''}>
+                    <iconify-icon icon="solar:magic-stick-3-linear"></iconify-icon>
+                    ${appreciation ? 'Régénérer' : 'Générer'} l'appréciation générale
+                </button>
+            </div>
+        `;
+    },
+
+    /**
+     * Génère l'appréciation générale de l'élève sélectionné (prompt professeur principal)
+     * @param {HTMLButtonElement} button
+     * @private
+     */
+    async _generate(button) {
+        const id = this._selectedId;
+        if (!id) return;
+        button.disabled = true;
+        try {
+            await AppreciationsManager.regenerateFailedAppreciation(id, button);
+        } finally {
+            if (this._modal && this._selectedId === id) this._render();
+        }
+    }
+};
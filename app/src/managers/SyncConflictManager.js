@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Sync Conflict Manager — Résolution des conflits de fusion Cloud
+ * Affiche côte à côte les deux versions d'une appréciation réécrite sur deux appareils
+ * @module managers/SyncConflictManager
+ */
+
+import { ModalUI } from './ModalUIManager.js';
+import { Utils } from '../utils/Utils.js';
+
+export const SyncConflictManager = {
+    /**
+     * Demande à l'utilisateur quelle version garder pour chaque conflit.
+     * @param {import('../services/MergeService.js').SyncConflict[]} conflicts
+     * @returns {Promise<Object<string, 'local'|'remote'>|null>} Choix par clé de conflit, null si annulé
+     */
+    showConflictDialog(conflicts) {
+        return new Promise((resolve) => {
+            const modalId = 'syncConflictModal';
+            document.getElementById(modalId)?.remove();
+
+            const modal = document.createElement('div');
+            modal.id = modalId;
+            modal.className = 'modal';
+
+            const itemsHTML = conflicts.map((conflict, index) => {
+                const name = Utils.escapeHtml(`${conflict.prenom || ''} ${conflict.nom || ''}`.trim());
+                const period = Utils.escapeHtml(Utils.getPeriodLabel(conflict.period, true));
+                const option = (side, label, icon) => `
+                    <label class="sync-conflict-option">
+                        <input type="radio" name="syncConflict_${index}" value="${side}"${conflict.resolution === side ? ' checked' : ''}>
+                        <span class="sync-conflict-option-label">
+                            <iconify-icon icon="${icon}"></iconify-icon> ${label}
+                        </span>
+                        <span class="sync-conflict-text">${Utils.escapeHtml(conflict[side]) || '<em>(vide)</em>'}</span>
+                    </label>`;
+
+                return `
+                <div class="sync-conflict-item" data-key="${Utils.escapeHtml(conflict.key)}" data-index="${index}">
+                    <div class="sync-conflict-header">
+                        <strong>${name}</strong>
+                        <span class="sync-conflict-period">${period}</span>
+                    </div>
+                    <div class="sync-conflict-options">
+                        ${option('local', 'Cet appareil', 'solar:laptop-minimalistic-bold-duotone')}
+                        ${option('remote', 'Cloud', 'solar:cloud-bold-duotone')}
+                    </div>
+                </div>`;
+            }).join('');
+
+            const count = conflicts.length;
+            modal.innerHTML = `
+            <div class="modal-content modal-content-sync-conflict">
+                <div class="modal-header">
+                    <h3 class="modal-title">
+                        <iconify-icon icon="solar:danger-triangle-bold-duotone" class="modal-title-icon" style="color: var(--warning-color);"></iconify-icon>
+                        ${count} conflit${count > 1 ? 's' : ''} de synchronisation
+                    </h3>
+                    <button class="close-button" aria-label="Fermer" id="syncConflictCloseBtn">
+                        <iconify-icon icon="ph:x"></iconify-icon>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    <p class="sync-conflict-intro">
+                        Ces appréciations ont été modifiées à la fois sur cet appareil et sur un autre.
+                        Choisissez la version à conserver. Tout le reste a été fusionné automatiquement.
+                    </p>
+                    <div class="sync-conflict-bulk">
+                        <button class="btn btn-secondary btn-small" data-bulk="local">Tout garder de cet appareil</button>
+                        <button class="btn btn-secondary btn-small" data-bulk="remote">Tout garder du Cloud</button>
+                    </div>
+                    <div class="sync-conflict-list">
+                        ${itemsHTML}
+                    </div>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-secondary" id="syncConflictCancelBtn">Annuler</button>
+                    <button class="btn btn-primary" id="syncConflictConfirmBtn">
+                        <iconify-icon icon="solar:check-circle-bold"></iconify-icon>
+                        Appliquer
+                    </button>
+                </div>
+            </div>`;
+
+            document.body.appendChild(modal);
+
+            let settled = false;
+            const close = (choices) => {
+                if (settled) return;
+                settled = true;
+                ModalUI.closeModal(modal);
+                setTimeout(() => {
+                    if (modal.parentNode) modal.remove();
+                }, 300);
+                resolve(choices);
+            };
+
+            modal.querySelector('#syncConflictCloseBtn')?.addEventListener('click', () => close(null));
+            modal.querySelector('#syncConflictCancelBtn')?.addEventListener('click', () => close(null));
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) close(null);
+            });
+            modal.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') close(null);
+            });
+
+            modal.querySelectorAll('[data-bulk]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    modal.querySelectorAll(`.sync-conflict-item input[value="${btn.dataset.bulk}"]`)
+                        .forEach(input => { input.checked = true; });
+                });
+            });
+
+            modal.querySelector('#syncConflictConfirmBtn')?.addEventListener('click', () => {
+                close(this._readChoices(modal, conflicts));
+            });
+
+            ModalUI.openModal(modal);
+        });
+    },
+
+    /**
+     * Lit les choix cochés dans la modale.
+     * @private
+     */
+    _readChoices(modal, conflicts) {
+        const choices = {};
+        conflicts.forEach((conflict, index) => {
+            const checked = modal.querySelector(`input[name="syncConflict_${index}"]:checked`);
+            choices[conflict.key] = checked?.value || conflict.resolution;
+        });
+        return choices;
+    }
+};
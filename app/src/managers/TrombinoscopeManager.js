@@ -1,6 +1,7 @@
 /**
  * @fileoverview Trombinoscope Manager - Photo extraction from class photos
  * Refactored with clean coordinate system (natural pixels)
+ * Crop zones are proposed from face detection (FaceDetectionService), falling back to a grid
  * @module managers/TrombinoscopeManager
  */
 
@@ -9,6 +10,10 @@ import { StudentPhotoManager } from './StudentPhotoManager.js';
 import { UI } from './UIManager.js';
 import { ClassManager } from './ClassManager.js';
 import { Utils } from '../utils/Utils.js';
+import { FaceDetectionService, DOUBTFUL_CONFIDENCE } from '../services/FaceDetectionService.js';
+
+/** Max dimension of the canvas analysed for face detection (px) */
+const FACE_ANALYSIS_SIZE = 480;
 
 /**
  * Manages the trombinoscope photo import workflow
@@ -771,7 +776,10 @@ export const TrombinoscopeManager = {
                                 <span class="sync-toggle-switch"></span>
                             </span>
                         </label>
-                        <button type="button" class="grid-reset-btn" id="trombiUndoBtn" disabled style="margin-left: auto;">
+                        <button type="button" class="grid-reset-btn" id="trombiFacesBtn" style="margin-left: auto;" title="Placer une zone sur chaque visage détecté">
+                            <iconify-icon icon="solar:face-scan-circle-linear"></iconify-icon> Visages
+                        </button>
+                        <button type="button" class="grid-reset-btn" id="trombiUndoBtn" disabled style="margin-left: 4px;">
                             <iconify-icon icon="solar:undo-left-round-linear"></iconify-icon> Annuler
                         </button>
                         <button type="button" class="grid-reset-btn" id="gridResetBtn" style="margin-left: 4px;">
@@ -891,6 +899,21 @@ export const TrombinoscopeManager = {
             this._undo();
         });
 
+        document.getElementById('trombiFacesBtn')?.addEventListener('click', () => {
+            const faces = this._detectFacesFromImage();
+            if (!faces) {
+                UI.showNotification('Aucun visage détecté : ajustez la grille ou placez les zones à la main.', 'warning');
+                return;
+            }
+            this._saveState();
+            this._applyDetectedFaces(faces);
+            const doubtful = faces.faces.filter(f => f.confidence < DOUBTFUL_CONFIDENCE).length;
+            UI.showNotification(
+                `${faces.faces.length} visages détectés` + (doubtful ? `, ${doubtful} à vérifier (en orange)` : ''),
+                doubtful ? 'warning' : 'success'
+            );
+        });
+
         document.getElementById('gridResetBtn')?.addEventListener('click', () => {
             this._saveState();
             
@@ -1019,6 +1042,13 @@ export const TrombinoscopeManager = {
     },
 
     _createDefaultGrid() {
+        // Prefer one zone per detected face; the grid is only a fallback
+        const faces = this._detectFacesFromImage();
+        if (faces) {
+            this._applyDetectedFaces(faces);
+            return;
+        }
+
         const students = this._getStudentsForImport();
         const count = students.length || 8;
 
@@ -1120,6 +1150,91 @@ export const TrombinoscopeManager = {
         return null;
     },
 
+    /**
+     * Run face detection on the step 2 image
+     * The image is analysed downscaled, results are returned in natural pixels.
+     * @returns {{faces: Array<{cx: number, cy: number, r: number, confidence: number}>, rows: number, cols: number}|null}
+     *          null when fewer than 2 faces are found (not a class photo, or unreadable image)
+     */
+    _detectFacesFromImage() {
+        try {
+            const img = document.getElementById('trombiStep2Image');
+            if (!img || !img.complete || img.naturalWidth === 0) return null;
+
+            const scale = Math.min(1, FACE_ANALYSIS_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+            const width = Math.max(1, Math.round(img.naturalWidth * scale));
+            const height = Math.max(1, Math.round(img.naturalHeight * scale));
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0, width, height);
+
+            let imgData;
+            try {
+                imgData = ctx.getImageData(0, 0, width, height);
+            } catch (canvasErr) {
+                console.warn('[Trombinoscope] Unable to read image data (CORS or canvas issue):', canvasErr);
+                return null;
+            }
+
+            const result = FaceDetectionService.detectFaces({ data: imgData.data, width, height });
+            if (result.faces.length < 2) return null;
+
+            const toNatural = img.naturalWidth / width;
+            console.log(`[Trombinoscope] Detected ${result.faces.length} faces (${result.rows} rows)`);
+            return {
+                ...result,
+                faces: result.faces.map(face => ({
+                    ...face,
+                    cx: face.cx * toNatural,
+                    cy: face.cy * toNatural,
+                    r: face.r * toNatural
+                }))
+            };
+        } catch (e) {
+            console.warn('[Trombinoscope] Error during face detection:', e);
+        }
+        return null;
+    },
+
+    /**
+     * Replace the zones with one zone per detected face, in reading order
+     * Zones keep the detection confidence until the user moves them.
+     * @param {{faces: Array<{cx: number, cy: number, r: number, confidence: number}>, rows: number, cols: number}} detected
+     */
+    _applyDetectedFaces(detected) {
+        this._zones = [];
+        this._zoneIdCounter = 0;
+        this._selectedZoneIds.clear();
+
+        detected.faces.forEach(face => {
+            this._zones.push({
+                id: this._zoneIdCounter++,
+                studentId: null,
+                cx: face.cx,
+                cy: face.cy,
+                confidence: face.confidence
+            });
+        });
+
+        // Single shared radius: the median face, kept within the size slider range
+        const radii = detected.faces.map(f => f.r).sort((a, b) => a - b);
+        const minSize = Math.min(this._imageNaturalWidth, this._imageNaturalHeight);
+        const medianR = radii[Math.floor(radii.length / 2)];
+        this._globalRadius = Math.max(minSize * 0.03, Math.min(minSize * 0.25, medianR));
+
+        this._gridCols = Math.max(1, Math.min(12, detected.cols));
+        this._gridRows = Math.max(1, Math.min(12, detected.rows));
+        this._gapH = 0;
+        this._gapV = 0;
+
+        this._autoAssignSilent(true);
+        this._renderZones();
+        this._renderAssignmentGrid();
+        this._syncSlidersToState();
+    },
+
     _analyzeProjection(gray, size, axis) {
         const variances = new Float32Array(size);
 
@@ -1442,8 +1557,10 @@ export const TrombinoscopeManager = {
             const borderWidth = diameter < 40 ? 2 : 3;
 
             const isSel = this._selectedZoneIds?.has(zone.id) ? 'is-selected' : '';
+            const hasConfidence = zone.confidence != null;
+            const isDoubtful = hasConfidence && zone.confidence < DOUBTFUL_CONFIDENCE ? 'is-doubtful' : '';
             return `
-                <div class="trombi-zone ${isSel}" 
+                <div class="trombi-zone ${isSel} ${isDoubtful}" 
                      data-zone-id="${zone.id}"
                      style="left: ${dispCx}px; top: ${dispCy}px; 
                             width: ${diameter}px; height: ${diameter}px;
@@ -1455,6 +1572,7 @@ export const TrombinoscopeManager = {
                         padding: 0 ${labelPadding}px;
                         border-radius: ${labelHeight / 2}px;
                     ">${label}</span>
+                    ${hasConfidence ? `<span class="zone-confidence" title="Confiance de la détection">${Math.round(zone.confidence * 100)} %</span>` : ''}
                     <button class="zone-delete" data-zone-id="${zone.id}" style="
                         width: ${deleteSize}px;
                         height: ${deleteSize}px;
@@ -1759,6 +1877,12 @@ export const TrombinoscopeManager = {
                 }
                 this._updateUndoButton();
             }
+            // A zone placed by hand no longer needs checking
+            if (hasMoved && zone.confidence != null) {
+                zone.confidence = null;
+                this._renderZones();
+                this._renderAssignmentGrid();
+            }
             this._tempDragSnapshot = null;
             this._dragging = null;
         }
@@ -2003,6 +2127,10 @@ export const TrombinoscopeManager = {
                         </div>
                         <div class="assignment-id">
                             #${index + 1}
+                            ${zone.confidence != null ? `
+                                <span class="assignment-confidence ${zone.confidence < DOUBTFUL_CONFIDENCE ? 'is-doubtful' : ''}"
+                                      title="Confiance de la détection du visage">${Math.round(zone.confidence * 100)} %</span>
+                            ` : ''}
                         </div>
                         <div class="assignment-student-select">
                             <select class="assignment-select" data-zone-id="${zone.id}" ${tooltipAttr}>
@@ -14,7 +14,8 @@ vi.mock('./StudentPhotoManager.js', () => ({
 
 vi.mock('./UIManager.js', () => ({
     UI: {
-        showNotification: vi.fn()
+        showNotification: vi.fn(),
+        initTooltips: vi.fn()
     }
 }));
 
@@ -206,3 +207,64 @@ describe('TrombinoscopeManager Selection & Multi-Drag', () => {
         expect(TrombinoscopeManager._restoreGroupedDrag).toBe(false);
     });
 });
+
+describe('TrombinoscopeManager Face Detection Zones', () => {
+    const detected = {
+        rows: 1,
+        cols: 3,
+        faces: [
+            { cx: 150, cy: 200, r: 60, confidence: 0.9, row: 0 },
+            { cx: 500, cy: 210, r: 80, confidence: 0.45, row: 0 },
+            { cx: 850, cy: 190, r: 70, confidence: 0.8, row: 0 }
+        ]
+    };
+
+    beforeEach(() => {
+        TrombinoscopeManager._reset();
+        TrombinoscopeManager._imageNaturalWidth = 1000;
+        TrombinoscopeManager._imageNaturalHeight = 500;
+        document.body.innerHTML = `
+            <img id="trombiStep2Image" />
+            <div id="trombiZonesOverlay"></div>
+            <div id="trombiAssignmentGrid"></div>
+        `;
+        const img = document.getElementById('trombiStep2Image');
+        Object.defineProperty(img, 'clientWidth', { value: 500 });
+        Object.defineProperty(img, 'clientHeight', { value: 250 });
+    });
+
+    it('should create one zone per face in reading order with the median radius', () => {
+        TrombinoscopeManager._applyDetectedFaces(detected);
+
+        expect(TrombinoscopeManager._zones.map(z => [z.id, z.cx, z.cy, z.confidence])).toEqual([
+            [0, 150, 200, 0.9],
+            [1, 500, 210, 0.45],
+            [2, 850, 190, 0.8]
+        ]);
+        expect(TrombinoscopeManager._globalRadius).toBe(70);
+        expect(TrombinoscopeManager._gridCols).toBe(3);
+        expect(TrombinoscopeManager._gridRows).toBe(1);
+    });
+
+    it('should flag doubtful zones and show their confidence', () => {
+        TrombinoscopeManager._applyDetectedFaces(detected);
+
+        const zones = document.querySelectorAll('.trombi-zone');
+        expect(zones).toHaveLength(3);
+        expect([...zones].map(z => z.classList.contains('is-doubtful'))).toEqual([false, true, false]);
+        expect(zones[1].querySelector('.zone-confidence').textContent).toBe('45 %');
+        expect(document.querySelectorAll('.assignment-confidence.is-doubtful')).toHaveLength(1);
+    });
+
+    it('should drop the confidence of a zone moved by hand', () => {
+        TrombinoscopeManager._applyDetectedFaces(detected);
+        const zone = TrombinoscopeManager._zones[1];
+        TrombinoscopeManager._dragging = { zone, startCx: zone.cx, startCy: zone.cy };
+        zone.cx += 20;
+
+        TrombinoscopeManager._handleMouseUp();
+
+        expect(zone.confidence).toBeNull();
+        expect(document.querySelectorAll('.trombi-zone.is-doubtful')).toHaveLength(0);
+    });
+});
@@ -19,6 +19,7 @@ import { CONFIG, CONSTS, DEFAULT_PROMPT_TEMPLATES, DEFAULT_IA_CONFIG, MODEL_DESC
 import { DOM } from '../utils/DOM.js';
 import { EventHandlersManager } from './EventHandlersManager.js';
 import { Utils } from '../utils/Utils.js';
+import { StatusService } from '../services/StatusService.js';
 import { StorageManager } from './StorageManager.js';
 import { AppreciationsManager } from './AppreciationsManager.js';
 import { ModalUI } from './ModalUIManager.js';
@@ -611,12 +612,13 @@ export const UI = {
             const isCurrent = (i === currentPeriodIndex);
 
             if (isCurrent) {
-                const movementOptions = [`Nouveau ${p}`, `Départ ${p}`];
-                const statusOptions = ["PPRE", "PAP", "ULIS", "Délégué"];
+                // Nouveau/Départ sont datés par la période, les autres statuts viennent du catalogue
+                const movementOptions = StatusService.getMovementStatuses().map(s => ({ value: `${s.label} ${p}`, label: s.label }));
+                const statusOptions = StatusService.getSelectableStatuses().map(s => ({ value: s.label, label: s.label }));
 
                 const createPills = (options) => options.map(opt => `
-                    <input type="checkbox" id="statut-${opt.replace(' ', '-')}" name="statuses" value="${opt}">
-                    <label for="statut-${opt.replace(' ', '-')}">${opt.split(' ')[0]}</label>
+                    <input type="checkbox" id="statut-${opt.value.replace(/\s+/g, '-')}" name="statuses" value="${opt.value}">
+                    <label for="statut-${opt.value.replace(/\s+/g, '-')}">${opt.label}</label>
                 `).join('');
 
                 formHtml += `<div class="period-input-group">
@@ -1328,18 +1330,17 @@ export const UI = {
             const filterLabels = {
                 'minGrade': 'Moyenne la plus basse',
                 'maxGrade': 'Moyenne la plus haute',
-                'gradeRange_0-4': 'Notes 0-4',
-                'gradeRange_4-8': 'Notes 4-8',
-                'gradeRange_8-12': 'Notes 8-12',
-                'gradeRange_12-16': 'Notes 12-16',
-                'gradeRange_16-20': 'Notes 16-20',
                 'progressCount': 'Élèves en progression',
                 'stableCount': 'Élèves stables',
                 'regressionCount': 'Élèves en régression'
             };
 
             const card = document.querySelector(`[data-stat-id="${appState.activeStatFilter}"], [data-filter-id="${appState.activeStatFilter}"]`);
-            const label = filterLabels[appState.activeStatFilter] || (card ? card.querySelector('.stat-label, .legend-label, .detail-label')?.textContent : 'Filtre');
+            // Tranches de l'histogramme : libellé selon le barème de la classe (ex: "Notes 4-8", "Notes PA")
+            const histLabel = card?.querySelector('.hist-label')?.textContent;
+            const label = filterLabels[appState.activeStatFilter]
+                || (histLabel ? `Notes ${histLabel}` : null)
+                || (card ? card.querySelector('.stat-label, .legend-label, .detail-label')?.textContent : 'Filtre');
 
             // Show overlay banner
             DOM.activeFilterInfo.innerHTML = `<p><iconify-icon icon="solar:filter-linear"></iconify-icon> Filtre : <strong>${label}</strong></p><button type="button" class="btn-link" id="removeFilterBtn"><iconify-icon icon="ph:x"></iconify-icon> Retirer</button>`;
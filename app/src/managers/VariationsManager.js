@@ -103,14 +103,15 @@ export const VariationsManager = {
      * @param {string} text - The text to refine
      * @param {string} refineType - Type of refinement (concise, detailed, encouraging, variations, polish)
      * @param {AbortSignal} [signal] - Optional abort signal for cancellation
+     * @param {Object} [options] - Prompt options (e.g. { instruction } for 'fix')
      * @returns {Promise<{text: string, modelUsed?: string, usage?: object, generationTimeMs?: number}|null>} 
      *          The refined text with AI metadata or null if error
      */
-    async applyRefinement(text, refineType, signal = null) {
+    async applyRefinement(text, refineType, signal = null, options = {}) {
         if (!text) return null;
 
         // Use unified PromptService for prompt generation
-        const prompt = PromptService.getRefinementPrompt(refineType, text);
+        const prompt = PromptService.getRefinementPrompt(refineType, text, options);
 
         try {
             // CRITICAL FIX: Pass context and signal so that ai-generation-end properly hides the header progress
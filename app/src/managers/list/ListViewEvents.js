@@ -11,9 +11,13 @@ import { EventHandlersManager } from '../EventHandlersManager.js';
 import { AppreciationsManager } from '../AppreciationsManager.js';
 import { ExportManager } from '../ExportManager.js';
 import { MassImportManager } from '../MassImportManager.js';
-import { StorageManager } from '../StorageManager.js';
+import { BackupImportManager } from '../BackupImportManager.js';
 import { ResultsUIManager } from '../ResultsUIManager.js';
 import { ClassDashboardManager } from '../ClassDashboardManager.js';
+import { LintReportManager } from '../LintReportManager.js';
+import { PasteQueueManager } from '../PasteQueueManager.js';
+import { CouncilPresentationManager } from '../CouncilPresentationManager.js';
+import { SubjectsMatrixManager } from '../SubjectsMatrixManager.js';
 
 export const ListViewEvents = {
 
@@ -191,6 +195,16 @@ export const ListViewEvents = {
                 return;
             }
 
+            // Mention du conseil : ouvre la présentation sur l'élève pour confirmer ou corriger
+            const mentionBtn = target.closest('[data-action="council-mention"]');
+            if (mentionBtn) {
+                e.stopPropagation();
+                closeAllMenus();
+                const studentId = target.closest('.student-row')?.dataset.studentId;
+                if (studentId) CouncilPresentationManager.open(studentId);
+                return;
+            }
+
             // Move Student action
             const moveBtn = target.closest('[data-action="move-student"]');
             if (moveBtn) {
@@ -441,19 +455,28 @@ export const ListViewEvents = {
         // Maintenance - Moved to toolbar
 
         // Export
-        addAction('#exportJsonBtn', () => StorageManager.exportToJson());
+        addAction('#exportJsonBtn', () => BackupImportManager.showExportModal());
         addAction('#exportCsvBtn', () => ExportManager.exportToCsv());
         addAction('#exportPdfBtn', () => ExportManager.exportToPdf());
+        addAction('#exportDocxBtn', () => ExportManager.openDocxExport());
 
         // Analyze class (in dropdown menu)
         addAction('#analyzeClassBtn-shortcut', () => ClassDashboardManager.openDashboard());
 
+        // Relecture des appréciations (linter)
+        addAction('#lintClassBtn', () => LintReportManager.open());
+        addAction('#councilPresentationBtn', () => CouncilPresentationManager.open());
+        addAction('#subjectsMatrixBtn', () => SubjectsMatrixManager.open());
+
         // Copy All Appreciations
         addAction('#copyAllAppreciationsBtn', () => {
             const btn = listContainer.querySelector('#copyAllAppreciationsBtn');
             return ExportManager.copyAllResults(btn);
         });
 
+        // File de collage Pronote (une appréciation à la fois, dans l'ordre de la grille)
+        addAction('#pasteQueueBtn', () => PasteQueueManager.open());
+
         // Copy Student Names Only
         addAction('#copyStudentNamesBtn', () => {
             const btn = listContainer.querySelector('#copyStudentNamesBtn');
@@ -9,6 +9,8 @@ import { StudentPhotoManager } from '../StudentPhotoManager.js';
 import { ListSelectionManager } from './ListSelectionManager.js';
 import { FocusPanelStatus } from '../FocusPanelStatus.js';
 import { ResultsUIManager } from '../ResultsUIManager.js';
+import { LintService } from '../../services/LintService.js';
+import { CouncilRulesService } from '../../services/CouncilRulesService.js';
 
 export const ListViewRenderer = {
 
@@ -325,12 +327,24 @@ export const ListViewRenderer = {
                                         <button class="action-dropdown-item action-analyze-class" id="analyzeClassBtn-shortcut">
                                             <iconify-icon icon="solar:pie-chart-2-linear"></iconify-icon> Analyser la classe
                                         </button>
+                                        <button class="action-dropdown-item" id="lintClassBtn">
+                                            <iconify-icon icon="solar:checklist-minimalistic-linear"></iconify-icon> Relire les appréciations
+                                        </button>
+                                        <button class="action-dropdown-item" id="councilPresentationBtn">
+                                            <iconify-icon icon="solar:users-group-two-rounded-linear"></iconify-icon> Conseil de classe
+                                        </button>
+                                        <button class="action-dropdown-item" id="subjectsMatrixBtn">
+                                            <iconify-icon icon="solar:book-2-linear"></iconify-icon> Bulletins par matière
+                                        </button>
 
                                         <!-- SECTION COPIER -->
                                         <h5 class="dropdown-header">COPIER</h5>
                                         <button class="action-dropdown-item" id="copyAllAppreciationsBtn">
                                             <iconify-icon icon="solar:copy-linear"></iconify-icon> Toutes les appréciations
                                         </button>
+                                        <button class="action-dropdown-item" id="pasteQueueBtn">
+                                            <iconify-icon icon="solar:clipboard-list-linear"></iconify-icon> Une par une (Pronote)
+                                        </button>
                                         <button class="action-dropdown-item" id="copyStudentNamesBtn">
                                             <iconify-icon icon="solar:users-group-rounded-linear"></iconify-icon> Uniquement les noms
                                         </button>
@@ -343,6 +357,9 @@ export const ListViewRenderer = {
                                         <button class="action-dropdown-item" id="exportCsvBtn">
                                             <iconify-icon icon="solar:file-text-linear"></iconify-icon> Tableau (CSV)
                                         </button>
+                                        <button class="action-dropdown-item" id="exportDocxBtn">
+                                            <iconify-icon icon="solar:document-text-linear"></iconify-icon> Document Word (DOCX)
+                                        </button>
                                         <button class="action-dropdown-item" id="exportJsonBtn">
                                             <iconify-icon icon="solar:code-square-linear"></iconify-icon> Données (JSON)
                                         </button>
@@ -547,7 +564,7 @@ export const ListViewRenderer = {
                     <td class="grade-cell">
                         <div class="grade-content-wrapper"${tooltipAttr}>
                         ${grade !== null
-                        ? `<span class="grade-value ${gradeClass}">${grade.toFixed(1).replace('.', ',')}</span>`
+                        ? `<span class="grade-value ${gradeClass}">${Utils.formatGrade(grade)}</span>`
                         : `<span class="grade-empty">--</span>`
                     }
                         </div>
@@ -660,8 +677,18 @@ export const ListViewRenderer = {
                 dirtyBadge = `<span class="dirty-indicator tooltip" data-tooltip="Données modifiées depuis la génération.\nActualisation recommandée."><iconify-icon icon="solar:danger-circle-bold"></iconify-icon></span>`;
             }
 
+            // === RELECTURE (linter) ===
+            const lintIssues = LintService.lintResult(result, currentPeriod);
+            let lintBadge = '';
+            if (lintIssues.length > 0) {
+                const severity = LintService.getTopSeverity(lintIssues);
+                const tooltip = Utils.escapeHtml(lintIssues.map(issue => `• ${issue.message}`).join('\n'));
+                lintBadge = `<span class="lint-indicator lint-${severity} tooltip" data-tooltip="${tooltip}"><iconify-icon icon="solar:checklist-minimalistic-bold"></iconify-icon>${lintIssues.length}</span>`;
+            }
+
             return `<div class="appreciation-preview-wrapper">
                 ${dirtyBadge}
+                ${lintBadge}
                 <div class="appreciation-preview">${Utils.decodeHtmlEntities(Utils.cleanMarkdown(appreciation))}</div>
             </div>`;
         }
@@ -703,7 +730,7 @@ export const ListViewRenderer = {
         return `<span class="status-badge ${status}">${icon}${label}</span>`;
     },
     /**
-     * Génère le contenu de la colonne Statut (Badges élève + Erreurs)
+     * Génère le contenu de la colonne Statut (Badges élève + mention du conseil)
      * @param {Object} result - Résultat élève
      * @returns {string} HTML des badges
      * @private
@@ -724,6 +751,14 @@ export const ListViewRenderer = {
             html += `<span class="${badgeInfo.className}">${badgeInfo.label}</span>`;
         });
 
+        // Mention du conseil de classe (décision enregistrée, sinon proposition des règles)
+        const mention = CouncilRulesService.getMention(result, appState.currentPeriod);
+        if (mention) {
+            const badgeInfo = CouncilRulesService.getBadgeInfo(mention);
+            html += `<button type="button" class="${badgeInfo.className} tooltip" data-action="council-mention"
+                data-tooltip="${Utils.escapeHtml(badgeInfo.tooltip)}" aria-label="${Utils.escapeHtml(badgeInfo.tooltip)}">${badgeInfo.label}</button>`;
+        }
+
         if (!html) {
             return '<span class="status-empty-dash">&mdash;</span>';
         }
@@ -467,6 +467,77 @@ export const GeneralListeners = {
             });
         }
 
+        // --- Merge button: three-way merge, conflicts resolved by the user ---
+        const cloudMergeBtn = document.getElementById('cloudMergeMenuBtn');
+        if (cloudMergeBtn) {
+            cloudMergeBtn.addEventListener('click', async () => {
+                const labelEl = cloudMergeBtn.querySelector('.cloud-save-label');
+                const originalLabel = labelEl?.textContent;
+
+                try {
+                    const { SyncService } = await import('../../services/SyncService.js');
+
+                    if (!SyncService.isConnected()) {
+                        const connected = await ensureConnected(SyncService);
+                        if (!connected) return;
+                    }
+
+                    closeMenu();
+                    cloudMergeBtn.classList.add('saving');
+                    if (labelEl) labelEl.textContent = 'Fusion...';
+
+                    await StorageManager.savePreRestoreSnapshot();
+
+                    const { SyncConflictManager } = await import('../SyncConflictManager.js');
+                    const result = await SyncService.mergeWithCloud({
+                        resolveConflicts: (conflicts) => SyncConflictManager.showConflictDialog(conflicts)
+                    });
+
+                    if (result.cancelled) {
+                        UI.showNotification('Synchronisation annulée. Aucune donnée modifiée.', 'info');
+                        return;
+                    }
+
+                    const { fromRemote = 0, merged = 0, deleted = 0 } = result.stats || {};
+                    const changes = fromRemote + merged + deleted;
+                    UI.showNotification(
+                        changes > 0
+                            ? `Synchronisé : ${fromRemote} reçu(s), ${merged} fusionné(s), ${deleted} supprimé(s).`
+                            : 'Synchronisé : vos données étaient déjà à jour.',
+                        'success'
+                    );
+                    DOM.headerMenuBtn?.classList.remove('has-cloud-reminder');
+                    if (changes > 0) setTimeout(() => window.location.reload(), 1000);
+                } catch (error) {
+                    UI.showNotification('Erreur de synchronisation : ' + error.message, 'error');
+                } finally {
+                    cloudMergeBtn.classList.remove('saving');
+                    if (labelEl) labelEl.textContent = originalLabel;
+                }
+            });
+        }
+
+        // --- History button: restore picker for dated cloud backups ---
+        const cloudHistoryBtn = document.getElementById('cloudHistoryMenuBtn');
+        if (cloudHistoryBtn) {
+            cloudHistoryBtn.addEventListener('click', async () => {
+                try {
+                    const { SyncService } = await import('../../services/SyncService.js');
+
+                    if (!SyncService.isConnected()) {
+                        const connected = await ensureConnected(SyncService);
+                        if (!connected) return;
+                    }
+
+                    closeMenu();
+                    const { CloudHistoryManager } = await import('../CloudHistoryManager.js');
+                    await CloudHistoryManager.showRestorePicker();
+                } catch (error) {
+                    console.error('Cloud history error:', error);
+                }
+            });
+        }
+
         // --- Reconnect button ---
         const reconnectBtn = document.getElementById('cloudReconnectBtn');
         if (reconnectBtn) {
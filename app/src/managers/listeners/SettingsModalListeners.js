@@ -6,6 +6,7 @@
 import { appState } from '../../state/State.js';
 import { DOM } from '../../utils/DOM.js';
 import { Utils } from '../../utils/Utils.js';
+import { DEFAULT_GRADE_SCALE } from '../../services/GradeScaleService.js';
 import { BackupImportManager } from '../BackupImportManager.js';
 import { UI } from '../UIManager.js';
 import { StorageManager } from '../StorageManager.js';
@@ -14,6 +15,11 @@ import { SettingsUIManager } from '../SettingsUIManager.js';
 import { EventHandlersManager } from '../EventHandlersManager.js';
 import { AppreciationsManager } from '../AppreciationsManager.js';
 import { FormUI } from '../FormUIManager.js';
+import { ClassManager } from '../ClassManager.js';
+import { JournalTagSettingsManager } from '../JournalTagSettingsManager.js';
+import { LintSettingsManager } from '../LintSettingsManager.js';
+import { StatusSettingsManager } from '../StatusSettingsManager.js';
+import { CouncilRulesSettingsManager } from '../CouncilRulesSettingsManager.js';
 
 import { DEMO_STUDENT_PROFILES, DEFAULT_IA_CONFIG } from '../../config/Config.js';
 import { MODEL_SHORT_NAMES } from '../../config/models.js';
@@ -60,10 +66,29 @@ export const SettingsModalListeners = {
      */
     setup(addClickListener) {
         // Écouter l'ouverture des modales de paramétrage pour créer un snapshot
-        document.addEventListener('settings-modal-open', () => {
+        document.addEventListener('settings-modal-open', (e) => {
             SettingsUIManager.createSnapshot();
+
+            // Le Labo de style s'ouvre sur le profil de la classe courante si elle en a un
+            if (e.detail?.modalId === 'personalizationModal') {
+                const currentClass = ClassManager.getCurrentClass();
+                SettingsUIManager.setEditedStyleProfile(currentClass?.iaConfig ? currentClass.id : null);
+            }
+
+            // Les classes ont pu changer depuis le dernier affichage (portée des étiquettes)
+            if (e.detail?.modalId === 'appSettingsModal') {
+                StatusSettingsManager.render();
+                JournalTagSettingsManager.render();
+                LintSettingsManager.render();
+                CouncilRulesSettingsManager.render();
+            }
         });
 
+        StatusSettingsManager.init();
+        JournalTagSettingsManager.init();
+        LintSettingsManager.init();
+        CouncilRulesSettingsManager.init();
+
         DOM.periodSystemRadios.forEach(radio => {
             radio.addEventListener('change', (e) => {
                 EventHandlersManager.handlePeriodSystemChange(e);
@@ -88,6 +113,20 @@ export const SettingsModalListeners = {
             });
         }
 
+        // Toggle pour l'affichage progressif (streaming) des générations
+        if (DOM.enableStreamingToggle) {
+            DOM.enableStreamingToggle.addEventListener('change', (e) => {
+                appState.enableStreaming = e.target.checked;
+            });
+        }
+
+        // Génération par lot : nombre d'élèves envoyés dans une même requête
+        if (DOM.batchGenerationSizeSelect) {
+            DOM.batchGenerationSizeSelect.addEventListener('change', (e) => {
+                appState.batchGenerationSize = parseInt(e.target.value, 10) || 1;
+            });
+        }
+
         // API validation - delegated to ApiValidationManager
         addClickListener(DOM.validateOpenaiApiKeyBtn, () => ApiValidationManager.validateApiKey('openai'));
         addClickListener(DOM.validateGoogleApiKeyBtn, () => ApiValidationManager.validateApiKey('google'));
@@ -128,6 +167,26 @@ export const SettingsModalListeners = {
         // Reset Lab Style button
         addClickListener(DOM.resetLabStyleBtn, () => SettingsUIManager.resetPersonalStyle());
 
+        // Profils de style par classe
+        if (DOM.iaStyleProfileSelect) {
+            DOM.iaStyleProfileSelect.addEventListener('change', (e) => {
+                SettingsUIManager.setEditedStyleProfile(e.target.value || null);
+                this._updateStudentContextAndPrompt();
+            });
+        }
+
+        if (DOM.iaStyleCopySourceSelect) {
+            DOM.iaStyleCopySourceSelect.addEventListener('change', (e) => {
+                SettingsUIManager.copyStyleProfileFrom(e.target.value);
+                this._updateStudentContextAndPrompt();
+            });
+        }
+
+        addClickListener(DOM.iaStyleUseGlobalBtn, () => {
+            SettingsUIManager.clearEditedClassStyle();
+            this._updateStudentContextAndPrompt();
+        });
+
         // Listen for reset events to update prompt preview
         document.addEventListener('personalizationReset', () => {
             this._updateStudentContextAndPrompt();
@@ -231,13 +290,7 @@ export const SettingsModalListeners = {
                 if (lengthDisplay) lengthDisplay.textContent = `~ ${lengthVal} mots (≈ ${approxChars} car.)`;
 
                 // [FIX] Update appState in real-time so generation uses current value immediately
-                if (!appState.subjects['MonStyle']) {
-                    appState.subjects['MonStyle'] = { iaConfig: {} };
-                }
-                if (!appState.subjects['MonStyle'].iaConfig) {
-                    appState.subjects['MonStyle'].iaConfig = {};
-                }
-                appState.subjects['MonStyle'].iaConfig.length = lengthVal;
+                SettingsUIManager.getEditedIaConfig().length = lengthVal;
 
                 SettingsUIManager.showPreviewRefreshHint();
                 this._updateStudentContextAndPrompt();
@@ -258,13 +311,7 @@ export const SettingsModalListeners = {
                 if (toneDisplay) toneDisplay.textContent = toneLabels[toneVal] || 'Libre (par défaut)';
 
                 // [FIX] Update appState in real-time so generation uses current value immediately
-                if (!appState.subjects['MonStyle']) {
-                    appState.subjects['MonStyle'] = { iaConfig: {} };
-                }
-                if (!appState.subjects['MonStyle'].iaConfig) {
-                    appState.subjects['MonStyle'].iaConfig = {};
-                }
-                appState.subjects['MonStyle'].iaConfig.tone = toneVal;
+                SettingsUIManager.getEditedIaConfig().tone = toneVal;
 
                 SettingsUIManager.showPreviewRefreshHint();
                 this._updateStudentContextAndPrompt();
@@ -285,14 +332,8 @@ export const SettingsModalListeners = {
 
         if (DOM.iaStyleInstructions) {
             DOM.iaStyleInstructions.addEventListener('input', () => {
-                // [FIX] Ensure MonStyle structure exists before updating
-                if (!appState.subjects['MonStyle']) {
-                    appState.subjects['MonStyle'] = { iaConfig: { ...DEFAULT_IA_CONFIG } };
-                }
-                if (!appState.subjects['MonStyle'].iaConfig) {
-                    appState.subjects['MonStyle'].iaConfig = { ...DEFAULT_IA_CONFIG };
-                }
-                appState.subjects['MonStyle'].iaConfig.styleInstructions = DOM.iaStyleInstructions.value;
+                // Profil édité : style global ou style propre à une classe
+                SettingsUIManager.getEditedIaConfig().styleInstructions = DOM.iaStyleInstructions.value;
 
                 SettingsUIManager.showPreviewRefreshHint();
             });
@@ -308,14 +349,8 @@ export const SettingsModalListeners = {
 
         if (DOM.iaStyleInstructionsToggle) {
             DOM.iaStyleInstructionsToggle.addEventListener('change', () => {
-                // Ensure MonStyle structure exists
-                if (!appState.subjects['MonStyle']) {
-                    appState.subjects['MonStyle'] = { iaConfig: { ...DEFAULT_IA_CONFIG } };
-                }
-                if (!appState.subjects['MonStyle'].iaConfig) {
-                    appState.subjects['MonStyle'].iaConfig = { ...DEFAULT_IA_CONFIG };
-                }
-                appState.subjects['MonStyle'].iaConfig.enableStyleInstructions = DOM.iaStyleInstructionsToggle.checked;
+                // Profil édité : style global ou style propre à une classe
+                SettingsUIManager.getEditedIaConfig().enableStyleInstructions = DOM.iaStyleInstructionsToggle.checked;
 
                 SettingsUIManager.updatePersonalizationState();
                 SettingsUIManager.showPreviewRefreshHint();
@@ -327,14 +362,8 @@ export const SettingsModalListeners = {
         // Discipline field listener (optional field for subject-specific vocabulary)
         if (DOM.iaDiscipline) {
             DOM.iaDiscipline.addEventListener('input', () => {
-                // Ensure MonStyle structure exists
-                if (!appState.subjects['MonStyle']) {
-                    appState.subjects['MonStyle'] = { iaConfig: { ...DEFAULT_IA_CONFIG } };
-                }
-                if (!appState.subjects['MonStyle'].iaConfig) {
-                    appState.subjects['MonStyle'].iaConfig = { ...DEFAULT_IA_CONFIG };
-                }
-                appState.subjects['MonStyle'].iaConfig.discipline = DOM.iaDiscipline.value;
+                // Profil édité : style global ou style propre à une classe
+                SettingsUIManager.getEditedIaConfig().discipline = DOM.iaDiscipline.value;
 
                 SettingsUIManager.showPreviewRefreshHint();
                 this._updateStudentContextAndPrompt();
@@ -349,9 +378,7 @@ export const SettingsModalListeners = {
         document.querySelectorAll('input[name="iaVoiceRadio"]').forEach(radio => {
             radio.addEventListener('change', (e) => {
                 // [FIX] Update appState in real-time so generation uses current value immediately
-                if (appState.subjects['MonStyle']?.iaConfig) {
-                    appState.subjects['MonStyle'].iaConfig.voice = e.target.value;
-                }
+                SettingsUIManager.getEditedIaConfig().voice = e.target.value;
 
                 SettingsUIManager.showPreviewRefreshHint();
                 this._updateStudentContextAndPrompt(); // Update prompt preview on voice change
@@ -563,7 +590,8 @@ export const SettingsModalListeners = {
             // Grade styling
             let gradeHtml = '-';
             if (pGrade !== null) {
-                const gradeClass = Utils.getGradeClass(pGrade);
+                // Profils de démonstration : toujours notés sur 20
+                const gradeClass = Utils.getGradeClass(pGrade, DEFAULT_GRADE_SCALE);
                 gradeHtml = `<div class="grade-pill ${gradeClass}" style="margin:0;">${pGrade.toFixed(1).replace('.', ',')}</div>`;
             }
 
@@ -966,7 +994,7 @@ export const SettingsModalListeners = {
         addClickListener(DOM.exportSettingsBtn, StorageManager.exportSettings.bind(StorageManager));
 
         // Full backup export/import
-        addClickListener(DOM.exportFullBackupBtn, StorageManager.exportToJson.bind(StorageManager));
+        addClickListener(DOM.exportFullBackupBtn, BackupImportManager.showExportModal.bind(BackupImportManager));
         addClickListener(DOM.importFullBackupBtn, () => {
             DOM.importBackupInput?.click();
         });
@@ -1144,6 +1172,70 @@ export const SettingsModalListeners = {
             });
         }
 
+        // Cloud History button (dated backups)
+        const cloudHistoryBtn = document.getElementById('cloudHistoryBtn');
+        if (cloudHistoryBtn) {
+            cloudHistoryBtn.addEventListener('click', async () => {
+                const { CloudHistoryManager } = await import('../CloudHistoryManager.js');
+                CloudHistoryManager.showRestorePicker();
+            });
+        }
+
+        // Cloud backups - End-to-end encryption passphrase
+        const encryptionRow = document.getElementById('cloudEncryptionRow');
+        if (encryptionRow) {
+            const passInput = document.getElementById('cloudEncryptionPassphrase');
+            const saveBtn = document.getElementById('cloudEncryptionSaveBtn');
+            const disableBtn = document.getElementById('cloudEncryptionDisableBtn');
+            const statusEl = document.getElementById('cloudEncryptionStatus');
+
+            const refreshEncryptionUI = (enabled) => {
+                encryptionRow.classList.toggle('enabled', enabled);
+                statusEl.textContent = enabled
+                    ? 'Activé : vos sauvegardes Cloud sont chiffrées avant l\'envoi.'
+                    : 'Désactivé : les sauvegardes Cloud sont lisibles par le fournisseur.';
+                saveBtn.textContent = enabled ? 'Modifier' : 'Activer';
+                disableBtn.style.display = enabled ? 'inline-flex' : 'none';
+                passInput.value = '';
+            };
+
+            import('../../services/SyncService.js').then(({ SyncService }) => {
+                refreshEncryptionUI(SyncService.isEncryptionEnabled());
+            });
+
+            saveBtn?.addEventListener('click', async () => {
+                const passphrase = passInput.value;
+                if (passphrase.length < 8) {
+                    UI.showNotification('La phrase de passe doit contenir au moins 8 caractères.', 'warning');
+                    return;
+                }
+                const { SyncService } = await import('../../services/SyncService.js');
+                SyncService.setEncryptionPassphrase(passphrase);
+                refreshEncryptionUI(true);
+                UI.showNotification('Chiffrement activé. Saisissez la même phrase de passe sur vos autres appareils : elle est indispensable pour restaurer.', 'success');
+            });
+
+            disableBtn?.addEventListener('click', () => {
+                UI.showCustomConfirm(
+                    'Les prochaines sauvegardes Cloud seront envoyées en clair.',
+                    async () => {
+                        const { SyncService } = await import('../../services/SyncService.js');
+                        SyncService.setEncryptionPassphrase(null);
+                        refreshEncryptionUI(false);
+                        UI.showNotification('Chiffrement désactivé.', 'info');
+                    },
+                    null,
+                    {
+                        title: 'Désactiver le chiffrement ?',
+                        confirmText: 'Désactiver',
+                        cancelText: 'Annuler',
+                        isDanger: true,
+                        detailsHtml: '<p>Une sauvegarde déjà chiffrée sur le Cloud ne pourra plus être chargée sur cet appareil tant que la phrase de passe n\'est pas ressaisie.</p>'
+                    }
+                );
+            });
+        }
+
         // Cloud sync - Google Drive DISCONNECTION
         if (DOM.disconnectGoogleBtn) {
             DOM.disconnectGoogleBtn.addEventListener('click', async () => {
@@ -1185,5 +1277,94 @@ export const SettingsModalListeners = {
                 }
             });
         }
+
+        this._setupWebDAVListeners();
+    },
+
+    /**
+     * Cloud sync - Nextcloud / WebDAV (credentials form instead of an OAuth popup).
+     * @private
+     */
+    _setupWebDAVListeners() {
+        const connectBtn = document.getElementById('connectWebdavBtn');
+        const disconnectBtn = document.getElementById('disconnectWebdavBtn');
+        const form = document.getElementById('webdavConfigForm');
+        if (!connectBtn || !form) return;
+
+        const statusEl = document.getElementById('webdavSyncStatus');
+        const urlInput = document.getElementById('webdavUrlInput');
+        const usernameInput = document.getElementById('webdavUsernameInput');
+        const passwordInput = document.getElementById('webdavPasswordInput');
+        const submitBtn = document.getElementById('webdavSubmitBtn');
+        const card = connectBtn.closest('.sync-provider-card');
+        const actionsBar = document.getElementById('cloudActionsBar');
+
+        const setConnected = (connected) => {
+            statusEl.textContent = connected ? 'Connecté' : 'Non connecté';
+            statusEl.classList.toggle('connected', connected);
+            card?.classList.toggle('connected', connected);
+            connectBtn.style.display = connected ? 'none' : 'inline-flex';
+            if (disconnectBtn) disconnectBtn.style.display = connected ? 'inline-flex' : 'none';
+            if (actionsBar) actionsBar.style.display = connected ? 'flex' : 'none';
+            form.style.display = 'none';
+            passwordInput.value = '';
+        };
+
+        connectBtn.addEventListener('click', async () => {
+            const { WebDAVProvider } = await import('../../services/providers/WebDAVProvider.js');
+            const account = WebDAVProvider.getSavedAccount();
+            if (account) {
+                urlInput.value = account.url;
+                usernameInput.value = account.username;
+            }
+            form.style.display = 'flex';
+            (urlInput.value ? passwordInput : urlInput).focus();
+        });
+
+        document.getElementById('webdavCancelBtn')?.addEventListener('click', () => {
+            form.style.display = 'none';
+            passwordInput.value = '';
+        });
+
+        submitBtn?.addEventListener('click', async () => {
+            submitBtn.disabled = true;
+            submitBtn.innerHTML = '<iconify-icon icon="solar:spinner-bold-duotone" class="icon-spin"></iconify-icon> Connexion...';
+            try {
+                const { WebDAVProvider } = await import('../../services/providers/WebDAVProvider.js');
+                await WebDAVProvider.configure({
+                    url: urlInput.value,
+                    username: usernameInput.value,
+                    password: passwordInput.value
+                });
+
+                const { SyncService } = await import('../../services/SyncService.js');
+                const connected = await SyncService.connect('webdav', { silent: true });
+                if (!connected) throw new Error('Connexion refusée.');
+
+                setConnected(true);
+                UI.showNotification('Nextcloud connecté ! Utilisez les boutons Sauvegarder/Charger.', 'success');
+            } catch (error) {
+                UI.showNotification('Erreur de connexion : ' + error.message, 'error');
+            } finally {
+                submitBtn.disabled = false;
+                submitBtn.textContent = 'Se connecter';
+            }
+        });
+
+        disconnectBtn?.addEventListener('click', async () => {
+            try {
+                const { SyncService } = await import('../../services/SyncService.js');
+                if (SyncService.currentProviderName === 'webdav') {
+                    await SyncService.disconnect();
+                } else {
+                    const { WebDAVProvider } = await import('../../services/providers/WebDAVProvider.js');
+                    await WebDAVProvider.disconnect();
+                }
+                setConnected(false);
+                UI.showNotification('Déconnecté de Nextcloud.', 'info');
+            } catch (error) {
+                UI.showNotification('Erreur de déconnexion : ' + error.message, 'error');
+            }
+        });
     }
 };
@@ -18,6 +18,9 @@ import { DOM } from '../utils/DOM.js';
  * @property {string|null} [modelOverride=null] - Forcer un modèle spécifique
  * @property {AbortSignal} [signal] - Signal d'annulation externe
  * @property {string} [context=null] - Contexte de l'appel (ex: 'single-student', 'mass-import')
+ * @property {function(string): void} [onChunk] - Reçoit le texte cumulé au fil du streaming.
+ *   Sa présence active le streaming (si `enableStreaming` n'est pas désactivé dans les paramètres).
+ * @property {number} [maxTokens=1024] - Plafond de tokens de la réponse (génération par lot)
  */
 
 /**
@@ -38,6 +41,19 @@ import { DOM } from '../utils/DOM.js';
 
 const MAX_RESPONSE_TOKENS = 1024;
 
+/**
+ * Format du flux renvoyé par chaque provider en mode streaming.
+ * Tous utilisent des Server-Sent Events, sauf Ollama qui renvoie du JSON ligne par ligne.
+ */
+const STREAM_FORMATS = {
+    openai: 'sse',
+    google: 'sse',
+    openrouter: 'sse',
+    anthropic: 'sse',
+    mistral: 'sse',
+    ollama: 'ndjson'
+};
+
 export const AIService = {
     /**
      * Génère la configuration API pour un provider donné
@@ -47,7 +63,7 @@ export const AIService = {
      * @returns {{apiKey: string, apiUrl: string, headers: Object, payload: Object}}
      * @throws {Error} Si la clé API est manquante
      */
-    _getApiConfig(prompt, { isValidation = false, validationProvider = 'openai', modelOverride = null, systemPrompt = null } = {}) {
+    _getApiConfig(prompt, { isValidation = false, validationProvider = 'openai', modelOverride = null, systemPrompt = null, stream = false, maxTokens = MAX_RESPONSE_TOKENS } = {}) {
         const configs = {
             openai: {
                 apiKey: appState.openaiApiKey, apiUrl: `${CONFIG.OPENAI_API_BASE}/chat/completions`,
@@ -56,9 +72,13 @@ export const AIService = {
                     model: m.replace('openai-', ''),
                     messages: sys ? [{ role: "system", content: sys }, { role: "user", content: p }] : [{ role: "user", content: p }]
                 }),
+                streamPayload: { stream: true, stream_options: { include_usage: true } },
             },
             google: {
-                apiKey: appState.googleApiKey, apiUrl: (m) => `${CONFIG.GOOGLE_API_BASE}/models/${m}:generateContent?key=${appState.googleApiKey}`,
+                apiKey: appState.googleApiKey,
+                apiUrl: (m, streaming) => streaming
+                    ? `${CONFIG.GOOGLE_API_BASE}/models/${m}:streamGenerateContent?alt=sse&key=${appState.googleApiKey}`
+                    : `${CONFIG.GOOGLE_API_BASE}/models/${m}:generateContent?key=${appState.googleApiKey}`,
                 headers: () => ({ 'Content-Type': 'application/json' }),
                 payload: (p, m, sys) => {
                     const body = { contents: [{ role: "user", parts: [{ text: p }] }] };
@@ -87,9 +107,10 @@ export const AIService = {
                     return {
                         model: modelMap[m] || 'deepseek/deepseek-chat',
                         messages,
-                        max_tokens: MAX_RESPONSE_TOKENS
+                        max_tokens: maxTokens
                     };
                 },
+                streamPayload: { stream: true, stream_options: { include_usage: true } },
             },
             ollama: {
                 apiKey: appState.ollamaEnabled ? 'local' : null,
@@ -105,7 +126,7 @@ export const AIService = {
                         stream: false,
                         options: {
                             temperature: 0.7,
-                            num_predict: MAX_RESPONSE_TOKENS,
+                            num_predict: maxTokens,
                             top_p: 0.9,
                             repeat_penalty: 1.1,
                         }
@@ -115,6 +136,7 @@ export const AIService = {
                     }
                     return body;
                 },
+                streamPayload: { stream: true },
             },
             anthropic: {
                 apiKey: appState.anthropicApiKey,
@@ -128,13 +150,14 @@ export const AIService = {
                     const body = {
                         model: m.replace('anthropic-', ''),
                         messages: [{ role: 'user', content: p }],
-                        max_tokens: MAX_RESPONSE_TOKENS
+                        max_tokens: maxTokens
                     };
                     if (sys) {
                         body.system = sys;
                     }
                     return body;
                 },
+                streamPayload: { stream: true },
             },
             mistral: {
                 apiKey: appState.mistralApiKey,
@@ -146,8 +169,9 @@ export const AIService = {
                 payload: (p, m, sys) => ({
                     model: m.replace('mistral-direct-', 'mistral-'),
                     messages: sys ? [{ role: "system", content: sys }, { role: "user", content: p }] : [{ role: "user", content: p }],
-                    max_tokens: MAX_RESPONSE_TOKENS
+                    max_tokens: maxTokens
                 }),
+                streamPayload: { stream: true },
             }
         };
 
@@ -174,11 +198,16 @@ export const AIService = {
             throw new Error(`Clé API ${provider.charAt(0).toUpperCase() + provider.slice(1)} manquante.`);
         }
 
+        const payload = config.payload(prompt, selectedModel, systemPrompt);
+        if (stream && config.streamPayload) {
+            Object.assign(payload, config.streamPayload);
+        }
+
         return {
             apiKey,
-            apiUrl: typeof config.apiUrl === 'function' ? config.apiUrl(selectedModel) : config.apiUrl,
+            apiUrl: typeof config.apiUrl === 'function' ? config.apiUrl(selectedModel, stream) : config.apiUrl,
             headers: config.headers(apiKey),
-            payload: config.payload(prompt, selectedModel, systemPrompt)
+            payload
         };
     },
 
@@ -208,24 +237,30 @@ export const AIService = {
             };
         }
 
-        const { isValidation = false, signal: externalSignal, modelOverride } = options;
-        const { apiUrl, headers, payload } = this._getApiConfig(prompt, options);
+        const { isValidation = false, signal: externalSignal, modelOverride, onChunk = null } = options;
 
-        const signalsToCombine = [];
-        if (externalSignal) {
-            signalsToCombine.push(externalSignal);
-        }
+        // Le streaming n'est utilisé que si l'appelant sait afficher le texte partiel
+        const useStream = !isValidation && typeof onChunk === 'function' && appState.enableStreaming !== false;
+        const { apiUrl, headers, payload } = this._getApiConfig(prompt, { ...options, stream: useStream });
 
         // Gestion du timeout et de l'annulation
         // Timeout plus long pour Ollama (modèles locaux lents, surtout au premier chargement)
         const selectedModel = modelOverride || appState.currentAIModel;
+        const provider = this._getProviderForModel(selectedModel);
         const isOllamaModel = selectedModel.startsWith('ollama');
         const timeoutMs = isOllamaModel ? CONFIG.API_CALL_TIMEOUT_OLLAMA_MS : CONFIG.API_CALL_TIMEOUT_MS;
 
         const controller = new AbortController();
         const combinedSignal = controller.signal;
 
-        const timeoutId = setTimeout(() => controller.abort(new DOMException("Timeout", "TimeoutError")), timeoutMs);
+        const abortOnTimeout = () => controller.abort(new DOMException("Timeout", "TimeoutError"));
+        let timeoutId = setTimeout(abortOnTimeout, timeoutMs);
+
+        // En streaming, le timeout mesure l'inactivité : chaque fragment reçu le réarme
+        const rearmTimeout = () => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(abortOnTimeout, timeoutMs);
+        };
 
         if (externalSignal) {
             if (externalSignal.aborted) {
@@ -250,23 +285,49 @@ export const AIService = {
                 signal: combinedSignal
             });
 
-            const res = await resp.json();
-            const generationTimeMs = Date.now() - startTime; // Temps écoulé
+            let text = '';
+            let inTokens = 0, outTokens = 0;
 
-            if (!resp.ok) {
-                console.error("Erreur API détaillée:", res);
-                let errorMsg = `Erreur API ${resp.status}: ${res.error?.message || res.error || res.message || res.detail || JSON.stringify(res)}`;
-                if (isValidation) errorMsg = `Clé invalide (${resp.status}): ${res.error?.message || JSON.stringify(res)}`;
-                throw new Error(errorMsg);
-            }
+            if (useStream && resp.ok && resp.body) {
+                const streamed = await this._readStream(resp, provider, (partialText) => {
+                    rearmTimeout();
+                    onChunk(partialText);
+                });
+                text = streamed.text;
+                inTokens = streamed.usage.prompt_tokens;
+                outTokens = streamed.usage.completion_tokens;
+            } else {
+                const res = await resp.json();
+
+                if (!resp.ok) {
+                    console.error("Erreur API détaillée:", res);
+                    let errorMsg = `Erreur API ${resp.status}: ${res.error?.message || res.error || res.message || res.detail || JSON.stringify(res)}`;
+                    if (isValidation) errorMsg = `Clé invalide (${resp.status}): ${res.error?.message || JSON.stringify(res)}`;
+                    throw new Error(errorMsg);
+                }
 
-            if (isValidation) return { text: 'Validation réussie', usage: null };
+                if (isValidation) return { text: 'Validation réussie', usage: null };
+
+                // Extraction du texte selon le format de réponse (Google vs OpenAI vs Ollama)
+                text = res.response || // Ollama
+                    res.candidates?.[0]?.content?.parts?.[0]?.text || // Google
+                    res.choices?.[0]?.message?.content || // OpenAI
+                    "";
+
+                if (res.usage) {
+                    inTokens = res.usage.prompt_tokens;
+                    outTokens = res.usage.completion_tokens;
+                } else if (res.usageMetadata) {
+                    inTokens = res.usageMetadata.promptTokenCount;
+                    outTokens = res.usageMetadata.candidatesTokenCount;
+                } else if (res.prompt_eval_count !== undefined) {
+                    // Ollama format
+                    inTokens = res.prompt_eval_count || 0;
+                    outTokens = res.eval_count || 0;
+                }
+            }
 
-            // Extraction du texte selon le format de réponse (Google vs OpenAI vs Ollama)
-            let text = res.response || // Ollama
-                res.candidates?.[0]?.content?.parts?.[0]?.text || // Google
-                res.choices?.[0]?.message?.content || // OpenAI
-                "";
+            const generationTimeMs = Date.now() - startTime; // Temps écoulé
 
             // Nettoyage des balises de raisonnement (spécifique aux modèles "Thinking" comme DeepSeek R1)
             // On supprime tout ce qui est entre <think> et </think> (y compris les balises)
@@ -276,19 +337,6 @@ export const AIService = {
             if (!text || text.trim().length === 0) {
                 throw new Error("Réponse vide de l'API. Le modèle n'a pas généré de texte.");
             }
-            let inTokens = 0, outTokens = 0;
-
-            if (res.usage) {
-                inTokens = res.usage.prompt_tokens;
-                outTokens = res.usage.completion_tokens;
-            } else if (res.usageMetadata) {
-                inTokens = res.usageMetadata.promptTokenCount;
-                outTokens = res.usageMetadata.candidatesTokenCount;
-            } else if (res.prompt_eval_count !== undefined) {
-                // Ollama format
-                inTokens = res.prompt_eval_count || 0;
-                outTokens = res.eval_count || 0;
-            }
 
             // Calcul du coût de la session
             const totalTokens = inTokens + outTokens;
@@ -299,7 +347,7 @@ export const AIService = {
                 generationTimeMs // Temps de génération en millisecondes
             };
         } catch (error) {
-            if (error.name === 'AbortError') {
+            if (error.name === 'AbortError' || error.name === 'TimeoutError') {
                 if (externalSignal?.aborted) {
                     throw new Error("Import annulé par l'utilisateur.");
                 }
@@ -311,6 +359,123 @@ export const AIService = {
         }
     },
 
+    /**
+     * Lit une réponse en streaming et notifie le texte cumulé à chaque fragment.
+     * L'annulation passe par le signal du fetch : reader.read() rejette alors avec une AbortError.
+     * @private
+     * @param {Response} response - Réponse fetch dont le corps est un flux
+     * @param {string} provider - Provider ayant produit le flux
+     * @param {function(string): void} onChunk - Reçoit le texte cumulé (balises <think> retirées)
+     * @returns {Promise<{text: string, usage: {prompt_tokens: number, completion_tokens: number}}>}
+     * @throws {Error} Si le provider signale une erreur au milieu du flux
+     */
+    async _readStream(response, provider, onChunk) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const usage = { prompt_tokens: 0, completion_tokens: 0 };
+        const isSse = STREAM_FORMATS[provider] !== 'ndjson';
+        let buffer = '';
+        let rawText = '';
+
+        const handleLine = (line) => {
+            let data = line.trim();
+            if (isSse) {
+                // Seules les lignes "data:" portent du contenu (on ignore "event:", "id:" et les commentaires)
+                if (!data.startsWith('data:')) return;
+                data = data.slice(5).trim();
+            }
+            if (!data || data === '[DONE]') return;
+
+            let chunk;
+            try {
+                chunk = JSON.parse(data);
+            } catch (e) {
+                return; // Fragment incomplet ou keep-alive : ignoré
+            }
+
+            if (chunk.error) {
+                throw new Error(`Erreur API (streaming): ${chunk.error.message || chunk.error}`);
+            }
+
+            const delta = this._parseStreamChunk(provider, chunk, usage);
+            if (delta) {
+                rawText += delta;
+                onChunk(this._cleanPartialText(rawText));
+            }
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+        buffer += decoder.decode();
+        if (buffer) handleLine(buffer);
+
+        return { text: rawText, usage };
+    },
+
+    /**
+     * Extrait le fragment de texte d'un événement de streaming et met à jour l'usage.
+     * @private
+     * @param {string} provider - Provider ayant produit l'événement
+     * @param {Object} chunk - Événement JSON décodé
+     * @param {{prompt_tokens: number, completion_tokens: number}} usage - Compteurs mis à jour en place
+     * @returns {string} Texte ajouté par cet événement (vide si aucun)
+     */
+    _parseStreamChunk(provider, chunk, usage) {
+        switch (provider) {
+            case 'google': {
+                if (chunk.usageMetadata) {
+                    usage.prompt_tokens = chunk.usageMetadata.promptTokenCount || 0;
+                    usage.completion_tokens = chunk.usageMetadata.candidatesTokenCount || 0;
+                }
+                const parts = chunk.candidates?.[0]?.content?.parts || [];
+                return parts.map(part => part.text || '').join('');
+            }
+            case 'anthropic': {
+                if (chunk.type === 'message_start' && chunk.message?.usage) {
+                    usage.prompt_tokens = chunk.message.usage.input_tokens || 0;
+                } else if (chunk.type === 'message_delta' && chunk.usage) {
+                    usage.completion_tokens = chunk.usage.output_tokens || 0;
+                }
+                return chunk.type === 'content_block_delta' ? (chunk.delta?.text || '') : '';
+            }
+            case 'ollama': {
+                if (chunk.done) {
+                    usage.prompt_tokens = chunk.prompt_eval_count || 0;
+                    usage.completion_tokens = chunk.eval_count || 0;
+                }
+                return chunk.response || '';
+            }
+            default: {
+                // Format OpenAI (OpenAI, OpenRouter, Mistral) : l'usage arrive dans le dernier événement
+                if (chunk.usage) {
+                    usage.prompt_tokens = chunk.usage.prompt_tokens || 0;
+                    usage.completion_tokens = chunk.usage.completion_tokens || 0;
+                }
+                return chunk.choices?.[0]?.delta?.content || '';
+            }
+        }
+    },
+
+    /**
+     * Prépare le texte partiel pour l'affichage : retire les blocs <think> terminés
+     * et masque un bloc de raisonnement encore ouvert.
+     * @private
+     * @param {string} rawText - Texte brut cumulé
+     * @returns {string}
+     */
+    _cleanPartialText(rawText) {
+        return rawText
+            .replace(/<think>[\s\S]*?<\/think>/g, '')
+            .replace(/<think>[\s\S]*$/, '')
+            .trimStart();
+    },
+
     /**
      * Récupère la liste des modèles disponibles pour un provider
      * @param {'google'|'openai'|'openrouter'} provider - Le provider à interroger
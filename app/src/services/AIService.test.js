@@ -228,6 +228,185 @@ describe('AIService', () => {
         });
     });
 
+    describe('callAI - Streaming', () => {
+        /** Corps de réponse minimal exposant getReader(), découpé en fragments arbitraires */
+        const mockStreamBody = (fragments) => {
+            const encoder = new TextEncoder();
+            let index = 0;
+            return {
+                getReader: () => ({
+                    read: () => Promise.resolve(index < fragments.length
+                        ? { done: false, value: encoder.encode(fragments[index++]) }
+                        : { done: true, value: undefined })
+                })
+            };
+        };
+
+        beforeEach(async () => {
+            const { appState } = await import('../state/State.js');
+            appState.isDemoMode = false;
+            appState.enableStreaming = true;
+        });
+
+        it('should stream Google SSE chunks and report cumulative text', async () => {
+            const { appState } = await import('../state/State.js');
+            appState.googleApiKey = 'test-key';
+            appState.currentAIModel = 'gemini-2.0-flash';
+
+            const event1 = JSON.stringify({ candidates: [{ content: { parts: [{ text: 'Bon ' }] } }] });
+            const event2 = JSON.stringify({ candidates: [{ content: { parts: [{ text: 'trimestre.' }] } }], usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 4 } });
+            // Le second événement est coupé en deux fragments réseau
+            globalThis.fetch = vi.fn().mockResolvedValue({
+                ok: true,
+                body: mockStreamBody([`data: ${event1}\n\ndata: ${event2.slice(0, 20)}`, `${event2.slice(20)}\n\n`])
+            });
+
+            const onChunk = vi.fn();
+            const result = await AIService.callAI('Test prompt', { onChunk });
+
+            expect(globalThis.fetch.mock.calls[0][0]).toContain(':streamGenerateContent?alt=sse');
+            expect(onChunk).toHaveBeenNthCalledWith(1, 'Bon ');
+            expect(onChunk).toHaveBeenLastCalledWith('Bon trimestre.');
+            expect(result.text).toBe('Bon trimestre.');
+            expect(result.usage.total_tokens).toBe(16);
+        });
+
+        it('should stream OpenAI-compatible deltas and read usage from the final event', async () => {
+            const { appState } = await import('../state/State.js');
+            appState.openaiApiKey = 'test-key';
+            appState.currentAIModel = 'openai-gpt-3.5-turbo';
+
+            const sse = [
+                `data: ${JSON.stringify({ choices: [{ delta: { content: 'Élève ' } }] })}\n\n`,
+                `data: ${JSON.stringify({ choices: [{ delta: { content: 'sérieux.' } }] })}\n\n`,
+                `data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 30, completion_tokens: 5 } })}\n\n`,
+                'data: [DONE]\n\n'
+            ];
+            globalThis.fetch = vi.fn().mockResolvedValue({ ok: true, body: mockStreamBody(sse) });
+
+            const onChunk = vi.fn();
+            const result = await AIService.callAI('Test prompt', { onChunk });
+
+            const sentPayload = JSON.parse(globalThis.fetch.mock.calls[0][1].body);
+            expect(sentPayload.stream).toBe(true);
+            expect(onChunk).toHaveBeenCalledTimes(2);
+            expect(result.text).toBe('Élève sérieux.');
+            expect(result.usage.prompt_tokens).toBe(30);
+            expect(result.usage.completion_tokens).toBe(5);
+        });
+
+        it('should parse Anthropic stream events', async () => {
+            const { appState } = await import('../state/State.js');
+            appState.anthropicApiKey = 'test-key';
+            appState.currentAIModel = 'anthropic-claude-3-5-haiku';
+
+            const sse = [
+                `event: message_start\ndata: ${JSON.stringify({ type: 'message_start', message: { usage: { input_tokens: 40 } } })}\n\n`,
+                `event: content_block_delta\ndata: ${JSON.stringify({ type: 'content_block_delta', delta: { type: 'text_delta', text: 'Très bien.' } })}\n\n`,
+                `event: message_delta\ndata: ${JSON.stringify({ type: 'message_delta', usage: { output_tokens: 3 } })}\n\n`
+            ];
+            globalThis.fetch = vi.fn().mockResolvedValue({ ok: true, body: mockStreamBody(sse) });
+
+            const result = await AIService.callAI('Test prompt', { onChunk: vi.fn() });
+
+            expect(result.text).toBe('Très bien.');
+            expect(result.usage.total_tokens).toBe(43);
+        });
+
+        it('should parse Ollama NDJSON stream', async () => {
+            const { appState } = await import('../state/State.js');
+            appState.ollamaEnabled = true;
+            appState.currentAIModel = 'ollama-qwen3:4b';
+
+            const lines = [
+                `${JSON.stringify({ response: 'Bon ', done: false })}\n`,
+                `${JSON.stringify({ response: 'travail.', done: false })}\n${JSON.stringify({ response: '', done: true, prompt_eval_count: 8, eval_count: 2 })}\n`
+            ];
+            globalThis.fetch = vi.fn().mockResolvedValue({ ok: true, body: mockStreamBody(lines) });
+
+            const result = await AIService.callAI('Test prompt', { onChunk: vi.fn() });
+
+            const sentPayload = JSON.parse(globalThis.fetch.mock.calls[0][1].body);
+            expect(sentPayload.stream).toBe(true);
+            expect(result.text).toBe('Bon travail.');
+            expect(result.usage.total_tokens).toBe(10);
+        });
+
+        it('should hide an unfinished <think> block from partial text', async () => {
+            const { appState } = await import('../state/State.js');
+            appState.openaiApiKey = 'test-key';
+            appState.currentAIModel = 'openai-gpt-3.5-turbo';
+
+            const sse = ['<think>Je réfléchis', '</think>', 'Résultat'].map(content =>
+                `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`
+            );
+            globalThis.fetch = vi.fn().mockResolvedValue({ ok: true, body: mockStreamBody(sse) });
+
+            const onChunk = vi.fn();
+            const result = await AIService.callAI('Test prompt', { onChunk });
+
+            expect(onChunk.mock.calls.map(call => call[0])).toEqual(['', '', 'Résultat']);
+            expect(result.text).toBe('Résultat');
+        });
+
+        it('should not stream when the setting is disabled', async () => {
+            const { appState } = await import('../state/State.js');
+            appState.openaiApiKey = 'test-key';
+            appState.currentAIModel = 'openai-gpt-3.5-turbo';
+            appState.enableStreaming = false;
+
+            globalThis.fetch = vi.fn().mockResolvedValue({
+                ok: true,
+                json: () => Promise.resolve({ choices: [{ message: { content: 'Texte complet' } }], usage: { prompt_tokens: 1, completion_tokens: 1 } })
+            });
+
+            const onChunk = vi.fn();
+            const result = await AIService.callAI('Test prompt', { onChunk });
+
+            const sentPayload = JSON.parse(globalThis.fetch.mock.calls[0][1].body);
+            expect(sentPayload.stream).toBeUndefined();
+            expect(onChunk).not.toHaveBeenCalled();
+            expect(result.text).toBe('Texte complet');
+        });
+
+        it('should stop a stream when the external signal is aborted', async () => {
+            const { appState } = await import('../state/State.js');
+            appState.openaiApiKey = 'test-key';
+            appState.currentAIModel = 'openai-gpt-3.5-turbo';
+
+            const abortController = new AbortController();
+            globalThis.fetch = vi.fn().mockImplementation((url, { signal }) => Promise.resolve({
+                ok: true,
+                body: {
+                    getReader: () => {
+                        let sent = false;
+                        return {
+                            // Premier fragment livré, puis le flux reste ouvert jusqu'à l'annulation
+                            read: () => {
+                                if (!sent) {
+                                    sent = true;
+                                    const event = `data: ${JSON.stringify({ choices: [{ delta: { content: 'Début' } }] })}\n\n`;
+                                    return Promise.resolve({ done: false, value: new TextEncoder().encode(event) });
+                                }
+                                return new Promise((resolve, reject) => {
+                                    const fail = () => reject(new DOMException('Aborted', 'AbortError'));
+                                    if (signal.aborted) fail();
+                                    signal.addEventListener('abort', fail);
+                                });
+                            }
+                        };
+                    }
+                }
+            }));
+
+            const onChunk = vi.fn(() => abortController.abort());
+
+            await expect(AIService.callAI('Test prompt', { onChunk, signal: abortController.signal }))
+                .rejects.toThrow('annulé');
+            expect(onChunk).toHaveBeenCalledWith('Début');
+        });
+    });
+
     describe('getAvailableModels', () => {
         it('should fetch Google models list', async () => {
             const { appState } = await import('../state/State.js');
@@ -10,6 +10,7 @@ import { CONFIG, CONSTS, DEFAULT_IA_CONFIG, DEFAULT_PROMPT_TEMPLATES } from '../
 import { Utils } from '../utils/Utils.js';
 import { AIService } from './AIService.js';
 import { PromptService } from './PromptService.js';
+import { GradeScaleService } from './GradeScaleService.js';
 
 export const AppreciationService = {
     /**
@@ -46,10 +47,12 @@ export const AppreciationService = {
     /**
      * Analyse l'évolution des notes entre les périodes
      */
-    analyserEvolution(periodsData) {
+    analyserEvolution(periodsData, scale = GradeScaleService.getScale()) {
         const evolutions = [], t = appState.evolutionThresholds;
-        const getType = (diff) => {
-            if (diff === null || isNaN(diff)) return 'stable';
+        const getType = (valeur) => {
+            if (valeur === null || isNaN(valeur)) return 'stable';
+            // Seuils exprimés en points sur 20 : l'écart est converti selon le barème
+            const diff = GradeScaleService.diffToTwenty(valeur, scale);
             if (diff >= t.veryPositive) return 'very-positive'; if (diff >= t.positive) return 'positive';
             if (diff <= t.veryNegative) return 'very-negative'; if (diff <= t.negative) return 'negative';
             return 'stable';
@@ -107,7 +110,7 @@ export const AppreciationService = {
             return { appreciation, prompt: prompts.appreciation, usage: aiResp.usage };
         }
 
-        const evolutions = this.analyserEvolution(studentData.periods);
+        const evolutions = this.analyserEvolution(studentData.periods, GradeScaleService.getScale(studentData.classId));
         return this.createResultObject(studentData.nom, studentData.prenom, appreciation, evolutions, studentData, prompts, tokenUsage, null);
     },
 
@@ -225,5 +228,95 @@ export const AppreciationService = {
             }
         });
         return html || `<p>${Utils.cleanMarkdown(text.replace(/\n/g, '<br>'))}</p>`;
+    },
+
+    /**
+     * Parse la réponse JSON d'une génération par lot.
+     * Tolère les blocs ```json et le texte parasite autour du tableau.
+     * Une entrée est rejetée si son id est inconnu, dupliqué ou si son texte est vide.
+     * @param {string} text - Réponse brute de l'IA
+     * @param {string[]} expectedIds - Ids attendus (E1, E2...)
+     * @returns {{appreciations: Object<string, string>, missingIds: string[]}}
+     */
+    parseBatchAppreciations(text, expectedIds) {
+        const appreciations = {};
+        let entries = [];
+
+        const cleaned = (text || '').replace(/```(?:json)?/gi, '');
+        const start = cleaned.indexOf('[');
+        const end = cleaned.lastIndexOf(']');
+        if (start !== -1 && end > start) {
+            try {
+                const parsed = JSON.parse(cleaned.slice(start, end + 1));
+                if (Array.isArray(parsed)) entries = parsed;
+            } catch (e) {
+                console.warn('[AppreciationService] Réponse de lot non parsable:', e.message);
+            }
+        }
+
+        const seen = new Set();
+        entries.forEach(entry => {
+            const id = typeof entry?.id === 'string' ? entry.id.trim() : String(entry?.id ?? '');
+            const appreciation = typeof entry?.appreciation === 'string' ? entry.appreciation.trim() : '';
+            if (!expectedIds.includes(id) || !appreciation) return;
+            if (seen.has(id)) {
+                // Doublon : on ne sait pas quelle version est la bonne, l'élève sera regénéré seul
+                delete appreciations[id];
+                return;
+            }
+            seen.add(id);
+            appreciations[id] = appreciation;
+        });
+
+        const missingIds = expectedIds.filter(id => !(id in appreciations));
+        return { appreciations, missingIds };
+    },
+
+    /**
+     * Sépare la réponse du bilan de fin d'année en appréciation annuelle et recommandation.
+     * Sans les titres attendus, toute la réponse est prise comme appréciation.
+     * @param {string} text - Réponse brute de l'IA
+     * @returns {{appreciation: string, recommendation: string}}
+     */
+    parseYearSynthesis(text) {
+        // Texte brut : il est affiché dans un champ éditable et exporté en CSV
+        const clean = (s) => (s || '').replace(/\*\*?/g, '').trim().replace(/^["«]\s*|\s*["»]$/g, '').trim();
+        const raw = text || '';
+        const recoMatch = raw.match(/^#{1,4}\s*Recommandation[^\n]*\n?/im);
+        const appMatch = raw.match(/^#{1,4}\s*Appr[ée]ciation annuelle[^\n]*\n?/im);
+
+        if (!recoMatch) {
+            return { appreciation: clean(appMatch ? raw.slice(appMatch.index + appMatch[0].length) : raw), recommendation: '' };
+        }
+
+        const appStart = appMatch && appMatch.index < recoMatch.index ? appMatch.index + appMatch[0].length : 0;
+        return {
+            appreciation: clean(raw.slice(appStart, recoMatch.index)),
+            recommendation: clean(raw.slice(recoMatch.index + recoMatch[0].length))
+        };
+    },
+
+    /**
+     * Répartit l'usage de tokens d'une requête groupée entre les élèves du lot.
+     * Les tokens du prompt sont partagés à parts égales, ceux de la réponse
+     * au prorata de la longueur de chaque appréciation.
+     * @param {Object|null} usage - Usage renvoyé par AIService ({prompt_tokens, completion_tokens})
+     * @param {Object<string, string>} appreciations - Textes obtenus par id
+     * @param {string[]} ids - Ids du lot (y compris ceux sans texte)
+     * @returns {Object<string, {prompt_tokens: number, completion_tokens: number, total_tokens: number, batchSize: number}>}
+     */
+    splitBatchUsage(usage, appreciations, ids) {
+        const promptTokens = usage?.prompt_tokens || 0;
+        const completionTokens = usage?.completion_tokens || 0;
+        const totalChars = ids.reduce((sum, id) => sum + (appreciations[id]?.length || 0), 0);
+
+        const result = {};
+        ids.forEach(id => {
+            const share = totalChars > 0 ? (appreciations[id]?.length || 0) / totalChars : 1 / ids.length;
+            const prompt_tokens = Math.round(promptTokens / ids.length);
+            const completion_tokens = Math.round(completionTokens * share);
+            result[id] = { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens, batchSize: ids.length };
+        });
+        return result;
     }
 };
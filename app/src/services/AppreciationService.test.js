@@ -485,6 +485,56 @@ describe('AppreciationService', () => {
         });
     });
 
+    describe('parseBatchAppreciations()', () => {
+        it('should map appreciations by id and report missing ids', () => {
+            const text = '```json\n[{"id": "E1", "appreciation": "Bon trimestre."}, {"id": "E3", "appreciation": "Des efforts."}]\n```';
+            const { appreciations, missingIds } = AppreciationService.parseBatchAppreciations(text, ['E1', 'E2', 'E3']);
+
+            expect(appreciations).toEqual({ E1: 'Bon trimestre.', E3: 'Des efforts.' });
+            expect(missingIds).toEqual(['E2']);
+        });
+
+        it('should reject empty, unknown and duplicated entries', () => {
+            const text = 'Voici : [{"id": "E1", "appreciation": ""}, {"id": "E9", "appreciation": "x"}, {"id": "E2", "appreciation": "a"}, {"id": "E2", "appreciation": "b"}]';
+            const { appreciations, missingIds } = AppreciationService.parseBatchAppreciations(text, ['E1', 'E2']);
+
+            expect(appreciations).toEqual({});
+            expect(missingIds).toEqual(['E1', 'E2']);
+        });
+
+        it('should report every id as missing on malformed JSON', () => {
+            const { missingIds } = AppreciationService.parseBatchAppreciations('[{"id": "E1", ', ['E1', 'E2']);
+            expect(missingIds).toEqual(['E1', 'E2']);
+        });
+    });
+
+    describe('parseYearSynthesis()', () => {
+        it('should split the annual appreciation and the recommendation', () => {
+            const text = '### Appréciation annuelle\n**Une année** de progrès réguliers.\n\n### Recommandation\n"Passage en 4e."';
+
+            expect(AppreciationService.parseYearSynthesis(text)).toEqual({
+                appreciation: 'Une année de progrès réguliers.',
+                recommendation: 'Passage en 4e.'
+            });
+        });
+
+        it('should keep the whole answer as appreciation without headings', () => {
+            expect(AppreciationService.parseYearSynthesis('Une belle année.')).toEqual({ appreciation: 'Une belle année.', recommendation: '' });
+            expect(AppreciationService.parseYearSynthesis(null)).toEqual({ appreciation: '', recommendation: '' });
+        });
+    });
+
+    describe('splitBatchUsage()', () => {
+        it('should share prompt tokens equally and completion tokens by text length', () => {
+            const usage = { prompt_tokens: 300, completion_tokens: 90 };
+            const split = AppreciationService.splitBatchUsage(usage, { E1: 'aa', E2: 'a' }, ['E1', 'E2', 'E3']);
+
+            expect(split.E1).toEqual({ prompt_tokens: 100, completion_tokens: 60, total_tokens: 160, batchSize: 3 });
+            expect(split.E2.completion_tokens).toBe(30);
+            expect(split.E3.completion_tokens).toBe(0);
+        });
+    });
+
     describe('prepareStudentListForImport()', () => {
         it('should return import preview data structure', () => {
             const result = AppreciationService.prepareStudentListForImport(
@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Évaluations détaillées d'une période (relevé de notes Pronote)
+ *
+ * Chaque période peut porter la liste de ses évaluations, dans l'ordre du relevé :
+ * `studentData.periods[P].assessments = [{ date, mark, max, coef, status }]`.
+ * La moyenne et le nombre de notes de la période en sont alors déduits.
+ *
+ * À l'import, la liste passe par une cellule texte (colonne « Évaluations ») :
+ * `12/09 14/20 (2) ; 19/09 Abs ; 03/10 7/10`
+ *
+ * @module services/AssessmentsService
+ */
+
+import { appState } from '../state/State.js';
+import { GradeScaleService } from './GradeScaleService.js';
+
+/**
+ * Codes Pronote d'une évaluation sans note. Aucune n'entre dans la moyenne.
+ * @type {Array<{id: string, code: string, label: string, pattern: RegExp}>}
+ */
+export const ASSESSMENT_STATUSES = [
+    { id: 'absent', code: 'Abs', label: 'absent(e)', pattern: /^abs(?:ent)?\.?$/i },
+    { id: 'dispense', code: 'Disp', label: 'dispensé(e)', pattern: /^disp(?:ense|ensé)?\.?$/i },
+    { id: 'non-note', code: 'N.Not', label: 'non noté(e)', pattern: /^n\.?\s?not(?:é|e)?\.?$/i },
+    { id: 'non-rendu', code: 'N.Rdu', label: 'travail non rendu', pattern: /^n\.?\s?rdu\.?$/i }
+];
+
+/** Nombre d'évaluations considérées pour la tendance récente */
+const TREND_SIZE = 3;
+
+const toNumber = (raw) => {
+    const value = parseFloat(String(raw ?? '').replace(',', '.'));
+    return isNaN(value) ? null : value;
+};
+
+const formatNumber = (value) => String(Math.round(value * 100) / 100).replace('.', ',');
+
+/**
+ * @typedef {Object} Assessment
+ * @property {string} date - Date du relevé ("12/09"), vide si inconnue
+ * @property {number|null} mark - Note obtenue (null si absent, dispensé...)
+ * @property {number} max - Note maximale du devoir
+ * @property {number} coef - Coefficient
+ * @property {string|null} status - Id de ASSESSMENT_STATUSES, null pour une note
+ */
+
+export const AssessmentsService = {
+
+    /**
+     * @param {string} code - "Abs", "Disp", "N.Not"...
+     * @returns {Object|null} Statut correspondant
+     */
+    findStatus(code) {
+        const text = String(code ?? '').trim();
+        return ASSESSMENT_STATUSES.find(s => s.pattern.test(text)) || null;
+    },
+
+    /**
+     * Lit une cellule « Évaluations »
+     * @param {string} text - Évaluations séparées par des points-virgules
+     * @returns {Assessment[]} Les éléments illisibles sont ignorés
+     */
+    parseCell(text) {
+        const item = /^(?:(\d{1,2}\/\d{1,2}(?:\/\d{2,4})?)\s+)?([^\s(]\S*?)(?:\s*\/\s*(\d+(?:[.,]\d+)?))?(?:\s*\((?:coef\.?\s*)?(\d+(?:[.,]\d+)?)\))?$/i;
+        return String(text ?? '').split(';').map(part => part.trim()).filter(Boolean).map(part => {
+            const match = part.match(item);
+            if (!match) return null;
+            const [, date = '', value, max, coef] = match;
+            const status = this.findStatus(value);
+            const mark = status ? null : toNumber(value);
+            if (!status && mark === null) return null;
+            return {
+                date,
+                mark,
+                max: toNumber(max) || 20,
+                coef: toNumber(coef) ?? 1,
+                status: status?.id || null
+            };
+        }).filter(Boolean);
+    },
+
+    /**
+     * Écrit une cellule « Évaluations » (inverse de parseCell)
+     * @param {Assessment[]} assessments
+     * @returns {string}
+     */
+    formatCell(assessments) {
+        return (assessments || []).map(a => {
+            const status = ASSESSMENT_STATUSES.find(s => s.id === a.status);
+            const value = status ? status.code : `${formatNumber(a.mark)}/${formatNumber(a.max)}`;
+            const coef = a.coef !== 1 ? ` (${formatNumber(a.coef)})` : '';
+            return `${a.date ? `${a.date} ` : ''}${value}${coef}`;
+        }).join(' ; ');
+    },
+
+    /**
+     * @param {Object} studentData
+     * @param {string} period
+     * @returns {Assessment[]}
+     */
+    getAssessments(studentData, period) {
+        const assessments = studentData?.periods?.[period]?.assessments;
+        return Array.isArray(assessments) ? assessments : [];
+    },
+
+    /**
+     * @param {Assessment[]} assessments
+     * @returns {Assessment[]} Évaluations notées (qui comptent dans la moyenne)
+     */
+    getMarked(assessments) {
+        return (assessments || []).filter(a => !a.status && typeof a.mark === 'number' && a.max > 0);
+    },
+
+    /**
+     * Moyenne pondérée par les coefficients, chaque note ramenée sur 20 puis dans le barème de la classe
+     * @param {Assessment[]} assessments
+     * @param {Object} [scale] - Barème de la classe
+     * @returns {number|null} Arrondie au centième, null si aucune note
+     */
+    getAverage(assessments, scale = GradeScaleService.getScale()) {
+        const marked = this.getMarked(assessments).filter(a => a.coef > 0);
+        const totalCoef = marked.reduce((sum, a) => sum + a.coef, 0);
+        if (totalCoef === 0) return null;
+        const onTwenty = marked.reduce((sum, a) => sum + (a.mark / a.max) * 20 * a.coef, 0) / totalCoef;
+        return Math.round(GradeScaleService.fromTwenty(onTwenty, scale) * 100) / 100;
+    },
+
+    /**
+     * Enregistre les évaluations d'une période et en déduit la moyenne et le nombre de notes
+     * @param {Object} studentData - Élève (modifié)
+     * @param {string} period
+     * @param {Assessment[]} assessments
+     * @param {Object} [scale] - Barème de la classe
+     */
+    setAssessments(studentData, period, assessments, scale = GradeScaleService.getScale()) {
+        if (!studentData.periods) studentData.periods = {};
+        const periodData = studentData.periods[period] || (studentData.periods[period] = {});
+        periodData.assessments = assessments;
+        periodData.grade = this.getAverage(assessments, scale);
+        periodData.evaluationCount = this.getMarked(assessments).length;
+    },
+
+    /**
+     * Nombre d'évaluations par statut (absences, dispenses...)
+     * @param {Assessment[]} assessments
+     * @returns {Object<string, number>}
+     */
+    countStatuses(assessments) {
+        const counts = Object.fromEntries(ASSESSMENT_STATUSES.map(s => [s.id, 0]));
+        (assessments || []).forEach(a => {
+            if (a.status in counts) counts[a.status]++;
+        });
+        return counts;
+    },
+
+    /**
+     * Tendance des dernières évaluations notées, comparées sur 20 aux seuils d'évolution
+     * @param {Assessment[]} assessments
+     * @returns {{marks: Assessment[], diff: number, direction: 'up'|'down'|'stable'}|null} null avec moins de 2 notes
+     */
+    getRecentTrend(assessments) {
+        const marks = this.getMarked(assessments).slice(-TREND_SIZE);
+        if (marks.length < 2) return null;
+        const onTwenty = (a) => (a.mark / a.max) * 20;
+        const diff = onTwenty(marks[marks.length - 1]) - onTwenty(marks[0]);
+        const thresholds = appState.evolutionThresholds || { positive: 0.5, negative: -0.5 };
+        const direction = diff >= thresholds.positive ? 'up' : diff <= thresholds.negative ? 'down' : 'stable';
+        return { marks, diff, direction };
+    },
+
+    /**
+     * Notes ramenées sur 20, dans l'ordre du relevé (sparkline)
+     * @param {Assessment[]} assessments
+     * @returns {number[]}
+     */
+    getMarksOnTwenty(assessments) {
+        return this.getMarked(assessments).map(a => Math.round((a.mark / a.max) * 2000) / 100);
+    },
+
+    /**
+     * Résumé pour le prompt : nombre de devoirs, absences, tendance récente
+     * @param {Assessment[]} assessments
+     * @returns {string} Vide si aucune évaluation
+     */
+    formatForPrompt(assessments) {
+        if (!assessments?.length) return '';
+        const marked = this.getMarked(assessments);
+        const counts = this.countStatuses(assessments);
+
+        const parts = [`${marked.length} évaluation${marked.length > 1 ? 's' : ''} notée${marked.length > 1 ? 's' : ''}`];
+        ASSESSMENT_STATUSES.forEach(s => {
+            const n = counts[s.id];
+            if (n > 0) parts.push(`${s.label} à ${n} évaluation${n > 1 ? 's' : ''}`);
+        });
+
+        const trend = this.getRecentTrend(assessments);
+        if (trend) {
+            const label = { up: 'en progression', down: 'en baisse', stable: 'stables' }[trend.direction];
+            const marks = trend.marks.map(a => `${formatNumber(a.mark)}/${formatNumber(a.max)}`).join(' → ');
+            parts.push(`${trend.marks.length} dernières notes ${label} (${marks})`);
+        }
+        return parts.join(' ; ');
+    }
+};
@@ -0,0 +1,51 @@
+import { describe, it, expect, vi } from 'vitest';
+import { AssessmentsService } from './AssessmentsService.js';
+import { GRADE_SCALE_PRESETS } from './GradeScaleService.js';
+
+vi.mock('../state/State.js', () => ({
+    appState: {
+        currentClassId: 'c1',
+        classes: [{ id: 'c1' }],
+        evolutionThresholds: { veryPositive: 2, positive: 0.5, negative: -0.5, veryNegative: -2 }
+    }
+}));
+
+describe('AssessmentsService', () => {
+    it('should read and write an assessments cell', () => {
+        const cell = '12/09 14/20 (2) ; 19/09 Abs ; 03/10 7,5/10 ; N.Not ; illisible ; 17/10 Disp (3)';
+        const assessments = AssessmentsService.parseCell(cell);
+
+        expect(assessments).toEqual([
+            { date: '12/09', mark: 14, max: 20, coef: 2, status: null },
+            { date: '19/09', mark: null, max: 20, coef: 1, status: 'absent' },
+            { date: '03/10', mark: 7.5, max: 10, coef: 1, status: null },
+            { date: '', mark: null, max: 20, coef: 1, status: 'non-note' },
+            { date: '17/10', mark: null, max: 20, coef: 3, status: 'dispense' }
+        ]);
+        expect(AssessmentsService.formatCell(assessments)).toBe('12/09 14/20 (2) ; 19/09 Abs ; 03/10 7,5/10 ; N.Not ; 17/10 Disp (3)');
+        expect(AssessmentsService.parseCell('')).toEqual([]);
+    });
+
+    it('should derive a weighted average in the class scale, ignoring absences', () => {
+        const assessments = AssessmentsService.parseCell('14/20 (2) ; Abs (4) ; 5/10');
+        // (14×2 + 10×1) / 3
+        expect(AssessmentsService.getAverage(assessments)).toBe(12.67);
+        expect(AssessmentsService.getAverage(assessments, GRADE_SCALE_PRESETS.note10)).toBe(6.33);
+        expect(AssessmentsService.getAverage(AssessmentsService.parseCell('Abs ; Disp'))).toBeNull();
+
+        const student = { periods: {} };
+        AssessmentsService.setAssessments(student, 'T1', assessments);
+        expect(student.periods.T1).toMatchObject({ grade: 12.67, evaluationCount: 2 });
+    });
+
+    it('should summarize absences and the trend of the last three marks', () => {
+        const assessments = AssessmentsService.parseCell('15/20 ; 8/20 ; Abs ; 5/10 ; Abs ; 14/20');
+
+        expect(AssessmentsService.getRecentTrend(assessments).direction).toBe('up');
+        expect(AssessmentsService.getMarksOnTwenty(assessments)).toEqual([15, 8, 10, 14]);
+        expect(AssessmentsService.formatForPrompt(assessments))
+            .toBe('4 évaluations notées ; absent(e) à 2 évaluations ; 3 dernières notes en progression (8/20 → 5/10 → 14/20)');
+        expect(AssessmentsService.getRecentTrend(AssessmentsService.parseCell('12/20'))).toBeNull();
+        expect(AssessmentsService.formatForPrompt([])).toBe('');
+    });
+});
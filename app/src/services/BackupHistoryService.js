@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Historique des sauvegardes Cloud : nommage et politique de rétention.
+ *
+ * Chaque envoi vers le Cloud dépose aussi une copie datée. Le nom du fichier porte
+ * la date, l'appareil et les effectifs, ce qui permet de lister l'historique sans
+ * télécharger (ni déchiffrer) chaque copie.
+ *
+ * Rétention : les 20 derniers envois, puis le plus récent de chaque semaine sur un an.
+ *
+ * @module services/BackupHistoryService
+ */
+
+const VERSION_PREFIX = 'bulletin-ai-backup';
+const SEPARATOR = '--';
+const KEEP_LAST = 20;
+const KEEP_WEEKS = 52;
+const WEEK_MS = 7 * 24 * 3600 * 1000;
+
+/**
+ * @typedef {Object} BackupVersion
+ * @property {string} id - Identifiant propre au provider
+ * @property {string} name - Nom du fichier
+ * @property {number} createdAt - Date de l'envoi (timestamp ms)
+ * @property {string} deviceId - Appareil ayant envoyé la copie
+ * @property {number} classCount
+ * @property {number} studentCount
+ */
+
+export const BackupHistoryService = {
+    KEEP_LAST,
+    KEEP_WEEKS,
+
+    /**
+     * Construit le nom de fichier d'une copie datée.
+     * @param {Object} data - Données envoyées ({ classes, generatedResults, _meta })
+     * @param {number} [timestamp=Date.now()]
+     * @returns {string}
+     */
+    buildVersionName(data, timestamp = Date.now()) {
+        const stamp = new Date(timestamp).toISOString().replace(/[:.]/g, '-');
+        const deviceId = String(data?._meta?.deviceId || 'inconnu').replace(/[^\w-]/g, '_').replace(/-{2,}/g, '-');
+        const classCount = data?.classes?.length || 0;
+        const studentCount = data?.generatedResults?.length || 0;
+        return [VERSION_PREFIX, stamp, deviceId, `${classCount}c`, `${studentCount}e`].join(SEPARATOR) + '.json';
+    },
+
+    /**
+     * Lit les informations encodées dans un nom de copie.
+     * @param {string} name
+     * @returns {Omit<BackupVersion, 'id'>|null} null si le fichier n'est pas une copie datée
+     */
+    parseVersionName(name) {
+        const parts = String(name || '').replace(/\.json$/, '').split(SEPARATOR);
+        if (parts.length !== 5 || parts[0] !== VERSION_PREFIX) return null;
+
+        const [, stamp, deviceId, classes, students] = parts;
+        const match = stamp.match(/^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/);
+        if (!match) return null;
+
+        const createdAt = Date.parse(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`);
+        return {
+            name,
+            createdAt,
+            deviceId,
+            classCount: parseInt(classes, 10) || 0,
+            studentCount: parseInt(students, 10) || 0
+        };
+    },
+
+    /**
+     * Convertit la liste brute d'un provider en historique trié (plus récent en premier).
+     * @param {Array<{id: string, name: string}>} files
+     * @returns {BackupVersion[]}
+     */
+    toVersions(files) {
+        return (files || [])
+            .map(file => {
+                const info = this.parseVersionName(file.name);
+                return info ? { id: file.id, ...info } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    /**
+     * Sélectionne les copies à supprimer selon la politique de rétention.
+     * @param {BackupVersion[]} versions
+     * @param {number} [now=Date.now()]
+     * @returns {BackupVersion[]}
+     */
+    selectVersionsToPrune(versions, now = Date.now()) {
+        const sorted = [...versions].sort((a, b) => b.createdAt - a.createdAt);
+        const keptWeeks = new Set();
+
+        return sorted.filter((version, index) => {
+            if (index < KEEP_LAST) return false;
+
+            const weeksAgo = Math.floor((now - version.createdAt) / WEEK_MS);
+            if (weeksAgo >= KEEP_WEEKS) return true;
+
+            // Première rencontrée = plus récente de sa semaine
+            const week = this._weekKey(version.createdAt);
+            if (keptWeeks.has(week)) return true;
+            keptWeeks.add(week);
+            return false;
+        });
+    },
+
+    /**
+     * Semaine calendaire (commençant le lundi, UTC) d'un timestamp.
+     * @private
+     */
+    _weekKey(timestamp) {
+        const date = new Date(timestamp);
+        const day = (date.getUTCDay() + 6) % 7; // lundi = 0
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - day);
+    }
+};
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { BackupHistoryService } from './BackupHistoryService.js';
+
+const DAY = 24 * 3600 * 1000;
+const NOW = Date.UTC(2026, 9, 18, 12, 0, 0); // dimanche 18 octobre 2026
+
+const version = (createdAt, id = String(createdAt)) => ({
+    id, name: `v${id}`, createdAt, deviceId: 'device_1', classCount: 1, studentCount: 1
+});
+
+describe('BackupHistoryService', () => {
+    describe('version names', () => {
+        it('should encode date, device and counts and read them back', () => {
+            const data = {
+                _meta: { deviceId: 'device_1700000000000_ab12cd' },
+                classes: [{ id: 'c1' }, { id: 'c2' }],
+                generatedResults: [{ id: 's1' }, { id: 's2' }, { id: 's3' }]
+            };
+
+            const name = BackupHistoryService.buildVersionName(data, NOW);
+            const info = BackupHistoryService.parseVersionName(name);
+
+            expect(name).toMatch(/\.json$/);
+            expect(info).toEqual({
+                name,
+                createdAt: NOW,
+                deviceId: 'device_1700000000000_ab12cd',
+                classCount: 2,
+                studentCount: 3
+            });
+        });
+
+        it('should ignore files that are not dated backups', () => {
+            expect(BackupHistoryService.parseVersionName('bulletin-ai-sync.json')).toBeNull();
+            expect(BackupHistoryService.parseVersionName('bulletin-ai-backup--nope--x--1c--2e.json')).toBeNull();
+        });
+
+        it('should list versions newest first and skip foreign files', () => {
+            const older = BackupHistoryService.buildVersionName({}, NOW - DAY);
+            const newer = BackupHistoryService.buildVersionName({}, NOW);
+
+            const versions = BackupHistoryService.toVersions([
+                { id: 'a', name: older },
+                { id: 'x', name: 'notes.txt' },
+                { id: 'b', name: newer }
+            ]);
+
+            expect(versions.map(v => v.id)).toEqual(['b', 'a']);
+        });
+    });
+
+    describe('selectVersionsToPrune', () => {
+        it('should keep the last 20 pushes', () => {
+            const versions = Array.from({ length: 20 }, (_, i) => version(NOW - i * 1000));
+
+            expect(BackupHistoryService.selectVersionsToPrune(versions, NOW)).toHaveLength(0);
+        });
+
+        it('should keep only the newest backup of each older week', () => {
+            const recent = Array.from({ length: 20 }, (_, i) => version(NOW - i * 1000));
+            // Semaine précédente (lundi 5 → mercredi 7 octobre) : 3 envois
+            const lastWeek = [
+                version(Date.UTC(2026, 9, 7, 18), 'wed'),
+                version(Date.UTC(2026, 9, 6, 18), 'tue'),
+                version(Date.UTC(2026, 9, 5, 18), 'mon')
+            ];
+
+            const pruned = BackupHistoryService.selectVersionsToPrune([...recent, ...lastWeek], NOW);
+
+            expect(pruned.map(v => v.id)).toEqual(['tue', 'mon']);
+        });
+
+        it('should drop backups older than the weekly window', () => {
+            const recent = Array.from({ length: 20 }, (_, i) => version(NOW - i * 1000));
+            const ancient = version(NOW - 60 * 7 * DAY, 'ancient');
+
+            const pruned = BackupHistoryService.selectVersionsToPrune([...recent, ancient], NOW);
+
+            expect(pruned.map(v => v.id)).toEqual(['ancient']);
+        });
+    });
+});
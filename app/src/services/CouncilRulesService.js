@@ -0,0 +1,322 @@
+/**
+ * @fileoverview Règles de proposition des mentions du conseil de classe
+ *
+ * Les règles sont évaluées dans l'ordre (`appState.councilRules`, null = règles par défaut) :
+ * la première règle dont toutes les conditions sont remplies donne la mention proposée.
+ * Une règle combine une plage de moyenne et d'évolution (exprimées sur 20, quel que soit
+ * le barème), un nombre d'observations du journal et un statut :
+ *
+ * `{ id, decision, gradeMin, gradeMax, evolutionMin, evolutionMax,
+ *    tag: { id, op: 'min'|'max', count } | null, status: { id, op: 'has'|'hasNot' } | null }`
+ *
+ * `tag.id` désigne une observation du journal ou une catégorie (`category:negative`).
+ * La décision enregistrée par le conseil (CouncilService) prime toujours sur la proposition.
+ *
+ * @module services/CouncilRulesService
+ */
+
+import { appState } from '../state/State.js';
+import { Utils } from '../utils/Utils.js';
+import { StatsService } from './StatsService.js';
+import { GradeScaleService } from './GradeScaleService.js';
+import { StatusService } from './StatusService.js';
+import { CouncilService, COUNCIL_DECISIONS } from './CouncilService.js';
+import { JournalManager } from '../managers/JournalManager.js';
+
+/** Préfixe des conditions portant sur une catégorie d'observations */
+export const TAG_CATEGORY_PREFIX = 'category:';
+
+/** Catégories d'observations utilisables dans les règles */
+export const TAG_CATEGORIES = [
+    { id: 'negative', label: 'négatives' },
+    { id: 'positive', label: 'positives' }
+];
+
+/** Règles livrées par défaut, par ordre de priorité */
+export const DEFAULT_COUNCIL_RULES = [
+    { id: 'rule_av_comportement', decision: 'avertissement-comportement', gradeMin: null, gradeMax: null, evolutionMin: null, evolutionMax: null, tag: { id: 'attitude-', op: 'min', count: 3 }, status: null },
+    { id: 'rule_av_travail', decision: 'avertissement-travail', gradeMin: null, gradeMax: 8, evolutionMin: null, evolutionMax: null, tag: { id: 'travail-', op: 'min', count: 2 }, status: null },
+    { id: 'rule_felicitations', decision: 'felicitations', gradeMin: 16, gradeMax: null, evolutionMin: null, evolutionMax: null, tag: { id: 'category:negative', op: 'max', count: 0 }, status: null },
+    { id: 'rule_compliments', decision: 'compliments', gradeMin: 14, gradeMax: null, evolutionMin: null, evolutionMax: null, tag: { id: 'category:negative', op: 'max', count: 2 }, status: null },
+    { id: 'rule_encouragements_progres', decision: 'encouragements', gradeMin: null, gradeMax: null, evolutionMin: 1.5, evolutionMax: null, tag: null, status: null },
+    { id: 'rule_encouragements', decision: 'encouragements', gradeMin: 12, gradeMax: null, evolutionMin: null, evolutionMax: null, tag: { id: 'category:negative', op: 'max', count: 2 }, status: null }
+];
+
+/** Nombre décimal borné, null si vide ou invalide */
+const toBound = (value, min, max) => {
+    if (value === null || value === undefined || value === '') return null;
+    const number = parseFloat(String(value).replace(',', '.'));
+    return isNaN(number) ? null : Math.min(max, Math.max(min, number));
+};
+
+/** Nombre au format français, sans zéro inutile ("1,5", "16") */
+const formatNumber = (value) => String(Math.round(value * 100) / 100).replace('.', ',');
+
+export const CouncilRulesService = {
+
+    /**
+     * @returns {Array<Object>} Règles courantes (celles de l'utilisateur, sinon les règles par défaut)
+     */
+    getRules() {
+        const rules = appState.councilRules;
+        return Array.isArray(rules) ? rules : DEFAULT_COUNCIL_RULES;
+    },
+
+    /**
+     * Normalise une saisie de règle
+     * @param {Object} data
+     * @returns {Object|null} Champs nettoyés, null si la mention est inconnue ou si aucune condition n'est posée
+     */
+    sanitize({ decision, gradeMin, gradeMax, evolutionMin, evolutionMax, tag, status }) {
+        if (!CouncilService.getDecisionType(decision)) return null;
+
+        const fields = {
+            decision,
+            gradeMin: toBound(gradeMin, 0, 20),
+            gradeMax: toBound(gradeMax, 0, 20),
+            evolutionMin: toBound(evolutionMin, -20, 20),
+            evolutionMax: toBound(evolutionMax, -20, 20),
+            tag: null,
+            status: null
+        };
+
+        const count = toBound(tag?.count, 0, 99);
+        if (tag?.id && count !== null) {
+            fields.tag = { id: String(tag.id), op: tag.op === 'max' ? 'max' : 'min', count: Math.round(count) };
+        }
+        if (status?.id) {
+            fields.status = { id: String(status.id), op: status.op === 'hasNot' ? 'hasNot' : 'has' };
+        }
+
+        // Une règle sans condition proposerait la même mention à toute la classe
+        const hasCondition = [fields.gradeMin, fields.gradeMax, fields.evolutionMin, fields.evolutionMax]
+            .some(v => v !== null) || fields.tag || fields.status;
+        return hasCondition ? fields : null;
+    },
+
+    /**
+     * Ajoute une règle en fin de liste (les règles par défaut sont d'abord copiées)
+     * @param {Object} data
+     * @returns {Object|null} Règle créée, null si la saisie est invalide
+     */
+    addRule(data) {
+        const fields = this.sanitize(data);
+        if (!fields) return null;
+
+        const rule = { id: `rule_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`, ...fields };
+        appState.councilRules = [...this.getRules(), rule];
+        return rule;
+    },
+
+    /**
+     * @param {string} ruleId
+     * @param {Object} updates
+     * @returns {Object|null} Règle modifiée, null si introuvable ou saisie invalide
+     */
+    updateRule(ruleId, updates) {
+        const rules = this.getRules();
+        const existing = rules.find(r => r.id === ruleId);
+        if (!existing) return null;
+
+        const fields = this.sanitize({ ...existing, ...updates });
+        if (!fields) return null;
+
+        const updated = { ...existing, ...fields };
+        appState.councilRules = rules.map(r => r.id === ruleId ? updated : r);
+        return updated;
+    },
+
+    /**
+     * @param {string} ruleId
+     * @returns {boolean} false si introuvable
+     */
+    removeRule(ruleId) {
+        const rules = this.getRules();
+        if (!rules.some(r => r.id === ruleId)) return false;
+        appState.councilRules = rules.filter(r => r.id !== ruleId);
+        return true;
+    },
+
+    /**
+     * Déplace une règle dans l'ordre de priorité
+     * @param {string} ruleId
+     * @param {number} delta - -1 pour monter, 1 pour descendre
+     * @returns {boolean} false si la règle est introuvable ou déjà en bout de liste
+     */
+    moveRule(ruleId, delta) {
+        const rules = [...this.getRules()];
+        const index = rules.findIndex(r => r.id === ruleId);
+        const target = index + delta;
+        if (index === -1 || target < 0 || target >= rules.length) return false;
+
+        [rules[index], rules[target]] = [rules[target], rules[index]];
+        appState.councilRules = rules;
+        return true;
+    },
+
+    /**
+     * Rétablit les règles par défaut
+     */
+    resetRules() {
+        appState.councilRules = null;
+    },
+
+    /**
+     * @param {string} tagId - Id d'observation ou `category:<catégorie>`
+     * @returns {string} Ex: "observations négatives", "« Bavardage »"
+     */
+    getTagConditionLabel(tagId) {
+        if (tagId?.startsWith(TAG_CATEGORY_PREFIX)) {
+            const category = TAG_CATEGORIES.find(c => `${TAG_CATEGORY_PREFIX}${c.id}` === tagId);
+            return `observations ${category?.label || tagId.slice(TAG_CATEGORY_PREFIX.length)}`;
+        }
+        return `« ${JournalManager.getTag(tagId)?.label || tagId} »`;
+    },
+
+    /**
+     * Résumé lisible des conditions d'une règle
+     * @param {Object} rule
+     * @returns {string} Ex: "Moyenne ≥ 16 · au plus 0 observations négatives"
+     */
+    describeRule(rule) {
+        const parts = [];
+        const range = (label, min, max, unit = '') => {
+            if (min !== null && max !== null) parts.push(`${label} entre ${formatNumber(min)}${unit} et ${formatNumber(max)}${unit}`);
+            else if (min !== null) parts.push(`${label} ≥ ${formatNumber(min)}${unit}`);
+            else if (max !== null) parts.push(`${label} ≤ ${formatNumber(max)}${unit}`);
+        };
+
+        range('Moyenne', rule.gradeMin ?? null, rule.gradeMax ?? null);
+        range('Évolution', rule.evolutionMin ?? null, rule.evolutionMax ?? null, ' pt');
+        if (rule.tag) {
+            parts.push(`${rule.tag.op === 'max' ? 'au plus' : 'au moins'} ${rule.tag.count} × ${this.getTagConditionLabel(rule.tag.id)}`);
+        }
+        if (rule.status) {
+            const label = StatusService.getCatalogue().find(s => s.id === rule.status.id)?.label || rule.status.id;
+            parts.push(`${rule.status.op === 'hasNot' ? 'sans' : 'avec'} statut ${label}`);
+        }
+        return parts.join(' · ');
+    },
+
+    /**
+     * Données d'un élève utiles à l'évaluation des règles, ramenées sur 20
+     * @param {Object} result - Résultat élève
+     * @param {string} period
+     * @returns {{grade: number|null, evolution: number|null, tagCounts: Object<string, number>, statusIds: Set<string>}}
+     */
+    getStudentFacts(result, period) {
+        const scale = GradeScaleService.getScale(result.classId ?? null);
+        const periods = result.studentData?.periods || {};
+
+        const grade = GradeScaleService.toTwenty(periods[period]?.grade, scale);
+        const evolution = Utils.getRelevantEvolution(StatsService.analyserEvolution(periods, scale), period);
+        const evolutionValue = evolution ? GradeScaleService.diffToTwenty(evolution.valeur, scale) : NaN;
+
+        const tagCounts = { ...JournalManager.countTags(result.id, period) };
+        Object.entries({ ...tagCounts }).forEach(([tagId, count]) => {
+            const category = JournalManager.getTag(tagId)?.category;
+            if (!category) return;
+            const key = `${TAG_CATEGORY_PREFIX}${category}`;
+            tagCounts[key] = (tagCounts[key] || 0) + count;
+        });
+
+        const statusIds = new Set((result.studentData?.statuses || [])
+            .map(s => StatusService.find(s)?.id)
+            .filter(Boolean));
+
+        return {
+            grade: isNaN(grade) ? null : grade,
+            evolution: isNaN(evolutionValue) ? null : evolutionValue,
+            tagCounts,
+            statusIds
+        };
+    },
+
+    /**
+     * Vérifie les conditions d'une règle. Une borne de moyenne ou d'évolution n'est jamais
+     * remplie en l'absence de note.
+     * @param {Object} rule
+     * @param {Object} facts - Issu de getStudentFacts
+     * @returns {boolean}
+     */
+    matches(rule, facts) {
+        const inRange = (value, min = null, max = null) => {
+            if (min === null && max === null) return true;
+            if (value === null) return false;
+            return (min === null || value >= min) && (max === null || value <= max);
+        };
+
+        if (!inRange(facts.grade, rule.gradeMin, rule.gradeMax)) return false;
+        if (!inRange(facts.evolution, rule.evolutionMin, rule.evolutionMax)) return false;
+
+        if (rule.tag) {
+            const count = facts.tagCounts[rule.tag.id] || 0;
+            if (rule.tag.op === 'max' ? count > rule.tag.count : count < rule.tag.count) return false;
+        }
+        if (rule.status) {
+            const has = facts.statusIds.has(rule.status.id);
+            if (rule.status.op === 'hasNot' ? has : !has) return false;
+        }
+        return true;
+    },
+
+    /**
+     * Mention proposée par la première règle remplie
+     * @param {Object} result - Résultat élève
+     * @param {string} [period=appState.currentPeriod]
+     * @returns {{decision: Object, rule: Object}|null} null si aucune règle ne s'applique
+     */
+    propose(result, period = appState.currentPeriod) {
+        if (!result) return null;
+        const facts = this.getStudentFacts(result, period);
+        const rule = this.getRules().find(r => CouncilService.getDecisionType(r.decision) && this.matches(r, facts));
+        return rule ? { decision: CouncilService.getDecisionType(rule.decision), rule } : null;
+    },
+
+    /**
+     * Mention à afficher : la décision du conseil si elle est enregistrée, sinon la proposition
+     * @param {Object} result - Résultat élève
+     * @param {string} [period=appState.currentPeriod]
+     * @returns {{decision: Object, source: 'decision'|'proposal', rule: Object|null}|null}
+     */
+    getMention(result, period = appState.currentPeriod) {
+        const recorded = CouncilService.getDecision(result?.studentData, period);
+        if (recorded) {
+            return { decision: CouncilService.getDecisionType(recorded.id), source: 'decision', rule: null };
+        }
+        const proposal = this.propose(result, period);
+        return proposal ? { ...proposal, source: 'proposal' } : null;
+    },
+
+    /**
+     * Badge d'une mention (variante `tag-*` de la décision ; contour pointillé pour une proposition)
+     * @param {Object} mention - Issu de getMention
+     * @returns {{className: string, label: string, tooltip: string}}
+     */
+    getBadgeInfo(mention) {
+        const { decision, source, rule } = mention;
+        const isProposal = source === 'proposal';
+        return {
+            className: `tag-badge tag-${decision.color} council-mention-badge${isProposal ? ' is-proposal' : ''}`,
+            label: decision.short,
+            tooltip: isProposal
+                ? `Proposition : ${decision.label}${rule ? ` (${this.describeRule(rule)})` : ''}`
+                : `Conseil : ${decision.label}`
+        };
+    },
+
+    /**
+     * Compte les mentions d'une période
+     * @param {Array<Object>} results - Élèves
+     * @param {string} [period=appState.currentPeriod]
+     * @returns {Object<string, {decided: number, proposed: number}>} Par id de mention
+     */
+    countMentions(results, period = appState.currentPeriod) {
+        const counts = Object.fromEntries(COUNCIL_DECISIONS.map(d => [d.id, { decided: 0, proposed: 0 }]));
+        (results || []).forEach(r => {
+            const mention = this.getMention(r, period);
+            if (mention) counts[mention.decision.id][mention.source === 'decision' ? 'decided' : 'proposed']++;
+        });
+        return counts;
+    }
+};
@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { CouncilRulesService, DEFAULT_COUNCIL_RULES } from './CouncilRulesService.js';
+import { appState } from '../state/State.js';
+import { JournalManager } from '../managers/JournalManager.js';
+
+vi.mock('../state/State.js', () => ({
+    appState: {
+        currentPeriod: 'T2',
+        currentClassId: 'c1',
+        classes: [{ id: 'c1' }],
+        councilRules: null,
+        statusCatalogue: null,
+        evolutionThresholds: { veryPositive: 2, positive: 0.5, negative: -0.5, veryNegative: -2 }
+    }
+}));
+
+vi.mock('../utils/Utils.js', () => ({
+    Utils: {
+        getPeriods: vi.fn(() => ['T1', 'T2', 'T3']),
+        getRelevantEvolution: vi.fn((evolutions, period) => evolutions.find(e => e.periode.endsWith(`-${period}`)))
+    }
+}));
+
+vi.mock('../managers/JournalManager.js', () => {
+    const tags = {
+        'bavardage': { id: 'bavardage', label: 'Bavardage', category: 'negative' },
+        'travail-': { id: 'travail-', label: 'Travail insuffisant', category: 'negative' },
+        'attitude-': { id: 'attitude-', label: 'Attitude -', category: 'negative' },
+        'participation+': { id: 'participation+', label: 'Participation', category: 'positive' }
+    };
+    return {
+        JournalManager: {
+            countTags: vi.fn(() => ({})),
+            getTag: vi.fn(id => tags[id] || null)
+        }
+    };
+});
+
+const student = (id, periods, statuses = []) => ({ id, classId: 'c1', studentData: { periods, statuses } });
+
+describe('CouncilRulesService', () => {
+    beforeEach(() => {
+        appState.councilRules = null;
+        JournalManager.countTags.mockReturnValue({});
+    });
+
+    it('should propose the first matching default rule', () => {
+        expect(CouncilRulesService.propose(student('s1', { T2: { grade: 17 } }), 'T2').decision.id).toBe('felicitations');
+        expect(CouncilRulesService.propose(student('s2', { T1: { grade: 9 }, T2: { grade: 11 } }), 'T2').decision.id).toBe('encouragements');
+        expect(CouncilRulesService.propose(student('s3', { T2: { grade: 10 } }), 'T2')).toBeNull();
+        expect(CouncilRulesService.propose(student('s4', {}), 'T2')).toBeNull();
+    });
+
+    it('should count journal tags and their categories', () => {
+        JournalManager.countTags.mockReturnValue({ 'bavardage': 1 });
+        expect(CouncilRulesService.propose(student('s1', { T2: { grade: 17 } }), 'T2').decision.id).toBe('compliments');
+
+        JournalManager.countTags.mockReturnValue({ 'travail-': 2 });
+        expect(CouncilRulesService.propose(student('s2', { T2: { grade: 7 } }), 'T2').decision.id).toBe('avertissement-travail');
+
+        JournalManager.countTags.mockReturnValue({ 'attitude-': 3 });
+        expect(CouncilRulesService.propose(student('s3', { T2: { grade: 18 } }), 'T2').decision.id).toBe('avertissement-comportement');
+    });
+
+    it('should compare grades on 20 whatever the class scale', () => {
+        appState.classes = [{ id: 'c1', gradeScale: { type: 'numeric', max: 10, step: 0.5 } }];
+        expect(CouncilRulesService.propose(student('s1', { T2: { grade: 8.5 } }), 'T2').decision.id).toBe('felicitations');
+        appState.classes = [{ id: 'c1' }];
+    });
+
+    it('should let a recorded decision override the proposal', () => {
+        const result = student('s1', { T2: { grade: 17, councilDecision: { id: 'encouragements', inPrompt: false } } });
+
+        expect(CouncilRulesService.getMention(result, 'T2')).toMatchObject({ source: 'decision', rule: null, decision: { id: 'encouragements' } });
+        delete result.studentData.periods.T2.councilDecision;
+        expect(CouncilRulesService.getMention(result, 'T2')).toMatchObject({ source: 'proposal', decision: { id: 'felicitations' } });
+
+        const counts = CouncilRulesService.countMentions([result, student('s2', { T2: { grade: 17, councilDecision: { id: 'felicitations' } } })], 'T2');
+        expect(counts.felicitations).toEqual({ decided: 1, proposed: 1 });
+    });
+
+    it('should match statuses from the catalogue', () => {
+        appState.councilRules = [
+            { id: 'r1', decision: 'encouragements', gradeMin: null, gradeMax: null, evolutionMin: null, evolutionMax: null, tag: null, status: { id: 'ppre', op: 'has' } }
+        ];
+        expect(CouncilRulesService.propose(student('s1', { T2: {} }, ['ppre']), 'T2').decision.id).toBe('encouragements');
+        expect(CouncilRulesService.propose(student('s2', { T2: {} }, ['PAP']), 'T2')).toBeNull();
+    });
+
+    it('should edit rules on a copy of the defaults and reject rules without conditions', () => {
+        expect(CouncilRulesService.addRule({ decision: 'compliments' })).toBeNull();
+        expect(CouncilRulesService.addRule({ decision: 'inconnue', gradeMin: 10 })).toBeNull();
+
+        const rule = CouncilRulesService.addRule({ decision: 'mise-en-garde', gradeMax: '6,5', tag: { id: 'bavardage', op: 'min', count: '4' } });
+        expect(rule).toMatchObject({ gradeMax: 6.5, gradeMin: null, tag: { id: 'bavardage', op: 'min', count: 4 }, status: null });
+        expect(appState.councilRules).toHaveLength(DEFAULT_COUNCIL_RULES.length + 1);
+        expect(CouncilRulesService.describeRule(rule)).toBe('Moyenne ≤ 6,5 · au moins 4 × « Bavardage »');
+
+        expect(CouncilRulesService.moveRule(rule.id, 1)).toBe(false);
+        expect(CouncilRulesService.moveRule(rule.id, -1)).toBe(true);
+        expect(appState.councilRules.at(-2).id).toBe(rule.id);
+
+        expect(CouncilRulesService.updateRule(rule.id, { gradeMax: '', tag: null })).toBeNull();
+        expect(CouncilRulesService.updateRule(rule.id, { gradeMin: 2 }).gradeMin).toBe(2);
+        expect(CouncilRulesService.removeRule(rule.id)).toBe(true);
+        expect(DEFAULT_COUNCIL_RULES).toHaveLength(6);
+    });
+});
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Décisions du conseil de classe (félicitations, compliments, encouragements,
+ * mise en garde, avertissements)
+ *
+ * La décision est enregistrée par période dans `studentData.periods[P].councilDecision`
+ * sous la forme `{ id: 'felicitations', inPrompt: true, updatedAt }`.
+ * `inPrompt` indique si la décision doit être transmise à l'IA lors d'une régénération.
+ *
+ * @module services/CouncilService
+ */
+
+import { Utils } from '../utils/Utils.js';
+import { GradeScaleService } from './GradeScaleService.js';
+
+/** Décisions possibles, des plus valorisantes aux avertissements */
+export const COUNCIL_DECISIONS = [
+    { id: 'felicitations', label: 'Félicitations', short: 'FÉL', color: 'success', icon: 'solar:cup-star-bold' },
+    { id: 'compliments', label: 'Compliments', short: 'COMP', color: 'info', icon: 'solar:medal-ribbon-star-bold' },
+    { id: 'encouragements', label: 'Encouragements', short: 'ENC', color: 'purple', icon: 'solar:like-bold' },
+    { id: 'mise-en-garde', label: 'Mise en garde', short: 'MEG', color: 'warning', icon: 'solar:danger-triangle-bold' },
+    { id: 'avertissement-travail', label: 'Avertissement travail', short: 'AV-T', color: 'danger', icon: 'solar:notebook-bold' },
+    { id: 'avertissement-comportement', label: 'Avertissement comportement', short: 'AV-C', color: 'danger', icon: 'solar:sad-circle-bold' }
+];
+
+export const CouncilService = {
+    /**
+     * @param {string} decisionId
+     * @returns {Object|undefined} Décision de COUNCIL_DECISIONS
+     */
+    getDecisionType(decisionId) {
+        return COUNCIL_DECISIONS.find(d => d.id === decisionId);
+    },
+
+    /**
+     * Décision enregistrée pour une période
+     * @param {Object} studentData
+     * @param {string} period
+     * @returns {{id: string, inPrompt: boolean, updatedAt: number}|null} null si aucune décision valide
+     */
+    getDecision(studentData, period) {
+        const decision = studentData?.periods?.[period]?.councilDecision;
+        return decision && this.getDecisionType(decision.id) ? decision : null;
+    },
+
+    /**
+     * Enregistre (ou efface) la décision d'une période
+     * @param {Object} studentData
+     * @param {string} period
+     * @param {string|null} decisionId - null pour effacer
+     * @param {Object} [options]
+     * @param {boolean} [options.inPrompt] - Transmettre à l'IA (conserve le choix précédent si omis)
+     */
+    setDecision(studentData, period, decisionId, { inPrompt } = {}) {
+        if (!studentData) return;
+        const type = this.getDecisionType(decisionId);
+        const periodData = studentData.periods?.[period];
+
+        if (!type) {
+            if (periodData) delete periodData.councilDecision;
+            return;
+        }
+
+        if (!studentData.periods) studentData.periods = {};
+        if (!studentData.periods[period]) studentData.periods[period] = {};
+        const previous = studentData.periods[period].councilDecision;
+
+        studentData.periods[period].councilDecision = {
+            id: type.id,
+            inPrompt: inPrompt ?? previous?.inPrompt ?? false,
+            updatedAt: Date.now()
+        };
+    },
+
+    /**
+     * Ligne de prompt pour la décision, si l'enseignant a choisi de la transmettre
+     * @param {Object} studentData
+     * @param {string} period
+     * @returns {string} Ex: "Félicitations", vide sinon
+     */
+    formatForPrompt(studentData, period) {
+        const decision = this.getDecision(studentData, period);
+        return decision?.inPrompt ? this.getDecisionType(decision.id).label : '';
+    },
+
+    /**
+     * Notes d'un élève sur les périodes jusqu'à la période donnée (courbe de tendance)
+     * @param {Object} studentData
+     * @param {string} period - Dernière période incluse
+     * @param {Object} [scale] - Barème de la classe
+     * @returns {Array<{period: string, grade: number|null}>}
+     */
+    getGradeTrend(studentData, period, scale = GradeScaleService.getScale()) {
+        const periods = Utils.getPeriods();
+        const index = periods.indexOf(period);
+        return periods.slice(0, index + 1).map(p => {
+            const grade = GradeScaleService.parse(studentData?.periods?.[p]?.grade, scale);
+            return { period: p, grade: isNaN(grade) ? null : grade };
+        });
+    },
+
+    /**
+     * Compte les décisions d'une période
+     * @param {Array<Object>} results - Élèves
+     * @param {string} period
+     * @returns {Object<string, number>} Effectif par id de décision
+     */
+    countDecisions(results, period) {
+        const counts = Object.fromEntries(COUNCIL_DECISIONS.map(d => [d.id, 0]));
+        (results || []).forEach(r => {
+            const decision = this.getDecision(r.studentData, period);
+            if (decision) counts[decision.id]++;
+        });
+        return counts;
+    },
+
+    /**
+     * Relevé des décisions d'une période au format CSV (séparateur ";", BOM UTF-8 pour Excel)
+     * @param {Array<Object>} results - Élèves, dans l'ordre du relevé
+     * @param {string} period
+     * @param {Object} [scale] - Barème de la classe
+     * @param {Object} [options]
+     * @param {function(Object): ({decision: Object}|null)} [options.getProposal] - Mention proposée
+     *        pour un élève (CouncilRulesService.propose) ; ajoute une colonne "Proposition"
+     * @returns {string}
+     */
+    buildCsv(results, period, scale = GradeScaleService.getScale(), { getProposal = null } = {}) {
+        const clean = (value) => {
+            const str = String(value ?? '').replace(/[\n\r]+/g, ' ').trim().replace(/"/g, '""');
+            return (/[",;]/).test(str) ? `"${str}"` : str;
+        };
+
+        const rows = (results || []).map(r => {
+            const decision = this.getDecision(r.studentData, period);
+            const grade = GradeScaleService.parse(r.studentData?.periods?.[period]?.grade, scale);
+            return [
+                r.nom,
+                r.prenom,
+                isNaN(grade) ? '' : GradeScaleService.formatValue(grade, scale),
+                decision ? this.getDecisionType(decision.id).label : '',
+                ...(getProposal ? [getProposal(r)?.decision.label ?? ''] : [])
+            ].map(clean).join(';');
+        });
+
+        const headers = ['Nom', 'Prénom', `Moy ${period}`, `Conseil ${period}`, ...(getProposal ? [`Proposition ${period}`] : [])];
+        return '\uFEFF' + headers.join(';') + '\n' + rows.join('\n');
+    }
+};
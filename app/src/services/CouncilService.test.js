@@ -0,0 +1,71 @@
+import { describe, it, expect, vi } from 'vitest';
+import { CouncilService } from './CouncilService.js';
+
+vi.mock('../state/State.js', () => ({
+    appState: {
+        currentClassId: 'c1',
+        periodSystem: 'trimestres',
+        classes: [{ id: 'c1' }]
+    }
+}));
+
+vi.mock('../utils/Utils.js', () => ({
+    Utils: {
+        getPeriods: vi.fn(() => ['T1', 'T2', 'T3'])
+    }
+}));
+
+const student = (nom, prenom, periods) => ({ nom, prenom, studentData: { periods } });
+
+describe('CouncilService', () => {
+    it('should set, keep the prompt choice and clear a decision per period', () => {
+        const studentData = { periods: { T1: { grade: 12 } } };
+
+        CouncilService.setDecision(studentData, 'T2', 'compliments', { inPrompt: true });
+        CouncilService.setDecision(studentData, 'T2', 'felicitations');
+
+        expect(CouncilService.getDecision(studentData, 'T2')).toMatchObject({ id: 'felicitations', inPrompt: true });
+        expect(CouncilService.getDecision(studentData, 'T1')).toBeNull();
+        expect(CouncilService.formatForPrompt(studentData, 'T2')).toBe('Félicitations');
+
+        CouncilService.setDecision(studentData, 'T2', 'inconnue');
+        expect(CouncilService.getDecision(studentData, 'T2')).toBeNull();
+        expect(studentData.periods.T1).toEqual({ grade: 12 });
+    });
+
+    it('should not pass a decision to the prompt unless asked', () => {
+        const studentData = { periods: { T1: { councilDecision: { id: 'mise-en-garde', inPrompt: false } } } };
+        expect(CouncilService.formatForPrompt(studentData, 'T1')).toBe('');
+    });
+
+    it('should build the grade trend up to the period', () => {
+        const trend = CouncilService.getGradeTrend({ periods: { T1: { grade: 11 }, T2: { grade: '' }, T3: { grade: 15 } } }, 'T2');
+        expect(trend).toEqual([{ period: 'T1', grade: 11 }, { period: 'T2', grade: null }]);
+    });
+
+    it('should count and export the decisions of a period', () => {
+        const results = [
+            student('MARTIN', 'Léa', { T1: { grade: 16.5, councilDecision: { id: 'felicitations' } } }),
+            student('DURAND', 'Lucas; Jr', { T1: { grade: 8 } }),
+            student('PETIT', 'Hugo', { T1: { councilDecision: { id: 'felicitations' } } })
+        ];
+
+        expect(CouncilService.countDecisions(results, 'T1')).toEqual({
+            'felicitations': 2, 'compliments': 0, 'encouragements': 0, 'mise-en-garde': 0,
+            'avertissement-travail': 0, 'avertissement-comportement': 0
+        });
+        expect(CouncilService.buildCsv(results, 'T1').split('\n')).toEqual([
+            '\uFEFFNom;Prénom;Moy T1;Conseil T1',
+            'MARTIN;Léa;"16,5";Félicitations',
+            'DURAND;"Lucas; Jr";"8,0";',
+            'PETIT;Hugo;;Félicitations'
+        ]);
+
+        const getProposal = (r) => r.nom === 'DURAND' ? { decision: { label: 'Encouragements' } } : null;
+        expect(CouncilService.buildCsv(results, 'T1', undefined, { getProposal }).split('\n').slice(0, 3)).toEqual([
+            '\uFEFFNom;Prénom;Moy T1;Conseil T1;Proposition T1',
+            'MARTIN;Léa;"16,5";Félicitations;',
+            'DURAND;"Lucas; Jr";"8,0";;Encouragements'
+        ]);
+    });
+});
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Chiffrement de bout en bout des sauvegardes (Cloud et export JSON).
+ *
+ * Le contenu est chiffré côté navigateur (WebCrypto AES-GCM 256 bits) avec une clé
+ * dérivée de la phrase de passe (PBKDF2-SHA-256). Seules les métadonnées techniques
+ * (`_meta` : dates, appareil, version) restent lisibles dans l'enveloppe.
+ *
+ * @module services/CryptoService
+ */
+
+const ENCRYPTED_FORMAT = 'bulletin-ai-encrypted';
+const FORMAT_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * @typedef {Object} EncryptedEnvelope
+ * @property {Object} [_meta] - Métadonnées non sensibles, en clair
+ * @property {{format: string, version: number, cipher: string, kdf: string, hash: string, iterations: number, salt: string, iv: string}} encryption
+ * @property {string} payload - Données chiffrées (base64)
+ */
+
+export const CryptoService = {
+    /**
+     * Indique si des données (objet ou texte JSON) sont une enveloppe chiffrée.
+     * @param {Object|string|null} data
+     * @returns {boolean}
+     */
+    isEncrypted(data) {
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch {
+                return false;
+            }
+        }
+        return data?.encryption?.format === ENCRYPTED_FORMAT && typeof data.payload === 'string';
+    },
+
+    /**
+     * Chiffre un objet JSON avec une phrase de passe.
+     * @param {Object} data - Données à protéger
+     * @param {string} passphrase
+     * @returns {Promise<EncryptedEnvelope>}
+     */
+    async encrypt(data, passphrase) {
+        if (!passphrase) throw new Error('Phrase de passe manquante.');
+
+        const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const key = await this._deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+
+        const plaintext = new TextEncoder().encode(JSON.stringify(data));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+
+        return {
+            _meta: { ...data?._meta, encrypted: true },
+            encryption: {
+                format: ENCRYPTED_FORMAT,
+                version: FORMAT_VERSION,
+                cipher: 'AES-GCM',
+                kdf: 'PBKDF2',
+                hash: 'SHA-256',
+                iterations: PBKDF2_ITERATIONS,
+                salt: this._toBase64(salt),
+                iv: this._toBase64(iv)
+            },
+            payload: this._toBase64(new Uint8Array(ciphertext))
+        };
+    },
+
+    /**
+     * Déchiffre une enveloppe. L'authentification AES-GCM garantit qu'une mauvaise
+     * phrase de passe échoue franchement au lieu de produire des données corrompues.
+     * @param {EncryptedEnvelope} envelope
+     * @param {string} passphrase
+     * @returns {Promise<Object>} Données d'origine
+     * @throws {Error} Phrase de passe incorrecte ou fichier altéré
+     */
+    async decrypt(envelope, passphrase) {
+        if (!this.isEncrypted(envelope)) throw new Error('Ces données ne sont pas chiffrées.');
+        if (!passphrase) throw new Error('Phrase de passe manquante.');
+
+        const { version, salt, iv, iterations } = envelope.encryption;
+        if (version > FORMAT_VERSION) {
+            throw new Error('Format de chiffrement plus récent que cette version de l\'application.');
+        }
+
+        const key = await this._deriveKey(passphrase, this._fromBase64(salt), iterations || PBKDF2_ITERATIONS);
+
+        let plaintext;
+        try {
+            plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this._fromBase64(iv) },
+                key,
+                this._fromBase64(envelope.payload)
+            );
+        } catch {
+            throw new Error('Phrase de passe incorrecte ou sauvegarde altérée.');
+        }
+
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    },
+
+    /**
+     * Dérive une clé AES-GCM 256 bits depuis la phrase de passe.
+     * @private
+     */
+    async _deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    /**
+     * Encode des octets en base64, par blocs pour ne pas saturer la pile sur les gros fichiers.
+     * @private
+     */
+    _toBase64(bytes) {
+        let binary = '';
+        const CHUNK = 0x8000;
+        for (let i = 0; i < bytes.length; i += CHUNK) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+        }
+        return btoa(binary);
+    },
+
+    /** @private */
+    _fromBase64(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+};
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { CryptoService } from './CryptoService.js';
+
+const sample = {
+    _meta: { deviceId: 'device_1', exportType: 'full_backup' },
+    generatedResults: [{ id: 's1', nom: 'DUPONT', prenom: 'Léa', appreciation: 'Élève sérieuse.' }]
+};
+
+describe('CryptoService', () => {
+    it('should round-trip data with the right passphrase', async () => {
+        const envelope = await CryptoService.encrypt(sample, 'correct horse');
+
+        expect(CryptoService.isEncrypted(envelope)).toBe(true);
+        await expect(CryptoService.decrypt(envelope, 'correct horse')).resolves.toEqual(sample);
+    });
+
+    it('should not leak student data in the envelope', async () => {
+        const envelope = await CryptoService.encrypt(sample, 'correct horse');
+        const serialized = JSON.stringify(envelope);
+
+        expect(serialized).not.toContain('DUPONT');
+        expect(serialized).not.toContain('sérieuse');
+        expect(envelope._meta).toMatchObject({ deviceId: 'device_1', encrypted: true });
+    });
+
+    it('should reject a wrong passphrase with a clear error', async () => {
+        const envelope = await CryptoService.encrypt(sample, 'correct horse');
+
+        await expect(CryptoService.decrypt(envelope, 'wrong horse'))
+            .rejects.toThrow('Phrase de passe incorrecte');
+    });
+
+    it('should detect encrypted JSON text and ignore plain backups', async () => {
+        const envelope = await CryptoService.encrypt(sample, 'pass');
+
+        expect(CryptoService.isEncrypted(JSON.stringify(envelope))).toBe(true);
+        expect(CryptoService.isEncrypted(sample)).toBe(false);
+        expect(CryptoService.isEncrypted('not json')).toBe(false);
+        expect(CryptoService.isEncrypted(null)).toBe(false);
+    });
+});
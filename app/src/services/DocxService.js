@@ -0,0 +1,370 @@
+/**
+ * @fileoverview Génération de documents Word (.docx) sans dépendance ni accès réseau.
+ *
+ * Un .docx est une archive ZIP de fichiers XML (Office Open XML) : ce service écrit
+ * les parties minimales (types de contenu, relations, styles, document) à partir
+ * d'une liste de blocs (titres, paragraphes, puces, tableaux).
+ *
+ * @module services/DocxService
+ */
+
+import { createZip } from '../utils/ZipUtils.js';
+
+export const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+/** Largeur utile d'une page A4 avec des marges de 2 cm (en twips) */
+const CONTENT_WIDTH = 9638;
+
+const MUTED_COLOR = '6B7280';
+
+const NS = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" '
+    + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+</Types>`;
+
+const ROOT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`;
+
+const DOCUMENT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles ${NS}>
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="20"/><w:szCs w:val="20"/><w:lang w:val="fr-FR"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="80" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="40"/></w:pPr><w:rPr><w:b/><w:sz w:val="36"/><w:szCs w:val="36"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="320" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:color w:val="1F3864"/><w:sz w:val="28"/><w:szCs w:val="28"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="200" w:after="80"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="24"/><w:szCs w:val="24"/></w:rPr></w:style>
+</w:styles>`;
+
+/** Balises HTML traitées comme des blocs par htmlToBlocks */
+const BLOCK_TAGS = new Set(['P', 'DIV', 'SECTION', 'UL', 'OL', 'LI', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'TABLE']);
+
+/**
+ * @typedef {Object} DocxRun
+ * @property {string} text - Texte (les retours à la ligne deviennent des sauts de ligne)
+ * @property {boolean} [bold]
+ * @property {boolean} [italic]
+ * @property {string} [color] - Couleur hexadécimale sans #
+ */
+
+/**
+ * @typedef {Object} DocxBlock
+ * @property {'title'|'heading'|'paragraph'|'bullet'|'table'} type
+ * @property {string} [text] - Raccourci pour un unique run
+ * @property {DocxRun[]} [runs]
+ * @property {number} [level] - Niveau de titre (1 ou 2)
+ * @property {boolean} [muted] - Texte grisé
+ * @property {Array<{label: string, width: number}>} [columns] - Tableau : colonnes (largeur en fraction)
+ * @property {Array<Array<string|DocxBlock[]>>} [rows] - Tableau : cellules (texte ou blocs)
+ */
+
+/**
+ * Rassemble les runs inline d'un nœud HTML (gras, italique, sauts de ligne)
+ * @param {Node} node
+ * @param {{bold: boolean, italic: boolean}} format
+ * @param {DocxRun[]} runs
+ */
+const collectRuns = (node, format, runs) => {
+    node.childNodes.forEach(child => {
+        if (child.nodeType === 3) {
+            const text = child.textContent.replace(/\s+/g, ' ');
+            if (text) runs.push({ text, ...format });
+        } else if (child.nodeType === 1) {
+            const tag = child.tagName;
+            if (tag === 'BR') {
+                runs.push({ text: '\n', ...format });
+            } else {
+                collectRuns(child, {
+                    bold: format.bold || tag === 'STRONG' || tag === 'B',
+                    italic: format.italic || tag === 'EM' || tag === 'I'
+                }, runs);
+            }
+        }
+    });
+};
+
+/**
+ * Nettoie les espaces en début et fin de paragraphe
+ * @param {DocxRun[]} runs
+ * @returns {DocxRun[]} Runs non vides (tableau vide si le paragraphe l'est)
+ */
+const trimRuns = (runs) => {
+    const result = runs.filter(run => run.text);
+    if (result.length === 0) return [];
+    result[0] = { ...result[0], text: result[0].text.replace(/^[ \n]+/, '') };
+    const last = result.length - 1;
+    result[last] = { ...result[last], text: result[last].text.replace(/[ \n]+$/, '') };
+    return result.some(run => run.text.trim()) ? result.filter(run => run.text) : [];
+};
+
+export const DocxService = {
+    /**
+     * Échappe un texte pour XML (et retire les caractères de contrôle interdits)
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeXml(text) {
+        return String(text ?? '')
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    /**
+     * Convertit du HTML simple (synthèse de classe) en blocs : titres, paragraphes, puces.
+     * Le gras et l'italique sont conservés, le reste de la mise en forme est ignoré.
+     * @param {string} html
+     * @returns {DocxBlock[]}
+     */
+    htmlToBlocks(html) {
+        if (!html || !String(html).trim()) return [];
+
+        const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+        const blocks = [];
+        const pushRuns = (type, node) => {
+            const runs = [];
+            collectRuns(node, { bold: false, italic: false }, runs);
+            const trimmed = trimRuns(runs);
+            if (trimmed.length > 0) blocks.push({ type, runs: trimmed });
+        };
+
+        const walk = (parent) => {
+            let inline = [];
+            const flushInline = () => {
+                if (inline.length === 0) return;
+                const wrapper = doc.createElement('p');
+                inline.forEach(node => wrapper.appendChild(node.cloneNode(true)));
+                pushRuns('paragraph', wrapper);
+                inline = [];
+            };
+
+            parent.childNodes.forEach(node => {
+                if (node.nodeType !== 1 || !BLOCK_TAGS.has(node.tagName)) {
+                    inline.push(node);
+                    return;
+                }
+                flushInline();
+
+                const tag = node.tagName;
+                if (/^H[1-6]$/.test(tag)) {
+                    const runs = [];
+                    collectRuns(node, { bold: false, italic: false }, runs);
+                    const text = trimRuns(runs).map(run => run.text).join('');
+                    if (text) blocks.push({ type: 'heading', level: 2, text });
+                } else if (tag === 'UL' || tag === 'OL') {
+                    node.querySelectorAll(':scope > li').forEach(li => pushRuns('bullet', li));
+                } else if ([...node.children].some(child => BLOCK_TAGS.has(child.tagName))) {
+                    walk(node);
+                } else {
+                    pushRuns(tag === 'LI' ? 'bullet' : 'paragraph', node);
+                }
+            });
+            flushInline();
+        };
+
+        walk(doc.body);
+        return blocks;
+    },
+
+    /**
+     * Convertit un texte brut multiligne en blocs (les lignes "- ", "* " ou "• " deviennent des puces)
+     * @param {string} text
+     * @returns {DocxBlock[]}
+     */
+    textToBlocks(text) {
+        return String(text ?? '')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const bullet = line.match(/^[-*•]\s+(.*)$/);
+                return bullet ? { type: 'bullet', text: bullet[1] } : { type: 'paragraph', text: line };
+            });
+    },
+
+    /**
+     * XML d'un run
+     * @param {DocxRun} run
+     * @param {boolean} [muted=false]
+     * @returns {string}
+     * @private
+     */
+    _runXml(run, muted = false) {
+        const props = [
+            run.bold ? '<w:b/>' : '',
+            run.italic ? '<w:i/>' : '',
+            (run.color || muted) ? `<w:color w:val="${run.color || MUTED_COLOR}"/>` : ''
+        ].join('');
+        const content = String(run.text ?? '').split('\n')
+            .map(part => `<w:t xml:space="preserve">${this.escapeXml(part)}</w:t>`)
+            .join('<w:br/>');
+        return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${content}</w:r>`;
+    },
+
+    /**
+     * XML d'un bloc de texte (titre, paragraphe, puce)
+     * @param {DocxBlock} block
+     * @returns {string}
+     * @private
+     */
+    _paragraphXml(block) {
+        const runs = block.runs || [{ text: block.text ?? '' }];
+        let props = '';
+        if (block.type === 'title') props = '<w:pStyle w:val="Title"/>';
+        if (block.type === 'heading') props = `<w:pStyle w:val="Heading${block.level === 2 ? 2 : 1}"/>`;
+        if (block.type === 'bullet') {
+            props = '<w:tabs><w:tab w:val="left" w:pos="284"/></w:tabs><w:spacing w:after="40"/><w:ind w:left="284" w:hanging="227"/>';
+        }
+
+        const bullet = block.type === 'bullet' ? this._runXml({ text: '•\t' }) : '';
+        const pPr = props ? `<w:pPr>${props}</w:pPr>` : '';
+        return `<w:p>${pPr}${bullet}${runs.map(run => this._runXml(run, block.muted)).join('')}</w:p>`;
+    },
+
+    /**
+     * XML d'un tableau : ligne d'en-tête répétée sur chaque page, lignes non sécables
+     * @param {DocxBlock} block
+     * @returns {string}
+     * @private
+     */
+    _tableXml(block) {
+        const widths = block.columns.map(col => Math.round(CONTENT_WIDTH * col.width));
+        const border = (side) => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/>`;
+        const tblPr = '<w:tblPr><w:tblW w:w="5000" w:type="pct"/>'
+            + `<w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders>`
+            + '<w:tblLayout w:type="fixed"/>'
+            + '<w:tblCellMar><w:top w:w="40" w:type="dxa"/><w:left w:w="80" w:type="dxa"/><w:bottom w:w="40" w:type="dxa"/><w:right w:w="80" w:type="dxa"/></w:tblCellMar>'
+            + '</w:tblPr>';
+        const grid = `<w:tblGrid>${widths.map(w => `<w:gridCol w:w="${w}"/>`).join('')}</w:tblGrid>`;
+
+        const cell = (content, index, header = false) => {
+            const blocks = Array.isArray(content) ? content : [{ type: 'paragraph', text: content ?? '' }];
+            const paragraphs = (blocks.length > 0 ? blocks : [{ type: 'paragraph', text: '' }])
+                .map(b => this._paragraphXml(header ? { ...b, runs: [{ text: b.text ?? '', bold: true }] } : b))
+                .join('');
+            const shading = header ? '<w:shd w:val="clear" w:color="auto" w:fill="E7ECF5"/>' : '';
+            return `<w:tc><w:tcPr><w:tcW w:w="${widths[index]}" w:type="dxa"/>${shading}</w:tcPr>${paragraphs}</w:tc>`;
+        };
+
+        const headerRow = `<w:tr><w:trPr><w:cantSplit/><w:tblHeader/></w:trPr>${block.columns.map((col, i) => cell(col.label, i, true)).join('')}</w:tr>`;
+        const rows = (block.rows || []).map(row => `<w:tr><w:trPr><w:cantSplit/></w:trPr>${row.map((content, i) => cell(content, i)).join('')}</w:tr>`);
+
+        // Word exige un paragraphe entre un tableau et la fin de section
+        return `<w:tbl>${tblPr}${grid}${headerRow}${rows.join('')}</w:tbl><w:p/>`;
+    },
+
+    /**
+     * XML du corps du document (A4 portrait, marges de 2 cm)
+     * @param {DocxBlock[]} blocks
+     * @returns {string}
+     */
+    buildDocumentXml(blocks) {
+        const body = blocks.map(block => block.type === 'table' ? this._tableXml(block) : this._paragraphXml(block)).join('');
+        const sectPr = '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/>'
+            + '<w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="567" w:footer="567" w:gutter="0"/></w:sectPr>';
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:document ${NS}><w:body>${body}${sectPr}</w:body></w:document>`;
+    },
+
+    /**
+     * Assemble le fichier .docx
+     * @param {DocxBlock[]} blocks
+     * @returns {Uint8Array} Octets du fichier
+     */
+    createDocx(blocks) {
+        return createZip([
+            { name: '[Content_Types].xml', content: CONTENT_TYPES_XML },
+            { name: '_rels/.rels', content: ROOT_RELS_XML },
+            { name: 'word/_rels/document.xml.rels', content: DOCUMENT_RELS_XML },
+            { name: 'word/styles.xml', content: STYLES_XML },
+            { name: 'word/document.xml', content: this.buildDocumentXml(blocks) }
+        ]);
+    },
+
+    /**
+     * Met en page le bilan d'une classe : en-tête, synthèse, tableau des élèves.
+     * Les champs absents (forces/faiblesses, pistes) ne sont pas affichés.
+     * @param {Object} report
+     * @param {string} report.className
+     * @param {string} report.periodLabel
+     * @param {string} report.date
+     * @param {string} [report.subject]
+     * @param {Array<{label: string, value: string}>} [report.stats] - Indicateurs clés de la classe
+     * @param {string} [report.synthesisHtml] - Synthèse IA de la classe
+     * @param {Array<{name: string, grade: string, evolution: string, appreciation: string, mention?: string,
+     *         strengthsWeaknesses?: string, nextSteps?: string[]}>} report.students
+     * @returns {DocxBlock[]}
+     */
+    buildClassReport(report) {
+        const blocks = [
+            { type: 'title', text: report.className || 'Appréciations' },
+            { type: 'paragraph', muted: true, text: [report.periodLabel, report.subject, report.date].filter(Boolean).join(' · ') },
+            { type: 'heading', level: 1, text: 'Synthèse de la classe' }
+        ];
+
+        (report.stats || []).forEach(stat => {
+            blocks.push({ type: 'bullet', runs: [{ text: `${stat.label} : `, bold: true }, { text: stat.value }] });
+        });
+
+        const synthesis = this.htmlToBlocks(report.synthesisHtml);
+        if (synthesis.length > 0) {
+            blocks.push(...synthesis);
+        } else {
+            blocks.push({ type: 'paragraph', muted: true, text: 'Aucune synthèse générée pour cette période.' });
+        }
+
+        blocks.push(
+            { type: 'heading', level: 1, text: 'Appréciations' },
+            {
+                type: 'table',
+                columns: [
+                    { label: 'Élève', width: 0.22 },
+                    { label: 'Moyenne', width: 0.11 },
+                    { label: 'Évolution', width: 0.12 },
+                    { label: 'Appréciation', width: 0.55 }
+                ],
+                rows: report.students.map(student => {
+                    const details = student.appreciation
+                        ? [{ type: 'paragraph', text: student.appreciation }]
+                        : [{ type: 'paragraph', muted: true, text: 'Aucune appréciation' }];
+
+                    if (student.strengthsWeaknesses) {
+                        details.push({ type: 'paragraph', runs: [{ text: 'Forces et faiblesses', bold: true }] });
+                        details.push(...this.textToBlocks(student.strengthsWeaknesses));
+                    }
+                    if (student.nextSteps?.length > 0) {
+                        details.push({ type: 'paragraph', runs: [{ text: 'Pistes de travail', bold: true }] });
+                        details.push(...student.nextSteps.map(step => ({ type: 'bullet', text: step })));
+                    }
+
+                    return [
+                        [
+                            { type: 'paragraph', runs: [{ text: student.name, bold: true }] },
+                            ...(student.mention ? [{ type: 'paragraph', runs: [{ text: student.mention, italic: true }] }] : [])
+                        ],
+                        student.grade,
+                        student.evolution,
+                        details
+                    ];
+                })
+            }
+        );
+
+        return blocks;
+    }
+};
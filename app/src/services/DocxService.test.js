@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { DocxService } from './DocxService.js';
+
+const textOf = (block) => block.text ?? block.runs.map(run => run.text).join('');
+
+describe('DocxService', () => {
+    it('should escape XML and drop control characters', () => {
+        expect(DocxService.escapeXml('A & B <c> "d"\u0007')).toBe('A &amp; B &lt;c&gt; &quot;d&quot;');
+    });
+
+    it('should convert the synthesis HTML into headings, paragraphs and bullets', () => {
+        const blocks = DocxService.htmlToBlocks(`
+            <h3>Bilan</h3>
+            <p>Classe <strong>dynamique</strong>, <em>bavarde</em>.</p>
+            <ul><li>Participation</li><li>Travail <b>régulier</b></li></ul>
+            Conclusion libre<br>sur deux lignes
+        `);
+
+        expect(blocks.map(b => b.type)).toEqual(['heading', 'paragraph', 'bullet', 'bullet', 'paragraph']);
+        expect(blocks[0]).toEqual({ type: 'heading', level: 2, text: 'Bilan' });
+        expect(blocks[1].runs).toEqual([
+            { text: 'Classe ', bold: false, italic: false },
+            { text: 'dynamique', bold: true, italic: false },
+            { text: ', ', bold: false, italic: false },
+            { text: 'bavarde', bold: false, italic: true },
+            { text: '.', bold: false, italic: false }
+        ]);
+        expect(textOf(blocks[3])).toBe('Travail régulier');
+        expect(textOf(blocks[4])).toBe('Conclusion libre\nsur deux lignes');
+        expect(DocxService.htmlToBlocks('')).toEqual([]);
+    });
+
+    it('should turn markdown-like lines into bullets', () => {
+        expect(DocxService.textToBlocks('Forces :\n- Rigueur\n\n• Curiosité')).toEqual([
+            { type: 'paragraph', text: 'Forces :' },
+            { type: 'bullet', text: 'Rigueur' },
+            { type: 'bullet', text: 'Curiosité' }
+        ]);
+    });
+
+    it('should lay out the class report and build a valid document body', () => {
+        const blocks = DocxService.buildClassReport({
+            className: '3e B',
+            periodLabel: 'Trimestre 1',
+            subject: 'Français',
+            date: '15 juin 2024',
+            stats: [{ label: 'Moyenne', value: '12,5/20' }],
+            synthesisHtml: '',
+            students: [
+                { name: 'MARTIN Léa', mention: 'Compliments (proposée)', grade: '14/20', evolution: '+2 pts', appreciation: 'Très bon trimestre & belle implication.', strengthsWeaknesses: '- Rigueur', nextSteps: ['Oser participer'] },
+                { name: 'DURAND Lucas', grade: '', evolution: '', appreciation: '' }
+            ]
+        });
+
+        expect(textOf(blocks[1])).toBe('Trimestre 1 · Français · 15 juin 2024');
+        expect(blocks.some(b => b.muted && textOf(b).startsWith('Aucune synthèse'))).toBe(true);
+
+        const table = blocks.find(b => b.type === 'table');
+        expect(table.rows).toHaveLength(2);
+        expect(table.rows[0][3].map(textOf)).toEqual(['Très bon trimestre & belle implication.', 'Forces et faiblesses', 'Rigueur', 'Pistes de travail', 'Oser participer']);
+        expect(table.rows[1][3].map(textOf)).toEqual(['Aucune appréciation']);
+        expect(table.rows[0][0].map(textOf)).toEqual(['MARTIN Léa', 'Compliments (proposée)']);
+        expect(table.rows[1][0]).toHaveLength(1);
+
+        const xml = DocxService.buildDocumentXml(blocks);
+        expect(xml).toContain('<w:pStyle w:val="Title"/>');
+        expect(xml).toContain('<w:tblHeader/>');
+        expect(xml).toContain('Très bon trimestre &amp; belle implication.');
+        expect(xml).toMatch(/<\/w:tbl><w:p\/><w:sectPr>/);
+        expect(new DOMParser().parseFromString(xml, 'application/xml').querySelector('parsererror')).toBeNull();
+    });
+
+    it('should package the document as a zip archive', () => {
+        const bytes = DocxService.createDocx([{ type: 'paragraph', text: 'Bonjour' }]);
+        expect(bytes[0]).toBe(0x50);
+        expect(bytes[1]).toBe(0x4B);
+        expect(new TextDecoder().decode(bytes)).toContain('word/document.xml');
+    });
+});
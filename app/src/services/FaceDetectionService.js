@@ -0,0 +1,255 @@
+/**
+ * @fileoverview Localisation des visages sur une planche de photos de classe (hors ligne)
+ *
+ * Heuristique peau + contours, sans modèle ni réseau :
+ * 1. masque des pixels couleur peau (espace YCbCr), lissé par vote majoritaire 3 × 3 ;
+ * 2. régions connexes du masque, filtrées par taille, forme et remplissage ;
+ * 3. pour chaque région, le « visage » est le haut de la région (le cou et les épaules
+ *    sont coupés) ; sa densité de contours intérieurs (yeux, sourcils, bouche) le distingue
+ *    d'une main ou d'un bras ;
+ * 4. la confiance combine remplissage, proportions et cohérence de taille avec les autres
+ *    visages de la planche (les portraits d'une planche ont à peu près la même taille),
+ *    pondérés par les contours intérieurs.
+ *
+ * Les coordonnées sont celles de l'image analysée ; TrombinoscopeManager les ramène aux
+ * pixels naturels de la photo.
+ *
+ * @module services/FaceDetectionService
+ */
+
+/** En dessous, le visage n'est pas proposé */
+const MIN_CONFIDENCE = 0.3;
+
+/** En dessous, la zone est signalée « à vérifier » */
+export const DOUBTFUL_CONFIDENCE = 0.6;
+
+/** Hauteur du visage rapportée à sa largeur (cou exclu) */
+const FACE_ASPECT = 1.3;
+
+/** Rayon de la zone de recadrage rapporté à la hauteur du visage (garde cheveux et menton) */
+const CROP_RADIUS = 0.9;
+
+/** Différence de luminance à partir de laquelle un pixel est un contour */
+const EDGE_THRESHOLD = 24;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+const median = (values) => {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * @typedef {Object} DetectedFace
+ * @property {number} cx - Centre de la zone de recadrage
+ * @property {number} cy
+ * @property {number} r - Rayon de la zone de recadrage
+ * @property {number} confidence - Entre 0 et 1
+ * @property {number} row - Rangée de la planche (0 = en haut)
+ */
+
+export const FaceDetectionService = {
+
+    /**
+     * Pixel couleur peau (règle YCbCr tolérante aux carnations claires et foncées)
+     * @param {number} r
+     * @param {number} g
+     * @param {number} b
+     * @returns {boolean}
+     */
+    isSkin(r, g, b) {
+        const y = 0.299 * r + 0.587 * g + 0.114 * b;
+        const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+        const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+        return y > 40 && cr >= 135 && cr <= 180 && cb >= 85 && cb <= 135 && r > g && r > b;
+    },
+
+    /**
+     * Visages de la planche, dans l'ordre de lecture (rangée par rangée, de gauche à droite)
+     * @param {{data: Uint8ClampedArray|Uint8Array, width: number, height: number}} image - Pixels RGBA
+     * @returns {{faces: DetectedFace[], rows: number, cols: number}}
+     */
+    detectFaces({ data, width, height }) {
+        const luma = new Float32Array(width * height);
+        const raw = new Uint8Array(width * height);
+        for (let i = 0; i < width * height; i++) {
+            const r = data[i * 4];
+            const g = data[i * 4 + 1];
+            const b = data[i * 4 + 2];
+            luma[i] = 0.299 * r + 0.587 * g + 0.114 * b;
+            raw[i] = this.isSkin(r, g, b) ? 1 : 0;
+        }
+        const mask = this._smooth(raw, width, height);
+
+        const minArea = Math.max(30, width * height * 0.0005);
+        const candidates = this._findRegions(mask, width, height)
+            .filter(region => region.count >= minArea)
+            .map(region => this._measure(region, mask, luma, width))
+            .filter(Boolean);
+
+        const typicalHeight = median(candidates.map(c => c.faceH));
+        const faces = candidates
+            .map(c => {
+                const sizeScore = clamp01(1 - Math.abs(Math.log(c.faceH / typicalHeight)) / Math.log(2.5));
+                // Sans yeux ni bouche visibles, une tache de peau reste douteuse quelle que soit sa forme
+                const shape = 0.35 * c.fillScore + 0.3 * c.shapeScore + 0.35 * sizeScore;
+                const confidence = shape * (0.35 + 0.65 * c.edgeScore);
+                return { cx: c.cx, cy: c.cy, r: c.faceH * CROP_RADIUS, confidence: Math.round(confidence * 100) / 100 };
+            })
+            .filter(face => face.confidence >= MIN_CONFIDENCE);
+
+        return this._orderFaces(this._mergeOverlapping(faces));
+    },
+
+    /**
+     * Vote majoritaire 3 × 3 : retire le bruit isolé et bouche les petits trous
+     * @private
+     */
+    _smooth(mask, width, height) {
+        const out = new Uint8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let votes = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (nx >= 0 && ny >= 0 && nx < width && ny < height) votes += mask[ny * width + nx];
+                    }
+                }
+                out[y * width + x] = votes >= 5 ? 1 : 0;
+            }
+        }
+        return out;
+    },
+
+    /**
+     * Régions connexes (4-voisinage) du masque
+     * @returns {Array<{minX: number, maxX: number, minY: number, maxY: number, count: number}>}
+     * @private
+     */
+    _findRegions(mask, width, height) {
+        const visited = new Uint8Array(width * height);
+        const regions = [];
+        const stack = [];
+
+        for (let start = 0; start < mask.length; start++) {
+            if (!mask[start] || visited[start]) continue;
+            const region = { minX: width, maxX: 0, minY: height, maxY: 0, count: 0 };
+            visited[start] = 1;
+            stack.push(start);
+            while (stack.length > 0) {
+                const index = stack.pop();
+                const x = index % width;
+                const y = (index - x) / width;
+                region.count++;
+                if (x < region.minX) region.minX = x;
+                if (x > region.maxX) region.maxX = x;
+                if (y < region.minY) region.minY = y;
+                if (y > region.maxY) region.maxY = y;
+
+                const neighbours = [
+                    x > 0 ? index - 1 : -1,
+                    x < width - 1 ? index + 1 : -1,
+                    y > 0 ? index - width : -1,
+                    y < height - 1 ? index + width : -1
+                ];
+                neighbours.forEach(n => {
+                    if (n >= 0 && mask[n] && !visited[n]) {
+                        visited[n] = 1;
+                        stack.push(n);
+                    }
+                });
+            }
+            regions.push(region);
+        }
+        return regions;
+    },
+
+    /**
+     * Visage d'une région : boîte du haut de la région, centre, scores de forme et de contours
+     * @returns {Object|null} null si la région ne peut pas être un visage
+     * @private
+     */
+    _measure(region, mask, luma, width) {
+        const regionW = region.maxX - region.minX + 1;
+        const regionH = region.maxY - region.minY + 1;
+        const aspect = regionH / regionW;
+        if (aspect < 0.6 || aspect > 3.5) return null;
+
+        const faceH = Math.min(regionH, Math.round(regionW * FACE_ASPECT));
+        const top = region.minY;
+        const bottom = top + faceH - 1;
+
+        let skin = 0;
+        let sumX = 0;
+        for (let y = top; y <= bottom; y++) {
+            for (let x = region.minX; x <= region.maxX; x++) {
+                if (mask[y * width + x]) {
+                    skin++;
+                    sumX += x;
+                }
+            }
+        }
+        const fill = skin / (regionW * faceH);
+        if (fill < 0.3) return null;
+
+        // Contours à l'intérieur du visage (le pourtour de la région n'est pas compté)
+        const insetX = Math.round(regionW * 0.2);
+        const insetY = Math.round(faceH * 0.2);
+        let edges = 0;
+        let inner = 0;
+        for (let y = top + insetY; y <= bottom - insetY; y++) {
+            for (let x = region.minX + insetX; x <= region.maxX - insetX; x++) {
+                const i = y * width + x;
+                const gradient = Math.abs(luma[i + 1] - luma[i - 1]) + Math.abs(luma[i + width] - luma[i - width]);
+                if (gradient > EDGE_THRESHOLD) edges++;
+                inner++;
+            }
+        }
+        const edgeDensity = inner > 0 ? edges / inner : 0;
+
+        return {
+            cx: sumX / skin,
+            cy: top + faceH / 2,
+            faceH,
+            fillScore: clamp01((fill - 0.3) / 0.4),
+            shapeScore: clamp01(1 - Math.abs(faceH / regionW - FACE_ASPECT) / FACE_ASPECT),
+            edgeScore: clamp01(edgeDensity / 0.08)
+        };
+    },
+
+    /**
+     * Deux détections du même visage (lunettes, barbe qui coupent la peau) : garde la plus sûre
+     * @private
+     */
+    _mergeOverlapping(faces) {
+        const kept = [];
+        [...faces].sort((a, b) => b.confidence - a.confidence).forEach(face => {
+            const duplicate = kept.some(k => Math.hypot(k.cx - face.cx, k.cy - face.cy) < Math.max(k.r, face.r) * 0.8);
+            if (!duplicate) kept.push(face);
+        });
+        return kept;
+    },
+
+    /**
+     * Ordre de lecture : rangées regroupées par hauteur, puis de gauche à droite
+     * @private
+     */
+    _orderFaces(faces) {
+        const tolerance = median(faces.map(f => f.r)) * 0.7;
+        const rows = [];
+        [...faces].sort((a, b) => a.cy - b.cy).forEach(face => {
+            const row = rows[rows.length - 1];
+            if (row && face.cy - row[0].cy <= tolerance) row.push(face);
+            else rows.push([face]);
+        });
+
+        const ordered = rows.flatMap((row, index) => row
+            .sort((a, b) => a.cx - b.cx)
+            .map(face => ({ ...face, row: index })));
+        return { faces: ordered, rows: rows.length, cols: Math.max(0, ...rows.map(r => r.length)) };
+    }
+};
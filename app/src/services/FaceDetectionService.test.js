@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { FaceDetectionService, DOUBTFUL_CONFIDENCE } from './FaceDetectionService.js';
+
+const SKIN = [224, 172, 150];
+const DARK_SKIN = [141, 85, 36];
+const FEATURE = [40, 30, 30];
+
+/** Planche grise sur laquelle on dessine des portraits schématiques */
+const createSheet = (width, height) => {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) data.set([200, 200, 205, 255], i * 4);
+    const fill = (x0, y0, x1, y1, color, inside = () => true) => {
+        for (let y = Math.max(0, y0); y <= Math.min(height - 1, y1); y++) {
+            for (let x = Math.max(0, x0); x <= Math.min(width - 1, x1); x++) {
+                if (inside(x, y)) data.set(color, (y * width + x) * 4);
+            }
+        }
+    };
+    const face = (cx, cy, rx, ry, color = SKIN) => {
+        fill(cx - rx, cy - ry, cx + rx, cy + ry, color, (x, y) => ((x - cx) / rx) ** 2 + ((y - cy) / ry) ** 2 <= 1);
+        fill(cx - Math.round(rx * 0.45) - 1, cy - 5, cx - Math.round(rx * 0.45) + 1, cy - 3, FEATURE);
+        fill(cx + Math.round(rx * 0.45) - 1, cy - 5, cx + Math.round(rx * 0.45) + 1, cy - 3, FEATURE);
+        fill(cx - 5, cy + Math.round(ry * 0.45), cx + 5, cy + Math.round(ry * 0.45) + 1, FEATURE);
+    };
+    return { image: { data, width, height }, face, fill };
+};
+
+describe('FaceDetectionService', () => {
+    it('recognises light and dark skin tones but not grey or blue', () => {
+        expect(FaceDetectionService.isSkin(...SKIN)).toBe(true);
+        expect(FaceDetectionService.isSkin(...DARK_SKIN)).toBe(true);
+        expect(FaceDetectionService.isSkin(200, 200, 205)).toBe(false);
+        expect(FaceDetectionService.isSkin(60, 90, 200)).toBe(false);
+    });
+
+    it('finds each portrait of an irregular sheet in reading order', () => {
+        const { image, face } = createSheet(320, 220);
+        face(50, 50, 18, 24);
+        face(160, 54, 18, 24, DARK_SKIN);
+        face(270, 48, 18, 24);
+        // Deuxième rangée incomplète (photo manquante au milieu)
+        face(52, 160, 18, 24);
+        face(268, 164, 18, 24);
+
+        const { faces, rows, cols } = FaceDetectionService.detectFaces(image);
+        expect(faces).toHaveLength(5);
+        expect(rows).toBe(2);
+        expect(cols).toBe(3);
+        expect(faces.map(f => [Math.round(f.cx / 10), f.row])).toEqual([[5, 0], [16, 0], [27, 0], [5, 1], [27, 1]]);
+        faces.forEach(f => {
+            expect(f.r).toBeGreaterThan(30);
+            expect(f.r).toBeLessThan(50);
+            expect(f.confidence).toBeGreaterThanOrEqual(DOUBTFUL_CONFIDENCE);
+        });
+    });
+
+    it('rejects skin areas shaped like an arm and doubts featureless blobs', () => {
+        const { image, face, fill } = createSheet(320, 220);
+        face(60, 60, 18, 24);
+        face(160, 60, 18, 24);
+        fill(20, 170, 140, 182, SKIN);
+        fill(230, 40, 265, 86, SKIN);
+
+        const { faces } = FaceDetectionService.detectFaces(image);
+        expect(faces.some(f => f.cy > 150)).toBe(false);
+        const blank = faces.find(f => f.cx > 220);
+        expect(blank.confidence).toBeLessThan(DOUBTFUL_CONFIDENCE);
+        expect(faces.filter(f => f.confidence >= DOUBTFUL_CONFIDENCE)).toHaveLength(2);
+    });
+
+    it('returns nothing for a sheet without skin', () => {
+        const { image } = createSheet(100, 100);
+        expect(FaceDetectionService.detectFaces(image)).toEqual({ faces: [], rows: 0, cols: 0 });
+    });
+});
@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Barèmes de notation par classe (notes sur N, pourcentages, niveaux de maîtrise)
+ *
+ * Les notes sont stockées dans l'unité du barème de leur classe : une valeur numérique
+ * pour un barème chiffré, le rang du niveau (1 = le plus bas) pour une échelle de niveaux.
+ * Les seuils de l'application (couleurs, évolutions, tranches, réussite) restent exprimés
+ * sur 20 : les valeurs y sont ramenées via `toTwenty()` avant comparaison.
+ *
+ * @module services/GradeScaleService
+ */
+
+import { appState } from '../state/State.js';
+
+/**
+ * @typedef {Object} GradeLevel
+ * @property {string} label - Libellé complet (ex: "Partiellement atteint")
+ * @property {string} short - Abréviation saisie et affichée dans les champs (ex: "PA")
+ */
+
+/**
+ * @typedef {Object} GradeScale
+ * @property {string} id - Identifiant du préréglage ('note20', 'competences', 'custom'...)
+ * @property {'numeric'|'levels'} type
+ * @property {number} [max] - Note maximale (barème chiffré)
+ * @property {string} [unit] - Suffixe d'affichage ('%'), sinon "/max"
+ * @property {GradeLevel[]} [levels] - Niveaux du plus bas au plus haut (échelle de niveaux)
+ */
+
+/** @type {Object<string, GradeScale & {name: string}>} */
+export const GRADE_SCALE_PRESETS = {
+    note20: { id: 'note20', name: 'Notes sur 20', type: 'numeric', max: 20 },
+    note10: { id: 'note10', name: 'Notes sur 10', type: 'numeric', max: 10 },
+    percent: { id: 'percent', name: 'Pourcentages', type: 'numeric', max: 100, unit: '%' },
+    competences: {
+        id: 'competences',
+        name: 'Niveaux de maîtrise',
+        type: 'levels',
+        levels: [
+            { label: 'Non atteint', short: 'NA' },
+            { label: 'Partiellement atteint', short: 'PA' },
+            { label: 'Atteint', short: 'A' },
+            { label: 'Dépassé', short: 'D' }
+        ]
+    },
+    lettres: {
+        id: 'lettres',
+        name: 'Lettres (E à A)',
+        type: 'levels',
+        levels: ['E', 'D', 'C', 'B', 'A'].map(letter => ({ label: letter, short: letter }))
+    }
+};
+
+export const DEFAULT_GRADE_SCALE = GRADE_SCALE_PRESETS.note20;
+
+/** Nombre de tranches de l'histogramme pour un barème chiffré */
+const NUMERIC_BUCKET_COUNT = 5;
+
+/** Minuscules sans accents, pour comparer les saisies aux libellés */
+const normalizeText = (text) => String(text).trim().toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+/** Nombre avec une décimale et virgule (ex: 14,5) */
+const formatNumber = (value) => value.toFixed(1).replace('.', ',');
+
+/** Borne de tranche sans décimale inutile (ex: 2, 2,5) */
+const formatBound = (value) => String(Math.round(value * 10) / 10).replace('.', ',');
+
+export const GradeScaleService = {
+
+    /**
+     * Barème d'une classe (barème sur 20 si la classe n'en définit pas)
+     * @param {string|null} [classId] - ID de la classe (défaut: classe courante)
+     * @returns {GradeScale}
+     */
+    getScale(classId = appState.currentClassId) {
+        const cls = classId ? appState.classes?.find(c => c.id === classId) : null;
+        return cls?.gradeScale || DEFAULT_GRADE_SCALE;
+    },
+
+    /**
+     * Construit un barème à partir d'un préréglage ou d'une note maximale personnalisée
+     * @param {string} presetId - Clé de GRADE_SCALE_PRESETS ou 'custom'
+     * @param {number} [customMax] - Note maximale pour 'custom'
+     * @returns {GradeScale|null} null si la note maximale est invalide
+     */
+    createScale(presetId, customMax) {
+        if (presetId === 'custom') {
+            const max = Number(customMax);
+            if (!Number.isFinite(max) || max <= 0 || max > 1000) return null;
+            return { id: 'custom', type: 'numeric', max };
+        }
+        const preset = GRADE_SCALE_PRESETS[presetId];
+        if (!preset) return null;
+        const { name: _name, ...scale } = preset;
+        return JSON.parse(JSON.stringify(scale));
+    },
+
+    /**
+     * @param {GradeScale} scale
+     * @returns {boolean} true pour le barème historique sur 20
+     */
+    isDefault(scale) {
+        return !scale || (scale.type === 'numeric' && scale.max === 20 && !scale.unit);
+    },
+
+    /**
+     * Bornes des valeurs stockées
+     * @param {GradeScale} scale
+     * @returns {{min: number, max: number}}
+     */
+    getRange(scale) {
+        return scale.type === 'levels'
+            ? { min: 1, max: scale.levels.length }
+            : { min: 0, max: scale.max };
+    },
+
+    /**
+     * Convertit une saisie (nombre, "14,5", "85 %", "12/20", "PA", "Atteint") en valeur stockée
+     * @param {string|number|null} raw
+     * @param {GradeScale} [scale]
+     * @returns {number} Valeur dans l'unité du barème, ou NaN
+     */
+    parse(raw, scale = this.getScale()) {
+        if (raw === null || raw === undefined || raw === '') return NaN;
+
+        if (scale.type === 'levels') {
+            if (typeof raw === 'number') return Number.isInteger(raw) ? raw : NaN;
+            const text = normalizeText(raw);
+            if (/^\d+$/.test(text)) return parseInt(text, 10);
+            const index = scale.levels.findIndex(level =>
+                normalizeText(level.label) === text || normalizeText(level.short) === text);
+            return index === -1 ? NaN : index + 1;
+        }
+
+        if (typeof raw === 'number') return raw;
+        // parseFloat ignore le suffixe éventuel ("85 %", "12/20")
+        return parseFloat(String(raw).trim().replace(',', '.'));
+    },
+
+    /**
+     * @param {string|number|null} raw
+     * @param {GradeScale} [scale]
+     * @returns {boolean} true si la saisie correspond à une note du barème
+     */
+    isValid(raw, scale = this.getScale()) {
+        const value = this.parse(raw, scale);
+        const { min, max } = this.getRange(scale);
+        return !isNaN(value) && value >= min && value <= max;
+    },
+
+    /**
+     * Ramène une valeur stockée sur 20 (couleurs, seuils, tranches)
+     * @param {number} value
+     * @param {GradeScale} [scale]
+     * @returns {number}
+     */
+    toTwenty(value, scale = this.getScale()) {
+        if (typeof value !== 'number' || isNaN(value)) return NaN;
+        if (scale.type === 'levels') {
+            const steps = scale.levels.length - 1;
+            return steps > 0 ? ((value - 1) / steps) * 20 : 20;
+        }
+        // Évite les erreurs d'arrondi sur le barème sur 20
+        return scale.max === 20 ? value : (value / scale.max) * 20;
+    },
+
+    /**
+     * Inverse de toTwenty : exprime une valeur sur 20 dans l'unité du barème
+     * (moyenne calculée à partir d'évaluations notées sur 10, 20, 40...)
+     * @param {number} value - Valeur sur 20
+     * @param {GradeScale} [scale]
+     * @returns {number}
+     */
+    fromTwenty(value, scale = this.getScale()) {
+        if (typeof value !== 'number' || isNaN(value)) return NaN;
+        if (scale.type === 'levels') {
+            const steps = scale.levels.length - 1;
+            return 1 + (value / 20) * steps;
+        }
+        return scale.max === 20 ? value : (value / 20) * scale.max;
+    },
+
+    /**
+     * Ramène un écart entre deux valeurs stockées sur 20 (seuils d'évolution)
+     * @param {number} diff
+     * @param {GradeScale} [scale]
+     * @returns {number}
+     */
+    diffToTwenty(diff, scale = this.getScale()) {
+        if (typeof diff !== 'number' || isNaN(diff)) return NaN;
+        const { min, max } = this.getRange(scale);
+        if (max - min === 20) return diff;
+        return max > min ? (diff / (max - min)) * 20 : 0;
+    },
+
+    /**
+     * Valeur lisible sans unité : "14,5" ou le libellé du niveau le plus proche
+     * @param {number} value
+     * @param {GradeScale} [scale]
+     * @param {Object} [options]
+     * @param {boolean} [options.short=false] - Abréviation du niveau plutôt que le libellé
+     * @returns {string}
+     */
+    formatValue(value, scale = this.getScale(), { short = false } = {}) {
+        if (typeof value !== 'number' || isNaN(value)) return '--';
+        if (scale.type === 'levels') {
+            const rank = Math.min(Math.max(Math.round(value), 1), scale.levels.length);
+            const level = scale.levels[rank - 1];
+            return short ? level.short : level.label;
+        }
+        return formatNumber(value);
+    },
+
+    /**
+     * Valeur lisible avec unité : "14,5/20", "85,0 %", "Atteint"
+     * @param {number} value
+     * @param {GradeScale} [scale]
+     * @returns {string}
+     */
+    format(value, scale = this.getScale()) {
+        if (typeof value !== 'number' || isNaN(value)) return `--${this.getSuffix(scale)}`;
+        return `${this.formatValue(value, scale)}${this.getSuffix(scale)}`;
+    },
+
+    /**
+     * Suffixe affiché après une note chiffrée ("/20", " %"), vide pour les niveaux
+     * @param {GradeScale} [scale]
+     * @returns {string}
+     */
+    getSuffix(scale = this.getScale()) {
+        if (scale.type === 'levels') return '';
+        return scale.unit ? ` ${scale.unit}` : `/${scale.max}`;
+    },
+
+    /**
+     * Unité d'un écart de notes ("pts", "niveau(x)")
+     * @param {number} diff
+     * @param {GradeScale} [scale]
+     * @returns {string}
+     */
+    getDiffUnit(diff, scale = this.getScale()) {
+        if (scale.type !== 'levels') return 'pts';
+        return Math.abs(diff) > 1 ? 'niveaux' : 'niveau';
+    },
+
+    /**
+     * Description du barème pour le prompt
+     * @param {GradeScale} [scale]
+     * @returns {string}
+     */
+    describe(scale = this.getScale()) {
+        if (scale.type === 'levels') {
+            return `niveaux de maîtrise, du plus faible au plus élevé : ${scale.levels.map(l => l.label).join(' < ')}`;
+        }
+        return scale.unit === '%' ? 'pourcentage de réussite (0 à 100 %)' : `notes sur ${scale.max}`;
+    },
+
+    /**
+     * Tranches de l'histogramme, dans l'unité du barème (dernière tranche incluse)
+     * @param {GradeScale} [scale]
+     * @returns {Array<{min: number, max: number, label: string}>}
+     */
+    getBuckets(scale = this.getScale()) {
+        if (scale.type === 'levels') {
+            return scale.levels.map((level, i) => ({ min: i + 1, max: i + 1, label: level.short }));
+        }
+        const step = scale.max / NUMERIC_BUCKET_COUNT;
+        return Array.from({ length: NUMERIC_BUCKET_COUNT }, (_, i) => ({
+            min: i * step,
+            max: (i + 1) * step,
+            label: `${formatBound(i * step)}-${formatBound((i + 1) * step)}`
+        }));
+    },
+
+    /**
+     * Indique si une valeur appartient à une tranche (min inclus, max exclu sauf en haut du barème)
+     * @param {number} value
+     * @param {{min: number, max: number}} bucket
+     * @param {GradeScale} [scale]
+     * @returns {boolean}
+     */
+    isInBucket(value, bucket, scale = this.getScale()) {
+        if (bucket.min === bucket.max) return value === bucket.min;
+        if (bucket.max >= this.getRange(scale).max) return value >= bucket.min && value <= bucket.max;
+        return value >= bucket.min && value < bucket.max;
+    }
+};
@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { GradeScaleService, GRADE_SCALE_PRESETS, DEFAULT_GRADE_SCALE } from './GradeScaleService.js';
+import { appState } from '../state/State.js';
+
+vi.mock('../state/State.js', () => ({
+    appState: {
+        currentClassId: null,
+        classes: []
+    }
+}));
+
+const competences = GRADE_SCALE_PRESETS.competences;
+const percent = GRADE_SCALE_PRESETS.percent;
+
+describe('GradeScaleService', () => {
+    beforeEach(() => {
+        appState.currentClassId = null;
+        appState.classes = [];
+    });
+
+    it('should fall back to marks out of 20 when the class has no scale', () => {
+        appState.classes = [{ id: 'c1' }, { id: 'c2', gradeScale: percent }];
+        appState.currentClassId = 'c2';
+
+        expect(GradeScaleService.getScale('c1')).toBe(DEFAULT_GRADE_SCALE);
+        expect(GradeScaleService.getScale('unknown')).toBe(DEFAULT_GRADE_SCALE);
+        expect(GradeScaleService.getScale()).toBe(percent);
+    });
+
+    it('should parse numeric input with comma, unit or max suffix', () => {
+        expect(GradeScaleService.parse('14,5', DEFAULT_GRADE_SCALE)).toBe(14.5);
+        expect(GradeScaleService.parse('85 %', percent)).toBe(85);
+        expect(GradeScaleService.parse('12/20', DEFAULT_GRADE_SCALE)).toBe(12);
+        expect(GradeScaleService.parse('Abs', DEFAULT_GRADE_SCALE)).toBeNaN();
+        expect(GradeScaleService.isValid('21', DEFAULT_GRADE_SCALE)).toBe(false);
+        expect(GradeScaleService.isValid('95', percent)).toBe(true);
+    });
+
+    it('should parse competency levels by label, abbreviation or rank', () => {
+        expect(GradeScaleService.parse('Non atteint', competences)).toBe(1);
+        expect(GradeScaleService.parse('pa', competences)).toBe(2);
+        expect(GradeScaleService.parse('depasse', competences)).toBe(4);
+        expect(GradeScaleService.parse('3', competences)).toBe(3);
+        expect(GradeScaleService.parse('Excellent', competences)).toBeNaN();
+        expect(GradeScaleService.isValid('5', competences)).toBe(false);
+    });
+
+    it('should bring values and differences back to a /20 basis', () => {
+        expect(GradeScaleService.toTwenty(7.5, GRADE_SCALE_PRESETS.note10)).toBe(15);
+        expect(GradeScaleService.toTwenty(1, competences)).toBe(0);
+        expect(GradeScaleService.toTwenty(4, competences)).toBe(20);
+        expect(GradeScaleService.diffToTwenty(10, percent)).toBe(2);
+        expect(GradeScaleService.diffToTwenty(1.5, DEFAULT_GRADE_SCALE)).toBe(1.5);
+        expect(GradeScaleService.fromTwenty(15, GRADE_SCALE_PRESETS.note10)).toBe(7.5);
+        expect(GradeScaleService.fromTwenty(20, competences)).toBe(4);
+    });
+
+    it('should format values in the scale unit', () => {
+        expect(GradeScaleService.format(14.5, DEFAULT_GRADE_SCALE)).toBe('14,5/20');
+        expect(GradeScaleService.format(85, percent)).toBe('85,0 %');
+        expect(GradeScaleService.format(2.6, competences)).toBe('Atteint');
+        expect(GradeScaleService.formatValue(2, competences, { short: true })).toBe('PA');
+        expect(GradeScaleService.getDiffUnit(2, competences)).toBe('niveaux');
+    });
+
+    it('should build histogram buckets and match the top bound inclusively', () => {
+        const buckets = GradeScaleService.getBuckets(GRADE_SCALE_PRESETS.note10);
+
+        expect(buckets.map(b => b.label)).toEqual(['0-2', '2-4', '4-6', '6-8', '8-10']);
+        expect(GradeScaleService.isInBucket(10, buckets[4], GRADE_SCALE_PRESETS.note10)).toBe(true);
+        expect(GradeScaleService.isInBucket(4, buckets[1], GRADE_SCALE_PRESETS.note10)).toBe(false);
+        expect(GradeScaleService.getBuckets(competences).map(b => b.label)).toEqual(['NA', 'PA', 'A', 'D']);
+    });
+
+    it('should create custom scales and reject invalid maxima', () => {
+        expect(GradeScaleService.createScale('custom', '15')).toEqual({ id: 'custom', type: 'numeric', max: 15 });
+        expect(GradeScaleService.createScale('custom', '0')).toBeNull();
+        expect(GradeScaleService.createScale('competences')).not.toHaveProperty('name');
+        expect(GradeScaleService.isDefault(GradeScaleService.createScale('note20'))).toBe(true);
+    });
+});
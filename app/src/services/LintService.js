@@ -0,0 +1,325 @@
+/**
+ * @fileoverview Relecture automatique des appréciations avant report dans Pronote
+ *
+ * Chaque règle examine le texte d'une appréciation et renvoie des problèmes
+ * `{ ruleId, severity, message, fix }`. `fix` décrit la correction à demander à l'IA
+ * (raffinement 'fix' de PromptService.getRefinementPrompt). Les réglages (limite de caractères,
+ * expressions interdites, mention de l'évolution) sont dans `appState.lintSettings`.
+ *
+ * @module services/LintService
+ */
+
+import { appState } from '../state/State.js';
+import { Utils } from '../utils/Utils.js';
+import { StatsService } from './StatsService.js';
+import { GradeScaleService } from './GradeScaleService.js';
+
+/** Réglages par défaut (charLimit 0 = pas de limite ; une classe peut définir sa propre limite) */
+export const DEFAULT_LINT_SETTINGS = {
+    charLimit: 0,
+    forbiddenExpressions: ['peut mieux faire', 'continuer ainsi', 'doit persévérer'],
+    requireTrendMention: false
+};
+
+/** Ordre d'affichage des sévérités */
+export const LINT_SEVERITIES = ['error', 'warning', 'info'];
+
+/** Adjectifs courants des appréciations : [masculin, féminin] */
+const GENDERED_ADJECTIVES = [
+    ['attentif', 'attentive'], ['sérieux', 'sérieuse'], ['actif', 'active'], ['passif', 'passive'],
+    ['motivé', 'motivée'], ['investi', 'investie'], ['impliqué', 'impliquée'], ['concentré', 'concentrée'],
+    ['appliqué', 'appliquée'], ['discret', 'discrète'], ['curieux', 'curieuse'], ['travailleur', 'travailleuse'],
+    ['bavard', 'bavarde'], ['dissipé', 'dissipée'], ['agité', 'agitée'], ['studieux', 'studieuse'],
+    ['consciencieux', 'consciencieuse'], ['rigoureux', 'rigoureuse'], ['assidu', 'assidue'],
+    ['distrait', 'distraite'], ['organisé', 'organisée'], ['inquiet', 'inquiète'], ['perturbateur', 'perturbatrice']
+];
+
+/** Verbes d'état qui introduisent un adjectif se rapportant à l'élève */
+const STATE_VERBS = "est|semble|reste|paraît|parait|se montre|s'est montrée?|demeure|devient";
+const ADVERBS = '(?:(?:très|assez|plus|trop|peu|bien|toujours|souvent|parfois|encore|particulièrement)\\s+)*';
+
+/** Vocabulaire attendu quand une évolution des résultats doit être mentionnée */
+const TREND_PATTERN = /progr|amélior|hausse|baisse|recul|régress|fléchi|chute|stable|stabil|constan|maintien|maintient|redress|dégrad|remont|en net|en léger/i;
+
+/** Minuscules sans accents */
+const normalizeText = (text) => String(text || '').toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Expression qui trouve un mot entier (les lettres accentuées comptent comme des lettres)
+ * @param {string} word
+ * @param {string} [flags='iu']
+ * @returns {RegExp}
+ */
+const wordRegExp = (word, flags = 'iu') => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(word)}(?![\\p{L}\\p{N}])`, flags);
+
+/**
+ * Cherche un nom propre : occurrence sans accents ni casse, mais écrite avec une majuscule
+ * (évite de signaler "petit" pour l'élève PETIT)
+ * @param {string} text
+ * @param {string} name
+ * @returns {string|null} Occurrence trouvée
+ */
+const findProperNoun = (text, name) => {
+    const normalizedText = normalizeText(text);
+    const regex = wordRegExp(normalizeText(name), 'giu');
+    let match;
+    while ((match = regex.exec(normalizedText)) !== null) {
+        const original = text.slice(match.index, match.index + match[0].length);
+        if (original[0] && original[0] !== original[0].toLowerCase()) return original;
+    }
+    return null;
+};
+
+/** Particules ignorées lorsqu'un nom composé est découpé */
+const NAME_PARTICLES = new Set(['de', 'du', 'des', 'la', 'le', 'les', 'van', 'von', 'der', 'el', 'al', 'ben', 'da', 'dos']);
+
+/**
+ * Règles de relecture, dans l'ordre d'exécution.
+ * check(text, ctx) → problèmes sans ruleId ni severity (ajoutés par lint)
+ */
+export const LINT_RULES = [
+    {
+        id: 'placeholder',
+        label: 'Balise oubliée',
+        severity: 'error',
+        check(text, ctx) {
+            const placeholders = [...new Set(text.match(/\[[^\]\n]{1,30}\]/g) || [])];
+            return placeholders.map(p => ({
+                message: `Balise « ${p} » restée dans le texte`,
+                fix: { type: 'fix', instruction: `Remplace la balise « ${p} » par le prénom « ${ctx.prenom} » ou supprime-la si elle n'a pas de sens.` }
+            }));
+        }
+    },
+    {
+        id: 'lastName',
+        label: 'Nom de famille',
+        severity: 'error',
+        check(text, ctx) {
+            if (!ctx.nom) return [];
+            const parts = ctx.nom.split(/[\s-]+/).filter(p => p.length >= 3 && !NAME_PARTICLES.has(normalizeText(p)));
+            const found = [ctx.nom, ...parts].map(name => findProperNoun(text, name)).find(Boolean);
+            if (!found) return [];
+            return [{
+                message: `Nom de famille « ${found} » présent dans l'appréciation`,
+                fix: { type: 'fix', instruction: `Supprime le nom de famille « ${found} » : désigne l'élève par son prénom ou par une tournure impersonnelle.` }
+            }];
+        }
+    },
+    {
+        id: 'wrongFirstName',
+        label: 'Mauvais prénom',
+        severity: 'error',
+        check(text, ctx) {
+            const ownName = normalizeText(ctx.prenom);
+            const ownParts = ownName.split(/[\s-]+/);
+            const names = [...new Set((ctx.classmates || []).map(n => n?.trim()).filter(Boolean))];
+            return names
+                .filter(name => {
+                    const normalized = normalizeText(name);
+                    // "Jean" n'est pas une erreur pour "Jean-Baptiste"
+                    return normalized !== ownName && !ownParts.includes(normalized);
+                })
+                .map(name => findProperNoun(text, name))
+                .filter(Boolean)
+                .map(found => ({
+                    message: `Le prénom « ${found} » est celui d'un autre élève`,
+                    fix: { type: 'fix', instruction: `Le prénom « ${found} » est une erreur : remplace-le par « ${ctx.prenom} ».` }
+                }));
+        }
+    },
+    {
+        id: 'gender',
+        label: 'Accord',
+        severity: 'warning',
+        check(text, ctx) {
+            const gender = Utils.detectGender(ctx.prenom);
+            if (gender !== 'féminin' && gender !== 'masculin') return [];
+
+            const isFeminine = gender === 'féminin';
+            const wrongForms = GENDERED_ADJECTIVES.map(([masc, fem]) => isFeminine ? masc : fem);
+            const ownPronoun = isFeminine ? 'elle' : 'il';
+            const wrongPronoun = isFeminine ? 'il' : 'elle';
+            const firstName = ctx.prenom ? `|${escapeRegExp(ctx.prenom)}` : '';
+            const anyForm = GENDERED_ADJECTIVES.flat().join('|');
+
+            const issues = [];
+            // "Elle est attentif" / "Léa semble motivé"
+            const agreement = new RegExp(`(?<![\\p{L}])(?:${ownPronoun}${firstName})\\s+(?:${STATE_VERBS})\\s+${ADVERBS}(${wrongForms.join('|')})(?![\\p{L}])`, 'iu');
+            // "Il est attentive" pour une élève : le pronom lui-même est faux
+            const pronoun = new RegExp(`(?<![\\p{L}])${wrongPronoun}\\s+(?:${STATE_VERBS})\\s+${ADVERBS}(${anyForm})(?![\\p{L}])`, 'iu');
+
+            const agreementMatch = text.match(agreement);
+            const pronounMatch = text.match(pronoun);
+            const expected = isFeminine ? 'au féminin' : 'au masculin';
+            if (pronounMatch) {
+                issues.push({
+                    message: `« ${pronounMatch[0]} » : pronom ${isFeminine ? 'masculin' : 'féminin'} pour ${ctx.prenom}`,
+                    fix: { type: 'fix', instruction: `L'élève ${ctx.prenom} est ${isFeminine ? 'une fille' : 'un garçon'} : utilise « ${ownPronoun} » et accorde ${expected} (« ${pronounMatch[0]} »).` }
+                });
+            }
+            if (agreementMatch) {
+                issues.push({
+                    message: `« ${agreementMatch[0]} » : accord à faire ${expected}`,
+                    fix: { type: 'fix', instruction: `Accorde ${expected} les mots qui se rapportent à l'élève (« ${agreementMatch[0]} »).` }
+                });
+            }
+            return issues;
+        }
+    },
+    {
+        id: 'length',
+        label: 'Longueur',
+        severity: 'error',
+        check(text, ctx) {
+            const limit = ctx.settings.charLimit;
+            if (!limit || text.length <= limit) return [];
+            return [{
+                message: `${text.length} caractères pour une limite de ${limit}`,
+                // Même condensation que celle appliquée automatiquement après génération
+                fix: { type: 'concise', charLimit: limit }
+            }];
+        }
+    },
+    {
+        id: 'forbidden',
+        label: 'Expression interdite',
+        severity: 'warning',
+        check(text, ctx) {
+            const normalizedText = normalizeText(text);
+            return (ctx.settings.forbiddenExpressions || [])
+                .filter(expr => expr?.trim() && wordRegExp(normalizeText(expr.trim())).test(normalizedText))
+                .map(expr => ({
+                    message: `Expression « ${expr.trim()} » à éviter`,
+                    fix: { type: 'fix', instruction: `Reformule pour ne plus employer l'expression « ${expr.trim()} », en la remplaçant par une formulation concrète.` }
+                }));
+        }
+    },
+    {
+        id: 'trend',
+        label: 'Évolution',
+        severity: 'info',
+        check(text, ctx) {
+            const evolution = ctx.evolution;
+            if (!ctx.settings.requireTrendMention || !evolution || evolution.type === 'stable') return [];
+            if (TREND_PATTERN.test(text)) return [];
+
+            const direction = evolution.type.includes('positive') ? 'la progression' : 'la baisse';
+            return [{
+                message: `L'appréciation ne mentionne pas ${direction} des résultats`,
+                fix: { type: 'fix', instruction: `Mentionne brièvement ${direction} des résultats par rapport à la période précédente, sans citer de note.` }
+            }];
+        }
+    }
+];
+
+export const LintService = {
+
+    /**
+     * @returns {Object} Réglages courants complétés par les valeurs par défaut
+     */
+    getSettings() {
+        return { ...DEFAULT_LINT_SETTINGS, ...(appState.lintSettings || {}) };
+    },
+
+    /**
+     * Limite de caractères effective (champs Pronote/LSU)
+     * @param {string|null} [classId=appState.currentClassId]
+     * @returns {number} Limite de la classe, sinon limite par défaut des réglages (0 = aucune)
+     */
+    getCharLimit(classId = appState.currentClassId) {
+        const cls = (appState.classes || []).find(c => c.id === classId);
+        if (cls?.charLimit > 0) return cls.charLimit;
+        return this.getSettings().charLimit || 0;
+    },
+
+    /**
+     * Appréciation d'un élève pour une période (même priorité que la vue liste)
+     * @param {Object} result
+     * @param {string} period
+     * @returns {string}
+     */
+    getAppreciation(result, period) {
+        const periodApp = result?.studentData?.periods?.[period]?.appreciation;
+        if (typeof periodApp === 'string' && periodApp.trim()) return periodApp.trim();
+        if (result?.generationPeriod === period && typeof result.appreciation === 'string') return result.appreciation.trim();
+        return '';
+    },
+
+    /**
+     * Vérifie un texte
+     * @param {string} text - Appréciation
+     * @param {Object} ctx - { nom, prenom, classmates: string[], evolution: Object|null, settings }
+     * @returns {Array<Object>} Problèmes triés par sévérité
+     */
+    lintText(text, ctx) {
+        const clean = String(text || '').trim();
+        if (!clean) return [];
+
+        const context = { ...ctx, settings: { ...DEFAULT_LINT_SETTINGS, ...(ctx.settings || {}) } };
+        const issues = LINT_RULES.flatMap(rule => rule.check(clean, context)
+            .map(issue => ({ ruleId: rule.id, severity: rule.severity, ...issue })));
+
+        return issues.sort((a, b) => LINT_SEVERITIES.indexOf(a.severity) - LINT_SEVERITIES.indexOf(b.severity));
+    },
+
+    /**
+     * Vérifie l'appréciation d'un élève
+     * @param {Object} result - Résultat élève
+     * @param {string} [period=appState.currentPeriod]
+     * @returns {Array<Object>}
+     */
+    lintResult(result, period = appState.currentPeriod) {
+        const text = this.getAppreciation(result, period);
+        if (!text) return [];
+
+        const classId = result.classId ?? null;
+        const classmates = (appState.generatedResults || [])
+            .filter(r => r.id !== result.id && (r.classId ?? null) === classId)
+            .map(r => r.prenom);
+
+        const periods = result.studentData?.periods || {};
+        const evolutions = StatsService.analyserEvolution(periods, GradeScaleService.getScale(classId));
+
+        return this.lintText(text, {
+            nom: result.nom,
+            prenom: result.prenom,
+            classmates,
+            evolution: Utils.getRelevantEvolution(evolutions, period),
+            settings: { ...this.getSettings(), charLimit: this.getCharLimit(classId) }
+        });
+    },
+
+    /**
+     * Vérifie toutes les appréciations d'une liste d'élèves
+     * @param {Array<Object>} results
+     * @param {string} [period=appState.currentPeriod]
+     * @returns {{reports: Array<{result: Object, issues: Array<Object>}>, counts: Object<string, number>, checked: number}}
+     *          reports : élèves ayant au moins un problème ; checked : élèves ayant une appréciation
+     */
+    lintClass(results, period = appState.currentPeriod) {
+        const counts = { error: 0, warning: 0, info: 0 };
+        let checked = 0;
+        const reports = [];
+
+        (results || []).forEach(result => {
+            if (!this.getAppreciation(result, period)) return;
+            checked++;
+            const issues = this.lintResult(result, period);
+            issues.forEach(issue => { counts[issue.severity]++; });
+            if (issues.length > 0) reports.push({ result, issues });
+        });
+
+        return { reports, counts, checked };
+    },
+
+    /**
+     * @param {Array<Object>} issues
+     * @returns {string|null} Sévérité la plus haute, null sans problème
+     */
+    getTopSeverity(issues) {
+        return LINT_SEVERITIES.find(s => issues?.some(i => i.severity === s)) || null;
+    }
+};
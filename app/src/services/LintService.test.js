@@ -0,0 +1,90 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { LintService, DEFAULT_LINT_SETTINGS } from './LintService.js';
+import { appState } from '../state/State.js';
+
+vi.mock('../state/State.js', () => ({
+    appState: {
+        currentPeriod: 'T2',
+        periodSystem: 'trimestres',
+        evolutionThresholds: { veryPositive: 2, positive: 0.5, negative: -0.5, veryNegative: -2 },
+        lintSettings: null,
+        generatedResults: [],
+        classes: []
+    }
+}));
+
+const ctx = (overrides = {}) => ({ nom: 'MARTIN', prenom: 'Léa', classmates: ['Lucas', 'Jean'], evolution: null, settings: {}, ...overrides });
+const ruleIds = (issues) => issues.map(i => i.ruleId);
+
+describe('LintService', () => {
+    beforeEach(() => {
+        appState.lintSettings = null;
+        appState.generatedResults = [];
+    });
+
+    it('should report placeholders, last name and classmates first names as errors', () => {
+        const issues = LintService.lintText("[PRÉNOM] progresse. Martin s'implique comme Lucas.", ctx());
+
+        expect(ruleIds(issues)).toEqual(['placeholder', 'lastName', 'wrongFirstName']);
+        expect(issues.every(i => i.severity === 'error')).toBe(true);
+        expect(issues[2].message).toContain('Lucas');
+        expect(issues[0].fix).toMatchObject({ type: 'fix' });
+    });
+
+    it('should not mistake common words or own compound first name for names', () => {
+        const issues = LintService.lintText('Un petit effort reste à faire, Jean-Baptiste.', ctx({ nom: 'PETIT', prenom: 'Jean-Baptiste' }));
+        expect(issues).toEqual([]);
+    });
+
+    it('should detect gender agreement mismatches', () => {
+        expect(ruleIds(LintService.lintText('Elle est très attentif en classe.', ctx()))).toEqual(['gender']);
+        expect(ruleIds(LintService.lintText('Il est sérieuse.', ctx()))).toEqual(['gender']);
+        expect(LintService.lintText('Elle est attentive. Il est nécessaire de réviser.', ctx())).toEqual([]);
+        expect(ruleIds(LintService.lintText('Lucas se montre motivée.', ctx({ prenom: 'Lucas', classmates: [] })))).toEqual(['gender']);
+    });
+
+    it('should apply the configurable rules', () => {
+        const settings = { charLimit: 20, forbiddenExpressions: ['peut mieux faire'], requireTrendMention: true };
+        const text = 'Léa peut mieux faire ce trimestre.';
+
+        const issues = LintService.lintText(text, ctx({ settings, evolution: { type: 'negative', valeur: -2 } }));
+        expect(ruleIds(issues)).toEqual(['length', 'forbidden', 'trend']);
+        expect(issues.map(i => i.severity)).toEqual(['error', 'warning', 'info']);
+        expect(issues[2].message).toContain('la baisse');
+
+        const mentioned = LintService.lintText('Résultats en baisse.', ctx({ settings, evolution: { type: 'negative', valeur: -2 } }));
+        expect(ruleIds(mentioned)).toEqual([]);
+        expect(DEFAULT_LINT_SETTINGS.charLimit).toBe(0);
+    });
+
+    it('should prefer the class character limit over the default one', () => {
+        appState.lintSettings = { charLimit: 500 };
+        appState.classes = [{ id: 'c1', charLimit: 20 }, { id: 'c2' }];
+
+        expect(LintService.getCharLimit('c1')).toBe(20);
+        expect(LintService.getCharLimit('c2')).toBe(500);
+
+        const result = { id: 's1', nom: 'MARTIN', prenom: 'Léa', classId: 'c1', studentData: { periods: { T2: { appreciation: 'Léa travaille avec sérieux.' } } } };
+        const [issue] = LintService.lintResult(result);
+        expect(issue).toMatchObject({ ruleId: 'length', fix: { type: 'concise', charLimit: 20 } });
+        appState.classes = [];
+    });
+
+    it('should lint every appreciation of a class for the current period', () => {
+        appState.lintSettings = { requireTrendMention: true };
+        appState.generatedResults = [
+            { id: 's1', nom: 'MARTIN', prenom: 'Léa', classId: 'c1', studentData: { periods: { T1: { grade: 10 }, T2: { grade: 14, appreciation: 'Bon travail, Martin.' } } } },
+            { id: 's2', nom: 'DURAND', prenom: 'Lucas', classId: 'c1', studentData: { periods: { T2: { appreciation: 'Lucas participe.' } } } },
+            { id: 's3', nom: 'BERNARD', prenom: 'Tom', classId: 'c1', studentData: { periods: { T2: {} } } }
+        ];
+
+        const { reports, counts, checked } = LintService.lintClass(appState.generatedResults);
+
+        expect(checked).toBe(2);
+        expect(reports).toHaveLength(1);
+        expect(reports[0].result.id).toBe('s1');
+        expect(ruleIds(reports[0].issues)).toEqual(['lastName', 'trend']);
+        expect(counts).toEqual({ error: 1, warning: 0, info: 1 });
+        expect(LintService.getTopSeverity(reports[0].issues)).toBe('error');
+    });
+});
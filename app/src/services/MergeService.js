@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Fusion à trois voies pour la synchronisation cloud.
+ *
+ * La base commune est l'état du dernier envoi/chargement réussi sur cet appareil.
+ * Chaque enregistrement (classe, élève, entrée de journal) est comparé à la base :
+ * - modifié d'un seul côté → ce côté l'emporte ;
+ * - supprimé d'un côté et inchangé de l'autre → la suppression est appliquée ;
+ * - modifié des deux côtés → fusion champ par champ, le plus récent l'emporte,
+ *   sauf pour une appréciation réécrite des deux côtés, qui devient un conflit.
+ *
+ * Logique pure, sans DOM ni stockage : facilement testable.
+ *
+ * @module services/MergeService
+ */
+
+/**
+ * @typedef {Object} SyncConflict
+ * @property {string} key - Identifiant unique du conflit (`${id}|${period}`)
+ * @property {string} id - ID du résultat élève
+ * @property {string} nom
+ * @property {string} prenom
+ * @property {string|null} classId
+ * @property {string} period - Période concernée
+ * @property {string} base - Appréciation au dernier sync
+ * @property {string} local - Appréciation sur cet appareil
+ * @property {string} remote - Appréciation dans le Cloud
+ * @property {string|null} remoteDeviceId - Appareil ayant envoyé la version Cloud
+ * @property {'local'|'remote'} resolution - Choix appliqué par défaut (version la plus récente)
+ */
+
+/** Sérialisation ignorant les horodatages techniques, pour détecter les vraies modifications */
+const contentKey = (value) => JSON.stringify(value ?? null, (k, v) => (k === '_lastModified' ? undefined : v));
+const same = (a, b) => contentKey(a) === contentKey(b);
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+export const MergeService = {
+    /**
+     * Fusionne les données locales et distantes à partir de la base commune.
+     * @param {Object|null} base - Données au dernier sync ({ settings, classes, generatedResults })
+     * @param {Object} local - Données locales
+     * @param {Object} remote - Données du Cloud
+     * @returns {{data: Object, conflicts: SyncConflict[], stats: {fromRemote: number, merged: number, deleted: number}}}
+     */
+    threeWayMerge(base, local, remote) {
+        const conflicts = [];
+        const stats = { fromRemote: 0, merged: 0, deleted: 0 };
+        const context = { remoteDeviceId: remote?._meta?.deviceId || null };
+
+        const classes = this._mergeCollection(
+            base?.classes, local.classes, remote.classes,
+            (b, l, r) => clone(this._newer(l, r, 'updatedAt')),
+            stats
+        );
+
+        const generatedResults = this._mergeCollection(
+            base?.generatedResults, local.generatedResults, remote.generatedResults,
+            (b, l, r) => this._mergeResult(b, l, r, conflicts, context),
+            stats
+        );
+
+        // Paramètres : bloc indivisible, ceux de l'appareil qui les a modifiés depuis le dernier sync
+        const settings = base && same(local.settings, base.settings) ? remote.settings : local.settings;
+
+        return {
+            data: { ...local, settings, classes, generatedResults },
+            conflicts,
+            stats
+        };
+    },
+
+    /**
+     * Applique les choix de l'utilisateur aux conflits d'appréciation.
+     * @param {Object} data - Données fusionnées (modifiées en place)
+     * @param {SyncConflict[]} conflicts - Conflits retournés par threeWayMerge
+     * @param {Object<string, 'local'|'remote'>} choices - Choix par clé de conflit
+     */
+    applyResolutions(data, conflicts, choices) {
+        conflicts.forEach(conflict => {
+            const choice = choices?.[conflict.key] || conflict.resolution;
+            if (choice === conflict.resolution) return;
+
+            const record = data.generatedResults.find(r => r.id === conflict.id);
+            const period = record?.studentData?.periods?.[conflict.period];
+            if (!period) return;
+
+            period.appreciation = conflict[choice];
+            if (record.generationPeriod === conflict.period) {
+                record.appreciation = conflict[choice];
+            }
+            record._lastModified = Date.now();
+        });
+    },
+
+    /**
+     * Fusionne deux listes d'enregistrements identifiés par `id`.
+     * @private
+     */
+    _mergeCollection(baseList, localList, remoteList, mergeRecord, stats) {
+        const byId = (list) => new Map((list || []).filter(item => item?.id).map(item => [item.id, item]));
+        const baseMap = byId(baseList);
+        const localMap = byId(localList);
+        const remoteMap = byId(remoteList);
+
+        // Ordre local conservé, les nouveautés du Cloud sont ajoutées à la suite
+        const ids = [...new Set([...localMap.keys(), ...remoteMap.keys()])];
+        const merged = [];
+
+        ids.forEach(id => {
+            const b = baseMap.get(id);
+            const l = localMap.get(id);
+            const r = remoteMap.get(id);
+
+            if (l && r) {
+                if (same(l, r) || same(r, b)) {
+                    merged.push(l);
+                } else if (b && same(l, b)) {
+                    merged.push(r);
+                    stats.fromRemote++;
+                } else {
+                    merged.push(mergeRecord(b, l, r));
+                    stats.merged++;
+                }
+                return;
+            }
+
+            const kept = l || r;
+            if (b && same(kept, b)) {
+                // Supprimé d'un côté, inchangé de l'autre : la suppression l'emporte
+                stats.deleted++;
+                return;
+            }
+
+            // Créé d'un côté, ou modifié après une suppression de l'autre : on le garde
+            merged.push(kept);
+            if (r) stats.fromRemote++;
+        });
+
+        return merged;
+    },
+
+    /**
+     * Fusionne un résultat élève modifié des deux côtés.
+     * @private
+     */
+    _mergeResult(b, l, r, conflicts, context) {
+        const localIsNewer = this._newer(l, r, '_lastModified') === l;
+        const merged = clone(localIsNewer ? l : r);
+        merged._lastModified = Math.max(l._lastModified || 0, r._lastModified || 0) || Date.now();
+
+        // Journal de bord : fusion par entrée, aucune observation perdue
+        if (l.journal || r.journal) {
+            merged.journal = this._mergeCollection(
+                b?.journal, l.journal, r.journal,
+                (bj, lj, rj) => clone(this._newer(lj, rj, '_lastModified')),
+                { fromRemote: 0, merged: 0, deleted: 0 }
+            );
+        }
+
+        const lPeriods = l.studentData?.periods || {};
+        const rPeriods = r.studentData?.periods || {};
+        const bPeriods = b?.studentData?.periods || {};
+        if (!merged.studentData) merged.studentData = {};
+        merged.studentData.periods = {};
+
+        const periodKeys = [...new Set([...Object.keys(lPeriods), ...Object.keys(rPeriods)])];
+        periodKeys.forEach(p => {
+            const picked = this._pick(bPeriods[p], lPeriods[p], rPeriods[p], localIsNewer);
+            if (!picked) return;
+
+            const baseText = bPeriods[p]?.appreciation || '';
+            const localText = lPeriods[p]?.appreciation || '';
+            const remoteText = rPeriods[p]?.appreciation || '';
+
+            let appreciation;
+            if (localText === remoteText || remoteText === baseText) {
+                appreciation = localText;
+            } else if (localText === baseText) {
+                appreciation = remoteText;
+            } else {
+                appreciation = localIsNewer ? localText : remoteText;
+                conflicts.push({
+                    key: `${l.id}|${p}`,
+                    id: l.id,
+                    nom: l.nom,
+                    prenom: l.prenom,
+                    classId: l.classId || null,
+                    period: p,
+                    base: baseText,
+                    local: localText,
+                    remote: remoteText,
+                    remoteDeviceId: context.remoteDeviceId,
+                    resolution: localIsNewer ? 'local' : 'remote'
+                });
+            }
+
+            merged.studentData.periods[p] = { ...clone(picked), appreciation };
+        });
+
+        // L'appréciation "courante" suit celle de la période générée
+        const generationPeriod = merged.generationPeriod;
+        if (generationPeriod && merged.studentData.periods[generationPeriod]) {
+            merged.appreciation = merged.studentData.periods[generationPeriod].appreciation;
+        }
+
+        return merged;
+    },
+
+    /**
+     * Choisit la valeur d'un champ modifié d'un seul côté, ou la plus récente si les deux ont changé.
+     * @private
+     */
+    _pick(b, l, r, preferLocal) {
+        if (same(l, r) || same(r, b)) return l;
+        if (same(l, b)) return r;
+        return preferLocal ? (l ?? r) : (r ?? l);
+    },
+
+    /**
+     * Retourne l'enregistrement le plus récent (égalité → local).
+     * @private
+     */
+    _newer(l, r, field) {
+        const toTime = (v) => (typeof v === 'number' ? v : new Date(v || 0).getTime() || 0);
+        return toTime(r?.[field]) > toTime(l?.[field]) ? r : l;
+    }
+};
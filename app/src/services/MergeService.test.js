@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import { MergeService } from './MergeService.js';
+
+const student = (overrides = {}) => ({
+    id: 's1',
+    nom: 'DUPONT',
+    prenom: 'Léa',
+    classId: 'c1',
+    appreciation: 'Bon trimestre.',
+    generationPeriod: 'T1',
+    studentData: { periods: { T1: { grade: 14, appreciation: 'Bon trimestre.' } } },
+    journal: [],
+    _lastModified: 1000,
+    ...overrides
+});
+
+const dataset = (results, classes = [{ id: 'c1', name: '3A', updatedAt: 1000 }]) => ({
+    settings: { theme: 'light' },
+    classes,
+    generatedResults: results
+});
+
+const withText = (text, lastModified) => student({
+    appreciation: text,
+    studentData: { periods: { T1: { grade: 14, appreciation: text } } },
+    _lastModified: lastModified
+});
+
+describe('MergeService', () => {
+    describe('threeWayMerge', () => {
+        it('should take the remote version when only the cloud changed', () => {
+            const base = dataset([student()]);
+            const remote = dataset([withText('Excellent trimestre.', 2000)]);
+
+            const { data, conflicts, stats } = MergeService.threeWayMerge(base, dataset([student()]), remote);
+
+            expect(data.generatedResults[0].appreciation).toBe('Excellent trimestre.');
+            expect(conflicts).toHaveLength(0);
+            expect(stats.fromRemote).toBe(1);
+        });
+
+        it('should keep journal entries added on both devices', () => {
+            const base = dataset([student()]);
+            const local = dataset([student({ journal: [{ id: 'j1', note: 'Local' }], _lastModified: 2000 })]);
+            const remote = dataset([student({ journal: [{ id: 'j2', note: 'Cloud' }], _lastModified: 3000 })]);
+
+            const { data, conflicts } = MergeService.threeWayMerge(base, local, remote);
+
+            expect(data.generatedResults[0].journal.map(j => j.id)).toEqual(['j1', 'j2']);
+            expect(conflicts).toHaveLength(0);
+        });
+
+        it('should apply a deletion when the other side did not change the record', () => {
+            const base = dataset([student(), student({ id: 's2', nom: 'MARTIN' })]);
+            const local = dataset([student()]);
+            const remote = dataset([student(), student({ id: 's2', nom: 'MARTIN' })]);
+
+            const { data, stats } = MergeService.threeWayMerge(base, local, remote);
+
+            expect(data.generatedResults.map(r => r.id)).toEqual(['s1']);
+            expect(stats.deleted).toBe(1);
+        });
+
+        it('should keep a record modified after being deleted elsewhere', () => {
+            const base = dataset([student()]);
+            const local = dataset([]);
+            const remote = dataset([withText('Réécrite.', 2000)]);
+
+            const { data } = MergeService.threeWayMerge(base, local, remote);
+
+            expect(data.generatedResults[0].appreciation).toBe('Réécrite.');
+        });
+
+        it('should merge per period when both devices edited different periods', () => {
+            const base = dataset([student()]);
+            const local = dataset([student({
+                studentData: { periods: { T1: { grade: 15, appreciation: 'Bon trimestre.' } } },
+                _lastModified: 2000
+            })]);
+            const remote = dataset([student({
+                studentData: { periods: { T1: { grade: 14, appreciation: 'Bon trimestre.' }, T2: { grade: 12 } } },
+                _lastModified: 3000
+            })]);
+
+            const { data, conflicts } = MergeService.threeWayMerge(base, local, remote);
+            const periods = data.generatedResults[0].studentData.periods;
+
+            expect(periods.T1.grade).toBe(15);
+            expect(periods.T2.grade).toBe(12);
+            expect(conflicts).toHaveLength(0);
+        });
+
+        it('should report a conflict when the same appreciation was rewritten on both devices', () => {
+            const base = dataset([student()]);
+            const local = dataset([withText('Version locale.', 2000)]);
+            const remote = { ...dataset([withText('Version Cloud.', 3000)]), _meta: { deviceId: 'dev-b' } };
+
+            const { data, conflicts } = MergeService.threeWayMerge(base, local, remote);
+
+            expect(conflicts).toHaveLength(1);
+            expect(conflicts[0]).toMatchObject({
+                key: 's1|T1',
+                local: 'Version locale.',
+                remote: 'Version Cloud.',
+                remoteDeviceId: 'dev-b',
+                resolution: 'remote'
+            });
+            expect(data.generatedResults[0].appreciation).toBe('Version Cloud.');
+        });
+
+        it('should take remote settings only when local settings are unchanged', () => {
+            const base = dataset([]);
+            const remote = { ...dataset([]), settings: { theme: 'dark' } };
+
+            expect(MergeService.threeWayMerge(base, dataset([]), remote).data.settings.theme).toBe('dark');
+
+            const local = { ...dataset([]), settings: { theme: 'sepia' } };
+            expect(MergeService.threeWayMerge(base, local, remote).data.settings.theme).toBe('sepia');
+        });
+    });
+
+    describe('applyResolutions', () => {
+        it('should apply the user choice to the period and current appreciation', () => {
+            const base = dataset([student()]);
+            const local = dataset([withText('Version locale.', 2000)]);
+            const remote = dataset([withText('Version Cloud.', 3000)]);
+            const { data, conflicts } = MergeService.threeWayMerge(base, local, remote);
+
+            MergeService.applyResolutions(data, conflicts, { 's1|T1': 'local' });
+
+            const result = data.generatedResults[0];
+            expect(result.appreciation).toBe('Version locale.');
+            expect(result.studentData.periods.T1.appreciation).toBe('Version locale.');
+        });
+    });
+});
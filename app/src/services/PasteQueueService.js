@@ -0,0 +1,123 @@
+/**
+ * @fileoverview File de collage Pronote : ordonne les appréciations d'une classe
+ * selon la liste de l'établissement (ordre de l'import ou colonne de noms collée).
+ *
+ * La correspondance des noms tolère les accents, la casse, l'ordre NOM/Prénom,
+ * les noms composés (tirets, espaces, apostrophes) et les initiales ("MARTIN L.").
+ *
+ * @module services/PasteQueueService
+ */
+
+import { appState } from '../state/State.js';
+import { Utils } from '../utils/Utils.js';
+import { LintService } from './LintService.js';
+
+/**
+ * Découpe un nom en mots comparables (sans accents, minuscules, sans ponctuation)
+ * @param {string} name
+ * @returns {string[]}
+ */
+const tokenize = (name) => String(name || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+/** Deux mots correspondent s'ils sont égaux ou si l'un est l'initiale de l'autre */
+const tokensMatch = (a, b) => a === b || (a.length === 1 && b.startsWith(a)) || (b.length === 1 && a.startsWith(b));
+
+/** Tous les mots de `small` se retrouvent dans `large` (chacun une seule fois) */
+const isSubset = (small, large) => {
+    const remaining = [...large];
+    return small.every(token => {
+        const index = remaining.findIndex(other => tokensMatch(token, other));
+        if (index === -1) return false;
+        remaining.splice(index, 1);
+        return true;
+    });
+};
+
+/** Clé indépendante de l'ordre des mots (NOM Prénom = Prénom NOM) */
+const tokensKey = (tokens) => [...tokens].sort().join(' ');
+
+export const PasteQueueService = {
+    /**
+     * Extrait les noms d'une colonne collée (Pronote, tableur) : une ligne par élève,
+     * seule la première cellule est gardée.
+     * @param {string} text
+     * @returns {string[]}
+     */
+    parseNameColumn(text) {
+        return String(text || '')
+            .split(/\r?\n/)
+            .map(line => line.split(/\t|;/)[0].trim())
+            .filter(line => tokenize(line).length > 0);
+    },
+
+    /**
+     * Associe chaque nom de la liste cible à un élève.
+     * Première passe sur les correspondances exactes, puis correspondance souple
+     * (sous-ensemble de mots, initiales) retenue seulement si elle désigne un seul élève.
+     * @param {string[]} names - Noms dans l'ordre cible
+     * @param {Array<Object>} results - Élèves candidats
+     * @returns {{queue: Array<{name: string, result: Object|null}>, unmatched: Array<Object>}}
+     *          unmatched : élèves absents de la liste cible
+     */
+    matchOrder(names, results) {
+        const candidates = (results || []).map(result => ({
+            result,
+            tokens: tokenize(`${result.nom} ${result.prenom}`)
+        }));
+        const used = new Set();
+        const queue = (names || []).map(name => ({ name, tokens: tokenize(name), result: null }));
+
+        queue.forEach(entry => {
+            const key = tokensKey(entry.tokens);
+            const match = candidates.find(c => !used.has(c.result) && tokensKey(c.tokens) === key);
+            if (match) {
+                entry.result = match.result;
+                used.add(match.result);
+            }
+        });
+
+        queue.filter(entry => !entry.result && entry.tokens.length > 0).forEach(entry => {
+            const matches = candidates.filter(c => !used.has(c.result) && c.tokens.length > 0 && (
+                entry.tokens.length <= c.tokens.length
+                    ? isSubset(entry.tokens, c.tokens)
+                    : isSubset(c.tokens, entry.tokens)
+            ));
+            if (matches.length === 1) {
+                entry.result = matches[0].result;
+                used.add(matches[0].result);
+            }
+        });
+
+        return {
+            queue: queue.map(({ name, result }) => ({ name, result })),
+            unmatched: candidates.filter(c => !used.has(c.result)).map(c => c.result)
+        };
+    },
+
+    /**
+     * Ordre de la dernière liste importée pour une classe
+     * @param {string|null} [classId=appState.currentClassId]
+     * @returns {string[]} Noms "NOM Prénom", vide si la classe n'a pas été importée
+     */
+    getImportOrder(classId = appState.currentClassId) {
+        const cls = (appState.classes || []).find(c => c.id === classId);
+        return Array.isArray(cls?.importOrder) ? cls.importOrder : [];
+    },
+
+    /**
+     * Texte à coller pour un élève (vide s'il n'a pas d'appréciation sur la période)
+     * @param {Object|null} result
+     * @param {string} [period=appState.currentPeriod]
+     * @returns {string}
+     */
+    getPasteText(result, period = appState.currentPeriod) {
+        const appreciation = result ? LintService.getAppreciation(result, period) : '';
+        return appreciation ? Utils.stripMarkdown(Utils.decodeHtmlEntities(appreciation)) : '';
+    }
+};
@@ -0,0 +1,57 @@
+import { describe, it, expect, vi } from 'vitest';
+import { PasteQueueService } from './PasteQueueService.js';
+
+vi.mock('../state/State.js', () => ({
+    appState: {
+        currentPeriod: 'T1',
+        currentClassId: 'c1',
+        classes: [
+            { id: 'c1', importOrder: ['MARTIN Léa', 'DURAND Lucas'] },
+            { id: 'c2' }
+        ]
+    }
+}));
+
+const student = (id, nom, prenom, appreciation = '') => ({
+    id, nom, prenom, studentData: { periods: { T1: { appreciation } } }
+});
+
+describe('PasteQueueService', () => {
+    it('should keep the first cell of each pasted line', () => {
+        expect(PasteQueueService.parseNameColumn('MARTIN Léa\t12,5\r\n\n  DURAND Lucas ;14\n---\n')).toEqual(['MARTIN Léa', 'DURAND Lucas']);
+    });
+
+    it('should follow the target order with tolerant name matching', () => {
+        const results = [
+            student('s1', 'Lefèvre', 'Zoé'),
+            student('s2', 'MARTIN-DUPONT', 'Jean Baptiste'),
+            student('s3', "D'ARC", 'Jeanne'),
+            student('s4', 'BERNARD', 'Tom'),
+            student('s5', 'PETIT', 'Hugo')
+        ];
+
+        const { queue, unmatched } = PasteQueueService.matchOrder(
+            ['Jeanne DARC', 'MARTIN DUPONT Jean-Baptiste', 'LEFEVRE Zoe', 'BERNARD T.', 'INCONNU Paul'],
+            results
+        );
+
+        expect(queue.map(e => e.result?.id ?? null)).toEqual(['s3', 's2', 's1', 's4', null]);
+        expect(queue[4].name).toBe('INCONNU Paul');
+        expect(unmatched.map(r => r.id)).toEqual(['s5']);
+    });
+
+    it('should not guess between homonyms and prefer exact matches', () => {
+        const results = [student('s1', 'MARTIN', 'Léa'), student('s2', 'MARTIN', 'Lucas'), student('s3', 'MARTIN', 'Louis')];
+
+        const { queue } = PasteQueueService.matchOrder(['MARTIN L.', 'Martin Lucas', 'MARTIN'], results);
+
+        expect(queue.map(e => e.result?.id ?? null)).toEqual([null, 's2', null]);
+    });
+
+    it('should expose the import order and the text to paste', () => {
+        expect(PasteQueueService.getImportOrder()).toEqual(['MARTIN Léa', 'DURAND Lucas']);
+        expect(PasteQueueService.getImportOrder('c2')).toEqual([]);
+        expect(PasteQueueService.getPasteText(student('s1', 'MARTIN', 'Léa', '**Très bon** trimestre &amp; efforts.'))).toBe('Très bon trimestre & efforts.');
+        expect(PasteQueueService.getPasteText(null)).toBe('');
+    });
+});
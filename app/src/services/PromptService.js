@@ -3,6 +3,13 @@ import { DEFAULT_IA_CONFIG, DEFAULT_PROMPT_TEMPLATES } from '../config/Config.js
 import { Utils } from '../utils/Utils.js';
 import { DOM } from '../utils/DOM.js';
 import { StatsService } from './StatsService.js';
+import { GradeScaleService } from './GradeScaleService.js';
+import { SocleService } from './SocleService.js';
+import { StatusService } from './StatusService.js';
+import { CouncilService } from './CouncilService.js';
+import { LintService } from './LintService.js';
+import { SubjectsService } from './SubjectsService.js';
+import { AssessmentsService } from './AssessmentsService.js';
 import { LEVELS, detectLevelFromName } from '../utils/LevelDetector.js';
 import { JournalManager } from '../managers/JournalManager.js';
 
@@ -19,7 +26,31 @@ export const PromptService = {
      */
     _classStatsCache: new Map(),
 
-    getAllPrompts(studentData, overrideConfig = null, excludeClassStats = false) {
+    /**
+     * Résout le style IA (ton, longueur, voix, discipline, consignes) applicable à une classe.
+     * Priorité :
+     * 1. Profil propre à la classe (`class.iaConfig`), complété champ par champ par le style global
+     * 2. 'MonStyle' (le "Custom Profile" de l'utilisateur)
+     * 3. 'Générique' édité dans appState
+     * 4. Default config
+     * @param {string|null} [classId=null] - ID de la classe (null = style global uniquement)
+     * @returns {Object} Configuration IA
+     */
+    getEffectiveIaConfig(classId = null) {
+        // [FIX] Toujours vérifier 'MonStyle' car c'est là que sont sauvegardés les réglages "Style IA" de l'utilisateur
+        // Si l'utilisateur a modifié le style, il s'attend à ce qu'il soit appliqué partout
+        const globalStyle = appState.subjects?.['MonStyle']?.iaConfig
+            || appState.subjects?.['Générique']?.iaConfig
+            || DEFAULT_PROMPT_TEMPLATES["Générique"].iaConfig;
+
+        const classStyle = classId
+            ? appState.classes?.find(c => c.id === classId)?.iaConfig
+            : null;
+
+        return classStyle ? { ...globalStyle, ...classStyle } : globalStyle;
+    },
+
+    getAllPrompts(studentData, overrideConfig = null, excludeClassStats = false, forceAnonymous = false) {
         const { nom, prenom, statuses, periods, currentPeriod } = studentData;
         const allPeriods = Utils.getPeriods();
         const currentPeriodIndex = allPeriods.indexOf(currentPeriod);
@@ -38,28 +69,20 @@ export const PromptService = {
         const periodContext = periods?.[currentPeriod]?.context;
         const studentId = studentData.id;
         const journalSynthesis = studentId ? JournalManager.synthesizeForPrompt(studentId, currentPeriod) : '';
-        const hasContext = !!(periodContext?.trim() || journalSynthesis?.trim());
+        const socleSummary = SocleService.formatForPrompt(studentData, currentPeriod);
+        // Professeur principal : avec les bulletins des collègues, on rédige l'appréciation générale
+        const subjects = SubjectsService.getSubjects(studentData, currentPeriod);
+        const isGeneralAppreciation = subjects.length > 0;
+        const hasContext = !!(periodContext?.trim() || journalSynthesis?.trim() || socleSummary
+            || subjects.some(s => s.appreciation?.trim()));
 
         const hasNoData = !hasGrades && !hasContext;
 
-        // Simplifié: utiliser MonStyle si personnalisation activée, sinon Générique
-        // [FIX] Toujours vérifier 'MonStyle' car c'est là que sont sauvegardés les réglages "Style IA" de l'utilisateur
-        // Si l'utilisateur a modifié le style, il s'attend à ce qu'il soit appliqué partout
-        const usePersonalization = appState.useSubjectPersonalization;
-        let iaConfig;
+        const classId = studentData.classId || appState.currentClassId || null;
 
-        if (overrideConfig) {
-            iaConfig = overrideConfig;
-        } else {
-            // Priorité : 
-            // 1. 'MonStyle' si présent (c'est le "Custom Profile" de l'utilisateur)
-            // 2. 'Générique' édité dans appState
-            // 3. Default config
-            const customStyle = appState.subjects?.['MonStyle']?.iaConfig;
-            const genericStyle = appState.subjects?.['Générique']?.iaConfig;
-
-            iaConfig = customStyle || genericStyle || DEFAULT_PROMPT_TEMPLATES["Générique"].iaConfig;
-        }
+        // Style IA : profil de la classe de l'élève, sinon style global (voir getEffectiveIaConfig)
+        const iaConfig = overrideConfig || this.getEffectiveIaConfig(classId);
+        const gradeScale = GradeScaleService.getScale(classId);
 
         // Anonymisation RGPD : on utilise [PRÉNOM] au lieu du vrai prénom
         // Le genre est détecté pour permettre l'accord grammatical correct
@@ -72,19 +95,20 @@ export const PromptService = {
         // GESTION DE LA CONFIDENTIALITÉ
         // Si anonymisation désactivée, on utilise les vraies données
         // [FIX] Utiliser appState.anonymizeData (proxy plat) au lieu de appState.privacy.anonymizeData
-        const isAnonymous = appState.anonymizeData ?? true;
+        const isAnonymous = forceAnonymous || (appState.anonymizeData ?? true);
         const studentIdentifier = isAnonymous ? this.PRENOM_PLACEHOLDER : prenom;
         const isNeutralVoice = iaConfig.voice === 'neutre';
         const promptParts = [];
 
         // Introduction du prompt (avec discipline si renseignée)
-        const disciplineContext = iaConfig.discipline
+        const disciplineContext = iaConfig.discipline && !isGeneralAppreciation
             ? ` en ${iaConfig.discipline}`
             : '';
+        const appreciationLabel = isGeneralAppreciation ? "l'appréciation générale (professeur principal)" : "l'appréciation";
         if (isNeutralVoice) {
-            promptParts.push(`Rédige l'appréciation d'un élève${disciplineContext} pour le '${Utils.getPeriodLabel(currentPeriod, true)}'.`);
+            promptParts.push(`Rédige ${appreciationLabel} d'un élève${disciplineContext} pour le '${Utils.getPeriodLabel(currentPeriod, true)}'.`);
         } else {
-            promptParts.push(`Rédige l'appréciation de l'élève ${studentIdentifier}${disciplineContext} pour le '${Utils.getPeriodLabel(currentPeriod, true)}'.`);
+            promptParts.push(`Rédige ${appreciationLabel} de l'élève ${studentIdentifier}${disciplineContext} pour le '${Utils.getPeriodLabel(currentPeriod, true)}'.`);
         }
 
         const isYearEnd = currentPeriodIndex === allPeriods.length - 1;
@@ -131,6 +155,17 @@ export const PromptService = {
         if (iaConfig.length && !hasNoData) {
             styleParts.push(`Rédige une appréciation d'environ ${iaConfig.length} mots.`);
         }
+        // Champ Pronote/LSU limité : contrainte dure, vérifiée après génération (AppreciationsManager)
+        const charLimit = LintService.getCharLimit(classId);
+        if (charLimit) {
+            styleParts.push(`LIMITE STRICTE : ${charLimit} caractères maximum, espaces compris. Ne dépasse jamais cette limite, quitte à réduire le nombre de mots.`);
+        }
+        // Consignes propres à l'élève : elles vont avec ses données (appreciationUser), pas dans
+        // le prompt système, que la génération par lot partage entre plusieurs élèves
+        const studentStyleParts = [];
+        if (isGeneralAppreciation) {
+            studentStyleParts.push(`Synthétise les bulletins des différentes matières : dégage les tendances communes (points forts, difficultés récurrentes, attitude, méthode) sans commenter les disciplines une par une ni citer les enseignants.`);
+        }
         styleParts.push(`Ne mentionne pas les notes chiffrées (moyennes) dans le texte.`);
         styleParts.push(`Ne mentionne PAS les valeurs chiffrées de la classe (moyenne, min, max de classe) dans le texte. Utilise-les uniquement comme contexte pour situer le niveau de l'élève par rapport au groupe de façon bienveillante et adapter ton niveau d'exigence ou d'encouragement.`);
         styleParts.push(`Génère l'appréciation directement, sans titre, sans préambule et sans guillemets.`);
@@ -139,25 +174,29 @@ export const PromptService = {
             styleParts.push(`Note : ${iaConfig.styleInstructions}`);
         }
 
+        // Consignes du catalogue des statuts (ex: PAP → ne pas relever l'orthographe)
+        if (!hasNoData) {
+            studentStyleParts.push(...StatusService.getPromptInstructions(statuses));
+        }
+
         if (hasNoData) {
             styleParts.push(
                 `Attention : Cet élève n'a aucune donnée d'évaluation (note, appréciation passée ou observation). Rédige uniquement un constat factuel, bienveillant et très court d'absence de données (pour cette période, ou pour l'année si les périodes précédentes indiquent également une absence totale de données), en une seule phrase simple (maximum 25 mots), sans inventer de travail ou de réussite, et sans projection sur l'avenir.`
             );
         }
 
-        promptParts.push('--- INSTRUCTIONS DE STYLE ---\n' + styleParts.map(s => '- ' + s).join('\n'));
+        promptParts.push('--- INSTRUCTIONS DE STYLE ---\n' + [...styleParts, ...studentStyleParts].map(s => '- ' + s).join('\n'));
 
         // Anonymisation : on n'envoie PAS le nom de famille, seulement les notes
         // On n'envoie que les périodes jusqu'à la période à évaluer (incluse)
         // [FIX] N'inclure l'appréciation que pour les périodes PRÉCÉDENTES
         // L'appréciation de la période courante ne doit PAS être incluse pour éviter
         // que l'IA ne s'inspire de l'ancienne appréciation lors d'une régénération
-        const classId = studentData.classId || appState.currentClassId || null;
         let periodsInfo = relevantPeriods.map(p => {
             const d = periods[p] || {};
             const gradeRaw = d.grade;
             const gradeVal = typeof gradeRaw === 'number' ? gradeRaw : parseFloat(String(gradeRaw || '').replace(',', '.'));
-            const g = !isNaN(gradeVal) ? gradeVal.toFixed(1).replace('.', ',') + '/20' : 'N/A';
+            const g = !isNaN(gradeVal) ? GradeScaleService.format(gradeVal, gradeScale) : 'N/A';
             const evalCount = typeof d.evaluationCount === 'number' ? ` (${d.evaluationCount} éval.)` : '';
             const classStatsStr = excludeClassStats ? '' : this._getClassStatsString(classId, p);
             // Pour la période courante, on n'inclut pas l'appréciation existante
@@ -170,7 +209,7 @@ export const PromptService = {
         // Use StatsService for evolution analysis
         // [FIX] Filter evolutions to only include those ENDING at or before currentPeriod
         // For S1/T1 (first period), there should be NO evolution to display
-        const allEvolutions = StatsService.analyserEvolution(periods);
+        const allEvolutions = StatsService.analyserEvolution(periods, gradeScale);
         const filteredEvolutions = allEvolutions.filter(e => {
             // Evolution format: "T1-T2" or "S1-S2" - extract target period
             const targetPeriod = e.periode.split('-')[1];
@@ -178,7 +217,7 @@ export const PromptService = {
             // Only include if target period index <= current period index
             return targetIndex >= 0 && targetIndex <= currentPeriodIndex;
         });
-        const evolutionText = this._formatEvolutions(filteredEvolutions);
+        const evolutionText = this._formatEvolutions(filteredEvolutions, gradeScale);
 
         // Anonymisation : on n'envoie plus le nom complet, seulement les données scolaires
         // On n'inclut la ligne Statuts que si l'élève a des statuts
@@ -186,6 +225,25 @@ export const PromptService = {
 
         const specificInfoLine = periodContext ? `\nContexte : "${periodContext}"` : '';
 
+        // Positionnement LSU sur les domaines du socle : un élément d'appui, pas une note à citer
+        const socleLine = socleSummary ? `\nPositionnement socle commun : ${socleSummary}` : '';
+
+        // Relevé de notes : régularité, absences aux devoirs et tendance des dernières notes
+        const assessmentsSummary = AssessmentsService.formatForPrompt(AssessmentsService.getAssessments(studentData, currentPeriod));
+        const assessmentsLine = assessmentsSummary ? `\nÉvaluations de la période : ${assessmentsSummary}` : '';
+
+        // Décision du conseil de classe, transmise seulement si l'enseignant l'a choisi
+        const councilDecision = CouncilService.formatForPrompt(studentData, currentPeriod);
+        const councilLine = councilDecision ? `\nDécision du conseil de classe : ${councilDecision} (l'appréciation doit être cohérente avec cette décision, sans la citer)` : '';
+
+        // Bulletins des collègues (le prénom qu'ils contiennent est anonymisé comme le reste)
+        const subjectsLine = isGeneralAppreciation
+            ? `\n\nBulletins par matière :\n${SubjectsService.formatForPrompt(subjects, gradeScale, isAnonymous ? { prenom, placeholder: this.PRENOM_PLACEHOLDER } : {})}`
+            : '';
+
+        // Barème non standard : on précise à l'IA comment lire les notes
+        const scaleLine = GradeScaleService.isDefault(gradeScale) ? '' : `\nBarème : ${GradeScaleService.describe(gradeScale)}`;
+
         // === JOURNAL DE BORD: Synthesis for prompt ===
         // Injects tag counts and recent notes to enrich AI context
         const journalLine = journalSynthesis ? `\n\nObservations du professeur : ${journalSynthesis}` : '';
@@ -218,16 +276,19 @@ export const PromptService = {
             promptParts.push(contextText);
         }
 
-        promptParts.push(`--- DONNÉES DE L'ÉLÈVE ---\n${studentLine}${statusLine}${specificInfoLine}${journalLine}\nPériode à évaluer : ${currentPeriod}\n\nPériodes :\n${periodsInfo}\n\n${evolutionText}`);
+        promptParts.push(`--- DONNÉES DE L'ÉLÈVE ---\n${studentLine}${statusLine}${specificInfoLine}${socleLine}${assessmentsLine}${councilLine}${subjectsLine}${journalLine}\nPériode à évaluer : ${currentPeriod}${scaleLine}\n\nPériodes :\n${periodsInfo}\n\n${evolutionText}`);
 
         const appreciationPrompt = promptParts.join('\n\n');
 
         // Build System Prompt for appreciation
         const systemParts = [];
+        const systemRole = isGeneralAppreciation
+            ? `Tu es professeur principal. Ton rôle est de rédiger l'appréciation générale du bulletin`
+            : `Tu es un enseignant ou conseiller d'éducation${disciplineContext}. Ton rôle est de rédiger l'appréciation scolaire`;
         if (isNeutralVoice) {
-            systemParts.push(`Tu es un enseignant ou conseiller d'éducation${disciplineContext}. Ton rôle est de rédiger l'appréciation scolaire d'un élève pour le '${Utils.getPeriodLabel(currentPeriod, true)}'.`);
+            systemParts.push(`${systemRole} d'un élève pour le '${Utils.getPeriodLabel(currentPeriod, true)}'.`);
         } else {
-            systemParts.push(`Tu es un enseignant ou conseiller d'éducation${disciplineContext}. Ton rôle est de rédiger l'appréciation scolaire de l'élève ${studentIdentifier} pour le '${Utils.getPeriodLabel(currentPeriod, true)}'.`);
+            systemParts.push(`${systemRole} de l'élève ${studentIdentifier} pour le '${Utils.getPeriodLabel(currentPeriod, true)}'.`);
         }
         systemParts.push(`Cadre d'évaluation : ${temporalite}`);
         if (!hasNoData) {
@@ -256,7 +317,10 @@ export const PromptService = {
             }
             userParts.push(contextText);
         }
-        userParts.push(`--- DONNÉES DE L'ÉLÈVE ---\n${studentLine}${statusLine}${specificInfoLine}${journalLine}\nPériode à évaluer : ${currentPeriod}\n\nPériodes :\n${periodsInfo}\n\n${evolutionText}`);
+        userParts.push(`--- DONNÉES DE L'ÉLÈVE ---\n${studentLine}${statusLine}${specificInfoLine}${socleLine}${assessmentsLine}${councilLine}${subjectsLine}${journalLine}\nPériode à évaluer : ${currentPeriod}${scaleLine}\n\nPériodes :\n${periodsInfo}\n\n${evolutionText}`);
+        if (studentStyleParts.length > 0) {
+            userParts.push('--- CONSIGNES POUR CET ÉLÈVE ---\n' + studentStyleParts.map(s => '- ' + s).join('\n'));
+        }
         const appreciationUser = userParts.join('\n\n');
 
         // [FIX] Use period-specific appreciation for analysis prompts
@@ -268,7 +332,7 @@ export const PromptService = {
             const d = periods[p] || {};
             const gradeRaw = d.grade;
             const gradeVal = typeof gradeRaw === 'number' ? gradeRaw : parseFloat(String(gradeRaw || '').replace(',', '.'));
-            const g = !isNaN(gradeVal) ? gradeVal.toFixed(1).replace('.', ',') + '/20' : 'N/A';
+            const g = !isNaN(gradeVal) ? GradeScaleService.format(gradeVal, gradeScale) : 'N/A';
             const evalCount = typeof d.evaluationCount === 'number' ? ` (${d.evaluationCount} éval.)` : '';
             const classStatsStr = excludeClassStats ? '' : this._getClassStatsString(classId, p);
             return `${p} : Moy ${g}${evalCount}${classStatsStr}, App "${d.appreciation || 'N/A'}"`;
@@ -291,6 +355,14 @@ export const PromptService = {
             analysisContextParts.push(`Contexte : "${periodContextForAnalysis}"`);
         }
 
+        if (socleSummary) {
+            analysisContextParts.push(`Positionnement socle commun : ${socleSummary}`);
+        }
+
+        if (assessmentsSummary) {
+            analysisContextParts.push(`Évaluations de la période : ${assessmentsSummary}`);
+        }
+
         // Add journal synthesis for richer insights
         const journalSynthesisForAnalysis = studentId ? JournalManager.synthesizeForPrompt(studentId, currentPeriod) : '';
         if (journalSynthesisForAnalysis) {
@@ -344,16 +416,134 @@ Appréciation de référence : "${currentPeriodAppreciation || 'N/A'}"`;
             swSystem,
             swUser,
             nsSystem,
-            nsUser
+            nsUser,
+            hasNoData
         };
     },
 
+    /**
+     * Construit un prompt regroupant plusieurs élèves pour une génération par lot.
+     * Chaque élève est anonymisé ([PRÉNOM]) et identifié par un id placeholder (E1, E2...).
+     * L'IA doit répondre par un tableau JSON : [{"id": "E1", "appreciation": "..."}].
+     * @param {Array<Object>} studentsData - Données des élèves du lot
+     * @param {Object|null} [overrideConfig=null] - Configuration IA à utiliser à la place des réglages
+     * @returns {{system: string, user: string, ids: string[], prompts: Object[]}}
+     */
+    getBatchAppreciationPrompt(studentsData, overrideConfig = null) {
+        const ids = studentsData.map((_, i) => `E${i + 1}`);
+        const prompts = studentsData.map(s => this.getAllPrompts({ ...s, generatedAppreciation: '' }, overrideConfig, false, true));
+
+        // Les consignes de style sont communes au lot : on les prend d'un élève ayant des données
+        const reference = prompts.find(p => !p.hasNoData) || prompts[0];
+
+        const batchRules = [
+            `Tu rédiges les appréciations de ${ids.length} élèves, chacun identifié par un id (${ids.join(', ')}).`,
+            `Applique les instructions ci-dessus à chaque élève, indépendamment des autres, sans comparer les élèves entre eux.`,
+            `Les consignes données dans le bloc d'un élève ne valent que pour cet élève.`,
+            `Désigne toujours l'élève par ${this.PRENOM_PLACEHOLDER}, jamais par son id.`,
+            `Pour un élève marqué "Aucune donnée", rédige uniquement un constat factuel d'absence de données en une phrase (maximum 25 mots).`,
+            `Réponds UNIQUEMENT avec un tableau JSON valide, sans texte ni balise autour : [{"id": "E1", "appreciation": "..."}]. Chaque id doit apparaître exactement une fois.`
+        ];
+        const system = `${reference.appreciationSystem}\n\n--- GÉNÉRATION PAR LOT ---\n${batchRules.map(r => '- ' + r).join('\n')}`;
+
+        const user = prompts.map((p, i) => {
+            const noDataFlag = p.hasNoData ? ' (Aucune donnée)' : '';
+            return `=== ÉLÈVE ${ids[i]}${noDataFlag} ===\n${p.appreciationUser}`;
+        }).join('\n\n');
+
+        return { system, user, ids, prompts };
+    },
+
+    /**
+     * Construit le prompt du bilan de fin d'année : toutes les périodes (moyenne, appréciation,
+     * contexte, observations du journal), toutes les évolutions, et une recommandation
+     * d'orientation ou de passage distincte de l'appréciation annuelle.
+     * L'IA doit répondre avec les titres "### Appréciation annuelle" et "### Recommandation"
+     * (voir AppreciationService.parseYearSynthesis).
+     * @param {Object} studentData - Données de l'élève (comme dans getAllPrompts, avec id)
+     * @param {Object|null} [overrideConfig=null] - Configuration IA à utiliser à la place des réglages
+     * @returns {{system: string, user: string, prompt: string}}
+     */
+    getYearSynthesisPrompt(studentData, overrideConfig = null) {
+        const { prenom, statuses, periods } = studentData;
+        const allPeriods = Utils.getPeriods();
+        const studentId = studentData.id;
+        const classId = studentData.classId || appState.currentClassId || null;
+        const iaConfig = overrideConfig || this.getEffectiveIaConfig(classId);
+        const gradeScale = GradeScaleService.getScale(classId);
+
+        const isAnonymous = appState.anonymizeData ?? true;
+        const studentIdentifier = isAnonymous ? this.PRENOM_PLACEHOLDER : prenom;
+        const gender = Utils.detectGender(prenom);
+        const genderLabel = gender === 'féminin' || gender === 'masculin' ? gender : 'non déterminé - privilégier les tournures impersonnelles';
+        const disciplineContext = iaConfig.discipline ? ` en ${iaConfig.discipline}` : '';
+
+        // Chaque période avec son appréciation (y compris la dernière : le bilan s'appuie dessus)
+        const periodsInfo = allPeriods.map(p => {
+            const d = periods?.[p] || {};
+            const gradeVal = typeof d.grade === 'number' ? d.grade : parseFloat(String(d.grade || '').replace(',', '.'));
+            const g = !isNaN(gradeVal) ? GradeScaleService.format(gradeVal, gradeScale) : 'N/A';
+            const evalCount = typeof d.evaluationCount === 'number' ? ` (${d.evaluationCount} éval.)` : '';
+            const lines = [`${p} : Moy ${g}${evalCount}${this._getClassStatsString(classId, p)}, App "${d.appreciation || 'N/A'}"`];
+            if (d.context?.trim()) lines.push(`  Contexte : "${d.context.trim()}"`);
+            const journal = studentId ? JournalManager.synthesizeForPrompt(studentId, p) : '';
+            if (journal) lines.push(`  Observations : ${journal}`);
+            const socle = SocleService.formatForPrompt(studentData, p);
+            if (socle) lines.push(`  Socle commun : ${socle}`);
+            return lines.join('\n');
+        }).join('\n');
+
+        const evolutionText = this._formatEvolutions(StatsService.analyserEvolution(periods, gradeScale), gradeScale);
+
+        const rules = [
+            `Appréciation annuelle : environ ${iaConfig.length || 60} mots, qui retrace le parcours de l'année (points d'appui, progrès ou difficultés persistantes) sans reprendre période par période.`,
+            `Recommandation : une à deux phrases sur le passage ou l'orientation (ex : passage en classe supérieure, accompagnement conseillé, voie ou spécialité envisageable), fondée uniquement sur les données fournies.`,
+            `Ne mentionne pas les notes chiffrées ni les valeurs de la classe dans le texte.`,
+            `Si les données sont trop lacunaires pour recommander une orientation, l'indiquer factuellement sans extrapoler.`
+        ];
+        if (iaConfig.styleInstructions && iaConfig.enableStyleInstructions !== false) {
+            rules.push(`Note : ${iaConfig.styleInstructions}`);
+        }
+        rules.push(...StatusService.getPromptInstructions(statuses));
+
+        const system = `Tu es un enseignant${disciplineContext} qui rédige le bilan de fin d'année de l'élève ${studentIdentifier} pour le conseil de classe.
+--- INSTRUCTIONS ---
+${rules.map(r => '- ' + r).join('\n')}
+Format obligatoire à respecter STRICTEMENT :
+### Appréciation annuelle
+[texte]
+
+### Recommandation
+[texte]
+
+Ne rédige aucun préambule ni conclusion.`;
+
+        const userParts = [];
+        const currentClass = appState.classes?.find(c => c.id === classId);
+        if (currentClass) {
+            let classLevel = currentClass.level || detectLevelFromName(currentClass.name);
+            if (classLevel === '3eme') classLevel = 'college';
+            const levelMeta = LEVELS[classLevel] || LEVELS.generique;
+            const levelLine = classLevel && classLevel !== 'generique' ? `\nNiveau : ${levelMeta.label}` : '';
+            userParts.push(`--- CONTEXTE SCOLAIRE ---\nClasse : ${currentClass.name}${levelLine}`);
+        }
+
+        const statusLine = statuses?.length > 0 ? `\nStatuts : ${statuses.join(', ')}` : '';
+        const scaleLine = GradeScaleService.isDefault(gradeScale) ? '' : `\nBarème : ${GradeScaleService.describe(gradeScale)}`;
+        userParts.push(`--- DONNÉES DE L'ANNÉE ---\nÉlève : ${studentIdentifier} (${genderLabel})${statusLine}${scaleLine}\n\nPériodes :\n${periodsInfo}${evolutionText ? `\n\n${evolutionText}` : ''}`);
+
+        const user = userParts.join('\n\n');
+        return { system, user, prompt: `${system}\n\n${user}` };
+    },
+
     /**
      * Generates a refinement prompt for appreciation modifications
      * @param {string} type - Type of refinement (concise, detailed, encouraging, polish, variations, formal, context)
      * @param {string} original - The original text to refine
      * @param {Object} options - Optional configuration
      * @param {string} options.context - Additional context to integrate
+     * @param {string} [options.instruction] - Targeted correction (type 'fix', from the linter)
+     * @param {number} [options.charLimit] - Hard character limit (type 'concise')
      * @returns {string} The formatted prompt for AI
      */
     getRefinementPrompt(type, original, options = {}) {
@@ -379,14 +569,27 @@ Appréciation de référence : "${currentPeriodAppreciation || 'N/A'}"`;
                 // +20% - Symmetric with concise (-20%)
                 instruction = `Développe les points de cette appréciation, environ ${Math.round(wordCount * 1.20)} mots. N'invente pas de faits.\n\n---\n${original}\n---\n\n${base}`;
                 break;
-            case 'concise':
-                // -20% reduction
-                instruction = `Rends cette appréciation plus concise, environ ${Math.round(wordCount * 0.80)} mots. Garde l'essentiel.\n\n---\n${original}\n---\n\n${base}`;
+            case 'concise': {
+                // -20% reduction, or down to the character limit (Pronote/LSU fields) when given
+                const charLimit = options && typeof options === 'object' ? options.charLimit : 0;
+                if (charLimit > 0 && original.length > charLimit) {
+                    const targetWords = Math.round(wordCount * Math.min(0.80, charLimit / original.length));
+                    instruction = `Rends cette appréciation plus concise, environ ${targetWords} mots. Garde l'essentiel.\nLIMITE STRICTE : ${charLimit} caractères maximum, espaces compris (le texte en fait ${original.length}).\n\n---\n${original}\n---\n\n${base}`;
+                } else {
+                    instruction = `Rends cette appréciation plus concise, environ ${Math.round(wordCount * 0.80)} mots. Garde l'essentiel.\n\n---\n${original}\n---\n\n${base}`;
+                }
                 break;
+            }
             case 'encouraging':
                 // Same length, warmer tone
                 instruction = `Reformule cette appréciation avec un ton plus encourageant et positif, environ ${wordCount} mots.\n\n---\n${original}\n---\n\n${base}`;
                 break;
+            case 'fix': {
+                // Targeted correction: only what the linter flagged
+                const fixInstruction = (options && typeof options === 'object' && options.instruction) || 'Corrige les fautes.';
+                instruction = `Corrige cette appréciation scolaire selon la consigne suivante : ${fixInstruction}\nNe modifie que ce qu'exige la consigne, garde le reste à l'identique.\n\n---\n${original}\n---\n\n${base}`;
+                break;
+            }
             case 'default':
             default:
                 instruction = `Reformule cette appréciation.\n\n---\n${original}\n---\n\n${base}`;
@@ -439,7 +642,8 @@ Appréciation de référence : "${currentPeriodAppreciation || 'N/A'}"`;
             const min = Math.min(...grades);
             const max = Math.max(...grades);
 
-            const result = ` [Classe : Moy ${avg.toFixed(1).replace('.', ',')}, Min ${min.toFixed(1).replace('.', ',')}, Max ${max.toFixed(1).replace('.', ',')}]`;
+            const scale = GradeScaleService.getScale(classId);
+            const result = ` [Classe : Moy ${GradeScaleService.formatValue(avg, scale)}, Min ${GradeScaleService.formatValue(min, scale)}, Max ${GradeScaleService.formatValue(max, scale)}]`;
             PromptService._classStatsCache.set(cacheKey, result);
             return result;
         } catch (e) {
@@ -452,10 +656,11 @@ Appréciation de référence : "${currentPeriodAppreciation || 'N/A'}"`;
      * Formate les données d'évolution en texte concis et lisible pour l'IA
      * Remplace le JSON brut coûteux en tokens
      * @param {Array} evolutions - Tableau issu de StatsService.analyserEvolution
+     * @param {Object} [scale] - Barème des notes (unité de l'écart)
      * @returns {string} - Texte formaté (ex: "Évolution T1->T2: +1.5 pts")
      * @private
      */
-    _formatEvolutions(evolutions) {
+    _formatEvolutions(evolutions, scale = GradeScaleService.getScale()) {
         if (!evolutions || evolutions.length === 0) return '';
 
         // Mapping des types d'évolution vers des descriptions textuelles
@@ -471,7 +676,7 @@ Appréciation de référence : "${currentPeriodAppreciation || 'N/A'}"`;
             const periodeStr = e.periode.replace('-', '->');
             const sign = e.valeur > 0 ? '+' : '';
             const desc = descriptions[e.type] || 'Stable';
-            return `Évolution ${periodeStr} : ${desc} (${sign}${e.valeur} pts)`;
+            return `Évolution ${periodeStr} : ${desc} (${sign}${e.valeur} ${GradeScaleService.getDiffUnit(e.valeur, scale)})`;
         });
 
         return lines.join('\n');
@@ -103,6 +103,92 @@ describe('PromptService', () => {
             expect(prompts.appreciation).toContain("Ne pas mentionner le bavardage");
         });
 
+        it('should include socle positionings as evidence for generation and analysis', () => {
+            const dataWithSocle = {
+                ...mockStudentData,
+                periods: { 'T1': { grade: 12, appreciation: 'Good', socle: { D2: 1, D5: 4 } } },
+            };
+            const prompts = PromptService.getAllPrompts(dataWithSocle);
+            const expected = 'Positionnement socle commun : D2 Méthodes : Maîtrise insuffisante ; D5 Monde : Très bonne maîtrise';
+            expect(prompts.appreciation).toContain(expected);
+            expect(prompts.sw).toContain(expected);
+        });
+
+        it('should pass the council decision only when the teacher chose to', () => {
+            const withDecision = (inPrompt) => ({
+                ...mockStudentData,
+                periods: { 'T1': { grade: 12, appreciation: 'Good', councilDecision: { id: 'encouragements', inPrompt } } },
+            });
+
+            expect(PromptService.getAllPrompts(withDecision(true)).appreciation).toContain('Décision du conseil de classe : Encouragements');
+            expect(PromptService.getAllPrompts(withDecision(false)).appreciation).not.toContain('Décision du conseil');
+        });
+
+        it('should summarize the detailed assessments of the period', () => {
+            const withAssessments = {
+                ...mockStudentData,
+                periods: {
+                    'T1': {
+                        grade: 11, appreciation: '', assessments: [
+                            { date: '12/09', mark: 8, max: 20, coef: 1, status: null },
+                            { date: '19/09', mark: null, max: 20, coef: 1, status: 'absent' },
+                            { date: '03/10', mark: 14, max: 20, coef: 1, status: null }
+                        ]
+                    }
+                },
+            };
+            const prompts = PromptService.getAllPrompts(withAssessments);
+
+            expect(prompts.appreciation).toContain('Évaluations de la période : 2 évaluations notées ; absent(e) à 1 évaluation ; 2 dernières notes en progression (8/20 → 14/20)');
+            expect(prompts.sw).toContain('Évaluations de la période');
+        });
+
+        it('should write a general appreciation from colleagues\' subject reports', () => {
+            const withSubjects = {
+                ...mockStudentData,
+                periods: {
+                    'T1': {
+                        grade: 12.5, appreciation: '', subjects: [
+                            { subject: 'Maths', teacher: 'M. Martin', grade: 14, appreciation: 'John progresse.' },
+                            { subject: 'Anglais', teacher: 'Mme Lee', grade: 11, appreciation: '' }
+                        ]
+                    }
+                },
+            };
+            const prompts = PromptService.getAllPrompts(withSubjects, { tone: 3, voice: 'je', length: 50, discipline: 'Histoire' });
+
+            expect(prompts.appreciation).toContain("Rédige l'appréciation générale (professeur principal) de l'élève [PRÉNOM] pour");
+            expect(prompts.appreciation).toContain('Bulletins par matière :\n- Maths : Moy 14,0/20, App "[PRÉNOM] progresse."\n- Anglais : Moy 11,0/20, App pas d\'appréciation');
+            expect(prompts.appreciation).not.toContain('en Histoire');
+            expect(prompts.appreciation).not.toContain('M. Martin');
+            expect(prompts.appreciationSystem).toContain('Tu es professeur principal.');
+            expect(PromptService.getAllPrompts(mockStudentData).appreciation).not.toContain('Bulletins par matière');
+        });
+
+        it('should pass the class character limit as a hard constraint', () => {
+            appState.lintSettings = { charLimit: 400 };
+            const prompts = PromptService.getAllPrompts(mockStudentData);
+            delete appState.lintSettings;
+
+            expect(prompts.appreciation).toContain('LIMITE STRICTE : 400 caractères maximum');
+            expect(PromptService.getAllPrompts(mockStudentData).appreciation).not.toContain('LIMITE STRICTE');
+        });
+
+        it('should turn status catalogue instructions into style instructions', () => {
+            appState.statusCatalogue = [
+                { id: 'pap', label: 'PAP', description: '', color: 'purple', promptInstruction: 'Ne pas relever l\'orthographe.' },
+                { id: 'delegue', label: 'Délégué', description: '', color: 'default', promptInstruction: '' }
+            ];
+            const prompts = PromptService.getAllPrompts({ ...mockStudentData, statuses: ['PAP', 'Délégué'] });
+            delete appState.statusCatalogue;
+
+            expect(prompts.appreciation).toContain('Statuts : PAP, Délégué');
+            expect(prompts.appreciation).toContain('- Statut PAP : Ne pas relever l\'orthographe.');
+            expect(prompts.appreciationUser).toContain('--- CONSIGNES POUR CET ÉLÈVE ---\n- Statut PAP : Ne pas relever l\'orthographe.');
+            expect(prompts.appreciationSystem).not.toContain('Statut PAP');
+            expect(prompts.appreciation).not.toContain('Statut Délégué :');
+        });
+
         it('should include historic data', () => {
             Utils.getPeriods.mockReturnValue(['T1', 'T2']);
             const dataWithHistory = {
@@ -257,6 +343,127 @@ describe('PromptService', () => {
         });
     });
 
+    describe('getEffectiveIaConfig', () => {
+        beforeEach(() => {
+            appState.subjects = {
+                'Générique': { iaConfig: { tone: 3, voice: 'je', length: 50 } },
+                'MonStyle': { iaConfig: { tone: 2, voice: 'je', length: 60, styleInstructions: 'Global' } }
+            };
+            appState.classes = [
+                { id: 'class-A', name: '3A', iaConfig: { tone: 5, length: 30 } },
+                { id: 'class-B', name: '3B' }
+            ];
+        });
+
+        it('should return the global MonStyle config without class', () => {
+            expect(PromptService.getEffectiveIaConfig(null).tone).toBe(2);
+        });
+
+        it('should merge the class profile over the global style', () => {
+            const config = PromptService.getEffectiveIaConfig('class-A');
+            expect(config.tone).toBe(5);
+            expect(config.length).toBe(30);
+            expect(config.styleInstructions).toBe('Global');
+        });
+
+        it('should fall back to the global style for a class without profile', () => {
+            expect(PromptService.getEffectiveIaConfig('class-B').tone).toBe(2);
+        });
+
+        it('should use the student class profile when generating prompts', () => {
+            const prompts = PromptService.getAllPrompts({
+                nom: 'DOE',
+                prenom: 'John',
+                statuses: [],
+                classId: 'class-A',
+                periods: { 'T1': { grade: 12 } },
+                currentPeriod: 'T1'
+            });
+            expect(prompts.appreciation).toContain('strict');
+        });
+    });
+
+    describe('getBatchAppreciationPrompt', () => {
+        it('should pack anonymised students under placeholder ids with a JSON contract', () => {
+            appState.anonymizeData = false;
+            const students = [
+                { nom: 'DOE', prenom: 'John', statuses: [], periods: { 'T1': { grade: 12 } }, currentPeriod: 'T1' },
+                { nom: 'ROE', prenom: 'Jane', statuses: [], periods: { 'T1': {} }, currentPeriod: 'T1' }
+            ];
+
+            const batch = PromptService.getBatchAppreciationPrompt(students);
+            appState.anonymizeData = true;
+
+            expect(batch.ids).toEqual(['E1', 'E2']);
+            expect(batch.user).toContain('=== ÉLÈVE E1 ===');
+            expect(batch.user).toContain('=== ÉLÈVE E2 (Aucune donnée) ===');
+            expect(batch.user).not.toContain('John');
+            expect(batch.user).not.toContain('Jane');
+            expect(batch.system).toContain('tableau JSON');
+            expect(batch.prompts).toHaveLength(2);
+        });
+
+        it('should keep each student\'s status and subject-report instructions in that student\'s block', () => {
+            appState.statusCatalogue = [
+                { id: 'pap', label: 'PAP', description: '', color: 'purple', promptInstruction: 'Ne pas relever l\'orthographe.' },
+                { id: 'ulis', label: 'ULIS', description: '', color: 'blue', promptInstruction: 'Valoriser les progrès sur les objectifs adaptés.' }
+            ];
+            const students = [
+                { nom: 'DOE', prenom: 'John', statuses: ['PAP'], periods: { 'T1': { grade: 12 } }, currentPeriod: 'T1' },
+                {
+                    nom: 'ROE', prenom: 'Jane', statuses: ['ULIS'], currentPeriod: 'T1',
+                    periods: { 'T1': { grade: 9, subjects: [{ subject: 'Maths', teacher: 'M. Martin', grade: 9, appreciation: 'Des efforts.' }] } }
+                }
+            ];
+
+            const batch = PromptService.getBatchAppreciationPrompt(students);
+            delete appState.statusCatalogue;
+
+            const [blockE1, blockE2] = batch.user.split('=== ÉLÈVE E2 ===');
+            expect(batch.system).not.toContain('Statut PAP');
+            expect(batch.system).not.toContain('Statut ULIS');
+            expect(batch.system).not.toContain('Synthétise les bulletins');
+            expect(blockE1).toContain('- Statut PAP : Ne pas relever l\'orthographe.');
+            expect(blockE1).not.toContain('Statut ULIS');
+            expect(blockE1).not.toContain('Synthétise les bulletins');
+            expect(blockE2).toContain('- Statut ULIS : Valoriser les progrès sur les objectifs adaptés.');
+            expect(blockE2).toContain('Synthétise les bulletins');
+            expect(blockE2).not.toContain('Statut PAP');
+        });
+    });
+
+    describe('getYearSynthesisPrompt', () => {
+        it('should give every period, appreciation included, and every evolution', () => {
+            Utils.getPeriods.mockReturnValue(['T1', 'T2', 'T3']);
+            StatsService.analyserEvolution.mockReturnValue([
+                { periode: 'T1-T2', valeur: 2, type: 'positive' },
+                { periode: 'T2-T3', valeur: -0.5, type: 'stable' }
+            ]);
+            const student = {
+                prenom: 'John', statuses: ['PAP'], currentPeriod: 'T3',
+                periods: {
+                    T1: { grade: 10, appreciation: 'Début difficile.' },
+                    T2: { grade: 12, appreciation: 'Des progrès.', context: 'Absent 2 semaines' },
+                    T3: { grade: 11.5, appreciation: 'Trimestre correct.' }
+                }
+            };
+
+            const { system, user, prompt } = PromptService.getYearSynthesisPrompt(student);
+
+            expect(user).toContain('T1 : Moy 10');
+            expect(user).toContain('App "Début difficile."');
+            expect(user).toContain('App "Trimestre correct."');
+            expect(user).toContain('Contexte : "Absent 2 semaines"');
+            expect(user).toContain('Évolution T1->T2 : Progression');
+            expect(user).toContain('Évolution T2->T3 : Stable');
+            expect(user).not.toContain('John');
+            expect(system).toContain('### Appréciation annuelle');
+            expect(system).toContain('### Recommandation');
+            expect(system).toContain('Statut PAP :');
+            expect(prompt).toBe(`${system}\n\n${user}`);
+        });
+    });
+
     describe('getRefinementPrompt', () => {
         const originalText = "Ceci est une bonne appréciation.";
 
@@ -284,6 +491,18 @@ describe('PromptService', () => {
             const p = PromptService.getRefinementPrompt('concise', originalText);
             expect(p).toContain('concise');
         });
+
+        it('should add a hard character limit to the concise prompt when exceeded', () => {
+            const p = PromptService.getRefinementPrompt('concise', originalText, { charLimit: 20 });
+            expect(p).toContain('LIMITE STRICTE : 20 caractères');
+            expect(PromptService.getRefinementPrompt('concise', originalText, { charLimit: 200 })).not.toContain('LIMITE STRICTE');
+        });
+
+        it('should generate a targeted fix prompt from the linter instruction', () => {
+            const p = PromptService.getRefinementPrompt('fix', originalText, { instruction: 'Retire le nom de famille.' });
+            expect(p).toContain('Retire le nom de famille.');
+            expect(p).toContain(originalText);
+        });
     });
 
     describe('getPromptHash', () => {
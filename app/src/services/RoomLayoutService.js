@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Disposition libre de la salle (plan de classe)
+ *
+ * Au lieu d'une grille rangées × colonnes, une salle est un canevas quadrillé
+ * (`appState.seatingGrid.room`) sur lequel sont posés des meubles :
+ *
+ * `{ rows, cols, items: [{ id, type, row, col, rotation }] }`
+ *
+ * Chaque case du canevas a la taille d'une place. Les meubles s'aimantent aux cases et
+ * tournent par quarts de tour, si bien que chaque place d'une table reste une case
+ * (rangée, colonne) : le placement des élèves, l'optimisation et l'impression fonctionnent
+ * comme sur la grille. Les cases sans table ne sont pas des places.
+ *
+ * @module services/RoomLayoutService
+ */
+
+/**
+ * Meubles disponibles. `seats` : places, en [rangée, colonne] dans le meuble non tourné.
+ * Les repères (tableau, porte, bureau) n'ont pas de place.
+ */
+export const ROOM_ITEM_TYPES = [
+    { id: 'single', label: 'Table simple', icon: 'solar:square-linear', width: 1, height: 1, seats: [[0, 0]] },
+    { id: 'double', label: 'Table double', icon: 'solar:widget-2-linear', width: 2, height: 1, seats: [[0, 0], [0, 1]] },
+    { id: 'group', label: 'Îlot de 4', icon: 'solar:widget-4-linear', width: 2, height: 2, seats: [[0, 0], [0, 1], [1, 0], [1, 1]] },
+    { id: 'board', label: 'Tableau', icon: 'solar:presentation-graph-linear', width: 4, height: 1, seats: [] },
+    { id: 'door', label: 'Porte', icon: 'solar:door-linear', width: 1, height: 1, seats: [] },
+    { id: 'desk', label: 'Bureau', icon: 'solar:square-academic-cap-linear', width: 2, height: 1, seats: [] }
+];
+
+/** Dimensions autorisées du canevas, en cases */
+export const ROOM_SIZE_LIMITS = { min: 4, max: 16 };
+
+const generateId = () => `room_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export const RoomLayoutService = {
+
+    /**
+     * @param {string} type
+     * @returns {Object|null}
+     */
+    getType(type) {
+        return ROOM_ITEM_TYPES.find(t => t.id === type) || null;
+    },
+
+    /**
+     * Encombrement d'un meuble selon sa rotation
+     * @param {Object} item
+     * @returns {{width: number, height: number}}
+     */
+    getFootprint(item) {
+        const type = this.getType(item.type);
+        if (!type) return { width: 0, height: 0 };
+        return item.rotation % 180 === 0
+            ? { width: type.width, height: type.height }
+            : { width: type.height, height: type.width };
+    },
+
+    /**
+     * Cases occupées par un meuble
+     * @param {Object} item
+     * @returns {Array<{row: number, col: number}>}
+     */
+    getCells(item) {
+        const { width, height } = this.getFootprint(item);
+        const cells = [];
+        for (let r = 0; r < height; r++) {
+            for (let c = 0; c < width; c++) cells.push({ row: item.row + r, col: item.col + c });
+        }
+        return cells;
+    },
+
+    /**
+     * Places d'un meuble, après rotation autour de son coin supérieur gauche
+     * @param {Object} item
+     * @returns {Array<{row: number, col: number}>}
+     */
+    getItemSeats(item) {
+        const type = this.getType(item.type);
+        if (!type) return [];
+        return type.seats.map(([r, c]) => {
+            switch (item.rotation) {
+                case 90: return { row: item.row + c, col: item.col + type.height - 1 - r };
+                case 180: return { row: item.row + type.height - 1 - r, col: item.col + type.width - 1 - c };
+                case 270: return { row: item.row + type.width - 1 - c, col: item.col + r };
+                default: return { row: item.row + r, col: item.col + c };
+            }
+        });
+    },
+
+    /**
+     * @param {Object} room
+     * @returns {Set<string>} Places de la salle, en clés "rangée,colonne"
+     */
+    getSeatKeys(room) {
+        const keys = new Set();
+        (room?.items || []).forEach(item => {
+            this.getItemSeats(item).forEach(({ row, col }) => keys.add(`${row},${col}`));
+        });
+        return keys;
+    },
+
+    /**
+     * Centre du bureau de l'enseignant, pour les contraintes « devant » et « près du bureau »
+     * @param {Object} room
+     * @returns {{row: number, col: number}|null} null si la salle n'a pas de bureau
+     */
+    getDesk(room) {
+        const desk = (room?.items || []).find(i => i.type === 'desk');
+        if (!desk) return null;
+        const { width, height } = this.getFootprint(desk);
+        return { row: desk.row + (height - 1) / 2, col: desk.col + (width - 1) / 2 };
+    },
+
+    /**
+     * Un meuble tient-il dans la salle sans chevaucher les autres ?
+     * @param {Object} room
+     * @param {Object} item - Meuble à tester (position et rotation voulues)
+     * @returns {boolean}
+     */
+    canPlace(room, item) {
+        const cells = this.getCells(item);
+        if (cells.some(c => c.row < 0 || c.col < 0 || c.row >= room.rows || c.col >= room.cols)) return false;
+
+        const occupied = new Set();
+        room.items.filter(i => i.id !== item.id).forEach(i => {
+            this.getCells(i).forEach(c => occupied.add(`${c.row},${c.col}`));
+        });
+        return cells.every(c => !occupied.has(`${c.row},${c.col}`));
+    },
+
+    /**
+     * Ajoute un meuble à la première position libre (de haut en bas, de gauche à droite)
+     * @param {Object} room
+     * @param {string} type
+     * @returns {Object|null} Salle modifiée (copie), null s'il n'y a plus de place
+     */
+    addItem(room, type) {
+        if (!this.getType(type)) return null;
+        for (let row = 0; row < room.rows; row++) {
+            for (let col = 0; col < room.cols; col++) {
+                const item = { id: generateId(), type, row, col, rotation: 0 };
+                if (this.canPlace(room, item)) return { ...room, items: [...room.items, item] };
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Déplace un meuble (position aimantée aux cases)
+     * @param {Object} room
+     * @param {string} itemId
+     * @param {number} row
+     * @param {number} col
+     * @returns {Object|null} Salle modifiée (copie), null si la place est prise ou hors de la salle
+     */
+    moveItem(room, itemId, row, col) {
+        return this._updateItem(room, itemId, { row: Math.round(row), col: Math.round(col) });
+    },
+
+    /**
+     * Tourne un meuble d'un quart de tour dans le sens horaire
+     * @param {Object} room
+     * @param {string} itemId
+     * @returns {Object|null} Salle modifiée (copie), null si le meuble tourné ne tient pas
+     */
+    rotateItem(room, itemId) {
+        const item = room.items.find(i => i.id === itemId);
+        return item ? this._updateItem(room, itemId, { rotation: (item.rotation + 90) % 360 }) : null;
+    },
+
+    /**
+     * @param {Object} room
+     * @param {string} itemId
+     * @returns {Object} Salle modifiée (copie)
+     */
+    removeItem(room, itemId) {
+        return { ...room, items: room.items.filter(i => i.id !== itemId) };
+    },
+
+    /**
+     * Change les dimensions du canevas ; les meubles qui débordent sont retirés
+     * @param {Object} room
+     * @param {number} rows
+     * @param {number} cols
+     * @returns {Object} Salle modifiée (copie)
+     */
+    resize(room, rows, cols) {
+        const resized = {
+            rows: clamp(Math.round(rows), ROOM_SIZE_LIMITS.min, ROOM_SIZE_LIMITS.max),
+            cols: clamp(Math.round(cols), ROOM_SIZE_LIMITS.min, ROOM_SIZE_LIMITS.max),
+            items: []
+        };
+        resized.items = room.items.filter(i => this.getCells(i).every(c => c.row < resized.rows && c.col < resized.cols));
+        return resized;
+    },
+
+    /**
+     * Salle reprenant une grille : chaque place devient une table simple aux mêmes coordonnées
+     * (les élèves restent à leur place), le bureau et le tableau sont ajoutés en dessous.
+     * @param {number} rows
+     * @param {number} cols
+     * @param {Object<string, string>} [specialLayout] - Les allées et places condamnées ne deviennent pas des tables
+     * @returns {Object}
+     */
+    fromGrid(rows, cols, specialLayout = {}) {
+        const room = {
+            rows: clamp(rows + 3, ROOM_SIZE_LIMITS.min, ROOM_SIZE_LIMITS.max),
+            cols: clamp(Math.max(cols, 4), ROOM_SIZE_LIMITS.min, ROOM_SIZE_LIMITS.max),
+            items: []
+        };
+        for (let row = 0; row < Math.min(rows, room.rows - 3); row++) {
+            for (let col = 0; col < cols; col++) {
+                const special = specialLayout[`${row},${col}`];
+                if (special === 'aisle' || special === 'blocked') continue;
+                room.items.push({ id: generateId(), type: 'single', row, col, rotation: 0 });
+            }
+        }
+        const center = (width) => Math.max(0, Math.floor((room.cols - width) / 2));
+        room.items.push({ id: generateId(), type: 'desk', row: room.rows - 2, col: center(2), rotation: 0 });
+        room.items.push({ id: generateId(), type: 'board', row: room.rows - 1, col: center(4), rotation: 0 });
+        return room;
+    },
+
+    /**
+     * @param {Object} room
+     * @returns {Object} Copie indépendante
+     */
+    clone(room) {
+        return room ? { rows: room.rows, cols: room.cols, items: room.items.map(i => ({ ...i })) } : null;
+    },
+
+    /**
+     * @param {Object} room
+     * @param {string} itemId
+     * @param {Object} changes
+     * @returns {Object|null}
+     * @private
+     */
+    _updateItem(room, itemId, changes) {
+        const item = room.items.find(i => i.id === itemId);
+        if (!item) return null;
+        const updated = { ...item, ...changes };
+        if (!this.canPlace(room, updated)) return null;
+        return { ...room, items: room.items.map(i => i.id === itemId ? updated : i) };
+    }
+};
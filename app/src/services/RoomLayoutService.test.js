@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { RoomLayoutService, ROOM_SIZE_LIMITS } from './RoomLayoutService.js';
+
+const room = (items) => ({ rows: 6, cols: 6, items });
+
+describe('RoomLayoutService', () => {
+    it('rotates the seats of a table around its top-left corner', () => {
+        const double = { id: 'd', type: 'double', row: 1, col: 1, rotation: 0 };
+        expect(RoomLayoutService.getItemSeats(double)).toEqual([{ row: 1, col: 1 }, { row: 1, col: 2 }]);
+        expect(RoomLayoutService.getFootprint({ ...double, rotation: 90 })).toEqual({ width: 1, height: 2 });
+        expect(RoomLayoutService.getItemSeats({ ...double, rotation: 90 })).toEqual([{ row: 1, col: 1 }, { row: 2, col: 1 }]);
+        expect(RoomLayoutService.getItemSeats({ ...double, rotation: 180 })).toEqual([{ row: 1, col: 2 }, { row: 1, col: 1 }]);
+    });
+
+    it('only counts table seats, not the board, door or desk', () => {
+        const layout = room([
+            { id: 'g', type: 'group', row: 0, col: 0, rotation: 0 },
+            { id: 'b', type: 'board', row: 5, col: 1, rotation: 0 },
+            { id: 'k', type: 'desk', row: 4, col: 2, rotation: 0 }
+        ]);
+        expect([...RoomLayoutService.getSeatKeys(layout)]).toEqual(['0,0', '0,1', '1,0', '1,1']);
+        expect(RoomLayoutService.getDesk(layout)).toEqual({ row: 4, col: 2.5 });
+        expect(RoomLayoutService.getDesk(room([]))).toBeNull();
+    });
+
+    it('refuses moves and rotations that overlap or leave the room', () => {
+        const layout = room([
+            { id: 'a', type: 'double', row: 0, col: 0, rotation: 0 },
+            { id: 'b', type: 'single', row: 1, col: 0, rotation: 0 }
+        ]);
+        expect(RoomLayoutService.moveItem(layout, 'b', 0, 1)).toBeNull();
+        expect(RoomLayoutService.moveItem(layout, 'b', 0, 6)).toBeNull();
+        expect(RoomLayoutService.moveItem(layout, 'b', 6, 0)).toBeNull();
+        expect(RoomLayoutService.rotateItem(layout, 'a')).toBeNull();
+
+        const moved = RoomLayoutService.moveItem(layout, 'b', 3, 4);
+        expect(moved.items.find(i => i.id === 'b')).toMatchObject({ row: 3, col: 4 });
+        expect(layout.items.find(i => i.id === 'b')).toMatchObject({ row: 1, col: 0 });
+        expect(RoomLayoutService.rotateItem(moved, 'a').items[0].rotation).toBe(90);
+    });
+
+    it('adds furniture at the first free spot and drops what no longer fits on resize', () => {
+        let layout = room([{ id: 'a', type: 'group', row: 0, col: 0, rotation: 0 }]);
+        layout = RoomLayoutService.addItem(layout, 'double');
+        expect(layout.items[1]).toMatchObject({ type: 'double', row: 0, col: 2 });
+        expect(RoomLayoutService.addItem(layout, 'unknown')).toBeNull();
+
+        const full = RoomLayoutService.addItem({ rows: 1, cols: 1, items: [{ id: 's', type: 'single', row: 0, col: 0, rotation: 0 }] }, 'single');
+        expect(full).toBeNull();
+
+        const resized = RoomLayoutService.resize(layout, 2, 3);
+        expect(resized).toMatchObject({ rows: ROOM_SIZE_LIMITS.min, cols: ROOM_SIZE_LIMITS.min });
+        expect(resized.items.map(i => i.id)).toEqual(['a', layout.items[1].id]);
+        expect(RoomLayoutService.resize(layout, 99, 4).rows).toBe(ROOM_SIZE_LIMITS.max);
+    });
+
+    it('converts a grid into single tables at the same coordinates, skipping aisles', () => {
+        const layout = RoomLayoutService.fromGrid(2, 4, { '0,1': 'aisle', '1,3': 'aesh' });
+        const seats = RoomLayoutService.getSeatKeys(layout);
+        expect(layout.rows).toBe(5);
+        expect(seats.size).toBe(7);
+        expect(seats.has('0,1')).toBe(false);
+        expect(seats.has('1,3')).toBe(true);
+        expect(RoomLayoutService.getDesk(layout)).toEqual({ row: 3, col: 1.5 });
+        expect(layout.items.some(i => i.type === 'board' && i.row === 4)).toBe(true);
+
+        const copy = RoomLayoutService.clone(layout);
+        copy.items[0].row = 9;
+        expect(layout.items[0].row).toBe(0);
+        expect(RoomLayoutService.clone(null)).toBeNull();
+    });
+});
@@ -0,0 +1,277 @@
+/**
+ * @fileoverview Rendu SVG du plan de classe et des étiquettes de table
+ *
+ * Le plan est dessiné à partir des données (grille ou salle libre, élèves placés), jamais
+ * à partir de l'écran : dimensions fixes en pixels, polices et troncature des noms
+ * déterminées par le nombre de caractères. Le même plan donne donc le même fichier quel
+ * que soit le navigateur ou la taille de la fenêtre. La conversion en PNG et l'impression
+ * sont faites par SeatingExportManager.
+ *
+ * Code de place : lettre de la rangée en partant de l'avant (A = rangée de places la plus
+ * proche du bureau, en bas du plan) suivie du rang de la place dans sa rangée en partant de
+ * la gauche (« B3 »). Allées, places condamnées et cases sans table ne sont pas comptées.
+ *
+ * @module services/SeatingExportService
+ */
+
+import { Utils } from '../utils/Utils.js';
+import { RoomLayoutService } from './RoomLayoutService.js';
+
+/** Dimensions du plan, en pixels */
+const CELL_W = 120;
+const CELL_H = 104;
+const GAP = 12;
+const PAD = 32;
+const HEADER_H = 64;
+const DESK_GAP = 28;
+const DESK_H = 44;
+const AVATAR_R = 22;
+
+/** Nombre de caractères d'une ligne de nom sur une place / une étiquette */
+const SEAT_NAME_CHARS = 15;
+const LABEL_NAME_CHARS = 18;
+
+/** Planche d'étiquettes A4 (mm) : 3 × 8 étiquettes de 70 × 37 mm */
+const SHEET = { width: 210, height: 297, cols: 3, rows: 8, labelW: 70, labelH: 37, top: 0.5 };
+
+const FONT = "Inter, 'Helvetica Neue', Arial, sans-serif";
+
+const esc = (value) => Utils.escapeHtml(String(value ?? ''));
+
+/** Coupe un texte trop long en finissant par « … » */
+const truncate = (text, max) => {
+    const value = String(text ?? '').trim();
+    return value.length > max ? `${value.slice(0, max - 1).trimEnd()}…` : value;
+};
+
+/** Seules les images embarquées sont acceptées (le SVG doit rester autonome) */
+const isEmbeddedImage = (data) => typeof data === 'string' && /^data:image\/(png|jpe?g|webp|gif);base64,/i.test(data);
+
+/**
+ * @typedef {Object} ExportSeat
+ * @property {number} row
+ * @property {number} col
+ * @property {string} prenom
+ * @property {string} nom
+ * @property {string} [photo] - Photo en data URL (StudentPhotoManager)
+ * @property {string} [initials]
+ * @property {string} [color] - Couleur de l'avatar sans photo
+ */
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {'full'|'first'} [nameMode='full'] - Prénom et nom, ou prénom seul
+ * @property {boolean} [photos=true] - Afficher les photos (ou les initiales)
+ */
+
+export const SeatingExportService = {
+
+    /**
+     * Codes des places du plan
+     * @param {Object} plan
+     * @param {number} plan.rows
+     * @param {number} plan.cols
+     * @param {Object|null} [plan.room]
+     * @param {Object<string, string>} [plan.specialLayout]
+     * @returns {Map<string, string>} Code par "rangée,colonne" (« A1 » : place avant gauche)
+     */
+    getSeatCodes({ rows, cols, room = null, specialLayout = {} }) {
+        const seatKeys = room ? RoomLayoutService.getSeatKeys(room) : null;
+        const codes = new Map();
+        let letter = 0;
+        for (let row = rows - 1; row >= 0; row--) {
+            let number = 0;
+            for (let col = 0; col < cols; col++) {
+                const key = `${row},${col}`;
+                if ((seatKeys && !seatKeys.has(key)) || ['aisle', 'blocked'].includes(specialLayout[key])) continue;
+                codes.set(key, `${String.fromCharCode(65 + letter)}${++number}`);
+            }
+            if (number > 0) letter++;
+        }
+        return codes;
+    },
+
+    /**
+     * Lignes de nom affichées
+     * @param {{prenom: string, nom: string}} student
+     * @param {'full'|'first'} nameMode
+     * @param {number} [maxChars]
+     * @returns {string[]}
+     */
+    getNameLines(student, nameMode, maxChars = SEAT_NAME_CHARS) {
+        const lines = [truncate(student.prenom, maxChars)];
+        if (nameMode !== 'first' && student.nom) lines.push(truncate(student.nom.toUpperCase(), maxChars));
+        return lines.filter(Boolean);
+    },
+
+    /**
+     * Plan de classe complet
+     * @param {Object} plan
+     * @param {string} plan.title - Classe et nom du plan
+     * @param {string} [plan.subtitle] - ex : date, effectif
+     * @param {number} plan.rows
+     * @param {number} plan.cols
+     * @param {Object|null} [plan.room] - Salle libre (RoomLayoutService), null pour la grille
+     * @param {Object<string, string>} [plan.specialLayout]
+     * @param {ExportSeat[]} plan.seats - Élèves placés
+     * @param {ExportOptions} [options]
+     * @returns {{svg: string, width: number, height: number}}
+     */
+    buildPlanSvg({ title, subtitle = '', rows, cols, room = null, specialLayout = {}, seats }, { nameMode = 'full', photos = true } = {}) {
+        const gridW = cols * CELL_W + (cols - 1) * GAP;
+        const gridH = rows * CELL_H + (rows - 1) * GAP;
+        const width = gridW + PAD * 2;
+        const height = PAD + HEADER_H + gridH + (room ? 0 : DESK_GAP + DESK_H) + PAD;
+        const originY = PAD + HEADER_H;
+        const x = (col) => PAD + col * (CELL_W + GAP);
+        const y = (row) => originY + row * (CELL_H + GAP);
+
+        const bySeat = new Map(seats.map(s => [`${s.row},${s.col}`, s]));
+        const defs = [];
+        const parts = [];
+
+        parts.push(`<text x="${PAD}" y="${PAD + 22}" font-size="22" font-weight="700" fill="#111827">${esc(title)}</text>`);
+        if (subtitle) parts.push(`<text x="${PAD}" y="${PAD + 44}" font-size="13" fill="#6b7280">${esc(subtitle)}</text>`);
+
+        if (room) {
+            room.items.forEach(item => parts.push(this._renderRoomItem(item, x, y)));
+        } else {
+            const deskW = Math.min(220, gridW);
+            const deskY = originY + gridH + DESK_GAP;
+            parts.push(`<rect x="${(width - deskW) / 2}" y="${deskY}" width="${deskW}" height="${DESK_H}" rx="10" fill="#f3f4f6" stroke="#9ca3af" stroke-width="1.5"/>`);
+            parts.push(`<text x="${width / 2}" y="${deskY + 27}" font-size="14" font-weight="600" fill="#4b5563" text-anchor="middle">Bureau</text>`);
+        }
+
+        const seatKeys = room ? RoomLayoutService.getSeatKeys(room) : null;
+        const codes = this.getSeatCodes({ rows, cols, room, specialLayout });
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const key = `${row},${col}`;
+                if (seatKeys && !seatKeys.has(key)) continue;
+                const special = specialLayout[key];
+                if (special === 'aisle') continue;
+                parts.push(this._renderSeat({
+                    x: x(col),
+                    y: y(row),
+                    code: codes.get(key) || '',
+                    special,
+                    student: bySeat.get(key),
+                    nameMode,
+                    photos,
+                    defs
+                }));
+            }
+        }
+
+        const svg = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${esc(FONT)}">`,
+            defs.length > 0 ? `<defs>${defs.join('')}</defs>` : '',
+            `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+            ...parts,
+            '</svg>'
+        ].join('');
+        return { svg, width, height };
+    },
+
+    /**
+     * Planches A4 d'étiquettes de table, une par élève, dans l'ordre des places
+     * @param {Object} params
+     * @param {string} params.title - Affiché en petit sur chaque étiquette (classe, épreuve)
+     * @param {Array<{prenom: string, nom: string, code: string}>} params.labels
+     * @param {ExportOptions} [options]
+     * @returns {string[]} Un SVG par planche (dimensions en mm)
+     */
+    buildLabelSheets({ title, labels }, { nameMode = 'full' } = {}) {
+        const perSheet = SHEET.cols * SHEET.rows;
+        const sheets = [];
+        for (let start = 0; start < labels.length; start += perSheet) {
+            const cards = labels.slice(start, start + perSheet).map((label, i) => {
+                const lx = (i % SHEET.cols) * SHEET.labelW;
+                const ly = SHEET.top + Math.floor(i / SHEET.cols) * SHEET.labelH;
+                const lines = this.getNameLines(label, nameMode, LABEL_NAME_CHARS);
+                const names = lines.map((line, n) =>
+                    `<text x="${lx + 5}" y="${ly + 22 + n * 8}" font-size="${n === 0 ? 6 : 5}" font-weight="${n === 0 ? 700 : 500}" fill="#111827">${esc(line)}</text>`
+                ).join('');
+                return [
+                    `<rect x="${lx + 1}" y="${ly + 1}" width="${SHEET.labelW - 2}" height="${SHEET.labelH - 2}" rx="2" fill="none" stroke="#d1d5db" stroke-width="0.3" stroke-dasharray="1 1"/>`,
+                    `<text x="${lx + 5}" y="${ly + 8}" font-size="3" fill="#6b7280">${esc(truncate(title, 26))}</text>`,
+                    `<text x="${lx + SHEET.labelW - 5}" y="${ly + 12}" font-size="9" font-weight="700" fill="#111827" text-anchor="end">${esc(label.code)}</text>`,
+                    names
+                ].join('');
+            });
+            sheets.push([
+                `<svg xmlns="http://www.w3.org/2000/svg" width="${SHEET.width}mm" height="${SHEET.height}mm" viewBox="0 0 ${SHEET.width} ${SHEET.height}" font-family="${esc(FONT)}">`,
+                `<rect width="${SHEET.width}" height="${SHEET.height}" fill="#ffffff"/>`,
+                ...cards,
+                '</svg>'
+            ].join(''));
+        }
+        return sheets;
+    },
+
+    /**
+     * @private
+     */
+    _renderSeat({ x, y, code, special, student, nameMode, photos, defs }) {
+        const cx = x + CELL_W / 2;
+        const parts = [];
+
+        if (special === 'blocked') {
+            parts.push(`<rect x="${x}" y="${y}" width="${CELL_W}" height="${CELL_H}" rx="10" fill="#f3f4f6" stroke="#d1d5db" stroke-width="1.5"/>`);
+            parts.push(`<text x="${cx}" y="${y + CELL_H / 2 + 4}" font-size="12" fill="#9ca3af" text-anchor="middle">Condamné</text>`);
+            return parts.join('');
+        }
+
+        parts.push(`<rect x="${x}" y="${y}" width="${CELL_W}" height="${CELL_H}" rx="10" fill="#ffffff" stroke="${student ? '#9ca3af' : '#d1d5db'}" stroke-width="1.5"${student ? '' : ' stroke-dasharray="4 3"'}/>`);
+        parts.push(`<text x="${x + 8}" y="${y + 15}" font-size="10" fill="#9ca3af">${esc(code)}</text>`);
+
+        if (special === 'aesh' && !student) {
+            parts.push(`<text x="${cx}" y="${y + CELL_H / 2 + 4}" font-size="12" font-weight="600" fill="#6b7280" text-anchor="middle">AESH</text>`);
+        }
+        if (!student) return parts.join('');
+
+        let nameY = y + CELL_H / 2 + 2;
+        if (photos) {
+            const cy = y + 36;
+            if (isEmbeddedImage(student.photo)) {
+                const clipId = `seat-photo-${defs.length}`;
+                defs.push(`<clipPath id="${clipId}"><circle cx="${cx}" cy="${cy}" r="${AVATAR_R}"/></clipPath>`);
+                parts.push(`<image href="${esc(student.photo)}" x="${cx - AVATAR_R}" y="${cy - AVATAR_R}" width="${AVATAR_R * 2}" height="${AVATAR_R * 2}" preserveAspectRatio="xMidYMid slice" clip-path="url(#${clipId})"/>`);
+            } else {
+                parts.push(`<circle cx="${cx}" cy="${cy}" r="${AVATAR_R}" fill="${esc(student.color || '#9ca3af')}"/>`);
+                parts.push(`<text x="${cx}" y="${cy + 5}" font-size="14" font-weight="600" fill="#ffffff" text-anchor="middle">${esc(student.initials || '')}</text>`);
+            }
+            nameY = y + 76;
+        }
+
+        const lines = this.getNameLines(student, nameMode);
+        if (!photos && lines.length > 1) nameY -= 8;
+        lines.forEach((line, i) => {
+            parts.push(`<text x="${cx}" y="${nameY + i * 15}" font-size="${i === 0 ? 13 : 11}" font-weight="${i === 0 ? 600 : 400}" fill="${i === 0 ? '#111827' : '#4b5563'}" text-anchor="middle">${esc(line)}</text>`);
+        });
+        return parts.join('');
+    },
+
+    /**
+     * Meuble de la salle libre (sous les places)
+     * @private
+     */
+    _renderRoomItem(item, x, y) {
+        const type = RoomLayoutService.getType(item.type);
+        if (!type) return '';
+        const { width, height } = RoomLayoutService.getFootprint(item);
+        const left = x(item.col) - 6;
+        const top = y(item.row) - 6;
+        const w = width * CELL_W + (width - 1) * GAP + 12;
+        const h = height * CELL_H + (height - 1) * GAP + 12;
+
+        if (type.seats.length > 0) {
+            return `<rect x="${left}" y="${top}" width="${w}" height="${h}" rx="12" fill="#f1f5f9" stroke="#cbd5e1" stroke-width="1.5"/>`;
+        }
+        const isBoard = item.type === 'board';
+        return [
+            `<rect x="${left + 6}" y="${top + 6}" width="${w - 12}" height="${h - 12}" rx="10" fill="${isBoard ? '#374151' : '#f3f4f6'}" stroke="#9ca3af" stroke-width="1.5"${item.type === 'door' ? ' stroke-dasharray="6 4"' : ''}/>`,
+            `<text x="${left + w / 2}" y="${top + h / 2 + 5}" font-size="14" font-weight="600" fill="${isBoard ? '#ffffff' : '#4b5563'}" text-anchor="middle">${esc(type.label)}</text>`
+        ].join('');
+    }
+};
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { SeatingExportService } from './SeatingExportService.js';
+
+const PHOTO = 'data:image/jpeg;base64,AAAA';
+
+const plan = (overrides = {}) => ({
+    title: '5e B — Contrôle',
+    subtitle: '02/10/2026 · 3 élèves',
+    rows: 2,
+    cols: 3,
+    specialLayout: { '1,1': 'aisle' },
+    seats: [
+        { row: 1, col: 0, prenom: 'Léa', nom: 'Martin', photo: PHOTO },
+        { row: 0, col: 2, prenom: 'Tom', nom: "O'Brien <3", initials: 'TO', color: 'hsl(210, 70%, 55%)' }
+    ],
+    ...overrides
+});
+
+describe('SeatingExportService', () => {
+    it('codes seats from the front row, skipping aisles', () => {
+        const codes = SeatingExportService.getSeatCodes(plan());
+        expect(codes.get('1,0')).toBe('A1');
+        expect(codes.has('1,1')).toBe(false);
+        expect(codes.get('1,2')).toBe('A2');
+        expect(codes.get('0,0')).toBe('B1');
+        expect(codes.get('0,2')).toBe('B3');
+    });
+
+    it('codes only the tables of a freeform room', () => {
+        const room = {
+            rows: 5,
+            cols: 4,
+            items: [
+                { id: 'd', type: 'double', row: 1, col: 1, rotation: 0 },
+                { id: 'k', type: 'desk', row: 3, col: 1, rotation: 0 }
+            ]
+        };
+        const codes = SeatingExportService.getSeatCodes({ rows: 5, cols: 4, room });
+        expect([...codes.entries()]).toEqual([['1,1', 'A1'], ['1,2', 'A2']]);
+    });
+
+    it('renders the same fixed-size SVG for the same plan', () => {
+        const first = SeatingExportService.buildPlanSvg(plan());
+        const second = SeatingExportService.buildPlanSvg(plan());
+        expect(first.svg).toBe(second.svg);
+        expect(first).toMatchObject({ width: 3 * 120 + 2 * 12 + 64, height: 32 + 64 + 2 * 104 + 12 + 28 + 44 + 32 });
+        expect(first.svg).toContain(`width="${first.width}" height="${first.height}"`);
+        expect(first.svg).toContain('Bureau');
+    });
+
+    it('embeds photos and escapes names, or shows first names only', () => {
+        const { svg } = SeatingExportService.buildPlanSvg(plan());
+        expect(svg).toContain(`href="${PHOTO}"`);
+        expect(svg).toContain('O&#39;BRIEN &lt;3');
+        expect(svg).not.toContain('<3');
+
+        const firstOnly = SeatingExportService.buildPlanSvg(plan(), { nameMode: 'first', photos: false }).svg;
+        expect(firstOnly).not.toContain('<image');
+        expect(firstOnly).not.toContain('MARTIN');
+        expect(firstOnly).toContain('>Léa<');
+    });
+
+    it('ignores photos that are not embedded images', () => {
+        const seats = [{ row: 0, col: 0, prenom: 'Ana', nom: 'Diaz', photo: 'https://example.com/a.jpg', initials: 'AD' }];
+        const { svg } = SeatingExportService.buildPlanSvg(plan({ seats }));
+        expect(svg).not.toContain('example.com');
+        expect(svg).toContain('>AD<');
+    });
+
+    it('lays out 24 desk labels per A4 sheet', () => {
+        const labels = Array.from({ length: 25 }, (_, i) => ({ prenom: `Élève ${i}`, nom: 'Nom', code: `A${i + 1}` }));
+        const sheets = SeatingExportService.buildLabelSheets({ title: '5e B', labels });
+        expect(sheets).toHaveLength(2);
+        expect(sheets[0]).toContain('width="210mm" height="297mm"');
+        expect(sheets[0]).toContain('>A24<');
+        expect(sheets[1]).toContain('>A25<');
+        expect(SeatingExportService.getNameLines({ prenom: 'Marie-Charlotte-Eugénie', nom: 'X' }, 'first', 10)).toEqual(['Marie-Cha…']);
+    });
+});
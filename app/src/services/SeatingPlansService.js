@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Plans de classe nommés et historique des placements
+ *
+ * Chaque classe peut avoir plusieurs plans (« Salle B12 », « Labo », « Contrôle »...) dans
+ * `appState.seatingPlans[classId]` :
+ *
+ * `{ activePlanId, plans: [{ id, name, rows, cols, specialLayout, room, positions }], history: [...] }`
+ *
+ * Le plan actif est celui qu'affiche et modifie le plan de classe (grille `appState.seatingGrid`
+ * et `seatingPosition` de chaque élève) ; il est recopié ici à chaque modification.
+ * L'historique garde, jour par jour, les placements utilisés :
+ * `{ id, planId, planName, from, to, positions }` (dates "AAAA-MM-JJ"). Les voisins des jours
+ * précédents servent à la contrainte « nouveaux voisins » (SeatingSolverService).
+ *
+ * @module services/SeatingPlansService
+ */
+
+import { appState } from '../state/State.js';
+import { SeatingSolverService } from './SeatingSolverService.js';
+import { RoomLayoutService } from './RoomLayoutService.js';
+
+/** Nom du plan créé à partir du placement existant */
+export const DEFAULT_PLAN_NAME = 'Plan principal';
+
+/** Nombre maximal de placements gardés dans l'historique d'une classe */
+const MAX_HISTORY_ENTRIES = 100;
+
+const generateId = (prefix) => `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`;
+
+/** Date locale "AAAA-MM-JJ" */
+const toDay = (date) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/** Même placement (les épinglages ne comptent pas) */
+const samePositions = (a = {}, b = {}) => {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length
+        && keys.every(id => b[id] && a[id].row === b[id].row && a[id].col === b[id].col);
+};
+
+/**
+ * @typedef {Object} SeatingPlan
+ * @property {string} id
+ * @property {string} name
+ * @property {number} rows
+ * @property {number} cols
+ * @property {Object<string, string>} specialLayout - Places spéciales, par "rangée,colonne"
+ * @property {Object|null} room - Disposition libre (RoomLayoutService), null pour la grille
+ * @property {Object<string, {row: number, col: number, pinned: boolean}>} positions - Par id d'élève
+ */
+
+export const SeatingPlansService = {
+
+    /**
+     * @param {string} classId
+     * @returns {{activePlanId: string|null, plans: SeatingPlan[], history: Array<Object>}|null}
+     */
+    getClassData(classId) {
+        return appState.seatingPlans?.[classId] || null;
+    },
+
+    /**
+     * @param {string} classId
+     * @returns {SeatingPlan[]}
+     */
+    getPlans(classId) {
+        return this.getClassData(classId)?.plans || [];
+    },
+
+    /**
+     * @param {string} classId
+     * @returns {SeatingPlan|null}
+     */
+    getActivePlan(classId) {
+        const data = this.getClassData(classId);
+        return data?.plans.find(p => p.id === data.activePlanId) || data?.plans[0] || null;
+    },
+
+    /**
+     * Crée le premier plan d'une classe à partir du placement existant
+     * @param {string} classId
+     * @param {Omit<SeatingPlan, 'id'|'name'>} layout
+     * @returns {SeatingPlan} Plan actif de la classe
+     */
+    ensureClassPlans(classId, layout) {
+        const existing = this.getActivePlan(classId);
+        if (existing) return existing;
+
+        const plan = { id: generateId('plan'), name: DEFAULT_PLAN_NAME, ...this._copyLayout(layout) };
+        appState.seatingPlans = {
+            ...(appState.seatingPlans || {}),
+            [classId]: { activePlanId: plan.id, plans: [plan], history: this.getClassData(classId)?.history || [] }
+        };
+        return plan;
+    },
+
+    /**
+     * Ajoute un plan à la classe (le plan actif ne change pas)
+     * @param {string} classId
+     * @param {string} name
+     * @param {Omit<SeatingPlan, 'id'|'name'>} layout
+     * @returns {SeatingPlan|null} null si le nom est vide
+     */
+    createPlan(classId, name, layout) {
+        const cleanName = String(name ?? '').trim();
+        const data = this.getClassData(classId);
+        if (!cleanName || !data) return null;
+
+        const plan = { id: generateId('plan'), name: cleanName, ...this._copyLayout(layout) };
+        data.plans.push(plan);
+        return plan;
+    },
+
+    /**
+     * Copie un plan (nom suivi de « (copie) »)
+     * @param {string} classId
+     * @param {string} planId
+     * @returns {SeatingPlan|null}
+     */
+    duplicatePlan(classId, planId) {
+        const source = this.getPlans(classId).find(p => p.id === planId);
+        return source ? this.createPlan(classId, `${source.name} (copie)`, source) : null;
+    },
+
+    /**
+     * @param {string} classId
+     * @param {string} planId
+     * @param {string} name
+     * @returns {boolean} false si le plan est introuvable ou le nom vide
+     */
+    renamePlan(classId, planId, name) {
+        const plan = this.getPlans(classId).find(p => p.id === planId);
+        const cleanName = String(name ?? '').trim();
+        if (!plan || !cleanName) return false;
+        plan.name = cleanName;
+        return true;
+    },
+
+    /**
+     * Supprime un plan ; le dernier plan d'une classe ne peut pas l'être.
+     * Si le plan était actif, le premier plan restant le devient.
+     * @param {string} classId
+     * @param {string} planId
+     * @returns {boolean}
+     */
+    deletePlan(classId, planId) {
+        const data = this.getClassData(classId);
+        if (!data || data.plans.length < 2 || !data.plans.some(p => p.id === planId)) return false;
+        data.plans = data.plans.filter(p => p.id !== planId);
+        if (data.activePlanId === planId) data.activePlanId = data.plans[0].id;
+        return true;
+    },
+
+    /**
+     * @param {string} classId
+     * @param {string} planId
+     * @returns {SeatingPlan|null} Plan devenu actif
+     */
+    setActivePlan(classId, planId) {
+        const data = this.getClassData(classId);
+        const plan = data?.plans.find(p => p.id === planId);
+        if (!plan) return null;
+        data.activePlanId = plan.id;
+        return plan;
+    },
+
+    /**
+     * Recopie la grille et le placement affichés dans le plan actif
+     * @param {string} classId
+     * @param {Omit<SeatingPlan, 'id'|'name'>} layout
+     */
+    updateActivePlan(classId, layout) {
+        const plan = this.getActivePlan(classId);
+        if (plan) Object.assign(plan, this._copyLayout(layout));
+    },
+
+    /**
+     * Note que le placement du plan actif est utilisé ce jour.
+     * Un même placement prolonge l'entrée en cours ; un placement modifié le jour même
+     * remplace celui du jour ; sinon une nouvelle entrée commence.
+     * @param {string} classId
+     * @param {Date} [date=new Date()]
+     */
+    recordArrangement(classId, date = new Date()) {
+        const data = this.getClassData(classId);
+        const plan = this.getActivePlan(classId);
+        if (!data || !plan || Object.keys(plan.positions).length === 0) return;
+
+        const day = toDay(date);
+        const positions = Object.fromEntries(Object.entries(plan.positions).map(([id, p]) => [id, { row: p.row, col: p.col }]));
+        const last = data.history[data.history.length - 1];
+
+        if (last?.planId === plan.id && (last.from === day || samePositions(last.positions, positions))) {
+            Object.assign(last, { planName: plan.name, to: day, positions });
+            return;
+        }
+        data.history.push({ id: generateId('seating'), planId: plan.id, planName: plan.name, from: day, to: day, positions });
+        if (data.history.length > MAX_HISTORY_ENTRIES) data.history.splice(0, data.history.length - MAX_HISTORY_ENTRIES);
+    },
+
+    /**
+     * @param {string} classId
+     * @returns {Array<Object>} Placements utilisés, du plus récent au plus ancien
+     */
+    getHistory(classId) {
+        return [...(this.getClassData(classId)?.history || [])].reverse();
+    },
+
+    /**
+     * Paires de voisins de rang (même rangée, colonnes contiguës) des placements
+     * utilisés les jours précédents
+     * @param {string} classId
+     * @param {Date} [date=new Date()]
+     * @returns {Set<string>} Clés SeatingSolverService.pairKey
+     */
+    getPastPairs(classId, date = new Date()) {
+        const today = toDay(date);
+        const pairs = new Set();
+        (this.getClassData(classId)?.history || [])
+            .filter(entry => entry.from < today)
+            .forEach(entry => {
+                const bySeat = new Map(Object.entries(entry.positions).map(([id, p]) => [`${p.row},${p.col}`, id]));
+                bySeat.forEach((id, key) => {
+                    const [row, col] = key.split(',').map(Number);
+                    const right = bySeat.get(`${row},${col + 1}`);
+                    if (right) pairs.add(SeatingSolverService.pairKey(id, right));
+                });
+            });
+        return pairs;
+    },
+
+    /**
+     * @param {Object} layout
+     * @returns {Omit<SeatingPlan, 'id'|'name'>} Copie indépendante
+     * @private
+     */
+    _copyLayout({ rows, cols, specialLayout = {}, room = null, positions = {} }) {
+        return {
+            rows,
+            cols,
+            specialLayout: { ...specialLayout },
+            room: RoomLayoutService.clone(room),
+            positions: Object.fromEntries(Object.entries(positions).map(([id, p]) => [id, { ...p }]))
+        };
+    }
+};
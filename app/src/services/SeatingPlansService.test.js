@@ -0,0 +1,85 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { SeatingPlansService, DEFAULT_PLAN_NAME } from './SeatingPlansService.js';
+import { appState } from '../state/State.js';
+
+vi.mock('../state/State.js', () => ({
+    appState: { seatingPlans: null }
+}));
+
+const layout = (positions = {}) => ({ rows: 2, cols: 3, specialLayout: { '0,1': 'aisle' }, positions });
+
+describe('SeatingPlansService', () => {
+    beforeEach(() => {
+        appState.seatingPlans = null;
+    });
+
+    it('creates the first plan of a class from the existing placement', () => {
+        const plan = SeatingPlansService.ensureClassPlans('c1', layout({ a: { row: 0, col: 0, pinned: true } }));
+        expect(plan.name).toBe(DEFAULT_PLAN_NAME);
+        expect(plan.positions).toEqual({ a: { row: 0, col: 0, pinned: true } });
+        expect(SeatingPlansService.ensureClassPlans('c1', layout())).toBe(plan);
+        expect(SeatingPlansService.getActivePlan('c2')).toBeNull();
+    });
+
+    it('creates, duplicates, renames and switches plans without sharing layouts', () => {
+        const main = SeatingPlansService.ensureClassPlans('c1', layout({ a: { row: 0, col: 0, pinned: false } }));
+        const copy = SeatingPlansService.duplicatePlan('c1', main.id);
+        expect(copy.name).toBe(`${DEFAULT_PLAN_NAME} (copie)`);
+        expect(SeatingPlansService.getActivePlan('c1').id).toBe(main.id);
+
+        copy.positions.a.row = 1;
+        expect(main.positions.a.row).toBe(0);
+
+        expect(SeatingPlansService.createPlan('c1', '  ', layout())).toBeNull();
+        const exam = SeatingPlansService.createPlan('c1', 'Contrôle', layout());
+        expect(SeatingPlansService.renamePlan('c1', exam.id, ' Contrôle T1 ')).toBe(true);
+        expect(SeatingPlansService.setActivePlan('c1', exam.id).name).toBe('Contrôle T1');
+        expect(SeatingPlansService.getPlans('c1').map(p => p.name)).toEqual([DEFAULT_PLAN_NAME, `${DEFAULT_PLAN_NAME} (copie)`, 'Contrôle T1']);
+    });
+
+    it('keeps at least one plan and reactivates the first one', () => {
+        const main = SeatingPlansService.ensureClassPlans('c1', layout());
+        expect(SeatingPlansService.deletePlan('c1', main.id)).toBe(false);
+
+        const lab = SeatingPlansService.createPlan('c1', 'Labo', layout());
+        SeatingPlansService.setActivePlan('c1', lab.id);
+        expect(SeatingPlansService.deletePlan('c1', lab.id)).toBe(true);
+        expect(SeatingPlansService.getActivePlan('c1').id).toBe(main.id);
+    });
+
+    describe('history', () => {
+        const day = (d) => new Date(2026, 8, d, 10);
+
+        it('extends an unchanged arrangement and replaces the one edited the same day', () => {
+            SeatingPlansService.ensureClassPlans('c1', layout({ a: { row: 0, col: 0 }, b: { row: 0, col: 1 } }));
+            SeatingPlansService.recordArrangement('c1', day(1));
+            SeatingPlansService.recordArrangement('c1', day(8));
+
+            SeatingPlansService.updateActivePlan('c1', layout({ a: { row: 1, col: 0 }, b: { row: 0, col: 1 } }));
+            SeatingPlansService.recordArrangement('c1', day(15));
+            SeatingPlansService.updateActivePlan('c1', layout({ a: { row: 1, col: 2 }, b: { row: 0, col: 1 } }));
+            SeatingPlansService.recordArrangement('c1', day(15));
+
+            const history = SeatingPlansService.getHistory('c1');
+            expect(history.map(e => [e.from, e.to])).toEqual([['2026-09-15', '2026-09-15'], ['2026-09-01', '2026-09-08']]);
+            expect(history[0].positions.a).toEqual({ row: 1, col: 2 });
+            expect(history[0].planName).toBe(DEFAULT_PLAN_NAME);
+        });
+
+        it('does not record an empty plan', () => {
+            SeatingPlansService.ensureClassPlans('c1', layout());
+            SeatingPlansService.recordArrangement('c1', day(1));
+            expect(SeatingPlansService.getHistory('c1')).toEqual([]);
+        });
+
+        it('collects side-by-side neighbours from previous days only', () => {
+            SeatingPlansService.ensureClassPlans('c1', layout({ a: { row: 0, col: 0 }, b: { row: 0, col: 1 }, c: { row: 1, col: 1 } }));
+            SeatingPlansService.recordArrangement('c1', day(1));
+            SeatingPlansService.updateActivePlan('c1', layout({ c: { row: 0, col: 0 }, a: { row: 0, col: 1 } }));
+            SeatingPlansService.recordArrangement('c1', day(15));
+
+            expect([...SeatingPlansService.getPastPairs('c1', day(15))]).toEqual(['a|b']);
+            expect([...SeatingPlansService.getPastPairs('c1', day(16))].sort()).toEqual(['a|b', 'a|c']);
+        });
+    });
+});
@@ -0,0 +1,371 @@
+/**
+ * @fileoverview Optimisation du plan de classe sous contraintes
+ *
+ * Les contraintes sont enregistrées avec la grille (`appState.seatingGrid.constraints`) :
+ *
+ * - `{ id, type: 'apart', studentIds: [a, b] }` : deux élèves jamais voisins (diagonales comprises) ;
+ * - `{ id, type: 'near-desk', studentIds: [a] }` : un élève près du bureau ;
+ * - `{ id, type: 'front-status', statusIds: ['pap', 'ulis'] }` : les élèves ayant un de ces statuts devant ;
+ * - `{ id, type: 'spread-tag', tagId: 'bavardage', count: 3 }` : les élèves ayant au moins `count`
+ *   fois l'observation dans la période ne sont pas voisins entre eux ;
+ * - `{ id, type: 'alternate-grades' }` : deux voisins de rang ne sont pas tous deux au-dessus
+ *   (ou au-dessous) de la moyenne médiane de la classe ;
+ * - `{ id, type: 'new-neighbours' }` : deux voisins de rang n'ont pas déjà été assis côte à côte
+ *   (paires tirées de l'historique des plans, voir SeatingPlansService).
+ *
+ * « Devant » et « près du bureau » se mesurent depuis le bureau de l'enseignant : sous la grille
+ * par défaut (la dernière rangée est alors le premier rang), ou là où il est posé dans une salle
+ * en disposition libre (RoomLayoutService).
+ * Le solveur ne déplace ni les élèves épinglés ni les élèves vers une place spéciale (allée, AESH...).
+ *
+ * @module services/SeatingSolverService
+ */
+
+/** Types de contraintes, dans l'ordre du formulaire. `weight` : priorité dans l'optimisation */
+export const SEATING_CONSTRAINT_TYPES = [
+    { id: 'apart', label: 'Séparer deux élèves', students: 2, weight: 4 },
+    { id: 'near-desk', label: 'Près du bureau', students: 1, weight: 3 },
+    { id: 'front-status', label: 'Statuts devant', students: 0, weight: 3 },
+    { id: 'spread-tag', label: 'Espacer selon le journal', students: 0, weight: 2 },
+    { id: 'alternate-grades', label: 'Alterner les moyennes', students: 0, weight: 1 },
+    { id: 'new-neighbours', label: 'Nouveaux voisins', students: 0, weight: 1 }
+];
+
+/** Nombre de rangs considérés comme « devant » */
+const FRONT_ROWS = 2;
+
+/** Écart maximal à l'axe du bureau, en colonnes, pour être « près du bureau » */
+const DESK_SPREAD = 1.5;
+
+/** Nombre d'itérations de la recherche par défaut */
+const DEFAULT_ITERATIONS = 4000;
+
+const distance = (a, b) => Math.max(Math.abs(a.row - b.row), Math.abs(a.col - b.col));
+
+/**
+ * @typedef {Object} SeatingStudent
+ * @property {string} id
+ * @property {number|null} grade - Moyenne de la période sur 20
+ * @property {Object<string, number>} tagCounts - Observations du journal de la période
+ * @property {Set<string>} statusIds
+ */
+
+export const SeatingSolverService = {
+
+    /**
+     * @param {string} a - Id d'élève
+     * @param {string} b - Id d'élève
+     * @returns {string} Clé d'une paire de voisins, indépendante de l'ordre
+     */
+    pairKey(a, b) {
+        return a < b ? `${a}|${b}` : `${b}|${a}`;
+    },
+
+    /**
+     * @param {string} type
+     * @returns {Object|null}
+     */
+    getType(type) {
+        return SEATING_CONSTRAINT_TYPES.find(t => t.id === type) || null;
+    },
+
+    /**
+     * Normalise une saisie de contrainte
+     * @param {Object} data
+     * @returns {Object|null} Champs nettoyés, null si la contrainte est incomplète
+     */
+    sanitize({ type, studentIds = [], statusIds = [], tagId = '', count = 1 }) {
+        const definition = this.getType(type);
+        if (!definition) return null;
+
+        if (definition.students > 0) {
+            const ids = [...new Set((studentIds || []).filter(Boolean).map(String))];
+            return ids.length === definition.students ? { type, studentIds: ids } : null;
+        }
+        if (type === 'front-status') {
+            const ids = [...new Set((statusIds || []).filter(Boolean).map(String))];
+            return ids.length > 0 ? { type, statusIds: ids } : null;
+        }
+        if (type === 'spread-tag') {
+            const min = Math.max(1, Math.round(parseFloat(count) || 1));
+            return tagId ? { type, tagId: String(tagId), count: min } : null;
+        }
+        return { type };
+    },
+
+    /**
+     * Crée une contrainte
+     * @param {Object} data
+     * @returns {Object|null} null si la saisie est invalide
+     */
+    createConstraint(data) {
+        const fields = this.sanitize(data);
+        if (!fields) return null;
+        return { id: `seat_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`, ...fields };
+    },
+
+    /**
+     * Une contrainte portant sur des élèves ne vaut que si tous sont dans la classe
+     * @param {Object} constraint
+     * @param {Set<string>} studentIds - Élèves de la classe
+     * @returns {boolean}
+     */
+    appliesTo(constraint, studentIds) {
+        if (!this.getType(constraint?.type)) return false;
+        return (constraint.studentIds || []).every(id => studentIds.has(id));
+    },
+
+    /**
+     * Résumé lisible d'une contrainte
+     * @param {Object} constraint
+     * @param {Object} labels
+     * @param {function(string): string} labels.student - Nom d'un élève
+     * @param {function(string): string} [labels.status] - Libellé d'un statut
+     * @param {function(string): string} [labels.tag] - Libellé d'une observation
+     * @returns {string} Ex: "Séparer Léa M. et Tom B."
+     */
+    describe(constraint, { student, status = (id) => id, tag = (id) => id }) {
+        const ids = constraint.studentIds || [];
+        switch (constraint.type) {
+            case 'apart': return `Séparer ${student(ids[0])} et ${student(ids[1])}`;
+            case 'near-desk': return `${student(ids[0])} près du bureau`;
+            case 'front-status': return `Élèves ${constraint.statusIds.map(status).join(', ')} devant`;
+            case 'spread-tag': return `Espacer les élèves ayant au moins ${constraint.count} × « ${tag(constraint.tagId)} »`;
+            case 'alternate-grades': return 'Alterner moyennes hautes et basses entre voisins';
+            case 'new-neighbours': return 'Éviter les voisins déjà assis côte à côte';
+            default: return constraint.type;
+        }
+    },
+
+    /**
+     * Profondeur d'une place : 0 au premier rang (contre le bureau)
+     * @param {{row: number}} pos
+     * @param {{row: number}} desk - Bureau de l'enseignant
+     * @returns {number}
+     */
+    getDepth(pos, desk) {
+        return Math.max(0, Math.ceil(Math.abs(desk.row - pos.row)) - 1);
+    },
+
+    /**
+     * Coût d'une contrainte pour un placement (0 = respectée)
+     * @param {Object} constraint
+     * @param {Map<string, {row: number, col: number}>} positions - Places des élèves placés
+     * @param {Object} context
+     * @param {number} context.rows
+     * @param {number} context.cols
+     * @param {Map<string, SeatingStudent>} context.students
+     * @param {number|null} context.median - Moyenne médiane de la classe
+     * @param {Set<string>} context.pastPairs - Voisins des placements précédents (pairKey)
+     * @param {{row: number, col: number}} [context.desk] - Bureau (par défaut : sous la grille, au centre)
+     * @returns {{cost: number, offenders: string[]}} Élèves en cause
+     */
+    evaluate(constraint, positions, { rows, cols, students, median, pastPairs, desk = { row: rows, col: (cols - 1) / 2 } }) {
+        const placed = (ids) => ids.filter(id => positions.has(id));
+        const neighbourPairs = (ids) => {
+            const offenders = new Set();
+            let cost = 0;
+            for (let i = 0; i < ids.length; i++) {
+                for (let j = i + 1; j < ids.length; j++) {
+                    if (distance(positions.get(ids[i]), positions.get(ids[j])) <= 1) {
+                        cost++;
+                        offenders.add(ids[i]).add(ids[j]);
+                    }
+                }
+            }
+            return { cost, offenders: [...offenders] };
+        };
+        const sidePairs = (isConflict) => {
+            const bySeat = new Map([...positions].map(([id, pos]) => [`${pos.row},${pos.col}`, id]));
+            const offenders = new Set();
+            let cost = 0;
+            bySeat.forEach((id, key) => {
+                const [row, col] = key.split(',').map(Number);
+                const right = bySeat.get(`${row},${col + 1}`);
+                if (right && isConflict(id, right)) {
+                    cost++;
+                    offenders.add(id).add(right);
+                }
+            });
+            return { cost, offenders: [...offenders] };
+        };
+        const frontCost = (id) => Math.max(0, this.getDepth(positions.get(id), desk) - (FRONT_ROWS - 1));
+
+        switch (constraint.type) {
+            case 'apart':
+                return neighbourPairs(placed(constraint.studentIds));
+
+            case 'near-desk': {
+                const [id] = placed(constraint.studentIds);
+                if (!id) return { cost: 0, offenders: [] };
+                const offset = Math.abs(positions.get(id).col - desk.col) - DESK_SPREAD;
+                const cost = frontCost(id) + Math.max(0, Math.ceil(offset));
+                return { cost, offenders: cost > 0 ? [id] : [] };
+            }
+
+            case 'front-status': {
+                const offenders = placed([...students.values()]
+                    .filter(s => constraint.statusIds.some(statusId => s.statusIds?.has(statusId)))
+                    .map(s => s.id))
+                    .filter(id => frontCost(id) > 0);
+                return { cost: offenders.reduce((sum, id) => sum + frontCost(id), 0), offenders };
+            }
+
+            case 'spread-tag':
+                return neighbourPairs(placed([...students.values()]
+                    .filter(s => (s.tagCounts?.[constraint.tagId] || 0) >= constraint.count)
+                    .map(s => s.id)));
+
+            case 'alternate-grades': {
+                if (median === null) return { cost: 0, offenders: [] };
+                const level = (id) => {
+                    const grade = students.get(id)?.grade;
+                    if (typeof grade !== 'number' || grade === median) return 0;
+                    return grade > median ? 1 : -1;
+                };
+                return sidePairs((a, b) => level(a) !== 0 && level(a) === level(b));
+            }
+
+            case 'new-neighbours':
+                return sidePairs((a, b) => pastPairs.has(this.pairKey(a, b)));
+
+            default:
+                return { cost: 0, offenders: [] };
+        }
+    },
+
+    /**
+     * Médiane des moyennes connues
+     * @param {Iterable<SeatingStudent>} students
+     * @returns {number|null}
+     */
+    getMedian(students) {
+        const grades = [...students].map(s => s.grade).filter(g => typeof g === 'number').sort((a, b) => a - b);
+        if (grades.length === 0) return null;
+        const middle = Math.floor(grades.length / 2);
+        return grades.length % 2 ? grades[middle] : (grades[middle - 1] + grades[middle]) / 2;
+    },
+
+    /**
+     * Contraintes non respectées par un plan
+     * @param {Object} params
+     * @param {Array<Array<string|null>>} params.grid - Plan (ids par [rangée][colonne])
+     * @param {SeatingStudent[]} params.students - Élèves de la classe
+     * @param {Array<Object>} params.constraints
+     * @param {Set<string>} [params.pastPairs] - Voisins des placements précédents
+     * @param {{row: number, col: number}|null} [params.desk] - Bureau, s'il n'est pas sous la grille
+     * @returns {Array<{constraint: Object, offenders: string[]}>} Dans l'ordre des contraintes
+     */
+    check({ grid, students, constraints, pastPairs = new Set(), desk = null }) {
+        const context = this._getContext(grid, students, pastPairs, desk);
+        const positions = new Map();
+        grid.forEach((line, row) => line.forEach((id, col) => { if (id) positions.set(id, { row, col }); }));
+
+        return constraints
+            .filter(c => this.appliesTo(c, new Set(context.students.keys())))
+            .map(constraint => ({ constraint, ...this.evaluate(constraint, positions, context) }))
+            .filter(r => r.cost > 0)
+            .map(({ constraint, offenders }) => ({ constraint, offenders }));
+    },
+
+    /**
+     * @param {Array<Array<string|null>>} grid
+     * @param {SeatingStudent[]} students
+     * @param {Set<string>} pastPairs
+     * @param {{row: number, col: number}|null} desk
+     * @returns {Object} Contexte de evaluate
+     * @private
+     */
+    _getContext(grid, students, pastPairs, desk) {
+        const rows = grid.length;
+        const cols = grid[0]?.length || 0;
+        return {
+            rows,
+            cols,
+            students: new Map(students.map(s => [s.id, s])),
+            median: this.getMedian(students),
+            pastPairs,
+            desk: desk || { row: rows, col: (cols - 1) / 2 }
+        };
+    },
+
+    /**
+     * Cherche un placement respectant au mieux les contraintes (recuit simulé par échanges de places).
+     * Un plan qui respecte déjà toutes les contraintes est rendu tel quel.
+     * @param {Object} params
+     * @param {Array<Array<string|null>>} params.grid - Plan actuel (ids par [rangée][colonne])
+     * @param {Object<string, string>} [params.specialLayout] - Places spéciales, par "rangée,colonne"
+     * @param {Set<string>} [params.pinnedIds] - Élèves épinglés, qui ne bougent pas
+     * @param {SeatingStudent[]} params.students - Élèves de la classe ; les non placés sont ajoutés s'il reste de la place
+     * @param {Array<Object>} params.constraints
+     * @param {Set<string>} [params.pastPairs] - Voisins des placements précédents
+     * @param {{row: number, col: number}|null} [params.desk] - Bureau, s'il n'est pas sous la grille
+     * @param {Object} [options]
+     * @param {number} [options.iterations]
+     * @param {function(): number} [options.random=Math.random]
+     * @returns {{grid: Array<Array<string|null>>, unsatisfied: Array<{constraint: Object, offenders: string[]}>, unplacedIds: string[]}}
+     */
+    solve({ grid, specialLayout = {}, pinnedIds = new Set(), students, constraints, pastPairs = new Set(), desk = null }, { iterations = DEFAULT_ITERATIONS, random = Math.random } = {}) {
+        const context = this._getContext(grid, students, pastPairs, desk);
+        const { rows, cols, students: studentMap } = context;
+        const active = constraints.filter(c => this.appliesTo(c, new Set(studentMap.keys())));
+
+        // Places libres pour le solveur : ni spéciales, ni occupées par un élève épinglé
+        const fixed = new Map();
+        const seats = [];
+        const assignment = [];
+        grid.forEach((line, row) => line.forEach((id, col) => {
+            if (id && pinnedIds.has(id)) {
+                fixed.set(id, { row, col });
+            } else if (!specialLayout[`${row},${col}`]) {
+                seats.push({ row, col });
+                assignment.push(id && studentMap.has(id) ? id : null);
+            }
+        }));
+
+        const unplaced = students.filter(s => !fixed.has(s.id) && !assignment.includes(s.id)).map(s => s.id);
+        const freeIndexes = assignment.map((id, i) => id ? null : i).filter(i => i !== null);
+        unplaced.splice(0, freeIndexes.length).forEach((id, i) => { assignment[freeIndexes[i]] = id; });
+
+        const positionsOf = (seating) => {
+            const positions = new Map(fixed);
+            seating.forEach((id, i) => { if (id) positions.set(id, seats[i]); });
+            return positions;
+        };
+        const costOf = (seating) => {
+            const positions = positionsOf(seating);
+            return active.reduce((sum, c) => sum + this.evaluate(c, positions, context).cost * this.getType(c.type).weight, 0);
+        };
+
+        let current = [...assignment];
+        let currentCost = costOf(current);
+        let best = [...current];
+        let bestCost = currentCost;
+
+        const occupied = current.filter(Boolean).length;
+        for (let step = 0; step < iterations && bestCost > 0 && occupied > 0 && seats.length > 1; step++) {
+            const i = Math.floor(random() * seats.length);
+            const j = Math.floor(random() * seats.length);
+            if (i === j || (!current[i] && !current[j])) continue;
+
+            [current[i], current[j]] = [current[j], current[i]];
+            const cost = costOf(current);
+            const temperature = 2 * (1 - step / iterations) + 0.01;
+            if (cost <= currentCost || random() < Math.exp((currentCost - cost) / temperature)) {
+                currentCost = cost;
+                if (cost < bestCost) {
+                    bestCost = cost;
+                    best = [...current];
+                }
+            } else {
+                [current[i], current[j]] = [current[j], current[i]];
+            }
+        }
+
+        const result = Array.from({ length: rows }, () => Array(cols).fill(null));
+        fixed.forEach((pos, id) => { result[pos.row][pos.col] = id; });
+        best.forEach((id, i) => { if (id) result[seats[i].row][seats[i].col] = id; });
+
+        return { grid: result, unsatisfied: this.check({ grid: result, students, constraints, pastPairs, desk }), unplacedIds: unplaced };
+    }
+};
@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import { SeatingSolverService } from './SeatingSolverService.js';
+
+/** Générateur pseudo-aléatoire reproductible */
+const seeded = (seed = 1) => () => {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+};
+
+const student = (id, { grade = null, tagCounts = {}, statusIds = [] } = {}) => ({
+    id, grade, tagCounts, statusIds: new Set(statusIds)
+});
+
+const emptyGrid = (rows, cols) => Array.from({ length: rows }, () => Array(cols).fill(null));
+
+const positionsOf = (grid) => {
+    const positions = new Map();
+    grid.forEach((line, row) => line.forEach((id, col) => { if (id) positions.set(id, { row, col }); }));
+    return positions;
+};
+
+describe('SeatingSolverService', () => {
+    describe('sanitize', () => {
+        it('requires the right number of distinct students', () => {
+            expect(SeatingSolverService.sanitize({ type: 'apart', studentIds: ['a', 'a'] })).toBeNull();
+            expect(SeatingSolverService.sanitize({ type: 'apart', studentIds: ['a', 'b'] })).toEqual({ type: 'apart', studentIds: ['a', 'b'] });
+            expect(SeatingSolverService.sanitize({ type: 'near-desk', studentIds: [''] })).toBeNull();
+        });
+
+        it('requires statuses, a tag and a positive count', () => {
+            expect(SeatingSolverService.sanitize({ type: 'front-status', statusIds: [] })).toBeNull();
+            expect(SeatingSolverService.sanitize({ type: 'spread-tag', tagId: '' })).toBeNull();
+            expect(SeatingSolverService.sanitize({ type: 'spread-tag', tagId: 'bavardage', count: '0' })).toEqual({ type: 'spread-tag', tagId: 'bavardage', count: 1 });
+            expect(SeatingSolverService.sanitize({ type: 'unknown' })).toBeNull();
+        });
+    });
+
+    it('ignores constraints on students outside the class', () => {
+        const ids = new Set(['a', 'b']);
+        expect(SeatingSolverService.appliesTo({ type: 'apart', studentIds: ['a', 'x'] }, ids)).toBe(false);
+        expect(SeatingSolverService.appliesTo({ type: 'alternate-grades' }, ids)).toBe(true);
+    });
+
+    it('describes constraints with the provided labels', () => {
+        const labels = { student: id => id.toUpperCase(), status: id => id.toUpperCase(), tag: () => 'Bavardage' };
+        expect(SeatingSolverService.describe({ type: 'apart', studentIds: ['a', 'b'] }, labels)).toBe('Séparer A et B');
+        expect(SeatingSolverService.describe({ type: 'front-status', statusIds: ['pap', 'ulis'] }, labels)).toBe('Élèves PAP, ULIS devant');
+        expect(SeatingSolverService.describe({ type: 'spread-tag', tagId: 'bavardage', count: 3 }, labels))
+            .toBe('Espacer les élèves ayant au moins 3 × « Bavardage »');
+    });
+
+    describe('evaluate', () => {
+        const context = (students, rows = 3, cols = 4) => ({
+            rows, cols, students: new Map(students.map(s => [s.id, s])), median: SeatingSolverService.getMedian(students)
+        });
+
+        it('counts diagonal neighbours as too close', () => {
+            const positions = new Map([['a', { row: 0, col: 0 }], ['b', { row: 1, col: 1 }]]);
+            const result = SeatingSolverService.evaluate({ type: 'apart', studentIds: ['a', 'b'] }, positions, context([]));
+            expect(result).toEqual({ cost: 1, offenders: ['a', 'b'] });
+        });
+
+        it('treats the last row as the front row', () => {
+            const students = [student('a', { statusIds: ['pap'] })];
+            const constraint = { type: 'front-status', statusIds: ['pap'] };
+            expect(SeatingSolverService.evaluate(constraint, new Map([['a', { row: 1, col: 0 }]]), context(students)).cost).toBe(0);
+            expect(SeatingSolverService.evaluate(constraint, new Map([['a', { row: 0, col: 0 }]]), context(students)))
+                .toEqual({ cost: 1, offenders: ['a'] });
+        });
+
+        it('flags side-by-side students on the same side of the median', () => {
+            const students = [student('a', { grade: 16 }), student('b', { grade: 15 }), student('c', { grade: 6 }), student('d', { grade: 5 })];
+            const positions = new Map([['a', { row: 0, col: 0 }], ['b', { row: 0, col: 1 }], ['c', { row: 0, col: 2 }], ['d', { row: 0, col: 3 }]]);
+            const result = SeatingSolverService.evaluate({ type: 'alternate-grades' }, positions, context(students));
+            expect(result.cost).toBe(2);
+            expect(result.offenders).toEqual(['a', 'b', 'c', 'd']);
+        });
+
+        it('flags neighbours who already sat side by side', () => {
+            const positions = new Map([['a', { row: 0, col: 0 }], ['b', { row: 0, col: 1 }], ['c', { row: 1, col: 0 }]]);
+            const pastPairs = new Set([SeatingSolverService.pairKey('b', 'a'), SeatingSolverService.pairKey('a', 'c')]);
+            const result = SeatingSolverService.evaluate({ type: 'new-neighbours' }, positions, { ...context([]), pastPairs });
+            expect(result).toEqual({ cost: 1, offenders: ['a', 'b'] });
+        });
+    });
+
+    describe('solve', () => {
+        it('keeps a plan that already satisfies every constraint', () => {
+            const grid = [['a', null, 'b'], [null, null, null]];
+            const solution = SeatingSolverService.solve({
+                grid, students: [student('a'), student('b')], constraints: [{ id: '1', type: 'apart', studentIds: ['a', 'b'] }]
+            }, { random: seeded() });
+            expect(solution.grid).toEqual(grid);
+            expect(solution.unsatisfied).toEqual([]);
+        });
+
+        it('separates students, brings the chatty apart and the PAP student to the front', () => {
+            const grid = [['a', 'b', 'c', 'd'], ['e', 'f', null, null], [null, null, null, null]];
+            const students = [
+                student('a'), student('b', { tagCounts: { bavardage: 3 } }), student('c', { tagCounts: { bavardage: 4 } }),
+                student('d', { statusIds: ['pap'] }), student('e'), student('f', { tagCounts: { bavardage: 5 } })
+            ];
+            const solution = SeatingSolverService.solve({
+                grid,
+                students,
+                constraints: [
+                    { id: '1', type: 'apart', studentIds: ['a', 'e'] },
+                    { id: '2', type: 'front-status', statusIds: ['pap'] },
+                    { id: '3', type: 'spread-tag', tagId: 'bavardage', count: 3 }
+                ]
+            }, { random: seeded(7) });
+
+            expect(solution.unsatisfied).toEqual([]);
+            const positions = positionsOf(solution.grid);
+            expect(positions.size).toBe(6);
+            expect(positions.get('d').row).toBeGreaterThanOrEqual(1);
+        });
+
+        it('never moves pinned students nor uses special cells', () => {
+            const grid = [['a', 'b', null], [null, null, null]];
+            const solution = SeatingSolverService.solve({
+                grid,
+                specialLayout: { '1,0': 'aisle', '1,1': 'blocked' },
+                pinnedIds: new Set(['a']),
+                students: [student('a'), student('b')],
+                constraints: [{ id: '1', type: 'apart', studentIds: ['a', 'b'] }]
+            }, { random: seeded(3) });
+
+            const positions = positionsOf(solution.grid);
+            expect(positions.get('a')).toEqual({ row: 0, col: 0 });
+            expect(positions.get('b').col).toBe(2);
+            expect(solution.unsatisfied).toEqual([]);
+        });
+
+        it('reports constraints it cannot satisfy', () => {
+            const solution = SeatingSolverService.solve({
+                grid: [['a', 'b']],
+                students: [student('a'), student('b')],
+                constraints: [{ id: '1', type: 'apart', studentIds: ['a', 'b'] }]
+            }, { random: seeded() });
+            expect(solution.unsatisfied).toEqual([{ constraint: { id: '1', type: 'apart', studentIds: ['a', 'b'] }, offenders: ['a', 'b'] }]);
+        });
+
+        it('seats unplaced students while seats remain', () => {
+            const solution = SeatingSolverService.solve({
+                grid: emptyGrid(1, 2),
+                students: [student('a'), student('b'), student('c')],
+                constraints: []
+            }, { random: seeded() });
+            expect(positionsOf(solution.grid).size).toBe(2);
+            expect(solution.unplacedIds).toEqual(['c']);
+        });
+    });
+});
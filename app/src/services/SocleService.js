@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Positionnement sur les domaines du socle commun (LSU, cycles 3 et 4)
+ *
+ * Chaque période d'un élève peut porter un positionnement par domaine (D1 à D5)
+ * sur l'échelle LSU à 4 niveaux, stocké dans `studentData.periods[P].socle`
+ * sous la forme `{ D1: 3, D4: 2 }` (1 = maîtrise insuffisante, 4 = très bonne maîtrise).
+ *
+ * @module services/SocleService
+ */
+
+import { appState } from '../state/State.js';
+import { detectLevelFromName } from '../utils/LevelDetector.js';
+
+/** Domaines du socle commun de connaissances, de compétences et de culture */
+export const SOCLE_DOMAINS = [
+    { id: 'D1', label: 'Les langages pour penser et communiquer', short: 'Langages' },
+    { id: 'D2', label: 'Les méthodes et outils pour apprendre', short: 'Méthodes' },
+    { id: 'D3', label: 'La formation de la personne et du citoyen', short: 'Citoyenneté' },
+    { id: 'D4', label: 'Les systèmes naturels et les systèmes techniques', short: 'Sciences' },
+    { id: 'D5', label: 'Les représentations du monde et l\'activité humaine', short: 'Monde' }
+];
+
+/** Échelle de positionnement du LSU, du plus faible au plus élevé */
+export const SOCLE_LEVELS = [
+    { value: 1, label: 'Maîtrise insuffisante', short: 'MI' },
+    { value: 2, label: 'Maîtrise fragile', short: 'MF' },
+    { value: 3, label: 'Maîtrise satisfaisante', short: 'MS' },
+    { value: 4, label: 'Très bonne maîtrise', short: 'TBM' }
+];
+
+/** Minuscules sans accents, pour comparer les saisies aux libellés */
+const normalizeText = (text) => String(text).trim().toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+export const SocleService = {
+
+    /**
+     * Indique si le positionnement socle est activé pour une classe.
+     * Sans choix explicite, il l'est pour les classes de collège.
+     * @param {string|null} [classId] - ID de la classe (défaut: classe courante)
+     * @returns {boolean}
+     */
+    isEnabled(classId = appState.currentClassId) {
+        const cls = classId ? appState.classes?.find(c => c.id === classId) : null;
+        if (!cls) return false;
+        if (typeof cls.socleEnabled === 'boolean') return cls.socleEnabled;
+        return (cls.level || detectLevelFromName(cls.name)) === 'college';
+    },
+
+    /**
+     * @param {string} domainId - 'D1' à 'D5'
+     * @returns {Object|undefined} Domaine de SOCLE_DOMAINS
+     */
+    getDomain(domainId) {
+        return SOCLE_DOMAINS.find(d => d.id === domainId);
+    },
+
+    /**
+     * @param {number} value - Niveau de 1 à 4
+     * @returns {Object|undefined} Niveau de SOCLE_LEVELS
+     */
+    getLevel(value) {
+        return SOCLE_LEVELS.find(l => l.value === value);
+    },
+
+    /**
+     * Convertit une saisie ("3", "MS", "Maîtrise fragile", "tres bonne maitrise") en niveau
+     * @param {string|number|null} raw
+     * @returns {number|null} Niveau de 1 à 4, ou null si la saisie n'est pas reconnue
+     */
+    parseLevel(raw) {
+        if (raw === null || raw === undefined) return null;
+        const text = normalizeText(raw);
+        if (!text) return null;
+        if (/^[1-4]$/.test(text)) return parseInt(text, 10);
+        const level = SOCLE_LEVELS.find(l => normalizeText(l.short) === text || normalizeText(l.label) === text);
+        return level ? level.value : null;
+    },
+
+    /**
+     * Balise de colonne d'import pour un domaine et une période
+     * @param {string} domainId - 'D1' à 'D5'
+     * @param {string} period - Ex: 'T1'
+     * @returns {string} Ex: 'SOCLE1_T1'
+     */
+    getImportTag(domainId, period) {
+        return `SOCLE${domainId.slice(1)}_${period}`;
+    },
+
+    /**
+     * @param {string} tag - Balise de colonne d'import
+     * @returns {{domainId: string, period: string}|null} null si la balise n'est pas une colonne socle
+     */
+    parseImportTag(tag) {
+        const match = /^SOCLE([1-5])_(\w+)$/.exec(tag || '');
+        return match ? { domainId: `D${match[1]}`, period: match[2] } : null;
+    },
+
+    /**
+     * Positionnements d'un élève pour une période (uniquement les domaines renseignés)
+     * @param {Object} studentData
+     * @param {string} period
+     * @returns {Object<string, number>} Ex: { D1: 3, D4: 2 }
+     */
+    getPositionings(studentData, period) {
+        const socle = studentData?.periods?.[period]?.socle;
+        if (!socle) return {};
+        return Object.fromEntries(
+            SOCLE_DOMAINS.filter(d => this.getLevel(socle[d.id])).map(d => [d.id, socle[d.id]])
+        );
+    },
+
+    /**
+     * Positionne (ou efface) un domaine pour une période
+     * @param {Object} studentData
+     * @param {string} period
+     * @param {string} domainId - 'D1' à 'D5'
+     * @param {number|null} level - Niveau de 1 à 4, null pour effacer
+     */
+    setPositioning(studentData, period, domainId, level) {
+        if (!studentData.periods) studentData.periods = {};
+        if (!studentData.periods[period]) studentData.periods[period] = {};
+        const socle = { ...studentData.periods[period].socle };
+
+        if (this.getLevel(level)) {
+            socle[domainId] = level;
+        } else {
+            delete socle[domainId];
+        }
+
+        if (Object.keys(socle).length > 0) {
+            studentData.periods[period].socle = socle;
+        } else {
+            delete studentData.periods[period].socle;
+        }
+    },
+
+    /**
+     * Positionnements lisibles pour le prompt
+     * @param {Object} studentData
+     * @param {string} period
+     * @returns {string} Ex: "D1 Langages : Maîtrise satisfaisante ; D4 Sciences : Maîtrise fragile", vide si rien
+     */
+    formatForPrompt(studentData, period) {
+        const positionings = this.getPositionings(studentData, period);
+        return Object.entries(positionings)
+            .map(([id, value]) => `${id} ${this.getDomain(id).short} : ${this.getLevel(value).label}`)
+            .join(' ; ');
+    },
+
+    /**
+     * Répartition des niveaux par domaine sur un ensemble d'élèves
+     * @param {Array<Object|null|undefined>} positioningsList - Positionnements de chaque élève (`periods[P].socle`)
+     * @returns {Object<string, number[]>|null} Effectifs par niveau (index 0 = niveau 1), null si aucun positionnement
+     */
+    getDistribution(positioningsList) {
+        const distribution = Object.fromEntries(SOCLE_DOMAINS.map(d => [d.id, SOCLE_LEVELS.map(() => 0)]));
+        let total = 0;
+
+        positioningsList.forEach(socle => {
+            SOCLE_DOMAINS.forEach(d => {
+                const level = this.getLevel(socle?.[d.id]);
+                if (!level) return;
+                distribution[d.id][level.value - 1]++;
+                total++;
+            });
+        });
+
+        return total > 0 ? distribution : null;
+    }
+};
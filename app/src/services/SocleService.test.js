@@ -0,0 +1,73 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { SocleService } from './SocleService.js';
+import { appState } from '../state/State.js';
+
+vi.mock('../state/State.js', () => ({
+    appState: {
+        currentClassId: null,
+        classes: []
+    }
+}));
+
+describe('SocleService', () => {
+    beforeEach(() => {
+        appState.currentClassId = null;
+        appState.classes = [];
+    });
+
+    it('should be enabled by default for collège classes only, unless set explicitly', () => {
+        appState.classes = [
+            { id: 'c1', name: '4ème B' },
+            { id: 'c2', name: '2nde 3' },
+            { id: 'c3', name: '3e A', socleEnabled: false },
+            { id: 'c4', name: 'CM2', socleEnabled: true }
+        ];
+        appState.currentClassId = 'c1';
+
+        expect(SocleService.isEnabled()).toBe(true);
+        expect(SocleService.isEnabled('c2')).toBe(false);
+        expect(SocleService.isEnabled('c3')).toBe(false);
+        expect(SocleService.isEnabled('c4')).toBe(true);
+        expect(SocleService.isEnabled('unknown')).toBe(false);
+    });
+
+    it('should parse levels by rank, abbreviation or label', () => {
+        expect(SocleService.parseLevel('3')).toBe(3);
+        expect(SocleService.parseLevel(' mf ')).toBe(2);
+        expect(SocleService.parseLevel('Tres bonne maitrise')).toBe(4);
+        expect(SocleService.parseLevel('5')).toBeNull();
+        expect(SocleService.parseLevel('')).toBeNull();
+    });
+
+    it('should build and read import column tags', () => {
+        expect(SocleService.getImportTag('D3', 'T2')).toBe('SOCLE3_T2');
+        expect(SocleService.parseImportTag('SOCLE3_T2')).toEqual({ domainId: 'D3', period: 'T2' });
+        expect(SocleService.parseImportTag('SOCLE6_T2')).toBeNull();
+        expect(SocleService.parseImportTag('MOY_T2')).toBeNull();
+    });
+
+    it('should set and clear positionings per period', () => {
+        const studentData = { periods: { T1: { grade: 12 } } };
+
+        SocleService.setPositioning(studentData, 'T1', 'D4', 2);
+        SocleService.setPositioning(studentData, 'T1', 'D1', 3);
+        expect(SocleService.getPositionings(studentData, 'T1')).toEqual({ D1: 3, D4: 2 });
+        expect(SocleService.formatForPrompt(studentData, 'T1'))
+            .toBe('D1 Langages : Maîtrise satisfaisante ; D4 Sciences : Maîtrise fragile');
+
+        SocleService.setPositioning(studentData, 'T1', 'D1', null);
+        SocleService.setPositioning(studentData, 'T1', 'D4', null);
+        expect(studentData.periods.T1).toEqual({ grade: 12 });
+        expect(SocleService.formatForPrompt(studentData, 'T1')).toBe('');
+    });
+
+    it('should count levels per domain across students', () => {
+        const positionings = [{ D1: 4, D2: 1 }, { D1: 4 }, null, { D3: 7 }];
+
+        const distribution = SocleService.getDistribution(positionings);
+        expect(distribution.D1).toEqual([0, 0, 0, 2]);
+        expect(distribution.D2).toEqual([1, 0, 0, 0]);
+        expect(distribution.D3).toEqual([0, 0, 0, 0]);
+        expect(SocleService.getDistribution([undefined, {}])).toBeNull();
+    });
+});
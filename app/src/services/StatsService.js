@@ -1,5 +1,6 @@
 import { appState } from '../state/State.js';
 import { Utils } from '../utils/Utils.js';
+import { GradeScaleService } from './GradeScaleService.js';
 
 export const StatsService = {
     /**
@@ -34,49 +35,55 @@ export const StatsService = {
     /**
      * Détermine l'hétérogénéité d'une classe basée sur l'écart-type.
      * @param {number[]} grades - Liste des notes
+     * @param {Object} [scale] - Barème des notes (défaut: classe courante)
      * @returns {Object} { label: string, colorClass: string, value: number }
      */
-    calculateHeterogeneity(grades) {
+    calculateHeterogeneity(grades, scale = GradeScaleService.getScale()) {
         const cleanGrades = (grades || []).filter(g => typeof g === 'number' && !isNaN(g));
         if (cleanGrades.length < 2) return { label: 'Indéterminée', colorClass: 'stable', value: 0 };
         const stdDev = this.calculateStandardDeviation(cleanGrades);
+        const stdDevOnTwenty = GradeScaleService.diffToTwenty(stdDev, scale);
 
-        // Seuils empiriques pour des notes sur 20
+        // Seuils empiriques pour des notes sur 20 (écart-type ramené sur 20)
         // < 2.5 : Très homogène
         // 2.5 - 4.5 : Homogène
         // 4.5 - 6.5 : Hétérogène
         // > 6.5 : Très hétérogène
-        if (stdDev < 2.5) return { label: 'Très Homogène', colorClass: 'positive', value: stdDev };
-        if (stdDev < 4.5) return { label: 'Homogène', colorClass: 'positive', value: stdDev };
-        if (stdDev < 6.5) return { label: 'Hétérogène', colorClass: 'warning', value: stdDev };
+        if (stdDevOnTwenty < 2.5) return { label: 'Très Homogène', colorClass: 'positive', value: stdDev };
+        if (stdDevOnTwenty < 4.5) return { label: 'Homogène', colorClass: 'positive', value: stdDev };
+        if (stdDevOnTwenty < 6.5) return { label: 'Hétérogène', colorClass: 'warning', value: stdDev };
         return { label: 'Très Hétérogène', colorClass: 'negative', value: stdDev };
     },
 
     /**
      * Génère la distribution des notes pour l'histogramme.
      * @param {number[]} grades - Liste des notes
-     * @returns {number[]} Tableau de 5 entiers représentant les tranches [0-4, 4-8, 8-12, 12-16, 16-20]
+     * @param {Object} [scale] - Barème des notes (défaut: classe courante)
+     * @returns {number[]} Un effectif par tranche de GradeScaleService.getBuckets()
+     *   (sur 20 : [0-4, 4-8, 8-12, 12-16, 16-20] ; niveaux : un effectif par niveau)
      */
-    getGradeDistribution(grades) {
-        const distribution = [0, 0, 0, 0, 0];
+    getGradeDistribution(grades, scale = GradeScaleService.getScale()) {
+        const buckets = GradeScaleService.getBuckets(scale);
+        const distribution = buckets.map(() => 0);
         if (!grades) return distribution;
 
         const cleanGrades = grades.filter(g => typeof g === 'number' && !isNaN(g));
 
         cleanGrades.forEach(g => {
-            if (g < 4) distribution[0]++;
-            else if (g < 8) distribution[1]++;
-            else if (g < 12) distribution[2]++;
-            else if (g < 16) distribution[3]++;
-            else distribution[4]++;
+            const index = buckets.findIndex(bucket => GradeScaleService.isInBucket(g, bucket, scale));
+            // Hors barème : rangé dans la tranche la plus proche
+            if (index !== -1) distribution[index]++;
+            else distribution[g < buckets[0].min ? 0 : buckets.length - 1]++;
         });
         return distribution;
     },
 
-    analyserEvolution(periodsData) {
+    analyserEvolution(periodsData, scale = GradeScaleService.getScale()) {
         const evolutions = [], t = appState.evolutionThresholds;
-        const getType = (diff) => {
-            if (diff === null || isNaN(diff)) return 'stable';
+        const getType = (valeur) => {
+            if (valeur === null || isNaN(valeur)) return 'stable';
+            // Seuils exprimés en points sur 20 : l'écart est converti selon le barème
+            const diff = GradeScaleService.diffToTwenty(valeur, scale);
             // Les seuils sont définis dans appState.evolutionThresholds (ex: positive: 0.5, veryPositive: 2.0...)
             // Si la différence est ENTRE le seuil négatif et le seuil positif, c'est stable.
             // Ex: si positive=2.0 et negative=-2.0, alors 1.5 est stable.
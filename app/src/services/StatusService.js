@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Catalogue des statuts élève (PPRE, PAP, ULIS, Délégué…)
+ *
+ * Le catalogue est modifiable dans les paramètres (`appState.statusCatalogue`, null = catalogue
+ * par défaut). Les élèves portent les statuts sous forme de libellés dans `studentData.statuses` ;
+ * les statuts de mouvement (Nouveau, Départ) peuvent être suffixés par la période ("Nouveau T2").
+ * Chaque statut peut porter une consigne transmise à l'IA lors de la génération.
+ *
+ * @module services/StatusService
+ */
+
+import { appState } from '../state/State.js';
+
+/** Couleurs disponibles, correspondant aux variantes `tag-*` des badges */
+export const STATUS_COLORS = [
+    { id: 'default', label: 'Gris' },
+    { id: 'success', label: 'Vert' },
+    { id: 'info', label: 'Bleu' },
+    { id: 'purple', label: 'Violet' },
+    { id: 'warning', label: 'Orange' },
+    { id: 'danger', label: 'Rouge' }
+];
+
+/** Catalogue livré par défaut */
+export const DEFAULT_STATUS_CATALOGUE = [
+    { id: 'nouveau', label: 'Nouveau', description: 'Élève arrivé récemment dans la classe', color: 'info', movement: true, promptInstruction: 'Tenir compte de l\'arrivée récente de l\'élève dans la classe.' },
+    { id: 'depart', label: 'Départ', description: 'Élève qui quitte la classe prochainement', color: 'danger', movement: true, promptInstruction: '' },
+    { id: 'ppre', label: 'PPRE', description: 'Programme Personnalisé de Réussite Éducative', color: 'success', promptInstruction: 'Valoriser les progrès réalisés dans le cadre de l\'accompagnement et fixer des objectifs atteignables.' },
+    { id: 'pap', label: 'PAP', description: 'Plan d\'Accompagnement Personnalisé', color: 'purple', promptInstruction: 'Tenir compte des adaptations prévues par le plan ; ne pas relever l\'orthographe ni la présentation.' },
+    { id: 'ulis', label: 'ULIS', description: 'Unité Localisée pour l\'Inclusion Scolaire', color: 'warning', promptInstruction: 'Apprécier le travail au regard des objectifs adaptés de l\'élève.' },
+    { id: 'delegue', label: 'Délégué', description: 'Délégué de classe', color: 'default', promptInstruction: '' }
+];
+
+/** Minuscules sans accents, pour comparer les statuts saisis ou importés aux libellés */
+const normalizeText = (text) => String(text).trim().toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+export const StatusService = {
+
+    /**
+     * @returns {Array<Object>} Catalogue courant (celui de l'utilisateur, sinon le catalogue par défaut)
+     */
+    getCatalogue() {
+        const catalogue = appState.statusCatalogue;
+        return Array.isArray(catalogue) && catalogue.length > 0 ? catalogue : DEFAULT_STATUS_CATALOGUE;
+    },
+
+    /**
+     * Statuts proposés dans les formulaires, hors statuts de mouvement
+     * @returns {Array<Object>}
+     */
+    getSelectableStatuses() {
+        return this.getCatalogue().filter(s => !s.movement);
+    },
+
+    /**
+     * @returns {Array<Object>} Statuts de mouvement (Nouveau, Départ)
+     */
+    getMovementStatuses() {
+        return this.getCatalogue().filter(s => s.movement);
+    },
+
+    /**
+     * Retrouve le statut du catalogue correspondant à un statut d'élève
+     * @param {string} status - Ex: "PAP", "pap", "Nouveau T2"
+     * @returns {Object|null} Statut du catalogue, null s'il n'y figure pas
+     */
+    find(status) {
+        if (!status) return null;
+        const text = normalizeText(status);
+        const catalogue = this.getCatalogue();
+
+        return catalogue.find(s => normalizeText(s.label) === text)
+            || catalogue.find(s => s.movement && text.startsWith(`${normalizeText(s.label)} `))
+            || null;
+    },
+
+    /**
+     * @param {string} status
+     * @returns {boolean} true pour Nouveau/Départ (affichés dans l'entête plutôt que dans le contexte)
+     */
+    isMovement(status) {
+        return !!this.find(status)?.movement;
+    },
+
+    /**
+     * @param {string} status
+     * @returns {string} Description du catalogue, ou le statut lui-même
+     */
+    getDescription(status) {
+        return this.find(status)?.description || status;
+    },
+
+    /**
+     * @param {string} status
+     * @returns {string|null} Classe CSS de couleur ('tag-purple'…), '' pour la couleur neutre, null si statut inconnu
+     */
+    getColorClass(status) {
+        const entry = this.find(status);
+        if (!entry) return null;
+        return entry.color && entry.color !== 'default' ? `tag-${entry.color}` : '';
+    },
+
+    /**
+     * Consignes de rédaction liées aux statuts d'un élève
+     * @param {string[]} statuses - Statuts de l'élève
+     * @returns {string[]} Ex: ["Statut PAP : tenir compte des adaptations…"], vide si aucune consigne
+     */
+    getPromptInstructions(statuses) {
+        // Set : "Nouveau T1" et "Nouveau T2" renvoient la même entrée du catalogue
+        const entries = new Set((statuses || []).map(s => this.find(s)).filter(Boolean));
+        return [...entries]
+            .filter(entry => entry.promptInstruction?.trim())
+            .map(entry => `Statut ${entry.label} : ${entry.promptInstruction.trim()}`);
+    },
+
+    /**
+     * Normalise une saisie de statut
+     * @param {Object} data - { label, description, color, promptInstruction }
+     * @returns {Object|null} Champs nettoyés, null si le libellé est vide
+     */
+    sanitize({ label, description, color, promptInstruction }) {
+        // Le libellé est aussi la valeur stockée sur l'élève et affichée dans les badges
+        const cleanLabel = (label || '').replace(/[<>"]/g, '').trim().slice(0, 30);
+        if (!cleanLabel) return null;
+
+        return {
+            label: cleanLabel,
+            description: (description || '').replace(/[<>"]/g, '').trim().slice(0, 120),
+            color: STATUS_COLORS.some(c => c.id === color) ? color : 'default',
+            promptInstruction: (promptInstruction || '').trim().slice(0, 300)
+        };
+    },
+
+    /**
+     * Vérifie qu'un libellé n'est pas déjà pris par un autre statut
+     * @param {string} label
+     * @param {string|null} [exceptId] - Statut en cours de modification
+     * @returns {boolean}
+     */
+    isLabelTaken(label, exceptId = null) {
+        const text = normalizeText(label);
+        return this.getCatalogue().some(s => s.id !== exceptId && normalizeText(s.label) === text);
+    },
+
+    /**
+     * Ajoute un statut au catalogue (le catalogue par défaut est d'abord copié)
+     * @param {Object} data - { label, description, color, promptInstruction }
+     * @returns {Object|null} Statut créé, null si le libellé est vide ou déjà pris
+     */
+    addStatus(data) {
+        const fields = this.sanitize(data);
+        if (!fields || this.isLabelTaken(fields.label)) return null;
+
+        const status = { id: `status_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 5)}`, ...fields };
+        appState.statusCatalogue = [...this.getCatalogue(), status];
+        return status;
+    },
+
+    /**
+     * Modifie un statut. Le libellé des statuts de mouvement est figé (Nouveau/Départ sont
+     * reconnus par leur libellé dans les filtres et les imports) ; un renommage est répercuté
+     * sur les élèves qui portent le statut.
+     * @param {string} statusId
+     * @param {Object} updates - { label, description, color, promptInstruction }
+     * @returns {Object|null} Statut modifié, null si introuvable, libellé vide ou déjà pris
+     */
+    updateStatus(statusId, updates) {
+        const catalogue = this.getCatalogue();
+        const existing = catalogue.find(s => s.id === statusId);
+        if (!existing) return null;
+
+        const fields = this.sanitize({ ...existing, ...updates });
+        if (!fields) return null;
+        if (existing.movement) fields.label = existing.label;
+        if (this.isLabelTaken(fields.label, statusId)) return null;
+
+        const updated = { ...existing, ...fields };
+        appState.statusCatalogue = catalogue.map(s => s.id === statusId ? updated : s);
+
+        if (updated.label !== existing.label) {
+            (appState.generatedResults || []).forEach(r => {
+                const statuses = r.studentData?.statuses;
+                if (statuses?.includes(existing.label)) {
+                    r.studentData.statuses = statuses.map(st => st === existing.label ? updated.label : st);
+                }
+            });
+        }
+
+        return updated;
+    },
+
+    /**
+     * Retire un statut du catalogue (les élèves conservent le libellé, sans consigne ni couleur)
+     * @param {string} statusId
+     * @returns {boolean} false si introuvable ou statut de mouvement
+     */
+    removeStatus(statusId) {
+        const catalogue = this.getCatalogue();
+        const existing = catalogue.find(s => s.id === statusId);
+        if (!existing || existing.movement) return false;
+
+        appState.statusCatalogue = catalogue.filter(s => s.id !== statusId);
+        return true;
+    }
+};
@@ -0,0 +1,76 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { StatusService, DEFAULT_STATUS_CATALOGUE } from './StatusService.js';
+import { appState } from '../state/State.js';
+
+vi.mock('../state/State.js', () => ({
+    appState: {
+        statusCatalogue: null,
+        generatedResults: []
+    }
+}));
+
+describe('StatusService', () => {
+    beforeEach(() => {
+        appState.statusCatalogue = null;
+        appState.generatedResults = [];
+    });
+
+    it('should fall back to the default catalogue and match statuses loosely', () => {
+        expect(StatusService.getCatalogue()).toBe(DEFAULT_STATUS_CATALOGUE);
+        expect(StatusService.find('pap').id).toBe('pap');
+        expect(StatusService.find('Delegue').id).toBe('delegue');
+        expect(StatusService.find('Nouveau T2').id).toBe('nouveau');
+        expect(StatusService.find('PAP T2')).toBeNull();
+        expect(StatusService.find('SEGPA')).toBeNull();
+        expect(StatusService.isMovement('Départ T3')).toBe(true);
+        expect(StatusService.getSelectableStatuses().map(s => s.label)).toEqual(['PPRE', 'PAP', 'ULIS', 'Délégué']);
+    });
+
+    it('should give the catalogue colour, or null for unknown statuses', () => {
+        expect(StatusService.getColorClass('PAP')).toBe('tag-purple');
+        expect(StatusService.getColorClass('Délégué')).toBe('');
+        expect(StatusService.getColorClass('SEGPA')).toBeNull();
+        expect(StatusService.getDescription('SEGPA')).toBe('SEGPA');
+    });
+
+    it('should list prompt instructions once per catalogue status', () => {
+        const instructions = StatusService.getPromptInstructions(['PAP', 'Délégué', 'Nouveau T1', 'Nouveau T2', 'SEGPA']);
+
+        expect(instructions).toHaveLength(2);
+        expect(instructions[0]).toMatch(/^Statut PAP : Tenir compte des adaptations/);
+        expect(instructions[1]).toMatch(/^Statut Nouveau : /);
+        expect(StatusService.getPromptInstructions(undefined)).toEqual([]);
+    });
+
+    it('should add statuses to a copy of the default catalogue and reject duplicates', () => {
+        const pps = StatusService.addStatus({ label: ' PPS ', description: 'Projet Personnalisé de Scolarisation', color: 'teal', promptInstruction: 'Tenir compte des aménagements.' });
+
+        expect(pps).toMatchObject({ label: 'PPS', color: 'default', promptInstruction: 'Tenir compte des aménagements.' });
+        expect(appState.statusCatalogue).toHaveLength(DEFAULT_STATUS_CATALOGUE.length + 1);
+        expect(DEFAULT_STATUS_CATALOGUE).not.toContain(pps);
+        expect(StatusService.addStatus({ label: 'pps' })).toBeNull();
+        expect(StatusService.addStatus({ label: '  ' })).toBeNull();
+    });
+
+    it('should propagate renames to students and keep movement labels fixed', () => {
+        appState.generatedResults = [
+            { id: 's1', studentData: { statuses: ['PPRE', 'Nouveau T1'] } },
+            { id: 's2', studentData: { statuses: [] } }
+        ];
+
+        StatusService.updateStatus('ppre', { label: 'PPRE+' });
+        expect(appState.generatedResults[0].studentData.statuses).toEqual(['PPRE+', 'Nouveau T1']);
+
+        const nouveau = StatusService.updateStatus('nouveau', { label: 'Arrivée', promptInstruction: '' });
+        expect(nouveau.label).toBe('Nouveau');
+        expect(StatusService.getPromptInstructions(['Nouveau T1'])).toEqual([]);
+        expect(StatusService.updateStatus('pap', { label: 'ULIS' })).toBeNull();
+    });
+
+    it('should remove statuses except movement ones', () => {
+        expect(StatusService.removeStatus('delegue')).toBe(true);
+        expect(StatusService.find('Délégué')).toBeNull();
+        expect(StatusService.removeStatus('depart')).toBe(false);
+        expect(StatusService.removeStatus('unknown')).toBe(false);
+    });
+});
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Bulletins par matière reçus des collègues (vue professeur principal)
+ *
+ * Les moyennes et appréciations des autres disciplines sont stockées par période dans
+ * `studentData.periods[P].subjects` : `[{ subject, teacher, grade, appreciation }]`.
+ * Dès qu'un élève en a pour la période, sa moyenne de période est la moyenne générale
+ * des matières et son appréciation devient l'appréciation générale (voir PromptService).
+ *
+ * @module services/SubjectsService
+ */
+
+import { GradeScaleService } from './GradeScaleService.js';
+
+/** Minuscules sans accents ni espaces superflus, pour reconnaître une matière d'un fichier à l'autre */
+const normalizeSubject = (subject) => String(subject ?? '').trim().replace(/\s+/g, ' ').toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+export const SubjectsService = {
+
+    /**
+     * @param {Object} studentData
+     * @param {string} period
+     * @returns {Array<{subject: string, teacher: string, grade: number|null, appreciation: string}>}
+     */
+    getSubjects(studentData, period) {
+        const subjects = studentData?.periods?.[period]?.subjects;
+        return Array.isArray(subjects) ? subjects : [];
+    },
+
+    /**
+     * @param {Object} studentData
+     * @param {string} period
+     * @returns {boolean} true si l'élève a des bulletins de collègues pour la période
+     */
+    hasSubjects(studentData, period) {
+        return this.getSubjects(studentData, period).length > 0;
+    },
+
+    /**
+     * Transforme une ligne importée (moyenne et appréciation d'une matière) en bulletin de matière :
+     * la moyenne et l'appréciation de la période passent dans `subjects`.
+     * @param {Object} studentData - Élève issu de Utils.parseStudentLine (modifié)
+     * @param {string} period
+     * @param {Object} source
+     * @param {string} source.subject - Nom de la matière
+     * @param {string} [source.teacher] - Enseignant
+     * @returns {boolean} false si la matière est vide (la ligne est laissée telle quelle)
+     */
+    toSubjectEntry(studentData, period, { subject, teacher = '' }) {
+        const name = String(subject ?? '').trim().replace(/\s+/g, ' ');
+        if (!name) return false;
+
+        const periodData = studentData.periods[period] || (studentData.periods[period] = {});
+        periodData.subjects = [{
+            subject: name,
+            teacher: String(teacher ?? '').trim(),
+            grade: typeof periodData.grade === 'number' && !isNaN(periodData.grade) ? periodData.grade : null,
+            appreciation: periodData.appreciation || ''
+        }];
+        periodData.grade = null;
+        periodData.appreciation = '';
+        return true;
+    },
+
+    /**
+     * Fusionne deux listes de bulletins : une matière déjà présente est remplacée,
+     * en conservant les champs que le nouveau bulletin laisse vides.
+     * @param {Array<Object>} [existing=[]]
+     * @param {Array<Object>} [incoming=[]]
+     * @returns {Array<Object>} Nouvelle liste, dans l'ordre d'arrivée des matières
+     */
+    mergeSubjects(existing = [], incoming = []) {
+        const merged = existing.map(s => ({ ...s }));
+        incoming.forEach(entry => {
+            const index = merged.findIndex(s => normalizeSubject(s.subject) === normalizeSubject(entry.subject));
+            if (index === -1) {
+                merged.push({ ...entry });
+                return;
+            }
+            const previous = merged[index];
+            merged[index] = {
+                subject: previous.subject,
+                teacher: entry.teacher || previous.teacher || '',
+                grade: entry.grade ?? previous.grade ?? null,
+                appreciation: entry.appreciation || previous.appreciation || ''
+            };
+        });
+        return merged;
+    },
+
+    /**
+     * Moyenne générale (non pondérée) des matières notées
+     * @param {Array<Object>} subjects
+     * @returns {number|null} Arrondie au centième, null si aucune matière n'est notée
+     */
+    getGeneralAverage(subjects) {
+        const grades = (subjects || []).map(s => s.grade).filter(g => typeof g === 'number' && !isNaN(g));
+        if (grades.length === 0) return null;
+        return Math.round((grades.reduce((sum, g) => sum + g, 0) / grades.length) * 100) / 100;
+    },
+
+    /**
+     * Ajoute des bulletins à la période d'un élève et recalcule sa moyenne générale
+     * @param {Object} studentData - Élève cible (modifié)
+     * @param {string} period
+     * @param {Array<Object>} incoming - Bulletins importés
+     */
+    addSubjects(studentData, period, incoming) {
+        if (!studentData.periods) studentData.periods = {};
+        const periodData = studentData.periods[period] || (studentData.periods[period] = {});
+        periodData.subjects = this.mergeSubjects(this.getSubjects(studentData, period), incoming);
+        periodData.grade = this.getGeneralAverage(periodData.subjects);
+    },
+
+    /**
+     * Matières rencontrées dans une classe pour une période (colonnes de la matrice)
+     * @param {Array<Object>} results - Élèves
+     * @param {string} period
+     * @returns {string[]} Noms des matières, dans l'ordre de première apparition
+     */
+    getSubjectNames(results, period) {
+        const names = new Map();
+        (results || []).forEach(r => {
+            this.getSubjects(r.studentData, period).forEach(s => {
+                const key = normalizeSubject(s.subject);
+                if (!names.has(key)) names.set(key, s.subject);
+            });
+        });
+        return [...names.values()];
+    },
+
+    /**
+     * @param {Object} studentData
+     * @param {string} period
+     * @param {string} subject
+     * @returns {Object|null} Bulletin de la matière
+     */
+    findSubject(studentData, period, subject) {
+        const key = normalizeSubject(subject);
+        return this.getSubjects(studentData, period).find(s => normalizeSubject(s.subject) === key) || null;
+    },
+
+    /**
+     * Bulletins d'une période pour le prompt de l'appréciation générale (sans le nom des enseignants)
+     * @param {Array<Object>} subjects
+     * @param {Object} [scale] - Barème de la classe
+     * @param {Object} [anonymize] - Prénom de l'élève à remplacer dans les appréciations des collègues
+     * @param {string} [anonymize.prenom]
+     * @param {string} [anonymize.placeholder]
+     * @returns {string} Une ligne par matière, vide si aucun bulletin
+     */
+    formatForPrompt(subjects, scale = GradeScaleService.getScale(), { prenom = '', placeholder = '' } = {}) {
+        const namePattern = prenom && placeholder
+            ? new RegExp(`(?<![\\p{L}])${prenom.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}])`, 'giu')
+            : null;
+        return (subjects || []).map(s => {
+            const grade = typeof s.grade === 'number' ? GradeScaleService.format(s.grade, scale) : 'N/A';
+            let text = s.appreciation?.trim() || '';
+            if (namePattern) text = text.replace(namePattern, placeholder);
+            return `- ${s.subject} : Moy ${grade}, App ${text ? `"${text}"` : 'pas d\'appréciation'}`;
+        }).join('\n');
+    }
+};
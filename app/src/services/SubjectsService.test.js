@@ -0,0 +1,59 @@
+import { describe, it, expect, vi } from 'vitest';
+import { SubjectsService } from './SubjectsService.js';
+
+vi.mock('../state/State.js', () => ({
+    appState: { currentClassId: 'c1', classes: [{ id: 'c1' }] }
+}));
+
+const student = (subjects) => ({ periods: { T1: { grade: null, subjects } } });
+
+describe('SubjectsService', () => {
+    it('should merge subjects by name and keep fields the new report leaves empty', () => {
+        const data = student([{ subject: 'Histoire-Géographie', teacher: 'M. Blanc', grade: 9, appreciation: 'Fragile.' }]);
+
+        SubjectsService.addSubjects(data, 'T1', [
+            { subject: 'histoire-geographie ', teacher: '', grade: 11, appreciation: '' },
+            { subject: 'SVT', teacher: 'Mme Noir', grade: 14, appreciation: 'Investi.' }
+        ]);
+
+        expect(data.periods.T1.subjects).toEqual([
+            { subject: 'Histoire-Géographie', teacher: 'M. Blanc', grade: 11, appreciation: 'Fragile.' },
+            { subject: 'SVT', teacher: 'Mme Noir', grade: 14, appreciation: 'Investi.' }
+        ]);
+        expect(data.periods.T1.grade).toBe(12.5);
+        expect(SubjectsService.findSubject(data, 'T1', 'svt').teacher).toBe('Mme Noir');
+    });
+
+    it('should turn an imported line into a subject report', () => {
+        const data = { periods: { T1: { grade: 13, appreciation: 'Sérieux.' } } };
+
+        expect(SubjectsService.toSubjectEntry(data, 'T1', { subject: '  ' })).toBe(false);
+        expect(SubjectsService.toSubjectEntry(data, 'T1', { subject: 'Maths', teacher: ' M. Petit ' })).toBe(true);
+        expect(data.periods.T1).toEqual({
+            grade: null,
+            appreciation: '',
+            subjects: [{ subject: 'Maths', teacher: 'M. Petit', grade: 13, appreciation: 'Sérieux.' }]
+        });
+    });
+
+    it('should list the class subjects in order of appearance', () => {
+        const results = [
+            { studentData: student([{ subject: 'Maths' }, { subject: 'SVT' }]) },
+            { studentData: student([{ subject: 'Anglais' }, { subject: 'maths' }]) },
+            { studentData: { periods: {} } }
+        ];
+        expect(SubjectsService.getSubjectNames(results, 'T1')).toEqual(['Maths', 'SVT', 'Anglais']);
+        expect(SubjectsService.getGeneralAverage([{ grade: null }])).toBeNull();
+    });
+
+    it('should format reports for the prompt without teachers and with the first name hidden', () => {
+        const subjects = [
+            { subject: 'Maths', teacher: 'M. Petit', grade: 8, appreciation: 'Léa doit reprendre les bases. Léanne aussi.' },
+            { subject: 'SVT', teacher: 'Mme Noir', grade: null, appreciation: '' }
+        ];
+        const text = SubjectsService.formatForPrompt(subjects, undefined, { prenom: 'Léa', placeholder: '[PRÉNOM]' });
+
+        expect(text).toBe('- Maths : Moy 8,0/20, App "[PRÉNOM] doit reprendre les bases. Léanne aussi."\n- SVT : Moy N/A, App pas d\'appréciation');
+        expect(text).not.toContain('Petit');
+    });
+});
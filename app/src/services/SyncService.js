@@ -8,6 +8,10 @@
 import { userSettings, runtimeState } from '../state/State.js';
 import { StorageManager } from '../managers/StorageManager.js';
 import { APP_VERSION } from '../config/Config.js';
+import { DBService } from './DBService.js';
+import { MergeService } from './MergeService.js';
+import { CryptoService } from './CryptoService.js';
+import { BackupHistoryService } from './BackupHistoryService.js';
 
 /** @type {boolean} Enable debug logs (set to false for production) */
 const DEBUG = false;
@@ -18,6 +22,16 @@ const DEBUG = false;
 const PROVIDERS = {
     google: () => import('./providers/GoogleDriveProvider.js').then(m => m.GoogleDriveProvider),
     dropbox: () => import('./providers/DropboxProvider.js').then(m => m.DropboxProvider),
+    webdav: () => import('./providers/WebDAVProvider.js').then(m => m.WebDAVProvider),
+};
+
+/** Libellés courts des providers (menu Cloud, notifications) */
+const PROVIDER_LABELS = { google: 'Google Drive', dropbox: 'Dropbox', webdav: 'Nextcloud' };
+
+/** IDs des éléments de la carte provider dans les paramètres */
+const PROVIDER_CARD_IDS = {
+    google: { status: 'googleSyncStatus', connect: 'connectGoogleBtn', disconnect: 'disconnectGoogleBtn' },
+    webdav: { status: 'webdavSyncStatus', connect: 'connectWebdavBtn', disconnect: 'disconnectWebdavBtn' }
 };
 
 /**
@@ -175,6 +189,8 @@ export const SyncService = {
         setTimeout(() => {
             const saveBtn = document.getElementById('cloudSaveMenuBtn');
             const loadBtn = document.getElementById('cloudLoadMenuBtn');
+            const mergeBtn = document.getElementById('cloudMergeMenuBtn');
+            const historyBtn = document.getElementById('cloudHistoryMenuBtn');
             const reconnectBtn = document.getElementById('cloudReconnectBtn');
             const connectBtn = document.getElementById('cloudConnectBtn');
             const separator = document.getElementById('cloudSeparator');
@@ -185,6 +201,8 @@ export const SyncService = {
             const syncClasses = ['disabled', 'cloud-action-recommended', 'cloud-conflict'];
             syncClasses.forEach(c => saveBtn.classList.remove(c));
             if (loadBtn) syncClasses.forEach(c => loadBtn.classList.remove(c));
+            if (mergeBtn) syncClasses.forEach(c => mergeBtn.classList.remove(c));
+            if (historyBtn) historyBtn.classList.remove('disabled');
 
             const config = {
                 connected: {
@@ -212,6 +230,8 @@ export const SyncService = {
             if (!this._wasConfigured && (state === 'disconnected' || state === 'local')) {
                 saveBtn.style.display = 'none';
                 if (loadBtn) loadBtn.style.display = 'none';
+                if (mergeBtn) mergeBtn.style.display = 'none';
+                if (historyBtn) historyBtn.style.display = 'none';
                 if (reconnectBtn) reconnectBtn.style.display = 'none';
                 if (separator) separator.style.display = 'block';
                 if (connectBtn) connectBtn.style.display = 'flex';
@@ -224,6 +244,8 @@ export const SyncService = {
 
             saveBtn.style.display = 'grid';
             if (loadBtn) loadBtn.style.display = 'grid';
+            if (mergeBtn) mergeBtn.style.display = 'grid';
+            if (historyBtn) historyBtn.style.display = 'grid';
 
             // Update icon
             const iconEl = saveBtn.querySelector('iconify-icon');
@@ -244,6 +266,8 @@ export const SyncService = {
             if (state !== 'connected') {
                 saveBtn.classList.add('disabled');
                 if (loadBtn) loadBtn.classList.add('disabled');
+                if (mergeBtn) mergeBtn.classList.add('disabled');
+                if (historyBtn) historyBtn.classList.add('disabled');
             }
 
             // Reconnect button (not connected states)
@@ -251,7 +275,7 @@ export const SyncService = {
                 if (state === 'expired' || (state === 'local' && this._wasConfigured)) {
                     reconnectBtn.style.display = 'flex';
                     const providerName = this.currentProviderName || localStorage.getItem('bulletin_sync_provider');
-                    const label = { google: 'Google Drive', dropbox: 'Dropbox' }[providerName] || 'Cloud';
+                    const label = PROVIDER_LABELS[providerName] || 'Cloud';
                     const spanEl = reconnectBtn.querySelector('span');
                     if (spanEl) spanEl.textContent = `Reconnecter ${label}`;
                 } else {
@@ -273,6 +297,9 @@ export const SyncService = {
                 if (loadTimeHint) hintClasses.forEach(c => loadTimeHint.classList.remove(c));
 
                 this._applySyncStateUI(syncState, saveBtn, loadBtn, timeHint, loadTimeHint);
+
+                // Modifications des deux côtés : la fusion évite d'écraser l'un ou l'autre
+                if (mergeBtn && syncState === 'conflict') mergeBtn.classList.add('cloud-action-recommended');
             } else {
                 if (timeHint) {
                     timeHint.style.display = 'none';
@@ -425,15 +452,16 @@ export const SyncService = {
     /**
      * Update UI to show connected status after successful reconnection.
      * @private
-     * @param {string} providerName - 'google' or 'dropbox'
+     * @param {string} providerName - 'google', 'dropbox' or 'webdav'
      */
     _updateUIConnected(providerName) {
         // Delay to ensure DOM is ready
         setTimeout(() => {
-            if (providerName === 'google') {
-                const statusEl = document.getElementById('googleSyncStatus');
-                const connectBtn = document.getElementById('connectGoogleBtn');
-                const disconnectBtn = document.getElementById('disconnectGoogleBtn');
+            const ids = PROVIDER_CARD_IDS[providerName];
+            if (ids) {
+                const statusEl = document.getElementById(ids.status);
+                const connectBtn = document.getElementById(ids.connect);
+                const disconnectBtn = document.getElementById(ids.disconnect);
                 const card = connectBtn?.closest('.sync-provider-card');
 
                 if (statusEl) {
@@ -473,7 +501,7 @@ export const SyncService = {
             return false;
         }
 
-        const displayLabel = { google: 'Google Drive', dropbox: 'Dropbox' }[providerName] || 'Cloud';
+        const displayLabel = PROVIDER_LABELS[providerName] || 'Cloud';
 
         try {
             if (!this._provider) {
@@ -508,7 +536,7 @@ export const SyncService = {
 
     /**
      * Connect to a cloud provider.
-     * @param {string} providerName - 'google' or 'dropbox'
+     * @param {string} providerName - 'google', 'dropbox' or 'webdav'
      * @param {Object} options - { silent: boolean }
      * @returns {Promise<boolean>} Success status
      */
@@ -587,8 +615,8 @@ export const SyncService = {
     // SYNC OPERATIONS
     // =========================================================================
 
-    // NOTE: Bidirectional sync() removed to enforce Strict Manual Push/Pull paradigm.
-    // Use forceUpload() or forceDownload() instead.
+    // NOTE: Automatic bidirectional sync() removed to enforce Strict Manual Push/Pull paradigm.
+    // Use forceUpload(), forceDownload() or the explicit mergeWithCloud() instead.
 
     /**
      * Force push local data to cloud (overwrites remote).
@@ -605,18 +633,12 @@ export const SyncService = {
             deviceId: StorageManager.getDeviceId(),
             forceUpload: true
         };
-        await this._provider.write(localData);
-        this.lastSyncTime = Date.now();
-        localStorage.setItem('bulletin_last_sync', this.lastSyncTime.toString());
+        await this._writeRemote(localData);
+        this._markSynced();
 
         // Update remote time since we just wrote the file
         this.remoteSyncTime = this.lastSyncTime;
-
-        // Save data hash at sync time and align modified timestamp
-        const syncHash = StorageManager.computeCurrentDataHash();
-        localStorage.setItem('bulletin_last_sync_hash', syncHash);
-        localStorage.setItem('bulletin_last_modified', this.lastSyncTime.toString());
-        StorageManager._lastDataHash = syncHash;
+        await this._saveSyncBase(localData);
 
         this._updateCloudIndicator('connected');
         this._setStatus('idle');
@@ -630,7 +652,7 @@ export const SyncService = {
         if (!this._provider) throw new Error('Aucun provider connecté');
 
         this._setStatus('syncing');
-        const remoteData = prefetchedData || await this._provider.read();
+        const remoteData = prefetchedData || await this._readRemote();
 
         if (remoteData && (remoteData.generatedResults || remoteData.classes || remoteData.settings)) {
             await StorageManager.importBackup(JSON.stringify(remoteData), { mergeData: false });
@@ -638,21 +660,78 @@ export const SyncService = {
             if (window.App?.updateUIOnLoad) {
                 window.App.updateUIOnLoad();
             }
+            await this._saveSyncBase(remoteData);
         }
 
-        this.lastSyncTime = Date.now();
-        localStorage.setItem('bulletin_last_sync', this.lastSyncTime.toString());
-
-        // Save data hash at sync time and align modified timestamp
-        const syncHash = StorageManager.computeCurrentDataHash();
-        localStorage.setItem('bulletin_last_sync_hash', syncHash);
-        localStorage.setItem('bulletin_last_modified', this.lastSyncTime.toString());
-        StorageManager._lastDataHash = syncHash;
+        this._markSynced();
 
         this._updateCloudIndicator('connected');
         this._setStatus('idle');
     },
 
+    /**
+     * Merge local and cloud data using the last synced snapshot as common base,
+     * then store the result on both sides.
+     * @param {Object} [options]
+     * @param {function(import('./MergeService.js').SyncConflict[]): Promise<Object<string, 'local'|'remote'>|null>} [options.resolveConflicts]
+     *   Called when the same appreciation was edited on both devices. Returns the choice per conflict key,
+     *   or null to cancel the merge. Without it, the most recent version wins.
+     * @returns {Promise<{success: boolean, cancelled?: boolean, stats?: Object, conflictCount?: number}>}
+     */
+    async mergeWithCloud({ resolveConflicts = null } = {}) {
+        if (!this._provider) throw new Error('Aucun provider connecté');
+
+        this._setStatus('syncing');
+        try {
+            const remoteData = await this._readRemote();
+            const hasRemoteData = remoteData && (remoteData.generatedResults || remoteData.classes || remoteData.settings);
+            if (!hasRemoteData) {
+                // Nothing to merge with: the cloud simply receives local data
+                await this.forceUpload();
+                return { success: true, stats: { fromRemote: 0, merged: 0, deleted: 0 }, conflictCount: 0 };
+            }
+
+            const localData = await this._getLocalData();
+            const base = await this._loadSyncBase();
+            const { data, conflicts, stats } = MergeService.threeWayMerge(base, localData, remoteData);
+
+            if (conflicts.length > 0 && resolveConflicts) {
+                const choices = await resolveConflicts(conflicts);
+                if (!choices) {
+                    this._setStatus('idle');
+                    return { success: false, cancelled: true };
+                }
+                MergeService.applyResolutions(data, conflicts, choices);
+            }
+
+            const imported = await StorageManager.importBackup(JSON.stringify(data), {
+                mergeData: false,
+                silent: true,
+                categories: { settings: true, classes: true, students: true, journal: true }
+            });
+            if (!imported.success) throw new Error(imported.message || 'Fusion impossible');
+
+            data._meta = {
+                ...localData._meta,
+                lastSyncAt: new Date().toISOString(),
+                lastSyncTimestamp: Date.now(),
+                deviceId: StorageManager.getDeviceId(),
+                mergedFrom: remoteData._meta?.deviceId || null
+            };
+            await this._writeRemote(data);
+            this._markSynced();
+            this.remoteSyncTime = this.lastSyncTime;
+            await this._saveSyncBase(data);
+
+            this._updateCloudIndicator('connected');
+            this._setStatus('idle');
+            return { success: true, stats, conflictCount: conflicts.length };
+        } catch (error) {
+            this._setStatus('error');
+            throw error;
+        }
+    },
+
     // =========================================================================
     // SAVE/LOAD (User-friendly wrappers for explicit Save/Load paradigm)
     // =========================================================================
@@ -674,7 +753,7 @@ export const SyncService = {
     async loadFromCloud() {
         if (!this._provider) throw new Error('Aucun provider connecté');
 
-        const remoteData = await this._provider.read();
+        const remoteData = await this._readRemote();
         if (!remoteData || (!remoteData.generatedResults && !remoteData.classes && !remoteData.settings)) {
             return { success: false };
         }
@@ -683,10 +762,192 @@ export const SyncService = {
         return { success: true };
     },
 
+    // =========================================================================
+    // END-TO-END ENCRYPTION
+    // =========================================================================
+
+    /**
+     * Passphrase used to encrypt cloud backups. Kept on this device only:
+     * it is never part of the settings snapshot, exports or cloud payload.
+     * @returns {string|null}
+     */
+    getEncryptionPassphrase() {
+        return localStorage.getItem('bulletin_sync_passphrase') || null;
+    },
+
+    /**
+     * Enable (passphrase) or disable (null) encryption of future cloud writes.
+     * @param {string|null} passphrase
+     */
+    setEncryptionPassphrase(passphrase) {
+        if (passphrase) {
+            localStorage.setItem('bulletin_sync_passphrase', passphrase);
+        } else {
+            localStorage.removeItem('bulletin_sync_passphrase');
+        }
+    },
+
+    /** @returns {boolean} */
+    isEncryptionEnabled() {
+        return !!this.getEncryptionPassphrase();
+    },
+
+    /**
+     * Read from the provider, decrypting the payload when it is encrypted.
+     * Throws before anything reaches local storage if the passphrase is missing or wrong.
+     * @returns {Promise<Object|null>}
+     * @private
+     */
+    async _readRemote() {
+        return this._openPayload(await this._provider.read());
+    },
+
+    /**
+     * Decrypt a payload read from the provider when needed.
+     * @param {Object|null} raw
+     * @returns {Promise<Object|null>}
+     * @private
+     */
+    async _openPayload(raw) {
+        if (!CryptoService.isEncrypted(raw)) return raw;
+
+        const passphrase = this.getEncryptionPassphrase();
+        if (!passphrase) {
+            throw new Error('La sauvegarde Cloud est chiffrée. Saisissez la phrase de passe dans Paramètres > Données.');
+        }
+        return CryptoService.decrypt(raw, passphrase);
+    },
+
+    /**
+     * Write to the provider, encrypting first when a passphrase is set.
+     * @param {Object} data
+     * @private
+     */
+    async _writeRemote(data) {
+        const passphrase = this.getEncryptionPassphrase();
+        const payload = passphrase ? await CryptoService.encrypt(data, passphrase) : data;
+        await this._provider.write(payload);
+        await this._saveVersion(data, payload);
+    },
+
+    // =========================================================================
+    // BACKUP HISTORY
+    // =========================================================================
+
+    /**
+     * Whether the current provider keeps dated backup copies.
+     * @returns {boolean}
+     */
+    supportsBackupHistory() {
+        return typeof this._provider?.listVersions === 'function';
+    },
+
+    /**
+     * List dated backups, newest first.
+     * @returns {Promise<import('./BackupHistoryService.js').BackupVersion[]>}
+     */
+    async listBackupVersions() {
+        if (!this.supportsBackupHistory()) return [];
+        return BackupHistoryService.toVersions(await this._provider.listVersions());
+    },
+
+    /**
+     * Replace local data with a dated backup. The caller saves a pre-restore snapshot first.
+     * The sync markers are left untouched: the restored state shows as local changes to push.
+     * @param {string} versionId
+     * @returns {Promise<{success: boolean}>}
+     */
+    async restoreVersion(versionId) {
+        if (!this.supportsBackupHistory()) throw new Error('Historique indisponible pour ce fournisseur');
+
+        const data = await this._openPayload(await this._provider.readVersion(versionId));
+        if (!data || (!data.generatedResults && !data.classes && !data.settings)) {
+            return { success: false };
+        }
+
+        const imported = await StorageManager.importBackup(JSON.stringify(data), { mergeData: false, silent: true });
+        if (!imported.success) throw new Error(imported.message || 'Restauration impossible');
+
+        if (window.App?.updateUIOnLoad) {
+            window.App.updateUIOnLoad();
+        }
+        return { success: true };
+    },
+
+    /**
+     * Keep a dated copy of each push, then apply the retention policy.
+     * Best-effort: a failure here never fails the push itself.
+     * @param {Object} data - Clear data (names the copy)
+     * @param {Object} payload - Data as written (possibly encrypted)
+     * @private
+     */
+    async _saveVersion(data, payload) {
+        if (!this.supportsBackupHistory()) return;
+
+        try {
+            await this._provider.writeVersion(BackupHistoryService.buildVersionName(data), payload);
+
+            const toPrune = BackupHistoryService.selectVersionsToPrune(await this.listBackupVersions());
+            for (const version of toPrune) {
+                await this._provider.deleteVersion(version.id);
+            }
+        } catch (e) {
+            console.warn('[SyncService] Could not store backup version:', e);
+        }
+    },
+
     // =========================================================================
     // HELPERS
     // =========================================================================
 
+    /**
+     * Record a successful sync: timestamps and data hash used by _computeSyncState.
+     * @private
+     */
+    _markSynced() {
+        this.lastSyncTime = Date.now();
+        localStorage.setItem('bulletin_last_sync', this.lastSyncTime.toString());
+
+        // Save data hash at sync time and align modified timestamp
+        const syncHash = StorageManager.computeCurrentDataHash();
+        localStorage.setItem('bulletin_last_sync_hash', syncHash);
+        localStorage.setItem('bulletin_last_modified', this.lastSyncTime.toString());
+        StorageManager._lastDataHash = syncHash;
+    },
+
+    /**
+     * Store the synced dataset as common base for the next three-way merge.
+     * @param {Object} data - Data just written to / read from the cloud
+     * @private
+     */
+    async _saveSyncBase(data) {
+        try {
+            await DBService.put('appData', {
+                key: 'sync_base',
+                savedAt: Date.now(),
+                settings: data.settings || null,
+                classes: data.classes || [],
+                generatedResults: data.generatedResults || []
+            });
+        } catch (e) {
+            // Without a base, the next merge treats every double edit as a conflict
+            console.warn('[SyncService] Could not store sync base:', e);
+        }
+    },
+
+    /**
+     * Load the common base saved at the last successful sync.
+     * @returns {Promise<Object|null>}
+     * @private
+     */
+    async _loadSyncBase() {
+        try {
+            return await DBService.get('appData', 'sync_base') || null;
+        } catch {
+            return null;
+        }
+    },
+
     /**
      * Get local data in sync format.
      * @private
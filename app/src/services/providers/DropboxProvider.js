@@ -9,6 +9,10 @@
 // NOTE: Replace with your app's App Key from Dropbox App Console
 const DROPBOX_APP_KEY = 'YOUR_DROPBOX_APP_KEY';
 const SYNC_FILENAME = '/bulletin-ai-sync.json';
+const BACKUP_FOLDER = '/backups';
+
+/** Endpoints served by the content host; every other one is an RPC endpoint */
+const CONTENT_ENDPOINTS = ['/files/download', '/files/upload'];
 
 /**
  * Dropbox sync provider.
@@ -196,7 +200,7 @@ export const DropboxProvider = {
      * @private
      */
     async _apiCall(endpoint, body, options = {}) {
-        const isContent = endpoint.startsWith('/files/');
+        const isContent = CONTENT_ENDPOINTS.includes(endpoint);
         const baseUrl = isContent
             ? 'https://content.dropboxapi.com/2'
             : 'https://api.dropboxapi.com/2';
@@ -251,6 +255,17 @@ export const DropboxProvider = {
      * @param {Object} data
      */
     async write(data) {
+        await this._upload(SYNC_FILENAME, data, 'overwrite');
+    },
+
+    /**
+     * Upload a JSON file.
+     * @param {string} path
+     * @param {Object} data
+     * @param {'overwrite'|'add'} mode
+     * @private
+     */
+    async _upload(path, data, mode) {
         const content = JSON.stringify(data, null, 2);
 
         const response = await fetch('https://content.dropboxapi.com/2/files/upload', {
@@ -259,8 +274,8 @@ export const DropboxProvider = {
                 'Authorization': `Bearer ${this._token}`,
                 'Content-Type': 'application/octet-stream',
                 'Dropbox-API-Arg': JSON.stringify({
-                    path: SYNC_FILENAME,
-                    mode: 'overwrite',
+                    path,
+                    mode,
                     autorename: false,
                     mute: true
                 })
@@ -274,6 +289,61 @@ export const DropboxProvider = {
         }
     },
 
+    // =========================================================================
+    // BACKUP VERSIONS
+    // =========================================================================
+
+    /**
+     * List dated backup files.
+     * Dropbox pages the listing: follow the cursor until every entry is read.
+     * @returns {Promise<Array<{id: string, name: string}>>}
+     */
+    async listVersions() {
+        try {
+            let result = await this._apiCall('/files/list_folder', { path: BACKUP_FOLDER });
+            const entries = [...(result.entries || [])];
+            while (result.has_more && result.cursor) {
+                result = await this._apiCall('/files/list_folder/continue', { cursor: result.cursor });
+                entries.push(...(result.entries || []));
+            }
+            return entries
+                .filter(entry => entry['.tag'] === 'file')
+                .map(entry => ({ id: entry.path_lower, name: entry.name }));
+        } catch (error) {
+            if (error.message.includes('path/not_found')) {
+                return [];
+            }
+            throw error;
+        }
+    },
+
+    /**
+     * Store a dated backup copy.
+     * @param {string} name - File name (see BackupHistoryService)
+     * @param {Object} data
+     */
+    async writeVersion(name, data) {
+        await this._upload(`${BACKUP_FOLDER}/${name}`, data, 'add');
+    },
+
+    /**
+     * Read a dated backup copy.
+     * @param {string} id - Dropbox path
+     * @returns {Promise<Object>}
+     */
+    async readVersion(id) {
+        const content = await this._apiCall('/files/download', { path: id }, { downloadContent: true });
+        return JSON.parse(content);
+    },
+
+    /**
+     * Delete a dated backup copy.
+     * @param {string} id - Dropbox path
+     */
+    async deleteVersion(id) {
+        await this._apiCall('/files/delete_v2', { path: id });
+    },
+
     /**
      * Get file metadata.
      * @returns {Promise<{lastModified: string, size: number}|null>}
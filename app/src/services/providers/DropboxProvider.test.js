@@ -0,0 +1,44 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { DropboxProvider } from './DropboxProvider.js';
+
+const json = (body) => new Response(JSON.stringify(body), { status: 200 });
+const file = (name) => ({ '.tag': 'file', name, path_lower: `/backups/${name}` });
+
+describe('DropboxProvider', () => {
+    let fetchMock;
+
+    beforeEach(() => {
+        DropboxProvider._token = 'token';
+        fetchMock = vi.fn();
+        vi.stubGlobal('fetch', fetchMock);
+    });
+
+    afterEach(() => {
+        DropboxProvider._token = null;
+        vi.unstubAllGlobals();
+    });
+
+    it('should follow the listing cursor until every backup is listed', async () => {
+        fetchMock
+            .mockResolvedValueOnce(json({ entries: [file('2026-09-01.json'), { '.tag': 'folder', name: 'old' }], has_more: true, cursor: 'c1' }))
+            .mockResolvedValueOnce(json({ entries: [file('2026-09-08.json')], has_more: true, cursor: 'c2' }))
+            .mockResolvedValueOnce(json({ entries: [file('2026-09-15.json')], has_more: false, cursor: 'c3' }));
+
+        const versions = await DropboxProvider.listVersions();
+
+        expect(versions.map(v => v.name)).toEqual(['2026-09-01.json', '2026-09-08.json', '2026-09-15.json']);
+        expect(versions[2].id).toBe('/backups/2026-09-15.json');
+        expect(fetchMock.mock.calls.map(([url]) => url)).toEqual([
+            'https://api.dropboxapi.com/2/files/list_folder',
+            'https://api.dropboxapi.com/2/files/list_folder/continue',
+            'https://api.dropboxapi.com/2/files/list_folder/continue'
+        ]);
+        expect(JSON.parse(fetchMock.mock.calls[2][1].body)).toEqual({ cursor: 'c2' });
+    });
+
+    it('should return no versions before the first backup', async () => {
+        fetchMock.mockResolvedValueOnce(new Response(JSON.stringify({ error_summary: 'path/not_found/..' }), { status: 409 }));
+
+        expect(await DropboxProvider.listVersions()).toEqual([]);
+    });
+});
@@ -10,6 +10,7 @@ const GOOGLE_CLIENT_ID = '685675322524-qgc51t16ebv68ljcoi5re8mhfmkh1094.apps.goo
 const GOOGLE_API_KEY = ''; // Optional: for additional API calls
 const GOOGLE_SCOPES = 'https://www.googleapis.com/auth/drive.appdata';
 const SYNC_FILENAME = 'bulletin-ai-sync.json';
+const BACKUP_PREFIX = 'bulletin-ai-backup--';
 
 /** @type {boolean} Enable debug logs (set to false for production) */
 const DEBUG = false;
@@ -281,42 +282,102 @@ export const GoogleDriveProvider = {
     async write(data) {
         try {
             const fileId = await this._ensureFile();
-            const content = JSON.stringify(data, null, 2);
-
-            // Use multipart upload
-            const boundary = '-------bulletin_sync_boundary';
-            const metadata = {
-                name: SYNC_FILENAME,
-                mimeType: 'application/json'
-            };
-
-            const body = [
-                `--${boundary}`,
-                'Content-Type: application/json; charset=UTF-8',
-                '',
-                JSON.stringify(metadata),
-                `--${boundary}`,
-                'Content-Type: application/json',
-                '',
-                content,
-                `--${boundary}--`
-            ].join('\r\n');
-
-            await fetch(`https://www.googleapis.com/upload/drive/v3/files/${fileId}?uploadType=multipart`, {
-                method: 'PATCH',
-                headers: {
-                    'Authorization': `Bearer ${this._token.access_token}`,
-                    'Content-Type': `multipart/related; boundary=${boundary}`
-                },
-                body: body
-            });
-
+            await this._upload(
+                `https://www.googleapis.com/upload/drive/v3/files/${fileId}?uploadType=multipart`,
+                'PATCH',
+                { name: SYNC_FILENAME, mimeType: 'application/json' },
+                data
+            );
         } catch (error) {
             console.error('[GoogleDrive] Write failed:', error);
             throw error;
         }
     },
 
+    /**
+     * Multipart upload (metadata + JSON content).
+     * @private
+     */
+    async _upload(url, method, metadata, data) {
+        const content = JSON.stringify(data, null, 2);
+        const boundary = '-------bulletin_sync_boundary';
+
+        const body = [
+            `--${boundary}`,
+            'Content-Type: application/json; charset=UTF-8',
+            '',
+            JSON.stringify(metadata),
+            `--${boundary}`,
+            'Content-Type: application/json',
+            '',
+            content,
+            `--${boundary}--`
+        ].join('\r\n');
+
+        const response = await fetch(url, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${this._token.access_token}`,
+                'Content-Type': `multipart/related; boundary=${boundary}`
+            },
+            body: body
+        });
+
+        if (!response.ok) {
+            throw new Error(`Google Drive upload failed: ${response.status}`);
+        }
+    },
+
+    // =========================================================================
+    // BACKUP VERSIONS
+    // =========================================================================
+
+    /**
+     * List dated backup files in AppData.
+     * @returns {Promise<Array<{id: string, name: string}>>}
+     */
+    async listVersions() {
+        const response = await window.gapi.client.drive.files.list({
+            spaces: 'appDataFolder',
+            q: `name contains '${BACKUP_PREFIX}'`,
+            fields: 'files(id, name)',
+            pageSize: 1000
+        });
+        return (response.result.files || []).map(file => ({ id: file.id, name: file.name }));
+    },
+
+    /**
+     * Store a dated backup copy.
+     * @param {string} name - File name (see BackupHistoryService)
+     * @param {Object} data
+     */
+    async writeVersion(name, data) {
+        await this._upload(
+            'https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart',
+            'POST',
+            { name, mimeType: 'application/json', parents: ['appDataFolder'] },
+            data
+        );
+    },
+
+    /**
+     * Read a dated backup copy.
+     * @param {string} id - Drive file ID
+     * @returns {Promise<Object>}
+     */
+    async readVersion(id) {
+        const response = await window.gapi.client.drive.files.get({ fileId: id, alt: 'media' });
+        return JSON.parse(response.body);
+    },
+
+    /**
+     * Delete a dated backup copy.
+     * @param {string} id - Drive file ID
+     */
+    async deleteVersion(id) {
+        await window.gapi.client.drive.files.delete({ fileId: id });
+    },
+
     /**
      * Get metadata of the sync file.
      * @returns {Promise<{lastModified: string, size: number}|null>}
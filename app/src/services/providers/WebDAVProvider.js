@@ -0,0 +1,337 @@
+/**
+ * @fileoverview WebDAV provider for cloud sync (Nextcloud, ownCloud, ENT...).
+ * Authenticates with a server URL, a username and an app password (HTTP Basic).
+ *
+ * The server must allow CORS requests from the app origin.
+ *
+ * @module services/providers/WebDAVProvider
+ */
+
+const SYNC_FOLDER = 'BulletinAI';
+const SYNC_FILENAME = 'bulletin-ai-sync.json';
+const BACKUP_FOLDER = 'backups';
+const CONFIG_STORAGE_KEY = 'bulletin_webdav_config';
+
+/**
+ * @typedef {Object} WebDAVConfig
+ * @property {string} url - Server URL (Nextcloud root) or full WebDAV folder URL
+ * @property {string} username
+ * @property {string} password - App password (never the account password)
+ */
+
+/**
+ * WebDAV sync provider.
+ * Stores data in a dedicated folder of the user's WebDAV space.
+ */
+export const WebDAVProvider = {
+    name: 'webdav',
+    displayName: 'Nextcloud / WebDAV',
+    icon: 'simple-icons:nextcloud',
+
+    /** @type {WebDAVConfig|null} */
+    _config: null,
+
+    /** @type {boolean} Credentials validated against the server */
+    _authorized: false,
+
+    // =========================================================================
+    // AUTHENTICATION
+    // =========================================================================
+
+    /**
+     * Validate and store server credentials.
+     * @param {WebDAVConfig} config
+     * @throws {Error} Explicit message when the server rejects or cannot be reached
+     */
+    async configure(config) {
+        const normalized = {
+            url: (config.url || '').trim().replace(/\/+$/, ''),
+            username: (config.username || '').trim(),
+            password: config.password || ''
+        };
+        if (!/^https?:\/\//i.test(normalized.url)) {
+            throw new Error('Adresse du serveur invalide (https://...).');
+        }
+        if (!normalized.username || !normalized.password) {
+            throw new Error('Identifiant et mot de passe d\'application requis.');
+        }
+
+        await this._checkCredentials(normalized);
+
+        this._config = normalized;
+        this._authorized = true;
+        localStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify(normalized));
+    },
+
+    /**
+     * Restore saved credentials and check them against the server.
+     * There is no popup flow: without saved credentials, the user fills the settings form.
+     * @param {Object} options - { silent: boolean }
+     * @returns {Promise<boolean>}
+     */
+    async authorize(options = {}) {
+        try {
+            if (!this._config) {
+                const saved = localStorage.getItem(CONFIG_STORAGE_KEY);
+                if (!saved) return false;
+                this._config = JSON.parse(saved);
+            }
+
+            await this._checkCredentials(this._config);
+            this._authorized = true;
+            return true;
+        } catch (error) {
+            if (!options.silent) console.error('[WebDAV] Authorization failed:', error);
+            this._authorized = false;
+            return false;
+        }
+    },
+
+    /**
+     * Check if connected.
+     */
+    isConnected() {
+        return this._config !== null && this._authorized;
+    },
+
+    /**
+     * Credentials are saved but were refused or could not be checked (e.g. offline).
+     */
+    needsReconnect() {
+        return !!localStorage.getItem(CONFIG_STORAGE_KEY) && !this._authorized;
+    },
+
+    /**
+     * Disconnect and forget credentials.
+     */
+    async disconnect() {
+        this._config = null;
+        this._authorized = false;
+        localStorage.removeItem(CONFIG_STORAGE_KEY);
+    },
+
+    /**
+     * Saved server and username, to prefill the settings form (password excluded).
+     * @returns {{url: string, username: string}|null}
+     */
+    getSavedAccount() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CONFIG_STORAGE_KEY) || 'null');
+            return saved ? { url: saved.url, username: saved.username } : null;
+        } catch {
+            return null;
+        }
+    },
+
+    // =========================================================================
+    // FILE OPERATIONS
+    // =========================================================================
+
+    /**
+     * Resolve the WebDAV root: a bare Nextcloud address gets the standard
+     * `/remote.php/dav/files/<user>` endpoint, any other path is used as is.
+     * @private
+     */
+    _baseUrl(config = this._config) {
+        const url = new URL(config.url);
+        if (url.pathname === '/' || url.pathname === '') {
+            return `${url.origin}/remote.php/dav/files/${encodeURIComponent(config.username)}`;
+        }
+        return config.url;
+    },
+
+    /** @private */
+    _folderUrl(config) {
+        return `${this._baseUrl(config)}/${SYNC_FOLDER}`;
+    },
+
+    /** @private */
+    _fileUrl(config) {
+        return `${this._folderUrl(config)}/${SYNC_FILENAME}`;
+    },
+
+    /** @private */
+    _backupFolderUrl() {
+        return `${this._folderUrl()}/${BACKUP_FOLDER}`;
+    },
+
+    /**
+     * Make an authenticated WebDAV request.
+     * @private
+     */
+    async _request(method, url, { headers = {}, body, config = this._config } = {}) {
+        // UTF-8 safe Basic credentials
+        const credentials = btoa(unescape(encodeURIComponent(`${config.username}:${config.password}`)));
+
+        return fetch(url, {
+            method,
+            headers: {
+                'Authorization': `Basic ${credentials}`,
+                ...headers
+            },
+            body
+        });
+    },
+
+    /**
+     * PROPFIND on the WebDAV root: 401 means wrong credentials.
+     * @private
+     */
+    async _checkCredentials(config) {
+        let response;
+        try {
+            response = await this._request('PROPFIND', `${this._baseUrl(config)}/`, {
+                headers: { 'Depth': '0' },
+                config
+            });
+        } catch {
+            throw new Error('Serveur injoignable (adresse ou autorisation CORS).');
+        }
+
+        if (response.status === 401 || response.status === 403) {
+            throw new Error('Identifiants refusés par le serveur.');
+        }
+        if (!response.ok) {
+            throw new Error(`WebDAV error: ${response.status}`);
+        }
+    },
+
+    /**
+     * Read sync data from the WebDAV folder.
+     * @returns {Promise<Object|null>}
+     */
+    async read() {
+        const response = await this._request('GET', this._fileUrl());
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            console.error('[WebDAV] Read failed:', response.status);
+            throw new Error(`WebDAV error: ${response.status}`);
+        }
+        return JSON.parse(await response.text());
+    },
+
+    /**
+     * Write sync data to the WebDAV folder (created on first write).
+     * @param {Object} data
+     */
+    async write(data) {
+        await this._put(this._fileUrl(), data, [this._folderUrl()]);
+    },
+
+    /**
+     * PUT a JSON file, creating the missing parent folders on 409 Conflict.
+     * @param {string} url
+     * @param {Object} data
+     * @param {string[]} folders - Parent folders, outermost first
+     * @private
+     */
+    async _put(url, data, folders) {
+        const content = JSON.stringify(data, null, 2);
+        const put = () => this._request('PUT', url, {
+            headers: { 'Content-Type': 'application/json' },
+            body: content
+        });
+
+        let response = await put();
+
+        // 409 Conflict: parent folder does not exist yet
+        if (response.status === 409) {
+            for (const folder of folders) {
+                const mkcol = await this._request('MKCOL', folder);
+                // 405: folder already exists
+                if (!mkcol.ok && mkcol.status !== 405) {
+                    throw new Error(`WebDAV error: ${mkcol.status}`);
+                }
+            }
+            response = await put();
+        }
+
+        if (!response.ok) {
+            throw new Error(`WebDAV error: ${response.status}`);
+        }
+    },
+
+    // =========================================================================
+    // BACKUP VERSIONS
+    // =========================================================================
+
+    /**
+     * List dated backup files.
+     * @returns {Promise<Array<{id: string, name: string}>>}
+     */
+    async listVersions() {
+        const response = await this._request('PROPFIND', `${this._backupFolderUrl()}/`, {
+            headers: { 'Depth': '1' }
+        });
+        if (response.status === 404) return [];
+        if (!response.ok) throw new Error(`WebDAV error: ${response.status}`);
+
+        const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+        return Array.from(xml.getElementsByTagNameNS('DAV:', 'href'))
+            .map(href => decodeURIComponent(href.textContent.replace(/\/$/, '').split('/').pop()))
+            .filter(name => name.endsWith('.json'))
+            .map(name => ({ id: name, name }));
+    },
+
+    /**
+     * Store a dated backup copy.
+     * @param {string} name - File name (see BackupHistoryService)
+     * @param {Object} data
+     */
+    async writeVersion(name, data) {
+        await this._put(
+            `${this._backupFolderUrl()}/${encodeURIComponent(name)}`,
+            data,
+            [this._folderUrl(), this._backupFolderUrl()]
+        );
+    },
+
+    /**
+     * Read a dated backup copy.
+     * @param {string} id
+     * @returns {Promise<Object>}
+     */
+    async readVersion(id) {
+        const response = await this._request('GET', `${this._backupFolderUrl()}/${encodeURIComponent(id)}`);
+        if (!response.ok) throw new Error(`WebDAV error: ${response.status}`);
+        return JSON.parse(await response.text());
+    },
+
+    /**
+     * Delete a dated backup copy.
+     * @param {string} id
+     */
+    async deleteVersion(id) {
+        const response = await this._request('DELETE', `${this._backupFolderUrl()}/${encodeURIComponent(id)}`);
+        if (!response.ok && response.status !== 404) throw new Error(`WebDAV error: ${response.status}`);
+    },
+
+    /**
+     * Get file metadata.
+     * @returns {Promise<{lastModified: string, size: number}|null>}
+     */
+    async getMetadata() {
+        const response = await this._request('PROPFIND', this._fileUrl(), {
+            headers: { 'Depth': '0', 'Content-Type': 'application/xml' },
+            body: '<?xml version="1.0"?><d:propfind xmlns:d="DAV:"><d:prop><d:getlastmodified/><d:getcontentlength/></d:prop></d:propfind>'
+        });
+
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`WebDAV error: ${response.status}`);
+        }
+
+        const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+        const prop = (localName) => xml.getElementsByTagNameNS('DAV:', localName)[0]?.textContent || null;
+        const lastModified = prop('getlastmodified');
+
+        return {
+            lastModified: lastModified ? new Date(lastModified).toISOString() : null,
+            size: parseInt(prop('getcontentlength') || '0', 10)
+        };
+    }
+};
@@ -0,0 +1,157 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { WebDAVProvider } from './WebDAVProvider.js';
+
+const ROOT = 'https://cloud.example.fr/remote.php/dav/files/prof';
+const CREDENTIALS = `Basic ${btoa('prof:app-pass')}`;
+
+/**
+ * In-memory WebDAV server: enough of PROPFIND/GET/PUT/DELETE/MKCOL for the provider.
+ */
+function createWebDAVStandIn() {
+    const files = new Map();
+    const folders = new Set([ROOT]);
+
+    const handler = vi.fn(async (url, { method, headers, body }) => {
+        if (headers.Authorization !== CREDENTIALS) return new Response(null, { status: 401 });
+
+        const path = url.replace(/\/$/, '');
+        const parent = path.slice(0, path.lastIndexOf('/'));
+
+        switch (method) {
+            case 'PROPFIND': {
+                if (folders.has(path)) {
+                    const children = [...files.keys()].filter(f => f.startsWith(`${path}/`) && !f.slice(path.length + 1).includes('/'));
+                    const hrefs = [path, ...children].map(f => `<d:response><d:href>${new URL(f).pathname}</d:href></d:response>`);
+                    return new Response(`<d:multistatus xmlns:d="DAV:">${hrefs.join('')}</d:multistatus>`, { status: 207 });
+                }
+                const file = files.get(path);
+                if (!file) return new Response(null, { status: 404 });
+                return new Response(
+                    `<?xml version="1.0"?><d:multistatus xmlns:d="DAV:"><d:response><d:propstat><d:prop>
+                        <d:getlastmodified>${file.modified.toUTCString()}</d:getlastmodified>
+                        <d:getcontentlength>${file.content.length}</d:getcontentlength>
+                    </d:prop></d:propstat></d:response></d:multistatus>`,
+                    { status: 207 }
+                );
+            }
+            case 'GET': {
+                const file = files.get(path);
+                return file ? new Response(file.content, { status: 200 }) : new Response(null, { status: 404 });
+            }
+            case 'PUT':
+                if (!folders.has(parent)) return new Response(null, { status: 409 });
+                files.set(path, { content: body, modified: new Date('2026-03-02T08:00:00Z') });
+                return new Response(null, { status: 201 });
+            case 'DELETE':
+                return new Response(null, { status: files.delete(path) ? 204 : 404 });
+            case 'MKCOL':
+                if (folders.has(path)) return new Response(null, { status: 405 });
+                folders.add(path);
+                return new Response(null, { status: 201 });
+            default:
+                return new Response(null, { status: 405 });
+        }
+    });
+
+    return { handler, files };
+}
+
+describe('WebDAVProvider', () => {
+    let server;
+
+    beforeEach(() => {
+        localStorage.clear();
+        WebDAVProvider._config = null;
+        WebDAVProvider._authorized = false;
+        server = createWebDAVStandIn();
+        vi.stubGlobal('fetch', server.handler);
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    const configure = () => WebDAVProvider.configure({
+        url: 'https://cloud.example.fr/',
+        username: 'prof',
+        password: 'app-pass'
+    });
+
+    it('should resolve the Nextcloud endpoint and save valid credentials', async () => {
+        await configure();
+
+        expect(server.handler).toHaveBeenCalledWith(`${ROOT}/`, expect.objectContaining({ method: 'PROPFIND' }));
+        expect(WebDAVProvider.isConnected()).toBe(true);
+        expect(WebDAVProvider.getSavedAccount()).toEqual({ url: 'https://cloud.example.fr', username: 'prof' });
+    });
+
+    it('should reject wrong credentials with a clear error', async () => {
+        await expect(WebDAVProvider.configure({ url: 'https://cloud.example.fr', username: 'prof', password: 'nope' }))
+            .rejects.toThrow('Identifiants refusés');
+        expect(WebDAVProvider.isConnected()).toBe(false);
+        expect(localStorage.getItem('bulletin_webdav_config')).toBeNull();
+    });
+
+    it('should return null when nothing was synced yet', async () => {
+        await configure();
+
+        await expect(WebDAVProvider.read()).resolves.toBeNull();
+        await expect(WebDAVProvider.getMetadata()).resolves.toBeNull();
+    });
+
+    it('should create the folder on first write and read data back', async () => {
+        await configure();
+        const data = { generatedResults: [{ id: 's1' }], _meta: { deviceId: 'd1' } };
+
+        await WebDAVProvider.write(data);
+
+        expect(server.handler).toHaveBeenCalledWith(`${ROOT}/BulletinAI`, expect.objectContaining({ method: 'MKCOL' }));
+        await expect(WebDAVProvider.read()).resolves.toEqual(data);
+    });
+
+    it('should expose last modification date and size', async () => {
+        await configure();
+        await WebDAVProvider.write({ classes: [] });
+
+        const meta = await WebDAVProvider.getMetadata();
+
+        expect(meta.lastModified).toBe('2026-03-02T08:00:00.000Z');
+        expect(meta.size).toBeGreaterThan(0);
+    });
+
+    it('should restore saved credentials silently and forget them on disconnect', async () => {
+        await configure();
+        WebDAVProvider._config = null;
+        WebDAVProvider._authorized = false;
+
+        await expect(WebDAVProvider.authorize({ silent: true })).resolves.toBe(true);
+
+        await WebDAVProvider.disconnect();
+        expect(WebDAVProvider.isConnected()).toBe(false);
+        await expect(WebDAVProvider.authorize({ silent: true })).resolves.toBe(false);
+    });
+
+    it('should store, list, read and delete dated backup copies', async () => {
+        await configure();
+        await expect(WebDAVProvider.listVersions()).resolves.toEqual([]);
+
+        const name = 'bulletin-ai-backup--2026-10-18T12-00-00-000Z--device_1--1c--2e.json';
+        await WebDAVProvider.writeVersion(name, { classes: [{ id: 'c1' }] });
+
+        await expect(WebDAVProvider.listVersions()).resolves.toEqual([{ id: name, name }]);
+        await expect(WebDAVProvider.readVersion(name)).resolves.toEqual({ classes: [{ id: 'c1' }] });
+
+        await WebDAVProvider.deleteVersion(name);
+        await expect(WebDAVProvider.listVersions()).resolves.toEqual([]);
+    });
+
+    it('should use a full WebDAV folder URL as is', async () => {
+        await expect(WebDAVProvider.configure({
+            url: `${ROOT}/`,
+            username: 'prof',
+            password: 'app-pass'
+        })).resolves.toBeUndefined();
+
+        expect(WebDAVProvider._baseUrl()).toBe(ROOT);
+    });
+});
@@ -35,17 +35,29 @@ export const userSettings = {
         subjects: {},
         // Journal threshold: minimum occurrences for a tag to be included in AI prompt
         journalThreshold: 2,
+        // User-defined journal tags: { id, label, icon, color, category, classId, archived? }
+        journalCustomTags: [],
+        // Student status catalogue (null = DEFAULT_STATUS_CATALOGUE)
+        statusCatalogue: null,
+        // Appreciation linter rules (null = DEFAULT_LINT_SETTINGS)
+        lintSettings: null,
+        // Class council mention rules, in priority order (null = DEFAULT_COUNCIL_RULES)
+        councilRules: null,
         // Multi-class support
         classes: [],           // Array of Class objects: { id, name, year, subject, createdAt, updatedAt }
         currentClassId: null,  // Currently selected class ID (null = default/legacy mode)
         // Seating chart grid configuration
         seatingGrid: null,     // { rows, cols }
+        // Named seating plans and placement history, per class (see SeatingPlansService)
+        seatingPlans: null,
     },
 
     /** Configuration API */
     api: {
         currentAIModel: 'mistral-direct-small-latest',
         enableApiFallback: true,
+        enableStreaming: true,    // Affichage progressif du texte généré
+        batchGenerationSize: 1,   // Élèves par requête en génération de masse (1 = une requête par élève)
         openaiApiKey: '',
         googleApiKey: '',
         openrouterApiKey: '',
@@ -161,13 +173,20 @@ const propertyMap = {
     evolutionThresholds: () => userSettings.academic,
     subjects: () => userSettings.academic,
     journalThreshold: () => userSettings.academic,
+    journalCustomTags: () => userSettings.academic,
+    statusCatalogue: () => userSettings.academic,
+    lintSettings: () => userSettings.academic,
+    councilRules: () => userSettings.academic,
     classes: () => userSettings.academic,
     currentClassId: () => userSettings.academic,
     seatingGrid: () => userSettings.academic,
+    seatingPlans: () => userSettings.academic,
 
     // userSettings.api
     currentAIModel: () => userSettings.api,
     enableApiFallback: () => userSettings.api,
+    enableStreaming: () => userSettings.api,
+    batchGenerationSize: () => userSettings.api,
     openaiApiKey: () => userSettings.api,
     googleApiKey: () => userSettings.api,
     openrouterApiKey: () => userSettings.api,
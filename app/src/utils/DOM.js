@@ -144,6 +144,9 @@ export function initDOM() {
     DOM.personalizationBtn = document.getElementById('personalizationBtn');
     DOM.closePersonalizationModalBtn = document.getElementById('closePersonalizationModalBtn');
     DOM.resetLabStyleBtn = document.getElementById('resetLabStyleBtn');
+    DOM.iaStyleProfileSelect = document.getElementById('iaStyleProfileSelect');
+    DOM.iaStyleCopySourceSelect = document.getElementById('iaStyleCopySourceSelect');
+    DOM.iaStyleUseGlobalBtn = document.getElementById('iaStyleUseGlobalBtn');
     DOM.cancelPersonalizationBtn = document.getElementById('cancelPersonalizationBtn');
     DOM.savePersonalizationBtn = document.getElementById('savePersonalizationBtn');
     DOM.closeSettingsModalBtn = document.getElementById('closeSettingsModalBtn');
@@ -156,6 +159,8 @@ export function initDOM() {
     DOM.cancelSettingsBtn = document.getElementById('cancelSettingsBtn');
     DOM.personalizationToggle = document.getElementById('personalizationToggle');
     DOM.enableApiFallbackToggle = document.getElementById('enableApiFallbackToggle');
+    DOM.enableStreamingToggle = document.getElementById('enableStreamingToggle');
+    DOM.batchGenerationSizeSelect = document.getElementById('batchGenerationSizeSelect');
     DOM.advancedTabContent = document.getElementById('advancedTabContent');
     DOM.aiModelSelect = document.getElementById('aiModelSelect');
     DOM.openaiApiKey = document.getElementById('openaiApiKey');
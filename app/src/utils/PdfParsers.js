@@ -10,6 +10,8 @@
  * @module utils/PdfParsers
  */
 
+import { AssessmentsService } from '../services/AssessmentsService.js';
+
 // ============================================================================
 // HELPERS COMMUNS
 // ============================================================================
@@ -488,6 +490,93 @@ export function convertMbnBilan(rawData) {
     saveCurrentStudent();
     return students.join('\n');
 }
+// ============================================================================
+// PARSER : FORMAT RELEVÉ DE NOTES PRONOTE (évaluations détaillées)
+// ============================================================================
+// Format : une colonne par devoir, datée, avec coefficient et barème
+//   Relevé de notes - 4A - MATHÉMATIQUES - Trimestre 1
+//   Élève Moy. 12/09 19/09 03/10
+//   Coef. 1 2 1
+//   Sur 20 20 10
+//   DUPONT Marie 12,50 14 Abs 7
+// Output : NOM Prénom \t Dev \t Évaluations (voir AssessmentsService.parseCell)
+
+const RELEVE_DATE = /^\d{1,2}\/\d{1,2}(?:\/\d{2,4})?$/;
+const RELEVE_VALUE = /^(?:\d{1,3}(?:[.,]\d{1,2})?|abs\.?|disp\.?|n\.?not\.?|n\.?rdu\.?)$/i;
+const RELEVE_IGNORE = /^(relev[ée]|[ée]l[èe]ve|moy(?:enne|\.)?\s|coef|sur\s|bar[èe]me|[ée]dit[ée]|page\s)/i;
+
+/**
+ * Détecte le format PDF Relevé de notes Pronote
+ * Recherche le titre et une ligne d'en-tête d'au moins deux dates de devoirs
+ */
+export function detectPronoteReleve(rawData) {
+    const lines = rawData.split('\n').map(l => l.trim());
+    const hasTitle = lines.some(l => /^relev[ée] de notes/i.test(l));
+    const hasDates = lines.some(l => l.split(/\s+/).filter(t => RELEVE_DATE.test(t)).length >= 2);
+    return hasTitle && hasDates;
+}
+
+/**
+ * Convertit le relevé de notes Pronote en tabulaire
+ * Les cellules vides disparaissent à l'extraction du PDF : les valeurs d'un élève
+ * sont attribuées aux devoirs dans l'ordre, les devoirs en trop restent sans note.
+ */
+export function convertPronoteReleve(rawData) {
+    const normalizedData = normalizeWhitespace(rawData);
+    const lines = normalizedData.split('\n').map(l => l.trim()).filter(l => l !== '');
+
+    const numbersOf = (line) => line.split(/\s+/).slice(1).map(t => parseFloat(t.replace(',', '.'))).filter(n => !isNaN(n));
+
+    let dates = [];
+    let hasAverageColumn = false;
+    let coefs = [];
+    let maxima = [];
+    const students = [];
+    let pendingName = null;
+
+    for (const line of lines) {
+        const tokens = line.split(/\s+/);
+        const dateTokens = tokens.filter(t => RELEVE_DATE.test(t));
+
+        // En-tête des devoirs : "Élève Moy. 12/09 19/09 ..."
+        if (dateTokens.length >= 2) {
+            dates = dateTokens;
+            const firstDate = tokens.findIndex(t => RELEVE_DATE.test(t));
+            hasAverageColumn = tokens.slice(0, firstDate).some(t => /^moy/i.test(t));
+            continue;
+        }
+        if (/^coef/i.test(line)) { coefs = numbersOf(line); continue; }
+        if (/^(sur|bar[èe]me)\s/i.test(line)) { maxima = numbersOf(line); continue; }
+        if (RELEVE_IGNORE.test(line) || isHeaderLine(line) || dates.length === 0) continue;
+
+        // Nom seul sur sa ligne (nom long) : complété par la ligne suivante
+        if (isAllCapsName(line)) {
+            pendingName = pendingName ? `${pendingName} ${line}` : line;
+            continue;
+        }
+
+        const firstValue = tokens.findIndex(t => RELEVE_VALUE.test(t));
+        if (firstValue === 0) continue;
+        const nameTokens = firstValue === -1 ? tokens : tokens.slice(0, firstValue);
+        const values = firstValue === -1 ? [] : tokens.slice(firstValue).filter(t => RELEVE_VALUE.test(t));
+        const name = [pendingName, ...nameTokens].filter(Boolean).join(' ');
+        pendingName = null;
+
+        const marks = hasAverageColumn ? values.slice(1) : values;
+        const assessments = AssessmentsService.parseCell(marks.slice(0, dates.length).map((value, i) => {
+            const max = maxima[i] || 20;
+            const coef = coefs[i] ?? 1;
+            const isMark = !AssessmentsService.findStatus(value);
+            return `${dates[i]} ${value}${isMark ? `/${max}` : ''} (${coef})`;
+        }).join(' ; '));
+
+        const dev = AssessmentsService.getMarked(assessments).length;
+        students.push(`${name}\t${assessments.length > 0 ? dev : ''}\t${AssessmentsService.formatCell(assessments)}`);
+    }
+
+    return students.join('\n');
+}
+
 // ============================================================================
 // REGISTRY DES PARSERS PDF
 // ============================================================================
@@ -497,6 +586,12 @@ export function convertMbnBilan(rawData) {
  * Ordre = priorité de détection
  */
 export const PDF_PARSERS = [
+    {
+        name: 'pronote-releve',
+        description: 'Relevé de notes Pronote',
+        detect: detectPronoteReleve,
+        convert: convertPronoteReleve
+    },
     {
         name: 'mbn-bilan',
         description: 'Bilan appréciations MBN (ENT)',
@@ -2,7 +2,7 @@
  * @fileoverview Tests for PdfParsers
  */
 import { describe, it, expect } from 'vitest';
-import { detectMbnBilan, convertMbnBilan } from './PdfParsers.js';
+import { detectMbnBilan, convertMbnBilan, detectPronoteReleve, convertPronoteReleve, autoConvertPdf } from './PdfParsers.js';
 
 describe('PdfParsers', () => {
     describe('detectMbnBilan()', () => {
@@ -141,4 +141,32 @@ CHEN Luc\tAucune\t\t\tévaluation ce semestre : impossible d'apprécier le nivea
             expect(lines[0]).toBe("CHEN Luc\t\t\tAucune évaluation ce semestre : impossible d'apprécier le niveau de Luc.");
         });
     });
+
+    describe('Pronote relevé de notes', () => {
+        const rawData = `Relevé de notes - 4A - MATHÉMATIQUES - Trimestre 1
+Élève Moy. 12/09 19/09 03/10 17/10
+Coef. 1 2 1 1
+Sur 20 20 10 20
+DUPONT Marie 12,50 14 Abs 7 11
+DE LA
+FONTAINE Jean 9,00 8 10 Disp N.Not
+MARTIN Lucas
+Moy. classe 11,2 11 10 7 11`;
+
+        it('should detect the relevé before the Pronote bilan', () => {
+            expect(detectPronoteReleve(rawData)).toBe(true);
+            expect(detectPronoteReleve('Relevé de notes\nDUPONT Marie 12')).toBe(false);
+            expect(autoConvertPdf(rawData).name).toBe('pronote-releve');
+        });
+
+        it('should output each dated assessment with its coefficient and scale', () => {
+            const lines = convertPronoteReleve(rawData).split('\n');
+
+            expect(lines).toEqual([
+                'DUPONT Marie\t3\t12/09 14/20 ; 19/09 Abs (2) ; 03/10 7/10 ; 17/10 11/20',
+                'DE LA FONTAINE Jean\t2\t12/09 8/20 ; 19/09 10/20 (2) ; 03/10 Disp ; 17/10 N.Not',
+                'MARTIN Lucas\t\t'
+            ]);
+        });
+    });
 });
@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Mini-graphique d'évolution (sparkline SVG)
+ * Utilisé par la présentation du conseil de classe (moyennes par période)
+ * et le Focus Panel (évaluations de la période).
+ * @module utils/Sparkline
+ */
+
+/**
+ * Construit une sparkline : une ligne reliant les valeurs, un point par valeur.
+ * La couleur suit la dernière variation (classes `sparkline--up`, `--down`, `--stable`).
+ * @param {Array<number|null>} values - Valeurs dans l'ordre ; null = point manquant (l'abscisse est conservée)
+ * @param {Object} options
+ * @param {number} options.min - Bas de l'échelle
+ * @param {number} options.max - Haut de l'échelle
+ * @param {string} options.label - Description pour les lecteurs d'écran
+ * @param {string} [options.className=''] - Classe supplémentaire (dimensions)
+ * @param {number} [options.width=240]
+ * @param {number} [options.height=70]
+ * @param {number} [options.radius=4] - Rayon des points
+ * @returns {string} SVG, vide si aucune valeur
+ */
+export function renderSparkline(values, { min, max, label, className = '', width = 240, height = 70, radius = 4 }) {
+    const points = values.filter(v => typeof v === 'number' && !isNaN(v));
+    if (points.length === 0) return '';
+
+    const padding = radius * 2;
+    const x = (i) => values.length === 1 ? width / 2 : padding + (i * (width - 2 * padding)) / (values.length - 1);
+    const y = (value) => height - padding - ((value - min) / ((max - min) || 1)) * (height - 2 * padding);
+    const coords = values
+        .map((v, i) => typeof v === 'number' && !isNaN(v) ? [x(i), y(v)] : null)
+        .filter(Boolean);
+
+    const last = points[points.length - 1];
+    const previous = points.length > 1 ? points[points.length - 2] : null;
+    const direction = previous === null || last === previous ? 'stable' : (last > previous ? 'up' : 'down');
+
+    return `
+        <svg class="sparkline sparkline--${direction} ${className}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${label}">
+            ${coords.length > 1 ? `<polyline points="${coords.map(c => c.join(',')).join(' ')}" />` : ''}
+            ${coords.map(([cx, cy]) => `<circle cx="${cx}" cy="${cy}" r="${radius}" />`).join('')}
+        </svg>
+    `;
+}
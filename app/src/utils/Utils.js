@@ -2,11 +2,16 @@
 import { appState } from '../state/State.js';
 import { MODEL_SHORT_NAMES } from '../config/models.js';
 import { DOMHelper } from './DOMHelper.js';
+import { GradeScaleService } from '../services/GradeScaleService.js';
+import { SocleService, SOCLE_DOMAINS } from '../services/SocleService.js';
+import { StatusService } from '../services/StatusService.js';
+import { AssessmentsService } from '../services/AssessmentsService.js';
 
 /**
  * @typedef {Object} StudentPeriodData
- * @property {number|null} grade - Note de l'élève (0-20)
+ * @property {number|null} grade - Note de l'élève, dans l'unité du barème de sa classe
  * @property {string} appreciation - Appréciation textuelle
+ * @property {import('../services/AssessmentsService.js').Assessment[]} [assessments] - Évaluations du relevé de notes
  */
 
 /**
@@ -32,6 +37,12 @@ export const Utils = {
      * @returns {{className: string, label: string}} Informations pour le rendu
      */
     getStatusBadgeInfo(status) {
+        // Couleur choisie dans le catalogue des statuts, sinon déduction par mots-clés
+        const catalogueClass = StatusService.getColorClass(status);
+        if (catalogueClass !== null) {
+            return { className: catalogueClass ? `tag-badge ${catalogueClass}` : 'tag-badge', label: status };
+        }
+
         let badgeClass = 'tag-badge';
         const lowerTag = (status || '').toLowerCase();
 
@@ -81,20 +92,54 @@ export const Utils = {
     },
 
     /**
-     * Valide un champ de note (0-20)
+     * Valide un champ de note selon le barème de la classe courante
      * @param {HTMLInputElement} input - L'élément input contenant la note
      * @returns {boolean} true si valide ou vide
      */
     validateGrade(input) {
-        const valueStr = input.value.trim().replace(',', '.'); const errEl = document.getElementById(input.id + 'Error');
+        const valueStr = input.value.trim(); const errEl = document.getElementById(input.id + 'Error');
         if (valueStr === '') { input.classList.remove('input-error'); if (errEl) errEl.style.display = 'none'; return true; }
-        const value = parseFloat(valueStr);
-        const isValid = !isNaN(value) && value >= 0 && value <= 20;
+        const scale = GradeScaleService.getScale();
+        const isValid = GradeScaleService.isValid(valueStr, scale);
         input.classList.toggle('input-error', !isValid);
-        if (errEl) { errEl.textContent = isValid ? '' : '⚠️ Note entre 0 et 20'; errEl.style.display = isValid ? 'none' : 'block'; }
+        if (errEl) { errEl.textContent = isValid ? '' : `⚠️ ${this.getGradeHint(scale)}`; errEl.style.display = isValid ? 'none' : 'block'; }
         return isValid;
     },
 
+    /**
+     * Convertit la saisie d'un champ de note selon le barème de la classe
+     * @param {string|number|null} value - Saisie brute (ex: "14,5", "PA")
+     * @param {import('../services/GradeScaleService.js').GradeScale} [scale] - Barème (défaut: classe courante)
+     * @returns {number|null} Valeur dans l'unité du barème, ou null si vide/invalide
+     */
+    parseGradeInput(value, scale = GradeScaleService.getScale()) {
+        const parsed = GradeScaleService.parse(typeof value === 'string' ? value.trim() : value, scale);
+        return isNaN(parsed) ? null : parsed;
+    },
+
+    /**
+     * Affiche une note de façon compacte selon le barème (ex: "14,5", "PA")
+     * @param {number} grade - Note dans l'unité du barème
+     * @param {import('../services/GradeScaleService.js').GradeScale} [scale] - Barème (défaut: classe courante)
+     * @returns {string}
+     */
+    formatGrade(grade, scale = GradeScaleService.getScale()) {
+        return GradeScaleService.formatValue(grade, scale, { short: true });
+    },
+
+    /**
+     * Message d'aide décrivant les saisies acceptées par un barème
+     * @param {import('../services/GradeScaleService.js').GradeScale} scale - Barème de la classe
+     * @returns {string} Ex: "Note entre 0 et 20", "Niveau : NA, PA, A ou D"
+     */
+    getGradeHint(scale) {
+        if (scale.type === 'levels') {
+            const shorts = scale.levels.map(l => l.short);
+            return `Niveau : ${shorts.slice(0, -1).join(', ')} ou ${shorts[shorts.length - 1]}`;
+        }
+        return `Note entre 0 et ${scale.max}`;
+    },
+
     /**
      * Compte le nombre de mots dans un texte
      * @param {string} text - Le texte à analyser
@@ -118,14 +163,13 @@ export const Utils = {
     getRandomElement(array) { return !array || array.length === 0 ? '' : array[Math.floor(Math.random() * array.length)]; },
 
     /**
-     * Vérifie si une valeur est une note valide (0-20)
+     * Vérifie si une valeur est une note valide du barème de la classe courante
      * @param {string|number} str - La valeur à tester
-     * @returns {boolean} true si c'est un nombre entre 0 et 20
+     * @returns {boolean} true si c'est une note du barème (ex: nombre entre 0 et 20)
      */
     isNumeric(str) {
         if (typeof str !== 'string' && typeof str !== 'number') return false;
-        const num = parseFloat(String(str).replace(',', '.'));
-        return !isNaN(num) && num >= 0 && num <= 20;
+        return GradeScaleService.isValid(str);
     },
 
     /**
@@ -162,17 +206,25 @@ export const Utils = {
         if (!nom && !prenom) return null;
         const studentData = { nom, prenom, statuses: mappedData['STATUT'] ? [mappedData['STATUT']] : [], periods: {}, currentPeriod };
         this.getPeriods().forEach(p => {
-            const gradeStr = (mappedData[`MOY_${p}`] || '').replace(',', '.');
+            const gradeStr = mappedData[`MOY_${p}`] || '';
             const periodContext = mappedData[`CTX_${p}`] || '';
             // Parse evaluation count (DEV_T1, DEV_S1, etc.)
             const evalCountStr = mappedData[`DEV_${p}`] || '';
             const evalCount = this._parseEvaluationCount(evalCountStr);
             studentData.periods[p] = {
-                grade: this.isNumeric(gradeStr) ? parseFloat(gradeStr) : null,
+                grade: this.isNumeric(gradeStr) ? GradeScaleService.parse(gradeStr) : null,
                 appreciation: mappedData[`APP_${p}`] || '',
                 context: periodContext,
                 evaluationCount: evalCount
             };
+            // Évaluations détaillées (relevé de notes) : la moyenne et le nombre de notes en sont déduits
+            const assessments = AssessmentsService.parseCell(mappedData[`EVAL_${p}`]);
+            if (assessments.length > 0) AssessmentsService.setAssessments(studentData, p, assessments);
+            // Positionnement socle commun (SOCLE1_T1 ... SOCLE5_T1)
+            SOCLE_DOMAINS.forEach(domain => {
+                const level = SocleService.parseLevel(mappedData[SocleService.getImportTag(domain.id, p)]);
+                if (level) SocleService.setPositioning(studentData, p, domain.id, level);
+            });
         });
         // Fallback: INSTRUCTIONS (global) → periods[currentPeriod].context
         const globalContext = mappedData['INSTRUCTIONS']?.trim();
@@ -284,6 +336,9 @@ export const Utils = {
                         }
                         
                         const existingPeriod = existing.studentData.periods[period];
+                        // Sans relevé de notes, la moyenne et le nombre de notes déduits du relevé existant sont conservés
+                        const hasAssessments = periodData.assessments?.length > 0;
+                        const keepsAssessments = !hasAssessments && existingPeriod.assessments?.length > 0;
                         
                         // Fusionner l'appréciation
                         if (periodData.appreciation && periodData.appreciation.trim()) {
@@ -291,7 +346,7 @@ export const Utils = {
                         }
                         
                         // Fusionner la moyenne
-                        if (periodData.grade !== null && periodData.grade !== undefined) {
+                        if (!keepsAssessments && periodData.grade !== null && periodData.grade !== undefined) {
                             existingPeriod.grade = periodData.grade;
                         }
                         
@@ -301,9 +356,19 @@ export const Utils = {
                         }
                         
                         // Fusionner le nombre d'évaluations
-                        if (periodData.evaluationCount !== null && periodData.evaluationCount !== undefined) {
+                        if (!keepsAssessments && periodData.evaluationCount !== null && periodData.evaluationCount !== undefined) {
                             existingPeriod.evaluationCount = periodData.evaluationCount;
                         }
+
+                        // Fusionner le relevé de notes
+                        if (hasAssessments) {
+                            existingPeriod.assessments = periodData.assessments;
+                        }
+
+                        // Fusionner le positionnement socle domaine par domaine
+                        if (periodData.socle) {
+                            existingPeriod.socle = { ...existingPeriod.socle, ...periodData.socle };
+                        }
                     }
                 }
 
@@ -618,11 +683,14 @@ export const Utils = {
 
     /**
      * Détermine la classe CSS associée à une note, alignée sur l'histogramme.
-     * @param {number} grade - La note (0-20)
+     * La note est ramenée sur 20 selon le barème avant comparaison.
+     * @param {number} grade - La note, dans l'unité du barème
+     * @param {import('../services/GradeScaleService.js').GradeScale} [scale] - Barème (défaut: classe courante)
      * @returns {string} Classe CSS ('grade-range-0-4', 'grade-range-4-8', etc.)
      */
-    getGradeClass(grade) {
+    getGradeClass(grade, scale = GradeScaleService.getScale()) {
         if (typeof grade !== 'number' || isNaN(grade)) return '';
+        grade = GradeScaleService.toTwenty(grade, scale);
         if (grade < 4) return 'grade-range-0-4';
         if (grade < 8) return 'grade-range-4-8';
         if (grade < 12) return 'grade-range-8-12';
@@ -632,11 +700,14 @@ export const Utils = {
 
     /**
      * Determine le type d'évolution dynamiquement en fonction des seuils actuels.
-     * @param {number} diff - Valeur de l'évolution
+     * Les seuils sont exprimés en points sur 20 : l'écart est converti selon le barème.
+     * @param {number} diff - Valeur de l'évolution, dans l'unité du barème
+     * @param {import('../services/GradeScaleService.js').GradeScale} [scale] - Barème (défaut: classe courante)
      * @returns {string} 'positive', 'negative', 'stable', etc.
      */
-    getEvolutionType(diff) {
+    getEvolutionType(diff, scale = GradeScaleService.getScale()) {
         if (diff === null || isNaN(diff)) return 'stable';
+        diff = GradeScaleService.diffToTwenty(diff, scale);
         const t = appState.evolutionThresholds;
 
         if (diff >= t.veryPositive) return 'very-positive';
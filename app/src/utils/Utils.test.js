@@ -1,5 +1,6 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { Utils } from './Utils.js';
+import { GRADE_SCALE_PRESETS } from '../services/GradeScaleService.js';
 
 // Mock appState for getPeriods
 vi.mock('../state/State.js', () => ({
@@ -84,6 +85,74 @@ describe('Utils', () => {
         });
     });
 
+    describe('barèmes de notation', () => {
+        const competences = GRADE_SCALE_PRESETS.competences;
+
+        it('devrait colorer et classer les évolutions après conversion sur 20', () => {
+            expect(Utils.getGradeClass(4, competences)).toBe('grade-range-16-20');
+            expect(Utils.getGradeClass(45, GRADE_SCALE_PRESETS.percent)).toBe('grade-range-8-12');
+            // +1 niveau sur 4 = +6,7 pts sur 20
+            expect(Utils.getEvolutionType(1, competences)).toBe('very-positive');
+            // +2 % = +0,4 pt sur 20
+            expect(Utils.getEvolutionType(2, GRADE_SCALE_PRESETS.percent)).toBe('stable');
+        });
+
+        it('devrait lire et afficher les niveaux de maîtrise', () => {
+            expect(Utils.parseGradeInput(' PA ', competences)).toBe(2);
+            expect(Utils.parseGradeInput('', competences)).toBeNull();
+            expect(Utils.formatGrade(3, competences)).toBe('A');
+            expect(Utils.getGradeHint(competences)).toBe('Niveau : NA, PA, A ou D');
+        });
+    });
+
+    describe('parseStudentLine', () => {
+        it('devrait importer les positionnements socle des colonnes SOCLE', () => {
+            const formatMap = { NOM_PRENOM: 0, MOY_T2: 1, SOCLE1_T2: 2, SOCLE4_T2: 3, SOCLE5_T2: 4 };
+            const student = Utils.parseStudentLine(['MARTIN Lucas', '12', 'MS', '4', 'inconnu'], formatMap, 'T2');
+
+            expect(student.periods.T2.grade).toBe(12);
+            expect(student.periods.T2.socle).toEqual({ D1: 3, D4: 4 });
+            expect(student.periods.T1.socle).toBeUndefined();
+        });
+
+        it('devrait déduire la moyenne et le nombre de notes des évaluations du relevé', () => {
+            const formatMap = { NOM_PRENOM: 0, MOY_T2: 1, EVAL_T2: 2 };
+            const student = Utils.parseStudentLine(['MARTIN Lucas', '', '12/09 16/20 ; 19/09 Abs ; 03/10 4/10 (2)'], formatMap, 'T2');
+
+            expect(student.periods.T2.grade).toBe(10.67);
+            expect(student.periods.T2.evaluationCount).toBe(2);
+            expect(student.periods.T2.assessments).toHaveLength(3);
+            expect(student.periods.T1.assessments).toBeUndefined();
+        });
+    });
+
+    describe('deduplicateResults', () => {
+        it('devrait conserver le relevé de notes quand la fiche fusionnée n\'en a pas', () => {
+            const assessments = [{ date: '12/09', value: 16, max: 20, coef: 1, status: 'note' }];
+            const results = [
+                { nom: 'MARTIN', prenom: 'Lucas', classId: 'c1', timestamp: '2026-09-20', studentData: { periods: { T1: { grade: 16, evaluationCount: 1, assessments } } } },
+                { nom: 'MARTIN', prenom: 'Lucas', classId: 'c1', timestamp: '2026-10-01', studentData: { periods: { T1: { grade: 11, appreciation: 'Bon trimestre.' } } } }
+            ];
+
+            const [merged] = Utils.deduplicateResults(results);
+
+            expect(merged.studentData.periods.T1).toEqual({ grade: 16, evaluationCount: 1, assessments, appreciation: 'Bon trimestre.' });
+        });
+
+        it('devrait reprendre le relevé de notes le plus récent', () => {
+            const assessments = [{ date: '03/10', value: 8, max: 20, coef: 1, status: 'note' }];
+            const results = [
+                { nom: 'MARTIN', prenom: 'Lucas', classId: 'c1', timestamp: '2026-09-20', studentData: { periods: { T1: { grade: 12 } } } },
+                { nom: 'MARTIN', prenom: 'Lucas', classId: 'c1', timestamp: '2026-10-01', studentData: { periods: { T1: { grade: 8, evaluationCount: 1, assessments } } } }
+            ];
+
+            const [merged] = Utils.deduplicateResults(results);
+
+            expect(merged.studentData.periods.T1.assessments).toEqual(assessments);
+            expect(merged.studentData.periods.T1.grade).toBe(8);
+        });
+    });
+
     describe('debounce', () => {
         it('devrait retarder l\'exécution', async () => {
             vi.useFakeTimers();
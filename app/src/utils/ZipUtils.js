@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Écriture d'archives ZIP sans compression (méthode "stored"), sans dépendance.
+ * Suffit pour les formats Office Open XML (.docx), qui sont des ZIP de fichiers XML.
+ * @module utils/ZipUtils
+ */
+
+/** Table CRC-32 (polynôme 0xEDB88320), calculée au premier usage */
+let crcTable = null;
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {number} CRC-32 non signé
+ */
+export function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Date et heure au format MS-DOS
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Crée une archive ZIP non compressée.
+ * @param {Array<{name: string, content: string|Uint8Array}>} files - Chemins et contenus (texte encodé en UTF-8)
+ * @param {Date} [date=new Date()] - Date de modification des fichiers
+ * @returns {Uint8Array} Octets de l'archive
+ */
+export function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, date: dosDate } = toDosDateTime(date);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true); // Signature d'en-tête local
+        local.setUint16(4, 20, true); // Version requise (2.0)
+        local.setUint16(6, 0x0800, true); // Noms encodés en UTF-8
+        local.setUint16(8, 0, true); // Méthode : stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true); // Taille compressée
+        local.setUint32(22, data.length, true); // Taille réelle
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true); // Pas de champ extra
+        localParts.push(new Uint8Array(local.buffer), name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true); // Signature du répertoire central
+        central.setUint16(4, 20, true); // Version de création
+        central.setUint16(6, 20, true); // Version requise
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        // Champs extra, commentaire, disque, attributs : 0
+        central.setUint32(42, offset, true); // Position de l'en-tête local
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true); // Signature de fin de répertoire central
+    end.setUint16(8, files.length, true); // Entrées sur ce disque
+    end.setUint16(10, files.length, true); // Entrées au total
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true); // Début du répertoire central
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Tests for ZipUtils
+ */
+import { describe, it, expect } from 'vitest';
+import { crc32, createZip } from './ZipUtils.js';
+
+/** Relit les entrées d'une archive "stored" depuis son répertoire central */
+const readZip = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const end = bytes.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054B50);
+
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+    const decoder = new TextDecoder();
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        expect(view.getUint32(position, true)).toBe(0x02014B50);
+        const size = view.getUint32(position + 24, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const offset = view.getUint32(position + 42, true);
+        const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+
+        expect(view.getUint32(offset, true)).toBe(0x04034B50);
+        const dataStart = offset + 30 + view.getUint16(offset + 26, true);
+        const data = bytes.subarray(dataStart, dataStart + size);
+        entries.push({ name, text: decoder.decode(data), crc: view.getUint32(position + 16, true), data });
+
+        position += 46 + nameLength;
+    }
+    return entries;
+};
+
+describe('ZipUtils', () => {
+    it('should compute the standard CRC-32', () => {
+        expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+        expect(crc32(new Uint8Array(0))).toBe(0);
+    });
+
+    it('should write readable stored entries with UTF-8 names', () => {
+        const zip = createZip([
+            { name: '[Content_Types].xml', content: '<Types/>' },
+            { name: 'word/élève.xml', content: 'Appréciation très complète' },
+            { name: 'bin', content: new Uint8Array([0, 255, 7]) }
+        ], new Date(2024, 5, 15, 10, 30));
+
+        const entries = readZip(zip);
+
+        expect(entries.map(e => e.name)).toEqual(['[Content_Types].xml', 'word/élève.xml', 'bin']);
+        expect(entries[1].text).toBe('Appréciation très complète');
+        expect([...entries[2].data]).toEqual([0, 255, 7]);
+        entries.forEach(entry => expect(entry.crc).toBe(crc32(entry.data)));
+    });
+});